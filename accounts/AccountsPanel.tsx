@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Accounts with running balances, transfers and reconciliation
+ * @description Lists checking, savings, card, cash, HSA and retirement accounts
+ * with balances run from their transactions, adds accounts with an opening
+ * balance, moves money between accounts, shows each account's register and
+ * opens the statement reconciliation
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Badge } from '@/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { ArrowLeftRight, Landmark, Plus, Scale } from 'lucide-react';
+import { formatCurrency } from '@/utils/calculations';
+import {
+    accountBalance,
+    accountRegister,
+    isLedgerAccount,
+    LEDGER_ACCOUNT_TYPES,
+    LIABILITY_ACCOUNT_TYPES,
+    newTransfer,
+    type LedgerAccount,
+    type LedgerAccountType,
+    type LedgerTransaction,
+    type ReconciliationResult,
+    type TransferData,
+} from '@/utils/accounts';
+import ReconcileAccount from './ReconcileAccount';
+
+/**
+ * Fields saved when an account is added
+ */
+export interface NewLedgerAccountData {
+    name: string;
+    type: LedgerAccountType;
+    opening_balance: number;
+    opening_date: string;
+}
+
+interface AccountsPanelProps {
+    accounts?: LedgerAccount[];
+    transactions?: LedgerTransaction[];
+    onCreateAccount: (data: NewLedgerAccountData) => Promise<void>;
+    /** Saves a transfer transaction */
+    onTransfer: (data: TransferData) => Promise<void>;
+    /** Saves a finished reconciliation for an account */
+    onReconcile: (accountId: string, result: ReconciliationResult) => Promise<void>;
+}
+
+const TYPE_LABELS: Record<string, string> = Object.fromEntries(LEDGER_ACCOUNT_TYPES.map(t => [t.value, t.label]));
+
+const NONE: never[] = [];
+
+const today = (): string => format(new Date(), 'yyyy-MM-dd');
+
+/**
+ * Accounts panel
+ * @param {AccountsPanelProps} props - Accounts, transactions and save handlers
+ * @returns {React.ReactElement} Account list, register, transfer and add forms
+ */
+function AccountsPanel({ accounts = NONE, transactions = NONE, onCreateAccount, onTransfer, onReconcile }: AccountsPanelProps): React.ReactElement {
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [reconcilingId, setReconcilingId] = useState<string | null>(null);
+    const [busy, setBusy] = useState(false);
+    const [newAccount, setNewAccount] = useState({ name: '', type: 'checking' as LedgerAccountType, opening_balance: '', opening_date: today() });
+    const [transfer, setTransfer] = useState({ from: '', to: '', amount: '', date: today() });
+
+    const ledgerAccounts = useMemo(() => accounts.filter(a => isLedgerAccount(a) && !a.archived), [accounts]);
+
+    const balances = useMemo(
+        () => new Map(ledgerAccounts.map(a => [a.id, accountBalance(a, transactions, accounts)])),
+        [ledgerAccounts, transactions, accounts]
+    );
+
+    const selected = ledgerAccounts.find(a => a.id === selectedId) ?? null;
+    const reconciling = ledgerAccounts.find(a => a.id === reconcilingId) ?? null;
+
+    const register = useMemo(
+        () => (selected ? accountRegister(selected, transactions, accounts).reverse() : []),
+        [selected, transactions, accounts]
+    );
+
+    const run = useCallback(async (action: () => Promise<void>) => {
+        setBusy(true);
+        try {
+            await action();
+        } finally {
+            setBusy(false);
+        }
+    }, []);
+
+    const handleAddAccount = useCallback((e: React.FormEvent) => {
+        e.preventDefault();
+        const openingBalance = parseFloat(newAccount.opening_balance);
+        if (!newAccount.name.trim() || !Number.isFinite(openingBalance)) return;
+        run(async () => {
+            await onCreateAccount({
+                name: newAccount.name.trim(),
+                type: newAccount.type,
+                opening_balance: openingBalance,
+                opening_date: newAccount.opening_date,
+            });
+            setNewAccount(prev => ({ ...prev, name: '', opening_balance: '' }));
+        });
+    }, [newAccount, onCreateAccount, run]);
+
+    const handleTransfer = useCallback((e: React.FormEvent) => {
+        e.preventDefault();
+        const from = ledgerAccounts.find(a => a.id === transfer.from);
+        const to = ledgerAccounts.find(a => a.id === transfer.to);
+        const data = from && to && newTransfer(from, to, parseFloat(transfer.amount), transfer.date);
+        if (!data) return;
+        run(async () => {
+            await onTransfer(data);
+            setTransfer(prev => ({ ...prev, amount: '' }));
+        });
+    }, [ledgerAccounts, transfer, onTransfer, run]);
+
+    const handleReconcile = useCallback(async (result: ReconciliationResult) => {
+        if (!reconciling?.id) return;
+        await onReconcile(reconciling.id, result);
+        setReconcilingId(null);
+    }, [reconciling, onReconcile]);
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        <Landmark className="h-5 w-5 text-primary" />
+                        Accounts
+                    </CardTitle>
+                    <p className="text-sm text-muted-foreground">
+                        Balances run from each account&apos;s opening balance through its transactions.
+                    </p>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                    {ledgerAccounts.length === 0 && (
+                        <p className="text-sm text-muted-foreground">Add an account below to start tracking its balance.</p>
+                    )}
+                    {ledgerAccounts.map(account => {
+                        const balance = balances.get(account.id) ?? 0;
+                        const owed = LIABILITY_ACCOUNT_TYPES.has(account.type || '');
+                        return (
+                            <div key={account.id} className="flex flex-wrap items-center justify-between gap-3 p-3 border border-border rounded-lg">
+                                <div>
+                                    <p className="font-medium text-foreground">{account.name}</p>
+                                    <p className="text-xs text-muted-foreground">
+                                        {TYPE_LABELS[account.type || ''] ?? account.type}
+                                        {account.last_reconciled_date && (
+                                            <> • reconciled {format(parseISO(account.last_reconciled_date), 'MMM d, yyyy')}</>
+                                        )}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className={`font-semibold sensitive ${owed && balance > 0 ? 'text-destructive' : ''}`}>
+                                        {formatCurrency(balance)}
+                                    </span>
+                                    {owed && <Badge variant="outline">owed</Badge>}
+                                    <Button
+                                        size="sm"
+                                        variant={selectedId === account.id ? 'default' : 'outline'}
+                                        onClick={() => setSelectedId(selectedId === account.id ? null : account.id ?? null)}
+                                    >
+                                        Register
+                                    </Button>
+                                    <Button size="sm" variant="outline" onClick={() => setReconcilingId(account.id ?? null)}>
+                                        <Scale className="mr-2 h-4 w-4" /> Reconcile
+                                    </Button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </CardContent>
+            </Card>
+
+            {reconciling && (
+                <ReconcileAccount
+                    key={reconciling.id}
+                    account={reconciling}
+                    accounts={accounts}
+                    transactions={transactions}
+                    onFinish={handleReconcile}
+                    onCancel={() => setReconcilingId(null)}
+                />
+            )}
+
+            {selected && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{selected.name} Register</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        {register.length === 0 ? (
+                            <p className="text-sm text-muted-foreground">No transactions since the opening balance.</p>
+                        ) : (
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>Date</TableHead>
+                                        <TableHead>Description</TableHead>
+                                        <TableHead className="text-right">Amount</TableHead>
+                                        <TableHead className="text-right">Balance</TableHead>
+                                        <TableHead className="text-center">Cleared</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {register.map(entry => (
+                                        <TableRow key={entry.transaction_id}>
+                                            <TableCell>{format(parseISO(entry.date), 'MMM d, yyyy')}</TableCell>
+                                            <TableCell>
+                                                {entry.description}
+                                                {entry.transfer && <Badge variant="secondary" className="ml-2">Transfer</Badge>}
+                                            </TableCell>
+                                            <TableCell className="text-right sensitive">{formatCurrency(entry.amount)}</TableCell>
+                                            <TableCell className="text-right sensitive">{formatCurrency(entry.balance)}</TableCell>
+                                            <TableCell className="text-center">{entry.cleared ? '✓' : ''}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+
+            <div className="grid gap-6 lg:grid-cols-2">
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <ArrowLeftRight className="h-5 w-5 text-primary" />
+                            Transfer
+                        </CardTitle>
+                        <p className="text-sm text-muted-foreground">Moves money between accounts without counting as income or spending.</p>
+                    </CardHeader>
+                    <CardContent>
+                        <form onSubmit={handleTransfer} className="grid gap-4 sm:grid-cols-2 items-end">
+                            <div className="space-y-1">
+                                <Label htmlFor="transfer-from">From</Label>
+                                <Select value={transfer.from} onValueChange={from => setTransfer(prev => ({ ...prev, from }))}>
+                                    <SelectTrigger id="transfer-from">
+                                        <SelectValue placeholder="Account" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {ledgerAccounts.map(a => (
+                                            <SelectItem key={a.id} value={a.id!}>{a.name}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="transfer-to">To</Label>
+                                <Select value={transfer.to} onValueChange={to => setTransfer(prev => ({ ...prev, to }))}>
+                                    <SelectTrigger id="transfer-to">
+                                        <SelectValue placeholder="Account" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {ledgerAccounts.filter(a => a.id !== transfer.from).map(a => (
+                                            <SelectItem key={a.id} value={a.id!}>{a.name}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="transfer-amount">Amount ($)</Label>
+                                <Input
+                                    id="transfer-amount"
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={transfer.amount}
+                                    onChange={e => setTransfer(prev => ({ ...prev, amount: e.target.value }))}
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="transfer-date">Date</Label>
+                                <Input
+                                    id="transfer-date"
+                                    type="date"
+                                    value={transfer.date}
+                                    onChange={e => setTransfer(prev => ({ ...prev, date: e.target.value }))}
+                                />
+                            </div>
+                            <Button type="submit" className="sm:col-span-2" disabled={busy || ledgerAccounts.length < 2}>
+                                Transfer
+                            </Button>
+                        </form>
+                    </CardContent>
+                </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <Plus className="h-5 w-5 text-primary" />
+                            Add Account
+                        </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <form onSubmit={handleAddAccount} className="grid gap-4 sm:grid-cols-2 items-end">
+                            <div className="space-y-1">
+                                <Label htmlFor="new-account-name">Name</Label>
+                                <Input
+                                    id="new-account-name"
+                                    value={newAccount.name}
+                                    onChange={e => setNewAccount(prev => ({ ...prev, name: e.target.value }))}
+                                    placeholder="e.g. Credit union checking"
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="new-account-type">Type</Label>
+                                <Select
+                                    value={newAccount.type}
+                                    onValueChange={(type: LedgerAccountType) => setNewAccount(prev => ({ ...prev, type }))}
+                                >
+                                    <SelectTrigger id="new-account-type">
+                                        <SelectValue />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {LEDGER_ACCOUNT_TYPES.map(t => (
+                                            <SelectItem key={t.value} value={t.value}>{t.label}</SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="new-account-opening">
+                                    {LIABILITY_ACCOUNT_TYPES.has(newAccount.type) ? 'Amount owed ($)' : 'Opening balance ($)'}
+                                </Label>
+                                <Input
+                                    id="new-account-opening"
+                                    type="number"
+                                    step="0.01"
+                                    value={newAccount.opening_balance}
+                                    onChange={e => setNewAccount(prev => ({ ...prev, opening_balance: e.target.value }))}
+                                />
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="new-account-date">As of</Label>
+                                <Input
+                                    id="new-account-date"
+                                    type="date"
+                                    value={newAccount.opening_date}
+                                    onChange={e => setNewAccount(prev => ({ ...prev, opening_date: e.target.value }))}
+                                />
+                            </div>
+                            <Button type="submit" variant="outline" className="sm:col-span-2" disabled={busy}>
+                                Add Account
+                            </Button>
+                        </form>
+                    </CardContent>
+                </Card>
+            </div>
+        </div>
+    );
+}
+
+export default React.memo(AccountsPanel);
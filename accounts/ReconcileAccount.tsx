@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Statement reconciliation for one account
+ * @description The user enters the statement balance and date, then checks
+ * off the transactions that appear on the statement until the cleared balance
+ * matches and the difference is zero
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Checkbox } from '@/ui/checkbox';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { CheckCircle2, Scale } from 'lucide-react';
+import { formatCurrency } from '@/utils/calculations';
+import {
+    finishReconciliation,
+    reconciliationSummary,
+    type LedgerAccount,
+    type LedgerTransaction,
+    type ReconciliationResult,
+} from '@/utils/accounts';
+
+interface ReconcileAccountProps {
+    account: LedgerAccount;
+    accounts: LedgerAccount[];
+    transactions: LedgerTransaction[];
+    /** Saves the cleared transactions and the reconciled statement */
+    onFinish: (result: ReconciliationResult) => Promise<void>;
+    onCancel: () => void;
+}
+
+/**
+ * Reconciliation card
+ * @param {ReconcileAccountProps} props - Account, transactions and handlers
+ * @returns {React.ReactElement} Statement form and transactions to check off
+ */
+function ReconcileAccount({ account, accounts, transactions, onFinish, onCancel }: ReconcileAccountProps): React.ReactElement {
+    const [statementBalance, setStatementBalance] = useState('');
+    const [statementDate, setStatementDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+    const [checkedIds, setCheckedIds] = useState<string[]>([]);
+    const [saving, setSaving] = useState(false);
+
+    const input = useMemo(() => ({
+        statement_balance: parseFloat(statementBalance) || 0,
+        statement_date: statementDate,
+        checked_ids: checkedIds,
+    }), [statementBalance, statementDate, checkedIds]);
+
+    const summary = useMemo(
+        () => reconciliationSummary(account, transactions, accounts, input),
+        [account, transactions, accounts, input]
+    );
+
+    const toggle = useCallback((id: string, checked: boolean) => {
+        setCheckedIds(prev => (checked ? [...prev, id] : prev.filter(x => x !== id)));
+    }, []);
+
+    const handleFinish = useCallback(async () => {
+        const result = finishReconciliation(account, transactions, accounts, input);
+        if (!result) return;
+        setSaving(true);
+        try {
+            await onFinish(result);
+        } finally {
+            setSaving(false);
+        }
+    }, [account, transactions, accounts, input, onFinish]);
+
+    const ready = statementBalance !== '' && summary.balanced;
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Scale className="h-5 w-5 text-primary" />
+                    Reconcile {account.name}
+                </CardTitle>
+                {account.last_reconciled_date && (
+                    <p className="text-sm text-muted-foreground">
+                        Last reconciled to <span className="sensitive">{formatCurrency(account.reconciled_balance || 0)}</span> on{' '}
+                        {format(parseISO(account.last_reconciled_date), 'MMM d, yyyy')}
+                    </p>
+                )}
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <div className="grid gap-4 md:grid-cols-2">
+                    <div className="space-y-1">
+                        <Label htmlFor="statement-balance">Statement ending balance ($)</Label>
+                        <Input
+                            id="statement-balance"
+                            type="number"
+                            step="0.01"
+                            value={statementBalance}
+                            onChange={e => setStatementBalance(e.target.value)}
+                        />
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="statement-date">Statement date</Label>
+                        <Input
+                            id="statement-date"
+                            type="date"
+                            value={statementDate}
+                            onChange={e => setStatementDate(e.target.value)}
+                        />
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-3 gap-4 text-center">
+                    <div>
+                        <p className="text-xs text-muted-foreground">Statement</p>
+                        <p className="font-semibold sensitive">{formatCurrency(summary.statement_balance)}</p>
+                    </div>
+                    <div>
+                        <p className="text-xs text-muted-foreground">Cleared</p>
+                        <p className="font-semibold sensitive">{formatCurrency(summary.cleared_balance)}</p>
+                    </div>
+                    <div>
+                        <p className="text-xs text-muted-foreground">Difference</p>
+                        <p className={`font-semibold sensitive ${summary.balanced ? 'text-success' : 'text-destructive'}`}>
+                            {formatCurrency(summary.difference)}
+                        </p>
+                    </div>
+                </div>
+
+                {summary.candidates.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">No uncleared transactions up to the statement date.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead className="w-10" />
+                                <TableHead>Date</TableHead>
+                                <TableHead>Description</TableHead>
+                                <TableHead className="text-right">Amount</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {summary.candidates.map(entry => (
+                                <TableRow key={entry.transaction_id}>
+                                    <TableCell>
+                                        <Checkbox
+                                            aria-label={`Cleared: ${entry.description}`}
+                                            checked={checkedIds.includes(entry.transaction_id)}
+                                            onCheckedChange={checked => toggle(entry.transaction_id, checked === true)}
+                                        />
+                                    </TableCell>
+                                    <TableCell>{format(parseISO(entry.date), 'MMM d')}</TableCell>
+                                    <TableCell>{entry.description}</TableCell>
+                                    <TableCell className="text-right sensitive">{formatCurrency(entry.amount)}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    <Button variant="outline" onClick={onCancel} disabled={saving}>Cancel</Button>
+                    <Button onClick={handleFinish} disabled={!ready || saving}>
+                        <CheckCircle2 className="mr-2 h-4 w-4" /> Finish Reconciliation
+                    </Button>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
+export default React.memo(ReconcileAccount);
@@ -1,91 +1,178 @@
 /**
- * @fileoverview 30-day cashflow forecast component
- * @description Displays projected balance over next 30 days based on scheduled transactions and bills
+ * @fileoverview Cashflow forecast component
+ * @description Projects a daily running balance from recurring bills, subscriptions,
+ * BNPL installments, debt minimums and shift paychecks, flags the lowest-balance
+ * day and BNPL installments that pile up on low days, and saves each day's run
+ * as a ForecastSnapshot once the inputs have settled
  */
 
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { ThemedCard } from "@/ui/enhanced-components";
 import { CardHeader, CardTitle, CardContent } from "@/ui/card";
-import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
-import { format, addDays } from "date-fns";
+import { Input } from "@/ui/input";
+import { Label } from "@/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select";
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceDot, ReferenceLine } from "recharts";
+import { format, parseISO } from "date-fns";
+import { AlertTriangle, TrendingDown } from "lucide-react";
+import { useWebWorker } from "@/hooks/useWebWorker";
+import { useDebounce } from "@/hooks/useDebounce";
+import { useLocalStorage } from "@/hooks/useLocalStorage";
+import {
+  useBNPLPlans,
+  useCreateForecastSnapshot,
+  useForecastSnapshots,
+  usePaycheckSettings,
+  useShiftRules,
+  useUpdateForecastSnapshot,
+} from "@/hooks/useEntityQueries";
+import { formatCurrency } from "@/utils/calculations";
+import { logError } from "@/utils/logger";
+import { bnplCollisionWarnings } from "@/utils/bnplSchedule";
+import {
+  toForecastSnapshot,
+  type CashflowProjection,
+  type ProjectionDebt,
+  type ProjectionShift,
+  type ProjectionTransaction,
+} from "@/utils/cashflowProjection";
+import type { SubscriptionBill } from "@/utils/subscriptions";
 
 /**
- * Transaction data structure
+ * Cashflow Forecast Props
  */
-interface Transaction {
-  type: 'income' | 'expense';
-  date: string;
-  amount: number;
-  [key: string]: any;
+interface CashflowForecastProps {
+  transactions?: ProjectionTransaction[];
+  bills?: SubscriptionBill[];
+  debts?: ProjectionDebt[];
+  shifts?: ProjectionShift[];
 }
 
-/**
- * Bill data structure
- */
-interface Bill {
-  due_date: number;
-  amount: number;
-  [key: string]: any;
-}
+const HORIZONS = [30, 60, 90];
 
-/**
- * Daily forecast data point
- */
-interface ForecastData {
-  date: string;
-  balance: number;
-  income: number;
-  expenses: number;
-}
+/** Quiet time before a changed projection is saved, so typing a balance writes once */
+const SNAPSHOT_DELAY_MS = 2000;
 
-/**
- * Cashflow Forecast Props
- */
-interface CashflowForecastProps {
-  transactions?: Transaction[];
-  bills?: Bill[];
-}
+// Stable fallbacks so the projection does not rerun on every render
+const NONE: never[] = [];
+const NO_SNAPSHOTS: Array<{ id: string; date: string }> = [];
 
 /**
  * Cashflow forecast chart component
  * @param {CashflowForecastProps} props - Component props
- * @returns {JSX.Element} Forecast chart
+ * @returns {React.ReactElement} Forecast chart
  */
-function CashflowForecast({ transactions = [], bills = [] }: CashflowForecastProps): JSX.Element {
-  /**
-   * Calculate daily balance projections for next 30 days
-   */
-  const data = useMemo<ForecastData[]>(() => {
-    const today = new Date();
-    const days = Array.from({ length: 30 }).map((_, i) => addDays(today, i));
-    let balance = 0;
-    
-    return days.map((d) => {
-      const ds = format(d, "yyyy-MM-dd");
-      const income = transactions
-        .filter(t => t.type === "income" && t.date === ds)
-        .reduce((s, t) => s + (Number(t.amount) || 0), 0);
-      const expense = transactions
-        .filter(t => t.type === "expense" && t.date === ds)
-        .reduce((s, t) => s + (Number(t.amount) || 0), 0);
-      const billsDue = bills
-        .filter(b => Number(b.due_date) === d.getDate())
-        .reduce((s, b) => s + (Number(b.amount) || 0), 0);
-      
-      balance = balance + income - expense - billsDue;
-      
-      return { 
-        date: format(d, "MMM d"), 
-        balance, 
-        income, 
-        expenses: expense + billsDue 
-      };
-    });
-  }, [transactions, bills]);
+function CashflowForecast({ transactions = NONE, bills = NONE, debts = NONE, shifts = NONE }: CashflowForecastProps): React.ReactElement {
+  const { calculateCashflowForecast } = useWebWorker();
+  const { data: bnplPlans = NONE, isLoading: loadingPlans } = useBNPLPlans();
+  const { data: paycheckSettings = null, isLoading: loadingSettings } = usePaycheckSettings();
+  const { data: shiftRules = NONE } = useShiftRules();
+  const { data: snapshots = NO_SNAPSHOTS, isLoading: loadingSnapshots } = useForecastSnapshots();
+  const { mutateAsync: createSnapshot } = useCreateForecastSnapshot();
+  const { mutateAsync: updateSnapshot } = useUpdateForecastSnapshot();
+
+  const [days, setDays] = useLocalStorage<number>("apex-finance:forecast-days", 30);
+  const [startingBalance, setStartingBalance] = useLocalStorage<number>("apex-finance:forecast-balance", 0, { encrypt: true });
+  const [projection, setProjection] = useState<CashflowProjection | null>(null);
+  const saved = useRef<{ key: string; date: string; id?: string } | null>(null);
+  const settled = useDebounce(projection, SNAPSHOT_DELAY_MS);
+
+  useEffect(() => {
+    let cancelled = false;
+    calculateCashflowForecast(
+      {
+        starting_balance: startingBalance,
+        bills,
+        debts,
+        shifts,
+        shift_rules: shiftRules,
+        transactions,
+        bnpl_plans: bnplPlans,
+        paycheck_settings: paycheckSettings,
+      },
+      { days }
+    )
+      .then(result => { if (!cancelled) setProjection(result); })
+      .catch(error => logError("Cashflow projection failed", error));
+    return () => { cancelled = true; };
+  }, [calculateCashflowForecast, startingBalance, bills, debts, shifts, shiftRules, transactions, bnplPlans, paycheckSettings, days]);
+
+  // Keep one snapshot per day, refreshed when the inputs change and then stay put
+  useEffect(() => {
+    if (!settled || loadingSnapshots || loadingPlans || loadingSettings) return;
+    const record = toForecastSnapshot(settled);
+    const key = JSON.stringify(record);
+    if (saved.current?.key === key) return;
+
+    const previous = saved.current?.date === record.date ? saved.current.id : undefined;
+    const id = snapshots.find(s => s.date === record.date)?.id ?? previous;
+    saved.current = { key, date: record.date, id };
+    const save = id ? updateSnapshot({ id, data: record }) : createSnapshot(record);
+    save
+      .then(result => { if (!id && saved.current?.key === key) saved.current.id = result?.id; })
+      .catch(error => logError("Failed to save forecast snapshot", error));
+  }, [settled, loadingSnapshots, loadingPlans, loadingSettings, snapshots, createSnapshot, updateSnapshot]);
+
+  const data = useMemo(
+    () => (projection?.days || []).map(day => ({
+      date: format(parseISO(day.date), "MMM d"),
+      balance: day.balance,
+      income: day.inflow,
+      expenses: day.outflow,
+    })),
+    [projection]
+  );
+
+  const collisions = useMemo(() => bnplCollisionWarnings(projection), [projection]);
+
+  const lowest = projection?.lowest;
+  const lowestLabel = lowest ? format(parseISO(lowest.date), "MMM d") : null;
 
   return (
     <ThemedCard className="">
-      <CardHeader><CardTitle>30-Day Cashflow Forecast</CardTitle></CardHeader>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <CardTitle>{days}-Day Cashflow Forecast</CardTitle>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="forecast-balance" className="text-xs text-muted-foreground">Balance today</Label>
+            <Input
+              id="forecast-balance"
+              type="number"
+              step="0.01"
+              className="h-8 w-28"
+              value={startingBalance}
+              onChange={e => setStartingBalance(parseFloat(e.target.value) || 0)}
+            />
+            <Select value={String(days)} onValueChange={v => setDays(Number(v))}>
+              <SelectTrigger className="h-8 w-24"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                {HORIZONS.map(h => <SelectItem key={h} value={String(h)}>{h} days</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+        {lowest && (
+          <div className={`flex items-center gap-2 text-sm ${lowest.balance < 0 ? "text-destructive" : "text-muted-foreground"}`}>
+            {lowest.balance < 0 ? <AlertTriangle className="h-4 w-4" /> : <TrendingDown className="h-4 w-4" />}
+            <span>
+              Lowest balance <span className="font-semibold sensitive">{formatCurrency(lowest.balance)}</span> on {lowestLabel}
+              {projection!.negative_days > 0 && ` • ${projection!.negative_days} day${projection!.negative_days === 1 ? "" : "s"} below zero`}
+            </span>
+          </div>
+        )}
+        {collisions.map(collision => (
+          <div key={collision.date} className="flex items-center gap-2 text-sm text-warning">
+            <AlertTriangle className="h-4 w-4" />
+            <span>
+              {collision.installments.length} BNPL installments (
+              <span className="sensitive">{formatCurrency(collision.total)}</span>) on{" "}
+              {format(parseISO(collision.date), "MMM d")}, leaving{" "}
+              <span className="font-semibold sensitive">{formatCurrency(collision.balance)}</span>:{" "}
+              {collision.installments.map(item => item.name).join(", ")}
+            </span>
+          </div>
+        ))}
+      </CardHeader>
       <CardContent className="h-64">
         <ResponsiveContainer width="100%" height="100%">
           <AreaChart data={data}>
@@ -98,21 +185,26 @@ function CashflowForecast({ transactions = [], bills = [] }: CashflowForecastPro
             <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" opacity={0.4}/>
             <XAxis dataKey="date" stroke="hsl(var(--muted-foreground))" fontSize={12}/>
             <YAxis stroke="hsl(var(--muted-foreground))" fontSize={12}/>
-            <Tooltip 
+            <Tooltip
               contentStyle={{
                 background: "hsl(var(--popover))",
                 color: "hsl(var(--popover-foreground))",
                 border: "1px solid hsl(var(--border))",
                 borderRadius: 8
               }}
+              formatter={(value: number) => formatCurrency(value)}
             />
-            <Area 
-              type="monotone" 
-              dataKey="balance" 
-              stroke="hsl(var(--primary))" 
-              fill="url(#cf-a)" 
+            <ReferenceLine y={0} stroke="hsl(var(--destructive))" strokeDasharray="4 4" opacity={0.6}/>
+            <Area
+              type="monotone"
+              dataKey="balance"
+              stroke="hsl(var(--primary))"
+              fill="url(#cf-a)"
               name="Balance"
             />
+            {lowest && lowestLabel && (
+              <ReferenceDot x={lowestLabel} y={lowest.balance} r={5} fill="hsl(var(--destructive))" stroke="none"/>
+            )}
           </AreaChart>
         </ResponsiveContainer>
       </CardContent>
@@ -31,6 +31,18 @@ export const DebtAccount = base44.entities.DebtAccount;
 /** @type {import('@base44/sdk').Entity} Investment entity for investment tracking */
 export const Investment = base44.entities.Investment;
 
+/** @type {import('@base44/sdk').EntityMethods} Account entity for bank, card and manually tracked accounts with balances */
+export const Account = base44.entities.Account;
+
+/** @type {import('@base44/sdk').EntityMethods} NetWorthSnapshot entity for point-in-time asset and liability totals */
+export const NetWorthSnapshot = base44.entities.NetWorthSnapshot;
+
+/** @type {import('@base44/sdk').EntityMethods} InvestmentEvent entity for buys, sales, dividends and splits per symbol */
+export const InvestmentEvent = base44.entities.InvestmentEvent;
+
+/** @type {import('@base44/sdk').EntityMethods} PriceQuote entity for manually entered and imported share prices */
+export const PriceQuote = base44.entities.PriceQuote;
+
 // ============================================================================
 // Shift Worker Entities
 // ============================================================================
@@ -44,6 +56,9 @@ export const ShiftRule = base44.entities.ShiftRule;
 /** @type {import('@base44/sdk').Entity} Shift entity for individual work shifts */
 export const Shift = base44.entities.Shift;
 
+/** @type {import('@base44/sdk').EntityMethods} PaystubReconciliation entity for expected vs actual paycheck comparisons */
+export const PaystubReconciliation = base44.entities.PaystubReconciliation;
+
 /** @type {import('@base44/sdk').Entity} ForecastSnapshot entity for cashflow predictions */
 export const ForecastSnapshot = base44.entities.ForecastSnapshot;
 
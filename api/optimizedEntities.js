@@ -87,13 +87,15 @@ function wrapEntity(entity) {
 /**
  * Batch create multiple items
  * @param {Object} entity - Entity to create items for
+ * @param {string} entityName - Name of entity for batch key
  * @param {Array} items - Items to create
  * @returns {Promise<Array>} Created items
  */
-export async function batchCreate(entity, items) {
-  return globalBatcher.add(
-    `${entity.name}/create`,
-    items,
+export async function batchCreate(entity, entityName, items) {
+  // Each item is queued individually so the batcher can resolve them one by one
+  return Promise.all(items.map(item => globalBatcher.add(
+    `${entityName}/create`,
+    item,
     async (batch) => {
       // Process in chunks to avoid overwhelming the API
       const results = [];
@@ -102,9 +104,9 @@ export async function batchCreate(entity, items) {
       for (let i = 0; i < batch.length; i += chunkSize) {
         const chunk = batch.slice(i, i + chunkSize);
         const chunkResults = await Promise.all(
-          chunk.map(item => 
+          chunk.map(batchItem => 
             globalRateLimiter.execute(
-              () => retryWithBackoff(() => entity.create(item))
+              () => retryWithBackoff(() => entity.create(batchItem))
             )
           )
         );
@@ -113,7 +115,7 @@ export async function batchCreate(entity, items) {
 
       return results;
     }
-  );
+  )));
 }
 
 /**
@@ -206,11 +208,16 @@ export const BNPLPlan = wrapEntity(base44.entities.BNPLPlan);
 export const Bill = wrapEntity(base44.entities.Bill);
 export const DebtAccount = wrapEntity(base44.entities.DebtAccount);
 export const Investment = wrapEntity(base44.entities.Investment);
+export const Account = wrapEntity(base44.entities.Account);
+export const NetWorthSnapshot = wrapEntity(base44.entities.NetWorthSnapshot);
+export const InvestmentEvent = wrapEntity(base44.entities.InvestmentEvent);
+export const PriceQuote = wrapEntity(base44.entities.PriceQuote);
 
 // Shift Worker Entities
 export const PaycheckSettings = wrapEntity(base44.entities.PaycheckSettings);
 export const ShiftRule = wrapEntity(base44.entities.ShiftRule);
 export const Shift = wrapEntity(base44.entities.Shift);
+export const PaystubReconciliation = wrapEntity(base44.entities.PaystubReconciliation);
 export const ForecastSnapshot = wrapEntity(base44.entities.ForecastSnapshot);
 
 // Gamification & AI Entities
@@ -16,6 +16,7 @@ import {
   DeduplicatorStats,
   RetryOptions
 } from '@/utils/rateLimiter';
+import type { RetirementPlan } from '@/utils/retirementPlans';
 
 // ============================================================================
 // TYPE DEFINITIONS - Base44 Entity Types
@@ -42,13 +43,27 @@ export interface Transaction extends BaseEntity {
   description: string;
   amount: number;
   category: string;
-  type: 'income' | 'expense';
+  /** Transfers move money between two accounts and are neither income nor expense */
+  type: 'income' | 'expense' | 'transfer';
   date: string;
+  /** Free-text account from before accounts were tracked */
   account?: string;
+  account_id?: string;
+  /** Receiving account of a transfer */
+  transfer_account_id?: string;
+  /** Cleared on the statement of `account_id` */
+  cleared?: boolean;
+  /** Cleared on the statement of `transfer_account_id` */
+  transfer_cleared?: boolean;
+  /** Category lines adding up to the amount; `category` holds the largest line */
+  splits?: Array<{ category: string; amount: number; note?: string }>;
   notes?: string;
   tags?: string[];
   is_recurring?: boolean;
   recurring_interval?: 'daily' | 'weekly' | 'monthly' | 'yearly';
+  /** Institution transaction id from an OFX/QIF import, used to skip re-imports */
+  fitid?: string;
+  import_source?: 'csv' | 'ofx' | 'qif';
 }
 
 /**
@@ -61,7 +76,13 @@ export interface Budget extends BaseEntity {
   start_date?: string;
   end_date?: string;
   is_active?: boolean;
+  /** Carry unspent money and overspending into the next period */
   rollover_enabled?: boolean;
+  /** Budget period; weekly and biweekly periods start on paydays (default monthly) */
+  period?: 'weekly' | 'biweekly' | 'monthly';
+  /** Month the limit applies from, for per-month records */
+  year?: number;
+  month?: number;
 }
 
 /**
@@ -76,20 +97,53 @@ export interface Goal extends BaseEntity {
   priority?: 'low' | 'medium' | 'high';
   is_completed?: boolean;
   completed_date?: string;
+  /** Contribution ledger; withdrawals are negative */
+  contributions?: Array<{
+    id: string;
+    date: string;
+    amount: number;
+    source: 'manual' | 'paycheck' | 'overtime' | 'round_up' | 'bill_payment';
+    transaction_id?: string;
+    transaction_ids?: string[];
+    source_id?: string;
+    note?: string;
+  }>;
+  /** Bill a sinking fund saves for */
+  bill_id?: string;
+  /** Bill payment a sinking fund was last drawn down for */
+  last_reset_date?: string;
 }
 
 /**
- * BNPL (Buy Now Pay Later) Plan entity type
+ * BNPL (Buy Now Pay Later) Plan entity type. Field names match the BNPL form
+ * and types/entities; the older names are still read by utils/bnplSchedule.
  */
 export interface BNPLPlan extends BaseEntity {
   merchant: string;
+  provider: string;
   total_amount: number;
-  remaining_amount: number;
-  payment_amount: number;
+  principal_amount?: number;
+  installment_amount: number;
+  total_installments: number;
+  remaining_installments: number;
   payment_frequency: 'weekly' | 'biweekly' | 'monthly';
-  next_payment_date: string;
-  num_payments_remaining: number;
+  next_due_date: string;
+  purchase_date?: string | null;
+  first_payment_date?: string | null;
+  /** Annual rate in percent, for monthly financing plans */
+  apr?: number | null;
+  installment_payments?: Array<{ number: number; paid_date: string; amount?: number; missed?: boolean }>;
+  status?: 'active' | 'paid' | 'overdue' | 'cancelled';
   is_autopay?: boolean;
+  notes?: string;
+  /** @deprecated Use installment_amount */
+  payment_amount?: number;
+  /** @deprecated Use next_due_date */
+  next_payment_date?: string;
+  /** @deprecated Use remaining_installments */
+  num_payments_remaining?: number;
+  /** @deprecated Derived from the installment schedule */
+  remaining_amount?: number;
 }
 
 /**
@@ -101,10 +155,18 @@ export interface Bill extends BaseEntity {
   due_date: string;
   category: string;
   is_recurring: boolean;
-  frequency?: 'monthly' | 'quarterly' | 'annually';
+  frequency?: 'weekly' | 'biweekly' | 'monthly' | 'quarterly' | 'annually';
   is_autopay?: boolean;
   reminder_days?: number;
   is_paid?: boolean;
+  last_paid_date?: string;
+  /** Recurring series key when the bill was created from detected transactions */
+  detected_from?: string;
+  status?: 'active' | 'cancelled';
+  /** Subscription answer to "still using this?" */
+  usage_status?: 'using' | 'unsure' | 'not_using';
+  /** Subscription cancellation reminder date */
+  cancel_by?: string;
 }
 
 /**
@@ -119,6 +181,16 @@ export interface DebtAccount extends BaseEntity {
   type: 'credit_card' | 'loan' | 'mortgage' | 'student_loan' | 'other';
   account_number?: string;
   institution?: string;
+  /** Promotional annual rate in percent while the promo runs */
+  promo_apr?: number | null;
+  promo_start_date?: string | null;
+  /** Last day of the promotional rate, yyyy-MM-dd */
+  promo_end_date?: string | null;
+  /** Interest is charged back to the promo start if the balance is not paid by the end date */
+  deferred_interest?: boolean;
+  balance_transfer_amount?: number | null;
+  /** Balance transfer fee in percent of the transferred amount */
+  balance_transfer_fee?: number | null;
 }
 
 /**
@@ -134,6 +206,75 @@ export interface Investment extends BaseEntity {
   current_value?: number;
   cost_basis?: number;
   return_percentage?: number;
+  account_type?: 'taxable' | '401k' | 'ira_traditional' | 'ira_roth' | 'hsa' | 'other';
+  purchase_date?: string;
+}
+
+/**
+ * Investment Event entity type: one buy, sale, dividend, reinvested dividend
+ * or split in the holdings ledger
+ */
+export interface InvestmentEvent extends BaseEntity {
+  symbol: string;
+  type: 'buy' | 'sell' | 'dividend' | 'reinvest' | 'split';
+  /** yyyy-MM-dd */
+  date: string;
+  shares?: number;
+  /** Price per share */
+  price?: number;
+  /** Cash dividend, or the dividend a reinvestment bought shares with */
+  amount?: number;
+  fees?: number;
+  /** Splits: new shares per old share */
+  ratio?: number;
+  /** Sales: lots sold by specific identification; first-in first-out when empty */
+  lots?: Array<{ lot_id: string; shares: number }> | null;
+}
+
+/**
+ * Price Quote entity type: a share price entered by hand or imported from CSV
+ */
+export interface PriceQuote extends BaseEntity {
+  symbol: string;
+  /** yyyy-MM-dd */
+  date: string;
+  price: number;
+}
+
+/**
+ * Account entity type: a bank, card or cash account that tracks transactions,
+ * or a manually tracked account or asset
+ */
+export interface Account extends BaseEntity {
+  name: string;
+  type: 'checking' | 'savings' | 'credit_card' | 'cash' | 'hsa' | 'retirement' | 'vehicle' | 'property' | 'other_asset' | 'other_liability';
+  /** Latest entered balance or estimated value, for accounts that do not track transactions */
+  balance?: number;
+  /** Balance on the opening date; set on accounts whose balance runs from transactions */
+  opening_balance?: number | null;
+  opening_date?: string | null;
+  institution?: string;
+  /** Every balance the user has entered, oldest first */
+  balance_history?: Array<{ date: string; balance: number; note?: string }>;
+  archived?: boolean;
+  /** Statement date and balance of the last completed reconciliation */
+  last_reconciled_date?: string | null;
+  reconciled_balance?: number | null;
+}
+
+/**
+ * Net Worth Snapshot entity type
+ */
+export interface NetWorthSnapshot extends BaseEntity {
+  /** Day the snapshot was taken, yyyy-MM-dd */
+  date: string;
+  /** Monthly snapshots are taken automatically, manual ones on demand */
+  source: 'monthly' | 'manual';
+  total_assets: number;
+  total_liabilities: number;
+  net_worth: number;
+  /** Totals for every asset and liability category */
+  categories: Array<{ key: string; label: string; kind: 'asset' | 'liability'; value: number }>;
 }
 
 /**
@@ -147,6 +288,22 @@ export interface PaycheckSettings extends BaseEntity {
   fica_rate: number;
   pay_frequency: 'weekly' | 'biweekly' | 'semimonthly' | 'monthly';
   next_payday?: string;
+  filing_status?: string;
+  tax_state?: string;
+  multiple_jobs?: boolean;
+  qualifying_children?: number;
+  other_dependents?: number;
+  extra_withholding?: number;
+  extra_state_withholding?: number;
+  retirement_401k?: number;
+  hsa?: number;
+  section_125?: number;
+  pre_tax_deductions?: number;
+  post_tax_deductions?: number;
+  /** ISO birth date, for retirement catch-up limits */
+  birth_date?: string;
+  /** Percent-of-pay 401(k) / 403(b) / 457(b) plans with match and vesting */
+  retirement_plans?: RetirementPlan[];
 }
 
 /**
@@ -167,15 +324,44 @@ export interface ShiftRule extends BaseEntity {
  */
 export interface Shift extends BaseEntity {
   title: string;
-  start_time: string;
-  end_time: string;
-  hours: number;
-  base_pay: number;
-  differential_pay?: number;
-  total_pay: number;
+  /** Local wall-clock start, `yyyy-MM-ddTHH:mm` */
+  start_datetime: string;
+  end_datetime: string;
+  scheduled_hours?: number;
+  break_minutes?: number;
+  hourly_rate?: number;
+  shift_rule_id?: string;
+  status?: string;
   notes?: string;
   location?: string;
-  is_confirmed?: boolean;
+  import_source?: string;
+  external_id?: string;
+}
+
+/**
+ * Paystub Reconciliation entity type
+ */
+export interface PaystubReconciliation extends BaseEntity {
+  period_start: string;
+  period_end: string;
+  pay_date?: string;
+  employer?: string;
+  file_url?: string;
+  paystub: Record<string, unknown>;
+  expected_gross: number;
+  actual_gross: number;
+  difference: number;
+  discrepancies: Array<{
+    kind: string;
+    label: string;
+    unit: 'hours' | 'amount';
+    expected: number;
+    actual: number;
+    difference: number;
+  }>;
+  status: 'matched' | 'unresolved' | 'resolved';
+  resolved_at?: string;
+  notes?: string;
 }
 
 /**
@@ -187,6 +373,12 @@ export interface ForecastSnapshot extends BaseEntity {
   projected_expenses: number;
   projected_balance: number;
   confidence_score?: number;
+  /** Days covered by the projection */
+  horizon_days?: number;
+  starting_balance?: number;
+  lowest_balance?: number;
+  lowest_balance_date?: string;
+  daily_balances?: Array<{ date: string; balance: number }>;
 }
 
 /**
@@ -266,6 +458,8 @@ export interface StateTaxConfig extends BaseEntity {
     max: number | null;
     rate: number;
   }>;
+  standard_deduction?: number;
+  filing_status?: 'single' | 'married_joint' | 'married_separate' | 'head_of_household';
 }
 
 /**
@@ -678,11 +872,16 @@ export const BNPLPlan: WrappedEntity<BNPLPlan> = wrapEntity(base44.entities.BNPL
 export const Bill: WrappedEntity<Bill> = wrapEntity(base44.entities.Bill as any as EntityCRUD<Bill>, 'Bill');
 export const DebtAccount: WrappedEntity<DebtAccount> = wrapEntity(base44.entities.DebtAccount as any as EntityCRUD<DebtAccount>, 'DebtAccount');
 export const Investment: WrappedEntity<Investment> = wrapEntity(base44.entities.Investment as any as EntityCRUD<Investment>, 'Investment');
+export const Account: WrappedEntity<Account> = wrapEntity(base44.entities.Account as any as EntityCRUD<Account>, 'Account');
+export const NetWorthSnapshot: WrappedEntity<NetWorthSnapshot> = wrapEntity(base44.entities.NetWorthSnapshot as any as EntityCRUD<NetWorthSnapshot>, 'NetWorthSnapshot');
+export const InvestmentEvent: WrappedEntity<InvestmentEvent> = wrapEntity(base44.entities.InvestmentEvent as any as EntityCRUD<InvestmentEvent>, 'InvestmentEvent');
+export const PriceQuote: WrappedEntity<PriceQuote> = wrapEntity(base44.entities.PriceQuote as any as EntityCRUD<PriceQuote>, 'PriceQuote');
 
 // Shift Worker Entities
 export const PaycheckSettings: WrappedEntity<PaycheckSettings> = wrapEntity(base44.entities.PaycheckSettings as any as EntityCRUD<PaycheckSettings>, 'PaycheckSettings');
 export const ShiftRule: WrappedEntity<ShiftRule> = wrapEntity(base44.entities.ShiftRule as any as EntityCRUD<ShiftRule>, 'ShiftRule');
 export const Shift: WrappedEntity<Shift> = wrapEntity(base44.entities.Shift as any as EntityCRUD<Shift>, 'Shift');
+export const PaystubReconciliation: WrappedEntity<PaystubReconciliation> = wrapEntity(base44.entities.PaystubReconciliation as any as EntityCRUD<PaystubReconciliation>, 'PaystubReconciliation');
 export const ForecastSnapshot: WrappedEntity<ForecastSnapshot> = wrapEntity(base44.entities.ForecastSnapshot as any as EntityCRUD<ForecastSnapshot>, 'ForecastSnapshot');
 
 // Gamification & AI Entities
@@ -111,8 +111,10 @@ function BNPLPlanForm({ plan, onSubmit, onCancel }: BNPLPlanFormProps) {
         installment_amount: "",
         total_installments: 4,
         remaining_installments: 4,
+        purchase_date: new Date().toISOString().split('T')[0],
         first_payment_date: new Date().toISOString().split('T')[0],
         payment_frequency: "biweekly",
+        apr: "",
         next_due_date: new Date().toISOString().split('T')[0],
         status: "active",
         notes: ""
@@ -137,7 +139,8 @@ function BNPLPlanForm({ plan, onSubmit, onCancel }: BNPLPlanFormProps) {
             principal_amount: formData.principal_amount ? parseFloat(String(formData.principal_amount)) : 0,
             installment_amount: formData.installment_amount ? parseFloat(String(formData.installment_amount)) : 0,
             total_installments: formData.total_installments ? parseInt(String(formData.total_installments)) : 0,
-            remaining_installments: formData.remaining_installments ? parseInt(String(formData.remaining_installments)) : 0
+            remaining_installments: formData.remaining_installments ? parseInt(String(formData.remaining_installments)) : 0,
+            apr: formData.apr ? parseFloat(String(formData.apr)) : 0
         });
     };
 
@@ -268,6 +271,41 @@ function BNPLPlanForm({ plan, onSubmit, onCancel }: BNPLPlanFormProps) {
                                 </Select>
                             </div>
 
+                            <div className="space-y-2">
+                                <Label htmlFor="purchase_date" className="text-foreground">Purchase Date</Label>
+                                <Input
+                                    id="purchase_date"
+                                    type="date"
+                                    value={formData.purchase_date || ""}
+                                    onChange={(e: any): any => setFormData({...formData, purchase_date: e.target.value})}
+                                />
+                            </div>
+
+                            <div className="space-y-2">
+                                <Label htmlFor="first_payment_date" className="text-foreground">First Payment Date</Label>
+                                <Input
+                                    id="first_payment_date"
+                                    type="date"
+                                    value={formData.first_payment_date || ""}
+                                    onChange={(e: any): any => setFormData({...formData, first_payment_date: e.target.value})}
+                                />
+                            </div>
+
+                            {formData.payment_frequency === "monthly" && (
+                                <div className="space-y-2">
+                                    <Label htmlFor="apr" className="text-foreground">APR (%)</Label>
+                                    <Input
+                                        id="apr"
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        placeholder="0"
+                                        value={formData.apr ?? ""}
+                                        onChange={(e: any): any => setFormData({...formData, apr: e.target.value})}
+                                    />
+                                </div>
+                            )}
+
                             <div className="space-y-2">
                                 <Label htmlFor="next_due_date" className="text-foreground">Next Payment Due</Label>
                                 <Input
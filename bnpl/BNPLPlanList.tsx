@@ -4,17 +4,18 @@
  * @description Animated list showing BNPL plans with progress, status badges, and actions
  */
 
-import React from "react";
+import React, { useMemo } from "react";
 import type { BNPLPlan, BNPLPlanListProps } from "./types";
 import { Card, CardContent, CardHeader, CardTitle } from "@/ui/card";
 import { Button } from "@/ui/button";
 import { Badge } from "@/ui/badge";
 import { Progress } from "@/ui/progress";
-import { Calendar, Edit, Trash2, CheckCircle2, CreditCard } from "lucide-react";
-import { format } from "date-fns";
+import { Calendar, Edit, Trash2, CheckCircle2, CreditCard, AlertTriangle } from "lucide-react";
+import { format, parseISO } from "date-fns";
 import { ListSkeleton } from "@/shared/SkeletonLoaders";
 import { motion, AnimatePresence } from "framer-motion";
 import { formatCurrency } from "@/utils/calculations";
+import { generateBNPLSchedule, type BNPLInstallmentStatus, type BNPLSchedule } from "@/utils/bnplSchedule";
 
 /**
  * Provider-specific color schemes
@@ -41,6 +42,17 @@ const statusColors = {
     cancelled: "bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-400"
 };
 
+/**
+ * Installment chip colors by status
+ * @type {Object.<string, string>}
+ */
+const installmentColors: Record<BNPLInstallmentStatus, string> = {
+    paid: "bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400",
+    missed: "bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400",
+    due: "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400",
+    upcoming: "bg-muted text-muted-foreground"
+};
+
 /**
  * BNPL plan list component with animations
  * @param {Object} props - Component props
@@ -63,6 +75,13 @@ function BNPLPlanList({ plans, onEdit, onMarkPaid, onDelete, isLoading }: BNPLPl
         return new Date(dueDate) < new Date() && new Date(dueDate).toDateString() !== new Date().toDateString();
     };
 
+    // Installment schedules by plan id; plans missing amounts or dates keep the saved counts
+    const schedules = useMemo(() => {
+        const byId = new Map<BNPLPlan["id"], BNPLSchedule | null>();
+        for (const plan of plans) byId.set(plan.id, generateBNPLSchedule(plan));
+        return byId;
+    }, [plans]);
+
     return (
         <Card className="border shadow-lg bg-card backdrop-blur-sm">
             <CardHeader>
@@ -78,8 +97,13 @@ function BNPLPlanList({ plans, onEdit, onMarkPaid, onDelete, isLoading }: BNPLPl
                     <div className="space-y-4">
                         <AnimatePresence>
                             {plans.map((plan: any) => {
-                                const progress = ((plan.total_installments - plan.remaining_installments) / plan.total_installments) * 100;
-                                const remainingAmount = plan.installment_amount * plan.remaining_installments;
+                                const schedule = schedules.get(plan.id);
+                                const totalCount = schedule ? schedule.installments.length : plan.total_installments;
+                                const paidCount = schedule ? schedule.paid_count : plan.total_installments - plan.remaining_installments;
+                                const progress = totalCount > 0 ? (paidCount / totalCount) * 100 : 0;
+                                const remainingAmount = schedule ? schedule.remaining_balance : plan.installment_amount * plan.remaining_installments;
+                                const nextDue = schedule?.next_installment?.due_date ?? plan.next_due_date;
+                                const overdue = plan.status === 'active' && (schedule ? schedule.missed_count > 0 : isOverdue(plan.next_due_date));
                                 
                                 return (
                                     <motion.div
@@ -88,7 +112,7 @@ function BNPLPlanList({ plans, onEdit, onMarkPaid, onDelete, isLoading }: BNPLPl
                                         animate={{ opacity: 1, y: 0 }}
                                         exit={{ opacity: 0, y: -20 }}
                                         className={`p-4 rounded-lg border transition-colors ${
-                                            isOverdue(plan.next_due_date) && plan.status === 'active' 
+                                            overdue
                                                 ? 'border-destructive/50 bg-destructive/5' 
                                                 : 'border-border hover:bg-accent/50'
                                         }`}
@@ -113,12 +137,12 @@ function BNPLPlanList({ plans, onEdit, onMarkPaid, onDelete, isLoading }: BNPLPl
                                                             variant="secondary"
                                                             className={statusColors[plan.status]}
                                                         >
-                                                            {plan.status === 'active' && isOverdue(plan.next_due_date) ? 'Overdue' : plan.status}
+                                                            {overdue ? 'Overdue' : plan.status}
                                                         </Badge>
-                                                        {plan.status === 'active' && (
+                                                        {plan.status === 'active' && nextDue && (
                                                             <span className="text-xs text-muted-foreground flex items-center gap-1">
                                                                 <Calendar className="h-3 w-3" />
-                                                                Due {format(new Date(plan.next_due_date), "MMM d")}
+                                                                Due {format(new Date(nextDue), "MMM d")}
                                                             </span>
                                                         )}
                                                     </div>
@@ -129,15 +153,20 @@ function BNPLPlanList({ plans, onEdit, onMarkPaid, onDelete, isLoading }: BNPLPl
                                                     {formatCurrency(remainingAmount)}
                                                 </p>
                                                 <p className="text-sm text-muted-foreground">
-                                                    of <span className="sensitive">{formatCurrency(plan.principal_amount)}</span>
+                                                    of <span className="sensitive">{formatCurrency(schedule ? schedule.total_cost : plan.principal_amount)}</span>
                                                 </p>
+                                                {schedule && schedule.apr > 0 && (
+                                                    <p className="text-xs text-muted-foreground">
+                                                        {schedule.apr}% APR • <span className="sensitive">{formatCurrency(schedule.total_interest)}</span> interest
+                                                    </p>
+                                                )}
                                             </div>
                                         </div>
 
                                         <div className="space-y-2 mb-4">
                                             <div className="flex justify-between text-sm">
                                                 <span className="text-muted-foreground">
-                                                    {plan.total_installments - plan.remaining_installments} of {plan.total_installments} payments made
+                                                    {paidCount} of {totalCount} payments made
                                                 </span>
                                                 <span className="text-muted-foreground">
                                                     {progress.toFixed(0)}% complete
@@ -146,6 +175,30 @@ function BNPLPlanList({ plans, onEdit, onMarkPaid, onDelete, isLoading }: BNPLPl
                                             <Progress value={progress} className="h-2" />
                                         </div>
 
+                                        {schedule && (
+                                            <div className="mb-4 space-y-2">
+                                                <div className="flex flex-wrap gap-2">
+                                                    {schedule.installments.map(installment => (
+                                                        <span
+                                                            key={installment.number}
+                                                            className={`text-xs rounded px-2 py-1 ${installmentColors[installment.status]}`}
+                                                            title={installment.status}
+                                                        >
+                                                            {format(parseISO(installment.due_date), "MMM d")}
+                                                            {' • '}
+                                                            <span className="sensitive">{formatCurrency(installment.amount)}</span>
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                                {schedule.late_fees > 0 && (
+                                                    <p className="text-xs text-destructive flex items-center gap-1">
+                                                        <AlertTriangle className="h-3 w-3" />
+                                                        {schedule.missed_count} missed • <span className="sensitive">{formatCurrency(schedule.late_fees)}</span> in late fees
+                                                    </p>
+                                                )}
+                                            </div>
+                                        )}
+
                                         <div className="flex items-center justify-between">
                                             <div className="text-sm text-muted-foreground">
                                                 <span className="sensitive">{formatCurrency(plan.installment_amount)}</span> per {plan.payment_frequency === 'biweekly' ? '2 weeks' : plan.payment_frequency}
@@ -1,58 +1,65 @@
-// @ts-nocheck
 /**
  * @fileoverview BNPL (Buy Now Pay Later) summary component
- * @description Displays summary cards for active BNPL plans, total owed, and next payments
+ * @description Displays summary cards for active BNPL plans, total owed, the next
+ * installment and late fees, all read from each plan's installment schedule
  */
 
 import React, { useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { formatCurrency } from '../utils/calculations';
+import { summarizeBNPLPlans } from '@/utils/bnplSchedule';
 import { DashboardCardSkeleton } from '@/shared/SkeletonLoaders';
+import type { BNPLSummaryProps } from './types';
+
+interface SummaryCard {
+    title: string;
+    value: string;
+    detail?: string;
+    tone: string;
+    sensitive?: boolean;
+}
 
 /**
  * BNPL summary component with statistics cards
- * @param {Object} props - Component props
- * @param {Array<Object>} props.plans - BNPL payment plans
- * @param {boolean} props.isLoading - Loading state
- * @returns {JSX.Element} Summary cards grid
+ * @param {BNPLSummaryProps} props - Plans and loading state
+ * @returns {React.ReactElement} Summary cards grid
  */
+function BNPLSummary({ plans, isLoading }: BNPLSummaryProps): React.ReactElement {
+    const summaryCards = useMemo((): SummaryCard[] => {
+        const summary = summarizeBNPLPlans(plans || []);
+        const next = summary.upcoming.find(item => item.installment.status !== 'missed') ?? summary.upcoming[0];
 
-
-function BNPLSummary({ plans, isLoading }: BNPLSummaryProps) {
-    /**
-     * Calculate BNPL summary statistics
-     */
-    const summary = useMemo(() => {
-        const activePlans = plans.filter(p => p.status === 'active');
-        const totalOwed = activePlans.reduce((sum: number, p: BNPLPlan): number => sum + (p.installment_amount * p.remaining_installments), 0);
-        const nextPayments = activePlans
-            .sort((a: BNPLPlan, b: BNPLPlan) => new Date(a.next_due_date) - new Date(b.next_due_date))
-            .slice(0, 3);
-
-        // Define summary cards without icons, colors, or background colors due to import changes
-        const summaryCards = [
+        return [
             {
-                title: "Active Plans",
-                value: activePlans.length.toString(),
+                title: 'Active Plans',
+                value: summary.active_count.toString(),
+                tone: 'text-primary',
             },
             {
-                title: "Total Owed",
-                value: formatCurrency(totalOwed),
+                title: 'Total Owed',
+                value: formatCurrency(summary.total_owed),
+                tone: 'text-destructive',
+                sensitive: true,
             },
             {
-                title: "Next Payment",
-                // Using toLocaleDateString as 'format' from 'date-fns' is no longer imported
-                value: nextPayments[0] ? new Date(nextPayments[0].next_due_date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : "None",
+                title: 'Next Payment',
+                value: next ? format(parseISO(next.installment.due_date), 'MMM d') : 'None',
+                detail: next ? `${formatCurrency(next.installment.amount)} • ${next.schedule.name}` : undefined,
+                tone: 'text-foreground',
+            },
+            {
+                title: 'Late Fees',
+                value: formatCurrency(summary.late_fees),
+                detail: summary.missed_count > 0
+                    ? `${summary.missed_count} missed installment${summary.missed_count === 1 ? '' : 's'}`
+                    : 'No missed installments',
+                tone: summary.missed_count > 0 ? 'text-destructive' : 'text-foreground',
+                sensitive: true,
             },
-            // The "Due This Week" card has been removed as AlertTriangle icon is not imported.
-            // To add it back, ensure AlertTriangle is imported and its logic is included.
         ];
-
-        return { activePlans, totalOwed, nextPayments, summaryCards };
     }, [plans]);
 
-    const { summaryCards } = summary;
-
     if (isLoading) {
         return (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
@@ -64,32 +71,22 @@ function BNPLSummary({ plans, isLoading }: BNPLSummaryProps) {
         );
     }
 
-    /**
-     * Get color class for value based on card title
-     * @param {string} title - Card title
-     * @returns {string} Tailwind color class
-     */
-    const valueColor = (title) => {
-        if (title === "Total Owed") return "text-destructive";
-        if (title === "Active Plans") return "text-primary";
-        if (title === "Next Payment") return "text-foreground";
-        return "text-foreground";
-    };
-
     return (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-            {summaryCards.map((card, index) => (
-                <Card key={index} className="border-0 shadow-lg bg-card backdrop-blur-sm">
+            {summaryCards.map(card => (
+                <Card key={card.title} className="border-0 shadow-lg bg-card backdrop-blur-sm">
                     <CardHeader className="flex flex-row items-center justify-between pb-2">
                         <CardTitle className="text-sm font-medium text-muted-foreground">
                             {card.title}
                         </CardTitle>
-                        {/* The icon div has been removed as lucide-react icons are no longer imported */}
                     </CardHeader>
                     <CardContent>
-                        <div className={`text-2xl font-bold ${valueColor(card.title)}`}>
+                        <div className={`text-2xl font-bold ${card.tone} ${card.sensitive ? 'sensitive' : ''}`}>
                             {card.value}
                         </div>
+                        {card.detail && (
+                            <p className="text-xs text-muted-foreground mt-1 sensitive">{card.detail}</p>
+                        )}
                     </CardContent>
                 </Card>
             ))}
@@ -97,24 +94,4 @@ function BNPLSummary({ plans, isLoading }: BNPLSummaryProps) {
     );
 }
 
-/**
- * Skeleton for BNPL summary card during loading
- * @returns {JSX.Element} Card skeleton
- */
-function StatCardSkeleton() {
-    return (
-        <Card className="border-0 shadow-lg bg-card backdrop-blur-sm">
-            <CardHeader className="flex flex-row items-center justify-between pb-2">
-                {/* Skeleton for the CardTitle */}
-                <Skeleton className="h-4 w-1/2" />
-                {/* A small skeleton could be placed here if an icon placeholder is desired */}
-            </CardHeader>
-            <CardContent>
-                {/* Skeleton for the value */}
-                <Skeleton className="h-8 w-3/4" />
-            </CardContent>
-        </Card>
-    );
-}
-
 export default React.memo(BNPLSummary);
@@ -8,6 +8,10 @@
  * @packageDocumentation
  */
 
+import type { BNPLInstallmentPayment } from '@/utils/bnplSchedule';
+
+export type { BNPLInstallmentPayment };
+
 /**
  * Represents a Buy Now Pay Later payment plan
  * 
@@ -71,6 +75,18 @@ export interface BNPLPlan {
   /** Payment frequency (e.g., 'weekly', 'biweekly', 'monthly') */
   payment_frequency?: string;
   
+  /** Date of purchase; Pay-in-4 plans take the first installment at checkout */
+  purchase_date?: string | Date;
+  
+  /** Annual interest rate in percent for monthly financing plans */
+  apr?: number;
+  
+  /** Whether installments are drawn automatically */
+  is_autopay?: boolean;
+  
+  /** Installments paid so far, by installment number */
+  installment_payments?: BNPLInstallmentPayment[];
+  
   /** Current status of the plan (e.g., 'active', 'paid', 'overdue', 'cancelled') */
   status?: string;
   
@@ -142,6 +158,15 @@ export interface BNPLPlanFormData {
   /** Payment frequency */
   payment_frequency?: string;
   
+  /** Purchase date */
+  purchase_date?: string | Date;
+  
+  /** Annual interest rate (string from input or converted number) */
+  apr?: string | number;
+  
+  /** Installments paid so far */
+  installment_payments?: BNPLInstallmentPayment[];
+  
   /** Plan status */
   status?: string;
   
@@ -210,4 +235,7 @@ export interface BNPLPlanListProps {
 export interface BNPLSummaryProps {
   /** Array of BNPL plans to summarize */
   plans: BNPLPlan[];
+  
+  /** Optional loading state indicator */
+  isLoading?: boolean;
 }
@@ -9,6 +9,7 @@ import React, { useState } from 'react';
 import { Button } from '@/ui/button';
 import { Input } from '@/ui/input';
 import { Label } from '@/ui/label';
+import { Switch } from '@/ui/switch';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
 import { DollarSign, Save, Check } from 'lucide-react';
 import { format } from 'date-fns';
@@ -33,6 +34,15 @@ const categoryOptions: CategoryOption[] = [
     { value: "other_expense", label: "Other" }
 ];
 
+/**
+ * Budget period options; weekly and biweekly periods start on paydays
+ */
+const periodOptions = [
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'biweekly', label: 'Every two weeks' },
+    { value: 'weekly', label: 'Weekly' },
+];
+
 /**
  * Budget form component with autosave functionality
  * @component
@@ -45,7 +55,9 @@ function BudgetForm({ budget, onSubmit, onCancel }: BudgetFormProps): JSX.Elemen
         category: '',
         monthly_limit: '',
         year: now.getFullYear(),
-        month: now.getMonth() + 1
+        month: now.getMonth() + 1,
+        period: 'monthly',
+        rollover_enabled: false
     });
 
     /**
@@ -60,7 +72,9 @@ function BudgetForm({ budget, onSubmit, onCancel }: BudgetFormProps): JSX.Elemen
                     ? parseFloat(formData.monthly_limit) 
                     : formData.monthly_limit,
                 year: formData.year,
-                month: formData.month
+                month: formData.month,
+                period: formData.period || 'monthly',
+                rollover_enabled: Boolean(formData.rollover_enabled)
             };
             onSubmit(budgetData);
         }
@@ -118,6 +132,40 @@ function BudgetForm({ budget, onSubmit, onCancel }: BudgetFormProps): JSX.Elemen
                         required
                     />
                 </div>
+                {formData.period && formData.period !== 'monthly' && (
+                    <p className="text-xs text-muted-foreground">
+                        Split evenly across {formData.period === 'weekly' ? 'weekly' : 'two-week'} periods
+                    </p>
+                )}
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                    <Label htmlFor="period" className="text-foreground">Budget Period</Label>
+                    <Select
+                        value={formData.period || 'monthly'}
+                        onValueChange={(value) => setFormData({...formData, period: value as Budget['period']})}
+                    >
+                        <SelectTrigger id="period">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {periodOptions.map(opt => (
+                                <SelectItem key={opt.value} value={opt.value}>{opt.label}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+                <div className="space-y-2">
+                    <Label htmlFor="rollover_enabled" className="text-foreground">Roll Over</Label>
+                    <div className="flex items-center gap-2 h-10">
+                        <Switch
+                            id="rollover_enabled"
+                            checked={Boolean(formData.rollover_enabled)}
+                            onCheckedChange={(checked) => setFormData({...formData, rollover_enabled: checked})}
+                        />
+                        <span className="text-xs text-muted-foreground">Carry leftovers and overspending forward</span>
+                    </div>
+                </div>
             </div>
              <div className="grid grid-cols-2 gap-4">
                  <div className="space-y-2">
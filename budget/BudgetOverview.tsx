@@ -1,15 +1,26 @@
 /**
- * @fileoverview Budget overview component showing monthly budget summary
+ * @fileoverview Budget overview component showing the current budget period
  * @description Displays total budget metrics including spent amount, remaining budget,
- * and overall progress with visual indicators
+ * amounts rolled over and overall progress, plus each category's history across
+ * its last 12 budget periods
  */
 
-import React, { useMemo, memo } from 'react';
+import React, { useMemo, useState, memo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { ThemedProgress } from '@/ui/enhanced-components';
-import { TrendingDown, DollarSign, PiggyBank } from 'lucide-react';
-import { format, startOfMonth, endOfMonth } from 'date-fns';
-import type { Budget, Transaction, BudgetOverviewData, BudgetOverviewProps } from '@/types/financial.types';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { TrendingDown, DollarSign, PiggyBank, History } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+import { format, parseISO } from 'date-fns';
+import { usePaycheckSettings } from '@/hooks/useEntityQueries';
+import { buildBudgetHistory, type BudgetCategoryHistory, type BudgetPeriodSnapshot } from '@/utils/budgetPeriods';
+import type { BudgetOverviewData, BudgetOverviewProps } from '@/types/financial.types';
+
+/**
+ * Number of past periods shown per category
+ */
+const HISTORY_PERIODS = 12;
 
 /**
  * Format currency for display
@@ -21,36 +32,45 @@ const formatCurrency = (amount: number): string => {
 };
 
 /**
- * Budget overview component showing monthly summary
+ * Short label for a budget period: the month for calendar months, else the start day
+ * @param {BudgetPeriodSnapshot} snapshot - Budget period
+ * @returns {string} Period label
+ */
+const periodLabel = (snapshot: BudgetPeriodSnapshot): string => {
+    const start = parseISO(snapshot.start);
+    return start.getDate() === 1 && snapshot.end.slice(0, 7) === snapshot.start.slice(0, 7)
+        ? format(start, 'MMM yyyy')
+        : format(start, 'MMM d');
+};
+
+/**
+ * Budget overview component showing the current period and period history
  * @component
  * @param {BudgetOverviewProps} props - Component props
- * @returns {JSX.Element} Budget overview display
+ * @returns {React.ReactElement} Budget overview display
  */
-function BudgetOverview({ budgets, transactions }: BudgetOverviewProps): JSX.Element {
-    const now = new Date();
+function BudgetOverview({ budgets, transactions }: BudgetOverviewProps): React.ReactElement {
+    const { data: paycheckSettings = null } = usePaycheckSettings();
+    const [selectedCategory, setSelectedCategory] = useState<string | null>(null);
+
+    /**
+     * Period snapshots for every budget category
+     */
+    const histories = useMemo<BudgetCategoryHistory[]>(
+        () => buildBudgetHistory(budgets, transactions, { count: HISTORY_PERIODS, paycheck_settings: paycheckSettings }),
+        [budgets, transactions, paycheckSettings]
+    );
 
     /**
-     * Calculate total budget metrics for current month
+     * Calculate total budget metrics for the current period of each category
      */
-    const { totalBudget, totalSpent, remaining, progress } = useMemo<BudgetOverviewData>(() => {
-        const monthStart = startOfMonth(now);
-        const monthEnd = endOfMonth(now);
-
-        // Filter transactions for current month expenses
-        const currentMonthTransactions = transactions.filter(t => {
-            const transactionDate = new Date(t.date);
-            return transactionDate >= monthStart && 
-                   transactionDate <= monthEnd && 
-                   t.type === 'expense';
-        });
-
-        // Calculate total spent
-        const totalSpent = currentMonthTransactions.reduce((sum, t) => sum + t.amount, 0);
-
-        // Calculate total budget for current month
-        const totalBudget = budgets
-            .filter(b => b.year === now.getFullYear() && b.month === now.getMonth() + 1)
-            .reduce((sum, b) => sum + b.monthly_limit, 0);
+    const { totalBudget, totalSpent, remaining, progress, rolledOver = 0 } = useMemo<BudgetOverviewData>(() => {
+        const current = histories.map(h => h.current).filter((s): s is BudgetPeriodSnapshot => s !== null);
+
+        // Limits include whatever rolled over from the previous period
+        const totalBudget = current.reduce((sum, s) => sum + s.available, 0);
+        const totalSpent = current.reduce((sum, s) => sum + s.spent, 0);
+        const rolledOver = current.reduce((sum, s) => sum + s.carried_in, 0);
 
         // Calculate remaining and progress
         const remaining = totalBudget - totalSpent;
@@ -60,27 +80,37 @@ function BudgetOverview({ budgets, transactions }: BudgetOverviewProps): JSX.Ele
             totalBudget,
             totalSpent,
             remaining,
-            progress
+            progress,
+            rolledOver
         };
-    }, [budgets, transactions, now]);
+    }, [histories]);
+
+    const history = histories.find(h => h.category === selectedCategory) ?? histories[0];
+    const allMonthly = histories.every(h => h.period === 'monthly');
+
+    const chartData = useMemo(() => (history?.snapshots ?? []).map(snapshot => ({
+        label: periodLabel(snapshot),
+        available: snapshot.available,
+        spent: snapshot.spent,
+    })), [history]);
 
     return (
         <Card>
             <CardHeader>
                 <CardTitle className="text-foreground">
-                    {format(now, 'MMMM yyyy')} Budget Overview
+                    {allMonthly ? `${format(new Date(), 'MMMM yyyy')} Budget Overview` : 'Current Period Budget Overview'}
                 </CardTitle>
             </CardHeader>
             <CardContent className="space-y-6">
                 <div className="space-y-2">
                     <div className="flex justify-between text-sm">
                         <span className="text-muted-foreground">Budget Progress</span>
-                        <span className="font-medium text-foreground">
+                        <span className="font-medium text-foreground sensitive">
                             {formatCurrency(totalSpent)} of {formatCurrency(totalBudget)}
                         </span>
                     </div>
-                    <ThemedProgress 
-                        value={progress > 100 ? 100 : progress} 
+                    <ThemedProgress
+                        value={progress > 100 ? 100 : progress}
                         className="h-3"
                         indicatorColor={progress > 100 ? 'bg-destructive' : 'bg-primary'}
                     />
@@ -92,7 +122,7 @@ function BudgetOverview({ budgets, transactions }: BudgetOverviewProps): JSX.Ele
                             <TrendingDown className="h-4 w-4 text-rose-500" />
                             <span>Total Spent</span>
                         </div>
-                        <p className="text-2xl font-bold text-foreground">
+                        <p className="text-2xl font-bold text-foreground sensitive">
                             {formatCurrency(totalSpent)}
                         </p>
                     </div>
@@ -102,7 +132,7 @@ function BudgetOverview({ budgets, transactions }: BudgetOverviewProps): JSX.Ele
                             <PiggyBank className="h-4 w-4 text-emerald-500" />
                             <span>Remaining</span>
                         </div>
-                        <p className={`text-2xl font-bold ${remaining < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                        <p className={`text-2xl font-bold sensitive ${remaining < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
                             {formatCurrency(Math.abs(remaining))}
                         </p>
                         {remaining < 0 && (
@@ -115,11 +145,90 @@ function BudgetOverview({ budgets, transactions }: BudgetOverviewProps): JSX.Ele
                             <DollarSign className="h-4 w-4 text-amber-500" />
                             <span>Total Budget</span>
                         </div>
-                        <p className="text-2xl font-bold text-foreground">
+                        <p className="text-2xl font-bold text-foreground sensitive">
                             {formatCurrency(totalBudget)}
                         </p>
+                        {rolledOver !== 0 && (
+                            <p className={`text-xs ${rolledOver < 0 ? 'text-destructive' : 'text-muted-foreground'}`}>
+                                Includes <span className="sensitive">{formatCurrency(rolledOver)}</span> rolled over
+                            </p>
+                        )}
                     </div>
                 </div>
+
+                {history && (
+                    <div className="space-y-4 pt-2 border-t border-border">
+                        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 pt-4">
+                            <h3 className="text-sm font-semibold text-foreground flex items-center gap-2">
+                                <History className="h-4 w-4 text-muted-foreground" />
+                                Last {HISTORY_PERIODS} Periods
+                            </h3>
+                            <Select value={history.category} onValueChange={setSelectedCategory}>
+                                <SelectTrigger className="sm:w-56" aria-label="Budget category">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {histories.map(h => (
+                                        <SelectItem key={h.category} value={h.category}>
+                                            {h.category.replace(/_/g, ' ')}
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+
+                        <div className="h-56">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <BarChart data={chartData}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" opacity={0.4} />
+                                    <XAxis dataKey="label" stroke="hsl(var(--muted-foreground))" fontSize={12} />
+                                    <YAxis stroke="hsl(var(--muted-foreground))" fontSize={12} />
+                                    <Tooltip
+                                        contentStyle={{
+                                            background: 'hsl(var(--popover))',
+                                            color: 'hsl(var(--popover-foreground))',
+                                            border: '1px solid hsl(var(--border))',
+                                            borderRadius: 8
+                                        }}
+                                        formatter={(value: number) => formatCurrency(value)}
+                                    />
+                                    <Legend />
+                                    <Bar dataKey="available" name="Available" fill="hsl(var(--muted-foreground))" radius={[4, 4, 0, 0]} />
+                                    <Bar dataKey="spent" name="Spent" fill="hsl(var(--primary))" radius={[4, 4, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Period</TableHead>
+                                    <TableHead className="text-right">Limit</TableHead>
+                                    {history.rollover_enabled && <TableHead className="text-right">Rolled Over</TableHead>}
+                                    <TableHead className="text-right">Spent</TableHead>
+                                    <TableHead className="text-right">Remaining</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {[...history.snapshots].reverse().map(snapshot => (
+                                    <TableRow key={snapshot.start}>
+                                        <TableCell className="font-medium">{periodLabel(snapshot)}</TableCell>
+                                        <TableCell className="text-right sensitive">{formatCurrency(snapshot.limit)}</TableCell>
+                                        {history.rollover_enabled && (
+                                            <TableCell className={`text-right sensitive ${snapshot.carried_in < 0 ? 'text-destructive' : ''}`}>
+                                                {formatCurrency(snapshot.carried_in)}
+                                            </TableCell>
+                                        )}
+                                        <TableCell className="text-right sensitive">{formatCurrency(snapshot.spent)}</TableCell>
+                                        <TableCell className={`text-right font-medium sensitive ${snapshot.remaining < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                                            {formatCurrency(snapshot.remaining)}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                )}
             </CardContent>
         </Card>
     );
@@ -10,6 +10,7 @@ import { ThemedProgress } from '@/ui/enhanced-components';
 import { Button } from '@/ui/button';
 import { Edit2, Trash2 } from 'lucide-react';
 import { startOfMonth, endOfMonth } from 'date-fns';
+import { expandSplits } from '@/utils/splitTransactions';
 import type { Budget, Transaction, BudgetWithProgress, CategoryBreakdownProps, CategoryType } from '@/types/financial.types';
 
 /**
@@ -59,8 +60,8 @@ function CategoryBreakdown({ budgets, transactions, onEdit, onDelete }: Category
         const monthStart = startOfMonth(now);
         const monthEnd = endOfMonth(now);
 
-        // Filter transactions for current month expenses
-        const currentMonthTransactions = transactions.filter(t => {
+        // Current month expenses, split transactions counted per category line
+        const currentMonthTransactions = expandSplits(transactions).filter(t => {
             const transactionDate = new Date(t.date);
             return transactionDate >= monthStart && 
                    transactionDate <= monthEnd && 
@@ -1,93 +1,135 @@
-// @ts-nocheck
 /**
- * @fileoverview Safe-to-spend forecast component showing discretionary income
- * @description Displays projected net income, fixed bills, and safe-to-spend amount
+ * @fileoverview Safe-to-spend for the current pay period
+ * @description Computes what can be spent before the following payday from
+ * scheduled shifts, upcoming bills, BNPL installments, debt minimums, unfunded
+ * budget envelopes and a user-set buffer, and lists every line of the derivation
  */
 
-import React from 'react';
+import React, { useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
-import { Wallet, TrendingUp, TrendingDown, ShieldCheck } from 'lucide-react';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
 import { Skeleton } from '@/ui/skeleton';
+import { ShieldCheck, TrendingUp, TrendingDown, CalendarClock } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { useLocalStorage } from '@/hooks/useLocalStorage';
+import { usePaycheckSettings, useShiftRules } from '@/hooks/useEntityQueries';
+import { formatCurrency } from '@/utils/calculations';
+import { calculateSafeToSpend, envelopesForMonth, type SafeToSpendDeduction } from '@/utils/safeToSpend';
+import type { SafeToSpendProps } from './types';
 
-/**
- * Format amount as USD currency
- * @param {number} amount - Amount to format
- * @returns {string} Formatted currency string
- */
-const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-    }).format(amount);
+const KIND_LABELS: Record<SafeToSpendDeduction['kind'], string> = {
+    bill: 'Bill',
+    subscription: 'Subscription',
+    bnpl: 'BNPL',
+    debt: 'Debt minimum',
+    envelope: 'Envelope',
+    buffer: 'Buffer',
 };
 
+const NONE: never[] = [];
+
+const formatDay = (value: string): string => format(parseISO(value), 'MMM d');
+
 /**
- * Safe-to-spend forecast component
- * @param {Object} props - Component props
- * @param {number} props.netCashflow - Current month's net cashflow
- * @param {Array<Object>} props.forecasts - Cashflow forecasts
- * @returns {JSX.Element} Safe-to-spend card
+ * Safe-to-spend card
+ * @param {SafeToSpendProps} props - Shifts, bills, debts, BNPL plans and transactions
+ * @returns {React.ReactElement} Safe-to-spend card with its derivation
  */
-interface SafeToSpendProps { [key: string]: any; }
+function SafeToSpend({ shifts = NONE, bills = NONE, debts = NONE, bnplPlans = NONE, transactions = NONE }: SafeToSpendProps): React.ReactElement {
+    const { data: paycheckSettings = null, isLoading } = usePaycheckSettings();
+    const { data: shiftRules = NONE } = useShiftRules();
+    const [buffer, setBuffer] = useLocalStorage<number>('apex-finance:safe-to-spend-buffer', 100);
+    // Same storage as EnvelopeBudgeting so allocations are shared
+    const [allocations] = useLocalStorage<Record<string, number>>('envelope-allocations', {}, {
+        encrypt: true,
+        namespace: 'budgeting',
+        expiresIn: 1000 * 60 * 60 * 24,
+    });
 
-function SafeToSpend({ netCashflow, forecasts }: SafeToSpendProps) {
-    const latestForecast = forecasts[0];
+    const result = useMemo(() => calculateSafeToSpend({
+        shifts,
+        shift_rules: shiftRules,
+        bills,
+        debts,
+        bnpl_plans: bnplPlans,
+        paycheck_settings: paycheckSettings,
+        envelopes: envelopesForMonth(allocations, transactions),
+        buffer,
+    }), [shifts, shiftRules, bills, debts, bnplPlans, paycheckSettings, allocations, transactions, buffer]);
+
+    const positive = result.safe_to_spend >= 0;
 
     return (
         <Card className="border-0 shadow-lg shadow-slate-200/50 bg-white/80 backdrop-blur-sm">
             <CardHeader className="pb-4">
                 <CardTitle className="text-lg font-bold text-slate-900 flex items-center gap-2">
                     <ShieldCheck className="h-5 w-5 text-emerald-600" />
-                    Safe-to-Spend Forecast
+                    Safe to Spend
                 </CardTitle>
             </CardHeader>
             <CardContent>
                 <div className="text-center mb-6">
-                    <p className="text-sm text-slate-600 mb-1">Estimated Discretionary Income</p>
-                    {latestForecast ? (
-                        <h3 className="text-4xl font-bold text-emerald-600">
-                            {formatCurrency(latestForecast.safe_to_spend || 0)}
-                        </h3>
-                    ) : (
+                    {isLoading ? (
                         <Skeleton className="h-10 w-40 mx-auto" />
+                    ) : (
+                        <h3 className={`text-4xl font-bold sensitive ${positive ? 'text-emerald-600' : 'text-rose-600'}`}>
+                            {formatCurrency(result.safe_to_spend)}
+                        </h3>
                     )}
-                    <p className="text-xs text-slate-500 mt-1">for this pay period</p>
+                    <p className="text-sm text-slate-600 mt-1">
+                        <span className="sensitive">{formatCurrency(result.daily_allowance)}</span>/day until {formatDay(result.period_end)}
+                    </p>
+                    <p className="text-xs text-slate-500 mt-1 flex items-center justify-center gap-1">
+                        <CalendarClock className="h-3 w-3" />
+                        {result.schedule_known
+                            ? `Next payday ${formatDay(result.next_payday!)}, then ${formatDay(result.following_payday!)}`
+                            : `Next ${result.days_in_period} days — set a pay frequency and next payday for pay-period totals`}
+                    </p>
                 </div>
-                <div className="space-y-3 text-sm">
-                     <div className="flex justify-between items-center">
-                        <span className="flex items-center gap-2 text-slate-600">
+
+                <div className="space-y-2 text-sm">
+                    <div className="flex justify-between items-center font-semibold text-slate-800">
+                        <span className="flex items-center gap-2">
                             <TrendingUp className="h-4 w-4 text-emerald-500" />
-                            Projected Net Income
+                            Expected pay
                         </span>
-                        {latestForecast ? (
-                            <span className="font-semibold text-slate-800">{formatCurrency(latestForecast.projected_net || 0)}</span>
-                        ) : (
-                            <Skeleton className="h-4 w-16" />
-                        )}
+                        <span className="sensitive">{formatCurrency(result.expected_pay)}</span>
                     </div>
-                    <div className="flex justify-between items-center">
-                        <span className="flex items-center gap-2 text-slate-600">
+                    {result.paychecks.map(check => (
+                        <div key={check.date} className="flex justify-between pl-6 text-xs text-slate-500">
+                            <span>Paycheck {formatDay(check.date)}</span>
+                            <span className="sensitive">{formatCurrency(check.amount)}</span>
+                        </div>
+                    ))}
+
+                    <div className="flex justify-between items-center font-semibold text-slate-800 pt-2">
+                        <span className="flex items-center gap-2">
                             <TrendingDown className="h-4 w-4 text-rose-500" />
-                            Total Fixed Bills
+                            Set aside
                         </span>
-                        {latestForecast ? (
-                             <span className="font-semibold text-slate-800">{formatCurrency(latestForecast.total_bills || 0)}</span>
-                        ) : (
-                            <Skeleton className="h-4 w-16" />
-                        )}
+                        <span className="sensitive">−{formatCurrency(result.total_deductions)}</span>
                     </div>
-                     <div className="flex justify-between items-center pt-2 border-t mt-2">
-                        <span className="flex items-center gap-2 text-slate-600 font-bold">
-                            <Wallet className="h-4 w-4 text-blue-500" />
-                            This Month's Net
-                        </span>
-                        {netCashflow !== null ? (
-                             <span className={`font-bold ${netCashflow >= 0 ? 'text-blue-600' : 'text-orange-600'}`}>
-                                {formatCurrency(netCashflow)}
+                    {result.deductions.map((d, i) => (
+                        <div key={`${d.kind}-${d.source_id || d.name}-${d.date || i}`} className="flex justify-between pl-6 text-xs text-slate-500">
+                            <span>
+                                {KIND_LABELS[d.kind]}: {d.name}{d.date ? ` · ${formatDay(d.date)}` : ''}
                             </span>
-                        ) : (
-                            <Skeleton className="h-4 w-16" />
-                        )}
+                            <span className="sensitive">−{formatCurrency(d.amount)}</span>
+                        </div>
+                    ))}
+
+                    <div className="flex items-center justify-between gap-4 pt-3 border-t mt-2">
+                        <Label htmlFor="safe-to-spend-buffer" className="text-slate-600">Buffer to keep</Label>
+                        <Input
+                            id="safe-to-spend-buffer"
+                            type="number"
+                            min="0"
+                            step="10"
+                            className="h-8 w-28 text-right"
+                            value={buffer}
+                            onChange={e => setBuffer(Math.max(0, parseFloat(e.target.value) || 0))}
+                        />
                     </div>
                 </div>
             </CardContent>
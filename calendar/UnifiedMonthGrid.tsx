@@ -146,7 +146,7 @@ const DayCell = React.memo(function DayCell({
                 e.stopPropagation();
                 onOpen(date, ev.id);
               }}
-              title={ev.title}
+              title={ev.subtitle ? `${ev.title} (${ev.subtitle})` : ev.title}
               aria-label={`Open "${ev.title}" details`}
             >
               {ev.title}
@@ -199,6 +199,11 @@ function EventRow({ ev, onAction, isHighlighted }: EventRowProps) {
         <span className={`h-2 w-2 rounded-full ${TYPE_STYLES[ev.type] || "bg-primary"}`} />
         <div className="truncate">
           <div className="text-sm font-medium truncate">{ev.title}</div>
+          {ev.subtitle && (
+            <div className={`text-xs truncate ${ev.fundStatus === "behind" ? "text-destructive" : "text-muted-foreground"}`}>
+              {ev.subtitle}
+            </div>
+          )}
           {typeof ev.amount === "number" && (
             <div className={`text-xs ${ev.type === "income" || ev.type === "shift" ? "text-income" : "text-expense"} sensitive`}>
               {ev.type === "income" || ev.type === "shift" ? "+" : "-"}
@@ -9,6 +9,9 @@
  * @packageDocumentation
  */
 
+import type { ProjectionBNPLPlan, ProjectionDebt, ProjectionShift, ProjectionTransaction } from '@/utils/cashflowProjection';
+import type { SubscriptionBill } from '@/utils/subscriptions';
+
 /**
  * Represents a financial event on the calendar
  * 
@@ -220,17 +223,27 @@ export interface MonthSummaryProps {
  * Props for the SafeToSpend component
  * 
  * @remarks
- * Calculates and displays the "safe to spend" amount based on upcoming
- * bills and obligations for the current month.
+ * Calculates and displays the "safe to spend" amount for the current pay
+ * period: expected pay from shifts until the next payday, minus obligations
+ * due before the following payday, unfunded envelopes and a buffer.
  * 
  * @public
  */
 export interface SafeToSpendProps {
-  /** Events to consider for safe-to-spend calculation */
-  events: CalendarEvent[];
+  /** Scheduled and recent shifts */
+  shifts?: ProjectionShift[];
   
-  /** Current month date for calculation context */
-  monthDate: Date;
+  /** Saved bills and subscriptions */
+  bills?: SubscriptionBill[];
+  
+  /** Debt accounts with minimum payments */
+  debts?: ProjectionDebt[];
+  
+  /** BNPL plans with upcoming installments */
+  bnplPlans?: ProjectionBNPLPlan[];
+  
+  /** Transactions, for this month's envelope spending */
+  transactions?: ProjectionTransaction[];
 }
 
 /**
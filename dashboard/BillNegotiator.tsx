@@ -5,7 +5,7 @@
  * using LLM integration with markdown formatting
  */
 
-import React, { useState, memo } from 'react';
+import React, { useState, useMemo, memo } from 'react';
 import { CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { Button } from '@/ui/button';
 import { Input } from '@/ui/input';
@@ -13,19 +13,27 @@ import { logError } from '@/utils/logger';
 import { Textarea } from '@/ui/textarea';
 import { Label } from '@/ui/label';
 import { InvokeLLM } from '@/api/integrations';
-import { MessageSquare, Sparkles, Loader2, Copy } from 'lucide-react';
+import { MessageSquare, Sparkles, Loader2, Copy, TrendingUp, Ban, BadgeDollarSign } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import { useToast } from '@/ui/use-toast';
 import { ThemedCard } from '../ui/enhanced-components';
+import { negotiationSuggestions } from '@/utils/subscriptions';
+
+const SUGGESTION_ICONS = {
+    price_increase: TrendingUp,
+    unused: Ban,
+    high_cost: BadgeDollarSign,
+};
 
 /**
  * Bill Negotiator Component
  * @component
  * @param {Object} props
  * @param {Array} props.bills - List of bills (unused currently)
+ * @param {Array} [props.subscriptions] - Subscriptions to suggest negotiating or cancelling
  * @returns {JSX.Element}
  */
-function BillNegotiator({ bills }) {
+function BillNegotiator({ bills, subscriptions = [] }) {
     const { toast } = useToast();
     const [formData, setFormData] = useState({
         provider: '',
@@ -35,10 +43,17 @@ function BillNegotiator({ bills }) {
     const [script, setScript] = useState('');
     const [isLoading, setIsLoading] = useState(false);
 
+    const suggestions = useMemo(() => negotiationSuggestions(subscriptions), [subscriptions]);
+
     const handleChange = (field, value) => {
         setFormData(prev => ({...prev, [field]: value}));
     };
 
+    const applySuggestion = ({ subscription, issue }) => {
+        setFormData({ provider: subscription.name, billType: 'Subscription', issue });
+        setScript('');
+    };
+
     const generateScript = async () => {
         if (!formData.provider || !formData.billType || !formData.issue) {
             toast({ title: "Missing Information", description: "Please fill out all fields.", variant: "destructive"});
@@ -85,6 +100,22 @@ function BillNegotiator({ bills }) {
                 </CardTitle>
             </CardHeader>
             <CardContent className="space-y-4">
+                {suggestions.length > 0 && (
+                    <div className="space-y-2">
+                        <Label>Suggested from your subscriptions</Label>
+                        <div className="flex flex-wrap gap-2">
+                            {suggestions.map(suggestion => {
+                                const Icon = SUGGESTION_ICONS[suggestion.reason];
+                                return (
+                                    <Button key={suggestion.subscription.id} variant="outline" size="sm" onClick={() => applySuggestion(suggestion)}>
+                                        <Icon className="mr-1 h-3 w-3" />
+                                        {suggestion.subscription.name}
+                                    </Button>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
                 <div className="grid md:grid-cols-2 gap-4">
                     <div className="space-y-1">
                         <Label htmlFor="provider">Service Provider</Label>
@@ -52,6 +52,11 @@ interface PayoffScenario {
     textColor: string;
 }
 
+/**
+ * Annual rate of a debt; DebtAccount records store it as interest_rate
+ */
+const aprOf = (debt: DebtWithAPR): number => Number(debt.apr ?? debt.interest_rate) || 0;
+
 /**
  * Props for DebtCountdown component
  */
@@ -91,7 +96,7 @@ function DebtCountdown({ debts }: DebtCountdownProps): JSX.Element {
 
         // Find the highest APR debt (focus debt)
         const focusDebt = activeDebts.reduce((highest, debt) => 
-            (debt.apr || 0) > (highest.apr || 0) ? debt : highest
+            aprOf(debt) > aprOf(highest) ? debt : highest
         );
 
         return {
@@ -159,7 +164,7 @@ function DebtCountdown({ debts }: DebtCountdownProps): JSX.Element {
                     <div className="text-sm">
                         <div className="flex justify-between">
                             <span className="text-orange-700">{debtAnalysis.focusDebt.name}</span>
-                            <span className="font-semibold">{debtAnalysis.focusDebt.apr || 0}% APR</span>
+                            <span className="font-semibold">{aprOf(debtAnalysis.focusDebt)}% APR</span>
                         </div>
                         <div className="mt-1 text-orange-800">
                             Balance: {formatCurrency(debtAnalysis.focusDebt.balance)}
@@ -204,7 +209,7 @@ function DebtCountdown({ debts }: DebtCountdownProps): JSX.Element {
 
             <div className="text-xs text-slate-500 mt-3 p-2 bg-slate-50 rounded">
                 <strong>Tip:</strong> Using the avalanche method (highest APR first) for calculations. 
-                Your focus debt has the highest interest rate at {debtAnalysis.focusDebt.apr || 0}%.
+                Your focus debt has the highest interest rate at {aprOf(debtAnalysis.focusDebt)}%.
             </div>
         </div>
     );
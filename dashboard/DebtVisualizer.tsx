@@ -2,7 +2,8 @@
 /**
  * @fileoverview Debt visualization with pie charts and payoff strategies
  * @description Interactive debt breakdown showing avalanche/snowball strategies,
- * interest calculations, and visual distribution with theme support
+ * interest calculations, and visual distribution with theme support. Warns when
+ * a promo balance won't be cleared before its promo ends under the saved payoff plan.
  */
 
 import React, { useMemo, useState } from 'react';
@@ -10,8 +11,11 @@ import { CardContent, CardHeader, CardTitle, CardFooter } from '@/ui/card';
 import { Button } from '@/ui/button';
 import { Badge } from '@/ui/badge';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend } from 'recharts';
-import { AlertTriangle, TrendingDown, Calculator, Zap } from 'lucide-react';
+import { AlertTriangle, TrendingDown, Calculator, Zap, Clock } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
 import { formatCurrency } from '../utils/calculations';
+import { debtApr, promoWarnings } from '../utils/debtPayoff';
+import { useDebtPayoffPlan } from '../hooks/useDebtPayoffPlan';
 import { ThemedCard } from '../ui/enhanced-components';
 import { useTheme } from '../theme/ThemeProvider';
 import { ChartLoading } from '../ui/loading';
@@ -21,6 +25,8 @@ const DEBT_COLORS_LIGHT = ['#ef4444', '#f97316', '#eab308', '#22c588', '#3b82f6'
 /** @constant {string[]} Debt color palette for dark theme */
 const DEBT_COLORS_DARK = ['#f87171', '#fb923c', '#facc15', '#4ade80', '#60a5fa', '#a78bfa', '#f472b6'];
 
+const NO_DEBTS = [];
+
 /**
  * Custom tooltip for pie chart
  * @param {Object} props
@@ -67,6 +73,8 @@ function DebtVisualizer({ debts }: DebtVisualizerProps) {
     const { isDark } = useTheme();
     const [viewMode, setViewMode] = useState('pie');
     const DEBT_COLORS = isDark ? DEBT_COLORS_DARK : DEBT_COLORS_LIGHT;
+    const plan = useDebtPayoffPlan(debts || NO_DEBTS);
+    const warnings = useMemo(() => promoWarnings(plan), [plan]);
 
     // Define explicit styles instead of dynamic Tailwind class strings
     const COLOR_STYLES = {
@@ -91,7 +99,7 @@ function DebtVisualizer({ debts }: DebtVisualizerProps) {
         const totalBalance = validDebts.reduce((sum, debt) => sum + debt.balance, 0);
         const totalMinPayments = validDebts.reduce((sum, debt) => sum + debt.minimum_payment, 0);
         
-        const avalanche = [...validDebts].sort((a, b) => b.apr - a.apr);
+        const avalanche = [...validDebts].sort((a, b) => debtApr(b) - debtApr(a));
         const snowball = [...validDebts].sort((a, b) => a.balance - b.balance);
 
         const pieData = validDebts.map((debt, index) => ({
@@ -99,12 +107,12 @@ function DebtVisualizer({ debts }: DebtVisualizerProps) {
             value: debt.balance,
             percentage: totalBalance > 0 ? (debt.balance / totalBalance) * 100 : 0,
             color: DEBT_COLORS[index % DEBT_COLORS.length],
-            apr: debt.apr,
+            apr: debtApr(debt),
             payment: debt.minimum_payment
         }));
 
         const monthlyInterest = validDebts.reduce((sum, debt) => 
-            sum + (debt.balance * (debt.apr / 100) / 12), 0
+            sum + (debt.balance * (debtApr(debt) / 100) / 12), 0
         );
         
         const yearlyInterest = monthlyInterest * 12;
@@ -118,7 +126,7 @@ function DebtVisualizer({ debts }: DebtVisualizerProps) {
             avalanche,
             snowball,
             averageAPR: totalBalance > 0 ? 
-                validDebts.reduce((sum, debt) => sum + (debt.balance * debt.apr), 0) / totalBalance : 0
+                validDebts.reduce((sum, debt) => sum + (debt.balance * debtApr(debt)), 0) / totalBalance : 0
         };
     }, [debts, DEBT_COLORS]);
 
@@ -176,7 +184,7 @@ function DebtVisualizer({ debts }: DebtVisualizerProps) {
                                 <span className="font-bold text-sm h-6 w-6 flex items-center justify-center bg-background/50 rounded-full">{index + 1}</span>
                                 <div>
                                     <span className="font-medium text-foreground">{debt.name}</span>
-                                    <span className="text-sm text-muted-foreground ml-2">{debt.apr}% APR</span>
+                                    <span className="text-sm text-muted-foreground ml-2">{debtApr(debt)}% APR</span>
                                 </div>
                             </div>
                             <span className="font-semibold text-foreground">{formatCurrency(debt.balance)}</span>
@@ -261,6 +269,25 @@ function DebtVisualizer({ debts }: DebtVisualizerProps) {
                         </div>
                     )}
                 </CardContent>
+                {warnings.length > 0 && (
+                    <CardFooter className="bg-orange-500/10 border-t border-orange-500/20 p-4">
+                        <div className="flex items-start gap-3">
+                            <Clock className="h-6 w-6 text-orange-500 flex-shrink-0" />
+                            <div className="space-y-1">
+                                <p className="font-semibold text-orange-700 dark:text-orange-300">Promo Balance Alert</p>
+                                {warnings.map(warning => (
+                                    <p key={warning.debt_id} className="text-sm text-orange-600 dark:text-orange-400">
+                                        {warning.name} will have <span className="sensitive">{formatCurrency(warning.balance_at_end)}</span> left when its promo ends {format(parseISO(warning.end_date), 'MMM d, yyyy')}
+                                        {warning.deferred_interest_charged > 0 && (
+                                            <>, triggering <span className="sensitive">{formatCurrency(warning.deferred_interest_charged)}</span> in deferred interest</>
+                                        )}
+                                        . Pay <span className="sensitive">{formatCurrency(warning.payment_needed)}</span>/mo to clear it in time.
+                                    </p>
+                                ))}
+                            </div>
+                        </div>
+                    </CardFooter>
+                )}
                 {debtAnalysis.monthlyInterest > 50 && (
                     <CardFooter className="bg-orange-500/10 border-t border-orange-500/20 p-4">
                         <div className="flex items-center gap-3">
@@ -12,9 +12,10 @@ import { Wallet, Brain, AlertTriangle, Target, Loader2 } from 'lucide-react';
 import { formatCurrency } from '../utils/calculations';
 import { useLocalStorage } from '../hooks/useLocalStorage';
 import { ThemedCard, ThemedProgress } from '../ui/enhanced-components';
-import Markdown from 'react-markdown';
+import ReactMarkdown from 'react-markdown';
 import { useToast } from '@/ui/use-toast';
 import { Loading } from '@/ui/loading';
+import PaycheckAllocator from './PaycheckAllocator';
 
 
 const CATEGORY_COLORS = {
@@ -27,10 +28,18 @@ const CATEGORY_COLORS = {
     // "Entertainment": "bg-yellow-100 text-yellow-800",
 };
 
+const MODES = [
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'zero_based', label: 'By paycheck' },
+];
+
+const NONE = [];
+
 /**
  * Envelope Budgeting Component
  * Implements zero-based budgeting where income is allocated to spending categories
  * Features:
+ * - Monthly mode, or a by-paycheck mode where each paycheck is fully assigned
  * - Manual allocation to categories
  * - Auto-allocation based on spending patterns
  * - AI-powered optimization suggestions
@@ -42,6 +51,10 @@ const CATEGORY_COLORS = {
  * @param {Array<Object>} props.transactions - Array of transaction objects
  * @param {number} props.income - Total monthly income
  * @param {Function} props.refreshData - Callback to refresh data
+ * @param {Array<Object>} props.shifts - Shifts, for paychecks in the by-paycheck mode
+ * @param {Array<Object>} props.goals - Goals, bills and debts that paychecks can be assigned to
+ * @param {Array<Object>} props.bills
+ * @param {Array<Object>} props.debts
  * @returns {JSX.Element} Envelope budgeting interface
  */
 interface EnvelopeBudgetingProps {
@@ -49,9 +62,14 @@ interface EnvelopeBudgetingProps {
   transactions: any[];
   income: number;
   refreshData: () => void;
+  shifts?: any[];
+  goals?: any[];
+  bills?: any[];
+  debts?: any[];
 }
 
-function EnvelopeBudgeting({ budgets, transactions, income, refreshData }: EnvelopeBudgetingProps) {
+function EnvelopeBudgeting({ budgets, transactions, income, refreshData, shifts = NONE, goals = NONE, bills = NONE, debts = NONE }: EnvelopeBudgetingProps) {
+    const [mode, setMode] = useLocalStorage<'monthly' | 'zero_based'>('envelope-mode', 'monthly', { namespace: 'budgeting' });
     const [envelopes, setEnvelopes] = useLocalStorage<Record<string, number>>(
         'envelope-allocations',
         {},
@@ -277,105 +295,131 @@ function EnvelopeBudgeting({ budgets, transactions, income, refreshData }: Envel
 
     return (
         <div className="space-y-6">
-            <ThemedCard elevated>
-                <CardHeader className="pb-2">
-                    <div className="space-y-4">
-                        <CardTitle className="text-2xl font-bold flex items-center gap-2">
-                            <Wallet className="h-6 w-6 text-primary" /> Envelope Budgeting
-                        </CardTitle>
-                        <div className="flex flex-col sm:flex-row gap-3 w-full">
-                            <Button 
-                                variant="outline" 
-                                onClick={autoAllocate} 
-                                disabled={!income || income <= 0}
-                                className="w-full sm:w-auto sm:min-w-[140px]"
-                            >
-                                <Target className="mr-2 h-4 w-4" /> 
-                                Auto Allocate
-                            </Button>
-                            <Button 
-                                onClick={getAIOptimization} 
-                                disabled={isOptimizing}
-                                className="w-full sm:w-auto sm:min-w-[140px]"
-                            >
-                                {isOptimizing ? (
-                                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                                ) : (
-                                    <Brain className="mr-2 h-4 w-4" />
-                                )}
-                                AI Optimize
-                            </Button>
-                        </div>
-                    </div>
-                </CardHeader>
-                <CardContent className="space-y-6">
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-2 text-sm">
-                        <div className="font-medium">
-                            Monthly Income: <span className="font-bold text-success sensitive">{formatCurrency(income)}</span>
+            <div className="inline-flex rounded-lg bg-muted p-1" role="group" aria-label="Budgeting mode">
+                {MODES.map(option => (
+                    <Button
+                        key={option.value}
+                        size="sm"
+                        variant={mode === option.value ? 'default' : 'ghost'}
+                        onClick={() => setMode(option.value)}
+                        aria-pressed={mode === option.value}
+                    >
+                        {option.label}
+                    </Button>
+                ))}
+            </div>
+
+            {mode === 'zero_based' ? (
+                <PaycheckAllocator
+                    budgets={budgets}
+                    transactions={transactions}
+                    envelopeAmounts={envelopes}
+                    shifts={shifts}
+                    goals={goals}
+                    bills={bills}
+                    debts={debts}
+                />
+            ) : (
+                <ThemedCard elevated>
+                    <CardHeader className="pb-2">
+                        <div className="space-y-4">
+                            <CardTitle className="text-2xl font-bold flex items-center gap-2">
+                                <Wallet className="h-6 w-6 text-primary" /> Envelope Budgeting
+                            </CardTitle>
+                            <div className="flex flex-col sm:flex-row gap-3 w-full">
+                                <Button 
+                                    variant="outline" 
+                                    onClick={autoAllocate} 
+                                    disabled={!income || income <= 0}
+                                    className="w-full sm:w-auto sm:min-w-[140px]"
+                                >
+                                    <Target className="mr-2 h-4 w-4" /> 
+                                    Auto Allocate
+                                </Button>
+                                <Button 
+                                    onClick={getAIOptimization} 
+                                    disabled={isOptimizing}
+                                    className="w-full sm:w-auto sm:min-w-[140px]"
+                                >
+                                    {isOptimizing ? (
+                                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                                    ) : (
+                                        <Brain className="mr-2 h-4 w-4" />
+                                    )}
+                                    AI Optimize
+                                </Button>
+                            </div>
                         </div>
-                        <div className="font-medium sm:text-right">
-                            Remaining to Allocate: <span className={`font-bold ${remainingToAllocate < 0 ? 'text-expense' : 'text-success'} sensitive`}>{formatCurrency(remainingToAllocate)}</span>
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-2 text-sm">
+                            <div className="font-medium">
+                                Monthly Income: <span className="font-bold text-success sensitive">{formatCurrency(income)}</span>
+                            </div>
+                            <div className="font-medium sm:text-right">
+                                Remaining to Allocate: <span className={`font-bold ${remainingToAllocate < 0 ? 'text-expense' : 'text-success'} sensitive`}>{formatCurrency(remainingToAllocate)}</span>
+                            </div>
                         </div>
-                    </div>
                     
-                    <ThemedProgress
-                        value={(totalAllocated / (income || 1)) * 100}
-                        className="h-2"
-                        indicatorColor={totalAllocated > income ? "bg-red-500" : "bg-primary"}
-                    />
+                        <ThemedProgress
+                            value={(totalAllocated / (income || 1)) * 100}
+                            className="h-2"
+                            indicatorColor={totalAllocated > income ? "bg-red-500" : "bg-primary"}
+                        />
 
-                    <div className="space-y-4">
-                        {envelopeCategories.map((envelope) => {
-                            const progress = envelope.allocated > 0 ? (envelope.spent / envelope.allocated) * 100 : 0;
-                            const amountLeft = envelope.allocated - envelope.spent;
-                            const isOverspent = amountLeft < 0;
+                        <div className="space-y-4">
+                            {envelopeCategories.map((envelope) => {
+                                const progress = envelope.allocated > 0 ? (envelope.spent / envelope.allocated) * 100 : 0;
+                                const amountLeft = envelope.allocated - envelope.spent;
+                                const isOverspent = amountLeft < 0;
 
-                            return (
-                                <div key={envelope.category} className="p-3 bg-muted/50 rounded-lg space-y-3">
-                                    <div className="flex flex-wrap items-center justify-between gap-3">
-                                        <Badge 
-                                            variant="secondary" 
-                                            className={`px-3 py-1 text-sm font-medium ${CATEGORY_COLORS[envelope.category] || 'bg-gray-100 text-gray-800'}`}
-                                        >
-                                            {envelope.category}
-                                        </Badge>
-                                        <div className="flex items-center gap-2">
-                                            <span className="text-sm text-muted-foreground">Allocated:</span>
-                                            <Input
-                                                type="number"
-                                                value={envelope.allocated > 0 ? envelope.allocated.toFixed(2) : ''}
-                                                placeholder="0.00"
-                                                onChange={(e) => handleAllocate(envelope.category, e.target.value)}
-                                                className="w-28 text-right text-base font-medium"
-                                                step="0.01"
-                                                min="0"
-                                                max="1000000"
-                                                aria-label={`Allocate budget for ${envelope.category}`}
-                                            />
+                                return (
+                                    <div key={envelope.category} className="p-3 bg-muted/50 rounded-lg space-y-3">
+                                        <div className="flex flex-wrap items-center justify-between gap-3">
+                                            <Badge 
+                                                variant="secondary" 
+                                                className={`px-3 py-1 text-sm font-medium ${CATEGORY_COLORS[envelope.category] || 'bg-gray-100 text-gray-800'}`}
+                                            >
+                                                {envelope.category}
+                                            </Badge>
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-sm text-muted-foreground">Allocated:</span>
+                                                <Input
+                                                    type="number"
+                                                    value={envelope.allocated > 0 ? envelope.allocated.toFixed(2) : ''}
+                                                    placeholder="0.00"
+                                                    onChange={(e) => handleAllocate(envelope.category, e.target.value)}
+                                                    className="w-28 text-right text-base font-medium"
+                                                    step="0.01"
+                                                    min="0"
+                                                    max="1000000"
+                                                    aria-label={`Allocate budget for ${envelope.category}`}
+                                                />
+                                            </div>
                                         </div>
-                                    </div>
-                                    <div>
-                                        <ThemedProgress value={progress} className="h-2 mb-2" indicatorColor={isOverspent ? 'bg-expense' : 'bg-primary'} />
-                                        <div className="flex justify-between items-center text-xs text-muted-foreground">
-                                            <span>Spent: <span className="sensitive">{formatCurrency(envelope.spent)}</span></span>
-                                            <span className={`font-medium ${isOverspent ? 'text-expense' : 'text-foreground'}`}>
-                                                <span className="sensitive">{formatCurrency(amountLeft)}</span> Left
-                                            </span>
+                                        <div>
+                                            <ThemedProgress value={progress} className="h-2 mb-2" indicatorColor={isOverspent ? 'bg-expense' : 'bg-primary'} />
+                                            <div className="flex justify-between items-center text-xs text-muted-foreground">
+                                                <span>Spent: <span className="sensitive">{formatCurrency(envelope.spent)}</span></span>
+                                                <span className={`font-medium ${isOverspent ? 'text-expense' : 'text-foreground'}`}>
+                                                    <span className="sensitive">{formatCurrency(amountLeft)}</span> Left
+                                                </span>
+                                            </div>
                                         </div>
                                     </div>
-                                </div>
-                            );
-                        })}
-                    </div>
-                </CardContent>
+                                );
+                            })}
+                        </div>
+                    </CardContent>
                 
-                {totalAllocated > income && (
-                    <CardFooter className="text-expense flex items-center gap-2 !pt-0">
-                        <AlertTriangle className="h-4 w-4 flex-shrink-0" />
-                        <span className="text-sm">You have allocated more than your total income!</span>
-                    </CardFooter>
-                )}
-            </ThemedCard>
+                    {totalAllocated > income && (
+                        <CardFooter className="text-expense flex items-center gap-2 !pt-0">
+                            <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+                            <span className="text-sm">You have allocated more than your total income!</span>
+                        </CardFooter>
+                    )}
+                </ThemedCard>
+            )}
 
             {(isOptimizing || optimizationSuggestion) && (
                 <ThemedCard glowing>
@@ -1,13 +1,16 @@
 /**
  * @fileoverview Financial summary cards component (TypeScript version)
  * @description Displays key financial metrics in a grid of cards with
- * icons, colors, and loading states
+ * icons, colors, and loading states, plus a gauge of the emergency fund against
+ * a target sized for variable shift income
  */
 
 import React, { memo } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/ui/card";
-import { TrendingUp, TrendingDown, DollarSign, Target, LucideIcon } from "lucide-react";
+import { TrendingUp, TrendingDown, DollarSign, Target, ShieldCheck, LucideIcon } from "lucide-react";
 import { Skeleton } from "@/ui/skeleton";
+import { Button } from "@/ui/button";
+import type { EmergencyFundAnalysis, EmergencyFundStatus } from "@/utils/emergencyFund";
 
 /**
  * Financial Summary Component Props
@@ -23,6 +26,10 @@ interface FinancialSummaryProps {
   totalGoals: number;
   /** Loading state */
   isLoading?: boolean;
+  /** Emergency fund sized by income volatility */
+  emergencyFund?: EmergencyFundAnalysis | null;
+  /** Creates the suggested emergency fund goal, or raises an existing one to the target */
+  onSaveEmergencyGoal?: () => void;
 }
 
 /**
@@ -47,6 +54,84 @@ const formatCurrency = (amount: number): string => {
   }).format(Math.abs(amount));
 };
 
+/**
+ * Gauge color for each emergency fund status
+ */
+const GAUGE_COLORS: Record<EmergencyFundStatus, string> = {
+  funded: "#10b981",
+  building: "#f59e0b",
+  low: "#f43f5e",
+  none: "#f43f5e",
+};
+
+/**
+ * Half-circle gauge of the emergency fund against its recommended target
+ */
+function EmergencyFundGauge({
+  analysis,
+  onSaveGoal,
+}: {
+  analysis: EmergencyFundAnalysis;
+  onSaveGoal?: () => void;
+}): React.ReactElement {
+  const fraction = Math.min(1, analysis.coverage_percentage / 100);
+  // Arc from the left end (180 degrees) clockwise over the top
+  const angle = Math.PI * (1 - fraction);
+  const end = { x: 60 + 50 * Math.cos(angle), y: 60 - 50 * Math.sin(angle) };
+  const hasGoal = analysis.goal_id !== null;
+
+  return (
+    <Card className="border-0 shadow-lg shadow-slate-200/50 bg-white/80 backdrop-blur-sm">
+      <CardHeader className="flex flex-row items-center justify-between pb-2">
+        <CardTitle className="text-sm font-medium text-slate-600">Emergency Fund</CardTitle>
+        <div className="p-2 rounded-lg bg-emerald-100">
+          <ShieldCheck className="h-4 w-4 text-emerald-600" />
+        </div>
+      </CardHeader>
+      <CardContent className="flex flex-col md:flex-row md:items-center gap-6">
+        <div className="relative w-40 shrink-0 mx-auto md:mx-0">
+          <svg viewBox="0 0 120 70" className="w-full" role="img" aria-label={`Emergency fund ${Math.round(analysis.coverage_percentage)}% of target`}>
+            <path d="M 10 60 A 50 50 0 0 1 110 60" fill="none" stroke="#e2e8f0" strokeWidth="10" strokeLinecap="round" />
+            {fraction > 0 && (
+              <path
+                d={`M 10 60 A 50 50 0 0 1 ${end.x.toFixed(2)} ${end.y.toFixed(2)}`}
+                fill="none"
+                stroke={GAUGE_COLORS[analysis.status]}
+                strokeWidth="10"
+                strokeLinecap="round"
+              />
+            )}
+          </svg>
+          <div className="absolute inset-x-0 bottom-0 text-center">
+            <p className="text-xl font-bold text-slate-800">{Math.round(analysis.coverage_percentage)}%</p>
+          </div>
+        </div>
+        <div className="space-y-1 text-sm text-slate-600">
+          <p>
+            <span className="font-semibold text-slate-800 sensitive">{formatCurrency(analysis.current_amount)}</span> of{" "}
+            <span className="font-semibold text-slate-800 sensitive">{formatCurrency(analysis.recommended_target)}</span>{" "}
+            ({analysis.months_covered} of {analysis.recommended_months} months of essentials)
+          </p>
+          <p>
+            Income swings {Math.round(analysis.income_volatility * 100)}% month to month; the worst month was{" "}
+            <span className="sensitive">{formatCurrency(analysis.worst_month_drop)}</span> below average.
+          </p>
+          <p className="text-xs">
+            Target: 3 months of essentials (<span className="sensitive">{formatCurrency(analysis.base_reserve)}</span>) plus{" "}
+            <span className="sensitive">{formatCurrency(analysis.volatility_buffer)}</span> for income swings.
+            {analysis.insufficient_data && " Based on less than 3 months of history."}
+          </p>
+          {onSaveGoal && analysis.status !== "funded" && (
+            <Button size="sm" variant="outline" className="mt-2" onClick={onSaveGoal}>
+              {hasGoal ? "Update Goal Target" : "Create Emergency Fund Goal"}
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
 /**
  * Financial Summary Cards Component
  * @component
@@ -58,8 +143,10 @@ function FinancialSummary({
   monthlyExpenses, 
   netIncome, 
   totalGoals, 
-  isLoading = false 
-}: FinancialSummaryProps): JSX.Element {
+  isLoading = false,
+  emergencyFund = null,
+  onSaveEmergencyGoal
+}: FinancialSummaryProps): React.ReactElement {
   const summaryCards: SummaryCard[] = [
     {
       title: "Monthly Income",
@@ -98,35 +185,40 @@ function FinancialSummary({
   ];
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-      {summaryCards.map((card, index) => {
-        const IconComponent = card.icon;
-        
-        return (
-          <Card 
-            key={index} 
-            className="border-0 shadow-lg shadow-slate-200/50 bg-white/80 backdrop-blur-sm"
-          >
-            <CardHeader className="flex flex-row items-center justify-between pb-2">
-              <CardTitle className="text-sm font-medium text-slate-600">
-                {card.title}
-              </CardTitle>
-              <div className={`p-2 rounded-lg ${card.iconBg}`}>
-                <IconComponent className={`h-4 w-4 ${card.color}`} />
-              </div>
-            </CardHeader>
-            <CardContent>
-              {isLoading ? (
-                <Skeleton className="h-8 w-24" />
-              ) : (
-                <p className={`text-2xl font-bold ${card.color}`}>
-                  {card.value}
-                </p>
-              )}
-            </CardContent>
-          </Card>
-        );
-      })}
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {summaryCards.map((card, index) => {
+          const IconComponent = card.icon;
+          
+          return (
+            <Card 
+              key={index} 
+              className="border-0 shadow-lg shadow-slate-200/50 bg-white/80 backdrop-blur-sm"
+            >
+              <CardHeader className="flex flex-row items-center justify-between pb-2">
+                <CardTitle className="text-sm font-medium text-slate-600">
+                  {card.title}
+                </CardTitle>
+                <div className={`p-2 rounded-lg ${card.iconBg}`}>
+                  <IconComponent className={`h-4 w-4 ${card.color}`} />
+                </div>
+              </CardHeader>
+              <CardContent>
+                {isLoading ? (
+                  <Skeleton className="h-8 w-24" />
+                ) : (
+                  <p className={`text-2xl font-bold ${card.color}`}>
+                    {card.value}
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+      {!isLoading && emergencyFund && emergencyFund.recommended_target > 0 && (
+        <EmergencyFundGauge analysis={emergencyFund} onSaveGoal={onSaveEmergencyGoal} />
+      )}
     </div>
   );
 }
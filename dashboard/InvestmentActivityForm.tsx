@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Form for one holdings ledger entry
+ * @description Records a buy, sale, cash dividend, reinvested dividend or stock
+ * split. Sales close the oldest lots by default or the lots picked here.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { X } from 'lucide-react';
+import { formatCurrency } from '@/utils/calculations';
+import {
+    holdingTerm,
+    normalizeSymbol,
+    type InvestmentEvent,
+    type InvestmentEventType,
+    type TaxLot,
+} from '@/utils/investmentLots';
+
+interface InvestmentActivityFormProps {
+    /** Symbols offered as suggestions */
+    symbols: string[];
+    /** Open lots, for picking the lots a sale comes from */
+    lots: TaxLot[];
+    onSubmit: (event: InvestmentEvent) => Promise<void>;
+    onCancel: () => void;
+}
+
+const EVENT_TYPES: Array<{ value: InvestmentEventType; label: string }> = [
+    { value: 'buy', label: 'Buy' },
+    { value: 'sell', label: 'Sell' },
+    { value: 'dividend', label: 'Cash dividend' },
+    { value: 'reinvest', label: 'Reinvested dividend' },
+    { value: 'split', label: 'Stock split' },
+];
+
+const positive = (value: string): number | null => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * Ledger entry form
+ * @param {InvestmentActivityFormProps} props - Known symbols, open lots and handlers
+ * @returns {React.ReactElement} Form card
+ */
+function InvestmentActivityForm({ symbols, lots, onSubmit, onCancel }: InvestmentActivityFormProps): React.ReactElement {
+    const [type, setType] = useState<InvestmentEventType>('buy');
+    const [symbol, setSymbol] = useState(symbols[0] || '');
+    const [date, setDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+    const [shares, setShares] = useState('');
+    const [price, setPrice] = useState('');
+    const [amount, setAmount] = useState('');
+    const [fees, setFees] = useState('');
+    const [ratio, setRatio] = useState('2');
+    const [lotMode, setLotMode] = useState<'fifo' | 'specific'>('fifo');
+    const [lotShares, setLotShares] = useState<Record<string, string>>({});
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const symbolLots = useMemo(
+        () => lots.filter(l => l.symbol === normalizeSymbol(symbol) && l.acquired <= date),
+        [lots, symbol, date]
+    );
+    const pickedShares = symbolLots.reduce((sum, l) => sum + (positive(lotShares[l.lot_id] || '') || 0), 0);
+    const specific = type === 'sell' && lotMode === 'specific';
+
+    const buildEvent = (): InvestmentEvent | string => {
+        const base = { symbol: normalizeSymbol(symbol), type, date };
+        if (!base.symbol) return 'Enter a symbol';
+        if (!date) return 'Pick a date';
+
+        if (type === 'split') {
+            const r = positive(ratio);
+            return r ? { ...base, ratio: r } : 'Enter the new shares per old share';
+        }
+        if (type === 'dividend') {
+            const a = positive(amount);
+            return a ? { ...base, amount: a } : 'Enter the dividend amount';
+        }
+
+        const count = specific ? pickedShares : positive(shares);
+        const p = positive(price);
+        if (!count) return specific ? 'Enter shares for at least one lot' : 'Enter the number of shares';
+        if (!p) return 'Enter the price per share';
+        const event: InvestmentEvent = { ...base, shares: count, price: p, fees: positive(fees) || 0 };
+        if (type === 'reinvest' && positive(amount)) event.amount = positive(amount)!;
+        if (specific) {
+            event.lots = symbolLots
+                .filter(l => positive(lotShares[l.lot_id] || ''))
+                .map(l => ({ lot_id: l.lot_id, shares: Math.min(l.shares, positive(lotShares[l.lot_id])!) }));
+        }
+        return event;
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        const event = buildEvent();
+        if (typeof event === 'string') {
+            setError(event);
+            return;
+        }
+        setError('');
+        setSaving(true);
+        try {
+            await onSubmit(event);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const showShares = type === 'buy' || type === 'reinvest' || (type === 'sell' && !specific);
+    const showPrice = type === 'buy' || type === 'sell' || type === 'reinvest';
+
+    return (
+        <Card className="mb-6">
+            <CardHeader>
+                <div className="flex justify-between items-center">
+                    <CardTitle>Record Activity</CardTitle>
+                    <Button variant="ghost" size="icon" aria-label="Close" onClick={onCancel}><X className="h-4 w-4" /></Button>
+                </div>
+            </CardHeader>
+            <CardContent>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid md:grid-cols-3 gap-4">
+                        <div className="space-y-1">
+                            <Label>Activity</Label>
+                            <Select value={type} onValueChange={v => setType(v as InvestmentEventType)}>
+                                <SelectTrigger><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {EVENT_TYPES.map(t => <SelectItem key={t.value} value={t.value}>{t.label}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="activity-symbol">Symbol</Label>
+                            <Input
+                                id="activity-symbol"
+                                list="activity-symbols"
+                                value={symbol}
+                                onChange={e => setSymbol(e.target.value)}
+                            />
+                            <datalist id="activity-symbols">
+                                {symbols.map(s => <option key={s} value={s} />)}
+                            </datalist>
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="activity-date">Date</Label>
+                            <Input id="activity-date" type="date" value={date} onChange={e => setDate(e.target.value)} />
+                        </div>
+
+                        {type === 'sell' && (
+                            <div className="space-y-1">
+                                <Label>Lots sold</Label>
+                                <Select value={lotMode} onValueChange={v => setLotMode(v as 'fifo' | 'specific')}>
+                                    <SelectTrigger><SelectValue /></SelectTrigger>
+                                    <SelectContent>
+                                        <SelectItem value="fifo">Oldest first (FIFO)</SelectItem>
+                                        <SelectItem value="specific">Pick lots</SelectItem>
+                                    </SelectContent>
+                                </Select>
+                            </div>
+                        )}
+                        {showShares && (
+                            <div className="space-y-1">
+                                <Label htmlFor="activity-shares">Shares</Label>
+                                <Input id="activity-shares" type="number" step="any" value={shares} onChange={e => setShares(e.target.value)} />
+                            </div>
+                        )}
+                        {showPrice && (
+                            <div className="space-y-1">
+                                <Label htmlFor="activity-price">Price per share</Label>
+                                <Input id="activity-price" type="number" step="any" value={price} onChange={e => setPrice(e.target.value)} />
+                            </div>
+                        )}
+                        {(type === 'dividend' || type === 'reinvest') && (
+                            <div className="space-y-1">
+                                <Label htmlFor="activity-amount">
+                                    {type === 'dividend' ? 'Dividend amount' : 'Dividend reinvested (optional)'}
+                                </Label>
+                                <Input id="activity-amount" type="number" step="0.01" value={amount} onChange={e => setAmount(e.target.value)} />
+                            </div>
+                        )}
+                        {(type === 'buy' || type === 'sell') && (
+                            <div className="space-y-1">
+                                <Label htmlFor="activity-fees">Fees</Label>
+                                <Input id="activity-fees" type="number" step="0.01" value={fees} onChange={e => setFees(e.target.value)} />
+                            </div>
+                        )}
+                        {type === 'split' && (
+                            <div className="space-y-1">
+                                <Label htmlFor="activity-ratio">New shares per old share</Label>
+                                <Input id="activity-ratio" type="number" step="any" value={ratio} onChange={e => setRatio(e.target.value)} />
+                            </div>
+                        )}
+                    </div>
+
+                    {specific && (
+                        symbolLots.length === 0 ? (
+                            <p className="text-sm text-muted-foreground">No open lots of {normalizeSymbol(symbol) || 'this symbol'}.</p>
+                        ) : (
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>Acquired</TableHead>
+                                        <TableHead>Held</TableHead>
+                                        <TableHead>Cost/share</TableHead>
+                                        <TableHead>Term</TableHead>
+                                        <TableHead className="w-32">Sell</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {symbolLots.map(lot => (
+                                        <TableRow key={lot.lot_id}>
+                                            <TableCell>{format(parseISO(lot.acquired), 'MMM d, yyyy')}</TableCell>
+                                            <TableCell>{lot.shares}</TableCell>
+                                            <TableCell className="sensitive">{formatCurrency(lot.cost_basis / lot.shares)}</TableCell>
+                                            <TableCell>{holdingTerm(lot.acquired, date) === 'long' ? 'Long' : 'Short'}</TableCell>
+                                            <TableCell>
+                                                <Input
+                                                    type="number"
+                                                    step="any"
+                                                    aria-label={`Shares to sell from the ${lot.acquired} lot`}
+                                                    value={lotShares[lot.lot_id] || ''}
+                                                    onChange={e => setLotShares(prev => ({ ...prev, [lot.lot_id]: e.target.value }))}
+                                                />
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )
+                    )}
+
+                    {error && <p className="text-sm text-destructive">{error}</p>}
+                    <div className="flex justify-end gap-3">
+                        <Button type="button" variant="outline" onClick={onCancel} disabled={saving}>Cancel</Button>
+                        <Button type="submit" disabled={saving}>Save Activity</Button>
+                    </div>
+                </form>
+            </CardContent>
+        </Card>
+    );
+}
+
+export default React.memo(InvestmentActivityForm);
@@ -1,10 +1,14 @@
 /**
  * @fileoverview Investment portfolio tracker and manager (TypeScript)
- * @description Manages investment portfolio with CRUD operations, tracks gains/losses,
- * calculates total value and performance metrics across all accounts
+ * @description Manages investment holdings from a ledger of buys, sales,
+ * dividends, reinvestments and splits per symbol: FIFO or specific-lot cost
+ * basis, realized and unrealized gains split short and long term, and
+ * time-weighted and money-weighted (XIRR) returns. Prices are entered by hand
+ * or imported from CSV since there is no live quote feed.
  */
 
 import React, { useState, useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
 import { logError } from '@/utils/logger';
 import { Investment } from '@/api/entities';
 import { Card, CardContent, CardHeader, CardTitle, CardFooter } from '@/ui/card';
@@ -14,9 +18,31 @@ import { Label } from '@/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
 import { useToast } from "@/ui/use-toast";
-import { Plus, Edit, Trash2, TrendingUp, DollarSign, MoreHorizontal, X } from 'lucide-react';
+import { Plus, Edit, Trash2, TrendingUp, X, ListPlus, Tag } from 'lucide-react';
 import { formatCurrency } from '../utils/calculations';
 import { AnimatePresence, motion } from 'framer-motion';
+import {
+    useCreateInvestmentEvent,
+    useCreatePriceQuotes,
+    useDeleteInvestmentEvent,
+    useInvestmentEvents,
+    usePriceQuotes,
+} from '@/hooks/useEntityQueries';
+import {
+    buildLedger,
+    holdingFields,
+    holdingTerm,
+    legacyEvents,
+    moneyWeightedReturn,
+    normalizeSymbol,
+    priceOn,
+    summarizeHoldings,
+    timeWeightedReturn,
+    type InvestmentEvent,
+    type PriceQuote,
+} from '@/utils/investmentLots';
+import InvestmentActivityForm from './InvestmentActivityForm';
+import PriceUpdateForm from './PriceUpdateForm';
 
 /** Investment type options */
 const investmentTypes = ["stock", "bond", "mutual_fund", "etf", "crypto", "real_estate", "other"] as const;
@@ -26,6 +52,15 @@ type InvestmentType = typeof investmentTypes[number];
 const accountTypes = ["taxable", "401k", "ira_traditional", "ira_roth", "hsa", "other"] as const;
 type AccountType = typeof accountTypes[number];
 
+/** Ledger activity labels */
+const EVENT_LABELS: Record<InvestmentEvent['type'], string> = {
+    buy: 'Buy',
+    sell: 'Sell',
+    dividend: 'Dividend',
+    reinvest: 'Reinvested dividend',
+    split: 'Split',
+};
+
 /**
  * Investment data structure
  */
@@ -42,22 +77,14 @@ interface InvestmentData {
     purchase_date: string;
 }
 
-/**
- * Investment totals calculation
- */
-interface InvestmentTotals {
-    totalValue: number;
-    totalCost: number;
-    totalGainLoss: number;
-    performance: number;
-}
-
 /**
  * Props for InvestmentForm component
  */
 interface InvestmentFormProps {
     /** Existing investment to edit (null for new) */
     investment: InvestmentData | null;
+    /** Shares and prices come from the ledger; only the description can change */
+    ledgered: boolean;
     /** Submit handler */
     onSubmit: (data: InvestmentData) => void;
     /** Cancel handler */
@@ -74,28 +101,35 @@ interface InvestmentTrackerProps {
     refreshData: () => void;
 }
 
+const NONE: never[] = [];
+
+const formatPercent = (rate: number | null | undefined): string =>
+    rate == null || !Number.isFinite(rate) ? '—' : `${(rate * 100).toFixed(2)}%`;
+
+const gainClass = (value: number): string => (value >= 0 ? 'text-emerald-600' : 'text-rose-600');
+
 /**
  * Investment Form Component
- * 
+ *
  * Form for adding or editing investment holdings with:
  * - Symbol, name, type selection
- * - Shares and pricing inputs
+ * - Shares and pricing inputs, recorded as the first buy of a new holding
  * - Account type classification
  * - Form validation
- * 
+ *
  * @component
  * @param {InvestmentFormProps} props - Component props
  * @returns {JSX.Element} Rendered component
  */
-const InvestmentForm: React.FC<InvestmentFormProps> = ({ investment, onSubmit, onCancel }) => {
+const InvestmentForm: React.FC<InvestmentFormProps> = ({ investment, ledgered, onSubmit, onCancel }) => {
     const [formData, setFormData] = useState<InvestmentData>(investment || {
-        symbol: '', 
-        name: '', 
-        type: 'stock', 
-        shares: '', 
-        purchase_price: '', 
-        current_price: '', 
-        account_type: 'taxable', 
+        symbol: '',
+        name: '',
+        type: 'stock',
+        shares: '',
+        purchase_price: '',
+        current_price: '',
+        account_type: 'taxable',
         purchase_date: new Date().toISOString().split('T')[0]
     });
 
@@ -133,7 +167,7 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({ investment, onSubmit, o
                             </div>
                             <div className="space-y-1">
                                 <Label htmlFor="symbol">Symbol</Label>
-                                <Input id="symbol" value={formData.symbol} onChange={(e) => handleChange('symbol', e.target.value)} />
+                                <Input id="symbol" value={formData.symbol} onChange={(e) => handleChange('symbol', e.target.value)} disabled={ledgered} />
                             </div>
                             <div className="space-y-1">
                                 <Label htmlFor="type">Type</Label>
@@ -145,18 +179,40 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({ investment, onSubmit, o
                                 </Select>
                             </div>
                             <div className="space-y-1">
-                                <Label htmlFor="shares">Shares</Label>
-                                <Input id="shares" type="number" step="any" value={formData.shares} onChange={(e) => handleChange('shares', e.target.value)} required />
-                            </div>
-                            <div className="space-y-1">
-                                <Label htmlFor="purchase_price">Purchase Price</Label>
-                                <Input id="purchase_price" type="number" step="any" value={formData.purchase_price} onChange={(e) => handleChange('purchase_price', e.target.value)} required />
-                            </div>
-                            <div className="space-y-1">
-                                <Label htmlFor="current_price">Current Price</Label>
-                                <Input id="current_price" type="number" step="any" value={formData.current_price} onChange={(e) => handleChange('current_price', e.target.value)} required />
+                                <Label htmlFor="account_type">Account</Label>
+                                <Select value={formData.account_type} onValueChange={(v) => handleChange('account_type', v)}>
+                                    <SelectTrigger id="account_type"><SelectValue /></SelectTrigger>
+                                    <SelectContent>
+                                        {accountTypes.map(t => <SelectItem key={t} value={t}>{t.replace('_', ' ')}</SelectItem>)}
+                                    </SelectContent>
+                                </Select>
                             </div>
+                            {!ledgered && (
+                                <>
+                                    <div className="space-y-1">
+                                        <Label htmlFor="shares">Shares</Label>
+                                        <Input id="shares" type="number" step="any" value={formData.shares} onChange={(e) => handleChange('shares', e.target.value)} required />
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label htmlFor="purchase_price">Purchase Price</Label>
+                                        <Input id="purchase_price" type="number" step="any" value={formData.purchase_price} onChange={(e) => handleChange('purchase_price', e.target.value)} required />
+                                    </div>
+                                    <div className="space-y-1">
+                                        <Label htmlFor="current_price">Current Price</Label>
+                                        <Input id="current_price" type="number" step="any" value={formData.current_price} onChange={(e) => handleChange('current_price', e.target.value)} required />
+                                    </div>
+                                    {!investment && (
+                                        <div className="space-y-1">
+                                            <Label htmlFor="purchase_date">Purchase Date</Label>
+                                            <Input id="purchase_date" type="date" value={formData.purchase_date} onChange={(e) => handleChange('purchase_date', e.target.value)} required />
+                                        </div>
+                                    )}
+                                </>
+                            )}
                         </div>
+                        {ledgered && (
+                            <p className="text-sm text-slate-500">Shares, cost and price come from recorded activity and price updates.</p>
+                        )}
                         <div className="flex justify-end gap-3">
                             <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
                             <Button type="submit">{investment ? 'Update' : 'Save'} Investment</Button>
@@ -170,42 +226,106 @@ const InvestmentForm: React.FC<InvestmentFormProps> = ({ investment, onSubmit, o
 
 /**
  * Investment Tracker Component
- * 
+ *
  * Manages investment portfolio with:
  * - CRUD operations for holdings
- * - Real-time gain/loss calculations
- * - Portfolio performance metrics
- * - Total value aggregation
- * - Type-safe data management
- * 
+ * - A ledger of buys, sales, dividends, reinvestments and splits
+ * - Tax lots with FIFO or specific-lot sales
+ * - Realized and unrealized gains, short and long term
+ * - Time-weighted and money-weighted returns
+ * - Manual and CSV price updates
+ *
  * @component
  * @param {InvestmentTrackerProps} props - Component props
  * @returns {JSX.Element} Rendered component
  */
-function InvestmentTracker({ investments, refreshData }: InvestmentTrackerProps): JSX.Element {
+function InvestmentTracker({ investments = NONE, refreshData }: InvestmentTrackerProps): JSX.Element {
     const { toast } = useToast();
-    const [showForm, setShowForm] = useState(false);
+    const [panel, setPanel] = useState<'holding' | 'activity' | 'prices' | null>(null);
     const [editingInvestment, setEditingInvestment] = useState<InvestmentData | null>(null);
+    const [selectedSymbol, setSelectedSymbol] = useState<string | null>(null);
+
+    const { data: events = NONE } = useInvestmentEvents();
+    const { data: quotes = NONE } = usePriceQuotes();
+    const createEvent = useCreateInvestmentEvent();
+    const deleteEvent = useDeleteInvestmentEvent();
+    const createQuotes = useCreatePriceQuotes();
 
-    const investmentTotals = useMemo<InvestmentTotals>(() => {
-        if (!investments) return { totalValue: 0, totalCost: 0, totalGainLoss: 0, performance: 0 };
-        const totalValue = investments.reduce((sum, i) => sum + ((i.shares as number) * (i.current_price as number)), 0);
-        const totalCost = investments.reduce((sum, i) => sum + ((i.shares as number) * (i.purchase_price as number)), 0);
-        const totalGainLoss = totalValue - totalCost;
-        const performance = totalCost > 0 ? (totalGainLoss / totalCost) * 100 : 0;
-        return { totalValue, totalCost, totalGainLoss, performance };
-    }, [investments]);
+    const today = format(new Date(), 'yyyy-MM-dd');
 
-    const handleSubmit = async (data: InvestmentData) => {
+    // Holdings entered before the ledger count as a single buy
+    const ledgerEvents = useMemo<InvestmentEvent[]>(
+        () => [...events, ...legacyEvents(investments, events, today)],
+        [events, investments, today]
+    );
+    const ledger = useMemo(() => buildLedger(ledgerEvents), [ledgerEvents]);
+    const holdings = useMemo(() => summarizeHoldings(ledgerEvents, quotes, today), [ledgerEvents, quotes, today]);
+    const returns = useMemo(() => ({
+        timeWeighted: timeWeightedReturn(ledgerEvents, quotes, today),
+        moneyWeighted: moneyWeightedReturn(ledgerEvents, quotes, today),
+    }), [ledgerEvents, quotes, today]);
+
+    const totals = useMemo(() => holdings.reduce((sum, h) => ({
+        value: sum.value + h.market_value,
+        unrealized: sum.unrealized + h.unrealized_gain,
+        realizedShort: sum.realizedShort + h.realized_short,
+        realizedLong: sum.realizedLong + h.realized_long,
+        dividends: sum.dividends + h.dividends,
+    }), { value: 0, unrealized: 0, realizedShort: 0, realizedLong: 0, dividends: 0 }), [holdings]);
+
+    const symbols = useMemo(
+        () => [...new Set([...holdings.map(h => h.symbol), ...investments.map(i => normalizeSymbol(i.symbol || i.name))])].filter(Boolean),
+        [holdings, investments]
+    );
+
+    const recordFor = (symbol: string) => investments.find(i => normalizeSymbol(i.symbol || i.name) === symbol);
+    const isLedgered = (symbol: string) => events.some((e: InvestmentEvent) => normalizeSymbol(e.symbol) === symbol);
+
+    /** Write ledger totals back to the holding records so other screens see them */
+    const syncHoldings = async (nextEvents: InvestmentEvent[], nextQuotes: PriceQuote[], changed: string[]) => {
+        const summaries = summarizeHoldings(nextEvents, nextQuotes, today);
+        for (const symbol of new Set(changed)) {
+            const summary = summaries.find(s => s.symbol === symbol);
+            const record = recordFor(symbol);
+            if (record?.id) {
+                await Investment.update(record.id, summary ? holdingFields(summary) : { shares: 0, cost_basis: 0, current_value: 0 });
+            } else if (summary && summary.shares > 0) {
+                const firstLot = buildLedger(nextEvents).lots.find(l => l.symbol === symbol);
+                await Investment.create({
+                    name: symbol,
+                    symbol,
+                    type: 'stock',
+                    account_type: 'taxable',
+                    purchase_date: firstLot?.acquired || today,
+                    ...holdingFields(summary),
+                });
+            }
+        }
+        refreshData();
+    };
+
+    const handleSubmitHolding = async (data: InvestmentData) => {
         try {
+            const symbol = normalizeSymbol(data.symbol || data.name);
             if (editingInvestment && editingInvestment.id) {
-                await Investment.update(editingInvestment.id, data);
+                const { name, type, account_type } = data;
+                await Investment.update(editingInvestment.id, isLedgered(symbol) ? { name, type, account_type } : data);
                 toast({ title: "Success", description: "Investment updated." });
             } else {
-                await Investment.create(data);
+                await Investment.create({ ...data, symbol });
+                await createEvent.mutateAsync({
+                    symbol,
+                    type: 'buy',
+                    date: data.purchase_date,
+                    shares: data.shares,
+                    price: data.purchase_price,
+                });
+                if ((data.current_price as number) > 0) {
+                    await createQuotes.mutateAsync([{ symbol, date: today, price: data.current_price }]);
+                }
                 toast({ title: "Success", description: "Investment added." });
             }
-            setShowForm(false);
+            setPanel(null);
             setEditingInvestment(null);
             refreshData();
         } catch (error) {
@@ -214,247 +334,61 @@ function InvestmentTracker({ investments, refreshData }: InvestmentTrackerProps)
         }
     };
 
-    const handleEdit = (inv: InvestmentData) => {
-        setEditingInvestment(inv);
-        setShowForm(true);
-    };
-
-    const handleDelete = async (id: string | undefined) => {
-        if (!id) return;
+    const handleRecordEvent = async (event: InvestmentEvent) => {
         try {
-            await Investment.delete(id);
-            toast({ title: "Success", description: "Investment deleted." });
-            refreshData();
+            // The first activity on an older holding saves its position as the opening buy
+            const legacy = legacyEvents(investments, events, today).find(e => e.symbol === event.symbol);
+            if (legacy) {
+                const { id: _legacyId, ...opening } = legacy;
+                await createEvent.mutateAsync(opening);
+            }
+            const saved = await createEvent.mutateAsync(event);
+            await syncHoldings([...ledgerEvents, { ...event, id: saved?.id }], quotes, [event.symbol]);
+            toast({ title: "Activity recorded", description: `${EVENT_LABELS[event.type]} of ${event.symbol}` });
+            setPanel(null);
         } catch (error) {
-            toast({ title: "Error", description: "Could not delete investment.", variant: "destructive" });
+            toast({ title: "Error", description: "Could not record activity.", variant: "destructive" });
+            logError('Investment activity failed', error);
         }
     };
 
-    return (
-        <Card className="border-0 shadow-lg shadow-slate-200/50 bg-white/80 backdrop-blur-sm">
-            <CardHeader>
-                <div className="flex justify-between items-center">
-                    <CardTitle className="flex items-center gap-2">
-                        <TrendingUp className="h-5 w-5 text-blue-600" />
-                        Investment Portfolio
-                    </CardTitle>
-                    <Button size="sm" onClick={() => { setShowForm(!showForm); setEditingInvestment(null); }}>
-                        <Plus className="w-4 h-4 mr-2" /> Add Investment
-                    </Button>
-                </div>
-            </CardHeader>
-            <CardContent>
-                <AnimatePresence>
-                    {showForm && <InvestmentForm onSubmit={handleSubmit} onCancel={() => setShowForm(false)} investment={editingInvestment} />}
-                </AnimatePresence>
-                
-                <Table>
-                    <TableHeader>
-                        <TableRow>
-                            <TableHead>Name</TableHead>
-                            <TableHead>Current Value</TableHead>
-                            <TableHead>Gain/Loss</TableHead>
-                            <TableHead>% Change</TableHead>
-                            <TableHead></TableHead>
-                        </TableRow>
-                    </TableHeader>
-                    <TableBody>
-                        {investments && investments.map(inv => {
-                            const shares = inv.shares as number;
-                            const currentPrice = inv.current_price as number;
-                            const purchasePrice = inv.purchase_price as number;
-                            const currentValue = shares * currentPrice;
-                            const costBasis = shares * purchasePrice;
-                            const gainLoss = currentValue - costBasis;
-                            const percentage = costBasis > 0 ? (gainLoss / costBasis) * 100 : 0;
-                            return (
-                                <TableRow key={inv.id}>
-                                    <TableCell className="font-medium">{inv.name}</TableCell>
-                                    <TableCell>{formatCurrency(currentValue)}</TableCell>
-                                    <TableCell className={gainLoss >= 0 ? 'text-emerald-600' : 'text-rose-600'}>{formatCurrency(gainLoss)}</TableCell>
-                                    <TableCell className={percentage >= 0 ? 'text-emerald-600' : 'text-rose-600'}>{percentage.toFixed(2)}%</TableCell>
-                                    <TableCell className="text-right">
-                                        <Button variant="ghost" size="icon" onClick={() => handleEdit(inv)}><Edit className="h-4 w-4" /></Button>
-                                        <Button variant="ghost" size="icon" onClick={() => handleDelete(inv.id)}><Trash2 className="h-4 w-4 text-rose-500" /></Button>
-                                    </TableCell>
-                                </TableRow>
-                            );
-                        })}
-                    </TableBody>
-                </Table>
-                {investments.length === 0 && <p className="text-center text-slate-500 py-8">No investments tracked yet.</p>}
-            </CardContent>
-            <CardFooter className="bg-slate-50/80 flex justify-around p-4 border-t">
-                <div className="text-center">
-                    <p className="text-sm text-slate-600">Total Value</p>
-                    <p className="font-bold text-lg text-blue-600">{formatCurrency(investmentTotals.totalValue)}</p>
-                </div>
-                <div className="text-center">
-                    <p className="text-sm text-slate-600">Total Gain/Loss</p>
-                    <p className={`font-bold text-lg ${investmentTotals.totalGainLoss >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>{formatCurrency(investmentTotals.totalGainLoss)}</p>
-                </div>
-                <div className="text-center">
-                    <p className="text-sm text-slate-600">Overall Return</p>
-                    <p className={`font-bold text-lg ${investmentTotals.performance >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>{investmentTotals.performance.toFixed(2)}%</p>
-                </div>
-            </CardFooter>
-        </Card>
-    );
-}
-
-export default InvestmentTracker;
-
-import { logError } from '@/utils/logger';
-import { Investment } from '@/api/entities';
-import { Card, CardContent, CardHeader, CardTitle, CardFooter } from '@/ui/card';
-import { Button } from '@/ui/button';
-import { Input } from '@/ui/input';
-import { Label } from '@/ui/label';
-import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
-import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
-import { useToast } from '@/ui/use-toast';
-import { Plus, Edit, Trash2, TrendingUp, DollarSign, MoreHorizontal, X } from 'lucide-react';
-import { formatCurrency } from '../utils/calculations';
-import { AnimatePresence, motion } from 'framer-motion';
-
-/** @constant {string[]} Available investment types */
-const investmentTypes = ["stock", "bond", "mutual_fund", "etf", "crypto", "real_estate", "other"];
-/** @constant {string[]} Available account types */
-const accountTypes = ["taxable", "401k", "ira_traditional", "ira_roth", "hsa", "other"];
-
-/**
- * Investment Form Component
- * @param {Object} props
- * @param {Object} props.investment - Existing investment to edit (null for new)
- * @param {Function} props.onSubmit - Submit handler
- * @param {Function} props.onCancel - Cancel handler
- * @returns {JSX.Element}
- */
-const InvestmentForm = ({ investment, onSubmit, onCancel }) => {
-    const [formData, setFormData] = useState(investment || {
-        symbol: '', name: '', type: 'stock', shares: '', purchase_price: '', current_price: '', account_type: 'taxable', purchase_date: new Date().toISOString().split('T')[0]
-    });
-
-    const handleChange = (field, value) => {
-        setFormData(prev => ({ ...prev, [field]: value }));
-    };
-
-    const handleSubmit = (e: any) => {
-        e.preventDefault();
-        const numericData = {
-            ...formData,
-            shares: parseFloat(formData.shares),
-            purchase_price: parseFloat(formData.purchase_price),
-            current_price: parseFloat(formData.current_price),
-        };
-        numericData.current_value = numericData.shares * numericData.current_price;
-        onSubmit(numericData);
+    const handleDeleteEvent = async (event: InvestmentEvent) => {
+        if (!event.id) return;
+        try {
+            await deleteEvent.mutateAsync(event.id);
+            await syncHoldings(ledgerEvents.filter(e => e.id !== event.id), quotes, [normalizeSymbol(event.symbol)]);
+        } catch (error) {
+            toast({ title: "Error", description: "Could not delete activity.", variant: "destructive" });
+            logError('Investment activity delete failed', error);
+        }
     };
 
-    return (
-        <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -20 }}>
-            <Card className="mb-6 bg-slate-50/80">
-                <CardHeader>
-                    <div className="flex justify-between items-center">
-                        <CardTitle>{investment ? 'Edit' : 'Add'} Investment</CardTitle>
-                        <Button variant="ghost" size="icon" onClick={onCancel}><X className="h-4 w-4" /></Button>
-                    </div>
-                </CardHeader>
-                <CardContent>
-                    <form onSubmit={handleSubmit} className="space-y-4">
-                        <div className="grid md:grid-cols-3 gap-4">
-                            <div className="space-y-1">
-                                <Label htmlFor="name">Name</Label>
-                                <Input id="name" value={formData.name} onChange={(e: any) => handleChange('name', e.target.value)} required />
-                            </div>
-                            <div className="space-y-1">
-                                <Label htmlFor="symbol">Symbol</Label>
-                                <Input id="symbol" value={formData.symbol} onChange={(e: any) => handleChange('symbol', e.target.value)} />
-                            </div>
-                            <div className="space-y-1">
-                                <Label htmlFor="type">Type</Label>
-                                <Select value={formData.type} onValueChange={(v) => handleChange('type', v)}>
-                                    <SelectTrigger><SelectValue /></SelectTrigger>
-                                    <SelectContent>{investmentTypes.map(t => <SelectItem key={t} value={t}>{t.replace('_', ' ')}</SelectItem>)}</SelectContent>
-                                </Select>
-                            </div>
-                            <div className="space-y-1">
-                                <Label htmlFor="shares">Shares</Label>
-                                <Input id="shares" type="number" step="any" value={formData.shares} onChange={(e: any) => handleChange('shares', e.target.value)} required />
-                            </div>
-                            <div className="space-y-1">
-                                <Label htmlFor="purchase_price">Purchase Price</Label>
-                                <Input id="purchase_price" type="number" step="any" value={formData.purchase_price} onChange={(e: any) => handleChange('purchase_price', e.target.value)} required />
-                            </div>
-                             <div className="space-y-1">
-                                <Label htmlFor="current_price">Current Price</Label>
-                                <Input id="current_price" type="number" step="any" value={formData.current_price} onChange={(e: any) => handleChange('current_price', e.target.value)} required />
-                            </div>
-                        </div>
-                        <div className="flex justify-end gap-3">
-                            <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
-                            <Button type="submit">{investment ? 'Update' : 'Save'} Investment</Button>
-                        </div>
-                    </form>
-                </CardContent>
-            </Card>
-        </motion.div>
-    );
-};
-
-/**
- * Investment Tracker Component
- * @component
- * @param {Object} props
- * @param {Array} props.investments - List of investment holdings
- * @param {Function} props.refreshData - Callback to refresh data after changes
- * @returns {JSX.Element}
- */
-interface InvestmentTrackerProps {
-  investments?: any[];
-  refreshData?: () => void;
-}
-
-function InvestmentTracker({ investments, refreshData }: InvestmentTrackerProps) {
-    const { toast } = useToast();
-    const [showForm, setShowForm] = useState(false);
-    const [editingInvestment, setEditingInvestment] = useState<any>(null);
-
-    const investmentTotals = useMemo(() => {
-        if (!investments) return { totalValue: 0, totalCost: 0, totalGainLoss: 0, performance: 0 };
-        const totalValue = investments.reduce((sum, i) => sum + (i.shares * i.current_price), 0);
-        const totalCost = investments.reduce((sum, i) => sum + (i.shares * i.purchase_price), 0);
-        const totalGainLoss = totalValue - totalCost;
-        const performance = totalCost > 0 ? (totalGainLoss / totalCost) * 100 : 0;
-        return { totalValue, totalCost, totalGainLoss, performance };
-    }, [investments]);
-
-    const handleSubmit = async (data) => {
+    const handleSavePrices = async (newQuotes: PriceQuote[]) => {
         try {
-            if (editingInvestment) {
-                await Investment.update(editingInvestment.id, data);
-                toast({ title: "Success", description: "Investment updated." });
-            } else {
-                await Investment.create(data);
-                toast({ title: "Success", description: "Investment added." });
-            }
-            setShowForm(false);
-            setEditingInvestment(null);
-            refreshData();
+            await createQuotes.mutateAsync(newQuotes);
+            const held = new Set(holdings.map(h => h.symbol));
+            await syncHoldings(ledgerEvents, [...quotes, ...newQuotes], newQuotes.map(q => q.symbol).filter(s => held.has(s)));
+            toast({ title: "Prices saved", description: `${newQuotes.length} price${newQuotes.length === 1 ? '' : 's'} updated.` });
+            setPanel(null);
         } catch (error) {
-            toast({ title: "Error", description: "Could not save investment.", variant: "destructive" });
-            logError('Investment operation failed', error);
+            toast({ title: "Error", description: "Could not save prices.", variant: "destructive" });
+            logError('Price update failed', error);
         }
     };
 
-    const handleEdit = (inv) => {
+    const handleEdit = (inv: InvestmentData) => {
         setEditingInvestment(inv);
-        setShowForm(true);
+        setPanel('holding');
     };
 
-    const handleDelete = async (id) => {
+    const handleDelete = async (inv: InvestmentData | undefined) => {
+        if (!inv?.id) return;
+        const symbol = normalizeSymbol(inv.symbol || inv.name);
+        const symbolEvents = events.filter((e: InvestmentEvent) => normalizeSymbol(e.symbol) === symbol && e.id);
+        if (symbolEvents.length && !window.confirm(`Delete ${inv.name} and its ${symbolEvents.length} recorded activities?`)) return;
         try {
-            await Investment.delete(id);
+            for (const e of symbolEvents) await deleteEvent.mutateAsync(e.id);
+            await Investment.delete(inv.id);
             toast({ title: "Success", description: "Investment deleted." });
             refreshData();
         } catch (error) {
@@ -462,69 +396,208 @@ function InvestmentTracker({ investments, refreshData }: InvestmentTrackerProps)
         }
     };
 
+    const togglePanel = (next: 'holding' | 'activity' | 'prices') => {
+        setPanel(current => (current === next ? null : next));
+        setEditingInvestment(null);
+    };
+
+    const selectedLots = ledger.lots.filter(l => l.symbol === selectedSymbol);
+    const selectedEvents = ledgerEvents
+        .filter(e => normalizeSymbol(e.symbol) === selectedSymbol)
+        .sort((a, b) => b.date.localeCompare(a.date));
+    const selectedPrice = selectedSymbol ? priceOn(selectedSymbol, today, ledgerEvents, quotes) : null;
+
     return (
         <Card className="border-0 shadow-lg shadow-slate-200/50 bg-white/80 backdrop-blur-sm">
             <CardHeader>
-                <div className="flex justify-between items-center">
+                <div className="flex flex-wrap gap-2 justify-between items-center">
                     <CardTitle className="flex items-center gap-2">
                         <TrendingUp className="h-5 w-5 text-blue-600" />
                         Investment Portfolio
                     </CardTitle>
-                    <Button size="sm" onClick={() => { setShowForm(!showForm); setEditingInvestment(null); }}>
-                        <Plus className="w-4 h-4 mr-2" /> Add Investment
-                    </Button>
+                    <div className="flex flex-wrap gap-2">
+                        <Button size="sm" variant="outline" onClick={() => togglePanel('prices')}>
+                            <Tag className="w-4 h-4 mr-2" /> Update Prices
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => togglePanel('activity')}>
+                            <ListPlus className="w-4 h-4 mr-2" /> Record Activity
+                        </Button>
+                        <Button size="sm" onClick={() => togglePanel('holding')}>
+                            <Plus className="w-4 h-4 mr-2" /> Add Investment
+                        </Button>
+                    </div>
                 </div>
             </CardHeader>
             <CardContent>
                 <AnimatePresence>
-                    {showForm && <InvestmentForm onSubmit={handleSubmit} onCancel={() => setShowForm(false)} investment={editingInvestment} />}
+                    {panel === 'holding' && (
+                        <InvestmentForm
+                            onSubmit={handleSubmitHolding}
+                            onCancel={() => setPanel(null)}
+                            investment={editingInvestment}
+                            ledgered={!!editingInvestment && isLedgered(normalizeSymbol(editingInvestment.symbol || editingInvestment.name))}
+                        />
+                    )}
                 </AnimatePresence>
-                
+                {panel === 'activity' && (
+                    <InvestmentActivityForm symbols={symbols} lots={ledger.lots} onSubmit={handleRecordEvent} onCancel={() => setPanel(null)} />
+                )}
+                {panel === 'prices' && (
+                    <PriceUpdateForm symbols={symbols} onSave={handleSavePrices} onCancel={() => setPanel(null)} />
+                )}
+                {ledger.errors.length > 0 && (
+                    <ul className="mb-4 text-sm text-rose-600 space-y-1">
+                        {ledger.errors.map(message => <li key={message}>{message}</li>)}
+                    </ul>
+                )}
+
                 <Table>
                     <TableHeader>
                         <TableRow>
                             <TableHead>Name</TableHead>
+                            <TableHead>Shares</TableHead>
                             <TableHead>Current Value</TableHead>
-                            <TableHead>Gain/Loss</TableHead>
-                            <TableHead>% Change</TableHead>
+                            <TableHead>Unrealized</TableHead>
+                            <TableHead>Realized</TableHead>
+                            <TableHead>Dividends</TableHead>
                             <TableHead></TableHead>
                         </TableRow>
                     </TableHeader>
                     <TableBody>
-                        {investments && investments.map(inv => {
-                            const currentValue = inv.shares * inv.current_price;
-                            const costBasis = inv.shares * inv.purchase_price;
-                            const gainLoss = currentValue - costBasis;
-                            const percentage = costBasis > 0 ? (gainLoss / costBasis) * 100 : 0;
+                        {holdings.map(h => {
+                            const record = recordFor(h.symbol);
+                            const percentage = h.cost_basis > 0 ? (h.unrealized_gain / h.cost_basis) * 100 : 0;
                             return (
-                                <TableRow key={inv.id}>
-                                    <TableCell className="font-medium">{inv.name}</TableCell>
-                                    <TableCell>{formatCurrency(currentValue)}</TableCell>
-                                    <TableCell className={gainLoss >= 0 ? 'text-emerald-600' : 'text-rose-600'}>{formatCurrency(gainLoss)}</TableCell>
-                                    <TableCell className={percentage >= 0 ? 'text-emerald-600' : 'text-rose-600'}>{percentage.toFixed(2)}%</TableCell>
-                                    <TableCell className="text-right">
-                                        <Button variant="ghost" size="icon" onClick={() => handleEdit(inv)}><Edit className="h-4 w-4" /></Button>
-                                        <Button variant="ghost" size="icon" onClick={() => handleDelete(inv.id)}><Trash2 className="h-4 w-4 text-rose-500" /></Button>
+                                <TableRow
+                                    key={h.symbol}
+                                    className={`cursor-pointer ${selectedSymbol === h.symbol ? 'bg-slate-50' : ''}`}
+                                    onClick={() => setSelectedSymbol(s => (s === h.symbol ? null : h.symbol))}
+                                >
+                                    <TableCell className="font-medium">
+                                        {record?.name || h.symbol}
+                                        {record?.name && record.name !== h.symbol && <span className="ml-2 text-xs text-slate-500">{h.symbol}</span>}
+                                    </TableCell>
+                                    <TableCell>{h.shares}</TableCell>
+                                    <TableCell className="sensitive">
+                                        {formatCurrency(h.market_value)}
+                                        {h.price == null && <span className="block text-xs text-slate-500">at cost, no price yet</span>}
+                                    </TableCell>
+                                    <TableCell className={`sensitive ${gainClass(h.unrealized_gain)}`}>
+                                        {formatCurrency(h.unrealized_gain)} <span className="text-xs">({percentage.toFixed(2)}%)</span>
+                                    </TableCell>
+                                    <TableCell className={`sensitive ${gainClass(h.realized_gain)}`}>{formatCurrency(h.realized_gain)}</TableCell>
+                                    <TableCell className="sensitive">{formatCurrency(h.dividends)}</TableCell>
+                                    <TableCell className="text-right" onClick={e => e.stopPropagation()}>
+                                        {record && (
+                                            <>
+                                                <Button variant="ghost" size="icon" aria-label={`Edit ${record.name}`} onClick={() => handleEdit(record)}><Edit className="h-4 w-4" /></Button>
+                                                <Button variant="ghost" size="icon" aria-label={`Delete ${record.name}`} onClick={() => handleDelete(record)}><Trash2 className="h-4 w-4 text-rose-500" /></Button>
+                                            </>
+                                        )}
                                     </TableCell>
                                 </TableRow>
                             );
                         })}
                     </TableBody>
                 </Table>
-                 {investments.length === 0 && <p className="text-center text-slate-500 py-8">No investments tracked yet.</p>}
+                {holdings.length === 0 && <p className="text-center text-slate-500 py-8">No investments tracked yet.</p>}
+
+                {selectedSymbol && (
+                    <div className="mt-6 grid gap-6 lg:grid-cols-2">
+                        <div>
+                            <h4 className="font-semibold mb-2">Open lots of {selectedSymbol}</h4>
+                            {selectedLots.length === 0 ? (
+                                <p className="text-sm text-slate-500">No shares held.</p>
+                            ) : (
+                                <Table>
+                                    <TableHeader>
+                                        <TableRow>
+                                            <TableHead>Acquired</TableHead>
+                                            <TableHead>Shares</TableHead>
+                                            <TableHead>Cost</TableHead>
+                                            <TableHead>Gain</TableHead>
+                                            <TableHead>Term</TableHead>
+                                        </TableRow>
+                                    </TableHeader>
+                                    <TableBody>
+                                        {selectedLots.map(lot => {
+                                            const gain = selectedPrice != null ? lot.shares * selectedPrice - lot.cost_basis : 0;
+                                            return (
+                                                <TableRow key={lot.lot_id}>
+                                                    <TableCell>
+                                                        {format(parseISO(lot.acquired), 'MMM d, yyyy')}
+                                                        {lot.reinvested && <span className="ml-1 text-xs text-slate-500">DRIP</span>}
+                                                    </TableCell>
+                                                    <TableCell>{Math.round(lot.shares * 1e4) / 1e4}</TableCell>
+                                                    <TableCell className="sensitive">{formatCurrency(lot.cost_basis)}</TableCell>
+                                                    <TableCell className={`sensitive ${gainClass(gain)}`}>{formatCurrency(gain)}</TableCell>
+                                                    <TableCell>{holdingTerm(lot.acquired, today) === 'long' ? 'Long' : 'Short'}</TableCell>
+                                                </TableRow>
+                                            );
+                                        })}
+                                    </TableBody>
+                                </Table>
+                            )}
+                        </div>
+                        <div>
+                            <h4 className="font-semibold mb-2">Activity</h4>
+                            <Table>
+                                <TableBody>
+                                    {selectedEvents.map((e, index) => (
+                                        <TableRow key={e.id || index}>
+                                            <TableCell>{format(parseISO(e.date), 'MMM d, yyyy')}</TableCell>
+                                            <TableCell>{EVENT_LABELS[e.type]}</TableCell>
+                                            <TableCell className="sensitive">
+                                                {e.type === 'split' && `${e.ratio}-for-1`}
+                                                {e.type === 'dividend' && formatCurrency(Number(e.amount) || 0)}
+                                                {(e.type === 'buy' || e.type === 'sell' || e.type === 'reinvest') &&
+                                                    `${e.shares} @ ${formatCurrency(Number(e.price) || 0)}`}
+                                            </TableCell>
+                                            <TableCell className="text-right">
+                                                {e.id && !e.id.startsWith('legacy-') && (
+                                                    <Button variant="ghost" size="icon" aria-label="Delete activity" onClick={() => handleDeleteEvent(e)}>
+                                                        <Trash2 className="h-4 w-4 text-rose-500" />
+                                                    </Button>
+                                                )}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    </div>
+                )}
             </CardContent>
-            <CardFooter className="bg-slate-50/80 flex justify-around p-4 border-t">
+            <CardFooter className="bg-slate-50/80 grid grid-cols-2 md:grid-cols-5 gap-4 p-4 border-t">
                 <div className="text-center">
                     <p className="text-sm text-slate-600">Total Value</p>
-                    <p className="font-bold text-lg text-blue-600">{formatCurrency(investmentTotals.totalValue)}</p>
+                    <p className="font-bold text-lg text-blue-600 sensitive">{formatCurrency(totals.value)}</p>
                 </div>
-                 <div className="text-center">
-                    <p className="text-sm text-slate-600">Total Gain/Loss</p>
-                    <p className={`font-bold text-lg ${investmentTotals.totalGainLoss >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>{formatCurrency(investmentTotals.totalGainLoss)}</p>
+                <div className="text-center">
+                    <p className="text-sm text-slate-600">Unrealized Gain</p>
+                    <p className={`font-bold text-lg sensitive ${gainClass(totals.unrealized)}`}>{formatCurrency(totals.unrealized)}</p>
                 </div>
-                 <div className="text-center">
-                    <p className="text-sm text-slate-600">Overall Return</p>
-                    <p className={`font-bold text-lg ${investmentTotals.performance >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>{investmentTotals.performance.toFixed(2)}%</p>
+                <div className="text-center">
+                    <p className="text-sm text-slate-600">Realized (short / long)</p>
+                    <p className="font-bold text-lg sensitive">
+                        <span className={gainClass(totals.realizedShort)}>{formatCurrency(totals.realizedShort)}</span>
+                        {' / '}
+                        <span className={gainClass(totals.realizedLong)}>{formatCurrency(totals.realizedLong)}</span>
+                    </p>
+                </div>
+                <div className="text-center">
+                    <p className="text-sm text-slate-600">Time-weighted Return</p>
+                    <p className={`font-bold text-lg ${gainClass(returns.timeWeighted?.total ?? 0)}`}>
+                        {formatPercent(returns.timeWeighted?.total)}
+                    </p>
+                    {returns.timeWeighted?.annualized != null && (
+                        <p className="text-xs text-slate-500">{formatPercent(returns.timeWeighted.annualized)} a year</p>
+                    )}
+                </div>
+                <div className="text-center">
+                    <p className="text-sm text-slate-600">Money-weighted (XIRR)</p>
+                    <p className={`font-bold text-lg ${gainClass(returns.moneyWeighted ?? 0)}`}>{formatPercent(returns.moneyWeighted)}</p>
+                    <p className="text-xs text-slate-500 sensitive">Dividends {formatCurrency(totals.dividends)}</p>
                 </div>
             </CardFooter>
         </Card>
@@ -1,58 +1,44 @@
 /**
  * @fileoverview Net worth tracking and visualization component (TypeScript)
- * @description Displays total net worth with historical trends, asset breakdown,
- * and interactive charts for investments, savings, and liabilities
+ * @description Displays current net worth from accounts, investments, debts and
+ * goal savings, the trend from stored monthly snapshots, what moved net worth
+ * since last month, and accounts with their balances
  */
 
-import React, { useMemo, memo } from 'react';
-import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card.jsx';
-import { Progress } from '@/ui/progress.jsx';
-import { TrendingUp, TrendingDown, DollarSign, PieChart } from 'lucide-react';
+import React, { useCallback, useMemo, useState, memo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { TrendingUp, TrendingDown, DollarSign, Camera, Plus } from 'lucide-react';
 import { formatCurrency } from '../utils/calculations';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart as RechartsPieChart, Cell, Legend, Pie } from 'recharts';
-import type { Goal, Debt } from '@/types/entities';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart as RechartsPieChart, Cell, Pie } from 'recharts';
+import { accountBalance, isLedgerAccount, type LedgerTransaction } from '@/utils/accounts';
+import {
+    buildNetWorthSnapshot,
+    monthOverMonthChange,
+    netWorthTrend,
+    recordAccountBalance,
+    type AccountBalanceEntry,
+    type NetWorthAccount,
+    type NetWorthAccountType,
+    type NetWorthDebt,
+    type NetWorthGoal,
+    type NetWorthInvestment,
+    type NetWorthSnapshotData,
+    type NetWorthSnapshotRecord,
+} from '@/utils/netWorth';
 
 /**
- * Investment account interface
+ * Fields saved when a manually tracked account is added
  */
-interface Investment {
-    id: string;
-    name?: string;
-    current_value?: number;
-    type?: string;
-}
-
-/**
- * Historical data point for net worth tracking
- */
-interface HistoricalDataPoint {
-    month: string;
-    netWorth: number;
-    assets: number;
-    liabilities: number;
-}
-
-/**
- * Asset breakdown item
- */
-interface AssetBreakdownItem {
+interface NewAccountData {
     name: string;
-    value: number;
-    color: string;
-}
-
-/**
- * Computed net worth data
- */
-interface NetWorthData {
-    totalInvestments: number;
-    totalSavings: number;
-    totalDebt: number;
-    assets: number;
-    liabilities: number;
-    netWorth: number;
-    historicalData: HistoricalDataPoint[];
-    assetBreakdown: AssetBreakdownItem[];
+    type: NetWorthAccountType;
+    balance: number;
+    balance_history: AccountBalanceEntry[];
 }
 
 /**
@@ -60,94 +46,167 @@ interface NetWorthData {
  */
 interface NetWorthTrackerProps {
     /** List of investment accounts */
-    investments: Investment[];
+    investments?: NetWorthInvestment[];
     /** List of debt accounts */
-    debts: Debt[];
+    debts?: NetWorthDebt[];
     /** List of savings goals */
-    goals: Goal[];
+    goals?: NetWorthGoal[];
+    /** Tracked accounts and manually valued assets */
+    accounts?: NetWorthAccount[];
+    /** Transactions, for the balances of tracked accounts */
+    transactions?: LedgerTransaction[];
+    /** Stored net worth snapshots */
+    snapshots?: NetWorthSnapshotRecord[];
+    /** Stores a snapshot taken on demand */
+    onTakeSnapshot: (data: NetWorthSnapshotData) => Promise<void>;
+    /** Adds a manually tracked account */
+    onCreateAccount: (data: NewAccountData) => Promise<void>;
+    /** Saves a new balance for an account */
+    onUpdateAccount: (id: string, data: { balance: number; balance_history: AccountBalanceEntry[] }) => Promise<void>;
 }
 
 /** Color palette for pie chart segments */
-const COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6'];
+const COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#14b8a6'];
+
+/** Types added here and valued by hand; accounts that track transactions are added in Money Manager */
+const ACCOUNT_TYPE_LABELS: Record<NetWorthAccountType, string> = {
+    checking: 'Checking',
+    savings: 'Savings',
+    vehicle: 'Vehicle',
+    property: 'Property',
+    other_asset: 'Other asset',
+    other_liability: 'Other liability',
+};
+
+const ATTRIBUTION_ROWS = [
+    { key: 'debt_paydown', label: 'Debt paydown' },
+    { key: 'investment_growth', label: 'Investment growth' },
+    { key: 'new_savings', label: 'New savings' },
+    { key: 'other', label: 'Vehicles, property & other' },
+] as const;
+
+const NONE: never[] = [];
+
+const signedCurrency = (value: number): string => `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`;
 
 /**
  * Net Worth Tracker Component
- * 
+ *
  * Displays comprehensive net worth information including:
  * - Current total net worth (assets - liabilities)
- * - 12-month historical trend line chart
+ * - 12-month trend from stored snapshots
+ * - Month-over-month change split into debt paydown, investment growth and new savings
  * - Asset breakdown pie chart
- * - Quick action buttons for adding investments and goals
- * 
+ * - Accounts, with balance updates for manually valued ones
+ *
  * @component
  * @param {NetWorthTrackerProps} props - Component props
- * @returns {JSX.Element} Rendered component
+ * @returns {React.ReactElement} Rendered component
  */
-function NetWorthTracker({ investments, debts, goals }: NetWorthTrackerProps): JSX.Element {
-    const netWorthData = useMemo<NetWorthData>(() => {
-        const totalInvestments = investments.reduce((sum, inv) => sum + (inv.current_value || 0), 0);
-        const totalSavings = goals.reduce((sum, goal) => sum + (goal.current_amount || 0), 0);
-        const totalDebt = debts.reduce((sum, debt) => sum + (debt.balance || 0), 0);
-        
-        const assets = totalInvestments + totalSavings;
-        const liabilities = totalDebt;
-        const netWorth = assets - liabilities;
-
-        // Simulate historical data (in a real app, this would come from stored snapshots)
-        const historicalData: HistoricalDataPoint[] = Array.from({ length: 12 }, (_, i) => {
-            const monthsAgo = 11 - i;
-            const date = new Date();
-            date.setMonth(date.getMonth() - monthsAgo);
-            
-            return {
-                month: date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
-                netWorth: netWorth * (0.8 + (i * 0.02)) + (Math.random() - 0.5) * 1000,
-                assets: assets * (0.85 + (i * 0.015)),
-                liabilities: liabilities * (1.1 - (i * 0.01))
-            };
+function NetWorthTracker({
+    investments = NONE,
+    debts = NONE,
+    goals = NONE,
+    accounts = NONE,
+    transactions = NONE,
+    snapshots = NONE,
+    onTakeSnapshot,
+    onCreateAccount,
+    onUpdateAccount,
+}: NetWorthTrackerProps): React.ReactElement {
+    const [busy, setBusy] = useState(false);
+    const [newAccount, setNewAccount] = useState({ name: '', type: 'checking' as NetWorthAccountType, balance: '' });
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [editBalance, setEditBalance] = useState('');
+
+    const current = useMemo(
+        () => buildNetWorthSnapshot({ accounts, investments, debts, goals, transactions }),
+        [accounts, investments, debts, goals, transactions]
+    );
+
+    const change = useMemo(() => monthOverMonthChange(snapshots, current), [snapshots, current]);
+
+    // Stored month-end snapshots, with this month shown at its live value
+    const trendData = useMemo(() => {
+        const month = current.date.slice(0, 7);
+        return [
+            ...netWorthTrend(snapshots, { as_of: current.date }).filter(point => point.month !== month),
+            { month, net_worth: current.net_worth },
+        ].map(point => ({
+            label: format(parseISO(`${point.month}-01`), 'MMM yy'),
+            netWorth: point.net_worth,
+        }));
+    }, [snapshots, current]);
+
+    const assetBreakdown = useMemo(
+        () => current.categories
+            .filter(c => c.kind === 'asset' && c.value > 0)
+            .map((c, index) => ({ name: c.label, value: c.value, color: COLORS[index % COLORS.length] })),
+        [current]
+    );
+
+    const activeAccounts = useMemo(() => accounts.filter(a => !a.archived), [accounts]);
+
+    const run = useCallback(async (action: () => Promise<void>) => {
+        setBusy(true);
+        try {
+            await action();
+        } finally {
+            setBusy(false);
+        }
+    }, []);
+
+    const handleSnapshot = useCallback(() => run(() => onTakeSnapshot({ ...current, source: 'manual' })), [current, onTakeSnapshot, run]);
+
+    const handleAddAccount = useCallback((e: React.FormEvent) => {
+        e.preventDefault();
+        const balance = parseFloat(newAccount.balance);
+        if (!newAccount.name.trim() || !Number.isFinite(balance)) return;
+        run(async () => {
+            await onCreateAccount({
+                name: newAccount.name.trim(),
+                type: newAccount.type,
+                ...recordAccountBalance({}, balance),
+            });
+            setNewAccount({ name: '', type: newAccount.type, balance: '' });
         });
+    }, [newAccount, onCreateAccount, run]);
 
-        const assetBreakdown: AssetBreakdownItem[] = [
-            { name: 'Investments', value: totalInvestments, color: '#10b981' },
-            { name: 'Savings Goals', value: totalSavings, color: '#3b82f6' },
-            { name: 'Cash', value: Math.max(0, netWorth * 0.1), color: '#f59e0b' }
-        ].filter(item => item.value > 0);
-
-        return {
-            totalInvestments,
-            totalSavings,
-            totalDebt,
-            assets,
-            liabilities,
-            netWorth,
-            historicalData,
-            assetBreakdown
-        };
-    }, [investments, debts, goals]);
+    const handleSaveBalance = useCallback((account: NetWorthAccount) => {
+        const balance = parseFloat(editBalance);
+        if (!account.id || !Number.isFinite(balance)) return;
+        run(async () => {
+            await onUpdateAccount(account.id!, recordAccountBalance(account, balance));
+            setEditingId(null);
+        });
+    }, [editBalance, onUpdateAccount, run]);
 
     return (
         <Card className="border-0 shadow-lg shadow-slate-200/50 bg-white/80 backdrop-blur-sm">
-            <CardHeader>
+            <CardHeader className="flex flex-row items-center justify-between gap-2">
                 <CardTitle className="flex items-center gap-2">
                     <DollarSign className="h-5 w-5 text-green-600" />
                     Net Worth Tracker
                 </CardTitle>
+                <Button size="sm" variant="outline" onClick={handleSnapshot} disabled={busy}>
+                    <Camera className="mr-2 h-4 w-4" /> Take Snapshot
+                </Button>
             </CardHeader>
             <CardContent className="space-y-6">
                 {/* Current Net Worth */}
                 <div className="text-center p-6 bg-gradient-to-r from-green-50 to-blue-50 rounded-lg">
-                    <div className={`text-3xl font-bold ${netWorthData.netWorth >= 0 ? 'text-green-700' : 'text-red-700'}`}>
-                        {formatCurrency(netWorthData.netWorth)}
+                    <div className={`text-3xl font-bold sensitive ${current.net_worth >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                        {formatCurrency(current.net_worth)}
                     </div>
                     <p className="text-sm text-slate-600 mt-1">Total Net Worth</p>
                     <div className="flex justify-center items-center gap-4 mt-3">
                         <div className="flex items-center gap-1">
                             <TrendingUp className="h-4 w-4 text-green-600" />
-                            <span className="text-sm text-green-600">Assets: {formatCurrency(netWorthData.assets)}</span>
+                            <span className="text-sm text-green-600">Assets: <span className="sensitive">{formatCurrency(current.total_assets)}</span></span>
                         </div>
                         <div className="flex items-center gap-1">
                             <TrendingDown className="h-4 w-4 text-red-600" />
-                            <span className="text-sm text-red-600">Liabilities: {formatCurrency(netWorthData.liabilities)}</span>
+                            <span className="text-sm text-red-600">Liabilities: <span className="sensitive">{formatCurrency(current.total_liabilities)}</span></span>
                         </div>
                     </div>
                 </div>
@@ -155,21 +214,49 @@ function NetWorthTracker({ investments, debts, goals }: NetWorthTrackerProps): J
                 {/* Historical Trend */}
                 <div>
                     <h4 className="font-medium text-slate-900 mb-3">12-Month Trend</h4>
-                    <div className="h-64">
-                        <ResponsiveContainer width="100%" height="100%">
-                            <LineChart data={netWorthData.historicalData}>
-                                <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
-                                <XAxis dataKey="month" />
-                                <YAxis tickFormatter={(value: number) => formatCurrency(value)} />
-                                <Tooltip formatter={(value: number) => formatCurrency(value)} />
-                                <Line type="monotone" dataKey="netWorth" stroke="#10b981" strokeWidth={2} />
-                            </LineChart>
-                        </ResponsiveContainer>
-                    </div>
+                    {trendData.length > 1 ? (
+                        <div className="h-64">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={trendData}>
+                                    <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+                                    <XAxis dataKey="label" />
+                                    <YAxis tickFormatter={(value: number) => formatCurrency(value)} />
+                                    <Tooltip formatter={(value: number) => formatCurrency(value)} />
+                                    <Line type="monotone" dataKey="netWorth" stroke="#10b981" strokeWidth={2} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+                    ) : (
+                        <p className="text-sm text-slate-600">
+                            A snapshot is saved every month. The trend fills in as months are recorded.
+                        </p>
+                    )}
                 </div>
 
+                {/* Month-over-month attribution */}
+                {change && (
+                    <div>
+                        <div className="flex items-baseline justify-between mb-3">
+                            <h4 className="font-medium text-slate-900">Since {format(parseISO(change.from_date), 'MMM d')}</h4>
+                            <span className={`text-sm font-bold sensitive ${change.net_worth_change >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                                {signedCurrency(change.net_worth_change)}
+                            </span>
+                        </div>
+                        <div className="space-y-2">
+                            {ATTRIBUTION_ROWS.map(row => (
+                                <div key={row.key} className="flex justify-between items-center text-sm">
+                                    <span className="text-slate-600">{row.label}</span>
+                                    <span className={`font-medium sensitive ${change[row.key] >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                                        {signedCurrency(change[row.key])}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Asset Breakdown */}
-                {netWorthData.assetBreakdown.length > 0 && (
+                {assetBreakdown.length > 0 && (
                     <div>
                         <h4 className="font-medium text-slate-900 mb-3">Asset Breakdown</h4>
                         <div className="grid md:grid-cols-2 gap-4">
@@ -177,7 +264,7 @@ function NetWorthTracker({ investments, debts, goals }: NetWorthTrackerProps): J
                                 <ResponsiveContainer width="100%" height="100%">
                                     <RechartsPieChart>
                                         <Pie
-                                            data={netWorthData.assetBreakdown}
+                                            data={assetBreakdown}
                                             cx="50%"
                                             cy="50%"
                                             innerRadius={40}
@@ -185,7 +272,7 @@ function NetWorthTracker({ investments, debts, goals }: NetWorthTrackerProps): J
                                             paddingAngle={5}
                                             dataKey="value"
                                         >
-                                            {netWorthData.assetBreakdown.map((entry, index) => (
+                                            {assetBreakdown.map((entry, index) => (
                                                 <Cell key={`cell-${index}`} fill={entry.color} />
                                             ))}
                                         </Pie>
@@ -194,13 +281,13 @@ function NetWorthTracker({ investments, debts, goals }: NetWorthTrackerProps): J
                                 </ResponsiveContainer>
                             </div>
                             <div className="space-y-3">
-                                {netWorthData.assetBreakdown.map((item, index) => (
-                                    <div key={index} className="flex justify-between items-center">
+                                {assetBreakdown.map(item => (
+                                    <div key={item.name} className="flex justify-between items-center">
                                         <div className="flex items-center gap-2">
-                                            <div className={`w-3 h-3 rounded-full`} style={{ backgroundColor: item.color }}></div>
+                                            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: item.color }}></div>
                                             <span className="text-sm font-medium">{item.name}</span>
                                         </div>
-                                        <span className="text-sm font-bold">{formatCurrency(item.value)}</span>
+                                        <span className="text-sm font-bold sensitive">{formatCurrency(item.value)}</span>
                                     </div>
                                 ))}
                             </div>
@@ -208,17 +295,104 @@ function NetWorthTracker({ investments, debts, goals }: NetWorthTrackerProps): J
                     </div>
                 )}
 
-                {/* Quick Actions */}
-                <div className="flex gap-2 flex-wrap">
-                    <button className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-medium hover:bg-green-200 transition-colors">
-                        Add Investment
-                    </button>
-                    <button className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-medium hover:bg-blue-200 transition-colors">
-                        Set Goal
-                    </button>
-                    <button className="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-xs font-medium hover:bg-purple-200 transition-colors">
-                        View Details
-                    </button>
+                {/* Accounts and manually valued assets */}
+                <div>
+                    <h4 className="font-medium text-slate-900 mb-3">Accounts & Assets</h4>
+                    {activeAccounts.length > 0 && (
+                        <div className="space-y-2 mb-4">
+                            {activeAccounts.map(account => {
+                                const tracked = isLedgerAccount(account);
+                                const history = account.balance_history || [];
+                                const updated = history[history.length - 1]?.date;
+                                return (
+                                    <div key={account.id} className="flex flex-wrap items-center justify-between gap-2 p-3 border border-border rounded-lg">
+                                        <div>
+                                            <p className="text-sm font-medium">{account.name}</p>
+                                            <p className="text-xs text-slate-600">
+                                                {tracked
+                                                    ? 'From transactions'
+                                                    : ACCOUNT_TYPE_LABELS[account.type as NetWorthAccountType] ?? 'Other asset'}
+                                                {!tracked && updated && <> • updated {format(parseISO(updated), 'MMM d, yyyy')}</>}
+                                            </p>
+                                        </div>
+                                        {tracked ? (
+                                            <span className="text-sm font-bold sensitive">
+                                                {formatCurrency(accountBalance(account, transactions, accounts))}
+                                            </span>
+                                        ) : editingId === account.id ? (
+                                            <div className="flex items-center gap-2">
+                                                <Input
+                                                    type="number"
+                                                    step="0.01"
+                                                    className="w-32"
+                                                    aria-label={`${account.name} balance`}
+                                                    value={editBalance}
+                                                    onChange={e => setEditBalance(e.target.value)}
+                                                />
+                                                <Button size="sm" onClick={() => handleSaveBalance(account)} disabled={busy}>Save</Button>
+                                                <Button size="sm" variant="ghost" onClick={() => setEditingId(null)}>Cancel</Button>
+                                            </div>
+                                        ) : (
+                                            <div className="flex items-center gap-2">
+                                                <span className="text-sm font-bold sensitive">{formatCurrency(Number(account.balance) || 0)}</span>
+                                                <Button
+                                                    size="sm"
+                                                    variant="outline"
+                                                    onClick={() => {
+                                                        setEditingId(account.id ?? null);
+                                                        setEditBalance(String(account.balance ?? ''));
+                                                    }}
+                                                >
+                                                    Update
+                                                </Button>
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleAddAccount} className="grid gap-3 md:grid-cols-4 items-end">
+                        <div className="space-y-1">
+                            <Label htmlFor="account-name">Name</Label>
+                            <Input
+                                id="account-name"
+                                value={newAccount.name}
+                                onChange={e => setNewAccount(prev => ({ ...prev, name: e.target.value }))}
+                                placeholder="e.g. Credit union savings"
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="account-type">Type</Label>
+                            <Select
+                                value={newAccount.type}
+                                onValueChange={(type: NetWorthAccountType) => setNewAccount(prev => ({ ...prev, type }))}
+                            >
+                                <SelectTrigger id="account-type">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {Object.entries(ACCOUNT_TYPE_LABELS).map(([value, label]) => (
+                                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="account-balance">Balance or value ($)</Label>
+                            <Input
+                                id="account-balance"
+                                type="number"
+                                step="0.01"
+                                value={newAccount.balance}
+                                onChange={e => setNewAccount(prev => ({ ...prev, balance: e.target.value }))}
+                            />
+                        </div>
+                        <Button type="submit" variant="outline" disabled={busy}>
+                            <Plus className="mr-2 h-4 w-4" /> Add Account
+                        </Button>
+                    </form>
                 </div>
             </CardContent>
         </Card>
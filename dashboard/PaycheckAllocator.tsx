@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Zero-based budgeting by paycheck
+ * @description Every paycheck, from shifts or an income deposit, is assigned to
+ * envelopes, goals, bills and debts until nothing is left to be assigned.
+ * Allocation templates fill a paycheck in one step, and envelope balances carry
+ * over from one pay period to the next.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import { format, parseISO, subDays } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Badge } from '@/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { CheckCircle2, Layers, Save, Wand2 } from 'lucide-react';
+import { useLocalStorage } from '@/hooks/useLocalStorage';
+import { usePaycheckSettings, useShiftRules } from '@/hooks/useEntityQueries';
+import { useToast } from '@/ui/use-toast';
+import { formatCurrency } from '@/utils/calculations';
+import {
+    DEFAULT_ALLOCATION_TEMPLATES,
+    applyAllocationTemplate,
+    buildZeroBasedPeriods,
+    collectPaychecks,
+    templateFromPeriod,
+    type AllocationTarget,
+    type AllocationTargetKind,
+    type AllocationTemplate,
+    type ZeroBasedAssignments,
+    type ZeroBasedBudget,
+    type ZeroBasedGoal,
+} from '@/utils/zeroBasedBudget';
+import type { ProjectionDebt, ProjectionShift, ProjectionTransaction } from '@/utils/cashflowProjection';
+import type { SubscriptionBill } from '@/utils/subscriptions';
+
+interface PaycheckAllocatorProps {
+    budgets?: ZeroBasedBudget[];
+    transactions?: ProjectionTransaction[];
+    /** Monthly envelope amounts from the monthly mode */
+    envelopeAmounts?: Record<string, number>;
+    shifts?: ProjectionShift[];
+    goals?: ZeroBasedGoal[];
+    bills?: SubscriptionBill[];
+    debts?: ProjectionDebt[];
+}
+
+const KIND_LABELS: Record<AllocationTargetKind, string> = {
+    bill: 'Bills',
+    debt: 'Debts',
+    envelope: 'Envelopes',
+    goal: 'Goals',
+};
+
+/** How far back paychecks are listed */
+const HISTORY_DAYS = 90;
+
+const NONE: never[] = [];
+
+const formatDay = (value: string): string => format(parseISO(value), 'MMM d');
+
+/**
+ * Paycheck allocator for the zero-based mode of envelope budgeting
+ * @param {PaycheckAllocatorProps} props - Budgets, transactions, envelope amounts, shifts, goals, bills and debts
+ * @returns {React.ReactElement} Per-paycheck allocation interface
+ */
+function PaycheckAllocator({
+    budgets = NONE,
+    transactions = NONE,
+    envelopeAmounts,
+    shifts = NONE,
+    goals = NONE,
+    bills = NONE,
+    debts = NONE,
+}: PaycheckAllocatorProps): React.ReactElement {
+    const { toast } = useToast();
+    const { data: paycheckSettings = null } = usePaycheckSettings();
+    const { data: shiftRules = NONE } = useShiftRules();
+    const [assignments, setAssignments] = useLocalStorage<ZeroBasedAssignments>('paycheck-assignments', {}, {
+        encrypt: true,
+        namespace: 'budgeting',
+    });
+    const [customTemplates, setCustomTemplates] = useLocalStorage<AllocationTemplate[]>('allocation-templates', [], {
+        namespace: 'budgeting',
+    });
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [templateId, setTemplateId] = useState(DEFAULT_ALLOCATION_TEMPLATES[0].id);
+    const [templateName, setTemplateName] = useState('');
+
+    const templates = useMemo(() => [...DEFAULT_ALLOCATION_TEMPLATES, ...customTemplates], [customTemplates]);
+
+    const periods = useMemo(() => {
+        const today = new Date();
+        const paychecks = collectPaychecks(
+            { shifts, shift_rules: shiftRules, paycheck_settings: paycheckSettings, transactions },
+            format(subDays(today, HISTORY_DAYS), 'yyyy-MM-dd'),
+            format(today, 'yyyy-MM-dd')
+        );
+        return buildZeroBasedPeriods({
+            paychecks,
+            budgets,
+            envelope_amounts: envelopeAmounts,
+            bills,
+            debts,
+            goals,
+            transactions,
+            assignments,
+        });
+    }, [shifts, shiftRules, paycheckSettings, transactions, budgets, envelopeAmounts, bills, debts, goals, assignments]);
+
+    const period = periods.find(p => p.paycheck.id === selectedId) ?? periods[periods.length - 1];
+    const unassignedCount = periods.filter(p => p.to_be_assigned !== 0).length;
+
+    const groups = useMemo(() => {
+        const byKind = new Map<AllocationTargetKind, AllocationTarget[]>();
+        for (const target of period?.targets ?? NONE) {
+            byKind.set(target.kind, [...(byKind.get(target.kind) ?? []), target]);
+        }
+        return [...byKind.entries()];
+    }, [period]);
+
+    const handleAssign = useCallback((key: string, value: string) => {
+        if (!period) return;
+        const amount = parseFloat(value);
+        if (value !== '' && (isNaN(amount) || amount < 0 || amount > 1000000)) {
+            toast({
+                title: 'Invalid amount',
+                description: 'Enter an amount between $0 and $1,000,000',
+                variant: 'destructive',
+            });
+            return;
+        }
+        const paycheckId = period.paycheck.id;
+        setAssignments(prev => {
+            const current = { ...(prev[paycheckId] ?? {}) };
+            if (value === '' || amount === 0) delete current[key];
+            else current[key] = Math.round(amount * 100) / 100;
+            return { ...prev, [paycheckId]: current };
+        });
+    }, [period, setAssignments, toast]);
+
+    const handleApplyTemplate = useCallback(() => {
+        const template = templates.find(t => t.id === templateId);
+        if (!period || !template) return;
+        setAssignments(prev => ({ ...prev, [period.paycheck.id]: applyAllocationTemplate(period, template) }));
+        toast({ title: 'Template applied', description: `${template.name} filled this paycheck` });
+    }, [period, templates, templateId, setAssignments, toast]);
+
+    const handleSaveTemplate = useCallback(() => {
+        const name = templateName.trim();
+        if (!period || !name) return;
+        const template = templateFromPeriod(period, name);
+        if (template.rules.length === 0) {
+            toast({ title: 'Nothing to save', description: 'Assign part of this paycheck first', variant: 'destructive' });
+            return;
+        }
+        setCustomTemplates(prev => [...prev, template]);
+        setTemplateId(template.id);
+        setTemplateName('');
+        toast({ title: 'Template saved', description: `${name} is ready for your next paycheck` });
+    }, [period, templateName, setCustomTemplates, toast]);
+
+    if (!period) {
+        return (
+            <Card className="border-0 shadow-lg bg-card">
+                <CardContent className="py-10 text-center text-sm text-muted-foreground">
+                    No paychecks in the last {HISTORY_DAYS} days. Log a shift or an income transaction to start assigning.
+                </CardContent>
+            </Card>
+        );
+    }
+
+    const balanced = period.to_be_assigned === 0;
+
+    return (
+        <Card className="border-0 shadow-lg bg-card">
+            <CardHeader className="pb-2">
+                <div className="space-y-4">
+                    <CardTitle className="text-2xl font-bold flex items-center gap-2">
+                        <Layers className="h-6 w-6 text-primary" /> Assign Every Paycheck
+                    </CardTitle>
+                    <div className="flex flex-col sm:flex-row gap-3">
+                        <Select value={period.paycheck.id} onValueChange={setSelectedId}>
+                            <SelectTrigger className="sm:w-72" aria-label="Paycheck">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {[...periods].reverse().map(p => (
+                                    <SelectItem key={p.paycheck.id} value={p.paycheck.id}>
+                                        {formatDay(p.paycheck.date)} • {p.paycheck.name} • {formatCurrency(p.paycheck.amount)}
+                                    </SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        {unassignedCount > 0 && (
+                            <Badge variant="outline" className="self-start sm:self-center">
+                                {unassignedCount} paycheck{unassignedCount === 1 ? '' : 's'} not fully assigned
+                            </Badge>
+                        )}
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <div className="flex flex-wrap items-end justify-between gap-4">
+                    <div>
+                        <p className="text-sm text-muted-foreground">
+                            To be assigned • {formatDay(period.start)} – {formatDay(period.end)}
+                        </p>
+                        <p className={`text-3xl font-bold sensitive ${balanced ? 'text-success' : period.to_be_assigned < 0 ? 'text-expense' : 'text-foreground'}`}>
+                            {formatCurrency(period.to_be_assigned)}
+                        </p>
+                    </div>
+                    {balanced && (
+                        <Badge className="bg-success/10 text-success gap-1">
+                            <CheckCircle2 className="h-3 w-3" /> Every dollar assigned
+                        </Badge>
+                    )}
+                    {period.to_be_assigned < 0 && (
+                        <p className="text-sm text-expense">
+                            Assigned <span className="sensitive">{formatCurrency(-period.to_be_assigned)}</span> more than this paycheck
+                        </p>
+                    )}
+                </div>
+
+                <div className="flex flex-col lg:flex-row gap-3">
+                    <div className="flex gap-2 flex-1">
+                        <Select value={templateId} onValueChange={setTemplateId}>
+                            <SelectTrigger aria-label="Allocation template">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {templates.map(template => (
+                                    <SelectItem key={template.id} value={template.id}>{template.name}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        <Button variant="outline" onClick={handleApplyTemplate}>
+                            <Wand2 className="mr-2 h-4 w-4" /> Apply
+                        </Button>
+                    </div>
+                    <div className="flex gap-2 flex-1">
+                        <Input
+                            value={templateName}
+                            onChange={(e) => setTemplateName(e.target.value)}
+                            placeholder="Save this split as…"
+                            aria-label="Template name"
+                        />
+                        <Button variant="outline" onClick={handleSaveTemplate} disabled={!templateName.trim()}>
+                            <Save className="mr-2 h-4 w-4" /> Save
+                        </Button>
+                    </div>
+                </div>
+
+                {groups.map(([kind, targets]) => (
+                    <div key={kind} className="space-y-2">
+                        <h4 className="text-sm font-semibold text-muted-foreground">{KIND_LABELS[kind]}</h4>
+                        {targets.map(target => (
+                            <div key={target.key} className="flex flex-wrap items-center justify-between gap-3 p-3 bg-muted/50 rounded-lg">
+                                <div>
+                                    <p className="font-medium">{target.name}</p>
+                                    <p className="text-xs text-muted-foreground">
+                                        Needs <span className="sensitive">{formatCurrency(target.needed)}</span> this period
+                                    </p>
+                                </div>
+                                <Input
+                                    type="number"
+                                    value={target.assigned > 0 ? target.assigned.toFixed(2) : ''}
+                                    placeholder="0.00"
+                                    onChange={(e) => handleAssign(target.key, e.target.value)}
+                                    className={`w-28 text-right text-base font-medium ${target.assigned >= target.needed && target.needed > 0 ? 'border-success' : ''}`}
+                                    step="0.01"
+                                    min="0"
+                                    max="1000000"
+                                    aria-label={`Assign to ${target.name}`}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                ))}
+
+                {period.envelopes.length > 0 && (
+                    <div className="space-y-2">
+                        <h4 className="text-sm font-semibold text-muted-foreground">Envelope carry-over</h4>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Envelope</TableHead>
+                                    <TableHead className="text-right">Carried in</TableHead>
+                                    <TableHead className="text-right">Assigned</TableHead>
+                                    <TableHead className="text-right">Spent</TableHead>
+                                    <TableHead className="text-right">Available</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {period.envelopes.map(entry => (
+                                    <TableRow key={entry.category}>
+                                        <TableCell className="font-medium">{entry.category}</TableCell>
+                                        <TableCell className={`text-right sensitive ${entry.carry_in < 0 ? 'text-expense' : ''}`}>
+                                            {formatCurrency(entry.carry_in)}
+                                        </TableCell>
+                                        <TableCell className="text-right sensitive">{formatCurrency(entry.assigned)}</TableCell>
+                                        <TableCell className="text-right sensitive">{formatCurrency(entry.spent)}</TableCell>
+                                        <TableCell className={`text-right font-medium sensitive ${entry.available < 0 ? 'text-expense' : 'text-success'}`}>
+                                            {formatCurrency(entry.available)}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+export default React.memo(PaycheckAllocator);
@@ -10,7 +10,9 @@ import { Button } from '@/ui/button';
 import { Input } from '@/ui/input';
 import { Label } from '@/ui/label';
 import { X, Calculator, Plus, Minus, DollarSign } from 'lucide-react';
-import { formatCurrency, calculateTaxes } from '../utils/calculations';
+import { addDays, addHours, startOfWeek } from 'date-fns';
+import { formatCurrency, calculateTaxes, type FilingStatus } from '../utils/calculations';
+import { calculatePayWeek, summarizePayLines, type PayLine, type PayShift, type PayShiftRule, type LegacyPayRule } from '../utils/payEngine';
 import { useLocalStorage } from '../hooks/useLocalStorage';
 import type { Shift, Transaction } from '@/types/entities';
 
@@ -23,24 +25,11 @@ interface TaxSettings {
 }
 
 /**
- * Shift rule configuration
+ * Shift rule configuration (saved ShiftRule or legacy flat rule) with tax settings
  */
-interface ShiftRule {
-    name: string;
-    base_hourly_rate: number;
-    overtime_threshold: number;
-    overtime_multiplier: number;
-    tax_settings: TaxSettings;
-}
-
-/**
- * Tax calculation result
- */
-interface TaxDetails {
-    net: number;
-    total_tax: number;
-    gross?: number;
-}
+type ShiftRule = (PayShiftRule | LegacyPayRule) & {
+    tax_settings?: TaxSettings;
+};
 
 /**
  * Projected pay calculation
@@ -49,9 +38,7 @@ interface ProjectedPay {
     gross: number;
     net: number;
     taxes: number;
-    regularHours: number;
-    overtimeHours: number;
-    hourlyRate: number;
+    lines: PayLine[];
 }
 
 /**
@@ -83,6 +70,12 @@ interface PaycheckProjectorProps {
     onClose: () => void;
 }
 
+/** One projected shift per day of the workweek */
+const MAX_PROJECTED_SHIFTS = 7;
+
+/** Projected weeks start on Monday; the engine must count overtime over the same week */
+const WEEK_OPTIONS = { weekStartsOn: 1 } as const;
+
 /**
  * Paycheck Projector Component
  * 
@@ -111,29 +104,37 @@ const PaycheckProjector: React.FC<PaycheckProjectorProps> = ({ shifts, recentTra
     const [shiftHours, setShiftHours] = useState<number>(8);
 
     const projectedPay = useMemo<ProjectedPay | null>(() => {
-        const activeRule = shiftRules[0];
+        const activeRule = shiftRules.find(rule => rule.active) || shiftRules[0];
         if (!activeRule) return null;
 
-        const regularHours = projectedShifts * shiftHours;
-        const totalHours = regularHours + extraHours;
-        const overtimeHours = Math.max(0, totalHours - activeRule.overtime_threshold);
-        const regularPayHours = totalHours - overtimeHours;
-
-        const regularPay = regularPayHours * activeRule.base_hourly_rate;
-        const overtimePay = overtimeHours * activeRule.base_hourly_rate * activeRule.overtime_multiplier;
-        const grossPay = regularPay + overtimePay;
+        // Lay the projected shifts out as one shift per day from Monday, extra hours after them.
+        // A full week puts the extra hours after Sunday's shift so they stay in the same week.
+        const monday = startOfWeek(new Date(), WEEK_OPTIONS);
+        const count = Math.min(MAX_PROJECTED_SHIFTS, Math.max(0, projectedShifts));
+        const week: PayShift[] = Array.from({ length: count }, (_, index) => {
+            const start = addHours(addDays(monday, index), 7);
+            return { id: `projected-${index}`, start_datetime: start, end_datetime: addHours(start, shiftHours) };
+        });
+        if (extraHours > 0) {
+            const lastDay = count === MAX_PROJECTED_SHIFTS;
+            const start = addHours(addDays(monday, lastDay ? count - 1 : count), lastDay ? 7 + shiftHours : 7);
+            week.push({ id: 'projected-extra', start_datetime: start, end_datetime: addHours(start, extraHours) });
+        }
 
-        const taxDetails = calculateTaxes(grossPay * 26, activeRule.tax_settings); // Annual projection
-        const weeklyNet = taxDetails.net / 52;
-        const weeklyTax = taxDetails.total_tax / 52;
+        const { lines, totals } = calculatePayWeek(week, activeRule, WEEK_OPTIONS);
+        const taxSettings = activeRule.tax_settings;
+        const taxDetails = calculateTaxes(
+            totals.gross_pay * 52, // Annual projection
+            (taxSettings?.filing_status || 'single') as FilingStatus,
+            taxSettings?.state || null
+        );
+        const weeklyTax = taxDetails.total / 52;
 
         return {
-            gross: grossPay,
-            net: weeklyNet,
+            gross: totals.gross_pay,
+            net: totals.gross_pay - weeklyTax,
             taxes: weeklyTax,
-            regularHours: regularPayHours,
-            overtimeHours,
-            hourlyRate: activeRule.base_hourly_rate
+            lines: summarizePayLines(lines)
         };
     }, [shiftRules, extraHours, projectedShifts, shiftHours]);
 
@@ -171,10 +172,12 @@ const PaycheckProjector: React.FC<PaycheckProjectorProps> = ({ shifts, recentTra
                                 <Input 
                                     type="number" 
                                     value={projectedShifts} 
-                                    onChange={e => setProjectedShifts(parseInt(e.target.value) || 0)} 
+                                    onChange={e => setProjectedShifts(Math.min(MAX_PROJECTED_SHIFTS, Math.max(0, parseInt(e.target.value) || 0)))} 
+                                    min="0"
+                                    max={MAX_PROJECTED_SHIFTS}
                                     className="text-center"
                                 />
-                                <Button size="icon" variant="outline" onClick={() => setProjectedShifts(p => p + 1)}>
+                                <Button size="icon" variant="outline" onClick={() => setProjectedShifts(p => Math.min(MAX_PROJECTED_SHIFTS, p + 1))}>
                                     <Plus className="w-4 h-4" />
                                 </Button>
                             </div>
@@ -206,16 +209,12 @@ const PaycheckProjector: React.FC<PaycheckProjectorProps> = ({ shifts, recentTra
                                 <CardContent className="p-4">
                                     <h3 className="font-semibold text-blue-900 mb-3">Projected Pay</h3>
                                     <div className="space-y-2 text-sm">
-                                        <div className="flex justify-between">
-                                            <span>Regular Hours:</span>
-                                            <span>{projectedPay.regularHours}h @ {formatCurrency(projectedPay.hourlyRate)}/hr</span>
-                                        </div>
-                                        {projectedPay.overtimeHours > 0 && (
-                                            <div className="flex justify-between">
-                                                <span>Overtime Hours:</span>
-                                                <span>{projectedPay.overtimeHours}h @ {formatCurrency(projectedPay.hourlyRate * 1.5)}/hr</span>
+                                        {projectedPay.lines.map(line => (
+                                            <div key={`${line.category}-${line.label}-${line.rate}`} className="flex justify-between">
+                                                <span>{line.label}:</span>
+                                                <span>{line.hours}h @ {formatCurrency(line.rate)}/hr</span>
                                             </div>
-                                        )}
+                                        ))}
                                         <div className="border-t pt-2 flex justify-between font-semibold">
                                             <span>Gross Pay:</span>
                                             <span className="text-blue-600">{formatCurrency(projectedPay.gross)}</span>
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Manual price entry and CSV price import
+ * @description There is no live quote feed, so prices are typed in or imported
+ * from a CSV download (symbol, date and close or price columns; single-ticker
+ * files may leave out the symbol)
+ */
+
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Upload, X } from 'lucide-react';
+import { normalizeSymbol, parsePriceCsv, type PriceImportResult, type PriceQuote } from '@/utils/investmentLots';
+
+interface PriceUpdateFormProps {
+    /** Symbols offered as suggestions */
+    symbols: string[];
+    /** Saves the entered or imported prices */
+    onSave: (quotes: PriceQuote[]) => Promise<void>;
+    onCancel: () => void;
+}
+
+/**
+ * Price entry card
+ * @param {PriceUpdateFormProps} props - Known symbols and handlers
+ * @returns {React.ReactElement} Manual entry and CSV import
+ */
+function PriceUpdateForm({ symbols, onSave, onCancel }: PriceUpdateFormProps): React.ReactElement {
+    const [symbol, setSymbol] = useState(symbols[0] || '');
+    const [date, setDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+    const [price, setPrice] = useState('');
+    const [csvText, setCsvText] = useState('');
+    const [csvSymbol, setCsvSymbol] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const parsed: PriceImportResult | null = csvText ? parsePriceCsv(csvText, csvSymbol || undefined) : null;
+
+    const run = async (quotes: PriceQuote[]) => {
+        setSaving(true);
+        try {
+            await onSave(quotes);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        setCsvText(file ? await file.text() : '');
+    };
+
+    const manualPrice = parseFloat(price);
+    const canSaveManual = !!normalizeSymbol(symbol) && !!date && manualPrice > 0;
+
+    return (
+        <Card className="mb-6">
+            <CardHeader>
+                <div className="flex justify-between items-center">
+                    <CardTitle>Update Prices</CardTitle>
+                    <Button variant="ghost" size="icon" aria-label="Close" onClick={onCancel}><X className="h-4 w-4" /></Button>
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <div className="grid md:grid-cols-4 gap-4 items-end">
+                    <div className="space-y-1">
+                        <Label htmlFor="price-symbol">Symbol</Label>
+                        <Input id="price-symbol" list="price-symbols" value={symbol} onChange={e => setSymbol(e.target.value)} />
+                        <datalist id="price-symbols">
+                            {symbols.map(s => <option key={s} value={s} />)}
+                        </datalist>
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="price-date">Date</Label>
+                        <Input id="price-date" type="date" value={date} onChange={e => setDate(e.target.value)} />
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="price-value">Price per share</Label>
+                        <Input id="price-value" type="number" step="any" value={price} onChange={e => setPrice(e.target.value)} />
+                    </div>
+                    <Button
+                        disabled={!canSaveManual || saving}
+                        onClick={() => run([{ symbol: normalizeSymbol(symbol), date, price: manualPrice }])}
+                    >
+                        Save Price
+                    </Button>
+                </div>
+
+                <div className="space-y-3 border-t pt-4">
+                    <p className="text-sm text-muted-foreground">
+                        Or import a CSV with date and close (or price) columns, plus a symbol column for more than one ticker.
+                    </p>
+                    <div className="grid md:grid-cols-3 gap-4 items-end">
+                        <div className="space-y-1">
+                            <Label htmlFor="price-csv">CSV file</Label>
+                            <Input id="price-csv" type="file" accept=".csv,text/csv" onChange={handleFile} />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="price-csv-symbol">Symbol (files without a symbol column)</Label>
+                            <Input id="price-csv-symbol" value={csvSymbol} onChange={e => setCsvSymbol(e.target.value)} />
+                        </div>
+                        <Button
+                            variant="outline"
+                            className="gap-2"
+                            disabled={!parsed || parsed.quotes.length === 0 || saving}
+                            onClick={() => parsed && run(parsed.quotes)}
+                        >
+                            <Upload className="h-4 w-4" /> Import {parsed?.quotes.length || 0} Prices
+                        </Button>
+                    </div>
+                    {parsed && parsed.errors.length > 0 && (
+                        <ul className="text-sm text-destructive space-y-1">
+                            {parsed.errors.slice(0, 5).map(err => <li key={err.line}>Line {err.line}: {err.message}</li>)}
+                            {parsed.errors.length > 5 && <li>…and {parsed.errors.length - 5} more</li>}
+                        </ul>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
+export default React.memo(PriceUpdateForm);
@@ -2,7 +2,8 @@
 /**
  * @fileoverview Investment scenario simulator with growth projections
  * @description Calculates future investment value with different growth rates
- * (conservative/moderate/aggressive) over a specified time horizon
+ * (conservative/moderate/aggressive) over a specified time horizon, and projects
+ * the workplace retirement plans saved with the paycheck settings to retirement age
  */
 
 import React, { useMemo, useState, memo } from 'react';
@@ -12,6 +13,10 @@ import { Label } from '@/ui/label';
 import { Input } from '@/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
 import { Progress } from '@/ui/progress';
+import { usePaycheckSettings } from '@/hooks/useEntityQueries';
+import { formatCurrency } from '@/utils/calculations';
+import { ageAtYearEnd, projectRetirement } from '@/utils/retirementPlans';
+import { PAY_PERIODS_PER_YEAR } from '@/utils/withholding';
 
 /**
  * Growth rate presets for different risk levels
@@ -23,6 +28,18 @@ const growthPresets = {
     aggressive: 0.08
 };
 
+const NONE = [];
+
+/**
+ * Yearly pay implied by the paycheck settings
+ * @param {Object|null} settings - PaycheckSettings record
+ * @returns {number} Annual gross pay
+ */
+const annualPayFrom = (settings) => {
+    const rate = Number(settings?.hourly_rate ?? settings?.base_hourly_rate) || 0;
+    return Math.round(rate * (Number(settings?.hours_per_week) || 40) * 52);
+};
+
 /**
  * Scenario Simulator Component
  * @component
@@ -35,6 +52,29 @@ const growthPresets = {
 function ScenarioSimulator({ startingBalance = 5000, monthlyContribution = 500, horizon = 5 }) {
     const [preset, setPreset] = useState('moderate');
     const [customRate, setCustomRate] = useState(growthPresets[preset]);
+    const { data: paycheckSettings = null } = usePaycheckSettings();
+    const plans = paycheckSettings?.retirement_plans || NONE;
+    const currentYear = new Date().getFullYear();
+    const [retirementAge, setRetirementAge] = useState(65);
+    const [enteredAge, setEnteredAge] = useState(35);
+    const [salaryOverride, setSalaryOverride] = useState(null);
+    const [raise, setRaise] = useState(0.02);
+
+    const knownAge = ageAtYearEnd(paycheckSettings?.birth_date, currentYear);
+    const age = knownAge ?? enteredAge;
+    const salary = salaryOverride ?? annualPayFrom(paycheckSettings);
+
+    const retirement = useMemo(() => {
+        if (plans.length === 0) return null;
+        return projectRetirement(plans, {
+            annual_salary: salary,
+            age,
+            retirement_age: retirementAge,
+            annual_return: customRate,
+            salary_growth: raise,
+            periods_per_year: PAY_PERIODS_PER_YEAR[paycheckSettings?.pay_frequency] || 26
+        });
+    }, [plans, salary, age, retirementAge, customRate, raise, paycheckSettings?.pay_frequency]);
 
     const projection = useMemo(() => {
         const annualRate = customRate;
@@ -122,6 +162,97 @@ function ScenarioSimulator({ startingBalance = 5000, monthlyContribution = 500,
                 <Button variant="outline" className="w-full" onClick={() => setCustomRate(growthPresets[preset])}>
                     Reset to Preset
                 </Button>
+                <div className="space-y-3 border-t pt-4">
+                    <h3 className="text-sm font-semibold">Retirement Plans</h3>
+                    {!retirement ? (
+                        <p className="text-sm text-muted-foreground">
+                            Add your 401(k), 403(b) or 457(b) in the paycheck calculator to project it to retirement.
+                        </p>
+                    ) : (
+                        <>
+                            <div className="grid grid-cols-2 gap-3">
+                                {knownAge === null && (
+                                    <div className="grid gap-1">
+                                        <Label htmlFor="retirement-current-age">Current Age</Label>
+                                        <Input
+                                            id="retirement-current-age"
+                                            type="number"
+                                            min="16"
+                                            max="90"
+                                            value={enteredAge}
+                                            onChange={(event) => setEnteredAge(parseInt(event.target.value, 10) || 0)}
+                                        />
+                                    </div>
+                                )}
+                                <div className="grid gap-1">
+                                    <Label htmlFor="retirement-age">Retirement Age</Label>
+                                    <Input
+                                        id="retirement-age"
+                                        type="number"
+                                        min={age}
+                                        max="80"
+                                        value={retirementAge}
+                                        onChange={(event) => setRetirementAge(parseInt(event.target.value, 10) || 0)}
+                                    />
+                                </div>
+                                <div className="grid gap-1">
+                                    <Label htmlFor="retirement-salary">Annual Pay</Label>
+                                    <Input
+                                        id="retirement-salary"
+                                        type="number"
+                                        min="0"
+                                        step="1000"
+                                        value={salary}
+                                        onChange={(event) => setSalaryOverride(Math.max(0, parseFloat(event.target.value) || 0))}
+                                    />
+                                </div>
+                                <div className="grid gap-1">
+                                    <Label htmlFor="retirement-raise">Yearly Raise (%)</Label>
+                                    <Input
+                                        id="retirement-raise"
+                                        type="number"
+                                        min="0"
+                                        max="15"
+                                        step="0.5"
+                                        value={(raise * 100).toFixed(1)}
+                                        onChange={(event) => setRaise(Math.max(0, parseFloat(event.target.value) / 100 || 0))}
+                                    />
+                                </div>
+                            </div>
+                            <div className="rounded-lg border bg-muted/40 p-4 space-y-2 text-sm">
+                                <div className="flex justify-between">
+                                    <span className="text-muted-foreground">Balance at {retirementAge}</span>
+                                    <span className="font-semibold sensitive">{formatCurrency(retirement.balance)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-muted-foreground">Vested (yours to keep)</span>
+                                    <span className="font-medium sensitive">{formatCurrency(retirement.vested_balance)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-muted-foreground">Your contributions</span>
+                                    <span className="sensitive">{formatCurrency(retirement.employee_contributions)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-muted-foreground">Employer contributions</span>
+                                    <span className="sensitive">{formatCurrency(retirement.employer_contributions)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                    <span className="text-muted-foreground">Investment growth</span>
+                                    <span className="sensitive">{formatCurrency(retirement.growth)}</span>
+                                </div>
+                                {retirement.plans.length > 1 && retirement.plans.map(plan => (
+                                    <div key={plan.plan_id} className="flex justify-between text-xs text-muted-foreground">
+                                        <span>{plan.name}</span>
+                                        <span className="sensitive">{formatCurrency(plan.vested_balance)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                            <p className="text-xs text-muted-foreground">
+                                Uses the growth rate above and this year's contribution limits, with catch-ups from age 50.
+                            </p>
+                        </>
+                    )}
+                </div>
             </CardContent>
         </Card>
     );
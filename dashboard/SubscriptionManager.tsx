@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Subscription manager
+ * @description Lists recurring charges found in transaction history and saved
+ * subscription bills with cadence, annualized cost, last price change and
+ * price-increase alerts. Users mark whether they still use each one and set
+ * cancel-by reminders; untracked subscriptions are saved as bills on first edit.
+ */
+
+import React, { memo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Badge } from '@/ui/badge';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { useToast } from '@/ui/use-toast';
+import { AlertTriangle, BellRing, Loader2, Repeat, TrendingUp } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { useSubscriptions } from '@/hooks/useSubscriptions';
+import { useCreateBill, useUpdateBill } from '@/hooks/useEntityQueries';
+import { formatCurrency } from '@/utils/calculations';
+import { logError } from '@/utils/logger';
+import { seriesToBill } from '@/utils/recurringDetection';
+import { subscriptionTotals, type Subscription, type SubscriptionCadence, type SubscriptionUsage } from '@/utils/subscriptions';
+
+const CADENCE_LABELS: Record<SubscriptionCadence, string> = {
+    weekly: 'Weekly',
+    biweekly: 'Every 2 weeks',
+    semimonthly: 'Twice a month',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    annual: 'Yearly',
+};
+
+const USAGE_LABELS: Record<SubscriptionUsage, string> = {
+    using: 'Using it',
+    unsure: 'Not sure',
+    not_using: 'Not using',
+};
+
+const formatDay = (value: string): string => format(parseISO(value), 'MMM d, yyyy');
+
+/**
+ * Subscription Manager Component
+ */
+function SubscriptionManager(): React.ReactElement {
+    const { subscriptions, series, isLoading } = useSubscriptions();
+    const createBill = useCreateBill();
+    const updateBill = useUpdateBill();
+    const { toast } = useToast();
+    const [saving, setSaving] = useState<string | null>(null);
+
+    const active = subscriptions.filter(s => !s.is_cancelled);
+    const totals = subscriptionTotals(subscriptions);
+    const reminders = active.filter(s => s.cancel_reminder || s.price_alert);
+
+    /**
+     * Save a change, creating the subscription bill first for detected-only entries
+     */
+    const save = async (subscription: Subscription, data: Record<string, unknown>) => {
+        setSaving(subscription.id);
+        try {
+            if (subscription.bill_id) {
+                await updateBill.mutateAsync({ id: subscription.bill_id, data });
+            } else {
+                const match = series.find(s => s.key === subscription.series_key);
+                const draft = match ? seriesToBill(match, 'subscription') : null;
+                if (!draft) throw new Error('Subscription has no billing pattern to save');
+                await createBill.mutateAsync({ ...draft, ...data });
+            }
+        } catch (error) {
+            logError('Failed to update subscription', error);
+            toast({ title: 'Error', description: 'Could not save the subscription. Please try again.', variant: 'destructive' });
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    const markCancelled = async (subscription: Subscription) => {
+        await save(subscription, { status: 'cancelled', cancel_by: null });
+        toast({ title: 'Subscription cancelled', description: `${subscription.name} will no longer show as upcoming.` });
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Repeat className="h-5 w-5 text-primary" />
+                    Subscriptions
+                </CardTitle>
+                <div className="flex flex-wrap gap-6 text-sm text-muted-foreground">
+                    <span>Monthly <span className="font-semibold text-foreground sensitive">{formatCurrency(totals.monthly)}</span></span>
+                    <span>Yearly <span className="font-semibold text-foreground sensitive">{formatCurrency(totals.annual)}</span></span>
+                    {totals.unused_annual > 0 && (
+                        <span>Unused <span className="font-semibold text-destructive sensitive">{formatCurrency(totals.unused_annual)}/yr</span></span>
+                    )}
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                {reminders.length > 0 && (
+                    <div className="space-y-2">
+                        {reminders.map(s => (
+                            <div key={s.id} className="flex items-center gap-2 rounded-lg border border-amber-300 bg-amber-50 dark:bg-amber-900/20 px-3 py-2 text-sm">
+                                {s.cancel_reminder ? <BellRing className="h-4 w-4 text-amber-600" /> : <TrendingUp className="h-4 w-4 text-amber-600" />}
+                                {s.cancel_reminder
+                                    ? <span>Cancel <strong>{s.name}</strong> by {formatDay(s.cancel_by!)}</span>
+                                    : <span><strong>{s.name}</strong> went up {formatCurrency(s.last_price_change!.change)} ({s.last_price_change!.percent}%) on {formatDay(s.last_price_change!.date)}</span>}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 p-4 text-sm text-muted-foreground">
+                        <Loader2 className="h-4 w-4 animate-spin" /> Looking for subscriptions...
+                    </div>
+                ) : active.length === 0 ? (
+                    <p className="p-4 text-sm text-muted-foreground">
+                        No subscriptions yet. They appear here once a charge repeats at least three times, or when you add a bill in the subscriptions category.
+                    </p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Service</TableHead>
+                                    <TableHead className="text-right">Price</TableHead>
+                                    <TableHead className="text-right">Per year</TableHead>
+                                    <TableHead>Last price change</TableHead>
+                                    <TableHead>Next charge</TableHead>
+                                    <TableHead>Still using?</TableHead>
+                                    <TableHead>Cancel by</TableHead>
+                                    <TableHead />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {active.map(s => (
+                                    <TableRow key={s.id}>
+                                        <TableCell>
+                                            <div className="font-medium text-foreground">{s.name}</div>
+                                            <div className="flex items-center gap-1 text-xs text-muted-foreground">
+                                                {CADENCE_LABELS[s.cadence]}
+                                                {!s.tracked && <Badge variant="outline" className="ml-1">Detected</Badge>}
+                                            </div>
+                                        </TableCell>
+                                        <TableCell className="text-right sensitive">{formatCurrency(s.amount)}</TableCell>
+                                        <TableCell className="text-right sensitive">{formatCurrency(s.annual_cost)}</TableCell>
+                                        <TableCell>
+                                            {s.last_price_change ? (
+                                                <span className={s.price_alert ? 'flex items-center gap-1 text-destructive' : 'text-muted-foreground'}>
+                                                    {s.price_alert && <AlertTriangle className="h-3 w-3" />}
+                                                    {s.last_price_change.change > 0 ? '+' : ''}{formatCurrency(s.last_price_change.change)} on {format(parseISO(s.last_price_change.date), 'MMM d')}
+                                                </span>
+                                            ) : (
+                                                <span className="text-muted-foreground">None</span>
+                                            )}
+                                        </TableCell>
+                                        <TableCell>{s.next_date ? formatDay(s.next_date) : '—'}</TableCell>
+                                        <TableCell>
+                                            <Select
+                                                value={s.usage_status}
+                                                onValueChange={v => save(s, { usage_status: v })}
+                                                disabled={saving === s.id}
+                                            >
+                                                <SelectTrigger className="w-32"><SelectValue /></SelectTrigger>
+                                                <SelectContent>
+                                                    {(Object.keys(USAGE_LABELS) as SubscriptionUsage[]).map(u => (
+                                                        <SelectItem key={u} value={u}>{USAGE_LABELS[u]}</SelectItem>
+                                                    ))}
+                                                </SelectContent>
+                                            </Select>
+                                        </TableCell>
+                                        <TableCell>
+                                            <Input
+                                                type="date"
+                                                className="w-40"
+                                                value={s.cancel_by ?? ''}
+                                                onChange={e => save(s, { cancel_by: e.target.value || null })}
+                                                disabled={saving === s.id}
+                                                aria-label={`Cancel ${s.name} by`}
+                                            />
+                                        </TableCell>
+                                        <TableCell className="text-right">
+                                            <Button variant="ghost" size="sm" onClick={() => markCancelled(s)} disabled={saving === s.id}>
+                                                Cancelled
+                                            </Button>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+export default memo(SubscriptionManager);
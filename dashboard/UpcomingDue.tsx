@@ -1,20 +1,24 @@
 // @ts-nocheck
 /**
  * @fileoverview Upcoming due items display component (TypeScript)
- * @description Shows upcoming bills and debt payments sorted by due date
+ * @description Shows upcoming bills, subscriptions and debt payments sorted by due date,
+ * with how far along the sinking fund for each quarterly or annual bill is
  */
 
 import React, { useMemo, memo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card.jsx';
 import { Badge } from '@/ui/badge.jsx';
 import { ScrollArea } from '@/ui/scroll-area.jsx';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
 import type { Bill, Debt } from '@/types/entities';
+import { isSubscriptionBill, nextBillDueDate, type Subscription } from '@/utils/subscriptions';
+import { sinkingFundFor, sinkingFundGoal, type SinkingFund, type SinkingFundGoal } from '@/utils/sinkingFunds';
+import { usePaycheckSettings } from '@/hooks/useEntityQueries';
 
 /**
  * Type for upcoming payment items (bill or debt)
  */
-type ItemType = 'Bill' | 'Debt';
+type ItemType = 'Bill' | 'Debt' | 'Subscription' | 'Cancel';
 
 /**
  * Unified upcoming payment item
@@ -25,6 +29,8 @@ interface UpcomingItem {
     amount: number;
     dueDate: Date | string;
     type: ItemType;
+    /** Sinking fund saving for the bill */
+    fund?: SinkingFund | null;
 }
 
 /**
@@ -52,6 +58,10 @@ interface UpcomingDueProps {
     bills?: ExtendedBill[];
     /** List of debt accounts with payment dates */
     debts?: ExtendedDebt[];
+    /** Subscriptions (tracked and detected); replaces subscription bills when given */
+    subscriptions?: Subscription[];
+    /** Goals, for the sinking funds of irregular bills */
+    goals?: SinkingFundGoal[];
 }
 
 /**
@@ -84,12 +94,35 @@ const formatCurrency = (value: number): string => {
     }).format(value);
 };
 
+/**
+ * Text color for each sinking fund status
+ */
+const FUND_STATUS_CLASS: Record<SinkingFund['status'], string> = {
+    funded: 'text-emerald-600',
+    on_track: 'text-muted-foreground',
+    behind: 'text-destructive',
+    not_started: 'text-amber-600',
+};
+
+/**
+ * Short sinking fund line for a bill
+ * @param {SinkingFund} fund - Fund status
+ * @returns {string} Funding summary
+ */
+const fundSummary = (fund: SinkingFund): string => {
+    if (fund.status === 'not_started') return `No fund yet • ${formatCurrency(fund.per_paycheck)}/paycheck`;
+    if (fund.status === 'funded') return 'Fully funded';
+    return `${Math.round(fund.funded_percentage)}% funded • ${formatCurrency(fund.per_paycheck)}/paycheck`;
+};
+
 /**
  * Upcoming Due Component
  * 
  * Displays upcoming bills and debt payments with:
  * - Due dates sorted chronologically
- * - Type badges (Bill vs Debt)
+ * - Type badges (Bill, Subscription, Debt)
+ * - Cancel-by reminders for subscriptions
+ * - Sinking fund progress for quarterly and annual bills
  * - Amount due for each item
  * - Empty state when no items are due
  * - Limited to 6 most urgent items
@@ -98,15 +131,44 @@ const formatCurrency = (value: number): string => {
  * @param {UpcomingDueProps} props - Component props
  * @returns {JSX.Element} Rendered component
  */
-function UpcomingDue({ bills = [], debts = [] }: UpcomingDueProps): JSX.Element {
+function UpcomingDue({ bills = [], debts = [], subscriptions, goals = [] }: UpcomingDueProps): React.ReactElement {
+    const { data: paycheckSettings = null } = usePaycheckSettings();
+
     const items = useMemo<UpcomingItem[]>(() => {
-        const upcomingBills: UpcomingItem[] = (Array.isArray(bills) ? bills : []).map((bill) => ({
-            id: `bill-${bill.id || bill.name}`,
-            name: bill.name || bill.vendor || 'Bill',
-            amount: bill.amount_due || bill.amount || 0,
-            dueDate: bill.due_date || bill.next_due_date || new Date(),
-            type: 'Bill' as ItemType
-        }));
+        const upcomingBills: UpcomingItem[] = (Array.isArray(bills) ? bills : [])
+            .filter((bill) => bill.status !== 'cancelled')
+            .filter((bill) => !subscriptions || !isSubscriptionBill(bill))
+            .map((bill) => {
+                const nextDue = nextBillDueDate(bill);
+                return {
+                    id: `bill-${bill.id || bill.name}`,
+                    name: bill.name || bill.vendor || 'Bill',
+                    amount: bill.amount_due || bill.amount || 0,
+                    dueDate: bill.next_due_date || (nextDue ? parseISO(nextDue) : new Date()),
+                    type: 'Bill' as ItemType,
+                    fund: sinkingFundFor(bill, sinkingFundGoal(bill, goals), { paycheck_settings: paycheckSettings })
+                };
+            });
+
+        const activeSubscriptions = (subscriptions || []).filter((sub) => !sub.is_cancelled);
+        const upcomingSubscriptions: UpcomingItem[] = activeSubscriptions
+            .filter((sub) => sub.next_date)
+            .map((sub) => ({
+                id: `sub-${sub.id}`,
+                name: sub.name,
+                amount: sub.amount,
+                dueDate: parseISO(sub.next_date),
+                type: 'Subscription' as ItemType
+            }));
+        const cancelReminders: UpcomingItem[] = activeSubscriptions
+            .filter((sub) => sub.cancel_reminder)
+            .map((sub) => ({
+                id: `cancel-${sub.id}`,
+                name: `Cancel ${sub.name}`,
+                amount: sub.amount,
+                dueDate: parseISO(sub.cancel_by),
+                type: 'Cancel' as ItemType
+            }));
 
         const upcomingDebts: UpcomingItem[] = (Array.isArray(debts) ? debts : []).map((debt) => ({
             id: `debt-${debt.id || debt.name}`,
@@ -116,12 +178,12 @@ function UpcomingDue({ bills = [], debts = [] }: UpcomingDueProps): JSX.Element
             type: 'Debt' as ItemType
         }));
 
-        return [...upcomingBills, ...upcomingDebts]
+        return [...cancelReminders, ...upcomingBills, ...upcomingSubscriptions, ...upcomingDebts]
             .filter((item) => item.dueDate)
             .filter((item) => !isNaN(new Date(item.dueDate).getTime()))
             .sort((a, b) => new Date(a.dueDate).getTime() - new Date(b.dueDate).getTime())
             .slice(0, 6);
-    }, [bills, debts]);
+    }, [bills, debts, subscriptions, goals, paycheckSettings]);
 
     return (
         <Card className="h-full">
@@ -140,10 +202,17 @@ function UpcomingDue({ bills = [], debts = [] }: UpcomingDueProps): JSX.Element
                                 <div key={item.id} className="flex items-center justify-between rounded-lg border px-3 py-2">
                                     <div>
                                         <div className="text-sm font-medium">{item.name}</div>
-                                        <div className="text-xs text-muted-foreground">Due {formatDate(item.dueDate)}</div>
+                                        <div className="text-xs text-muted-foreground">
+                                            {item.type === 'Cancel' ? 'By' : 'Due'} {formatDate(item.dueDate)}
+                                        </div>
+                                        {item.fund && (
+                                            <div className={`text-xs sensitive ${FUND_STATUS_CLASS[item.fund.status]}`}>
+                                                {fundSummary(item.fund)}
+                                            </div>
+                                        )}
                                     </div>
                                     <div className="flex flex-col items-end gap-1">
-                                        <Badge variant={item.type === 'Bill' ? 'secondary' : 'outline'}>{item.type}</Badge>
+                                        <Badge variant={item.type === 'Cancel' ? 'destructive' : item.type === 'Debt' ? 'outline' : 'secondary'}>{item.type}</Badge>
                                         <span className="text-sm font-semibold">{formatCurrency(item.amount)}</span>
                                     </div>
                                 </div>
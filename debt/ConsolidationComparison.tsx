@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Consolidation and refinance offer comparison
+ * @description Lets the user pick debts to roll into a consolidation loan or
+ * balance transfer, enter the offer, and compares it with continuing the saved
+ * payoff plan: total cost, monthly payment, payoff date, break-even month and an
+ * amortization chart of both paths
+ */
+
+import React, { useMemo, useState } from 'react';
+import { CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Checkbox } from '@/ui/checkbox';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Switch } from '@/ui/switch';
+import { Badge } from '@/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+import { Scale } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { formatCurrency } from '@/utils/calculations';
+import { DEFAULT_PAYOFF_PREFERENCES, usePayoffPreferences } from '@/hooks/useDebtPayoffPlan';
+import { compareConsolidation, type ConsolidationOffer, type ConsolidationPath } from '@/utils/debtConsolidation';
+import { debtApr, type PayoffDebt } from '@/utils/debtPayoff';
+
+/**
+ * Props for ConsolidationComparison
+ */
+interface ConsolidationComparisonProps {
+    debts?: PayoffDebt[];
+}
+
+type OfferForm = Record<'apr' | 'term_months' | 'origination_fee' | 'transfer_fee', string> & {
+    kind: NonNullable<ConsolidationOffer['kind']>;
+    finance_fees: boolean;
+};
+
+const NONE: PayoffDebt[] = [];
+
+const DEFAULT_OFFER: OfferForm = {
+    kind: 'loan',
+    apr: '',
+    term_months: '36',
+    origination_fee: '',
+    transfer_fee: '',
+    finance_fees: true,
+};
+
+const formatMonth = (value: string | null): string => (value ? format(parseISO(value), 'MMM yyyy') : 'Never');
+
+/**
+ * Consolidation offer comparison card
+ * @param {ConsolidationComparisonProps} props - Debt accounts
+ * @returns {React.ReactElement} Offer form, comparison table and chart
+ */
+function ConsolidationComparison({ debts = NONE }: ConsolidationComparisonProps): React.ReactElement {
+    const [savedPreferences] = usePayoffPreferences();
+    const [selectedIds, setSelectedIds] = useState<string[]>([]);
+    const [offer, setOffer] = useState<OfferForm>(DEFAULT_OFFER);
+
+    const activeDebts = useMemo(
+        () => debts.filter(debt => debt.id != null && Number(debt.balance) > 0),
+        [debts]
+    );
+
+    const ready = selectedIds.length > 0 && offer.apr !== '' && Number(offer.term_months) > 0;
+
+    const comparison = useMemo(() => {
+        if (!ready) return null;
+        const preferences = { ...DEFAULT_PAYOFF_PREFERENCES, ...savedPreferences };
+        return compareConsolidation(
+            activeDebts,
+            selectedIds,
+            {
+                kind: offer.kind,
+                apr: Number(offer.apr),
+                term_months: Number(offer.term_months),
+                origination_fee: Number(offer.origination_fee) || 0,
+                transfer_fee: Number(offer.transfer_fee) || 0,
+                finance_fees: offer.finance_fees,
+            },
+            {
+                strategy: preferences.strategy,
+                extra_payment: preferences.extra_payment,
+                custom_order: preferences.custom_order,
+            }
+        );
+    }, [ready, activeDebts, selectedIds, offer, savedPreferences]);
+
+    const toggleDebt = (id: string, checked: boolean): void => {
+        setSelectedIds(prev => (checked ? [...prev, id] : prev.filter(existing => existing !== id)));
+    };
+
+    const updateOffer = (field: keyof OfferForm) => (event: React.ChangeEvent<HTMLInputElement>): void => {
+        const value = event.target.value;
+        setOffer(prev => ({ ...prev, [field]: value }));
+    };
+
+    const rows: Array<{ label: string; value: (path: ConsolidationPath) => React.ReactNode }> = [
+        { label: 'Monthly payment', value: path => <span className="sensitive">{formatCurrency(path.monthly_payment)}</span> },
+        { label: 'Total interest', value: path => <span className="sensitive">{formatCurrency(path.total_interest)}</span> },
+        { label: 'Fees', value: path => <span className="sensitive">{formatCurrency(path.fees)}</span> },
+        { label: 'Total cost', value: path => <span className="sensitive font-semibold">{formatCurrency(path.total_cost)}</span> },
+        { label: 'Debt free', value: path => (path.paid_off ? formatMonth(path.debt_free_date) : 'Never') },
+    ];
+
+    return (
+        <div className="space-y-6">
+            <CardHeader className="pb-2">
+                <CardTitle className="flex items-center gap-2">
+                    <Scale className="h-5 w-5" />
+                    Compare a Consolidation or Refinance Offer
+                </CardTitle>
+                <p className="text-sm text-muted-foreground">
+                    Pick the debts the offer would pay off. Both paths use your saved payoff strategy and extra payment.
+                </p>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <div className="grid md:grid-cols-2 gap-6">
+                    <div className="space-y-2">
+                        <Label>Debts to consolidate</Label>
+                        {activeDebts.length === 0 ? (
+                            <p className="text-sm text-muted-foreground">Add a debt with a balance to compare offers.</p>
+                        ) : (
+                            activeDebts.map(debt => {
+                                const id = String(debt.id);
+                                return (
+                                    <div key={id} className="flex items-center justify-between gap-3 rounded-md border p-2">
+                                        <div className="flex items-center gap-2">
+                                            <Checkbox
+                                                id={`consolidate-${id}`}
+                                                checked={selectedIds.includes(id)}
+                                                onCheckedChange={checked => toggleDebt(id, checked === true)}
+                                            />
+                                            <Label htmlFor={`consolidate-${id}`} className="font-normal">
+                                                {debt.name || debt.account_name}
+                                            </Label>
+                                        </div>
+                                        <span className="text-sm text-muted-foreground">
+                                            <span className="sensitive">{formatCurrency(Number(debt.balance))}</span>
+                                            {' · '}{debtApr(debt)}%
+                                        </span>
+                                    </div>
+                                );
+                            })
+                        )}
+                    </div>
+                    <div className="grid grid-cols-2 gap-4 content-start">
+                        <div className="grid gap-2 col-span-2">
+                            <Label htmlFor="offer-kind">Offer type</Label>
+                            <Select
+                                value={offer.kind}
+                                onValueChange={value => setOffer(prev => ({ ...prev, kind: value as OfferForm['kind'] }))}
+                            >
+                                <SelectTrigger id="offer-kind">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value="loan">Consolidation / refinance loan</SelectItem>
+                                    <SelectItem value="balance_transfer">Balance transfer</SelectItem>
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="grid gap-2">
+                            <Label htmlFor="offer-apr">Rate (%)</Label>
+                            <Input id="offer-apr" type="number" min="0" step="0.01" value={offer.apr} onChange={updateOffer('apr')} placeholder="9.99" />
+                        </div>
+                        <div className="grid gap-2">
+                            <Label htmlFor="offer-term">Term (months)</Label>
+                            <Input id="offer-term" type="number" min="1" step="1" value={offer.term_months} onChange={updateOffer('term_months')} />
+                        </div>
+                        <div className="grid gap-2">
+                            <Label htmlFor="offer-origination">Origination fee (%)</Label>
+                            <Input id="offer-origination" type="number" min="0" step="0.1" value={offer.origination_fee} onChange={updateOffer('origination_fee')} placeholder="0" />
+                        </div>
+                        <div className="grid gap-2">
+                            <Label htmlFor="offer-transfer">Balance transfer fee (%)</Label>
+                            <Input id="offer-transfer" type="number" min="0" step="0.1" value={offer.transfer_fee} onChange={updateOffer('transfer_fee')} placeholder="0" />
+                        </div>
+                        <div className="flex items-center gap-3 col-span-2">
+                            <Switch
+                                id="offer-finance-fees"
+                                checked={offer.finance_fees}
+                                onCheckedChange={checked => setOffer(prev => ({ ...prev, finance_fees: checked }))}
+                            />
+                            <Label htmlFor="offer-finance-fees" className="font-normal">Add fees to the new balance</Label>
+                        </div>
+                    </div>
+                </div>
+
+                {!comparison ? (
+                    <p className="text-sm text-muted-foreground">Select at least one debt and enter the offer's rate and term.</p>
+                ) : (
+                    <div className="space-y-6">
+                        <div className="flex flex-wrap gap-2">
+                            <Badge variant={comparison.savings > 0 ? 'default' : 'destructive'}>
+                                {comparison.savings > 0 ? 'Saves ' : 'Costs '}
+                                <span className="sensitive ml-1">{formatCurrency(Math.abs(comparison.savings))}</span>
+                            </Badge>
+                            <Badge variant="secondary">
+                                {comparison.break_even_month == null
+                                    ? 'Never breaks even'
+                                    : `Breaks even in month ${comparison.break_even_month}`}
+                            </Badge>
+                            <Badge variant="secondary">
+                                Payment {comparison.monthly_payment_change >= 0 ? 'down ' : 'up '}
+                                <span className="sensitive ml-1">{formatCurrency(Math.abs(comparison.monthly_payment_change))}</span>/mo
+                            </Badge>
+                        </div>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead />
+                                    <TableHead className="text-right">Current plan</TableHead>
+                                    <TableHead className="text-right">With offer</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.map(row => (
+                                    <TableRow key={row.label}>
+                                        <TableCell className="font-medium">{row.label}</TableCell>
+                                        <TableCell className="text-right">{row.value(comparison.current)}</TableCell>
+                                        <TableCell className="text-right">{row.value(comparison.consolidated)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <p className="text-xs text-muted-foreground">
+                            New loan of <span className="sensitive">{formatCurrency(comparison.new_loan_balance)}</span> at{' '}
+                            <span className="sensitive">{formatCurrency(comparison.new_loan_payment)}</span>/mo replaces{' '}
+                            <span className="sensitive">{formatCurrency(comparison.consolidated_balance)}</span> of debt.
+                        </p>
+                        <div className="h-64">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={comparison.chart}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" opacity={0.4} />
+                                    <XAxis
+                                        dataKey="date"
+                                        stroke="hsl(var(--muted-foreground))"
+                                        fontSize={12}
+                                        tickFormatter={(value: string) => format(parseISO(value), 'MMM yy')}
+                                    />
+                                    <YAxis stroke="hsl(var(--muted-foreground))" fontSize={12} />
+                                    <Tooltip
+                                        contentStyle={{
+                                            background: 'hsl(var(--popover))',
+                                            color: 'hsl(var(--popover-foreground))',
+                                            border: '1px solid hsl(var(--border))',
+                                            borderRadius: 8
+                                        }}
+                                        labelFormatter={(value: string) => format(parseISO(value), 'MMM yyyy')}
+                                        formatter={(value: number) => formatCurrency(value)}
+                                    />
+                                    <Legend />
+                                    <Line type="monotone" dataKey="current" name="Current plan" stroke="hsl(var(--muted-foreground))" dot={false} />
+                                    <Line type="monotone" dataKey="consolidated" name="With offer" stroke="hsl(var(--primary))" dot={false} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+        </div>
+    );
+}
+
+export default React.memo(ConsolidationComparison);
@@ -2,7 +2,8 @@
 /**
  * @fileoverview Debt account creation and editing form with autosave
  * @description Form for managing debt accounts with validation, autosave,
- * and support for balance, interest rate, and minimum payment tracking
+ * and support for balance, interest rate, minimum payment, promotional rate
+ * periods, deferred interest and balance transfer fee tracking
  */
 
 import React, { useEffect, useState, memo } from 'react';
@@ -10,6 +11,7 @@ import { Input } from '@/ui/input';
 import { Label } from '@/ui/label';
 import { Button } from '@/ui/button';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Switch } from '@/ui/switch';
 import { Save, Check } from 'lucide-react';
 import { useAutosave } from '@/utils/formEnhancement';
 
@@ -22,7 +24,13 @@ const defaultDebt = {
     balance: '',
     interest_rate: '',
     minimum_payment: '',
-    status: 'active'
+    status: 'active',
+    promo_apr: '',
+    promo_start_date: '',
+    promo_end_date: '',
+    deferred_interest: false,
+    balance_transfer_amount: '',
+    balance_transfer_fee: ''
 };
 
 /**
@@ -35,6 +43,13 @@ const toNumber = (value) => {
     return Number.isFinite(parsed) ? parsed : 0;
 };
 
+/**
+ * Convert an optional field to a number, keeping blanks empty
+ * @param {*} value - Value to convert
+ * @returns {number|null} Parsed number, or null when blank
+ */
+const toOptionalNumber = (value) => (value === '' || value === null || value === undefined ? null : toNumber(value));
+
 /**
  * Debt Form Component
  * @component
@@ -54,7 +69,13 @@ function DebtForm({ debt, onSubmit, onCancel}) {
                 balance: debt.balance ?? '',
                 interest_rate: debt.interest_rate ?? '',
                 minimum_payment: debt.minimum_payment ?? '',
-                status: debt.status || 'active'
+                status: debt.status || 'active',
+                promo_apr: debt.promo_apr ?? '',
+                promo_start_date: debt.promo_start_date || '',
+                promo_end_date: debt.promo_end_date || '',
+                deferred_interest: Boolean(debt.deferred_interest),
+                balance_transfer_amount: debt.balance_transfer_amount ?? '',
+                balance_transfer_fee: debt.balance_transfer_fee ?? ''
             });
         } else {
             setFormState(defaultDebt);
@@ -68,12 +89,20 @@ function DebtForm({ debt, onSubmit, onCancel}) {
 
     const handleSave = () => {
         if (formState.name && formState.balance) {
+            // A promo needs an end date; a blank promo rate with an end date means 0%
+            const hasPromo = Boolean(formState.promo_end_date);
             onSubmit?.({
                 name: formState.name.trim(),
                 balance: toNumber(formState.balance),
                 interest_rate: toNumber(formState.interest_rate),
                 minimum_payment: toNumber(formState.minimum_payment),
-                status: formState.status
+                status: formState.status,
+                promo_apr: hasPromo ? toNumber(formState.promo_apr) : null,
+                promo_start_date: hasPromo ? formState.promo_start_date || null : null,
+                promo_end_date: hasPromo ? formState.promo_end_date : null,
+                deferred_interest: hasPromo && formState.deferred_interest,
+                balance_transfer_amount: toOptionalNumber(formState.balance_transfer_amount),
+                balance_transfer_fee: toOptionalNumber(formState.balance_transfer_fee)
             });
         }
     };
@@ -140,6 +169,78 @@ function DebtForm({ debt, onSubmit, onCancel}) {
                     />
                 </div>
             </div>
+            <fieldset className="grid gap-4 rounded-lg border p-4">
+                <legend className="px-1 text-sm font-medium">Promotional Rate</legend>
+                <div className="grid md:grid-cols-3 gap-4">
+                    <div className="grid gap-2">
+                        <Label htmlFor="debt-promo-apr">Promo Rate (%)</Label>
+                        <Input
+                            id="debt-promo-apr"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={formState.promo_apr}
+                            onChange={handleChange('promo_apr')}
+                            placeholder="0"
+                        />
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="debt-promo-start">Promo Start</Label>
+                        <Input
+                            id="debt-promo-start"
+                            type="date"
+                            value={formState.promo_start_date}
+                            onChange={handleChange('promo_start_date')}
+                        />
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="debt-promo-end">Promo End</Label>
+                        <Input
+                            id="debt-promo-end"
+                            type="date"
+                            value={formState.promo_end_date}
+                            onChange={handleChange('promo_end_date')}
+                        />
+                    </div>
+                </div>
+                <div className="flex items-center gap-3">
+                    <Switch
+                        id="debt-deferred-interest"
+                        checked={formState.deferred_interest}
+                        onCheckedChange={handleChange('deferred_interest')}
+                        disabled={!formState.promo_end_date}
+                    />
+                    <Label htmlFor="debt-deferred-interest" className="font-normal">
+                        Deferred interest (charged back to the promo start if not paid off by the end date)
+                    </Label>
+                </div>
+                <div className="grid md:grid-cols-2 gap-4">
+                    <div className="grid gap-2">
+                        <Label htmlFor="debt-transfer-amount">Balance Transferred</Label>
+                        <Input
+                            id="debt-transfer-amount"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={formState.balance_transfer_amount}
+                            onChange={handleChange('balance_transfer_amount')}
+                            placeholder="0"
+                        />
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="debt-transfer-fee">Transfer Fee (%)</Label>
+                        <Input
+                            id="debt-transfer-fee"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={formState.balance_transfer_fee}
+                            onChange={handleChange('balance_transfer_fee')}
+                            placeholder="3"
+                        />
+                    </div>
+                </div>
+            </fieldset>
             <div className="grid gap-2">
                 <Label htmlFor="debt-status">Status</Label>
                 <Select value={formState.status} onValueChange={handleChange('status')}>
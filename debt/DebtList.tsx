@@ -1,14 +1,20 @@
 /**
  * @fileoverview Debt list component displaying all debt accounts in a table
  * @description Shows debt details including balance, interest rate, minimum payment,
- * and status with edit/delete actions. Uses virtualization for large lists (100+ items).
+ * promo rates and status with edit/delete actions, and warns when a promo balance
+ * won't be cleared before the promo ends under the saved payoff plan.
+ * Uses virtualization for large lists (100+ items).
  */
 
 import React, { useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
+import { AlertTriangle } from 'lucide-react';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
 import { Button } from '@/ui/button';
 import { Badge } from '@/ui/badge';
 import { AutoSizedVirtualList, getVirtualListMetrics } from '@/utils/virtualScroll';
+import { useDebtPayoffPlan } from '@/hooks/useDebtPayoffPlan';
+import { promoWarnings, type PromoWarning } from '@/utils/debtPayoff';
 
 interface Debt {
     id?: string | number;
@@ -18,14 +24,22 @@ interface Debt {
     interest_rate: number;
     minimum_payment: number;
     status?: 'active' | 'paid' | 'paused';
+    promo_apr?: number | null;
+    promo_end_date?: string | null;
+    deferred_interest?: boolean;
+    balance_transfer_amount?: number | null;
+    balance_transfer_fee?: number | null;
 }
 
 interface DebtRowProps {
     debt: Debt;
+    warning?: PromoWarning;
     onEdit?: (debt: Debt) => void;
     onDelete?: (id: string | number) => void;
 }
 
+const NO_DEBTS: Debt[] = [];
+
 interface DebtListProps {
     debts?: Debt[];
     onEdit: (debt: Debt) => void;
@@ -58,19 +72,47 @@ const formatRate = (value: number | string): string => {
     return `${rate.toFixed(2)}%`;
 };
 
+const formatDay = (value: string): string => format(parseISO(value), 'MMM d, yyyy');
+
 /**
  * Single debt row component (memoized)
  * @param {Object} props - Component props
  * @param {Object} props.debt - Debt data
+ * @param {PromoWarning} [props.warning] - Promo balance left at expiry under the payoff plan
  * @param {Function} props.onEdit - Edit handler
  * @param {Function} props.onDelete - Delete handler
  * @returns {JSX.Element} Debt row
  */
-const DebtRow = React.memo<DebtRowProps>(({ debt, onEdit, onDelete }) => (
+const DebtRow = React.memo<DebtRowProps>(({ debt, warning, onEdit, onDelete }) => (
     <TableRow key={debt.id || debt.name}>
-        <TableCell className="font-medium">{debt.name || debt.account_name}</TableCell>
+        <TableCell className="font-medium">
+            <div className="flex items-center gap-2">
+                {debt.name || debt.account_name}
+                {warning && (
+                    <span title={`Promo ends ${formatDay(warning.end_date)} with ${formatCurrency(warning.balance_at_end)} left`}>
+                        <AlertTriangle className="h-4 w-4 text-orange-500" aria-label="Promo balance not cleared in time" />
+                    </span>
+                )}
+            </div>
+        </TableCell>
         <TableCell>{formatCurrency(debt.balance)}</TableCell>
-        <TableCell>{formatRate(debt.interest_rate)}</TableCell>
+        <TableCell>
+            {debt.promo_end_date && debt.promo_apr != null ? (
+                <div className="space-y-0.5">
+                    <div>{formatRate(debt.promo_apr)} until {formatDay(debt.promo_end_date)}</div>
+                    <div className="text-xs text-muted-foreground">
+                        then {formatRate(debt.interest_rate)}{debt.deferred_interest ? ' · deferred interest' : ''}
+                    </div>
+                    {Number(debt.balance_transfer_fee) > 0 && Number(debt.balance_transfer_amount) > 0 && (
+                        <div className="text-xs text-muted-foreground">
+                            {formatCurrency(Number(debt.balance_transfer_amount) * Number(debt.balance_transfer_fee) / 100)} transfer fee
+                        </div>
+                    )}
+                </div>
+            ) : (
+                formatRate(debt.interest_rate)
+            )}
+        </TableCell>
         <TableCell>{formatCurrency(debt.minimum_payment)}</TableCell>
         <TableCell>
             <Badge variant={(debt.status || 'active') === 'active' ? 'default' : 'secondary'} className="capitalize">
@@ -90,6 +132,37 @@ const DebtRow = React.memo<DebtRowProps>(({ debt, onEdit, onDelete }) => (
 
 DebtRow.displayName = 'DebtRow';
 
+/**
+ * Promo expiry warnings shown above the table
+ * @param {Object} props - Component props
+ * @param {PromoWarning[]} props.warnings - Uncleared promo balances
+ * @returns {JSX.Element|null} Warning list
+ */
+const PromoWarnings = ({ warnings }: { warnings: PromoWarning[] }) => {
+    if (warnings.length === 0) return null;
+    return (
+        <div className="mb-4 space-y-2">
+            {warnings.map(warning => (
+                <div key={warning.debt_id} className="flex gap-3 rounded-lg border border-orange-500/30 bg-orange-500/10 p-3 text-sm">
+                    <AlertTriangle className="h-5 w-5 text-orange-500 flex-shrink-0" />
+                    <div className="text-orange-700 dark:text-orange-300">
+                        <p className="font-semibold">
+                            {warning.name}: <span className="sensitive">{formatCurrency(warning.balance_at_end)}</span> left when the promo ends {formatDay(warning.end_date)}
+                        </p>
+                        <p>
+                            {warning.deferred_interest
+                                ? <>Deferred interest of <span className="sensitive">{formatCurrency(warning.deferred_interest_charged)}</span> would be charged back. </>
+                                : 'The remaining balance moves to the standard rate. '}
+                            Your plan pays <span className="sensitive">{formatCurrency(warning.planned_payment)}</span>/mo here;{' '}
+                            <span className="sensitive">{formatCurrency(warning.payment_needed)}</span>/mo clears it in time.
+                        </p>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
 /**
  * Debt list table component with virtualization
  * @param {Object} props - Component props
@@ -98,13 +171,22 @@ DebtRow.displayName = 'DebtRow';
  * @param {Function} props.onDelete - Delete debt handler
  * @returns {JSX.Element} Debts table
  */
-function DebtList({ debts = [], onEdit, onDelete }: DebtListProps) {
+function DebtList({ debts = NO_DEBTS, onEdit, onDelete }: DebtListProps) {
     // Calculate performance metrics
     const metrics = useMemo(() => getVirtualListMetrics(debts, 60), [debts]);
     
     // Use virtualization for large lists (100+ items)
     const useVirtualization = metrics.recommendVirtualization;
 
+    const plan = useDebtPayoffPlan(debts);
+    const warnings = useMemo(() => promoWarnings(plan), [plan]);
+    const warningsById = useMemo(
+        () => new Map(warnings.map(warning => [warning.debt_id, warning])),
+        [warnings]
+    );
+    const warningFor = (debt: Debt): PromoWarning | undefined =>
+        debt.id != null ? warningsById.get(String(debt.id)) : undefined;
+
     // Empty state
     if (debts.length === 0) {
         return (
@@ -133,34 +215,40 @@ function DebtList({ debts = [], onEdit, onDelete }: DebtListProps) {
     // Regular rendering for small lists
     if (!useVirtualization) {
         return (
-            <Table>
-                <TableHeader>
-                    <TableRow>
-                        <TableHead>Name</TableHead>
-                        <TableHead>Balance</TableHead>
-                        <TableHead>Interest</TableHead>
-                        <TableHead>Minimum Payment</TableHead>
-                        <TableHead>Status</TableHead>
-                        <TableHead className="text-right">Actions</TableHead>
-                    </TableRow>
-                </TableHeader>
-                <TableBody>
-                    {debts.map((debt) => (
-                        <DebtRow 
-                            key={debt.id || debt.name} 
-                            debt={debt} 
-                            onEdit={onEdit} 
-                            onDelete={onDelete} 
-                        />
-                    ))}
-                </TableBody>
-            </Table>
+            <>
+                <PromoWarnings warnings={warnings} />
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead>Name</TableHead>
+                            <TableHead>Balance</TableHead>
+                            <TableHead>Interest</TableHead>
+                            <TableHead>Minimum Payment</TableHead>
+                            <TableHead>Status</TableHead>
+                            <TableHead className="text-right">Actions</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {debts.map((debt) => (
+                            <DebtRow 
+                                key={debt.id || debt.name} 
+                                debt={debt} 
+                                warning={warningFor(debt)}
+                                onEdit={onEdit} 
+                                onDelete={onDelete} 
+                            />
+                        ))}
+                    </TableBody>
+                </Table>
+            </>
         );
     }
 
     // Virtualized rendering for large lists
     return (
         <div className="w-full">
+            <PromoWarnings warnings={warnings} />
+
             {/* Fixed Header */}
             <div className="sticky top-0 bg-background border-b z-10">
                 <Table>
@@ -186,7 +274,7 @@ function DebtList({ debts = [], onEdit, onDelete }: DebtListProps) {
                 renderItem={(debt) => (
                     <Table>
                         <TableBody>
-                            <DebtRow debt={debt} onEdit={onEdit} onDelete={onDelete} />
+                            <DebtRow debt={debt} warning={warningFor(debt)} onEdit={onEdit} onDelete={onDelete} />
                         </TableBody>
                     </Table>
                 )}
@@ -1,20 +1,61 @@
-// @ts-nocheck
 /**
- * @fileoverview Debt simulator component showing snowball payoff projection
- * @description Calculates and displays debt payoff timeline using snowball method
+ * @fileoverview Debt simulator component showing the month-by-month payoff plan
+ * @description Runs the shared payoff engine for the chosen strategy and extra
+ * payment, shows when each debt is paid off, warns about promo balances left at
+ * expiry, compares strategies by interest and lists the full amortization schedule
  */
 
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { Progress } from '@/ui/progress';
 import { Separator } from '@/ui/separator';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Badge } from '@/ui/badge';
+import { ScrollArea } from '@/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { AlertTriangle, ArrowDown, ArrowUp } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { DEFAULT_PAYOFF_PREFERENCES, usePayoffPreferences } from '@/hooks/useDebtPayoffPlan';
+import {
+    compareDebtStrategies,
+    PAYOFF_STRATEGIES,
+    promoWarnings,
+    type PayoffDebt,
+    type PayoffStrategy,
+} from '@/utils/debtPayoff';
+
+const STRATEGY_LABELS: Record<PayoffStrategy, string> = {
+    avalanche: 'Avalanche (highest APR)',
+    snowball: 'Snowball (smallest balance)',
+    highest_interest_cost: 'Highest interest cost',
+    custom: 'Custom order',
+};
+
+const STRATEGY_HINTS: Record<PayoffStrategy, string> = {
+    avalanche: 'Extra money goes to the highest rate first, which usually costs the least interest.',
+    snowball: 'Pay the smallest balances first to free up cash flow faster.',
+    highest_interest_cost: 'Target the debt charging the most interest in dollars each month.',
+    custom: 'Pay debts in the order you choose.',
+};
+
+/**
+ * Props for DebtSimulator
+ */
+interface DebtSimulatorProps {
+    debts?: PayoffDebt[];
+}
+
+const NONE: PayoffDebt[] = [];
 
 /**
  * Format value as USD currency (no decimals)
  * @param {number|string} value - Value to format
  * @returns {string} Formatted currency string
  */
-const formatCurrency = (value) => {
+const formatCurrency = (value: number | string): string => {
     const amount = typeof value === 'number' ? value : parseFloat(value);
     if (!Number.isFinite(amount)) {
         return '$0';
@@ -26,107 +67,243 @@ const formatCurrency = (value) => {
     }).format(amount);
 };
 
+const formatMonth = (value: string | null): string => (value ? format(parseISO(value), 'MMM yyyy') : 'Never');
+
 /**
- * Calculate snowball debt payoff projection
- * @param {Array<Object>} debts - List of debts
- * @returns {Array<{name: string, months: number}>} Payoff projections
+ * Debt simulator with strategy choice, payoff timeline, comparison and schedule
+ * @param {DebtSimulatorProps} props - Component props
+ * @returns {React.ReactElement} Debt projection display
  */
-const snowballProjection = (debts) => {
-    const sorted = [...debts].sort(
-        (a, b) => (Number(a.balance) || 0) - (Number(b.balance) || 0)
+function DebtSimulator({ debts = NONE }: DebtSimulatorProps): React.ReactElement {
+    const [savedPreferences, setPreferences] = usePayoffPreferences();
+    const [showSchedule, setShowSchedule] = useState<boolean>(false);
+    const { strategy, extra_payment: extraPayment, custom_order: customOrder } = {
+        ...DEFAULT_PAYOFF_PREFERENCES,
+        ...savedPreferences,
+    };
+
+    const setStrategy = (value: PayoffStrategy): void => setPreferences(prev => ({ ...prev, strategy: value }));
+    const setExtraPayment = (value: number): void => setPreferences(prev => ({ ...prev, extra_payment: value }));
+
+    const safeDebts = Array.isArray(debts) ? debts : NONE;
+
+    const comparison = useMemo(
+        () => compareDebtStrategies(safeDebts, { extra_payment: extraPayment, custom_order: customOrder }, PAYOFF_STRATEGIES),
+        [safeDebts, extraPayment, customOrder]
     );
-    let snowballExtra = 0;
-    const projections = sorted.map((debt) => {
-        const balance = Number(debt.balance) || 0;
-        const minimum = Number(debt.minimum_payment) || 0;
-        const payment = minimum + snowballExtra;
-        const months = payment > 0 ? Math.ceil(balance / payment) : 0;
-        snowballExtra += minimum;
-        return {
-            name: debt.name || debt.account_name,
-            months
-        };
-    });
-    return projections;
-};
+    const plan = comparison.plans[strategy]!;
+    const warnings = useMemo(() => promoWarnings(plan), [plan]);
+    const totalBalance = plan.debts.reduce((sum, debt) => sum + debt.starting_balance, 0);
 
-/**
- * Debt simulator component with snowball projection
- * @param {Object} props - Component props
- * @param {Array<Object>} [props.debts=[]] - List of debts
- * @returns {JSX.Element} Debt projection display
- */
-function DebtSimulator({ debts = [] }) {
     /**
-     * Calculate debt summary and projections
+     * Move a debt up or down in the custom order, starting from the current plan's order
      */
-    const summary = useMemo(() => {
-        const safeDebts = Array.isArray(debts) ? debts : [];
-        const totals = safeDebts.reduce(
-            (acc, debt) => {
-                const balance = typeof debt.balance === 'number' ? debt.balance : parseFloat(debt.balance) || 0;
-                const interest = typeof debt.interest_rate === 'number' ? debt.interest_rate : parseFloat(debt.interest_rate) || 0;
-                acc.balance += balance;
-                acc.interest += balance * (interest / 100);
-                return acc;
-            },
-            { balance: 0, interest: 0 }
-        );
-
-        const snowball = snowballProjection(safeDebts);
-
-        return {
-            totalBalance: totals.balance,
-            estimatedInterest: totals.interest,
-            projections: snowball
-        };
-    }, [debts]);
+    const moveDebt = (id: string, direction: -1 | 1): void => {
+        const order = [...plan.order];
+        const index = order.indexOf(id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= order.length) return;
+        [order[index], order[target]] = [order[target], order[index]];
+        setPreferences(prev => ({ ...prev, strategy: 'custom', custom_order: order }));
+    };
 
     return (
         <div className="space-y-4">
             <div>
                 <CardHeader className="px-0 pb-2">
-                    <CardTitle>Snowball Projection</CardTitle>
+                    <CardTitle>Payoff Plan</CardTitle>
                 </CardHeader>
-                <CardContent className="px-0 pt-0">
-                    <p className="text-sm text-muted-foreground">
-                        Pay the smallest balances first to free up cash flow faster.
-                    </p>
+                <CardContent className="px-0 pt-0 space-y-3">
+                    <p className="text-sm text-muted-foreground">{STRATEGY_HINTS[strategy]}</p>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                            <Label htmlFor="debt-strategy">Strategy</Label>
+                            <Select value={strategy} onValueChange={value => setStrategy(value as PayoffStrategy)}>
+                                <SelectTrigger id="debt-strategy">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {PAYOFF_STRATEGIES.map(option => (
+                                        <SelectItem key={option} value={option}>{STRATEGY_LABELS[option]}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="debt-extra-payment">Extra per month</Label>
+                            <Input
+                                id="debt-extra-payment"
+                                type="number"
+                                min="0"
+                                step="25"
+                                value={extraPayment}
+                                onChange={e => setExtraPayment(Math.max(0, parseFloat(e.target.value) || 0))}
+                            />
+                        </div>
+                    </div>
                 </CardContent>
             </div>
-            <div className="rounded-lg border bg-muted/40 p-4 space-y-4">
+            <div className="rounded-lg border bg-muted/40 p-4 space-y-3">
                 <div className="flex items-center justify-between">
                     <span className="text-sm text-muted-foreground">Total Debt</span>
-                    <span className="text-lg font-semibold">{formatCurrency(summary.totalBalance)}</span>
+                    <span className="text-lg font-semibold sensitive">{formatCurrency(totalBalance)}</span>
                 </div>
                 <div className="flex items-center justify-between">
-                    <span className="text-sm text-muted-foreground">Estimated Interest</span>
-                    <span className="text-lg font-semibold">{formatCurrency(summary.estimatedInterest)}</span>
+                    <span className="text-sm text-muted-foreground">Monthly Payment</span>
+                    <span className="text-lg font-semibold sensitive">{formatCurrency(plan.monthly_budget)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-muted-foreground">Total Interest</span>
+                    <span className="text-lg font-semibold sensitive">{formatCurrency(plan.total_interest)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                    <span className="text-sm text-muted-foreground">Debt Free</span>
+                    <span className="text-lg font-semibold">
+                        {plan.paid_off ? formatMonth(plan.debt_free_date) : 'Payments don’t cover interest'}
+                    </span>
                 </div>
             </div>
+            {warnings.map(warning => (
+                <div key={warning.debt_id} className="flex gap-2 rounded-lg border border-orange-500/30 bg-orange-500/10 p-3 text-sm">
+                    <AlertTriangle className="h-4 w-4 text-orange-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-orange-700 dark:text-orange-300">
+                        {warning.name} will still owe <span className="sensitive">{formatCurrency(warning.balance_at_end)}</span> when
+                        its promo ends {format(parseISO(warning.end_date), 'MMM d, yyyy')}
+                        {warning.deferred_interest_charged > 0 && (
+                            <> and be charged <span className="sensitive">{formatCurrency(warning.deferred_interest_charged)}</span> of deferred interest</>
+                        )}
+                        . Paying <span className="sensitive">{formatCurrency(warning.payment_needed)}</span>/mo clears it in time.
+                    </p>
+                </div>
+            ))}
             <Separator />
             <div className="space-y-3">
-                {summary.projections.length === 0 ? (
+                {plan.debts.length === 0 ? (
                     <p className="text-sm text-muted-foreground">Add a debt to see payoff estimates.</p>
                 ) : (
-                    summary.projections.map((projection) => {
-                        const months = projection.months;
-                        const progress = months === 0 ? 100 : Math.max(5, Math.min(100, 100 - months * 4));
+                    plan.debts.map((debt, index) => {
+                        const months = debt.months_to_payoff;
+                        const progress = months == null || plan.total_months === 0
+                            ? 0
+                            : Math.max(5, 100 - (months / plan.total_months) * 95);
                         return (
-                            <div key={projection.name} className="space-y-1">
-                                <div className="flex items-center justify-between text-sm">
-                                    <span className="font-medium">{projection.name}</span>
-                                    <span className="text-muted-foreground">{months} months</span>
+                            <div key={debt.id} className="space-y-1">
+                                <div className="flex items-center justify-between text-sm gap-2">
+                                    <span className="font-medium flex items-center gap-1">
+                                        <span className="text-muted-foreground">{debt.priority}.</span>
+                                        {debt.name}
+                                    </span>
+                                    <span className="flex items-center gap-1">
+                                        <span className="text-muted-foreground">
+                                            {months == null ? 'Not paid off' : `${months} months · ${formatMonth(debt.payoff_date)}`}
+                                        </span>
+                                        <Button
+                                            variant="ghost"
+                                            size="icon"
+                                            className="h-6 w-6"
+                                            aria-label={`Pay ${debt.name} earlier`}
+                                            disabled={index === 0}
+                                            onClick={() => moveDebt(debt.id, -1)}
+                                        >
+                                            <ArrowUp className="h-3 w-3" />
+                                        </Button>
+                                        <Button
+                                            variant="ghost"
+                                            size="icon"
+                                            className="h-6 w-6"
+                                            aria-label={`Pay ${debt.name} later`}
+                                            disabled={index === plan.debts.length - 1}
+                                            onClick={() => moveDebt(debt.id, 1)}
+                                        >
+                                            <ArrowDown className="h-3 w-3" />
+                                        </Button>
+                                    </span>
                                 </div>
                                 <Progress value={progress} className="h-2" />
+                                <p className="text-xs text-muted-foreground">
+                                    Interest <span className="sensitive">{formatCurrency(debt.total_interest)}</span>
+                                </p>
                             </div>
                         );
                     })
                 )}
             </div>
+            {plan.debts.length > 0 && (
+                <>
+                    <Separator />
+                    <div className="space-y-2">
+                        <h4 className="text-sm font-semibold">Strategy comparison</h4>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Strategy</TableHead>
+                                    <TableHead className="text-right">Months</TableHead>
+                                    <TableHead className="text-right">Interest</TableHead>
+                                    <TableHead className="text-right">Saved</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {comparison.strategies.map(entry => (
+                                    <TableRow
+                                        key={entry.strategy}
+                                        className={entry.strategy === strategy ? 'bg-muted/60' : undefined}
+                                    >
+                                        <TableCell className="text-xs">
+                                            {STRATEGY_LABELS[entry.strategy]}
+                                            {entry.strategy === comparison.best && (
+                                                <Badge variant="secondary" className="ml-1 text-[10px]">Best</Badge>
+                                            )}
+                                        </TableCell>
+                                        <TableCell className="text-right text-xs">{entry.paid_off ? entry.total_months : '—'}</TableCell>
+                                        <TableCell className="text-right text-xs sensitive">{formatCurrency(entry.total_interest)}</TableCell>
+                                        <TableCell className="text-right text-xs sensitive">{formatCurrency(entry.interest_saved)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <p className="text-xs text-muted-foreground">
+                            Saved is interest avoided versus paying only minimums ({formatCurrency(comparison.baseline.total_interest)} interest
+                            {comparison.baseline.paid_off ? ` over ${comparison.baseline.total_months} months` : ', never paid off'}).
+                        </p>
+                    </div>
+                    <Button variant="outline" size="sm" className="w-full" onClick={() => setShowSchedule(!showSchedule)}>
+                        {showSchedule ? 'Hide' : 'Show'} month-by-month schedule
+                    </Button>
+                    {showSchedule && (
+                        <ScrollArea className="h-72 rounded-md border">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>Month</TableHead>
+                                        {plan.debts.map(debt => (
+                                            <TableHead key={debt.id} className="text-right">{debt.name}</TableHead>
+                                        ))}
+                                        <TableHead className="text-right">Interest</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {plan.months.map(month => (
+                                        <TableRow key={month.month}>
+                                            <TableCell className="text-xs whitespace-nowrap">{format(parseISO(month.date), 'MMM yy')}</TableCell>
+                                            {plan.debts.map(debt => {
+                                                const row = month.debts.find(d => d.id === debt.id);
+                                                return (
+                                                    <TableCell key={debt.id} className="text-right text-xs sensitive">
+                                                        {row ? `${formatCurrency(row.payment)} → ${formatCurrency(row.ending_balance)}` : '—'}
+                                                    </TableCell>
+                                                );
+                                            })}
+                                            <TableCell className="text-right text-xs sensitive">{formatCurrency(month.total_interest)}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </ScrollArea>
+                    )}
+                </>
+            )}
         </div>
     );
 }
 
 export default React.memo(DebtSimulator);
-
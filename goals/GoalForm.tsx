@@ -25,7 +25,8 @@ const defaultGoal = {
     target_amount: '',
     current_amount: '',
     deadline: '',
-    status: 'active'
+    status: 'active',
+    priority: 'medium'
 };
 
 /**
@@ -72,7 +73,8 @@ function GoalForm({ goal, onSubmit, onCancel }: GoalFormProps) {
                 target_amount: goal.target_amount ?? '',
                 current_amount: goal.current_amount ?? '',
                 deadline: formattedDeadline,
-                status: goal.status || 'active'
+                status: goal.status || 'active',
+                priority: goal.priority || 'medium'
             });
         } else {
             setFormState(defaultGoal);
@@ -92,7 +94,8 @@ function GoalForm({ goal, onSubmit, onCancel }: GoalFormProps) {
                 target_amount: coerceNumber(formState.target_amount),
                 current_amount: coerceNumber(formState.current_amount),
                 deadline: formState.deadline ? new Date(formState.deadline).toISOString() : null,
-                status: formState.status
+                status: formState.status,
+                priority: formState.priority
             });
         }
     };
@@ -179,6 +182,20 @@ function GoalForm({ goal, onSubmit, onCancel }: GoalFormProps) {
                         </SelectContent>
                     </Select>
                 </div>
+                <div className="grid gap-2">
+                    <Label htmlFor="goal-priority">Priority</Label>
+                    <Select value={formState.priority} onValueChange={handleChange('priority')}>
+                        <SelectTrigger id="goal-priority">
+                            <SelectValue placeholder="Select priority" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="high">High</SelectItem>
+                            <SelectItem value="medium">Medium</SelectItem>
+                            <SelectItem value="low">Low</SelectItem>
+                        </SelectContent>
+                    </Select>
+                    <p className="text-xs text-muted-foreground">Auto-funding splits money 3:2:1 by priority</p>
+                </div>
             </div>
             <div className="flex justify-between items-center">
                 <div className="flex items-center gap-2 text-sm text-muted-foreground">
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Auto-funding rules for goals
+ * @description Lets the user set rules that move money into goals (a fixed amount
+ * per paycheck, a share of overtime pay, round-ups on purchases), previews what
+ * the rules would add since they were last applied, and records it in each
+ * goal's contribution ledger
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Switch } from '@/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Plus, Trash2, Zap } from 'lucide-react';
+import { useLocalStorage } from '@/hooks/useLocalStorage';
+import { formatCurrency } from '@/utils/calculations';
+import {
+    autoFundingUpdates,
+    isOpenGoal,
+    planAutoFunding,
+    type AutoFundingRule,
+    type AutoFundingRuleType,
+    type FundedGoal,
+    type GoalContribution,
+} from '@/utils/goalFunding';
+import type { ProjectionPaySettings, ProjectionShift, ProjectionTransaction } from '@/utils/cashflowProjection';
+import type { LegacyPayRule, PayShiftRule } from '@/utils/payEngine';
+
+interface GoalFundingProps {
+    goals?: FundedGoal[];
+    shifts?: ProjectionShift[];
+    shiftRules?: Array<PayShiftRule | LegacyPayRule>;
+    paycheckSettings?: ProjectionPaySettings | null;
+    transactions?: ProjectionTransaction[];
+    /** Saves the new ledger and balance of each funded goal */
+    onFund: (updates: Array<{ id: string; data: { contributions: GoalContribution[]; current_amount: number } }>) => Promise<void>;
+}
+
+const RULE_TYPES: Record<AutoFundingRuleType, { label: string; field: 'amount' | 'percent' | 'round_to'; placeholder: string }> = {
+    per_paycheck: { label: 'Fixed amount per paycheck', field: 'amount', placeholder: '50' },
+    overtime_percent: { label: 'Percent of overtime pay', field: 'percent', placeholder: '25' },
+    round_up: { label: 'Round up purchases', field: 'round_to', placeholder: '1' },
+};
+
+/** Goal select value for rules split by priority */
+const BY_PRIORITY = 'priority';
+
+const NONE: never[] = [];
+
+const goalName = (goal: FundedGoal | undefined): string => goal?.title || goal?.name || 'Goal';
+
+/**
+ * One-line description of a rule
+ * @param {AutoFundingRule} rule - Rule
+ * @param {FundedGoal[]} goals - Goals, for the target name
+ * @returns {string} Description
+ */
+const describeRule = (rule: AutoFundingRule, goals: FundedGoal[]): string => {
+    const target = rule.goal_id ? goalName(goals.find(goal => goal.id === rule.goal_id)) : 'goals by priority';
+    if (rule.type === 'per_paycheck') return `${formatCurrency(rule.amount ?? 0)} from every paycheck to ${target}`;
+    if (rule.type === 'overtime_percent') return `${rule.percent ?? 0}% of overtime pay to ${target}`;
+    return `Round purchases up to the next ${formatCurrency(rule.round_to || 1)} for ${target}`;
+};
+
+/**
+ * Auto-funding rules card
+ * @param {GoalFundingProps} props - Goals, the pay and spending the rules run on, and the save handler
+ * @returns {React.ReactElement} Rules, preview and apply button
+ */
+function GoalFunding({
+    goals = NONE,
+    shifts = NONE,
+    shiftRules = NONE,
+    paycheckSettings = null,
+    transactions = NONE,
+    onFund,
+}: GoalFundingProps): React.ReactElement {
+    const [rules, setRules] = useLocalStorage<AutoFundingRule[]>('goal-funding-rules', [], { namespace: 'goals' });
+    const [draft, setDraft] = useState<{ type: AutoFundingRuleType; value: string; goal_id: string }>({
+        type: 'per_paycheck',
+        value: '',
+        goal_id: BY_PRIORITY,
+    });
+    const [isFunding, setIsFunding] = useState(false);
+
+    const openGoals = useMemo(() => goals.filter(isOpenGoal), [goals]);
+
+    const pending = useMemo(() => planAutoFunding({
+        goals,
+        rules,
+        shifts,
+        shift_rules: shiftRules,
+        paycheck_settings: paycheckSettings,
+        transactions,
+    }), [goals, rules, shifts, shiftRules, paycheckSettings, transactions]);
+
+    const pendingByGoal = useMemo(() => {
+        const totals = new Map<string, number>();
+        for (const contribution of pending) {
+            totals.set(contribution.goal_id, (totals.get(contribution.goal_id) ?? 0) + contribution.amount);
+        }
+        return [...totals.entries()];
+    }, [pending]);
+
+    const handleAddRule = useCallback(() => {
+        const value = parseFloat(draft.value);
+        if (!Number.isFinite(value) || value <= 0) return;
+        const field = RULE_TYPES[draft.type].field;
+        const rule: AutoFundingRule = {
+            id: `rule-${Date.now()}`,
+            type: draft.type,
+            [field]: field === 'percent' ? Math.min(100, value) : value,
+            goal_id: draft.goal_id === BY_PRIORITY ? undefined : draft.goal_id,
+            enabled: true,
+            // Rules only fund paychecks and purchases from today on
+            start_date: format(new Date(), 'yyyy-MM-dd'),
+        };
+        setRules(prev => [...prev, rule]);
+        setDraft(prev => ({ ...prev, value: '' }));
+    }, [draft, setRules]);
+
+    const handleToggle = useCallback((id: string, enabled: boolean) => {
+        setRules(prev => prev.map(rule => (rule.id === id ? { ...rule, enabled } : rule)));
+    }, [setRules]);
+
+    const handleRemove = useCallback((id: string) => {
+        setRules(prev => prev.filter(rule => rule.id !== id));
+    }, [setRules]);
+
+    const handleFund = useCallback(async () => {
+        setIsFunding(true);
+        try {
+            await onFund(autoFundingUpdates(goals, pending));
+        } finally {
+            setIsFunding(false);
+        }
+    }, [goals, pending, onFund]);
+
+    const { field, placeholder } = RULE_TYPES[draft.type];
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Zap className="h-5 w-5 text-primary" />
+                    Auto-Funding
+                </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <div className="grid gap-4 md:grid-cols-4 items-end">
+                    <div className="grid gap-2 md:col-span-2">
+                        <Label htmlFor="funding-type">Rule</Label>
+                        <Select
+                            value={draft.type}
+                            onValueChange={value => setDraft(prev => ({ ...prev, type: value as AutoFundingRuleType }))}
+                        >
+                            <SelectTrigger id="funding-type">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                {Object.entries(RULE_TYPES).map(([value, { label }]) => (
+                                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="funding-value">
+                            {field === 'percent' ? 'Percent' : field === 'round_to' ? 'Round to ($)' : 'Amount ($)'}
+                        </Label>
+                        <Input
+                            id="funding-value"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={draft.value}
+                            onChange={(e) => setDraft(prev => ({ ...prev, value: e.target.value }))}
+                            placeholder={placeholder}
+                        />
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="funding-goal">Goal</Label>
+                        <Select value={draft.goal_id} onValueChange={value => setDraft(prev => ({ ...prev, goal_id: value }))}>
+                            <SelectTrigger id="funding-goal">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={BY_PRIORITY}>Split by priority</SelectItem>
+                                {openGoals.map(goal => (
+                                    <SelectItem key={goal.id} value={goal.id!}>{goalName(goal)}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <Button variant="outline" onClick={handleAddRule} disabled={!draft.value} className="md:col-start-4">
+                        <Plus className="mr-2 h-4 w-4" /> Add Rule
+                    </Button>
+                </div>
+
+                {rules.length > 0 && (
+                    <div className="space-y-2">
+                        {rules.map(rule => (
+                            <div key={rule.id} className="flex items-center justify-between gap-3 p-3 bg-muted/50 rounded-lg">
+                                <div className="flex items-center gap-3">
+                                    <Switch
+                                        checked={rule.enabled !== false}
+                                        onCheckedChange={(checked) => handleToggle(rule.id, checked)}
+                                        aria-label="Rule enabled"
+                                    />
+                                    <div>
+                                        <p className="text-sm font-medium">{describeRule(rule, goals)}</p>
+                                        <p className="text-xs text-muted-foreground">
+                                            Since {format(parseISO(rule.start_date), 'MMM d, yyyy')}
+                                        </p>
+                                    </div>
+                                </div>
+                                <Button variant="ghost" size="icon" onClick={() => handleRemove(rule.id)} aria-label="Remove rule">
+                                    <Trash2 className="h-4 w-4" />
+                                </Button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {pendingByGoal.length > 0 && (
+                    <div className="flex flex-wrap items-center justify-between gap-3 p-4 border border-border rounded-lg">
+                        <div className="text-sm">
+                            <p className="font-medium">Ready to move</p>
+                            <p className="text-muted-foreground">
+                                {pendingByGoal.map(([id, amount], index) => (
+                                    <span key={id}>
+                                        {index > 0 && ' • '}
+                                        {goalName(goals.find(goal => goal.id === id))}{' '}
+                                        <span className="sensitive">{formatCurrency(amount)}</span>
+                                    </span>
+                                ))}
+                            </p>
+                        </div>
+                        <Button onClick={handleFund} disabled={isFunding}>
+                            Fund Goals
+                        </Button>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+export default React.memo(GoalFunding);
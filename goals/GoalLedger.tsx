@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Contribution ledger for a goal
+ * @description Shows every deposit into and withdrawal from a goal with the
+ * running balance, and records manual contributions, optionally linked to the
+ * transaction that moved the money
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Badge } from '@/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { BookOpen, Plus } from 'lucide-react';
+import { formatCurrency } from '@/utils/calculations';
+import {
+    addContributions,
+    contributionId,
+    goalLedger,
+    type FundedGoal,
+    type GoalContribution,
+    type GoalContributionSource,
+} from '@/utils/goalFunding';
+
+interface LedgerTransaction {
+    id?: string;
+    date?: string;
+    amount?: number | string;
+    description?: string;
+    category?: string;
+}
+
+interface GoalLedgerProps {
+    goals?: FundedGoal[];
+    transactions?: LedgerTransaction[];
+    /** Saves the new ledger and balance of a goal */
+    onContribute: (id: string, data: { contributions: GoalContribution[]; current_amount: number }) => Promise<void>;
+}
+
+const SOURCE_LABELS: Record<GoalContributionSource, string> = {
+    manual: 'Manual',
+    paycheck: 'Paycheck',
+    overtime: 'Overtime',
+    round_up: 'Round-up',
+    bill_payment: 'Bill paid',
+};
+
+/** Transaction select value for contributions without a linked transaction */
+const NO_TRANSACTION = 'none';
+
+/** Recent transactions offered for linking */
+const LINKABLE_TRANSACTIONS = 50;
+
+const NONE: never[] = [];
+
+const today = (): string => format(new Date(), 'yyyy-MM-dd');
+
+/**
+ * Goal contribution ledger card
+ * @param {GoalLedgerProps} props - Goals, transactions to link and the save handler
+ * @returns {React.ReactElement} Ledger table and contribution form
+ */
+function GoalLedger({ goals = NONE, transactions = NONE, onContribute }: GoalLedgerProps): React.ReactElement | null {
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [draft, setDraft] = useState({ amount: '', date: today(), transaction_id: NO_TRANSACTION, note: '' });
+    const [isSaving, setIsSaving] = useState(false);
+
+    const goal = goals.find(g => g.id === selectedId) ?? goals[0];
+    const ledger = useMemo(() => (goal ? goalLedger(goal) : null), [goal]);
+
+    const recentTransactions = useMemo(() => [...transactions]
+        .filter(t => t.id && t.date)
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+        .slice(0, LINKABLE_TRANSACTIONS), [transactions]);
+
+    const transactionLabel = useCallback((id: string | undefined): string | null => {
+        const transaction = id ? transactions.find(t => t.id === id) : undefined;
+        return transaction ? transaction.description || transaction.category || 'Transaction' : null;
+    }, [transactions]);
+
+    const handleSubmit = useCallback(async (e: React.FormEvent) => {
+        e.preventDefault();
+        const amount = parseFloat(draft.amount);
+        if (!goal?.id || !Number.isFinite(amount) || amount === 0) return;
+
+        const contribution: GoalContribution = {
+            id: contributionId(),
+            date: draft.date,
+            amount,
+            source: 'manual',
+            ...(draft.transaction_id !== NO_TRANSACTION && { transaction_id: draft.transaction_id }),
+            ...(draft.note.trim() && { note: draft.note.trim() }),
+        };
+
+        setIsSaving(true);
+        try {
+            await onContribute(goal.id, addContributions(goal, [contribution]));
+            setDraft({ amount: '', date: today(), transaction_id: NO_TRANSACTION, note: '' });
+        } finally {
+            setIsSaving(false);
+        }
+    }, [draft, goal, onContribute]);
+
+    if (!goal || !ledger) return null;
+
+    return (
+        <Card>
+            <CardHeader>
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <CardTitle className="flex items-center gap-2">
+                        <BookOpen className="h-5 w-5 text-primary" />
+                        Contribution Ledger
+                    </CardTitle>
+                    <Select value={goal.id} onValueChange={setSelectedId}>
+                        <SelectTrigger className="sm:w-56" aria-label="Goal">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {goals.filter(g => g.id).map(g => (
+                                <SelectItem key={g.id} value={g.id!}>{g.title || g.name || 'Goal'}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <form onSubmit={handleSubmit} className="grid gap-4 md:grid-cols-5 items-end">
+                    <div className="grid gap-2">
+                        <Label htmlFor="contribution-amount">Amount ($)</Label>
+                        <Input
+                            id="contribution-amount"
+                            type="number"
+                            step="0.01"
+                            value={draft.amount}
+                            onChange={(e) => setDraft(prev => ({ ...prev, amount: e.target.value }))}
+                            placeholder="Negative to withdraw"
+                        />
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="contribution-date">Date</Label>
+                        <Input
+                            id="contribution-date"
+                            type="date"
+                            value={draft.date}
+                            onChange={(e) => setDraft(prev => ({ ...prev, date: e.target.value }))}
+                        />
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="contribution-transaction">Transaction</Label>
+                        <Select
+                            value={draft.transaction_id}
+                            onValueChange={value => setDraft(prev => ({ ...prev, transaction_id: value }))}
+                        >
+                            <SelectTrigger id="contribution-transaction">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={NO_TRANSACTION}>Not linked</SelectItem>
+                                {recentTransactions.map(t => (
+                                    <SelectItem key={t.id} value={t.id!}>
+                                        {format(parseISO(String(t.date)), 'MMM d')} · {t.description || t.category || 'Transaction'} · {formatCurrency(Number(t.amount) || 0)}
+                                    </SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="grid gap-2">
+                        <Label htmlFor="contribution-note">Note</Label>
+                        <Input
+                            id="contribution-note"
+                            value={draft.note}
+                            onChange={(e) => setDraft(prev => ({ ...prev, note: e.target.value }))}
+                            placeholder="Optional"
+                        />
+                    </div>
+                    <Button type="submit" variant="outline" disabled={isSaving || !draft.amount}>
+                        <Plus className="mr-2 h-4 w-4" /> Record
+                    </Button>
+                </form>
+
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead>Date</TableHead>
+                            <TableHead>Source</TableHead>
+                            <TableHead>Details</TableHead>
+                            <TableHead className="text-right">Amount</TableHead>
+                            <TableHead className="text-right">Balance</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {ledger.opening_balance > 0 && (
+                            <TableRow>
+                                <TableCell className="text-muted-foreground">—</TableCell>
+                                <TableCell colSpan={3} className="text-muted-foreground">Saved before the ledger started</TableCell>
+                                <TableCell className="text-right sensitive">{formatCurrency(ledger.opening_balance)}</TableCell>
+                            </TableRow>
+                        )}
+                        {ledger.entries.map(entry => {
+                            const linked = transactionLabel(entry.transaction_id);
+                            return (
+                                <TableRow key={entry.id}>
+                                    <TableCell className="font-medium">{format(parseISO(entry.date), 'MMM d, yyyy')}</TableCell>
+                                    <TableCell>
+                                        <Badge variant="outline">{SOURCE_LABELS[entry.source] ?? entry.source}</Badge>
+                                    </TableCell>
+                                    <TableCell className="text-sm text-muted-foreground">
+                                        {[
+                                            entry.note,
+                                            linked && `Linked to ${linked}`,
+                                            entry.transaction_ids?.length && `${entry.transaction_ids.length} purchases`,
+                                        ].filter(Boolean).join(' · ')}
+                                    </TableCell>
+                                    <TableCell className={`text-right sensitive ${entry.amount < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                                        {entry.amount < 0 ? '-' : '+'}{formatCurrency(Math.abs(entry.amount))}
+                                    </TableCell>
+                                    <TableCell className="text-right font-medium sensitive">{formatCurrency(entry.balance)}</TableCell>
+                                </TableRow>
+                            );
+                        })}
+                        {ledger.entries.length === 0 && ledger.opening_balance === 0 && (
+                            <TableRow>
+                                <TableCell colSpan={5} className="text-center text-muted-foreground">
+                                    No contributions yet
+                                </TableCell>
+                            </TableRow>
+                        )}
+                    </TableBody>
+                </Table>
+            </CardContent>
+        </Card>
+    );
+}
+
+export default React.memo(GoalLedger);
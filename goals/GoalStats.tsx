@@ -1,12 +1,16 @@
 // @ts-nocheck
 /**
  * @fileoverview Goal statistics component displaying aggregate goal metrics
- * @description Shows total active goals, invested capital, and remaining funding with progress
+ * @description Shows total active goals, invested capital, and remaining funding with progress,
+ * plus when each active goal will be reached at the pace its contribution ledger shows
  */
 
 import React, { useMemo } from 'react';
+import { format, parseISO } from 'date-fns';
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Badge } from '@/ui/badge';
 import { DashboardCardSkeleton } from '@/shared/SkeletonLoaders';
+import { goalTargetDate, isOpenGoal, projectGoal } from '@/utils/goalFunding';
 
 /**
  * Format value as USD currency (rounded)
@@ -69,6 +73,16 @@ function GoalStats({ goals = [], isLoading }: GoalStatsProps) {
         };
     }, [goals]);
 
+    /**
+     * Project each open goal from its last 90 days of contributions
+     */
+    const projections = useMemo(() => {
+        const safeGoals = Array.isArray(goals) ? goals : [];
+        return safeGoals
+            .filter(isOpenGoal)
+            .map(goal => ({ goal, projection: projectGoal(goal), targetDate: goalTargetDate(goal) }));
+    }, [goals]);
+
     if (isLoading) {
         return (
             <div className="grid md:grid-cols-3 gap-4">
@@ -80,34 +94,73 @@ function GoalStats({ goals = [], isLoading }: GoalStatsProps) {
     }
 
     return (
-        <div className="grid md:grid-cols-3 gap-4">
-            <Card>
-                <CardHeader>
-                    <CardTitle>Total Active Goals</CardTitle>
-                </CardHeader>
-                <CardContent className="space-y-2">
-                    <div className="text-3xl font-semibold">{stats.active}</div>
-                    <p className="text-sm text-muted-foreground">{stats.count} total goals</p>
-                </CardContent>
-            </Card>
-            <Card>
-                <CardHeader>
-                    <CardTitle>Capital In Progress</CardTitle>
-                </CardHeader>
-                <CardContent className="space-y-2">
-                    <div className="text-3xl font-semibold">{formatCurrency(stats.invested)}</div>
-                    <p className="text-sm text-muted-foreground">{stats.progress}% progress toward targets</p>
-                </CardContent>
-            </Card>
-            <Card>
-                <CardHeader>
-                    <CardTitle>Remaining to Fund</CardTitle>
-                </CardHeader>
-                <CardContent className="space-y-2">
-                    <div className="text-3xl font-semibold">{formatCurrency(stats.remaining)}</div>
-                    <p className="text-sm text-muted-foreground">{stats.completed} completed goals</p>
-                </CardContent>
-            </Card>
+        <div className="space-y-4">
+            <div className="grid md:grid-cols-3 gap-4">
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Total Active Goals</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                        <div className="text-3xl font-semibold">{stats.active}</div>
+                        <p className="text-sm text-muted-foreground">{stats.count} total goals</p>
+                    </CardContent>
+                </Card>
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Capital In Progress</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                        <div className="text-3xl font-semibold">{formatCurrency(stats.invested)}</div>
+                        <p className="text-sm text-muted-foreground">{stats.progress}% progress toward targets</p>
+                    </CardContent>
+                </Card>
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Remaining to Fund</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                        <div className="text-3xl font-semibold">{formatCurrency(stats.remaining)}</div>
+                        <p className="text-sm text-muted-foreground">{stats.completed} completed goals</p>
+                    </CardContent>
+                </Card>
+            </div>
+            {projections.length > 0 && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Projected At Your Pace</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-3">
+                        {projections.map(({ goal, projection, targetDate }) => (
+                            <div key={goal.id} className="flex flex-wrap items-center justify-between gap-3 p-3 bg-muted/50 rounded-lg">
+                                <div>
+                                    <p className="font-medium">{goal.title || goal.name}</p>
+                                    <p className="text-sm text-muted-foreground">
+                                        {projection.monthly_velocity > 0 ? (
+                                            <>
+                                                <span className="sensitive">{formatCurrency(projection.monthly_velocity)}</span>/mo over the last 90 days
+                                                {' • '}reached {format(parseISO(projection.projected_completion_date), 'MMM yyyy')}
+                                            </>
+                                        ) : (
+                                            'No contributions in the last 90 days'
+                                        )}
+                                        {targetDate && (
+                                            <>
+                                                {' • '}needs <span className="sensitive">{formatCurrency(projection.required_monthly_contribution)}</span>/mo
+                                                {' '}by {format(parseISO(targetDate), 'MMM yyyy')}
+                                            </>
+                                        )}
+                                    </p>
+                                </div>
+                                {projection.on_track !== null && (
+                                    <Badge variant={projection.on_track ? 'secondary' : 'destructive'}>
+                                        {projection.on_track ? 'On track' : 'Behind'}
+                                    </Badge>
+                                )}
+                            </div>
+                        ))}
+                    </CardContent>
+                </Card>
+            )}
         </div>
     );
 }
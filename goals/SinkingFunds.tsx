@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Sinking funds for quarterly and annual bills
+ * @description Lists every irregular bill with what each paycheck needs to set
+ * aside to cover it by the due date, lets the user start a fund, put this
+ * paycheck's share in, and reset the fund once the bill is paid
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Badge } from '@/ui/badge';
+import { ThemedProgress } from '@/ui/enhanced-components';
+import { CalendarClock, RotateCcw } from 'lucide-react';
+import { formatCurrency } from '@/utils/calculations';
+import { addContributions, contributionId, type GoalContribution } from '@/utils/goalFunding';
+import {
+    buildSinkingFunds,
+    newSinkingFundGoal,
+    sinkingFundGoal,
+    sinkingFundReset,
+    type SinkingFund,
+    type SinkingFundGoal,
+    type SinkingFundGoalData,
+    type SinkingFundStatus,
+} from '@/utils/sinkingFunds';
+import type { SubscriptionBill } from '@/utils/subscriptions';
+import type { ProjectionPaySettings } from '@/utils/cashflowProjection';
+
+interface SinkingFundsProps {
+    bills?: SubscriptionBill[];
+    goals?: SinkingFundGoal[];
+    paycheckSettings?: ProjectionPaySettings | null;
+    /** Creates the goal for a new fund */
+    onCreate: (data: SinkingFundGoalData) => Promise<void>;
+    /** Saves changes to a fund's goal */
+    onUpdate: (id: string, data: Partial<SinkingFundGoal>) => Promise<void>;
+}
+
+const SINKING_FUND_STATUS: Record<SinkingFundStatus, { label: string; variant: 'default' | 'secondary' | 'destructive' | 'outline' }> = {
+    funded: { label: 'Funded', variant: 'default' },
+    on_track: { label: 'On track', variant: 'secondary' },
+    behind: { label: 'Behind', variant: 'destructive' },
+    not_started: { label: 'Not started', variant: 'outline' },
+};
+
+const NONE: never[] = [];
+
+/**
+ * Sinking funds card
+ * @param {SinkingFundsProps} props - Bills, goals, pay schedule and save handlers
+ * @returns {React.ReactElement | null} Funds list, or nothing without irregular bills
+ */
+function SinkingFunds({ bills = NONE, goals = NONE, paycheckSettings = null, onCreate, onUpdate }: SinkingFundsProps): React.ReactElement | null {
+    const [busyId, setBusyId] = useState<string | null>(null);
+
+    const funds = useMemo(
+        () => buildSinkingFunds(bills, goals, { paycheck_settings: paycheckSettings }),
+        [bills, goals, paycheckSettings]
+    );
+
+    const run = useCallback(async (fund: SinkingFund, action: () => Promise<void>) => {
+        setBusyId(fund.bill_id);
+        try {
+            await action();
+        } finally {
+            setBusyId(null);
+        }
+    }, []);
+
+    const handleStart = useCallback((fund: SinkingFund) => run(fund, async () => {
+        const bill = bills.find(b => b.id === fund.bill_id);
+        const data = bill && newSinkingFundGoal(bill);
+        if (data) await onCreate(data);
+    }), [bills, onCreate, run]);
+
+    const handleSetAside = useCallback((fund: SinkingFund) => run(fund, async () => {
+        const goal = goals.find(g => g.id === fund.goal_id);
+        if (!goal?.id) return;
+        const contribution: GoalContribution = {
+            id: contributionId(),
+            date: format(new Date(), 'yyyy-MM-dd'),
+            amount: Math.min(fund.per_paycheck, fund.remaining_needed),
+            source: 'paycheck',
+            note: `${fund.name} share of this paycheck`,
+        };
+        await onUpdate(goal.id, addContributions(goal, [contribution]));
+    }), [goals, onUpdate, run]);
+
+    const handleReset = useCallback((fund: SinkingFund) => run(fund, async () => {
+        const bill = bills.find(b => b.id === fund.bill_id);
+        const goal = bill && sinkingFundGoal(bill, goals);
+        if (bill && goal?.id) await onUpdate(goal.id, sinkingFundReset(bill, goal));
+    }), [bills, goals, onUpdate, run]);
+
+    if (funds.length === 0) return null;
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <CalendarClock className="h-5 w-5 text-primary" />
+                    Sinking Funds
+                </CardTitle>
+                <p className="text-sm text-muted-foreground">
+                    Quarterly and annual bills, saved for a little every paycheck.
+                </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                {funds.map(fund => {
+                    const status = SINKING_FUND_STATUS[fund.status];
+                    const busy = busyId === fund.bill_id;
+                    return (
+                        <div key={fund.bill_id} className="p-4 border border-border rounded-lg space-y-3">
+                            <div className="flex flex-wrap items-start justify-between gap-3">
+                                <div>
+                                    <p className="font-medium text-foreground">{fund.name}</p>
+                                    <p className="text-xs text-muted-foreground">
+                                        <span className="sensitive">{formatCurrency(fund.amount)}</span>{' '}
+                                        {fund.cadence === 'annual' ? 'yearly' : 'quarterly'} • due {format(parseISO(fund.due_date), 'MMM d, yyyy')}
+                                    </p>
+                                </div>
+                                <Badge variant={status.variant}>{status.label}</Badge>
+                            </div>
+
+                            {fund.goal_id && (
+                                <div className="space-y-1">
+                                    <ThemedProgress
+                                        value={fund.funded_percentage}
+                                        className="h-2"
+                                        indicatorColor={fund.status === 'behind' ? 'bg-destructive' : 'bg-primary'}
+                                    />
+                                    <p className="text-xs text-muted-foreground">
+                                        <span className="sensitive">{formatCurrency(fund.balance)}</span> saved
+                                        {fund.status === 'behind' && (
+                                            <> • <span className="sensitive">{formatCurrency(fund.expected_balance)}</span> by now to stay even</>
+                                        )}
+                                    </p>
+                                </div>
+                            )}
+
+                            <div className="flex flex-wrap items-center justify-between gap-3">
+                                <p className="text-sm">
+                                    {fund.remaining_needed > 0 ? (
+                                        <>
+                                            <span className="font-semibold sensitive">{formatCurrency(fund.per_paycheck)}</span>
+                                            <span className="text-muted-foreground"> per paycheck for {fund.paychecks_left} paycheck{fund.paychecks_left === 1 ? '' : 's'}</span>
+                                        </>
+                                    ) : (
+                                        <span className="text-muted-foreground">Fully funded</span>
+                                    )}
+                                </p>
+                                <div className="flex gap-2">
+                                    {!fund.goal_id && (
+                                        <Button size="sm" variant="outline" onClick={() => handleStart(fund)} disabled={busy}>
+                                            Start Fund
+                                        </Button>
+                                    )}
+                                    {fund.goal_id && fund.remaining_needed > 0 && !fund.needs_reset && (
+                                        <Button size="sm" variant="outline" onClick={() => handleSetAside(fund)} disabled={busy}>
+                                            Set Aside {formatCurrency(fund.per_paycheck)}
+                                        </Button>
+                                    )}
+                                    {fund.needs_reset && (
+                                        <Button size="sm" onClick={() => handleReset(fund)} disabled={busy}>
+                                            <RotateCcw className="mr-2 h-4 w-4" /> Bill Paid, Reset
+                                        </Button>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    );
+                })}
+            </CardContent>
+        </Card>
+    );
+}
+
+export default React.memo(SinkingFunds);
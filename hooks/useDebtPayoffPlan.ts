@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Hooks for the user's debt payoff plan
+ * @description Keeps the chosen strategy, extra payment and custom order in
+ * storage so the simulator, debt list and visualizer all work from the same plan
+ */
+
+import { useMemo } from 'react';
+import { useLocalStorage, type UseLocalStorageReturn } from '@/hooks/useLocalStorage';
+import { simulateDebtPayoff, type PayoffDebt, type PayoffPlan, type PayoffStrategy } from '@/utils/debtPayoff';
+
+/**
+ * Saved payoff plan settings
+ */
+export interface DebtPayoffPreferences {
+  strategy: PayoffStrategy;
+  extra_payment: number;
+  custom_order: string[];
+}
+
+export const DEFAULT_PAYOFF_PREFERENCES: DebtPayoffPreferences = {
+  strategy: 'avalanche',
+  extra_payment: 0,
+  custom_order: [],
+};
+
+/**
+ * Saved payoff strategy, extra payment and custom order
+ * @returns Preferences, setter and reset, as from useLocalStorage
+ */
+export function usePayoffPreferences(): UseLocalStorageReturn<DebtPayoffPreferences> {
+  return useLocalStorage<DebtPayoffPreferences>('payoff-preferences', DEFAULT_PAYOFF_PREFERENCES, {
+    encrypt: true,
+    namespace: 'debt',
+  });
+}
+
+/**
+ * Payoff plan for a set of debts under the saved preferences
+ * @param debts - Debt accounts
+ * @returns Month-by-month payoff plan
+ */
+export function useDebtPayoffPlan(debts: PayoffDebt[]): PayoffPlan {
+  const [saved] = usePayoffPreferences();
+  return useMemo(() => {
+    const preferences = { ...DEFAULT_PAYOFF_PREFERENCES, ...saved };
+    return simulateDebtPayoff(debts, {
+      strategy: preferences.strategy,
+      extra_payment: preferences.extra_payment,
+      custom_order: preferences.custom_order,
+    });
+  }, [debts, saved]);
+}
@@ -25,6 +25,13 @@ import {
   Bill,
   ShiftRule,
   Investment,
+  BNPLPlan,
+  PaycheckSettings,
+  ForecastSnapshot,
+  Account,
+  NetWorthSnapshot,
+  InvestmentEvent,
+  PriceQuote,
 } from '@/api/entities';
 import { CacheStrategies } from '@/api/base44Client-enhanced';
 
@@ -40,6 +47,13 @@ export const QueryKeys = {
   BILLS: 'bills',
   SHIFT_RULES: 'shiftRules',
   INVESTMENTS: 'investments',
+  BNPL_PLANS: 'bnplPlans',
+  PAYCHECK_SETTINGS: 'paycheckSettings',
+  FORECAST_SNAPSHOTS: 'forecastSnapshots',
+  ACCOUNTS: 'accounts',
+  NET_WORTH_SNAPSHOTS: 'netWorthSnapshots',
+  INVESTMENT_EVENTS: 'investmentEvents',
+  PRICE_QUOTES: 'priceQuotes',
 } as const;
 
 // ============================================================================
@@ -575,3 +589,215 @@ export const useDeleteInvestment = (): UseMutationResult<any, Error, string, unk
   });
 };
 
+// ============================================================================
+// ACCOUNT HOOKS
+// ============================================================================
+
+export const useAccounts = (
+  sortBy: string = 'name',
+  limit: number = 100
+): UseQueryResult<any[], Error> => {
+  return useQuery({
+    queryKey: [QueryKeys.ACCOUNTS, sortBy, limit],
+    queryFn: () => Account.list(sortBy, limit),
+    staleTime: CacheStrategies.INVESTMENTS.ttl,
+    gcTime: 20 * 60 * 1000,
+  });
+};
+
+export const useCreateAccount = (): UseMutationResult<any, Error, any, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data: any) => Account.create(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.ACCOUNTS] });
+    },
+  });
+};
+
+export const useUpdateAccount = (): UseMutationResult<any, Error, { id: string; data: any }, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, data }: { id: string; data: any }) => Account.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.ACCOUNTS] });
+    },
+  });
+};
+
+export const useDeleteAccount = (): UseMutationResult<any, Error, string, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => Account.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.ACCOUNTS] });
+    },
+  });
+};
+
+// ============================================================================
+// INVESTMENT LEDGER HOOKS
+// ============================================================================
+
+export const useInvestmentEvents = (
+  sortBy: string = 'date',
+  limit: number = 2000
+): UseQueryResult<any[], Error> => {
+  return useQuery({
+    queryKey: [QueryKeys.INVESTMENT_EVENTS, sortBy, limit],
+    queryFn: () => InvestmentEvent.list(sortBy, limit),
+    staleTime: CacheStrategies.INVESTMENTS.ttl,
+    gcTime: 20 * 60 * 1000,
+  });
+};
+
+export const useCreateInvestmentEvent = (): UseMutationResult<any, Error, any, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data: any) => InvestmentEvent.create(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.INVESTMENT_EVENTS] });
+    },
+  });
+};
+
+export const useDeleteInvestmentEvent = (): UseMutationResult<any, Error, string, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => InvestmentEvent.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.INVESTMENT_EVENTS] });
+    },
+  });
+};
+
+export const usePriceQuotes = (
+  sortBy: string = '-date',
+  limit: number = 5000
+): UseQueryResult<any[], Error> => {
+  return useQuery({
+    queryKey: [QueryKeys.PRICE_QUOTES, sortBy, limit],
+    queryFn: () => PriceQuote.list(sortBy, limit),
+    staleTime: CacheStrategies.INVESTMENTS.ttl,
+    gcTime: 20 * 60 * 1000,
+  });
+};
+
+/**
+ * Save one or more prices (a manual entry or a CSV import)
+ */
+export const useCreatePriceQuotes = (): UseMutationResult<any, Error, any[], unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (quotes: any[]) => PriceQuote.bulkCreate(quotes),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.PRICE_QUOTES] });
+    },
+  });
+};
+
+// ============================================================================
+// BNPL PLAN HOOKS
+// ============================================================================
+
+export const useBNPLPlans = (
+  sortBy: string = 'next_due_date',
+  limit: number = 100
+): UseQueryResult<any[], Error> => {
+  return useQuery({
+    queryKey: [QueryKeys.BNPL_PLANS, sortBy, limit],
+    queryFn: () => BNPLPlan.list(sortBy, limit),
+    staleTime: CacheStrategies.DEBTS.ttl,
+    gcTime: 15 * 60 * 1000,
+  });
+};
+
+// ============================================================================
+// PAYCHECK SETTINGS HOOKS
+// ============================================================================
+
+/**
+ * Fetch the most recently updated paycheck settings (null when none are saved)
+ */
+export const usePaycheckSettings = (): UseQueryResult<any | null, Error> => {
+  return useQuery({
+    queryKey: [QueryKeys.PAYCHECK_SETTINGS],
+    queryFn: async () => {
+      const settings = await PaycheckSettings.filter({}, '-updated_date', 1);
+      return settings?.[0] ?? null;
+    },
+    staleTime: CacheStrategies.SETTINGS.ttl,
+    gcTime: 30 * 60 * 1000,
+  });
+};
+
+// ============================================================================
+// FORECAST SNAPSHOT HOOKS
+// ============================================================================
+
+export const useForecastSnapshots = (
+  sortBy: string = '-date',
+  limit: number = 30
+): UseQueryResult<any[], Error> => {
+  return useQuery({
+    queryKey: [QueryKeys.FORECAST_SNAPSHOTS, sortBy, limit],
+    queryFn: () => ForecastSnapshot.list(sortBy, limit),
+    staleTime: CacheStrategies.ANALYTICS.ttl,
+    gcTime: 15 * 60 * 1000,
+  });
+};
+
+export const useCreateForecastSnapshot = (): UseMutationResult<any, Error, any, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data: any) => ForecastSnapshot.create(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.FORECAST_SNAPSHOTS] });
+    },
+  });
+};
+
+export const useUpdateForecastSnapshot = (): UseMutationResult<any, Error, { id: string; data: any }, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, data }: { id: string; data: any }) => ForecastSnapshot.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.FORECAST_SNAPSHOTS] });
+    },
+  });
+};
+
+// ============================================================================
+// NET WORTH SNAPSHOT HOOKS
+// ============================================================================
+
+export const useNetWorthSnapshots = (
+  sortBy: string = '-date',
+  limit: number = 400
+): UseQueryResult<any[], Error> => {
+  return useQuery({
+    queryKey: [QueryKeys.NET_WORTH_SNAPSHOTS, sortBy, limit],
+    queryFn: () => NetWorthSnapshot.list(sortBy, limit),
+    staleTime: CacheStrategies.ANALYTICS.ttl,
+    gcTime: 30 * 60 * 1000,
+  });
+};
+
+export const useCreateNetWorthSnapshot = (): UseMutationResult<any, Error, any, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data: any) => NetWorthSnapshot.create(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: [QueryKeys.NET_WORTH_SNAPSHOTS] });
+    },
+  });
+};
@@ -1,6 +1,7 @@
 // @ts-nocheck
 import { useMemo } from 'react';
 import { calculateShiftPay, calculateDebtPayoff } from '../utils/calculations';
+import { withholdingProfile } from '../utils/withholding';
 
 /**
  * Types for shift calculations
@@ -65,17 +66,20 @@ interface FinancialMetrics {
 
 /**
  * Hook for calculating shift pay totals and averages
+ * @param paycheckSettings - Saved PaycheckSettings, for withholding on net pay
  */
 export function useShiftCalculations(
   shifts: Shift[] | null | undefined,
-  rules: ShiftRule[] | null | undefined
+  rules: ShiftRule[] | null | undefined,
+  paycheckSettings: any = null
 ): ShiftCalculations {
   return useMemo(() => {
     if (!Array.isArray(shifts) || !Array.isArray(rules) || rules.length === 0) {
       return { totalGross: 0, totalNet: 0, avgHourly: 0, calculations: [] };
     }
 
-    const calculations = shifts.map(shift => calculateShiftPay(shift as any, rules));
+    const profile = withholdingProfile(paycheckSettings);
+    const calculations = shifts.map(shift => calculateShiftPay(shift as any, rules, { profile }));
     const totalGross = calculations.reduce((sum, calc) => sum + (calc?.gross_pay || 0), 0);
     const totalNet = calculations.reduce((sum, calc) => sum + (calc?.net_pay || 0), 0);
     const totalHours = shifts.reduce(
@@ -85,7 +89,7 @@ export function useShiftCalculations(
     const avgHourly = totalHours > 0 ? totalGross / totalHours : 0;
 
     return { totalGross, totalNet, avgHourly, calculations };
-  }, [shifts, rules]);
+  }, [shifts, rules, paycheckSettings]);
 }
 
 /**
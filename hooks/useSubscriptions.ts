@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Hooks for recurring series and subscriptions
+ * @description Runs recurring detection in the calculations worker and merges
+ * the result with saved bills, for the subscription manager, dashboard and calendar
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useBills, useTransactions } from '@/hooks/useEntityQueries';
+import { useWebWorker } from '@/hooks/useWebWorker';
+import { logError } from '@/utils/logger';
+import type { RecurringSeries, RecurringTransactionInput } from '@/utils/recurringDetection';
+import { buildSubscriptions, type Subscription, type SubscriptionBill } from '@/utils/subscriptions';
+
+// Stable fallbacks so detection does not rerun on every render while loading
+const NO_TRANSACTIONS: RecurringTransactionInput[] = [];
+const NO_BILLS: SubscriptionBill[] = [];
+
+/**
+ * Detect recurring series in a transaction list
+ * @param transactions - Transaction history
+ * @returns Detected series, or null while detection runs
+ */
+export function useRecurringSeries(transactions: RecurringTransactionInput[]): RecurringSeries[] | null {
+  const { detectRecurring } = useWebWorker();
+  const [series, setSeries] = useState<RecurringSeries[] | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSeries(null);
+    detectRecurring(transactions)
+      .then(found => { if (!cancelled) setSeries(found); })
+      .catch(error => {
+        logError('Recurring detection failed', error);
+        if (!cancelled) setSeries([]);
+      });
+    return () => { cancelled = true; };
+  }, [transactions, detectRecurring]);
+
+  return series;
+}
+
+/**
+ * Subscriptions from saved bills and transaction history
+ * @returns Subscriptions, the series and bills they came from, and a loading flag
+ */
+export function useSubscriptions(): {
+  subscriptions: Subscription[];
+  series: RecurringSeries[];
+  bills: SubscriptionBill[];
+  isLoading: boolean;
+} {
+  const { data: transactions = NO_TRANSACTIONS, isLoading: loadingTransactions } = useTransactions();
+  const { data: bills = NO_BILLS, isLoading: loadingBills } = useBills();
+  const series = useRecurringSeries(transactions);
+
+  const subscriptions = useMemo(() => buildSubscriptions(series || [], bills), [series, bills]);
+
+  return {
+    subscriptions,
+    series: series || [],
+    bills,
+    isLoading: loadingTransactions || loadingBills || series === null,
+  };
+}
@@ -5,6 +5,24 @@
 
 import { useEffect, useState, useCallback } from 'react';
 import { logError, logWarn } from '@/utils/logger';
+import {
+  projectCashflow,
+  type CashflowProjection,
+  type CashflowProjectionInput,
+  type CashflowProjectionOptions,
+} from '@/utils/cashflowProjection';
+import {
+  simulateDebtPayoff,
+  type PayoffDebt,
+  type PayoffOptions,
+  type PayoffPlan,
+} from '@/utils/debtPayoff';
+import {
+  detectRecurringSeries,
+  type RecurringDetectionOptions,
+  type RecurringSeries,
+  type RecurringTransactionInput,
+} from '@/utils/recurringDetection';
 
 interface WorkerCallback {
   resolve: (value: any) => void;
@@ -31,13 +49,6 @@ interface BudgetStatus extends Budget {
   status: 'ok' | 'warning' | 'over';
 }
 
-interface Debt {
-  balance: number;
-  interestRate: number;
-  minPayment: number;
-  [key: string]: any;
-}
-
 interface TransactionFilters {
   startDate?: string;
   endDate?: string;
@@ -176,29 +187,32 @@ export function useWebWorker() {
   }, []);
 
   /**
-   * Calculate debt payoff schedule
+   * Simulate a month-by-month debt payoff plan
    */
   const calculateDebtPayoff = useCallback(async (
-    debts: Debt[], 
-    monthlyPayment: number
-  ): Promise<{ schedule: any[], monthsToPayoff: number }> => {
+    debts: PayoffDebt[],
+    options: PayoffOptions = {}
+  ): Promise<PayoffPlan> => {
     try {
-      return await calculateInWorker('CALCULATE_DEBT_PAYOFF', { debts, monthlyPayment });
+      return await calculateInWorker<PayoffPlan>('CALCULATE_DEBT_PAYOFF', { debts, options });
     } catch (error) {
       logWarn('Worker calculation failed, using main thread', { error, type: 'payoffSchedule' });
-      return { schedule: [], monthsToPayoff: 0 };
+      return simulateDebtPayoff(debts, options);
     }
   }, []);
 
   /**
-   * Calculate cashflow forecast
+   * Project a daily running balance from recurring bills, BNPL, debts and paydays
    */
-  const calculateCashflowForecast = useCallback(async (data: any): Promise<any[]> => {
+  const calculateCashflowForecast = useCallback(async (
+    input: CashflowProjectionInput,
+    options: CashflowProjectionOptions = {}
+  ): Promise<CashflowProjection> => {
     try {
-      return await calculateInWorker<any[]>('CALCULATE_CASHFLOW_FORECAST', data);
+      return await calculateInWorker<CashflowProjection>('CALCULATE_CASHFLOW_FORECAST', { input, options });
     } catch (error) {
-      logWarn('Worker calculation failed, using main thread', { error });
-      return [];
+      logWarn('Worker calculation failed, using main thread', { error, type: 'cashflow' });
+      return projectCashflow(input, options);
     }
   }, []);
 
@@ -261,6 +275,21 @@ export function useWebWorker() {
     }
   }, []);
 
+  /**
+   * Detect recurring charges and deposits
+   */
+  const detectRecurring = useCallback(async (
+    transactions: RecurringTransactionInput[],
+    options: RecurringDetectionOptions = {}
+  ): Promise<RecurringSeries[]> => {
+    try {
+      return await calculateInWorker<RecurringSeries[]>('DETECT_RECURRING', { transactions, options });
+    } catch (error) {
+      logWarn('Worker calculation failed, using main thread', { error, type: 'recurring' });
+      return detectRecurringSeries(transactions, options);
+    }
+  }, []);
+
   return {
     isSupported,
     calculateTotals,
@@ -271,6 +300,7 @@ export function useWebWorker() {
     filterTransactions,
     sortLargeDataset,
     aggregateByCategory,
+    detectRecurring,
   };
 }
 
@@ -84,7 +84,16 @@ const TagInput = React.memo(({ tags = [], onChange, suggestions = [] }) => {
 
 TagInput.displayName = 'TagInput';
 
-export default function FastShiftForm({ shift, onSubmit, onCancel, allShifts = [] }) {
+/**
+ * Shift form with overlap validation and an optional pay rule picker
+ * @param {Object} props - Component props
+ * @param {any} [props.shift] - Shift being edited
+ * @param {(data: any) => Promise<void> | void} props.onSubmit - Called with the shift data to save
+ * @param {() => void} props.onCancel - Closes the form
+ * @param {any[]} [props.allShifts] - Saved shifts, checked for overlaps
+ * @param {any[]} [props.shiftRules] - Saved ShiftRules offered as the employer / pay rule
+ */
+export default function FastShiftForm({ shift, onSubmit, onCancel, allShifts = [], shiftRules = [] }) {
     const [formData, setFormData] = useState(() => ({
         title: shift?.title || '',
         start_datetime: shift?.start_datetime ? shift.start_datetime.slice(0, 16) : '',
@@ -94,6 +103,7 @@ export default function FastShiftForm({ shift, onSubmit, onCancel, allShifts = [
         break_hours: shift?.break_hours || 0,
         location: shift?.location || '',
         department: shift?.department || '',
+        shift_rule_id: shift?.shift_rule_id || '',
         shift_type: shift?.shift_type || 'regular',
         status: shift?.status || 'completed',
         tags: shift?.tags || [],
@@ -325,6 +335,29 @@ export default function FastShiftForm({ shift, onSubmit, onCancel, allShifts = [
                 </div>
             </div>
 
+            {/* Employer / Pay Rule */}
+            {shiftRules.length > 0 && (
+                <div className="space-y-2">
+                    <Label htmlFor="shift_rule_id">Employer / Pay Rule</Label>
+                    <Select
+                        value={formData.shift_rule_id || 'auto'}
+                        onValueChange={(value) => handleFieldChange('shift_rule_id', value === 'auto' ? '' : value)}
+                    >
+                        <SelectTrigger id="shift_rule_id">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="auto">Match automatically (location/title)</SelectItem>
+                            {shiftRules.map(rule => (
+                                <SelectItem key={rule.id} value={rule.id}>
+                                    {rule.name}{rule.employer || rule.facility ? ` — ${rule.employer || rule.facility}` : ''}
+                                </SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+            )}
+
             {/* Pay Information */}
             <div className="grid md:grid-cols-2 gap-6">
                 <div className="space-y-2">
@@ -12,6 +12,7 @@ import { CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { Plus, Zap } from 'lucide-react';
 import { AnimatePresence } from 'framer-motion';
 import { useToast } from '@/ui/use-toast';
+import { recordInstallmentPayment } from '@/utils/bnplSchedule';
 
 export default function BNPLPage() {
     const [plans, setPlans] = useState<any[]>([]);
@@ -63,6 +64,28 @@ export default function BNPLPage() {
         setShowForm(true);
     };
 
+    const handleMarkPaid = async (id) => {
+        const plan = plans.find(p => p.id === id);
+        const update = plan && recordInstallmentPayment(plan);
+        if (!update) return;
+        try {
+            await BNPLPlan.update(id, update);
+            toast({
+                title: update.status === 'paid' ? 'BNPL plan paid off' : 'Installment marked paid',
+                description: update.status === 'paid'
+                    ? 'Every installment on this plan is paid.'
+                    : `${update.remaining_installments} installment${update.remaining_installments === 1 ? '' : 's'} left.`,
+            });
+            await loadPlans();
+        } catch (error) {
+            toast({
+                title: 'Error',
+                description: error?.message || 'Failed to record the payment. Please try again.',
+                variant: 'destructive',
+            });
+        }
+    };
+
     const handleDelete = async (id) => {
         try {
             await BNPLPlan.delete(id);
@@ -135,7 +158,7 @@ export default function BNPLPage() {
                         </CardHeader>
                         <CardContent>
                         <LoadingWrapper isLoading={loading} fallback={<TableLoading />}>
-                            <BNPLPlanList plans={plans} onEdit={handleEdit} onDelete={handleDelete} />
+                            <BNPLPlanList plans={plans} onEdit={handleEdit} onMarkPaid={handleMarkPaid} onDelete={handleDelete} />
                         </LoadingWrapper>
                         </CardContent>
                     </ThemedCard>
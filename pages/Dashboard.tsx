@@ -1,7 +1,7 @@
 // @ts-nocheck
 
 import React, { useEffect, useMemo, Suspense, useCallback } from 'react';
-import { useTransactions, useShifts, useGoals, useDebts, useBudgets, useBills, useInvestments } from '@/hooks/useEntityQueries';
+import { useTransactions, useShifts, useGoals, useDebts, useBudgets, useBills, useInvestments, usePaycheckSettings, useCreateGoal, useUpdateGoal, useAccounts, useCreateAccount, useUpdateAccount, useNetWorthSnapshots, useCreateNetWorthSnapshot } from '@/hooks/useEntityQueries';
 import { Loading, ShimmerBox, CardLoading, ChartLoading } from '@/ui/loading';
 import { ShimmerEffect, SkeletonCard } from '@/loading/LoadingStates';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/ui/tabs';
@@ -19,6 +19,10 @@ import DataExport from "@/shared/DataExport";
 import { generateFinancialReport } from "@/api/functions";
 import { User } from "@/api/entities";
 import UpcomingDue from "@/dashboard/UpcomingDue";
+import FinancialSummary from "@/dashboard/FinancialSummary";
+import { analyzeEmergencyFund, suggestedEmergencyFundGoal } from '@/utils/emergencyFund';
+import { buildNetWorthSnapshot, monthlySnapshotDue } from '@/utils/netWorth';
+import { useSubscriptions } from '@/hooks/useSubscriptions';
 import { generateReminders } from "@/api/functions";
 import { emailUpcomingBills } from "@/api/functions";
 import PrivacyToggle from "@/shared/PrivacyToggle";
@@ -28,12 +32,15 @@ import OnboardingModal from "@/onboarding/OnboardingModal";
 
 // Lazy load heavy components
 const OptimizedMoneyHub = React.lazy(() => import('@/dashboard/OptimizedMoneyHub.jsx'));
-const DebtVisualizer = React.lazy(() => import('@/dashboard/DebtVisualizer.jsx'));
-const ScenarioSimulator = React.lazy(() => import('@/dashboard/ScenarioSimulator.jsx'));
-const EnvelopeBudgeting = React.lazy(() => import('@/dashboard/EnvelopeBudgeting.jsx'));
+const DebtVisualizer = React.lazy(() => import('@/dashboard/DebtVisualizer'));
+const ScenarioSimulator = React.lazy(() => import('@/dashboard/ScenarioSimulator'));
+const EnvelopeBudgeting = React.lazy(() => import('@/dashboard/EnvelopeBudgeting'));
 const BurnoutAnalyzer = React.lazy(() => import('@/dashboard/BurnoutAnalyzer.jsx'));
-const BillNegotiator = React.lazy(() => import('@/dashboard/BillNegotiator.jsx'));
+const BillNegotiator = React.lazy(() => import('@/dashboard/BillNegotiator'));
+const SubscriptionManager = React.lazy(() => import('@/dashboard/SubscriptionManager'));
 const GamificationCenter = React.lazy(() => import('@/dashboard/GamificationCenter.jsx'));
+const NetWorthTracker = React.lazy(() => import('@/dashboard/NetWorthTracker'));
+const InvestmentTracker = React.lazy(() => import('@/dashboard/InvestmentTracker'));
 const IncomeViabilityCalculator = React.lazy(() => import('@/tools/IncomeViabilityCalculator'));
 const AutomationCenter = React.lazy(() => import('@/dashboard/AutomationCenter.jsx'));
 const DataImporter = React.lazy(() => import('@/tools/DataImporter'));
@@ -61,6 +68,15 @@ export default function Dashboard() {
     const { data: budgets = [], isLoading: loadingBudgets, error: budgetsError, refetch: refetchBudgets } = useBudgets();
     const { data: bills = [], isLoading: loadingBills, error: billsError, refetch: refetchBills } = useBills();
     const { data: investments = [], isLoading: loadingInvestments, error: investmentsError, refetch: refetchInvestments } = useInvestments();
+    const { subscriptions } = useSubscriptions();
+    const { data: paycheckSettings = null } = usePaycheckSettings();
+    const createGoal = useCreateGoal();
+    const updateGoal = useUpdateGoal();
+    const { data: accounts = [], isLoading: loadingAccounts } = useAccounts();
+    const { data: netWorthSnapshots = [], isLoading: loadingSnapshots } = useNetWorthSnapshots();
+    const createAccount = useCreateAccount();
+    const updateAccount = useUpdateAccount();
+    const createNetWorthSnapshot = useCreateNetWorthSnapshot();
     
     // Combined loading state
     const loading = loadingTransactions || loadingShifts || loadingGoals || loadingDebts || loadingBudgets || loadingBills || loadingInvestments;
@@ -212,6 +228,97 @@ export default function Dashboard() {
         };
     }, [investments, debts, shifts]);
 
+    const summary = useMemo(() => {
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const monthlyExpenses = (Array.isArray(transactions) ? transactions : [])
+            .filter(t => t.type === 'expense' && new Date(t.date) > thirtyDaysAgo)
+            .reduce((sum, t) => sum + Math.abs(Number(t.amount) || 0), 0);
+        const activeGoals = (Array.isArray(goals) ? goals : []).filter(g => !g.is_completed && g.status !== 'completed').length;
+        return { monthlyExpenses, activeGoals };
+    }, [transactions, goals]);
+
+    // Emergency fund target sized by how much shift income swings
+    const emergencyFund = useMemo(() => analyzeEmergencyFund({
+        shifts: Array.isArray(shifts) ? shifts : [],
+        paycheck_settings: paycheckSettings,
+        transactions: Array.isArray(transactions) ? transactions : [],
+        bills: Array.isArray(bills) ? bills : [],
+        goals: Array.isArray(goals) ? goals : [],
+    }), [shifts, paycheckSettings, transactions, bills, goals]);
+
+    const handleSaveEmergencyGoal = useCallback(async () => {
+        try {
+            if (emergencyFund.goal_id) {
+                await updateGoal.mutateAsync({ id: emergencyFund.goal_id, data: { target_amount: emergencyFund.recommended_target } });
+            } else {
+                const data = suggestedEmergencyFundGoal(emergencyFund);
+                if (!data) return;
+                await createGoal.mutateAsync(data);
+            }
+            toast({
+                title: emergencyFund.goal_id ? "Emergency fund updated" : "Emergency fund goal created",
+                description: `Target set to $${emergencyFund.recommended_target.toLocaleString()} for your income swings.`,
+            });
+        } catch (error) {
+            toast({
+                title: "Error",
+                description: error?.message || "Failed to save the emergency fund goal. Please try again.",
+                variant: "destructive",
+            });
+        }
+    }, [emergencyFund, createGoal, updateGoal, toast]);
+
+    // Record this month's net worth once everything it is built from has loaded
+    const monthlySnapshotSaved = React.useRef(false);
+    useEffect(() => {
+        if (loading || loadingAccounts || loadingSnapshots || monthlySnapshotSaved.current) return;
+        if (!monthlySnapshotDue(netWorthSnapshots)) return;
+        monthlySnapshotSaved.current = true;
+        createNetWorthSnapshot
+            .mutateAsync(buildNetWorthSnapshot({ accounts, investments, debts, goals, transactions }, {}, 'monthly'))
+            .catch(error => logError('Failed to save the monthly net worth snapshot', error));
+    }, [loading, loadingAccounts, loadingSnapshots, netWorthSnapshots, accounts, investments, debts, goals, transactions, createNetWorthSnapshot]);
+
+    const handleTakeSnapshot = useCallback(async (data) => {
+        try {
+            await createNetWorthSnapshot.mutateAsync(data);
+            toast({ title: "Snapshot saved", description: `Net worth of $${data.net_worth.toLocaleString()} recorded.` });
+        } catch (error) {
+            toast({
+                title: "Error",
+                description: error?.message || "Failed to save the snapshot. Please try again.",
+                variant: "destructive",
+            });
+        }
+    }, [createNetWorthSnapshot, toast]);
+
+    const handleCreateAccount = useCallback(async (data) => {
+        try {
+            await createAccount.mutateAsync(data);
+            toast({ title: "Account added", description: `${data.name} is now part of your net worth.` });
+        } catch (error) {
+            toast({
+                title: "Error",
+                description: error?.message || "Failed to add the account. Please try again.",
+                variant: "destructive",
+            });
+        }
+    }, [createAccount, toast]);
+
+    const handleUpdateAccount = useCallback(async (id, data) => {
+        try {
+            await updateAccount.mutateAsync({ id, data });
+            toast({ title: "Balance updated" });
+        } catch (error) {
+            toast({
+                title: "Error",
+                description: error?.message || "Failed to update the balance. Please try again.",
+                variant: "destructive",
+            });
+        }
+    }, [updateAccount, toast]);
+
     const handleRefresh = useCallback(async () => {
         try {
             // React Query's refetch - automatically uses cache and background refetching
@@ -313,12 +420,13 @@ export default function Dashboard() {
     // Warm up heavy lazy components when idle after initial data load
     useIdlePrefetch([
         // Debts tab
-        () => import("@/dashboard/DebtVisualizer.jsx"),
-        () => import("@/dashboard/ScenarioSimulator.jsx"),
+        () => import("@/dashboard/DebtVisualizer"),
+        () => import("@/dashboard/ScenarioSimulator"),
         // Budget tab (already used, but ensure warmed)
-        () => import("@/dashboard/EnvelopeBudgeting.jsx"),
+        () => import("@/dashboard/EnvelopeBudgeting"),
         // Tools tab
-        () => import("@/dashboard/BillNegotiator.jsx"),
+        () => import("@/dashboard/BillNegotiator"),
+        () => import("@/dashboard/SubscriptionManager"),
         () => import("@/tools/IncomeViabilityCalculator"),
         () => import("@/scanning/ReceiptScanner.jsx"),
         () => import("@/tools/DataImporter"),
@@ -474,6 +582,18 @@ export default function Dashboard() {
 
                     <div className="space-y-8">
                         <TabsContent value="overview" className="space-y-8 mt-0">
+                            <ErrorBoundary fallback={<ComponentFallback name="Financial Summary" type="card" />}>
+                                <FinancialSummary
+                                    monthlyIncome={metrics.monthlyIncome}
+                                    monthlyExpenses={summary.monthlyExpenses}
+                                    netIncome={metrics.monthlyIncome - summary.monthlyExpenses}
+                                    totalGoals={summary.activeGoals}
+                                    isLoading={loading}
+                                    emergencyFund={emergencyFund}
+                                    onSaveEmergencyGoal={handleSaveEmergencyGoal}
+                                />
+                            </ErrorBoundary>
+
                             <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
                                 <div className="xl:col-span-2 space-y-8">
                                     <ErrorBoundary fallback={<ComponentFallback name="Money Hub" type="card" />}>
@@ -496,7 +616,7 @@ export default function Dashboard() {
 
                                     <ErrorBoundary fallback={<ComponentFallback name="Cashflow Forecast" type="chart" />}>
                                         <Suspense fallback={<ComponentFallback name="Cashflow Forecast" type="chart" />}>
-                                            <CashflowForecast transactions={transactions} bills={bills} />
+                                            <CashflowForecast transactions={transactions} bills={bills} debts={debts} shifts={shifts} />
                                         </Suspense>
                                     </ErrorBoundary>
 
@@ -516,6 +636,10 @@ export default function Dashboard() {
                                                 budgets={budgets} 
                                                 income={metrics.monthlyIncome || 0}
                                                 refreshData={handleRefresh}
+                                                shifts={shifts}
+                                                goals={goals}
+                                                bills={bills}
+                                                debts={debts}
                                             />
                                         </Suspense>
                                     </ErrorBoundary>
@@ -527,7 +651,7 @@ export default function Dashboard() {
                                     </ErrorBoundary>
                                     <ErrorBoundary fallback={<ComponentFallback name="Upcoming Due" type="card" />}>
                                         <Suspense fallback={<ComponentFallback name="Upcoming Due" type="card" />}>
-                                            <UpcomingDue bills={bills} debts={debts} />
+                                            <UpcomingDue bills={bills} debts={debts} subscriptions={subscriptions} goals={goals} />
                                         </Suspense>
                                     </ErrorBoundary>
                                 </div>
@@ -537,7 +661,7 @@ export default function Dashboard() {
                                 <div className="mb-4">
                                     <h3 className="text-lg font-semibold">Paycheck / Income Viability</h3>
                                     <p className="text-sm text-muted-foreground">
-                                        Income Viability = Gross Income âˆ’ (Debt Burden + Tax Burden + Cost of Living)
+                                        Income Viability = Gross Income − (Debt Burden + Tax Burden + Cost of Living)
                                     </p>
                                 </div>
                                 <Suspense fallback={<CardLoading />}>
@@ -573,16 +697,26 @@ export default function Dashboard() {
                                         budgets={budgets} 
                                         income={metrics.monthlyIncome || 0}
                                         refreshData={handleRefresh}
+                                        shifts={shifts}
+                                        goals={goals}
+                                        bills={bills}
+                                        debts={debts}
                                     />
                                 </Suspense>
                             </ErrorBoundary>
                         </TabsContent>
 
                         <TabsContent value="tools" className="space-y-8 mt-0">
+                            <ErrorBoundary fallback={<ComponentFallback name="Subscriptions" type="card" />}>
+                                <Suspense fallback={<ComponentFallback name="Subscriptions" type="card" />}>
+                                    <SubscriptionManager />
+                                </Suspense>
+                            </ErrorBoundary>
+
                             <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
                                 <ErrorBoundary fallback={<ComponentFallback name="Bill Negotiator" type="card" />}>
                                     <Suspense fallback={<ComponentFallback name="Bill Negotiator" type="card" />}>
-                                        <BillNegotiator bills={bills} />
+                                        <BillNegotiator bills={bills} subscriptions={subscriptions} />
                                     </Suspense>
                                 </ErrorBoundary>
                                 
@@ -620,7 +754,27 @@ export default function Dashboard() {
                             </ErrorBoundary>
                         </TabsContent>
 
-                        <TabsContent value="progress" className="mt-0">
+                        <TabsContent value="progress" className="space-y-8 mt-0">
+                            <ErrorBoundary fallback={<ComponentFallback name="Net Worth Tracker" type="chart" />}>
+                                <Suspense fallback={<ComponentFallback name="Net Worth Tracker" type="chart" />}>
+                                    <NetWorthTracker
+                                        investments={investments}
+                                        debts={debts}
+                                        goals={goals}
+                                        accounts={accounts}
+                                        transactions={transactions}
+                                        snapshots={netWorthSnapshots}
+                                        onTakeSnapshot={handleTakeSnapshot}
+                                        onCreateAccount={handleCreateAccount}
+                                        onUpdateAccount={handleUpdateAccount}
+                                    />
+                                </Suspense>
+                            </ErrorBoundary>
+                            <ErrorBoundary fallback={<ComponentFallback name="Investment Portfolio" type="card" />}>
+                                <Suspense fallback={<ComponentFallback name="Investment Portfolio" type="card" />}>
+                                    <InvestmentTracker investments={investments} refreshData={handleRefresh} />
+                                </Suspense>
+                            </ErrorBoundary>
                             <ErrorBoundary fallback={<ComponentFallback name="Gamification Center" type="card" />}>
                                 <Suspense fallback={<ComponentFallback name="Gamification Center" type="card" />}>
                                     <GamificationCenter />
@@ -1,6 +1,7 @@
 // @ts-nocheck
 
 import React, { useState, useEffect, useCallback } from 'react';
+import { usePageShortcuts } from '@/hooks/useKeyboardShortcuts';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/ui/tabs';
 import { ThemedCard, GlassContainer } from '@/ui/enhanced-components';
 import { FloatingElement, GlowEffect } from '@/ui/theme-aware-animations';
@@ -25,6 +26,7 @@ import { CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { AnimatePresence } from 'framer-motion';
 import { useToast } from '@/ui/use-toast';
 import { formatCurrency } from "@/utils/calculations";
+import { recordInstallmentPayment, summarizeBNPLPlans } from "@/utils/bnplSchedule";
 
 
 export default function DebtControlPage() {
@@ -80,6 +82,26 @@ export default function DebtControlPage() {
         loadBNPLPlans();
     }, [loadDebts, loadBNPLPlans]);
 
+    // Keyboard shortcuts
+    usePageShortcuts({
+        onCreate: () => {
+            if (activeTab === 'debts') {
+                setEditingDebt(null);
+                setShowDebtForm(true);
+            } else {
+                setEditingBNPL(null);
+                setShowBNPLForm(true);
+            }
+        },
+        onRefresh: () => {
+            if (activeTab === 'debts') {
+                loadDebts();
+            } else {
+                loadBNPLPlans();
+            }
+        },
+    });
+
     // Debt handlers
     const handleDebtSubmit = async (data) => {
         try {
@@ -149,6 +171,23 @@ export default function DebtControlPage() {
         setActiveTab('bnpl');
     };
 
+    const handleBNPLMarkPaid = async (id) => {
+        const plan = bnplPlans.find(p => p.id === id);
+        const update = plan && recordInstallmentPayment(plan);
+        if (!update) return;
+        try {
+            await BNPLPlan.update(id, update);
+            toast({ title: update.status === 'paid' ? 'BNPL plan paid off' : 'Installment marked paid' });
+            await loadBNPLPlans();
+        } catch (error) {
+            toast({
+                title: 'Failed to record BNPL payment',
+                description: error.message,
+                variant: 'destructive'
+            });
+        }
+    };
+
     const handleBNPLDelete = async (id) => {
         try {
             await BNPLPlan.delete(id);
@@ -166,9 +205,7 @@ export default function DebtControlPage() {
     // Calculate summary stats
     const stats = {
         totalDebt: debts.reduce((sum, debt) => sum + (debt.balance || 0), 0),
-        totalBNPL: bnplPlans
-            .filter(p => p.status === 'active')
-            .reduce((sum, p) => sum + (p.installment_amount * p.remaining_installments), 0),
+        totalBNPL: summarizeBNPLPlans(bnplPlans).total_owed,
         activeDebts: debts.filter(d => d.status === 'active').length,
         activeBNPL: bnplPlans.filter(p => p.status === 'active').length,
         monthlyPayments: debts.reduce((sum, debt) => sum + (debt.minimum_payment || 0), 0) +
@@ -375,7 +412,7 @@ export default function DebtControlPage() {
                                     </CardHeader>
                                     <CardContent>
                                     <LoadingWrapper isLoading={loading.bnpl} fallback={<TableLoading />}>
-                                        <BNPLPlanList plans={bnplPlans} onEdit={handleBNPLEdit} onDelete={handleBNPLDelete} />
+                                        <BNPLPlanList plans={bnplPlans} onEdit={handleBNPLEdit} onMarkPaid={handleBNPLMarkPaid} onDelete={handleBNPLDelete} />
                                     </LoadingWrapper>
                                     </CardContent>
                                 </ThemedCard>
@@ -5,6 +5,7 @@ import { DebtAccount } from '@/api/entities';
 import DebtList from '@/debt/DebtList';
 import DebtForm from '@/debt/DebtForm';
 import DebtSimulator from '@/debt/DebtSimulator';
+import ConsolidationComparison from '@/debt/ConsolidationComparison';
 import { ThemedCard, ThemedButton, GlassContainer } from '@/ui/enhanced-components';
 import { FloatingElement, GlowEffect } from '@/ui/theme-aware-animations';
 import { LoadingWrapper, TableLoading, CardLoading } from '@/ui/loading';
@@ -115,6 +116,14 @@ export default function DebtPlannerPage() {
                         </FloatingElement>
                     </div>
                 </div>
+
+                <FloatingElement disabled={loading}>
+                    <ThemedCard elevated>
+                        <LoadingWrapper isLoading={loading} fallback={<CardLoading />}>
+                            <ConsolidationComparison debts={debts} />
+                        </LoadingWrapper>
+                    </ThemedCard>
+                </FloatingElement>
             </div>
         </div>
     );
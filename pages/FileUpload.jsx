@@ -1,12 +1,17 @@
 ﻿
 import React from 'react';
 import ShiftImport from '@/shifts/ShiftImport';
+import { useShifts, useShiftRules } from '@/hooks/useEntityQueries';
+import { invalidateCache } from '@/api/optimizedEntities';
 import { ThemedCard, GlassContainer } from '@/ui/enhanced-components';
 import { FloatingElement, GlowEffect } from '@/ui/theme-aware-animations';
 import { Upload } from 'lucide-react';
 import { CardContent } from '@/ui/card';
 
 export default function FileUploadPage() {
+    const { data: shifts = [], refetch: refetchShifts } = useShifts();
+    const { data: shiftRules = [] } = useShiftRules();
+
     return (
         <div className="min-h-screen bg-background p-4 md:p-8">
             <div className="max-w-4xl mx-auto space-y-8">
@@ -20,7 +25,7 @@ export default function FileUploadPage() {
                                         Import Schedule
                                     </h1>
                                 </GlowEffect>
-                                <p className="text-muted-foreground mt-1">Bulk upload your shifts from a CSV file.</p>
+                                <p className="text-muted-foreground mt-1">Bulk upload your shifts from a CSV file or an iCalendar (.ics) feed.</p>
                             </div>
                         </FloatingElement>
                     </header>
@@ -29,7 +34,14 @@ export default function FileUploadPage() {
                 <FloatingElement>
                     <ThemedCard elevated className="min-h-[400px]">
                         <CardContent className="p-6">
-                            <ShiftImport />
+                            <ShiftImport
+                                existingShifts={shifts}
+                                shiftRules={shiftRules}
+                                onImported={() => {
+                                    invalidateCache('Shift');
+                                    refetchShifts();
+                                }}
+                            />
                         </CardContent>
                     </ThemedCard>
                 </FloatingElement>
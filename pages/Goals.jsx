@@ -1,11 +1,24 @@
 ﻿
 import React, { useState } from 'react';
-import { useGoals, useCreateGoal, useUpdateGoal, useDeleteGoal } from '@/hooks/useEntityQueries';
+import {
+    useGoals,
+    useCreateGoal,
+    useUpdateGoal,
+    useDeleteGoal,
+    useShifts,
+    useShiftRules,
+    usePaycheckSettings,
+    useTransactions,
+    useBills,
+} from '@/hooks/useEntityQueries';
 import { usePageShortcuts } from '@/hooks/useKeyboardShortcuts';
 import { FocusTrapWrapper } from '@/components/FocusTrapWrapper';
 import GoalList from '@/goals/GoalList';
 import GoalForm from '@/goals/GoalForm';
 import GoalStats from '@/goals/GoalStats';
+import GoalFunding from '@/goals/GoalFunding';
+import GoalLedger from '@/goals/GoalLedger';
+import SinkingFunds from '@/goals/SinkingFunds';
 import { ThemedCard, ThemedButton, GlassContainer } from '@/ui/enhanced-components';
 import { FloatingElement, GlowEffect } from '@/ui/theme-aware-animations';
 import { LoadingWrapper, CardLoading } from '@/ui/loading';
@@ -15,9 +28,19 @@ import { Plus, Target } from 'lucide-react';
 import { AnimatePresence } from 'framer-motion';
 import { useToast } from '@/ui/use-toast';
 
+/** @typedef {import('@/utils/goalFunding').GoalContribution} GoalContribution */
+/** @typedef {{ contributions: GoalContribution[], current_amount: number }} GoalLedgerUpdate */
+/** @typedef {import('@/utils/sinkingFunds').SinkingFundGoal} SinkingFundGoal */
+/** @typedef {import('@/utils/sinkingFunds').SinkingFundGoalData} SinkingFundGoalData */
+
 export default function GoalsPage() {
     // React Query hooks - automatic caching and background refetching
     const { data: goals = [], isLoading: loading } = useGoals();
+    const { data: shifts = [] } = useShifts();
+    const { data: shiftRules = [] } = useShiftRules();
+    const { data: paycheckSettings = null } = usePaycheckSettings();
+    const { data: transactions = [] } = useTransactions();
+    const { data: bills = [] } = useBills();
     
     // Mutation hooks with optimistic updates
     const createGoal = useCreateGoal();
@@ -75,6 +98,76 @@ export default function GoalsPage() {
         }
     };
 
+    /** @type {(id: string, data: GoalLedgerUpdate) => Promise<void>} */
+    const handleContribute = async (id, data) => {
+        try {
+            await updateGoal.mutateAsync({ id, data });
+            toast({
+                title: 'Contribution recorded',
+                description: 'The goal ledger has been updated.',
+            });
+        } catch (error) {
+            toast({
+                title: 'Error',
+                description: error instanceof Error ? error.message : 'Failed to record contribution. Please try again.',
+                variant: 'destructive',
+            });
+        }
+    };
+
+    /** @type {(updates: Array<{ id: string, data: GoalLedgerUpdate }>) => Promise<void>} */
+    const handleAutoFund = async (updates) => {
+        try {
+            for (const { id, data } of updates) {
+                await updateGoal.mutateAsync({ id, data });
+            }
+            toast({
+                title: 'Goals funded',
+                description: `Auto-funding added to ${updates.length} goal${updates.length === 1 ? '' : 's'}.`,
+            });
+        } catch (error) {
+            toast({
+                title: 'Error',
+                description: error instanceof Error ? error.message : 'Failed to fund goals. Please try again.',
+                variant: 'destructive',
+            });
+        }
+    };
+
+    /** @type {(data: SinkingFundGoalData) => Promise<void>} */
+    const handleStartFund = async (data) => {
+        try {
+            await createGoal.mutateAsync(data);
+            toast({
+                title: 'Sinking fund started',
+                description: `${data.title} will save toward the bill's next due date.`,
+            });
+        } catch (error) {
+            toast({
+                title: 'Error',
+                description: error instanceof Error ? error.message : 'Failed to start sinking fund. Please try again.',
+                variant: 'destructive',
+            });
+        }
+    };
+
+    /** @type {(id: string, data: Partial<SinkingFundGoal>) => Promise<void>} */
+    const handleUpdateFund = async (id, data) => {
+        try {
+            await updateGoal.mutateAsync({ id, data });
+            toast({
+                title: 'Sinking fund updated',
+                description: 'The fund balance has been updated.',
+            });
+        } catch (error) {
+            toast({
+                title: 'Error',
+                description: error instanceof Error ? error.message : 'Failed to update sinking fund. Please try again.',
+                variant: 'destructive',
+            });
+        }
+    };
+
     // Keyboard shortcuts
     usePageShortcuts({
         onCreate: () => {
@@ -150,6 +243,32 @@ export default function GoalsPage() {
                         </CardContent>
                     </ThemedCard>
                 </FloatingElement>
+
+                <ErrorBoundary>
+                    <SinkingFunds
+                        bills={bills}
+                        goals={goals}
+                        paycheckSettings={paycheckSettings}
+                        onCreate={handleStartFund}
+                        onUpdate={handleUpdateFund}
+                    />
+                </ErrorBoundary>
+
+                {!loading && goals.length > 0 && (
+                    <ErrorBoundary>
+                        <div className="space-y-8">
+                            <GoalFunding
+                                goals={goals}
+                                shifts={shifts}
+                                shiftRules={shiftRules}
+                                paycheckSettings={paycheckSettings}
+                                transactions={transactions}
+                                onFund={handleAutoFund}
+                            />
+                            <GoalLedger goals={goals} transactions={transactions} onContribute={handleContribute} />
+                        </div>
+                    </ErrorBoundary>
+                )}
             </div>
         </div>
     );
@@ -1,16 +1,23 @@
 ﻿
-import React, { Suspense } from "react";
+import React, { Suspense, useCallback } from "react";
 import { useFinancialData } from "@/hooks/useFinancialData";
+import { useAccounts, useCreateAccount, useUpdateAccount, useCreateTransaction, useUpdateTransaction } from "@/hooks/useEntityQueries";
+import { useToast } from "@/ui/use-toast";
 import { Card, CardContent, CardHeader, CardTitle } from "@/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/ui/tabs";
 import { Button } from "@/ui/button";
-import { Wallet, List, ReceiptText, RefreshCw } from "lucide-react";
+import { Wallet, List, ReceiptText, RefreshCw, Landmark } from "lucide-react";
 import { Loading, CardLoading } from "@/ui/loading";
 import ReceiptScanner from "@/scanning/ReceiptScanner";
 
 // Existing components (present in repo)
 import TransactionList from "@/transactions/TransactionList";
 import BudgetOverview from "@/budget/BudgetOverview";
+import AccountsPanel from "@/accounts/AccountsPanel";
+
+/** @typedef {import("@/accounts/AccountsPanel").NewLedgerAccountData} NewLedgerAccountData */
+/** @typedef {import("@/utils/accounts").TransferData} TransferData */
+/** @typedef {import("@/utils/accounts").ReconciliationResult} ReconciliationResult */
 
 export default function MoneyManager() {
   const {
@@ -21,10 +28,67 @@ export default function MoneyManager() {
     refreshData,
   } = useFinancialData();
 
+  const { data: accounts = [] } = useAccounts();
+  const createAccount = useCreateAccount();
+  const updateAccount = useUpdateAccount();
+  const createTransaction = useCreateTransaction();
+  const updateTransaction = useUpdateTransaction();
+  const { toast } = useToast();
+
   const handleRefresh = async () => {
     await refreshData(["transactions", "budgets"]);
   };
 
+  /** @type {(data: NewLedgerAccountData) => Promise<void>} */
+  const handleCreateAccount = useCallback(async (data) => {
+    try {
+      await createAccount.mutateAsync(data);
+      toast({ title: "Account added", description: `${data.name} starts at $${data.opening_balance.toLocaleString()}.` });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to add the account. Please try again.",
+        variant: "destructive",
+      });
+    }
+  }, [createAccount, toast]);
+
+  /** @type {(data: TransferData) => Promise<void>} */
+  const handleTransfer = useCallback(async (data) => {
+    try {
+      await createTransaction.mutateAsync(data);
+      await refreshData(["transactions"]);
+      toast({ title: "Transfer saved", description: data.description });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to save the transfer. Please try again.",
+        variant: "destructive",
+      });
+    }
+  }, [createTransaction, refreshData, toast]);
+
+  /** @type {(accountId: string, result: ReconciliationResult) => Promise<void>} */
+  const handleReconcile = useCallback(async (accountId, result) => {
+    try {
+      for (const update of result.transactions) {
+        await updateTransaction.mutateAsync(update);
+      }
+      await updateAccount.mutateAsync({ id: accountId, data: result.account });
+      await refreshData(["transactions"]);
+      toast({
+        title: "Account reconciled",
+        description: `${result.transactions.length} transaction${result.transactions.length === 1 ? "" : "s"} cleared.`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to save the reconciliation. Please try again.",
+        variant: "destructive",
+      });
+    }
+  }, [updateTransaction, updateAccount, refreshData, toast]);
+
   return (
     <div className="min-h-screen bg-background">
       <div className="max-w-7xl mx-auto p-6 space-y-6">
@@ -35,7 +99,7 @@ export default function MoneyManager() {
             </div>
             <div>
               <h1 className="text-2xl md:text-3xl font-bold tracking-tight">Money Manager</h1>
-              <p className="text-muted-foreground">Track spending, budgets, and scan receipts.</p>
+              <p className="text-muted-foreground">Track spending, budgets, accounts, and scan receipts.</p>
             </div>
           </div>
           <Button variant="outline" onClick={handleRefresh} className="gap-2">
@@ -52,13 +116,16 @@ export default function MoneyManager() {
           <Tabs defaultValue="overview" className="space-y-6">
             <Card className="bg-card/90 backdrop-blur supports-[backdrop-filter]:bg-card/80">
               <div className="p-4">
-                <TabsList className="grid grid-cols-3 gap-2 w-full h-auto">
+                <TabsList className="grid grid-cols-4 gap-2 w-full h-auto">
                   <TabsTrigger value="overview" className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
                     <Wallet className="h-4 w-4 mr-2" /> Overview
                   </TabsTrigger>
                   <TabsTrigger value="transactions" className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
                     <List className="h-4 w-4 mr-2" /> Transactions
                   </TabsTrigger>
+                  <TabsTrigger value="accounts" className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
+                    <Landmark className="h-4 w-4 mr-2" /> Accounts
+                  </TabsTrigger>
                   <TabsTrigger value="receipts" className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
                     <ReceiptText className="h-4 w-4 mr-2" /> Receipts
                   </TabsTrigger>
@@ -90,6 +157,16 @@ export default function MoneyManager() {
               </Card>
             </TabsContent>
 
+            <TabsContent value="accounts">
+              <AccountsPanel
+                accounts={accounts}
+                transactions={transactions}
+                onCreateAccount={handleCreateAccount}
+                onTransfer={handleTransfer}
+                onReconcile={handleReconcile}
+              />
+            </TabsContent>
+
             <TabsContent value="receipts">
               <ReceiptScanner refreshData={() => refreshData(["transactions", "bills"])} />
             </TabsContent>
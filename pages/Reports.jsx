@@ -1,5 +1,6 @@
 ﻿
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import { endOfMonth, format, parseISO, startOfMonth } from 'date-fns';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/ui/tabs';
 import IncomeStatement from '@/reports/IncomeStatement';
 import BalanceSheet from '@/reports/BalanceSheet';
@@ -8,8 +9,24 @@ import { ThemedCard, GlassContainer } from '@/ui/enhanced-components';
 import { FloatingElement, GlowEffect } from '@/ui/theme-aware-animations';
 import { BarChart3 } from 'lucide-react';
 import { CardContent } from '@/ui/card';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { useTransactions } from '@/hooks/useEntityQueries';
+import { buildIncomeStatement } from '@/utils/incomeStatement';
 
 export default function ReportsPage() {
+    const { data: transactions = [] } = useTransactions('-date', 2000);
+    const [month, setMonth] = useState(format(new Date(), 'yyyy-MM'));
+
+    const statement = useMemo(() => {
+        const start = parseISO(`${month}-01`);
+        return buildIncomeStatement(transactions, {
+            from: format(startOfMonth(start), 'yyyy-MM-dd'),
+            to: format(endOfMonth(start), 'yyyy-MM-dd'),
+            period: format(start, 'MMMM yyyy'),
+        });
+    }, [transactions, month]);
+
     return (
         <div className="min-h-screen bg-background p-4 md:p-8">
             <div className="max-w-7xl mx-auto space-y-8">
@@ -38,8 +55,18 @@ export default function ReportsPage() {
                                     <TabsTrigger value="balance">Balance Sheet</TabsTrigger>
                                     <TabsTrigger value="cashflow">Cash Flow</TabsTrigger>
                                 </TabsList>
-                                <TabsContent value="income" className="mt-6">
-                                    <IncomeStatement />
+                                <TabsContent value="income" className="mt-6 space-y-4">
+                                    <div className="flex items-center gap-2">
+                                        <Label htmlFor="statement-month">Month</Label>
+                                        <Input
+                                            id="statement-month"
+                                            type="month"
+                                            className="w-44"
+                                            value={month}
+                                            onChange={e => e.target.value && setMonth(e.target.value)}
+                                        />
+                                    </div>
+                                    <IncomeStatement data={statement} period={statement.period} />
                                 </TabsContent>
                                 <TabsContent value="balance" className="mt-6">
                                     <BalanceSheet />
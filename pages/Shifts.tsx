@@ -1,7 +1,7 @@
 // @ts-nocheck
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { Shift } from '@/api/entities';
+import { Shift, ShiftRule } from '@/api/entities';
 import ShiftForm from '@/shifts/ShiftForm';
 import ShiftList from '@/shifts/ShiftList';
 import ShiftStats from '@/shifts/ShiftStats';
@@ -17,6 +17,7 @@ import { useToast } from '@/ui/use-toast';
 
 export default function ShiftsPage() {
     const [shifts, setShifts] = useState<any[]>([]);
+    const [shiftRules, setShiftRules] = useState<any[]>([]);
     const [loading, setLoading] = useState<boolean>(true);
     const [showForm, setShowForm] = useState<boolean>(false);
     const [editingShift, setEditingShift] = useState<any>(null);
@@ -24,8 +25,9 @@ export default function ShiftsPage() {
 
     const loadShifts = useCallback(async () => {
         setLoading(true);
-        const data = await Shift.list('-start_datetime', 500);
+        const [data, rules] = await Promise.all([Shift.list('-start_datetime', 500), ShiftRule.list()]);
         setShifts(data);
+        setShiftRules(Array.isArray(rules) ? rules : []);
         setLoading(false);
     }, []);
 
@@ -121,7 +123,7 @@ export default function ShiftsPage() {
 
                 <FloatingElement disabled={loading}>
                     <ThemedCard elevated className="min-h-[160px]">
-                        <ShiftStats shifts={shifts} isLoading={loading} />
+                        <ShiftStats shifts={shifts} shiftRules={shiftRules} isLoading={loading} />
                     </ThemedCard>
                 </FloatingElement>
                 
@@ -4,6 +4,7 @@ import { useTransactions, useCreateTransaction, useUpdateTransaction, useDeleteT
 import TransactionList from '@/transactions/TransactionList';
 import TransactionForm from '@/transactions/TransactionForm';
 import TransactionFilters from '@/transactions/TransactionFilters';
+import RecurringSeriesPanel from '@/transactions/RecurringSeriesPanel';
 import { ThemedCard, ThemedButton, GlassContainer } from '@/ui/enhanced-components';
 import { FloatingElement, GlowEffect } from '@/ui/theme-aware-animations';
 import { LoadingWrapper, TableLoading } from '@/ui/loading';
@@ -163,6 +164,17 @@ export default function TransactionsPage() {
                         </CardContent>
                     </ThemedCard>
                 </FloatingElement>
+
+                {!loading && transactions.length > 0 && (
+                    <ThemedCard elevated className="mt-8">
+                        <CardHeader>
+                            <CardTitle>Recurring</CardTitle>
+                        </CardHeader>
+                        <CardContent>
+                            <RecurringSeriesPanel transactions={transactions} />
+                        </CardContent>
+                    </ThemedCard>
+                )}
             </div>
         </div>
     );
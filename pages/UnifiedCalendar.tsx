@@ -7,10 +7,15 @@ import { Input } from "@/ui/input";
 import { Card, CardHeader, CardTitle, CardContent } from "@/ui/card";
 import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, RefreshCw, Search } from "lucide-react";
 import { useFinancialData } from "@/hooks/useFinancialData";
+import { useSubscriptions } from "@/hooks/useSubscriptions";
+import { expandCashflowEvents } from "@/utils/cashflowProjection";
+import { buildSinkingFunds, sinkingFundGoal, sinkingFundReset } from "@/utils/sinkingFunds";
+import { usePaycheckSettings } from "@/hooks/useEntityQueries";
 import { BNPLPlan } from "@/api/entities";
 import { Transaction } from "@/api/entities";
 import { Shift } from "@/api/entities";
 import { Bill } from "@/api/entities";
+import { Goal } from "@/api/entities";
 import FiltersToolbar from "@/calendar/FiltersToolbar";
 import UnifiedMonthGrid from "@/calendar/UnifiedMonthGrid";
 import ExportMenu from "@/calendar/ExportMenu";
@@ -18,6 +23,7 @@ import CalendarSettings from "@/calendar/CalendarSettings";
 import { Loading } from "@/ui/loading";
 import { useLocalStorage } from "@/hooks/useLocalStorage";
 import QuickFilters from "@/calendar/QuickFilters";
+import SafeToSpend from "@/calendar/SafeToSpend";
 
 function formatCurrency(n) {
   try {
@@ -27,43 +33,10 @@ function formatCurrency(n) {
   }
 }
 
-function clampDay(year, monthIndex, day) {
-  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
-  return Math.min(Math.max(1, Number(day) || 1), lastDay);
-}
-
-function monthlyOccurrences(dayOfMonth, rangeStart, rangeEnd, stepMonths = 1) {
-  const out = [];
-  let y = rangeStart.getFullYear();
-  let m = rangeStart.getMonth();
-  // start at the first month in range
-  let d = new Date(y, m, clampDay(y, m, dayOfMonth));
-  if (d < rangeStart) {
-    m += stepMonths;
-    d = new Date(y, m, clampDay(y, m, dayOfMonth));
-  }
-  while (d <= rangeEnd) {
-    out.push(new Date(d));
-    m += stepMonths;
-    d = new Date(d.getFullYear(), m, clampDay(d.getFullYear(), m, dayOfMonth));
-  }
-  return out;
-}
-
-function occurrencesFromAnchorEveryNDays(anchorISO, nDays, rangeStart, rangeEnd, maxCount = 10) {
-  if (!anchorISO || !nDays) return [];
-  let d = new Date(anchorISO);
-  const out = [];
-  while (d < rangeStart) d = addDays(d, nDays);
-  while (d <= rangeEnd && out.length < maxCount) {
-    out.push(new Date(d));
-    d = addDays(d, nDays);
-  }
-  return out;
-}
-
 export default function UnifiedCalendar() {
-  const { bills, debts, shifts, transactions, loading, refreshData } = useFinancialData();
+  const { bills, debts, shifts, goals, transactions, loading, refreshData } = useFinancialData();
+  const { subscriptions } = useSubscriptions();
+  const { data: paycheckSettings = null } = usePaycheckSettings();
   const [bnpl, setBnpl] = React.useState<any[]>([]);
   const [bnplLoading, setBnplLoading] = React.useState<boolean>(true);
 
@@ -122,6 +95,14 @@ export default function UnifiedCalendar() {
     return rows;
   }, [rangeStart, rangeEnd, monthDate]);
 
+  // Sinking funds for quarterly and annual bills, by bill id
+  const fundsByBill = React.useMemo(() => {
+    const funds = buildSinkingFunds(Array.isArray(bills) ? bills : [], Array.isArray(goals) ? goals : [], {
+      paycheck_settings: paycheckSettings,
+    });
+    return new Map(funds.map((fund) => [fund.bill_id, fund]));
+  }, [bills, goals, paycheckSettings]);
+
   const events = React.useMemo(() => {
     const out = [];
     const addEvent = (obj) =>
@@ -149,75 +130,70 @@ export default function UnifiedCalendar() {
       }
     }
 
-    if (Array.isArray(bills)) {
-      for (const b of bills) {
-        const isSub = b.category === "subscriptions";
-        if ((isSub && !filters.subscriptions) || (!isSub && !filters.bills)) continue;
-
-        const day = Number(b.due_date);
-        const freq = b.frequency || "monthly";
-
-        const pushBill = (d) => addEvent({
-          id: b.id || `bill-${day}`,
-          sourceId: b.id,
-          type: isSub ? "subscription" : "bill",
-          title: b.name || (isSub ? "Subscription" : "Bill"),
-          date: d,
-          amount: b.amount,
-        });
-
-        if (freq === "monthly") {
-          monthlyOccurrences(day, rangeStart, rangeEnd, 1).forEach(pushBill);
-        } else if (freq === "quarterly") {
-          monthlyOccurrences(day, rangeStart, rangeEnd, 3).forEach(pushBill);
-        } else if (freq === "annually") {
-          monthlyOccurrences(day, rangeStart, rangeEnd, 12).forEach(pushBill);
-        } else if (freq === "weekly" || freq === "biweekly") {
-          const anchor =
-            b.last_paid_date ||
-            new Date(
-              monthDate.getFullYear(),
-              monthDate.getMonth(),
-              clampDay(monthDate.getFullYear(), monthDate.getMonth(), day)
-            ).toISOString();
-          const step = freq === "weekly" ? 7 : 14;
-          occurrencesFromAnchorEveryNDays(anchor, step, rangeStart, rangeEnd, 10).forEach(pushBill);
-        }
-      }
-    }
-
-    if (filters.debts && Array.isArray(debts)) {
-      for (const d of debts) {
-        const day = Number(d.due_date);
-        monthlyOccurrences(day, rangeStart, rangeEnd, 1).forEach((dd) =>
-          addEvent({
-            id: d.id || `debt-${day}`,
-            sourceId: d.id,
-            type: "debt",
-            title: d.name || "Debt payment",
-            date: dd,
-            amount: d.minimum_payment,
-          })
-        );
-      }
+    // Subscriptions detected in transactions but not saved as bills yet
+    const detected = subscriptions
+      .filter((sub) => !sub.tracked && !sub.is_cancelled && sub.next_date)
+      .map((sub) => ({
+        id: sub.id,
+        name: sub.name,
+        amount: sub.amount,
+        category: "subscriptions",
+        due_date: sub.next_date,
+        frequency: sub.cadence === "annual" ? "annually" : sub.cadence,
+      }));
+
+    // Bills, subscriptions, debt minimums and BNPL installments from the shared projection engine
+    const scheduled = expandCashflowEvents(
+      {
+        bills: [
+          ...((filters.bills || filters.subscriptions) && Array.isArray(bills) ? bills : []),
+          ...(filters.subscriptions ? detected : []),
+        ],
+        debts: filters.debts && Array.isArray(debts) ? debts : [],
+        bnpl_plans: filters.bnpl && Array.isArray(bnpl) ? bnpl : [],
+      },
+      rangeStart,
+      rangeEnd
+    );
+    for (const e of scheduled) {
+      if ((e.source === "bill" && !filters.bills) || (e.source === "subscription" && !filters.subscriptions)) continue;
+      // Fund status belongs to the occurrence the fund is saving for
+      const billFund = e.source === "bill" ? fundsByBill.get(e.source_id) : undefined;
+      const fund = billFund && e.date <= billFund.due_date ? billFund : undefined;
+      addEvent({
+        id: e.source_id || `${e.source}-${e.date}`,
+        sourceId: e.source_id,
+        type: e.source,
+        title: e.name,
+        date: parseISO(e.date),
+        amount: -e.amount,
+        ...(e.source_id?.startsWith("series:") ? { subtitle: "Detected" } : {}),
+        ...(fund
+          ? {
+              subtitle:
+                fund.status === "not_started"
+                  ? `No sinking fund • ${formatCurrency(fund.per_paycheck)}/paycheck`
+                  : `Fund ${Math.round(fund.funded_percentage)}% • ${formatCurrency(fund.per_paycheck)}/paycheck`,
+              fundStatus: fund.status,
+            }
+          : {}),
+      });
     }
 
-    if (filters.bnpl && Array.isArray(bnpl)) {
-      for (const p of bnpl) {
-        const freq = p.payment_frequency || "biweekly";
-        const step = freq === "weekly" ? 7 : freq === "monthly" ? 30 : 14;
-        const remaining = Number(p.remaining_installments || 0);
-        const anchor = p.next_due_date || p.first_payment_date || new Date().toISOString();
-        occurrencesFromAnchorEveryNDays(anchor, step, rangeStart, rangeEnd, Math.min(remaining || 10, 10)).forEach((dd, idx) =>
-          addEvent({
-            id: p.id || `bnpl-${idx}`,
-            sourceId: p.id,
-            type: "bnpl",
-            title: `${p.provider || "BNPL"} â€¢ ${p.merchant || "Purchase"}`,
-            date: dd,
-            amount: p.installment_amount,
-          })
-        );
+    if (filters.subscriptions) {
+      for (const sub of subscriptions) {
+        if (sub.cancel_by && !sub.is_cancelled) {
+          const d = parseISO(sub.cancel_by);
+          if (d >= rangeStart && d <= rangeEnd) {
+            addEvent({
+              id: `cancel-${sub.id}`,
+              sourceId: sub.bill_id,
+              type: "subscription",
+              title: `Cancel ${sub.name}`,
+              date: d,
+            });
+          }
+        }
       }
     }
 
@@ -244,7 +220,7 @@ export default function UnifiedCalendar() {
       return out.filter((e: any) => (e.title || "").toLowerCase().includes(q) || (e.subtitle || "").toLowerCase().includes(q));
     }
     return out;
-  }, [filters, shifts, bills, debts, bnpl, transactions, rangeStart, rangeEnd, debouncedQuery, monthDate]);
+  }, [filters, shifts, bills, debts, bnpl, transactions, subscriptions, fundsByBill, rangeStart, rangeEnd, debouncedQuery, monthDate]);
 
   const eventsByDate = React.useMemo(() => {
     const m = new Map();
@@ -327,12 +303,12 @@ export default function UnifiedCalendar() {
       await refreshData(["shifts"]);
       return;
     }
-    if (action === "mark_bill_paid" && ev?.sourceId) {
+    if ((action === "mark_bill_paid" || action === "mark_paid") && ev?.sourceId) {
       // Ensure amount is a number before using it
-      const transactionAmount = typeof ev.amount === "number" ? ev.amount : 0;
+      const transactionAmount = typeof ev.amount === "number" ? Math.abs(ev.amount) : 0;
 
       await Bill.update(ev.sourceId, { last_paid_date: day });
-      await Transaction.create({
+      const payment = await Transaction.create({
         title: `Bill: ${ev.title}`,
         amount: transactionAmount,
         category: "bills_utilities",
@@ -340,7 +316,17 @@ export default function UnifiedCalendar() {
         date: day,
         account: "checking",
       });
-      await refreshData(["bills", "transactions"]);
+
+      // Pay from the bill's sinking fund and move the fund on to the next due date
+      const bill = (bills || []).find((b) => b.id === ev.sourceId);
+      const fund = bill && sinkingFundGoal(bill, goals || []);
+      if (fund) {
+        await Goal.update(
+          fund.id,
+          sinkingFundReset({ ...bill, last_paid_date: day }, fund, { amount: transactionAmount, transaction_id: payment?.id })
+        );
+      }
+      await refreshData(["bills", "transactions", ...(fund ? ["goals"] : [])]);
       return;
     }
     if (action === "add_debt_payment" && ev?.sourceId) {
@@ -373,7 +359,7 @@ export default function UnifiedCalendar() {
       await refreshData(["transactions"]);
       return;
     }
-  }, [refreshData]);
+  }, [refreshData, bills, goals]);
 
   return (
     <div className="max-w-7xl mx-auto p-6 space-y-6">
@@ -453,6 +439,8 @@ export default function UnifiedCalendar() {
           )}
         </CardContent>
       </Card>
+
+      <SafeToSpend shifts={shifts} bills={bills} debts={debts} bnplPlans={bnpl} transactions={transactions} />
     </div>
   );
 }
@@ -4,17 +4,18 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/ui/tabs';
 import { ThemedCard, GlassContainer } from '@/ui/enhanced-components';
 import { FloatingElement, GlowEffect } from '@/ui/theme-aware-animations';
-import { Clock, Calculator, Settings, Upload, Plus, Briefcase } from 'lucide-react';
+import { Clock, Calculator, Settings, Upload, Plus, Briefcase, FileSearch, AlertTriangle } from 'lucide-react';
 import { Button } from '@/ui/button';
 import { Badge } from '@/ui/badge';
 import { FocusTrapWrapper } from '@/ui/FocusTrapWrapper';
 
 // Import OPTIMIZED entities with rate limiting
-import { Shift, ShiftRule, invalidateCache } from '@/api/optimizedEntities.js';
+import { Shift, ShiftRule, PaystubReconciliation, invalidateCache } from '@/api/optimizedEntities.js';
 import ShiftForm from '@/shifts/ShiftForm';
 import ShiftList from '@/shifts/ShiftList';
 import ShiftStats from '@/shifts/ShiftStats';
 import PaycheckCalculator from '@/paycheck/PaycheckCalculator';
+import PaystubReconciler from '@/paycheck/PaystubReconciler';
 import ShiftRuleForm from '@/shift-rules/ShiftRuleForm';
 import ShiftRuleList from '@/shift-rules/ShiftRuleList';
 import ShiftRulePreview from '@/shift-rules/ShiftRulePreview';
@@ -28,6 +29,7 @@ export default function WorkHubPage() {
     const [activeTab, setActiveTab] = useState('schedule');
     const [shifts, setShifts] = useState<any[]>([]);
     const [shiftRules, setShiftRules] = useState<any[]>([]);
+    const [reconciliations, setReconciliations] = useState<any[]>([]);
     const [loading, setLoading] = useState({ shifts: true, rules: true });
     const [showShiftForm, setShowShiftForm] = useState<boolean>(false);
     const [showRuleForm, setShowRuleForm] = useState<boolean>(false);
@@ -95,13 +97,29 @@ export default function WorkHubPage() {
         }
     }, [toast]);
 
+    // Paystub reconciliation history (failures are non-blocking)
+    const loadReconciliations = useCallback(async () => {
+        try {
+            const data = await PaystubReconciliation.list('-period_end', 50);
+            setReconciliations(Array.isArray(data) ? data : []);
+        } catch (error) {
+            if (error.status !== 429) {
+                toast({
+                    title: 'Failed to load paystub reconciliations',
+                    description: error.message,
+                    variant: 'destructive'
+                });
+            }
+        }
+    }, [toast]);
+
     // Load data only once on mount
     useEffect(() => {
         if (!initialLoadComplete.current) {
             initialLoadComplete.current = true;
             
             // Load sequentially instead of parallel to reduce load
-            loadShifts().then(() => loadShiftRules());
+            loadShifts().then(() => loadShiftRules()).then(() => loadReconciliations());
         }
     }, []); // Empty deps - only run once
 
@@ -237,6 +255,9 @@ export default function WorkHubPage() {
         setActiveTab('rules');
     };
 
+    const unresolvedPaystubs = reconciliations.filter(r => r.status === 'unresolved');
+    const paystubShortfall = unresolvedPaystubs.reduce((sum, r) => sum + Math.max(0, -(r.difference || 0)), 0);
+
     // Stats calculations
     const stats = {
         totalShifts: shifts.length,
@@ -310,11 +331,26 @@ export default function WorkHubPage() {
                     </header>
                 </GlassContainer>
 
+                {unresolvedPaystubs.length > 0 && (
+                    <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-3 p-4 rounded-lg border border-amber-300 bg-amber-50 text-amber-800">
+                        <div className="flex items-center gap-2">
+                            <AlertTriangle className="h-5 w-5" />
+                            <span>
+                                {unresolvedPaystubs.length} paystub{unresolvedPaystubs.length === 1 ? '' : 's'} with unresolved discrepancies
+                                {paystubShortfall > 0 ? ` (short $${paystubShortfall.toFixed(2)})` : ''}
+                            </span>
+                        </div>
+                        <Button variant="outline" size="sm" onClick={() => setActiveTab('paystubs')}>
+                            Review
+                        </Button>
+                    </div>
+                )}
+
                 {/* Main Content */}
                 <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-8">
                     <GlassContainer className="sticky top-4 z-20 bg-card/95 backdrop-blur-xl">
                         <div className="p-4">
-                            <TabsList className="grid w-full grid-cols-2 lg:grid-cols-4 bg-transparent gap-3 h-auto p-0">
+                            <TabsList className="grid w-full grid-cols-2 lg:grid-cols-5 bg-transparent gap-3 h-auto p-0">
                                 <TabsTrigger
                                     value="schedule"
                                     className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground data-[state=inactive]:bg-white data-[state=inactive]:text-slate-700 data-[state=inactive]:border data-[state=inactive]:border-slate-200 hover:bg-slate-50 hover:border-slate-300 min-h-[44px] font-medium rounded-lg shadow-sm transition-all duration-200"
@@ -329,6 +365,16 @@ export default function WorkHubPage() {
                                     <Calculator className="h-4 w-4 mr-2" />
                                     Calculator
                                 </TabsTrigger>
+                                <TabsTrigger
+                                    value="paystubs"
+                                    className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground data-[state=inactive]:bg-white data-[state=inactive]:text-slate-700 data-[state=inactive]:border data-[state=inactive]:border-slate-200 hover:bg-slate-50 hover:border-slate-300 min-h-[44px] font-medium rounded-lg shadow-sm transition-all duration-200"
+                                >
+                                    <FileSearch className="h-4 w-4 mr-2" />
+                                    Paystubs
+                                    {unresolvedPaystubs.length > 0 && (
+                                        <Badge variant="destructive" className="ml-2">{unresolvedPaystubs.length}</Badge>
+                                    )}
+                                </TabsTrigger>
                                 <TabsTrigger
                                     value="rules"
                                     className="data-[state=active]:bg-primary data-[state=active]:text-primary-foreground data-[state=inactive]:bg-white data-[state=inactive]:text-slate-700 data-[state=inactive]:border data-[state=inactive]:border-slate-200 hover:bg-slate-50 hover:border-slate-300 min-h-[44px] font-medium rounded-lg shadow-sm transition-all duration-200"
@@ -352,7 +398,7 @@ export default function WorkHubPage() {
                         <TabsContent value="schedule" className="mt-0">
                             <FloatingElement>
                                 <ThemedCard elevated className="min-h-[160px]">
-                                    <ShiftStats shifts={shifts} isLoading={loading.shifts} />
+                                    <ShiftStats shifts={shifts} shiftRules={shiftRules} isLoading={loading.shifts} />
                                 </ThemedCard>
                             </FloatingElement>
 
@@ -388,6 +434,7 @@ export default function WorkHubPage() {
                                                 <ShiftForm
                                                     shift={editingShift}
                                                     allShifts={shifts}
+                                                    shiftRules={shiftRules}
                                                     onSubmit={handleShiftSubmit}
                                                     onCancel={() => {
                                                         setShowShiftForm(false);
@@ -411,7 +458,7 @@ export default function WorkHubPage() {
                                             isLoading={loading.shifts}
                                             fallback={<TableLoading rows={8} />}
                                         >
-                                            <ShiftList shifts={shifts} onEdit={handleShiftEdit} onDelete={handleShiftDelete} />
+                                            <ShiftList shifts={shifts} shiftRules={shiftRules} onEdit={handleShiftEdit} onDelete={handleShiftDelete} />
                                         </LoadingWrapper>
                                     </CardContent>
                                 </ThemedCard>
@@ -427,6 +474,19 @@ export default function WorkHubPage() {
                             </FloatingElement>
                         </TabsContent>
 
+                        {/* Paystub Reconciliation Tab */}
+                        <TabsContent value="paystubs" className="mt-0">
+                            <PaystubReconciler
+                                shifts={shifts}
+                                shiftRules={shiftRules}
+                                reconciliations={reconciliations}
+                                onSaved={() => {
+                                    invalidateCache('PaystubReconciliation');
+                                    loadReconciliations();
+                                }}
+                            />
+                        </TabsContent>
+
                         {/* Rules & Settings Tab */}
                         <TabsContent value="rules" className="space-y-8 mt-0">
                             <div className="flex justify-end">
@@ -507,7 +567,14 @@ export default function WorkHubPage() {
                             <FloatingElement>
                                 <ThemedCard elevated className="min-h-[400px]">
                                     <CardContent className="p-6">
-                                        <ShiftImport />
+                                        <ShiftImport
+                                            existingShifts={shifts}
+                                            shiftRules={shiftRules}
+                                            onImported={() => {
+                                                invalidateCache('Shift');
+                                                loadShifts(true);
+                                            }}
+                                        />
                                     </CardContent>
                                 </ThemedCard>
                             </FloatingElement>
@@ -24,8 +24,8 @@ import ForgotPassword from "@/pages/ForgotPassword";
 // Lazy load all other pages with retry logic for better reliability
 const Transactions = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Transactions.jsx")));
 const FileUpload = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/FileUpload.jsx")));
-const BNPL = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/BNPL.jsx")));
-const Shifts = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Shifts.jsx")));
+const BNPL = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/BNPL")));
+const Shifts = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Shifts")));
 const Calendar = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Calendar.jsx")));
 const DebtPlanner = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/DebtPlanner.jsx")));
 const AIAdvisor = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/AIAdvisor.jsx")));
@@ -37,8 +37,8 @@ const Reports = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Reports
 const ShiftRules = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/ShiftRules.jsx")));
 const Agents = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Agents.jsx")));
 const Scanner = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Scanner.jsx")));
-const WorkHub = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/WorkHub.jsx")));
-const DebtControl = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/DebtControl.jsx")));
+const WorkHub = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/WorkHub")));
+const DebtControl = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/DebtControl")));
 const FinancialPlanning = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/FinancialPlanning.jsx")));
 const AIAssistant = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/AIAssistant.jsx")));
 const Settings = React.lazy(() => lazyLoadWithRetry(() => import("@/pages/Settings.jsx")));
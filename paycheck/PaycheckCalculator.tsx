@@ -7,41 +7,49 @@ import { Input } from '@/ui/input';
 import { Label } from '@/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
 import { Calculator, DollarSign, Percent, Loader2 } from 'lucide-react';
-import { PaycheckSettings } from '@/api/entities';
+import { PaycheckSettings, FederalTaxConfig, StateTaxConfig } from '@/api/entities';
 import { useToast } from '@/ui/use-toast';
 import { Switch } from '@/ui/switch';
 import { computeTaxBurden } from "@/api/functions";
 import { logError } from '@/utils/logger';
+import { calculateWithholding, type WithholdingResult } from '@/utils/withholding';
+import { ytdDeferrals } from '@/utils/retirementPlans';
+import RetirementPlansEditor from './RetirementPlansEditor';
 
-// A mock calculation function - replace with a real one if available
-const mockCalculatePaycheck = (settings) => {
-    const grossPay = (settings.hourly_rate * settings.hours_per_week) * 2; // Assuming biweekly
-    const federalTax = grossPay * 0.15;
-    const stateTax = grossPay * 0.05;
-    const socialSecurity = grossPay * 0.062;
-    const medicare = grossPay * 0.0145;
-    const addlMedicare = 0; // ignored in mock for simplicity
-    const totalPayroll = socialSecurity + medicare + addlMedicare;
-    const totalTaxes = federalTax + stateTax + totalPayroll;
-    const totalDeductions = (settings.pre_tax_deductions || 0) + (settings.post_tax_deductions || 0);
-    const netPay = grossPay - totalTaxes - totalDeductions;
-    return {
-        grossPay,
-        netPay,
-        totalTaxes,
-        totalDeductions,
-        taxBreakdown: {
-            federal_income_tax: federalTax,
-            state_income_tax: stateTax,
-            local_income_tax: 0,
-            social_security: socialSecurity,
-            medicare: medicare,
-            additional_medicare: addlMedicare,
-            payroll_total: totalPayroll
-        },
-        standardDeductions: { federal: 0, state: 0 }
-    };
-};
+/**
+ * Map a local withholding result onto the shape the results panel renders
+ */
+const toCalculation = (result: WithholdingResult) => ({
+    grossPay: result.gross_pay,
+    netPay: result.net_pay,
+    totalTaxes: result.total_taxes,
+    totalDeductions: result.total_deductions,
+    preTaxDeductions: result.pre_tax_deductions,
+    retirement: result.retirement,
+    taxBreakdown: {
+        federal_income_tax: result.federal_income_tax,
+        state_income_tax: result.state_income_tax,
+        local_income_tax: 0,
+        social_security: result.social_security,
+        medicare: result.medicare,
+        additional_medicare: result.additional_medicare,
+        payroll_total: result.payroll_total
+    },
+    standardDeductions: result.standard_deductions,
+    sources: result.sources
+});
+
+/**
+ * Per-paycheck dollar inputs that feed the withholding calculation
+ */
+const PER_PAYCHECK_FIELDS = [
+    { key: "retirement_401k", label: "Fixed-dollar 401(k) / 403(b)" },
+    { key: "hsa", label: "HSA (payroll)" },
+    { key: "section_125", label: "Section 125 premiums" },
+    { key: "pre_tax_deductions", label: "Other pre-tax" },
+    { key: "extra_withholding", label: "Extra federal withholding" },
+    { key: "extra_state_withholding", label: "Extra state withholding" },
+];
 
 interface PaycheckCalculatorProps {
   income?: number;
@@ -58,12 +66,18 @@ export default function PaycheckCalculator() {
     const [taxYear, setTaxYear] = useState(new Date().getFullYear());
     const [isComputing, setIsComputing] = useState(false);
     const [showDetails, setShowDetails] = useState(false);
+    const [taxTables, setTaxTables] = useState({ federal: [], state: [] });
 
     useEffect(() => {
         const loadSettings = async () => {
             setIsLoading(true);
             try {
-                const data = await PaycheckSettings.list();
+                const [data, federal, state] = await Promise.all([
+                    PaycheckSettings.list(),
+                    FederalTaxConfig.list().catch(() => []),
+                    StateTaxConfig.list().catch(() => [])
+                ]);
+                setTaxTables({ federal, state });
                 if (data.length > 0) {
                     setSettings(data[0]);
                 } else {
@@ -72,8 +86,16 @@ export default function PaycheckCalculator() {
                         hours_per_week: 40,
                         pay_frequency: "biweekly",
                         filing_status: "single",
+                        tax_state: "",
+                        qualifying_children: 0,
+                        other_dependents: 0,
+                        extra_withholding: 0,
+                        retirement_401k: 0,
+                        hsa: 0,
+                        section_125: 0,
                         pre_tax_deductions: 0,
                         post_tax_deductions: 0,
+                        retirement_plans: [],
                     });
                 }
             } catch (error) {
@@ -113,8 +135,16 @@ export default function PaycheckCalculator() {
         setIsComputing(true);
 
         if (!useZipTaxes) {
-            const result = mockCalculatePaycheck(settings);
-            setCalculation(result);
+            const result = calculateWithholding(grossForFrequency(settings), {
+                ...settings,
+                state: settings.tax_state
+            }, {
+                year: Number(taxYear),
+                federalConfigs: taxTables.federal,
+                stateConfigs: taxTables.state,
+                ytd_retirement: ytdDeferrals(settings.retirement_plans, Number(taxYear))
+            });
+            setCalculation(toCalculation(result));
             setIsComputing(false);
             return;
         }
@@ -263,19 +293,65 @@ export default function PaycheckCalculator() {
                                 </SelectContent>
                             </Select>
                         </div>
-                        <div className="space-y-2">
-                            <Label htmlFor="pre_tax_deductions">Pre-tax Deductions</Label>
-                            <div className="relative">
-                                <DollarSign className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                        <div className="grid grid-cols-2 gap-3">
+                            <div className="space-y-2">
+                                <Label htmlFor="tax_state">State</Label>
+                                <Input
+                                    id="tax_state"
+                                    placeholder="e.g., CA"
+                                    maxLength={2}
+                                    value={settings.tax_state || ""}
+                                    onChange={e => setSettings({...settings, tax_state: e.target.value.toUpperCase()})}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="multiple_jobs">Multiple jobs (W-4 Step 2)</Label>
+                                <div className="h-10 flex items-center">
+                                    <Switch
+                                        id="multiple_jobs"
+                                        checked={!!settings.multiple_jobs}
+                                        onCheckedChange={checked => setSettings({...settings, multiple_jobs: checked})}
+                                    />
+                                </div>
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="qualifying_children">Children under 17</Label>
                                 <Input
-                                    id="pre_tax_deductions"
+                                    id="qualifying_children"
                                     type="number"
-                                    value={settings.pre_tax_deductions}
-                                    onChange={e => setSettings({...settings, pre_tax_deductions: parseFloat(e.target.value) || 0})}
-                                    className="pl-10"
+                                    min={0}
+                                    value={settings.qualifying_children || 0}
+                                    onChange={e => setSettings({...settings, qualifying_children: parseInt(e.target.value, 10) || 0})}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="other_dependents">Other dependents</Label>
+                                <Input
+                                    id="other_dependents"
+                                    type="number"
+                                    min={0}
+                                    value={settings.other_dependents || 0}
+                                    onChange={e => setSettings({...settings, other_dependents: parseInt(e.target.value, 10) || 0})}
                                 />
                             </div>
                         </div>
+                        <div className="grid grid-cols-2 gap-3">
+                            {PER_PAYCHECK_FIELDS.map(field => (
+                                <div key={field.key} className="space-y-2">
+                                    <Label htmlFor={field.key}>{field.label}</Label>
+                                    <div className="relative">
+                                        <DollarSign className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+                                        <Input
+                                            id={field.key}
+                                            type="number"
+                                            value={settings[field.key] || 0}
+                                            onChange={e => setSettings({...settings, [field.key]: parseFloat(e.target.value) || 0})}
+                                            className="pl-10"
+                                        />
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
                         <div className="space-y-2">
                             <Label htmlFor="post_tax_deductions">Post-tax Deductions</Label>
                             <div className="relative">
@@ -289,6 +365,15 @@ export default function PaycheckCalculator() {
                                 />
                             </div>
                         </div>
+                        <div className="space-y-3 pt-2 border-t border-border">
+                            <h3 className="font-semibold text-foreground">Retirement Plans</h3>
+                            <RetirementPlansEditor
+                                plans={settings.retirement_plans || []}
+                                birthDate={settings.birth_date || ""}
+                                onChange={plans => setSettings(prev => ({...prev, retirement_plans: plans}))}
+                                onBirthDateChange={birthDate => setSettings(prev => ({...prev, birth_date: birthDate}))}
+                            />
+                        </div>
                         <div className="space-y-2">
                             <Label htmlFor="useZip">Use zip-aware official tax rates</Label>
                             <div className="flex items-center gap-3">
@@ -306,7 +391,6 @@ export default function PaycheckCalculator() {
                                     type="number"
                                     value={taxYear}
                                     onChange={(e: React.ChangeEvent<HTMLInputElement>) => setTaxYear(e.target.value)}
-                                    disabled={!useZipTaxes}
                                     className="max-w-[100px]"
                                 />
                             </div>
@@ -337,6 +421,20 @@ export default function PaycheckCalculator() {
                                         <span className="font-semibold">Net Pay (Take-Home)</span>
                                         <span className="font-bold text-xl">${calculation.netPay.toFixed(2)}</span>
                                     </div>
+                                    {calculation.retirement?.length > 0 && (
+                                        <ul className="text-sm space-y-1 p-2">
+                                            {calculation.retirement.map(plan => (
+                                                <li key={plan.plan_id} className="flex justify-between gap-3">
+                                                    <span className="text-muted-foreground">
+                                                        {plan.name}: ${(plan.pre_tax + plan.roth).toFixed(2)} deferred
+                                                        {plan.roth > 0 ? ` ($${plan.roth.toFixed(2)} Roth)` : ""}
+                                                        {plan.limited ? ", capped at the annual limit" : ""}
+                                                    </span>
+                                                    <span className="font-medium text-emerald-600 dark:text-emerald-400">+${plan.employer.toFixed(2)} employer</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
                                 </div>
 
                                 {/* Detailed breakdown toggle */}
@@ -380,6 +478,21 @@ export default function PaycheckCalculator() {
                                             </li>
                                         </ul>
 
+                                        {calculation.preTaxDeductions?.total > 0 && (
+                                            <ul className="text-sm space-y-1 mt-3 pt-3 border-t border-border/60">
+                                                <li className="flex justify-between"><span>Retirement (pre-tax)</span><span>${calculation.preTaxDeductions.retirement_401k.toFixed(2)}</span></li>
+                                                <li className="flex justify-between"><span>HSA</span><span>${calculation.preTaxDeductions.hsa.toFixed(2)}</span></li>
+                                                <li className="flex justify-between"><span>Section 125</span><span>${calculation.preTaxDeductions.section_125.toFixed(2)}</span></li>
+                                                <li className="flex justify-between"><span>Other pre-tax</span><span>${calculation.preTaxDeductions.other.toFixed(2)}</span></li>
+                                            </ul>
+                                        )}
+
+                                        {calculation.sources?.state === "estimate" && (
+                                            <p className="mt-3 text-xs text-amber-600">
+                                                No state tax table found for {settings.tax_state}; state tax is a flat 5% estimate.
+                                            </p>
+                                        )}
+
                                         {/* Standard deductions info (annual) */}
                                         {(calculation.standardDeductions?.federal || calculation.standardDeductions?.state) && (
                                             <div className="mt-3 text-xs text-muted-foreground">
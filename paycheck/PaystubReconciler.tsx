@@ -0,0 +1,476 @@
+/**
+ * @fileoverview Paystub reconciler
+ * @description Enter or scan an actual paystub, compare it line by line with the pay
+ * expected from that period's shifts and rules, and keep a history of discrepancies
+ * until they are resolved with payroll.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Badge } from '@/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { useToast } from '@/ui/use-toast';
+import { AlertTriangle, CheckCircle2, FileSearch, Loader2, Plus, Trash2, Upload } from 'lucide-react';
+import { format, subDays } from 'date-fns';
+import { UploadFile, ExtractDataFromUploadedFile } from '@/api/integrations';
+import { Notification, PaycheckSettings, FederalTaxConfig, StateTaxConfig } from '@/api/entities';
+import { PaystubReconciliation } from '@/api/optimizedEntities.js';
+import { formatCurrency } from '@/utils/calculations';
+import { logError } from '@/utils/logger';
+import { employerName, type PayShift, type PayShiftRule } from '@/utils/payEngine';
+import type { WithholdingOptions, WithholdingProfile } from '@/utils/withholding';
+import {
+    classifyEarning,
+    paystubShortfall,
+    reconcilePaystub,
+    type Paystub,
+    type PaystubDiscrepancy,
+    type PaystubEarning,
+    type PaystubTaxes,
+    type ReconciliationResult,
+} from '@/utils/paystubReconciliation';
+
+/**
+ * Saved reconciliation record
+ */
+export interface ReconciliationRecord {
+    id: string;
+    period_start: string;
+    period_end: string;
+    pay_date?: string;
+    employer?: string;
+    expected_gross: number;
+    actual_gross: number;
+    difference: number;
+    discrepancies: PaystubDiscrepancy[];
+    status: 'matched' | 'unresolved' | 'resolved';
+}
+
+/**
+ * Component props
+ */
+interface PaystubReconcilerProps {
+    shifts: PayShift[];
+    shiftRules: PayShiftRule[];
+    reconciliations: ReconciliationRecord[];
+    onSaved: () => void;
+}
+
+const EARNING_CATEGORIES: Array<{ value: PaystubEarning['category']; label: string }> = [
+    { value: 'regular', label: 'Regular' },
+    { value: 'overtime', label: 'Overtime' },
+    { value: 'double_time', label: 'Double time' },
+    { value: 'differential', label: 'Differential' },
+    { value: 'on_call', label: 'On-call' },
+    { value: 'callback', label: 'Callback' },
+    { value: 'other', label: 'Other' },
+];
+
+const TAX_FIELDS: Array<{ key: keyof PaystubTaxes; label: string }> = [
+    { key: 'federal_income_tax', label: 'Federal income tax' },
+    { key: 'state_income_tax', label: 'State income tax' },
+    { key: 'social_security', label: 'Social Security' },
+    { key: 'medicare', label: 'Medicare' },
+];
+
+const SCAN_SCHEMA = {
+    type: 'object',
+    properties: {
+        employer: { type: 'string' },
+        period_start: { type: 'string' },
+        period_end: { type: 'string' },
+        pay_date: { type: 'string' },
+        gross_pay: { type: 'number' },
+        net_pay: { type: 'number' },
+        federal_income_tax: { type: 'number' },
+        state_income_tax: { type: 'number' },
+        social_security: { type: 'number' },
+        medicare: { type: 'number' },
+        earnings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    description: { type: 'string' },
+                    hours: { type: 'number' },
+                    rate: { type: 'number' },
+                    amount: { type: 'number' },
+                },
+            },
+        },
+    },
+};
+
+const toNumber = (value: unknown): number =>
+    typeof value === 'number' ? value : Number(String(value ?? '').replace(/[^0-9.-]/g, '')) || 0;
+
+const toDateInput = (value: unknown, fallback: string): string => {
+    const date = value ? new Date(String(value)) : null;
+    return date && !isNaN(date.getTime()) ? format(date, 'yyyy-MM-dd') : fallback;
+};
+
+const emptyPaystub = (): Paystub => ({
+    period_start: format(subDays(new Date(), 14), 'yyyy-MM-dd'),
+    period_end: format(subDays(new Date(), 1), 'yyyy-MM-dd'),
+    employer: '',
+    gross_pay: 0,
+    earnings: [{ category: 'regular', label: 'Regular', hours: 0, amount: 0 }],
+    taxes: {},
+});
+
+const formatDiscrepancyValue = (d: PaystubDiscrepancy, value: number): string =>
+    d.unit === 'hours' ? `${value.toFixed(2)}h` : formatCurrency(value);
+
+/**
+ * Paystub reconciliation panel
+ */
+const PaystubReconciler: React.FC<PaystubReconcilerProps> = ({ shifts, shiftRules, reconciliations, onSaved }) => {
+    const { toast } = useToast();
+    const [paystub, setPaystub] = useState<Paystub>(emptyPaystub);
+    const [fileUrl, setFileUrl] = useState('');
+    const [scanning, setScanning] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [result, setResult] = useState<ReconciliationResult | null>(null);
+    const [withholding, setWithholding] = useState<{ profile?: WithholdingProfile; options: WithholdingOptions }>({ options: {} });
+
+    useEffect(() => {
+        const loadTaxSetup = async (): Promise<void> => {
+            try {
+                const [settings, federal, state] = await Promise.all([
+                    PaycheckSettings.list(),
+                    FederalTaxConfig.list().catch(() => []),
+                    StateTaxConfig.list().catch(() => []),
+                ]);
+                const current = settings?.[0];
+                setWithholding({
+                    profile: current ? { ...current, state: current.tax_state } : undefined,
+                    options: { federalConfigs: federal, stateConfigs: state },
+                });
+            } catch (error) {
+                logError('Failed to load paycheck settings for reconciliation', error);
+            }
+        };
+        loadTaxSetup();
+    }, []);
+
+    const employers = useMemo(
+        () => Array.from(new Set((shiftRules || []).map(rule => employerName(rule)))),
+        [shiftRules]
+    );
+
+    const unresolved = useMemo(
+        () => (reconciliations || []).filter(r => r.status === 'unresolved'),
+        [reconciliations]
+    );
+
+    const update = (patch: Partial<Paystub>): void => {
+        setPaystub(prev => ({ ...prev, ...patch }));
+        setResult(null);
+    };
+
+    const updateEarning = (index: number, patch: Partial<PaystubEarning>): void => {
+        update({ earnings: paystub.earnings.map((e, i) => (i === index ? { ...e, ...patch } : e)) });
+    };
+
+    const updateTax = (key: keyof PaystubTaxes, value: string): void => {
+        update({ taxes: { ...paystub.taxes, [key]: value === '' ? undefined : toNumber(value) } });
+    };
+
+    const handleScan = async (event: React.ChangeEvent<HTMLInputElement>): Promise<void> => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        setScanning(true);
+        try {
+            const { file_url } = await UploadFile({ file });
+            setFileUrl(file_url || '');
+            const res = await ExtractDataFromUploadedFile({ file_url, json_schema: SCAN_SCHEMA });
+            if (res.status !== 'success' || !res.output) {
+                toast({ title: 'Could not read paystub', description: res.details || 'Enter the lines manually.', variant: 'destructive' });
+                return;
+            }
+            const out = Array.isArray(res.output) ? res.output[0] : res.output;
+            const defaults = emptyPaystub();
+            update({
+                employer: out.employer || '',
+                period_start: toDateInput(out.period_start, defaults.period_start),
+                period_end: toDateInput(out.period_end, defaults.period_end),
+                pay_date: out.pay_date ? toDateInput(out.pay_date, '') : undefined,
+                gross_pay: toNumber(out.gross_pay),
+                net_pay: out.net_pay === undefined ? undefined : toNumber(out.net_pay),
+                earnings: (out.earnings || []).map((e: Record<string, unknown>) => ({
+                    category: classifyEarning(String(e.description || '')),
+                    label: String(e.description || ''),
+                    hours: toNumber(e.hours),
+                    rate: toNumber(e.rate),
+                    amount: toNumber(e.amount),
+                })),
+                taxes: {
+                    federal_income_tax: out.federal_income_tax,
+                    state_income_tax: out.state_income_tax,
+                    social_security: out.social_security,
+                    medicare: out.medicare,
+                },
+            });
+            toast({ title: 'Paystub scanned', description: 'Check the extracted lines, then reconcile.' });
+        } catch (error) {
+            logError('Paystub scan failed', error);
+            toast({ title: 'Upload failed', description: 'Please try again.', variant: 'destructive' });
+        } finally {
+            setScanning(false);
+        }
+    };
+
+    const handleReconcile = (): void => {
+        setResult(reconcilePaystub(paystub, shifts, shiftRules, {
+            withholding: withholding.profile,
+            withholdingOptions: withholding.options,
+        }));
+    };
+
+    const notifyDiscrepancies = async (record: ReconciliationResult): Promise<void> => {
+        const uniqueKey = `paystub:${record.employer || 'all'}:${record.period_start}:${record.period_end}`;
+        const existing = await Notification.filter({ unique_key: uniqueKey });
+        if (existing && existing.length > 0) return;
+        const shortfall = paystubShortfall(record.discrepancies);
+        await Notification.create({
+            title: 'Paystub discrepancy',
+            message: `${record.discrepancies.length} line(s) did not match for ${record.period_start} – ${record.period_end}`
+                + (shortfall > 0 ? `; short ${formatCurrency(shortfall)}.` : '.'),
+            type: 'warning',
+            link_url: '/WorkHub',
+            unique_key: uniqueKey,
+        });
+    };
+
+    const handleSave = async (): Promise<void> => {
+        if (!result || result.status === 'no_shifts') return;
+        setSaving(true);
+        try {
+            await PaystubReconciliation.create({
+                period_start: result.period_start,
+                period_end: result.period_end,
+                pay_date: paystub.pay_date,
+                employer: result.employer || undefined,
+                file_url: fileUrl || undefined,
+                paystub: paystub as unknown as Record<string, unknown>,
+                expected_gross: result.expected_gross,
+                actual_gross: result.actual_gross,
+                difference: result.difference,
+                discrepancies: result.discrepancies,
+                status: result.status,
+            });
+            if (result.status === 'unresolved') {
+                await notifyDiscrepancies(result);
+            }
+            toast({ title: 'Reconciliation saved' });
+            setPaystub(emptyPaystub());
+            setFileUrl('');
+            setResult(null);
+            onSaved();
+        } catch (error) {
+            logError('Failed to save reconciliation', error);
+            toast({ title: 'Failed to save reconciliation', variant: 'destructive' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleResolve = async (record: ReconciliationRecord): Promise<void> => {
+        try {
+            await PaystubReconciliation.update(record.id, { status: 'resolved', resolved_at: new Date().toISOString() });
+            onSaved();
+        } catch (error) {
+            logError('Failed to resolve reconciliation', error);
+            toast({ title: 'Failed to update reconciliation', variant: 'destructive' });
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader className="flex flex-row items-center justify-between">
+                    <CardTitle className="flex items-center gap-2">
+                        <FileSearch className="h-5 w-5 text-primary" />
+                        Reconcile a Paystub
+                    </CardTitle>
+                    <label className="inline-flex items-center gap-2 text-sm cursor-pointer text-primary">
+                        {scanning ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+                        Scan paystub
+                        <input type="file" accept="image/*,application/pdf" className="hidden" onChange={handleScan} disabled={scanning} />
+                    </label>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="period_start">Period start</Label>
+                            <Input id="period_start" type="date" value={paystub.period_start} onChange={e => update({ period_start: e.target.value })} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="period_end">Period end</Label>
+                            <Input id="period_end" type="date" value={paystub.period_end} onChange={e => update({ period_end: e.target.value })} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="employer">Employer</Label>
+                            <Input
+                                id="employer"
+                                list="paystub-employers"
+                                value={paystub.employer || ''}
+                                onChange={e => update({ employer: e.target.value })}
+                                placeholder="All employers"
+                            />
+                            <datalist id="paystub-employers">
+                                {employers.map(name => <option key={name} value={name} />)}
+                            </datalist>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="gross_pay">Gross pay</Label>
+                            <Input id="gross_pay" type="number" step="0.01" value={paystub.gross_pay || ''} onChange={e => update({ gross_pay: toNumber(e.target.value) })} />
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <Label>Earnings</Label>
+                        {paystub.earnings.map((earning, index) => (
+                            <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                                <div className="col-span-3">
+                                    <Select value={earning.category} onValueChange={value => updateEarning(index, { category: value as PaystubEarning['category'] })}>
+                                        <SelectTrigger><SelectValue /></SelectTrigger>
+                                        <SelectContent>
+                                            {EARNING_CATEGORIES.map(c => <SelectItem key={c.value} value={c.value}>{c.label}</SelectItem>)}
+                                        </SelectContent>
+                                    </Select>
+                                </div>
+                                <Input className="col-span-4" placeholder="Description (e.g., Night Diff)" value={earning.label} onChange={e => updateEarning(index, { label: e.target.value })} />
+                                <Input className="col-span-2" type="number" step="0.01" placeholder="Hours" value={earning.hours || ''} onChange={e => updateEarning(index, { hours: toNumber(e.target.value) })} />
+                                <Input className="col-span-2" type="number" step="0.01" placeholder="Amount" value={earning.amount || ''} onChange={e => updateEarning(index, { amount: toNumber(e.target.value) })} />
+                                <Button
+                                    type="button"
+                                    variant="ghost"
+                                    size="icon"
+                                    aria-label="Remove earnings line"
+                                    onClick={() => update({ earnings: paystub.earnings.filter((_, i) => i !== index) })}
+                                >
+                                    <Trash2 className="h-4 w-4" />
+                                </Button>
+                            </div>
+                        ))}
+                        <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            onClick={() => update({ earnings: [...paystub.earnings, { category: 'differential', label: '', hours: 0, amount: 0 }] })}
+                        >
+                            <Plus className="h-4 w-4 mr-2" /> Add line
+                        </Button>
+                    </div>
+
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {TAX_FIELDS.map(field => (
+                            <div key={field.key} className="space-y-2">
+                                <Label htmlFor={field.key}>{field.label}</Label>
+                                <Input
+                                    id={field.key}
+                                    type="number"
+                                    step="0.01"
+                                    value={paystub.taxes?.[field.key] ?? ''}
+                                    onChange={e => updateTax(field.key, e.target.value)}
+                                />
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="flex gap-3">
+                        <Button onClick={handleReconcile} className="flex-1">Reconcile</Button>
+                        <Button onClick={handleSave} variant="outline" className="flex-1" disabled={!result || result.status === 'no_shifts' || saving}>
+                            {saving && <Loader2 className="h-4 w-4 animate-spin mr-2" />}
+                            Save to History
+                        </Button>
+                    </div>
+
+                    {result && (
+                        <div className="space-y-3 border-t border-border pt-4">
+                            <div className="flex flex-wrap items-center justify-between gap-2">
+                                <div className="text-sm text-muted-foreground">
+                                    {result.shift_ids.length} shift(s) · expected {formatCurrency(result.expected_gross)} · paid {formatCurrency(result.actual_gross)}
+                                </div>
+                                {result.status === 'no_shifts' ? (
+                                    <Badge variant="secondary">No shifts for {result.employer} in this period</Badge>
+                                ) : result.status === 'matched' ? (
+                                    <Badge className="bg-emerald-100 text-emerald-700"><CheckCircle2 className="h-3 w-3 mr-1" /> Matches expected pay</Badge>
+                                ) : (
+                                    <Badge variant="destructive"><AlertTriangle className="h-3 w-3 mr-1" /> {result.discrepancies.length} discrepancies</Badge>
+                                )}
+                            </div>
+                            {result.discrepancies.length > 0 && (
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-muted-foreground">
+                                            <th className="py-1">Line</th>
+                                            <th className="py-1 text-right">Expected</th>
+                                            <th className="py-1 text-right">On stub</th>
+                                            <th className="py-1 text-right">Difference</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.discrepancies.map(d => (
+                                            <tr key={`${d.kind}-${d.label}`} className="border-t border-border/60">
+                                                <td className="py-1">{d.label}</td>
+                                                <td className="py-1 text-right">{formatDiscrepancyValue(d, d.expected)}</td>
+                                                <td className="py-1 text-right">{formatDiscrepancyValue(d, d.actual)}</td>
+                                                <td className={`py-1 text-right font-medium ${d.difference < 0 ? 'text-destructive' : 'text-emerald-600'}`}>
+                                                    {formatDiscrepancyValue(d, d.difference)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        Reconciliation History
+                        {unresolved.length > 0 && <Badge variant="destructive">{unresolved.length} unresolved</Badge>}
+                    </CardTitle>
+                </CardHeader>
+                <CardContent>
+                    {(reconciliations || []).length === 0 ? (
+                        <p className="text-sm text-muted-foreground">No paystubs reconciled yet.</p>
+                    ) : (
+                        <ul className="divide-y divide-border">
+                            {reconciliations.map(record => (
+                                <li key={record.id} className="py-3 flex items-center justify-between gap-4">
+                                    <div>
+                                        <div className="font-medium">
+                                            {record.period_start} – {record.period_end}
+                                            {record.employer ? ` · ${record.employer}` : ''}
+                                        </div>
+                                        <div className="text-xs text-muted-foreground">
+                                            Expected {formatCurrency(record.expected_gross)} · paid {formatCurrency(record.actual_gross)}
+                                            {record.discrepancies?.length ? ` · ${record.discrepancies.map(d => d.label).join(', ')}` : ''}
+                                        </div>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <Badge variant={record.status === 'unresolved' ? 'destructive' : 'secondary'}>{record.status}</Badge>
+                                        {record.status === 'unresolved' && (
+                                            <Button size="sm" variant="outline" onClick={() => handleResolve(record)}>Mark resolved</Button>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </CardContent>
+            </Card>
+        </div>
+    );
+};
+
+export default React.memo(PaystubReconciler);
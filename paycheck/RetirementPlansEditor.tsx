@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Retirement plan settings for the paycheck calculator
+ * @description Edits the 401(k), 403(b) and 457(b) plans saved on PaycheckSettings:
+ * percent of pay deferred and how much of it is Roth, the employer match formula,
+ * vesting, current balances and what has been deferred so far this year.
+ * Birth date sets the catch-up limit.
+ */
+
+import React from 'react';
+import { Button } from '@/ui/button';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Plus, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { formatCurrency } from '@/utils/calculations';
+import {
+    ageAtYearEnd,
+    annualDeferralLimit,
+    PLAN_TYPE_LABELS,
+    vestedPercent,
+    type MatchTier,
+    type RetirementPlan,
+    type RetirementPlanType,
+    type VestingType,
+} from '@/utils/retirementPlans';
+
+interface RetirementPlansEditorProps {
+    plans: RetirementPlan[];
+    birthDate: string;
+    onChange: (plans: RetirementPlan[]) => void;
+    onBirthDateChange: (birthDate: string) => void;
+}
+
+let planCounter = 0;
+const newPlanId = (): string => `plan-${Date.now().toString(36)}-${(planCounter++).toString(36)}`;
+
+const number = (value: string): number => parseFloat(value) || 0;
+
+/**
+ * Plan list editor
+ * @param {RetirementPlansEditorProps} props - Saved plans, birth date and change handlers
+ * @returns {React.ReactElement} One block per plan plus an add button
+ */
+function RetirementPlansEditor({ plans, birthDate, onChange, onBirthDateChange }: RetirementPlansEditorProps): React.ReactElement {
+    const year = new Date().getFullYear();
+    const limit = annualDeferralLimit(year, ageAtYearEnd(birthDate, year));
+
+    const update = (id: string, changes: Partial<RetirementPlan>) =>
+        onChange(plans.map(plan => (plan.id === id ? { ...plan, ...changes } : plan)));
+
+    const updateTier = (plan: RetirementPlan, index: number, changes: Partial<MatchTier>) =>
+        update(plan.id, {
+            match_tiers: (plan.match_tiers || []).map((tier, i) => (i === index ? { ...tier, ...changes } : tier)),
+        });
+
+    const addPlan = () =>
+        onChange([
+            ...plans,
+            {
+                id: newPlanId(),
+                plan_type: '403b',
+                contribution_percent: 5,
+                roth_percent: 0,
+                match_tiers: [{ match_percent: 100, pay_percent: 3 }, { match_percent: 50, pay_percent: 2 }],
+                vesting_type: 'immediate',
+            },
+        ]);
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-end justify-between gap-3">
+                <div className="space-y-2">
+                    <Label htmlFor="birth_date">Birth date (for catch-up limits)</Label>
+                    <Input id="birth_date" type="date" value={birthDate} onChange={e => onBirthDateChange(e.target.value)} />
+                </div>
+                <p className="text-xs text-muted-foreground text-right">
+                    {year} deferral limit: <span className="font-medium">{formatCurrency(limit)}</span>
+                    <br />401(k) and 403(b) share it; a 457(b) has its own
+                </p>
+            </div>
+
+            {plans.map(plan => (
+                <div key={plan.id} className="space-y-3 rounded-md border border-border p-3">
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-2">
+                            <Label htmlFor={`${plan.id}-name`}>Plan name</Label>
+                            <Input
+                                id={`${plan.id}-name`}
+                                placeholder={PLAN_TYPE_LABELS[plan.plan_type]}
+                                value={plan.name || ''}
+                                onChange={e => update(plan.id, { name: e.target.value })}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label>Plan type</Label>
+                            <Select value={plan.plan_type} onValueChange={value => update(plan.id, { plan_type: value as RetirementPlanType })}>
+                                <SelectTrigger><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {(Object.keys(PLAN_TYPE_LABELS) as RetirementPlanType[]).map(type => (
+                                        <SelectItem key={type} value={type}>{PLAN_TYPE_LABELS[type]}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor={`${plan.id}-percent`}>Contribution (% of pay)</Label>
+                            <Input
+                                id={`${plan.id}-percent`}
+                                type="number"
+                                min={0}
+                                max={100}
+                                step="0.5"
+                                value={plan.contribution_percent}
+                                onChange={e => update(plan.id, { contribution_percent: number(e.target.value) })}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor={`${plan.id}-roth`}>Roth share (% of contribution)</Label>
+                            <Input
+                                id={`${plan.id}-roth`}
+                                type="number"
+                                min={0}
+                                max={100}
+                                value={plan.roth_percent ?? 0}
+                                onChange={e => update(plan.id, { roth_percent: number(e.target.value) })}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <Label>Employer match</Label>
+                        {(plan.match_tiers || []).map((tier, index) => (
+                            <div key={index} className="flex items-center gap-2 text-sm">
+                                <Input
+                                    type="number"
+                                    className="w-20"
+                                    aria-label="Match percent"
+                                    value={tier.match_percent}
+                                    onChange={e => updateTier(plan, index, { match_percent: number(e.target.value) })}
+                                />
+                                <span>% of the {index === 0 ? 'first' : 'next'}</span>
+                                <Input
+                                    type="number"
+                                    className="w-20"
+                                    aria-label="Percent of pay"
+                                    value={tier.pay_percent}
+                                    onChange={e => updateTier(plan, index, { pay_percent: number(e.target.value) })}
+                                />
+                                <span>% of pay</span>
+                                <Button
+                                    variant="ghost"
+                                    size="icon"
+                                    aria-label="Remove tier"
+                                    onClick={() => update(plan.id, { match_tiers: (plan.match_tiers || []).filter((_, i) => i !== index) })}
+                                >
+                                    <Trash2 className="h-4 w-4" />
+                                </Button>
+                            </div>
+                        ))}
+                        <div className="flex items-center gap-3">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => update(plan.id, {
+                                    match_tiers: [...(plan.match_tiers || []), { match_percent: 50, pay_percent: 2 }],
+                                })}
+                            >
+                                <Plus className="h-4 w-4 mr-1" /> Add tier
+                            </Button>
+                            <Label htmlFor={`${plan.id}-nonelective`} className="text-sm font-normal">Plus % of pay regardless</Label>
+                            <Input
+                                id={`${plan.id}-nonelective`}
+                                type="number"
+                                className="w-20"
+                                value={plan.nonelective_percent ?? 0}
+                                onChange={e => update(plan.id, { nonelective_percent: number(e.target.value) })}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div className="space-y-2">
+                            <Label>Vesting</Label>
+                            <Select
+                                value={plan.vesting_type || 'immediate'}
+                                onValueChange={value => update(plan.id, { vesting_type: value as VestingType })}
+                            >
+                                <SelectTrigger><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value="immediate">Immediate</SelectItem>
+                                    <SelectItem value="cliff">Cliff</SelectItem>
+                                    <SelectItem value="graded">Graded</SelectItem>
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        {plan.vesting_type && plan.vesting_type !== 'immediate' && (
+                            <div className="space-y-2">
+                                <Label htmlFor={`${plan.id}-hire`}>Hire date</Label>
+                                <Input
+                                    id={`${plan.id}-hire`}
+                                    type="date"
+                                    value={plan.hire_date || ''}
+                                    onChange={e => update(plan.id, { hire_date: e.target.value })}
+                                />
+                            </div>
+                        )}
+                        {plan.vesting_type && plan.vesting_type !== 'immediate' && (
+                            <div className="space-y-2">
+                                <Label htmlFor={`${plan.id}-years`}>Years to fully vest</Label>
+                                <Input
+                                    id={`${plan.id}-years`}
+                                    type="number"
+                                    min={1}
+                                    value={plan.vesting_years ?? (plan.vesting_type === 'cliff' ? 3 : 6)}
+                                    onChange={e => update(plan.id, { vesting_years: number(e.target.value) })}
+                                />
+                            </div>
+                        )}
+                        {plan.vesting_type === 'graded' && (
+                            <div className="space-y-2">
+                                <Label htmlFor={`${plan.id}-schedule`}>Vested % by year (optional)</Label>
+                                <Input
+                                    id={`${plan.id}-schedule`}
+                                    key={(plan.vesting_schedule || []).join(',')}
+                                    placeholder="0, 20, 40, 60, 80, 100"
+                                    defaultValue={(plan.vesting_schedule || []).join(', ')}
+                                    onBlur={e => update(plan.id, {
+                                        vesting_schedule: e.target.value.split(',').map(v => v.trim()).filter(Boolean).map(number),
+                                    })}
+                                />
+                            </div>
+                        )}
+                        <div className="space-y-2">
+                            <Label htmlFor={`${plan.id}-balance`}>Your balance</Label>
+                            <Input
+                                id={`${plan.id}-balance`}
+                                type="number"
+                                value={plan.balance ?? 0}
+                                onChange={e => update(plan.id, { balance: number(e.target.value) })}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor={`${plan.id}-employer-balance`}>Employer balance</Label>
+                            <Input
+                                id={`${plan.id}-employer-balance`}
+                                type="number"
+                                value={plan.employer_balance ?? 0}
+                                onChange={e => update(plan.id, { employer_balance: number(e.target.value) })}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor={`${plan.id}-ytd`}>Deferred so far in {year}</Label>
+                            <Input
+                                id={`${plan.id}-ytd`}
+                                type="number"
+                                min={0}
+                                value={plan.ytd_as_of?.startsWith(String(year)) ? plan.ytd_contributions ?? 0 : 0}
+                                onChange={e => update(plan.id, {
+                                    ytd_contributions: number(e.target.value),
+                                    ytd_as_of: format(new Date(), 'yyyy-MM-dd'),
+                                })}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="flex items-center justify-between text-xs text-muted-foreground">
+                        <span>{vestedPercent(plan)}% of employer money vested today</span>
+                        <Button variant="ghost" size="sm" onClick={() => onChange(plans.filter(p => p.id !== plan.id))}>
+                            <Trash2 className="h-4 w-4 mr-1" /> Remove plan
+                        </Button>
+                    </div>
+                </div>
+            ))}
+
+            <Button variant="outline" className="w-full" onClick={addPlan}>
+                <Plus className="h-4 w-4 mr-2" /> Add Retirement Plan
+            </Button>
+        </div>
+    );
+}
+
+export default React.memo(RetirementPlansEditor);
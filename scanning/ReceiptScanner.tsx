@@ -7,15 +7,16 @@ import { Input } from "@/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/ui/select";
 import { Switch } from "@/ui/switch";
 import { Separator } from "@/ui/separator";
-import { Upload, Loader2, CheckCircle2, AlertCircle, FileText } from "lucide-react";
+import { Upload, Loader2, CheckCircle2, AlertCircle, FileText, Plus, Split, X } from "lucide-react";
 import { useToast } from "@/ui/use-toast";
 import { UploadFile, ExtractDataFromUploadedFile } from "@/api/integrations";
 import { Transaction } from "@/api/entities";
 import { Bill } from "@/api/entities";
 import { format } from "date-fns";
+import { primarySplitCategory, proposeSplits, validateSplits } from "@/utils/splitTransactions";
 
 const CATEGORY_OPTIONS = [
-  "food_dining","groceries","transportation","shopping","entertainment","bills_utilities","healthcare","education","travel","housing","insurance","investments","other_expense"
+  "food_dining","groceries","household","pharmacy","transportation","shopping","entertainment","bills_utilities","healthcare","education","travel","housing","insurance","investments","other_expense"
 ];
 const ACCOUNT_OPTIONS = ["checking","savings","credit_card","cash","investment"];
 const BILL_CATEGORIES = ["housing","utilities","insurance","telecommunications","subscriptions","loans","credit_cards","other"];
@@ -43,6 +44,9 @@ function ReceiptScanner({ refreshData }: ReceiptScannerProps) {
     notes: "",
   });
 
+  // Category lines when the receipt spans several categories; empty when not split
+  const [splits, setSplits] = React.useState([]);
+
   const [billForm, setBillForm] = React.useState({
     name: "",
     amount: "",
@@ -83,6 +87,17 @@ function ReceiptScanner({ refreshData }: ReceiptScannerProps) {
           date: { type: "string" },
           category: { type: "string" },
           is_recurring_bill: { type: "boolean" },
+          line_items: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                description: { type: "string" },
+                amount: { type: "number" },
+                category: { type: "string", enum: CATEGORY_OPTIONS }
+              }
+            }
+          },
           items: {
             type: "array",
             items: {
@@ -132,6 +147,11 @@ function ReceiptScanner({ refreshData }: ReceiptScannerProps) {
         date: parsedDate
       }));
 
+      // Line items spanning more than one category become a proposed split
+      const lineItems = first.line_items || output?.line_items || [];
+      const proposed = proposeSplits(lineItems, parsedAmount, mappedCategory, CATEGORY_OPTIONS);
+      setSplits(proposed.length > 1 ? proposed.map(l => ({ ...l, amount: String(l.amount) })) : []);
+
       setBillForm((s) => ({
         ...s,
         name: first.merchant || "Subscription",
@@ -157,10 +177,20 @@ function ReceiptScanner({ refreshData }: ReceiptScannerProps) {
       toast({ title: "Missing fields", description: "Please review the form.", variant: "destructive" });
       return;
     }
+    let splitLines;
+    if (splits.length) {
+      const check = validateSplits(amt, splits);
+      if (!check.valid) {
+        toast({ title: "Split doesn't add up", description: check.errors[0], variant: "destructive" });
+        return;
+      }
+      splitLines = splits.map(l => ({ category: l.category, amount: Number(l.amount) }));
+    }
     await Transaction.create({
       title: txForm.title,
       amount: amt,
-      category: txForm.category,
+      category: splitLines ? primarySplitCategory(splitLines) : txForm.category,
+      splits: splitLines,
       type: "expense",
       date: txForm.date,
       account: txForm.account,
@@ -168,9 +198,21 @@ function ReceiptScanner({ refreshData }: ReceiptScannerProps) {
       receipt_url: fileUrl || undefined
     });
     toast({ title: "Transaction saved", description: txForm.title, variant: "success" });
+    setSplits([]);
     if (refreshData) await refreshData(["transactions"]);
   };
 
+  const updateSplit = (index, patch) =>
+    setSplits((lines) => lines.map((l, i) => (i === index ? { ...l, ...patch } : l)));
+
+  const startSplit = () =>
+    setSplits([
+      { category: txForm.category, amount: String(txForm.amount || "") },
+      { category: "other_expense", amount: "" },
+    ]);
+
+  const splitCheck = splits.length ? validateSplits(Number(txForm.amount || 0), splits) : null;
+
   const saveBill = async () => {
     const amt = Number(billForm.amount || 0);
     if (!billForm.name || !amt || !billForm.category || !billForm.due_date) {
@@ -258,6 +300,54 @@ function ReceiptScanner({ refreshData }: ReceiptScannerProps) {
                 <Input value={txForm.notes} onChange={(e: any) => setTxForm({ ...txForm, notes: e.target.value })} placeholder="Optional" />
               </div>
             </div>
+
+            {splits.length > 0 ? (
+              <div className="space-y-2 rounded-md border border-border p-3">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm font-semibold">Split across categories</div>
+                  <Button variant="ghost" size="sm" onClick={() => setSplits([])}>Don't split</Button>
+                </div>
+                {splits.map((line, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <Select value={line.category} onValueChange={(v) => updateSplit(index, { category: v })}>
+                      <SelectTrigger className="flex-1"><SelectValue placeholder="Category" /></SelectTrigger>
+                      <SelectContent>
+                        {CATEGORY_OPTIONS.map(c => <SelectItem key={c} value={c}>{c.replaceAll("_"," ")}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      className="w-28"
+                      aria-label={`Amount for ${line.category.replaceAll("_"," ")}`}
+                      value={line.amount}
+                      onChange={(e: any) => updateSplit(index, { amount: e.target.value })}
+                    />
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      aria-label="Remove line"
+                      onClick={() => setSplits(splits.filter((_, i) => i !== index))}
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+                <div className="flex items-center justify-between">
+                  <Button variant="outline" size="sm" className="gap-1" onClick={() => setSplits([...splits, { category: "other_expense", amount: "" }])}>
+                    <Plus className="h-4 w-4" /> Add line
+                  </Button>
+                  <span className={`text-xs ${splitCheck?.valid ? "text-success" : "text-expense"}`}>
+                    {splitCheck?.valid ? "Lines add up" : splitCheck?.errors[0]}
+                  </span>
+                </div>
+              </div>
+            ) : (
+              <Button variant="outline" size="sm" className="gap-1" onClick={startSplit}>
+                <Split className="h-4 w-4" /> Split across categories
+              </Button>
+            )}
+
             <Button onClick={saveTransaction} className="w-full sm:w-auto">Save Transaction</Button>
           </div>
 
@@ -352,6 +352,13 @@ export const shiftSchema = z.object({
   }
 );
 
+/**
+ * Imported shift row schema
+ * Same fields as the shift form, except the rate may come from a shift rule
+ * and shifts may cross midnight (end time before start time)
+ */
+export const shiftImportSchema = shiftSchema.innerType().partial({ hourlyRate: true });
+
 // ============================================================================
 // SUBSCRIPTION SCHEMAS
 // ============================================================================
@@ -519,6 +526,7 @@ export default {
   
   // Shifts
   shiftSchema,
+  shiftImportSchema,
   
   // Subscriptions
   subscriptionSchema,
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview CSV import wizard shared by the shift and transaction importers
+ * @description Column mapping (with saved presets per source), dry run with a
+ * create/skip/error summary, chunked commit and a downloadable error report
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, Loader2, Save } from 'lucide-react';
+import { Button } from '@/ui/button';
+import { Checkbox } from '@/ui/checkbox';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { toast } from 'sonner';
+import { useLocalStorage } from '@/hooks/useLocalStorage';
+import { logError } from '@/utils/logger';
+import ImportReview from '@/shared/ImportReview';
+import {
+  dryRunImport,
+  findPreset,
+  missingRequiredFields,
+  parseCsv,
+  suggestMapping,
+  type ColumnMapping,
+  type CsvTable,
+  type DateOrder,
+  type ImportCommitResult,
+  type ImportDryRun,
+  type ImportTarget,
+  type ImportValueOptions,
+  type MappingPreset,
+} from '@/utils/csvImport';
+
+/**
+ * CsvImportWizard component props
+ */
+export interface CsvImportWizardProps<R extends object> {
+  /** Entity definition (fields, schema, record builder) */
+  target: ImportTarget<R>;
+  /** Selected CSV file */
+  file: File;
+  /** Saved records, used to skip rows already imported */
+  existing?: object[];
+  /** Saves one chunk of records, e.g. via `batchCreate` */
+  create: (records: R[]) => Promise<unknown>;
+  /** Called once the commit finishes */
+  onComplete?: (result: ImportCommitResult<R>) => void;
+  /** Called when the user abandons the import */
+  onCancel?: () => void;
+}
+
+const UNMAPPED = '__none';
+const PREVIEW_ROWS = 5;
+const DEFAULT_OPTIONS: ImportValueOptions = { date_order: 'auto', decimal: '.' };
+
+const DATE_ORDERS: Array<{ value: DateOrder; label: string }> = [
+  { value: 'auto', label: 'Detect (month first)' },
+  { value: 'mdy', label: 'MM/DD/YYYY' },
+  { value: 'dmy', label: 'DD/MM/YYYY' },
+  { value: 'ymd', label: 'YYYY-MM-DD' },
+];
+
+/**
+ * Map, dry-run and commit a CSV file into one entity
+ */
+function CsvImportWizard<R extends object>({
+  target,
+  file,
+  existing = [],
+  create,
+  onComplete,
+  onCancel,
+}: CsvImportWizardProps<R>): React.ReactElement {
+  const [presets, setPresets] = useLocalStorage<MappingPreset[]>(`csv-import-presets:${target.id}`, []);
+  const [text, setText] = useState<string | null>(null);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState<ColumnMapping>({});
+  const [options, setOptions] = useState<ImportValueOptions>(DEFAULT_OPTIONS);
+  const [presetName, setPresetName] = useState('');
+  const [dryRun, setDryRun] = useState<ImportDryRun<R> | null>(null);
+  const [committed, setCommitted] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    file.text()
+      .then(content => { if (!cancelled) setText(content); })
+      .catch(error => {
+        logError('Failed to read import file', error);
+        toast.error('Could not read file');
+      });
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const table: CsvTable | null = useMemo(
+    () => (text === null ? null : parseCsv(text, { hasHeader })),
+    [text, hasHeader]
+  );
+
+  // A preset saved for these exact headers wins over guessing from names
+  const matchedPreset = useMemo(() => (table ? findPreset(presets, table.headers) : undefined), [presets, table]);
+  useEffect(() => {
+    if (!table) return;
+    if (matchedPreset) {
+      setMapping(matchedPreset.mapping);
+      setOptions(matchedPreset.options);
+      setPresetName(matchedPreset.name);
+    } else {
+      setMapping(suggestMapping(table.headers, target.fields));
+    }
+    setDryRun(null);
+  }, [table, matchedPreset, target.fields]);
+
+  const missing = missingRequiredFields(target.fields, mapping);
+
+  const updateMapping = (key: string, column: string) => {
+    setMapping(prev => ({ ...prev, [key]: column === UNMAPPED ? null : column }));
+    setDryRun(null);
+  };
+
+  const updateOptions = (patch: Partial<ImportValueOptions>) => {
+    setOptions(prev => ({ ...prev, ...patch }));
+    setDryRun(null);
+  };
+
+  const savePreset = () => {
+    if (!table || !presetName.trim()) return;
+    const preset: MappingPreset = { name: presetName.trim(), headers: table.headers, mapping, options, has_header: hasHeader };
+    setPresets(prev => [...prev.filter(p => p.name !== preset.name && findPreset([p], table.headers) === undefined), preset]);
+    toast.success(`Saved mapping "${preset.name}"`);
+  };
+
+  const applyPreset = (name: string) => {
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    setHasHeader(preset.has_header);
+    setMapping(preset.mapping);
+    setOptions(preset.options);
+    setPresetName(preset.name);
+    setDryRun(null);
+  };
+
+  const runDryRun = () => {
+    if (!table) return;
+    setDryRun(dryRunImport(table, mapping, target, options, existing));
+  };
+
+  const handleComplete = (result: ImportCommitResult<R>) => {
+    setCommitted(true);
+    onComplete?.(result);
+  };
+
+  if (!table) {
+    return (
+      <div className="flex items-center justify-center p-6 text-muted-foreground">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" /> Reading file...
+      </div>
+    );
+  }
+
+  const dryRunButton = (
+    <Button variant={dryRun ? 'outline' : 'default'} onClick={runDryRun} disabled={missing.length > 0}>
+      Dry run
+    </Button>
+  );
+
+  return (
+    <div className="space-y-6">
+      {!committed && (
+        <>
+          <div className="flex flex-wrap items-end gap-4">
+            {presets.length > 0 && (
+              <div className="space-y-1">
+                <Label>Saved mapping</Label>
+                <Select value={matchedPreset?.name ?? ''} onValueChange={applyPreset}>
+                  <SelectTrigger className="w-48"><SelectValue placeholder="Choose preset" /></SelectTrigger>
+                  <SelectContent>
+                    {presets.map(p => <SelectItem key={p.name} value={p.name}>{p.name}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <div className="space-y-1">
+              <Label>Date format</Label>
+              <Select value={options.date_order} onValueChange={v => updateOptions({ date_order: v as DateOrder })}>
+                <SelectTrigger className="w-48"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  {DATE_ORDERS.map(o => <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label>Decimal separator</Label>
+              <Select value={options.decimal} onValueChange={v => updateOptions({ decimal: v as ImportValueOptions['decimal'] })}>
+                <SelectTrigger className="w-32"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value=".">1,234.56</SelectItem>
+                  <SelectItem value=",">1.234,56</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <label className="flex items-center gap-2 pb-2 text-sm text-foreground">
+              <Checkbox checked={hasHeader} onCheckedChange={checked => setHasHeader(checked === true)} />
+              First row is a header
+            </label>
+          </div>
+
+          <div>
+            <h4 className="font-semibold text-foreground mb-2">Map columns</h4>
+            <div className="grid md:grid-cols-2 gap-3">
+              {target.fields.map(field => (
+                <div key={field.key} className="flex items-center gap-3">
+                  <Label className="w-36 shrink-0">
+                    {field.label}{field.required && <span className="text-destructive"> *</span>}
+                  </Label>
+                  <Select value={mapping[field.key] ?? UNMAPPED} onValueChange={v => updateMapping(field.key, v)}>
+                    <SelectTrigger><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={UNMAPPED}>Not mapped</SelectItem>
+                      {table.headers.map(h => <SelectItem key={h} value={h}>{h}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+            <div className="flex items-end gap-2 mt-3">
+              <div className="space-y-1">
+                <Label htmlFor="csv-preset-name">Save mapping as</Label>
+                <Input id="csv-preset-name" value={presetName} onChange={e => setPresetName(e.target.value)} placeholder="e.g. Chase checking" />
+              </div>
+              <Button variant="outline" onClick={savePreset} disabled={!presetName.trim()}>
+                <Save className="h-4 w-4 mr-2" /> Save
+              </Button>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-semibold text-foreground mb-2">
+              Preview <span className="text-sm font-normal text-muted-foreground">({table.rows.length} rows)</span>
+            </h4>
+            <div className="overflow-x-auto border border-border rounded-lg">
+              <Table>
+                <TableHeader>
+                  <TableRow>{table.headers.map(h => <TableHead key={h}>{h}</TableHead>)}</TableRow>
+                </TableHeader>
+                <TableBody>
+                  {table.rows.slice(0, PREVIEW_ROWS).map((cells, i) => (
+                    <TableRow key={table.lines[i]}>
+                      {table.headers.map((h, c) => <TableCell key={h}>{cells[c]}</TableCell>)}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        </>
+      )}
+
+      {dryRun ? (
+        <ImportReview
+          target={target}
+          dryRun={dryRun}
+          headers={table.headers}
+          fileName={file.name}
+          create={create}
+          onComplete={handleComplete}
+          onCancel={onCancel}
+          actions={dryRunButton}
+        />
+      ) : (
+        <div className="flex flex-wrap justify-end gap-2">
+          {missing.length > 0 && (
+            <p className="mr-auto flex items-center text-sm text-destructive">
+              <AlertTriangle className="h-4 w-4 mr-1" /> Map {missing.join(', ')}
+            </p>
+          )}
+          {onCancel && <Button variant="ghost" onClick={onCancel}>Cancel</Button>}
+          {dryRunButton}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CsvImportWizard;
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Dry-run review and commit step shared by the file importers
+ * @description Shows the create/skip/error summary and problem rows, saves the
+ * valid rows in chunks and offers a downloadable error report
+ */
+
+import React, { useState } from 'react';
+import { CheckCircle, Download, Loader2 } from 'lucide-react';
+import { Button } from '@/ui/button';
+import { Badge } from '@/ui/badge';
+import { Progress } from '@/ui/progress';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { toast } from 'sonner';
+import { logError } from '@/utils/logger';
+import {
+  buildErrorReport,
+  commitImport,
+  type ImportCommitResult,
+  type ImportDryRun,
+  type ImportTarget,
+} from '@/utils/csvImport';
+
+/**
+ * ImportReview component props
+ */
+export interface ImportReviewProps<R extends object> {
+  /** Entity definition (used for labels) */
+  target: ImportTarget<R>;
+  /** Dry-run result to review */
+  dryRun: ImportDryRun<R>;
+  /** Column names for the error report */
+  headers: string[];
+  /** Source file name, used to name the error report */
+  fileName: string;
+  /** Saves one chunk of records, e.g. via `batchCreate` */
+  create: (records: R[]) => Promise<unknown>;
+  /** Called once the commit finishes */
+  onComplete?: (result: ImportCommitResult<R>) => void;
+  /** Called when the user abandons the import or closes the summary */
+  onCancel?: () => void;
+  /** Extra buttons shown before the import button */
+  actions?: React.ReactNode;
+}
+
+const PROBLEM_ROWS = 50;
+
+function downloadText(content: string, filename: string): void {
+  const blob = new Blob([content], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Review a dry run and commit its valid rows
+ */
+function ImportReview<R extends object>({
+  target,
+  dryRun,
+  headers,
+  fileName,
+  create,
+  onComplete,
+  onCancel,
+  actions,
+}: ImportReviewProps<R>): React.ReactElement {
+  const [result, setResult] = useState<ImportCommitResult<R> | null>(null);
+  const [progress, setProgress] = useState<number | null>(null);
+  const label = target.label.toLowerCase();
+
+  const runCommit = async () => {
+    setProgress(0);
+    try {
+      const committed = await commitImport(dryRun, create, {
+        onProgress: (done, total) => setProgress(total > 0 ? (done / total) * 100 : 100),
+      });
+      setResult(committed);
+      if (committed.failed > 0) {
+        toast.error('Import finished with errors', {
+          description: `${committed.created} saved, ${committed.failed} failed. Download the error report for details.`,
+        });
+      } else {
+        toast.success('Import Complete', { description: `${committed.created} ${label} imported.` });
+      }
+      onComplete?.(committed);
+    } catch (error) {
+      logError('Import failed', error);
+      toast.error('Import failed');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const downloadReport = () => {
+    const rows = result ? result.rows : dryRun.rows;
+    downloadText(buildErrorReport(rows, headers), `${fileName.replace(/\.[^.]+$/, '')}-import-report.csv`);
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-foreground">
+          <CheckCircle className="h-5 w-5 text-primary" />
+          {result.created} {label} imported
+          {result.failed > 0 && <span className="text-destructive">, {result.failed} failed</span>}
+        </div>
+        <div className="flex gap-2">
+          {result.rows.some(r => r.status !== 'create') && (
+            <Button variant="outline" onClick={downloadReport}>
+              <Download className="h-4 w-4 mr-2" /> Download error report
+            </Button>
+          )}
+          {onCancel && <Button onClick={onCancel}>Done</Button>}
+        </div>
+      </div>
+    );
+  }
+
+  const problems = dryRun.rows.filter(r => r.status !== 'create');
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <Badge>{dryRun.creates} to create</Badge>
+        <Badge variant="secondary">{dryRun.skips} skipped</Badge>
+        <Badge variant={dryRun.errors > 0 ? 'destructive' : 'outline'}>{dryRun.errors} errors</Badge>
+      </div>
+      {problems.length > 0 && (
+        <div className="max-h-64 overflow-y-auto border border-border rounded-lg">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-16">Line</TableHead>
+                <TableHead className="w-24">Status</TableHead>
+                <TableHead>Problem</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {problems.slice(0, PROBLEM_ROWS).map(row => (
+                <TableRow key={row.line}>
+                  <TableCell>{row.line}</TableCell>
+                  <TableCell>{row.status === 'error' ? 'Error' : 'Skip'}</TableCell>
+                  <TableCell>{row.messages.join('; ')}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {progress !== null && <Progress value={progress} />}
+
+      <div className="flex flex-wrap justify-end gap-2">
+        {onCancel && <Button variant="ghost" onClick={onCancel} disabled={progress !== null}>Cancel</Button>}
+        {problems.length > 0 && (
+          <Button variant="outline" onClick={downloadReport}>
+            <Download className="h-4 w-4 mr-2" /> Error report
+          </Button>
+        )}
+        {actions}
+        <Button onClick={runCommit} disabled={dryRun.creates === 0 || progress !== null}>
+          {progress !== null ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <CheckCircle className="h-4 w-4 mr-2" />}
+          Import {dryRun.creates} {label}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportReview;
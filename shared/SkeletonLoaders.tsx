@@ -152,7 +152,7 @@ export function PageSkeleton({ className }) {
  * Dashboard card skeleton
  * @component
  */
-export function DashboardCardSkeleton({ className }) {
+export function DashboardCardSkeleton({ className }: { className?: string }) {
   return (
     <div className={cn('rounded-lg border bg-card p-6 space-y-3', className)}>
       <div className="flex items-center justify-between">
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Statement import step for OFX, QFX and QIF files
+ * @description Parses the statement locally, summarizes its accounts and hands
+ * the transactions to the shared dry-run review and commit step
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Landmark, Loader2 } from 'lucide-react';
+import { Label } from '@/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { toast } from 'sonner';
+import { logError } from '@/utils/logger';
+import { formatCurrency } from '@/utils/calculations';
+import ImportReview from '@/shared/ImportReview';
+import { dryRunImport, type DateOrder, type ImportCommitResult, type ImportValueOptions } from '@/utils/csvImport';
+import {
+  parseStatement,
+  statementToTable,
+  STATEMENT_IMPORT_TARGET,
+  STATEMENT_MAPPING,
+  type StatementImportRecord,
+} from '@/utils/statementImport';
+
+/**
+ * StatementImport component props
+ */
+export interface StatementImportProps {
+  /** Selected .ofx, .qfx or .qif file */
+  file: File;
+  /** Saved transactions, used to skip FITIDs already imported */
+  existing?: object[];
+  /** Saves one chunk of transactions, e.g. via `batchCreate` */
+  create: (records: StatementImportRecord[]) => Promise<unknown>;
+  /** Called once the commit finishes */
+  onComplete?: (result: ImportCommitResult<StatementImportRecord>) => void;
+  /** Called when the user abandons the import or closes the summary */
+  onCancel?: () => void;
+}
+
+// Statement values are already normalized to ISO dates and dot decimals
+const VALUE_OPTIONS: ImportValueOptions = { date_order: 'ymd', decimal: '.' };
+const NO_RECORDS: object[] = [];
+
+/**
+ * Show the last four characters of an account number
+ */
+const maskAccount = (accountId: string): string =>
+  accountId.length > 4 && /^\d+$/.test(accountId) ? `••••${accountId.slice(-4)}` : accountId || 'Unnamed account';
+
+/**
+ * Review and import the transactions in a bank statement file
+ */
+function StatementImport({ file, existing = NO_RECORDS, create, onComplete, onCancel }: StatementImportProps): React.ReactElement {
+  const [text, setText] = useState<string | null>(null);
+  const [qifDateOrder, setQifDateOrder] = useState<DateOrder>('mdy');
+
+  useEffect(() => {
+    let cancelled = false;
+    file.text()
+      .then(content => { if (!cancelled) setText(content); })
+      .catch(error => {
+        logError('Failed to read statement file', error);
+        toast.error('Could not read file');
+      });
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const statement = useMemo(
+    () => (text === null ? null : parseStatement(text, file.name, qifDateOrder)),
+    [text, file.name, qifDateOrder]
+  );
+  const table = useMemo(() => (statement ? statementToTable(statement) : null), [statement]);
+  const dryRun = useMemo(
+    () => (table ? dryRunImport(table, STATEMENT_MAPPING, STATEMENT_IMPORT_TARGET, VALUE_OPTIONS, existing) : null),
+    [table, existing]
+  );
+
+  if (!statement || !table || !dryRun) {
+    return (
+      <div className="flex items-center justify-center p-6 text-muted-foreground">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" /> Reading statement...
+      </div>
+    );
+  }
+
+  if (table.rows.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        No transactions found in {file.name}. Check that it is an OFX, QFX or QIF bank or credit card statement.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <h4 className="flex items-center gap-2 font-semibold text-foreground mr-auto">
+          <Landmark className="h-4 w-4" /> {statement.format.toUpperCase()} statement
+        </h4>
+        {statement.format === 'qif' && (
+          <div className="space-y-1">
+            <Label>Date format</Label>
+            <Select value={qifDateOrder} onValueChange={v => setQifDateOrder(v as DateOrder)}>
+              <SelectTrigger className="w-40"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="mdy">MM/DD/YY</SelectItem>
+                <SelectItem value="dmy">DD/MM/YY</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+      </div>
+
+      <div className="overflow-x-auto border border-border rounded-lg">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Account</TableHead>
+              <TableHead>Type</TableHead>
+              <TableHead className="text-right">Transactions</TableHead>
+              <TableHead className="text-right">Balance</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {statement.accounts.map(account => (
+              <TableRow key={`${account.account_id}:${account.account_type}`}>
+                <TableCell>{maskAccount(account.account_id)}</TableCell>
+                <TableCell>{account.account_type || '—'}</TableCell>
+                <TableCell className="text-right">{account.transactions.length}</TableCell>
+                <TableCell className="text-right">
+                  {account.balance === undefined ? '—' : formatCurrency(account.balance)}
+                  {account.balance_date && <span className="text-xs text-muted-foreground"> as of {account.balance_date}</span>}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      <ImportReview
+        target={STATEMENT_IMPORT_TARGET}
+        dryRun={dryRun}
+        headers={table.headers}
+        fileName={file.name}
+        create={create}
+        onComplete={onComplete}
+        onCancel={onCancel}
+      />
+    </div>
+  );
+}
+
+export default StatementImport;
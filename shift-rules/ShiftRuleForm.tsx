@@ -4,287 +4,72 @@ import {
   type ChangeEvent,
   type FormEvent,
   type ReactNode,
-                      >
-                        <SelectTrigger>
-                          <SelectValue />
-                        </SelectTrigger>
-                        <SelectContent>
-                          <SelectItem value="flat_amount">Flat Amount ($)</SelectItem>
-                          <SelectItem value="multiplier">Multiplier (x)</SelectItem>
-                        </SelectContent>
-                      </Select>
-                    </InputGroup>
-                    <InputGroup label="Amount/Multiplier">
-                      <Input
-                        type="number"
-                        step="0.01"
-                        value={diff.amount}
-                        onChange={event =>
-                          handleDifferentialChange(
-                            index,
-                            "amount",
-                            parseRequiredNumber(event.target.value),
-                          )
-                        }
-                      />
-                    </InputGroup>
-                  </div>
-                  <div className="space-y-2">
-                    <p className="font-medium text-sm">Conditions (Optional)</p>
-                    <div className="grid md:grid-cols-2 gap-4">
-                      <InputGroup label="Start Time (HH:mm)">
-                        <Input
-                          type="time"
-                          value={diff.conditions.start_time}
-                          onChange={event =>
-                            handleDifferentialConditionChange(
-                              index,
-                              "start_time",
-                              event.target.value,
-                            )
-                          }
-                        />
-                      </InputGroup>
-                      <InputGroup label="End Time (HH:mm)">
-                        <Input
-                          type="time"
-                          value={diff.conditions.end_time}
-                          onChange={event =>
-                            handleDifferentialConditionChange(index, "end_time", event.target.value)
-                          }
-                        />
-                      </InputGroup>
-                    </div>
-                    <div>
-                      <Label>Days of Week</Label>
-                      <div className="flex flex-wrap gap-2 mt-2">
-                        {DAYS_OF_WEEK.map(day => (
-                          <Button
-                            key={day}
-                            type="button"
-                            size="sm"
-                            variant={
-                              diff.conditions.days_of_week.includes(day) ? "primary" : "outline"
-                            }
-                            onClick={() => {
-                              const nextDays = diff.conditions.days_of_week.includes(day)
-                                ? diff.conditions.days_of_week.filter(existing => existing !== day)
-                                : [...diff.conditions.days_of_week, day];
-
-                              handleDifferentialConditionChange(index, "days_of_week", nextDays);
-                            }}
-                          >
-                            {day}
-                          </Button>
-                        ))}
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              ))}
-              <Button type="button" variant="outline" onClick={addDifferential}>
-                <PlusCircle className="mr-2 h-4 w-4" />
-                Add Differential
-              </Button>
-            </AccordionContent>
-          </ThemedCard>
-        </AccordionItem>
-
-        <AccordionItem value="special_pay">
-          <ThemedCard>
-            <AccordionTrigger>
-              <div className="flex items-center gap-2 text-lg font-semibold">
-                <Zap className="h-5 w-5" />
-                Special Pay
-              </div>
-            </AccordionTrigger>
-            <AccordionContent className="p-6 grid md:grid-cols-3 gap-4">
-              <InputGroup label="On-Call Rate ($/hr)">
-                <Input
-                  type="number"
-                  step="0.01"
-                  value={rule.special_pay.on_call_rate}
-                  onChange={event =>
-                    handleNestedChange(
-                      "special_pay",
-                      "on_call_rate",
-                      parseRequiredNumber(event.target.value),
-                    )
-                  }
-                />
-              </InputGroup>
-              <InputGroup label="Callback Multiplier">
-                <Input
-                  type="number"
-                  step="0.1"
-                  value={rule.special_pay.callback_multiplier ?? ""}
-                  onChange={event =>
-                    handleNestedChange(
-                      "special_pay",
-                      "callback_multiplier",
-                      parseOptionalNumber(event.target.value),
-                    )
-                  }
-                />
-              </InputGroup>
-              <InputGroup label="Callback Min. Hours">
-                <Input
-                  type="number"
-                  value={rule.special_pay.callback_minimum_hours ?? ""}
-                  onChange={event =>
-                    handleNestedChange(
-                      "special_pay",
-                      "callback_minimum_hours",
-                      parseOptionalNumber(event.target.value),
-                    )
-                  }
-                />
-              </InputGroup>
-            </AccordionContent>
-          </ThemedCard>
-        </AccordionItem>
-
-        <AccordionItem value="meal_breaks">
-          <ThemedCard>
-            <AccordionTrigger>
-              <div className="flex items-center gap-2 text-lg font-semibold">
-                <Utensils className="h-5 w-5" />
-                Meal Breaks
-              </div>
-            </AccordionTrigger>
-            <AccordionContent className="p-6 space-y-4">
-              <div className="flex items-center space-x-2">
-                <Switch
-                  id="auto-deduct-switch"
-                  checked={rule.meal_break_rules.is_auto_deducted}
-                  onCheckedChange={checked =>
-                    handleNestedChange("meal_break_rules", "is_auto_deducted", checked)
-                  }
-                />
-                <Label htmlFor="auto-deduct-switch">Auto-Deduct Unpaid Breaks</Label>
-              </div>
-              <div className="grid md:grid-cols-2 gap-4">
-                <InputGroup label="Required After (hours)">
-                  <Input
-                    type="number"
-                    value={rule.meal_break_rules.unpaid_break_threshold ?? ""}
-                    onChange={event =>
-                      handleNestedChange(
-                        "meal_break_rules",
-                        "unpaid_break_threshold",
-                        parseOptionalNumber(event.target.value),
-                      )
-                    }
-                  />
-                </InputGroup>
-                <InputGroup label="Break Duration (minutes)">
-                  <Input
-                    type="number"
-                    value={rule.meal_break_rules.break_duration ?? ""}
-                    onChange={event =>
-                      handleNestedChange(
-                        "meal_break_rules",
-                        "break_duration",
-                        parseOptionalNumber(event.target.value),
-                      )
-                    }
-                  />
-                </InputGroup>
-              </div>
-            </AccordionContent>
-          </ThemedCard>
-        </AccordionItem>
-      </Accordion>
-
-      <div className="flex justify-end gap-4 mt-8">
-        <Button type="button" variant="outline" onClick={onCancel}>
-          Cancel
-        </Button>
-        <ThemedButton type="submit">{initialRule ? "Save Changes" : "Create Rule"}</ThemedButton>
-      </div>
-    </form>
-  );
+} from "react";
+import { Button } from "@/ui/button";
+import { Input } from "@/ui/input";
+import { Label } from "@/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/ui/select";
+import { Switch } from "@/ui/switch";
+import {
+  Accordion,
+  AccordionContent,
+  AccordionItem,
+  AccordionTrigger,
+} from "@/ui/accordion";
+import {
+  BadgePercent,
+  Clock,
+  DollarSign,
+  PlusCircle,
+  Trash2,
+  Utensils,
+  Zap,
+} from "lucide-react";
+import { ThemedButton, ThemedCard } from "../ui/enhanced-components";
+
+const DAYS_OF_WEEK = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"] as const;
+
+const DIFFERENTIAL_TYPES = [
+  "night",
+  "evening",
+  "weekend",
+  "holiday",
+  "charge",
+  "preceptor",
+  "float",
+  "critical_care",
+  "certification",
+  "custom",
+] as const;
+
+type DayOfWeek = (typeof DAYS_OF_WEEK)[number];
+type DifferentialType = (typeof DIFFERENTIAL_TYPES)[number];
+type RateType = "flat_amount" | "multiplier";
+
+interface DifferentialConditions {
+  start_time: string;
+  end_time: string;
+  days_of_week: DayOfWeek[];
 }
 
-interface InputGroupProps {
-  label: string;
-  children: ReactNode;
+interface ShiftDifferential {
+  id: string;
+  name: string;
+  type: DifferentialType;
+  rate_type: RateType;
+  amount: number;
+  is_stackable: boolean;
+  conditions: DifferentialConditions;
 }
 
-const InputGroup = ({ label, children }: InputGroupProps): JSX.Element => (
-  <div className="space-y-2">
-    <Label className="text-sm font-medium">{label}</Label>
-    {children}
-  </div>
-);import {
-  useEffect,
-  const handleNestedChange = <Section extends NestedSection, Key extends keyof ShiftRule[Section]>(
-    section: Section,
-    field: Key,
-    value: ShiftRule[Section][Key],
-  ): void => {
-    setRule(prev => ({
-      ...prev,
-      [section]: {
-        ...prev[section],
-        [field]: value,
-      },
-    }));
-  };
-
-  const handleDifferentialChange = <Key extends keyof ShiftDifferential>(
-    index: number,
-    field: Key,
-    value: ShiftDifferential[Key],
-  ): void => {
-    setRule(prev => {
-      const updated = [...prev.differentials];
-      updated[index] = {
-        ...updated[index],
-        [field]: value,
-      };
-
-      return { ...prev, differentials: updated };
-    });
-  };
-
-  const handleDifferentialConditionChange = <Key extends keyof DifferentialConditions>(
-    index: number,
-    field: Key,
-    value: DifferentialConditions[Key],
-  ): void => {
-    setRule(prev => {
-      const updated = [...prev.differentials];
-      updated[index] = {
-        ...updated[index],
-        conditions: {
-          ...updated[index].conditions,
-          [field]: value,
-        },
-      };
-
-      return { ...prev, differentials: updated };
-    });
-  };
-
-  const addDifferential = (): void => {
-    setRule(prev => ({
-      ...prev,
-      differentials: [...prev.differentials, createDifferential()],
-    }));
-  };
-
-  const removeDifferential = (index: number): void => {
-    setRule(prev => ({
-      ...prev,
-      differentials: prev.differentials.filter((_, i) => i !== index),
-    }));
-  };
-
-  const handleSubmit = (event: FormEvent<HTMLFormElement>): void => {
-    event.preventDefault();
-    onSave(rule);
-  };
+interface OvertimeRules {
+  weekly_threshold: number;
   weekly_multiplier: number;
   daily_threshold?: number;
   daily_multiplier?: number;
@@ -310,6 +95,8 @@ interface ShiftRule {
   base_hourly_rate: number;
   active: boolean;
   facility: string;
+  employer: string;
+  match_patterns: string[];
   overtime_rules: OvertimeRules;
   differentials: ShiftDifferential[];
   special_pay: SpecialPay;
@@ -355,6 +142,8 @@ const createEmptyRule = (): ShiftRule => ({
   base_hourly_rate: 0,
   active: true,
   facility: "",
+  employer: "",
+  match_patterns: [],
   overtime_rules: {
     weekly_threshold: 40,
     weekly_multiplier: 1.5,
@@ -389,12 +178,13 @@ const mergeWithDefaults = (rule?: ShiftRule): ShiftRule => {
     overtime_rules: { ...base.overtime_rules, ...rule.overtime_rules },
     special_pay: { ...base.special_pay, ...rule.special_pay },
     meal_break_rules: { ...base.meal_break_rules, ...rule.meal_break_rules },
+    match_patterns: rule.match_patterns ?? [],
     differentials: (rule.differentials ?? []).map(createDifferential),
   };
 };
 
 type NestedSection = "overtime_rules" | "special_pay" | "meal_break_rules";
-type RootField = "name" | "description" | "facility";
+type RootField = "name" | "description" | "facility" | "employer";
 
 const parseRequiredNumber = (value: string): number => {
   const parsed = Number.parseFloat(value);
@@ -499,7 +289,12 @@ export default function ShiftRuleForm({
 
   const handleSubmit = (event: FormEvent<HTMLFormElement>): void => {
     event.preventDefault();
-    onSave(rule);
+    onSave({
+      ...rule,
+      match_patterns: rule.match_patterns
+        .map((pattern) => pattern.trim())
+        .filter(Boolean),
+    });
   };
 
   return (
@@ -527,6 +322,28 @@ export default function ShiftRuleForm({
                 placeholder="e.g., General Hospital"
               />
             </InputGroup>
+            <InputGroup label="Employer (shared overtime)">
+              <Input
+                name="employer"
+                value={rule.employer}
+                onChange={handleInputChange}
+                placeholder="Defaults to the facility"
+              />
+            </InputGroup>
+            <InputGroup label="Match Shifts (title/location patterns)">
+              <Input
+                value={rule.match_patterns.join(", ")}
+                onChange={(event) =>
+                  setRule((prev) => ({
+                    ...prev,
+                    match_patterns: event.target.value
+                      .split(",")
+                      .map((pattern) => pattern.trimStart()),
+                  }))
+                }
+                placeholder="e.g., *agency*, PRN, ICU"
+              />
+            </InputGroup>
             <div className="md:col-span-2">
               <InputGroup label="Description">
                 <Input
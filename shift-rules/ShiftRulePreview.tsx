@@ -1,12 +1,34 @@
 // @ts-nocheck
-import React from 'react';
+import React, { useMemo } from 'react';
+import { addDays, addHours, startOfWeek } from 'date-fns';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/ui/card';
 import { Badge } from '@/ui/badge';
-import { DollarSign, Clock, ShieldAlert, BadgePercent, Utensils, Zap, CheckCircle, XCircle } from 'lucide-react';
+import { DollarSign, Clock, ShieldAlert, BadgePercent, Utensils, Zap, CheckCircle, XCircle, Calculator } from 'lucide-react';
 import { formatCurrency } from '../utils/calculations';
+import { calculatePayWeek, summarizePayLines } from '../utils/payEngine';
 import { ThemedCard } from '../ui/enhanced-components';
 
+/**
+ * Build a representative week: two 12h days plus two 12h nights over the weekend (48h)
+ */
+const buildSampleWeek = () => {
+    const sunday = startOfWeek(new Date(), { weekStartsOn: 0 });
+    const at = (day, hour) => addHours(addDays(sunday, day), hour);
+    return [
+        { id: 'sample-mon', start_datetime: at(1, 7), end_datetime: at(1, 19) },
+        { id: 'sample-tue', start_datetime: at(2, 7), end_datetime: at(2, 19) },
+        { id: 'sample-fri', start_datetime: at(5, 19), end_datetime: at(6, 7) },
+        { id: 'sample-sat', start_datetime: at(6, 19), end_datetime: at(7, 7) },
+    ];
+};
+
 export default function ShiftRulePreview({ rule }) {
+    const sampleWeek = useMemo(() => {
+        if (!rule) return null;
+        const result = calculatePayWeek(buildSampleWeek(), rule);
+        return { ...result, lines: summarizePayLines(result.lines) };
+    }, [rule]);
+
     if (!rule) {
         return <ThemedCard><CardContent className="p-6 text-center text-muted-foreground">Select a rule to preview its details.</CardContent></ThemedCard>;
     }
@@ -80,6 +102,23 @@ export default function ShiftRulePreview({ rule }) {
                     </Section>
                 )}
 
+                {/* Sample week through the pay engine */}
+                {sampleWeek && sampleWeek.lines.length > 0 && (
+                    <Section title="Sample Week (2 days + 2 weekend nights)" icon={Calculator}>
+                        {sampleWeek.lines.map(line => (
+                            <DetailItem
+                                key={`${line.category}-${line.label}-${line.rate}`}
+                                label={`${line.label} · ${line.hours}h`}
+                                value={formatCurrency(line.amount)}
+                            />
+                        ))}
+                        <div className="flex justify-between items-center text-sm font-semibold pt-2 border-t border-border/50">
+                            <p className="text-foreground">Gross Pay</p>
+                            <p className="text-primary">{formatCurrency(sampleWeek.totals.gross_pay)}</p>
+                        </div>
+                    </Section>
+                )}
+
             </CardContent>
         </ThemedCard>
     );
@@ -3,7 +3,7 @@
  * @description Interactive calculator for estimating gross and net pay with differentials and premiums
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { Button } from '@/ui/button';
 import { Input } from '@/ui/input';
@@ -11,30 +11,16 @@ import { Label } from '@/ui/label';
 import { Checkbox } from '@/ui/checkbox';
 import { Calculator, X, DollarSign, Clock } from 'lucide-react';
 import { motion } from 'framer-motion';
-
-/**
- * Shift differential or premium tag
- */
-interface DifferentialTag {
-    id: string;
-    label: string;
-    multiplier?: number;
-    amount?: number;
-}
-
-/**
- * Shift rule with base hourly rate
- */
-interface ShiftRule {
-    base_hourly_rate: number;
-    [key: string]: any;
-}
+import { format } from 'date-fns';
+import { calculatePayWeek, summarizePayLines, type PayShiftRule, type PayLine } from '@/utils/payEngine';
+import { PAY_PERIODS_PER_YEAR, withholdingProfile, withholdingShare } from '@/utils/withholding';
+import { usePaycheckSettings } from '@/hooks/useEntityQueries';
 
 /**
  * Component props
  */
 interface PayEstimatorProps {
-    shiftRules?: ShiftRule[];
+    shiftRules?: PayShiftRule[];
     onCancel: () => void;
 }
 
@@ -43,6 +29,8 @@ interface PayEstimatorProps {
  */
 interface EstimateData {
     hours: string;
+    date: string;
+    start_time: string;
     tags: string[];
     base_rate: number;
 }
@@ -53,66 +41,75 @@ interface EstimateData {
 interface PayEstimate {
     gross: number;
     net: number;
+    lines: PayLine[];
 }
 
 /**
- * Available shift differentials and premiums
+ * Rule used when no ShiftRule has been saved yet: overtime after 8 hours
  */
-const availableTags: DifferentialTag[] = [
-    { id: "night", label: "Night Shift", multiplier: 1.1 },
-    { id: "weekend", label: "Weekend", multiplier: 1.05 },
-    { id: "holiday", label: "Holiday", multiplier: 1.5 },
-    { id: "charge", label: "Charge Nurse", amount: 2 },
-    { id: "call", label: "On-Call", amount: 1 },
-    { id: "hazard", label: "Hazard Pay", amount: 3 }
-];
+const FALLBACK_RULE: PayShiftRule = {
+    name: 'Default',
+    base_hourly_rate: 25,
+    overtime_rules: { weekly_threshold: 40, weekly_multiplier: 1.5, daily_threshold: 8, daily_multiplier: 1.5 }
+};
 
 /**
  * Pay estimator component with differentials and overtime calculation
  */
 const PayEstimator: React.FC<PayEstimatorProps> = ({ shiftRules, onCancel }) => {
+    const activeRule = useMemo<PayShiftRule>(
+        () => shiftRules?.find(rule => rule.active) || shiftRules?.[0] || FALLBACK_RULE,
+        [shiftRules]
+    );
+
     const [estimateData, setEstimateData] = useState<EstimateData>({
         hours: '8',
+        date: format(new Date(), 'yyyy-MM-dd'),
+        start_time: '07:00',
         tags: [],
-        base_rate: shiftRules?.[0]?.base_hourly_rate || 25
+        base_rate: activeRule.base_hourly_rate || 25
     });
 
-    const [estimate, setEstimate] = useState<PayEstimate>({ gross: 0, net: 0 });
+    /**
+     * Differentials without time/day conditions are toggled by shift tags
+     */
+    const taggedDifferentials = useMemo(
+        () => (activeRule.differentials || []).filter(diff =>
+            !diff.conditions?.start_time && !diff.conditions?.days_of_week?.length && (diff.type || diff.name)
+        ),
+        [activeRule]
+    );
+
+    const { data: paycheckSettings = null } = usePaycheckSettings();
 
     /**
-     * Calculate gross and net pay based on hours, rate, and differentials
+     * Run the pay engine on a single shift built from the inputs. The shift is taxed as
+     * part of a usual paycheck from the saved settings, on top of the usual hours.
      */
-    const calculateEstimate = useCallback(() => {
+    const estimate = useMemo<PayEstimate>(() => {
         const hours = parseFloat(estimateData.hours) || 0;
-        const baseRate = parseFloat(String(estimateData.base_rate)) || 0;
-        let gross = hours * baseRate;
-
-        // Apply differentials
-        estimateData.tags.forEach(tagId => {
-            const tag = availableTags.find(t => t.id === tagId);
-            if (tag) {
-                if (tag.multiplier) {
-                    gross *= tag.multiplier;
-                } else if (tag.amount) {
-                    gross += hours * tag.amount;
-                }
-            }
-        });
-
-        // Apply overtime if over 8 hours (simplified)
-        if (hours > 8) {
-            const overtimeHours = hours - 8;
-            const regularHours = 8;
-            gross = (regularHours * baseRate) + (overtimeHours * baseRate * 1.5);
+        const start = new Date(`${estimateData.date}T${estimateData.start_time || '00:00'}`);
+        if (hours <= 0 || Number.isNaN(start.getTime())) {
+            return { gross: 0, net: 0, lines: [] };
         }
 
-        const net = gross * 0.73; // Simplified net calculation (27% withholding)
-        setEstimate({ gross, net });
-    }, [estimateData.hours, estimateData.base_rate, estimateData.tags]);
+        const end = new Date(start.getTime() + hours * 3600000);
+        const { lines, totals } = calculatePayWeek(
+            [{ id: 'estimate', start_datetime: start, end_datetime: end, tags: estimateData.tags }],
+            { ...activeRule, base_hourly_rate: parseFloat(String(estimateData.base_rate)) || 0 }
+        );
 
-    React.useEffect(() => {
-        calculateEstimate();
-    }, [calculateEstimate]);
+        const periods = PAY_PERIODS_PER_YEAR[paycheckSettings?.pay_frequency as keyof typeof PAY_PERIODS_PER_YEAR] || 26;
+        const hourlyRate = Number(paycheckSettings?.hourly_rate ?? paycheckSettings?.base_hourly_rate) || 0;
+        const usualCheck = (hourlyRate * (Number(paycheckSettings?.hours_per_week) || 0) * 52) / periods;
+        const { net_pay: net } = withholdingShare(
+            totals.gross_pay,
+            withholdingProfile(paycheckSettings),
+            {},
+            usualCheck + totals.gross_pay
+        );
+        return { gross: totals.gross_pay, net, lines: summarizePayLines(lines) };
+    }, [activeRule, estimateData, paycheckSettings]);
 
     /**
      * Toggle shift differential/premium tag
@@ -176,34 +173,53 @@ const PayEstimator: React.FC<PayEstimatorProps> = ({ shiftRules, onCancel }) =>
                         </div>
                     </div>
 
-                    <div className="space-y-3">
-                        <Label>Differentials & Premiums</Label>
-                        <div className="grid grid-cols-2 gap-3">
-                            {availableTags.map((tag) => (
-                                <div key={tag.id} className="flex items-center space-x-2">
-                                    <Checkbox
-                                        id={tag.id}
-                                        checked={estimateData.tags.includes(tag.id)}
-                                        onCheckedChange={() => handleTagToggle(tag.id)}
-                                    />
-                                    <Label htmlFor={tag.id} className="text-sm">
-                                        {tag.label}
-                                        {tag.multiplier && (
-                                            <span className="text-xs text-slate-500 ml-1">
-                                                (+{((tag.multiplier - 1) * 100).toFixed(0)}%)
-                                            </span>
-                                        )}
-                                        {tag.amount && (
-                                            <span className="text-xs text-slate-500 ml-1">
-                                                (+${tag.amount}/hr)
-                                            </span>
-                                        )}
-                                    </Label>
-                                </div>
-                            ))}
+                    <div className="grid md:grid-cols-2 gap-6">
+                        <div className="space-y-2">
+                            <Label htmlFor="shift_date">Shift Date</Label>
+                            <Input
+                                id="shift_date"
+                                type="date"
+                                value={estimateData.date}
+                                onChange={(e) => setEstimateData({...estimateData, date: e.target.value})}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="start_time">Start Time</Label>
+                            <Input
+                                id="start_time"
+                                type="time"
+                                value={estimateData.start_time}
+                                onChange={(e) => setEstimateData({...estimateData, start_time: e.target.value})}
+                            />
                         </div>
                     </div>
 
+                    {taggedDifferentials.length > 0 && (
+                        <div className="space-y-3">
+                            <Label>Differentials & Premiums</Label>
+                            <div className="grid grid-cols-2 gap-3">
+                                {taggedDifferentials.map((diff) => {
+                                    const tagId = (diff.type || diff.name) as string;
+                                    return (
+                                        <div key={diff.id || tagId} className="flex items-center space-x-2">
+                                            <Checkbox
+                                                id={`tag-${tagId}`}
+                                                checked={estimateData.tags.includes(tagId)}
+                                                onCheckedChange={() => handleTagToggle(tagId)}
+                                            />
+                                            <Label htmlFor={`tag-${tagId}`} className="text-sm capitalize">
+                                                {diff.name || tagId.replace('_', ' ')}
+                                                <span className="text-xs text-slate-500 ml-1">
+                                                    {diff.rate_type === 'multiplier' ? `(${diff.amount}x)` : `(+$${diff.amount}/hr)`}
+                                                </span>
+                                            </Label>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+
                     <div className="bg-emerald-50 rounded-lg p-6 border border-emerald-200">
                         <h4 className="font-semibold text-emerald-900 mb-4 flex items-center gap-2">
                             <DollarSign className="h-5 w-5" />
@@ -223,8 +239,18 @@ const PayEstimator: React.FC<PayEstimatorProps> = ({ shiftRules, onCancel }) =>
                                 </p>
                             </div>
                         </div>
+                        {estimate.lines.length > 0 && (
+                            <div className="mt-4 space-y-1 border-t border-emerald-200 pt-3 text-sm">
+                                {estimate.lines.map((line) => (
+                                    <div key={`${line.category}-${line.label}-${line.rate}`} className="flex justify-between text-emerald-800">
+                                        <span>{line.label} · {line.hours}h @ ${line.rate.toFixed(2)}</span>
+                                        <span>${line.amount.toFixed(2)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
                         <p className="text-xs text-emerald-600 text-center mt-3">
-                            Estimates include differentials and simplified tax withholding
+                            Estimates apply {activeRule.name || 'your shift rule'} and simplified tax withholding
                         </p>
                     </div>
 
@@ -1,36 +1,174 @@
 /**
- * @fileoverview Shift import component for CSV file uploads (TypeScript)
- * @description Drag-and-drop CSV importer with bulk shift creation
+ * @fileoverview Shift import component for CSV and iCalendar file uploads (TypeScript)
+ * @description Drag-and-drop importer with bulk shift creation. iCalendar feeds are
+ * expanded (recurrence, time zones, exceptions) over a date window, mapped to shift
+ * rules by summary and previewed with duplicates flagged before anything is saved.
  */
 
-import React, { useState } from 'react';
-import { Upload, FileText, CheckCircle, Loader2, X } from 'lucide-react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { format, addDays } from 'date-fns';
+import { Upload, FileText, CheckCircle, Loader2, X, CalendarDays } from 'lucide-react';
 import { Button } from '@/ui/button';
 import { ThemedProgress } from '../ui/enhanced-components';
 import { Card, CardContent } from '@/ui/card';
-import { Shift } from '@/api/entities';
+import { Badge } from '@/ui/badge';
+import { Checkbox } from '@/ui/checkbox';
+import { Input } from '@/ui/input';
+import { Label } from '@/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { Shift, batchCreate } from '@/api/optimizedEntities.js';
 import { toast } from 'sonner';
 import { logError } from '@/utils/logger';
+import {
+    buildSummaryMappings,
+    expandEvents,
+    findDuplicateShifts,
+    occurrencesToShiftDrafts,
+    parseIcs,
+    summaryKey,
+    type IcsComponent,
+    type IcsSummaryMapping,
+} from '@/utils/icsImport';
+import type { PayShift, PayShiftRule } from '@/utils/payEngine';
+import { SHIFT_IMPORT_TARGET, type ShiftImportRecord } from '@/utils/csvImport';
+import CsvImportWizard from '@/shared/CsvImportWizard';
 
-/**
- * Shift data for bulk import
- */
-interface ShiftImportData {
-    title: string;
-    start_datetime: string;
-    end_datetime: string;
-    scheduled_hours: number;
-    import_source: string;
+interface ShiftImportProps {
+    /** Saved shifts, used to flag duplicates */
+    existingShifts?: Array<PayShift & { external_id?: string }>;
+    /** Shift rules offered when mapping calendar summaries */
+    shiftRules?: PayShiftRule[];
+    /** Called after shifts are saved */
+    onImported?: () => void;
 }
 
+const ACCEPTED_EXTENSIONS = ['.csv', '.ics', '.ical'];
+const NO_RULE = '__none';
+const SKIP = '__skip';
+const DATE_INPUT_FORMAT = 'yyyy-MM-dd';
+
+const isAcceptedFile = (file: File): boolean =>
+    file.type === 'text/csv' ||
+    file.type === 'text/calendar' ||
+    ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+
+const isCalendarFile = (file: File): boolean =>
+    file.type === 'text/calendar' || /\.ic(s|al)$/i.test(file.name);
+
+const formatShiftTime = (value: string): string => format(new Date(value), 'EEE MMM d, h:mm a');
+
 /**
- * Shift import component with CSV parsing
+ * Shift import component with CSV and iCalendar parsing
  */
-const ShiftImport: React.FC = () => {
+const ShiftImport: React.FC<ShiftImportProps> = ({ existingShifts = [], shiftRules = [], onImported }) => {
     const [files, setFiles] = useState<File[]>([]);
     const [isParsing, setIsParsing] = useState(false);
     const [progress, setProgress] = useState(0);
     const [isDragOver, setIsDragOver] = useState(false);
+    const [calendar, setCalendar] = useState<IcsComponent[] | null>(null);
+    const [rangeStart, setRangeStart] = useState(() => format(addDays(new Date(), -30), DATE_INPUT_FORMAT));
+    const [rangeEnd, setRangeEnd] = useState(() => format(addDays(new Date(), 120), DATE_INPUT_FORMAT));
+    const [mappings, setMappings] = useState<Record<string, IcsSummaryMapping>>({});
+    const [selection, setSelection] = useState<Record<string, boolean>>({});
+
+    const occurrences = useMemo(() => {
+        if (!calendar) return [];
+        const from = new Date(`${rangeStart}T00:00`);
+        const to = new Date(`${rangeEnd}T23:59`);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return [];
+        return expandEvents(calendar, { from, to });
+    }, [calendar, rangeStart, rangeEnd]);
+
+    // New summaries get a suggested rule; choices already made are kept
+    useEffect(() => {
+        const suggested = buildSummaryMappings(occurrences, shiftRules);
+        setMappings(prev => ({ ...suggested, ...prev }));
+    }, [occurrences, shiftRules]);
+
+    const summaries = useMemo(() => {
+        const counts = new Map<string, { label: string; count: number }>();
+        occurrences.forEach(o => {
+            const key = summaryKey(o.summary);
+            const entry = counts.get(key) || { label: o.summary || '(no title)', count: 0 };
+            entry.count += 1;
+            counts.set(key, entry);
+        });
+        return Array.from(counts.entries());
+    }, [occurrences]);
+
+    const drafts = useMemo(() => occurrencesToShiftDrafts(occurrences, mappings), [occurrences, mappings]);
+    const duplicates = useMemo(() => findDuplicateShifts(drafts, existingShifts), [drafts, existingShifts]);
+
+    // Duplicates and all-day entries are left out unless explicitly ticked
+    const isSelected = (key: string, allDay: boolean): boolean =>
+        selection[key] ?? (!duplicates[key] && !allDay);
+    const selectedDrafts = drafts.filter(d => isSelected(d.key, d.all_day));
+
+    const resetFile = () => {
+        setFiles([]);
+        setCalendar(null);
+        setMappings({});
+        setSelection({});
+    };
+
+    /**
+     * Accept a file; calendar files are parsed immediately for the preview
+     */
+    const selectFile = async (file: File) => {
+        setFiles([file]);
+        setCalendar(null);
+        setMappings({});
+        setSelection({});
+        if (!isCalendarFile(file)) return;
+        try {
+            const components = parseIcs(await file.text());
+            if (!components.some(c => c.type === 'VCALENDAR')) {
+                toast.error('This file does not look like an iCalendar export');
+                return;
+            }
+            setCalendar(components);
+        } catch (err) {
+            logError('Failed to parse calendar file', err);
+            toast.error('Could not read calendar file', {
+                description: err instanceof Error ? err.message : 'Unknown error',
+            });
+        }
+    };
+
+    const updateMapping = (key: string, value: string) => {
+        setMappings(prev => ({
+            ...prev,
+            [key]: value === SKIP
+                ? { ...prev[key], skip: true }
+                : { shift_rule_id: value === NO_RULE ? null : value, skip: false },
+        }));
+    };
+
+    /**
+     * Save the selected calendar shifts
+     */
+    const importCalendar = async () => {
+        if (selectedDrafts.length === 0) return;
+        setIsParsing(true);
+        setProgress(0);
+        try {
+            await batchCreate(Shift, 'Shift', selectedDrafts.map(({ key: _key, all_day: _allDay, ...shift }) => shift));
+            setProgress(100);
+            toast.success('Import Complete', {
+                description: `${selectedDrafts.length} shifts imported from ${files[0]?.name ?? 'calendar'}.`,
+            });
+            resetFile();
+            onImported?.();
+        } catch (err) {
+            logError('Calendar import failed', err);
+            toast.error('Bulk Import Failed', {
+                description: 'Could not save shifts to the database.',
+            });
+        } finally {
+            setIsParsing(false);
+        }
+    };
 
     /**
      * Handle drag over event
@@ -55,13 +193,11 @@ const ShiftImport: React.FC = () => {
         e.preventDefault();
         setIsDragOver(false);
         const droppedFiles = Array.from(e.dataTransfer.files);
-        const csvFiles = droppedFiles.filter(file => 
-            file.type === 'text/csv' || file.name.endsWith('.csv')
-        );
-        if (csvFiles.length > 0) {
-            setFiles([csvFiles[0]]);
+        const accepted = droppedFiles.filter(isAcceptedFile);
+        if (accepted.length > 0) {
+            selectFile(accepted[0]);
         } else {
-            toast.error('Please drop a CSV file');
+            toast.error('Please drop a CSV or iCalendar (.ics) file');
         }
     };
 
@@ -70,95 +206,16 @@ const ShiftImport: React.FC = () => {
      */
     const handleFileInput = (e: React.ChangeEvent<HTMLInputElement>) => {
         const selectedFiles = e.target.files ? Array.from(e.target.files) : [];
-        const csvFiles = selectedFiles.filter(file => 
-            file.type === 'text/csv' || file.name.endsWith('.csv')
-        );
-        if (csvFiles.length > 0) {
-            setFiles([csvFiles[0]]);
+        const accepted = selectedFiles.filter(isAcceptedFile);
+        if (accepted.length > 0) {
+            selectFile(accepted[0]);
         }
     };
 
     /**
-     * Parse CSV and import shifts to database
+     * Save one chunk of validated CSV rows
      */
-    const parseAndImport = async () => {
-        if (files.length === 0) return;
-
-        setIsParsing(true);
-        setProgress(0);
-        const file = files[0];
-        const reader = new FileReader();
-
-        reader.onload = async (event) => {
-            const csvData = event.target?.result as string;
-            const rows = csvData.split('\n').slice(1); // Assume header row
-            const totalRows = rows.length;
-            let importedCount = 0;
-            let errorCount = 0;
-
-            const shiftsToCreate: ShiftImportData[] = [];
-
-            for (let i = 0; i < totalRows; i++) {
-                const row = rows[i].trim();
-                if (!row) continue;
-                
-                const [title, start_datetime, end_datetime, scheduled_hours_str] = row.split(',');
-
-                try {
-                    const scheduled_hours = parseFloat(scheduled_hours_str);
-                    if (!title || !start_datetime || !end_datetime || isNaN(scheduled_hours) || 
-                        !Date.parse(start_datetime) || !Date.parse(end_datetime)) {
-                        throw new Error(`Invalid row data on line ${i+2}`);
-                    }
-
-                    shiftsToCreate.push({
-                        title,
-                        start_datetime,
-                        end_datetime,
-                        scheduled_hours,
-                        import_source: 'csv',
-                    });
-                } catch (err) {
-                    errorCount++;
-                    if (import.meta.env.DEV) {
-                        logError(`Failed to parse row ${i+1}`, err);
-                    }
-                    toast.error(`Import Error on row ${i + 2}`, { 
-                        description: err instanceof Error ? err.message : 'Unknown error' 
-                    });
-                }
-            }
-
-            if (shiftsToCreate.length > 0) {
-                try {
-                    await Shift.bulkCreate(shiftsToCreate);
-                    importedCount = shiftsToCreate.length;
-                } catch(e) {
-                    errorCount += shiftsToCreate.length;
-                    toast.error('Bulk Import Failed', { 
-                        description: 'Could not save shifts to the database.' 
-                    });
-                }
-            }
-            
-            setProgress(100);
-            
-            if (importedCount > 0) {
-                toast.success('Import Complete', {
-                    description: `${importedCount} shifts imported successfully. ${errorCount} rows failed.`,
-                });
-            } else if (errorCount > 0) {
-                toast.error('Import Failed', {
-                    description: `All ${errorCount} rows contained errors. Please check the file and try again.`
-                });
-            }
-            
-            setIsParsing(false);
-            setFiles([]);
-        };
-
-        reader.readAsText(file);
-    };
+    const createCsvShifts = (records: ShiftImportRecord[]) => batchCreate(Shift, 'Shift', records);
 
     return (
         <Card className="bg-card">
@@ -179,19 +236,19 @@ const ShiftImport: React.FC = () => {
                     <input
                         id="file-input"
                         type="file"
-                        accept=".csv"
+                        accept={ACCEPTED_EXTENSIONS.join(',')}
                         onChange={handleFileInput}
                         className="hidden"
                     />
                     <Upload className="h-12 w-12 text-muted-foreground mb-4" />
                     {isDragOver ? (
-                        <p className="font-semibold text-primary">Drop the CSV file here</p>
+                        <p className="font-semibold text-primary">Drop the file here</p>
                     ) : (
                         <>
                             <p className="text-foreground">
-                                Drag & drop a CSV file, or <span className="font-semibold text-primary">click to select</span>
+                                Drag & drop a CSV or calendar file, or <span className="font-semibold text-primary">click to select</span>
                             </p>
-                            <em className="text-xs text-muted-foreground mt-2">(Only *.csv files will be accepted)</em>
+                            <em className="text-xs text-muted-foreground mt-2">(*.csv, or *.ics exported from Google, Outlook or your scheduling app)</em>
                         </>
                     )}
                 </div>
@@ -203,7 +260,7 @@ const ShiftImport: React.FC = () => {
                             <FileText className="h-6 w-6 text-primary" />
                             <p className="ml-3 text-sm text-foreground">{files[0].name}</p>
                             <button
-                                onClick={() => setFiles([])}
+                                onClick={resetFile}
                                 className="ml-auto text-muted-foreground hover:text-foreground"
                                 aria-label="Remove file"
                             >
@@ -213,6 +270,112 @@ const ShiftImport: React.FC = () => {
                     </div>
                 )}
 
+                {calendar && (
+                    <div className="mt-6 space-y-6">
+                        <div className="flex flex-wrap items-end gap-4">
+                            <div className="space-y-1">
+                                <Label htmlFor="ics-range-start">From</Label>
+                                <Input id="ics-range-start" type="date" value={rangeStart} onChange={e => setRangeStart(e.target.value)} />
+                            </div>
+                            <div className="space-y-1">
+                                <Label htmlFor="ics-range-end">To</Label>
+                                <Input id="ics-range-end" type="date" value={rangeEnd} onChange={e => setRangeEnd(e.target.value)} />
+                            </div>
+                            <p className="text-sm text-muted-foreground pb-2">
+                                <CalendarDays className="inline h-4 w-4 mr-1" />
+                                {occurrences.length} events in range
+                            </p>
+                        </div>
+
+                        {summaries.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-foreground mb-2">Map events to shift rules</h4>
+                                <div className="space-y-2">
+                                    {summaries.map(([key, { label, count }]) => {
+                                        const mapping = mappings[key];
+                                        const value = mapping?.skip ? SKIP : mapping?.shift_rule_id || NO_RULE;
+                                        return (
+                                            <div key={key} className="flex items-center gap-3">
+                                                <span className="flex-1 text-sm text-foreground truncate">
+                                                    {label} <span className="text-muted-foreground">({count})</span>
+                                                </span>
+                                                <Select value={value} onValueChange={v => updateMapping(key, v)}>
+                                                    <SelectTrigger className="w-56">
+                                                        <SelectValue />
+                                                    </SelectTrigger>
+                                                    <SelectContent>
+                                                        <SelectItem value={NO_RULE}>No rule</SelectItem>
+                                                        {shiftRules.map(rule => (
+                                                            <SelectItem key={rule.id} value={rule.id as string}>{rule.name}</SelectItem>
+                                                        ))}
+                                                        <SelectItem value={SKIP}>Skip (don&apos;t import)</SelectItem>
+                                                    </SelectContent>
+                                                </Select>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        )}
+
+                        {drafts.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-foreground mb-2">
+                                    Preview ({selectedDrafts.length} of {drafts.length} selected)
+                                </h4>
+                                <div className="max-h-96 overflow-y-auto border border-border rounded-lg">
+                                    <Table>
+                                        <TableHeader>
+                                            <TableRow>
+                                                <TableHead className="w-10" />
+                                                <TableHead>Shift</TableHead>
+                                                <TableHead>Start</TableHead>
+                                                <TableHead>End</TableHead>
+                                                <TableHead className="text-right">Hours</TableHead>
+                                            </TableRow>
+                                        </TableHeader>
+                                        <TableBody>
+                                            {drafts.map(draft => (
+                                                <TableRow key={draft.key}>
+                                                    <TableCell>
+                                                        <Checkbox
+                                                            checked={isSelected(draft.key, draft.all_day)}
+                                                            onCheckedChange={checked => setSelection(prev => ({ ...prev, [draft.key]: checked === true }))}
+                                                            aria-label={`Import ${draft.title}`}
+                                                        />
+                                                    </TableCell>
+                                                    <TableCell>
+                                                        <span className="text-foreground">{draft.title}</span>
+                                                        {duplicates[draft.key] && <Badge variant="destructive" className="ml-2">Duplicate</Badge>}
+                                                        {draft.all_day && <Badge variant="outline" className="ml-2">All day</Badge>}
+                                                    </TableCell>
+                                                    <TableCell>{formatShiftTime(draft.start_datetime)}</TableCell>
+                                                    <TableCell>{formatShiftTime(draft.end_datetime)}</TableCell>
+                                                    <TableCell className="text-right">{draft.scheduled_hours}</TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {files.length > 0 && !isCalendarFile(files[0]) && (
+                    <div className="mt-6">
+                        <CsvImportWizard
+                            key={files[0].name}
+                            target={SHIFT_IMPORT_TARGET}
+                            file={files[0]}
+                            existing={existingShifts}
+                            create={createCsvShifts}
+                            onComplete={() => onImported?.()}
+                            onCancel={resetFile}
+                        />
+                    </div>
+                )}
+
                 {isParsing && (
                     <div className="mt-6">
                         <ThemedProgress value={progress} />
@@ -222,8 +385,12 @@ const ShiftImport: React.FC = () => {
                     </div>
                 )}
                 
+                {calendar && (
                 <div className="mt-6 flex justify-end">
-                    <Button onClick={parseAndImport} disabled={files.length === 0 || isParsing}>
+                    <Button
+                        onClick={importCalendar}
+                        disabled={isParsing || selectedDrafts.length === 0}
+                    >
                         {isParsing ? (
                             <Loader2 className="mr-2 h-4 w-4 animate-spin" />
                         ) : (
@@ -232,6 +399,7 @@ const ShiftImport: React.FC = () => {
                         Import Shifts
                     </Button>
                 </div>
+                )}
             </CardContent>
         </Card>
     );
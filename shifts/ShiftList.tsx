@@ -11,6 +11,7 @@ import { format, parseISO } from "date-fns";
 import { TableLoading } from '@/ui/loading';
 import { EmptyState } from '../ui/empty-state';
 import { VirtualizedList } from '../optimized/VirtualizedList';
+import { employerName, resolveShiftRule, type PayShiftRule } from '../utils/payEngine';
 import type { Shift } from '@/types/entities';
 
 /**
@@ -18,6 +19,8 @@ import type { Shift } from '@/types/entities';
  */
 interface ShiftListProps {
     shifts: Shift[];
+    /** Saved ShiftRules; with more than one, each row shows the employer it is paid by */
+    shiftRules?: PayShiftRule[];
     onEdit: (shift: Shift) => void;
     onDelete: (id: number) => void;
     isLoading?: boolean;
@@ -27,8 +30,13 @@ interface ShiftCellProps {
     shift: Shift;
 }
 
+interface EmployerCellProps extends ShiftCellProps {
+    employer?: string;
+}
+
 interface ShiftRowProps {
     shift: Shift;
+    employer?: string;
     onEdit: (shift: Shift) => void;
     onDelete: (id: number) => void;
 }
@@ -40,14 +48,17 @@ const formatCurrency = (amount: number): string =>
     new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
 
 /**
- * Shift cell displaying title and location
+ * Shift cell displaying title, location and employer
  */
-const ShiftCell: React.FC<ShiftCellProps> = ({ shift }) => (
+const ShiftCell: React.FC<EmployerCellProps> = ({ shift, employer }) => (
     <div className="flex items-center gap-3 min-w-0">
         <Clock className="h-4 w-4 text-muted-foreground flex-shrink-0" />
         <div className="min-w-0 flex-1">
             <div className="font-semibold text-foreground truncate">{shift.title}</div>
-            <div className="text-xs text-muted-foreground truncate">{shift.location || 'N/A'}</div>
+            <div className="text-xs text-muted-foreground truncate">
+                {shift.location || 'N/A'}
+                {employer && employer !== shift.location && <span> · {employer}</span>}
+            </div>
         </div>
     </div>
 );
@@ -80,9 +91,9 @@ const DateTimeCell: React.FC<ShiftCellProps> = ({ shift }) => {
 /**
  * Single shift row with actions
  */
-const ShiftRow: React.FC<ShiftRowProps> = ({ shift, onEdit, onDelete }) => (
+const ShiftRow: React.FC<ShiftRowProps> = ({ shift, employer, onEdit, onDelete }) => (
     <TableRow className="hover:bg-muted/50 h-[60px]">
-        <TableCell className="py-3 w-[40%] min-w-[200px]"><ShiftCell shift={shift} /></TableCell>
+        <TableCell className="py-3 w-[40%] min-w-[200px]"><ShiftCell shift={shift} employer={employer} /></TableCell>
         <TableCell className="py-3 w-[25%] min-w-[120px]"><DateTimeCell shift={shift} /></TableCell>
         <TableCell className="py-3 w-[20%] min-w-[100px] text-right"><DurationCell shift={shift} /></TableCell>
         <TableCell className="py-3 w-[10%] min-w-[80px] font-medium text-emerald-600 dark:text-emerald-400 text-right">
@@ -111,13 +122,23 @@ const MemoizedShiftRow = React.memo(ShiftRow);
 /**
  * Shift list component with virtualization
  */
-const ShiftList: React.FC<ShiftListProps> = ({ shifts, onEdit, onDelete, isLoading = false }) => {
+const ShiftList: React.FC<ShiftListProps> = ({ shifts, shiftRules, onEdit, onDelete, isLoading = false }) => {
     const sortedShifts = useMemo(() => {
         return [...shifts].sort((a, b) => 
             new Date(b.start_datetime).getTime() - new Date(a.start_datetime).getTime()
         );
     }, [shifts]);
 
+    const employers = useMemo(() => {
+        const byShift: Record<string, string> = {};
+        if (!shiftRules || shiftRules.length < 2) return byShift;
+        shifts.forEach(shift => {
+            const rule = resolveShiftRule(shift, shiftRules);
+            if (rule) byShift[shift.id] = employerName(rule);
+        });
+        return byShift;
+    }, [shifts, shiftRules]);
+
     if (isLoading) {
         return <TableLoading />;
     }
@@ -152,6 +173,7 @@ const ShiftList: React.FC<ShiftListProps> = ({ shifts, onEdit, onDelete, isLoadi
                             <MemoizedShiftRow
                                 key={shift.id}
                                 shift={shift}
+                                employer={employers[shift.id]}
                                 onEdit={onEdit}
                                 onDelete={onDelete}
                             />
@@ -6,9 +6,10 @@
 import React, { useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { Skeleton } from '@/ui/skeleton';
-import { DollarSign, Clock, TrendingUp, Calendar } from 'lucide-react';
+import { DollarSign, Clock, TrendingUp, Calendar, Building2 } from 'lucide-react';
 import { format, startOfWeek, endOfWeek, startOfMonth, endOfMonth, parseISO } from 'date-fns';
 import { formatCurrency } from '../utils/calculations';
+import { calculateEmployerPay, type EmployerPayBreakdown, type PayShiftRule } from '../utils/payEngine';
 import { logError } from '@/utils/logger';
 import type { Shift } from '@/types/entities';
 import type { LucideIcon } from 'lucide-react';
@@ -18,6 +19,8 @@ import type { LucideIcon } from 'lucide-react';
  */
 interface ShiftStatsProps {
     shifts: Shift[];
+    /** Saved ShiftRules; enables the per-employer breakdown */
+    shiftRules?: PayShiftRule[];
     isLoading?: boolean;
 }
 
@@ -34,6 +37,7 @@ interface ShiftStats {
     weeklyPay: number;
     monthlyHours: number;
     monthlyPay: number;
+    employers: EmployerPayBreakdown[];
 }
 
 /**
@@ -75,10 +79,10 @@ function StatCardSkeleton() {
 /**
  * Shift statistics component
  */
-const ShiftStats: React.FC<ShiftStatsProps> = ({ shifts, isLoading = false }) => {
+const ShiftStats: React.FC<ShiftStatsProps> = ({ shifts, shiftRules, isLoading = false }) => {
     const stats = useMemo<ShiftStats>(() => {
         if (!shifts || shifts.length === 0) {
-            return { weeklyHours: 0, weeklyPay: 0, monthlyHours: 0, monthlyPay: 0 };
+            return { weeklyHours: 0, weeklyPay: 0, monthlyHours: 0, monthlyPay: 0, employers: [] };
         }
 
         const now = new Date();
@@ -87,23 +91,15 @@ const ShiftStats: React.FC<ShiftStatsProps> = ({ shifts, isLoading = false }) =>
         const monthStart = startOfMonth(now);
         const monthEnd = endOfMonth(now);
 
-        let weeklyHours = 0, weeklyPay = 0, monthlyHours = 0, monthlyPay = 0;
+        const weekShifts: Shift[] = [];
+        const monthShifts: Shift[] = [];
 
         shifts.forEach(shift => {
             if (!shift.start_datetime) return;
             try {
                 const shiftDate = parseISO(shift.start_datetime);
-                const hours = shift.actual_hours || shift.scheduled_hours || 0;
-                const pay = shift.net_pay || shift.gross_pay || 0;
-
-                if (shiftDate >= weekStart && shiftDate <= weekEnd) {
-                    weeklyHours += hours;
-                    weeklyPay += pay;
-                }
-                if (shiftDate >= monthStart && shiftDate <= monthEnd) {
-                    monthlyHours += hours;
-                    monthlyPay += pay;
-                }
+                if (shiftDate >= weekStart && shiftDate <= weekEnd) weekShifts.push(shift);
+                if (shiftDate >= monthStart && shiftDate <= monthEnd) monthShifts.push(shift);
             } catch (e) {
                 if (import.meta.env.DEV) {
                     logError("Could not parse shift date", e);
@@ -111,8 +107,26 @@ const ShiftStats: React.FC<ShiftStatsProps> = ({ shifts, isLoading = false }) =>
             }
         });
 
-        return { weeklyHours, weeklyPay, monthlyHours, monthlyPay };
-    }, [shifts]);
+        // Overtime is accumulated per employer, so every card takes its hours and
+        // gross pay from the pay engine. Without rules there are no rates, and the
+        // cards fall back to the hours and gross pay saved on each shift.
+        const totalsFor = (list: Shift[], result = calculateEmployerPay(list, shiftRules)) =>
+            shiftRules?.length
+                ? { hours: result.totals.total_hours, pay: result.totals.gross_pay }
+                : list.reduce(
+                    (sum, shift) => ({
+                        hours: sum.hours + (shift.actual_hours || shift.scheduled_hours || 0),
+                        pay: sum.pay + (shift.gross_pay || 0),
+                    }),
+                    { hours: 0, pay: 0 }
+                );
+
+        const monthPay = calculateEmployerPay(monthShifts, shiftRules);
+        const week = totalsFor(weekShifts);
+        const month = totalsFor(monthShifts, monthPay);
+
+        return { weeklyHours: week.hours, weeklyPay: week.pay, monthlyHours: month.hours, monthlyPay: month.pay, employers: monthPay.employers };
+    }, [shifts, shiftRules]);
 
     if (isLoading) {
         return (
@@ -126,35 +140,57 @@ const ShiftStats: React.FC<ShiftStatsProps> = ({ shifts, isLoading = false }) =>
     }
 
     return (
-        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
-            <StatCard
-                title="This Week - Hours"
-                value={`${stats.weeklyHours.toFixed(1)} hrs`}
-                icon={Clock}
-                color="text-blue-600"
-                bgColor="bg-blue-50"
-            />
-            <StatCard
-                title="This Week - Pay"
-                value={formatCurrency(stats.weeklyPay)}
-                icon={DollarSign}
-                color="text-emerald-600"
-                bgColor="bg-emerald-50"
-            />
-            <StatCard
-                title="This Month - Hours"
-                value={`${stats.monthlyHours.toFixed(1)} hrs`}
-                icon={Calendar}
-                color="text-purple-600"
-                bgColor="bg-purple-50"
-            />
-            <StatCard
-                title="This Month - Pay"
-                value={formatCurrency(stats.monthlyPay)}
-                icon={TrendingUp}
-                color="text-indigo-600"
-                bgColor="bg-indigo-50"
-            />
+        <div className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+                <StatCard
+                    title="This Week - Hours"
+                    value={`${stats.weeklyHours.toFixed(1)} hrs`}
+                    icon={Clock}
+                    color="text-blue-600"
+                    bgColor="bg-blue-50"
+                />
+                <StatCard
+                    title="This Week - Gross Pay"
+                    value={formatCurrency(stats.weeklyPay)}
+                    icon={DollarSign}
+                    color="text-emerald-600"
+                    bgColor="bg-emerald-50"
+                />
+                <StatCard
+                    title="This Month - Hours"
+                    value={`${stats.monthlyHours.toFixed(1)} hrs`}
+                    icon={Calendar}
+                    color="text-purple-600"
+                    bgColor="bg-purple-50"
+                />
+                <StatCard
+                    title="This Month - Gross Pay"
+                    value={formatCurrency(stats.monthlyPay)}
+                    icon={TrendingUp}
+                    color="text-indigo-600"
+                    bgColor="bg-indigo-50"
+                />
+            </div>
+            {stats.employers.length > 1 && (
+                <Card className="border-border/30 bg-card/50">
+                    <CardHeader className="flex flex-row items-center gap-2 pb-2">
+                        <Building2 className="h-4 w-4 text-muted-foreground" />
+                        <CardTitle className="text-sm font-medium text-muted-foreground">This Month by Employer</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-2">
+                        {stats.employers.map(employer => (
+                            <div key={employer.key} className="flex items-center justify-between text-sm">
+                                <span className="font-medium text-foreground">{employer.employer}</span>
+                                <span className="text-muted-foreground">
+                                    {employer.totals.total_hours.toFixed(1)} hrs
+                                    {employer.totals.overtime_hours > 0 && ` (${employer.totals.overtime_hours.toFixed(1)} OT)`}
+                                    <span className="ml-3 font-semibold text-foreground">{formatCurrency(employer.totals.gross_pay)}</span>
+                                </span>
+                            </div>
+                        ))}
+                    </CardContent>
+                </Card>
+            )}
         </div>
     );
 };
@@ -10,8 +10,13 @@ import { UploadFile, ExtractDataFromUploadedFile } from "@/api/integrations";
 import { Transaction } from "@/api/entities";
 import { Bill } from "@/api/entities";
 import { DebtAccount } from "@/api/entities";
+import { batchCreate, invalidateCache } from "@/api/optimizedEntities";
 import { useToast } from "@/ui/use-toast";
 import { TableLoading } from "@/ui/loading";
+import CsvImportWizard from "@/shared/CsvImportWizard";
+import StatementImport from "@/shared/StatementImport";
+import { TRANSACTION_IMPORT_TARGET } from "@/utils/csvImport";
+import { isStatementFile } from "@/utils/statementImport";
 
 const ENTITY_SCHEMAS = {
   Transaction: {
@@ -31,6 +36,13 @@ const ENTITY_SDK = {
   DebtAccount,
 };
 
+// Targets with a column-mapped CSV pipeline; other files go through extraction
+const CSV_TARGETS = {
+  Transaction: TRANSACTION_IMPORT_TARGET,
+};
+
+const isCsvFile = (f) => Boolean(f) && (f.type === "text/csv" || /\.csv$/i.test(f.name));
+
 export default function DataImporter() {
   const { toast } = useToast();
   const [target, setTarget] = React.useState("Transaction");
@@ -40,9 +52,29 @@ export default function DataImporter() {
   const [rows, setRows] = React.useState([]);
   const [mapping, setMapping] = React.useState({});
   const [importing, setImporting] = React.useState(false);
+  const [existing, setExisting] = React.useState([]);
+
+  const csvTarget = isCsvFile(file) ? CSV_TARGETS[target] : null;
+  // OFX, QFX and QIF files only ever hold transactions
+  const statementFile = Boolean(file) && isStatementFile(file.name);
+  const existingTarget = statementFile ? "Transaction" : csvTarget ? target : null;
+
+  // Saved records let the dry run skip rows that were imported before
+  React.useEffect(() => {
+    if (!existingTarget) return;
+    let cancelled = false;
+    ENTITY_SDK[existingTarget].list("-date", 2000)
+      .then((records) => { if (!cancelled) setExisting(records || []); })
+      .catch(() => { if (!cancelled) setExisting([]); });
+    return () => { cancelled = true; };
+  }, [existingTarget]);
 
   const handleFile = (f) => setFile(f || null);
 
+  const createCsvRecords = (records) => batchCreate(ENTITY_SDK[target], target, records);
+
+  const createStatementRecords = (records) => batchCreate(Transaction, "Transaction", records);
+
   const uploadAndExtract = async () => {
     if (!file) {
       toast({ title: "Select a file first", variant: "destructive" });
@@ -133,10 +165,30 @@ export default function DataImporter() {
             </Select>
           </div>
           <div className="space-y-1 md:col-span-2">
-            <Label>File (CSV, XLSX, PDF image receipts supported)</Label>
-            <Input type="file" accept=".csv,.xlsx,.xls,.pdf,.png,.jpg,.jpeg" onChange={(e: any) => handleFile(e.target.files?.[0])} />
+            <Label>File (CSV, OFX/QFX, QIF, XLSX, PDF image receipts supported)</Label>
+            <Input type="file" accept=".csv,.ofx,.qfx,.qif,.xlsx,.xls,.pdf,.png,.jpg,.jpeg" onChange={(e: any) => handleFile(e.target.files?.[0])} />
           </div>
         </div>
+        {statementFile ? (
+          <StatementImport
+            key={file.name}
+            file={file}
+            existing={existing}
+            create={createStatementRecords}
+            onComplete={() => invalidateCache("Transaction")}
+            onCancel={() => setFile(null)}
+          />
+        ) : csvTarget ? (
+          <CsvImportWizard
+            key={`${target}:${file.name}`}
+            target={csvTarget}
+            file={file}
+            existing={existing}
+            create={createCsvRecords}
+            onComplete={() => invalidateCache(target)}
+            onCancel={() => setFile(null)}
+          />
+        ) : (
         <div className="flex gap-2">
           <Button onClick={uploadAndExtract} disabled={!file || uploading}>
             {uploading ? "Processing..." : "Upload & Detect"}
@@ -145,6 +197,7 @@ export default function DataImporter() {
             Reset
           </Button>
         </div>
+        )}
 
         {uploading && <TableLoading rows={4} columns={4} />}
 
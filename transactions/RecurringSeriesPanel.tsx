@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Detected recurring transactions
+ * @description Runs recurring-series detection in the calculations worker and
+ * lets the user track each expense series as a bill or subscription
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Badge } from '@/ui/badge';
+import { Button } from '@/ui/button';
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/ui/dropdown-menu';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/ui/table';
+import { useToast } from '@/ui/use-toast';
+import { Check, ChevronDown, Loader2, Repeat } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { useRecurringSeries } from '@/hooks/useSubscriptions';
+import { useBills, useCreateBill } from '@/hooks/useEntityQueries';
+import { formatCurrency } from '@/utils/calculations';
+import { logError } from '@/utils/logger';
+import {
+    isSeriesTracked,
+    seriesToBill,
+    type RecurringCadence,
+    type RecurringSeries,
+    type RecurringTransactionInput,
+} from '@/utils/recurringDetection';
+
+/**
+ * RecurringSeriesPanel component props
+ */
+interface RecurringSeriesPanelProps {
+    /** Transaction history to scan */
+    transactions: RecurringTransactionInput[];
+}
+
+const CADENCE_LABELS: Record<RecurringCadence, string> = {
+    weekly: 'Weekly',
+    biweekly: 'Every 2 weeks',
+    semimonthly: 'Twice a month',
+    monthly: 'Monthly',
+    annual: 'Yearly',
+};
+
+/**
+ * Recurring series found in transaction history, with bill conversion
+ */
+const RecurringSeriesPanel: React.FC<RecurringSeriesPanelProps> = ({ transactions }) => {
+    const series = useRecurringSeries(transactions);
+    const { data: bills = [] } = useBills();
+    const createBill = useCreateBill();
+    const { toast } = useToast();
+    const [saving, setSaving] = useState<string | null>(null);
+
+    const active = useMemo(() => (series || []).filter(s => s.is_active), [series]);
+
+    const track = async (item: RecurringSeries, kind: 'subscription' | 'bill') => {
+        const draft = seriesToBill(item, kind);
+        if (!draft) return;
+        setSaving(item.key);
+        try {
+            await createBill.mutateAsync(draft);
+            toast({
+                title: kind === 'subscription' ? 'Subscription added' : 'Bill added',
+                description: `${draft.name} is now tracked ${CADENCE_LABELS[item.cadence].toLowerCase()}.`,
+            });
+        } catch (error) {
+            logError('Failed to create bill from recurring series', error);
+            toast({ title: 'Error', description: 'Could not save the bill. Please try again.', variant: 'destructive' });
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    if (series === null) {
+        return (
+            <div className="flex items-center gap-2 p-4 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 animate-spin" /> Looking for recurring transactions...
+            </div>
+        );
+    }
+
+    if (active.length === 0) {
+        return <p className="p-4 text-sm text-muted-foreground">No recurring transactions found yet. Detection needs at least three regular charges.</p>;
+    }
+
+    return (
+        <Table>
+            <TableHeader>
+                <TableRow>
+                    <TableHead>Merchant</TableHead>
+                    <TableHead>Cadence</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                    <TableHead>Next expected</TableHead>
+                    <TableHead className="text-right">Confidence</TableHead>
+                    <TableHead className="w-40" />
+                </TableRow>
+            </TableHeader>
+            <TableBody>
+                {active.map(item => {
+                    const tracked = isSeriesTracked(item, bills);
+                    const convertible = seriesToBill(item) !== null;
+                    return (
+                        <TableRow key={item.key}>
+                            <TableCell>
+                                <div className="font-medium text-foreground">{item.name}</div>
+                                <div className="text-xs text-muted-foreground">
+                                    {item.occurrences} since {format(parseISO(item.first_date), 'MMM yyyy')}
+                                    {item.category ? ` • ${item.category}` : ''}
+                                </div>
+                            </TableCell>
+                            <TableCell>
+                                <Badge variant="outline" className="gap-1">
+                                    <Repeat className="h-3 w-3" /> {CADENCE_LABELS[item.cadence]}
+                                </Badge>
+                            </TableCell>
+                            <TableCell className="text-right">
+                                <span className={item.direction === 'income' ? 'text-emerald-600' : 'text-foreground'}>
+                                    {item.fixed_amount
+                                        ? formatCurrency(item.average_amount)
+                                        : `${formatCurrency(item.min_amount)}–${formatCurrency(item.max_amount)}`}
+                                </span>
+                            </TableCell>
+                            <TableCell>{format(parseISO(item.next_date), 'MMM d, yyyy')}</TableCell>
+                            <TableCell className="text-right">{Math.round(item.confidence * 100)}%</TableCell>
+                            <TableCell className="text-right">
+                                {tracked ? (
+                                    <Badge variant="secondary" className="gap-1"><Check className="h-3 w-3" /> Tracked</Badge>
+                                ) : convertible ? (
+                                    <DropdownMenu>
+                                        <DropdownMenuTrigger asChild>
+                                            <Button variant="outline" size="sm" disabled={saving === item.key}>
+                                                {saving === item.key && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+                                                Track <ChevronDown className="h-3 w-3 ml-1" />
+                                            </Button>
+                                        </DropdownMenuTrigger>
+                                        <DropdownMenuContent align="end">
+                                            <DropdownMenuItem onClick={() => track(item, 'subscription')}>
+                                                As subscription{item.suggested_kind === 'subscription' ? ' (suggested)' : ''}
+                                            </DropdownMenuItem>
+                                            <DropdownMenuItem onClick={() => track(item, 'bill')}>
+                                                As bill{item.suggested_kind === 'bill' ? ' (suggested)' : ''}
+                                            </DropdownMenuItem>
+                                        </DropdownMenuContent>
+                                    </DropdownMenu>
+                                ) : null}
+                            </TableCell>
+                        </TableRow>
+                    );
+                })}
+            </TableBody>
+        </Table>
+    );
+};
+
+export default React.memo(RecurringSeriesPanel);
@@ -14,12 +14,15 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Card, CardContent, CardHeader, CardTitle } from '@/ui/card';
 import { Calendar } from '@/ui/calendar';
 import { Popover, PopoverContent, PopoverTrigger } from '@/ui/popover';
-import { CalendarIcon, DollarSign, X, Save, AlertCircle } from "lucide-react";
+import { CalendarIcon, DollarSign, X, Save, AlertCircle, Plus, Split } from "lucide-react";
 import { format } from "date-fns";
 import { motion } from "framer-motion";
 import { validateTransaction, sanitizeInput } from "@/utils/validation";
 import { useToast } from '@/ui/toast';
 import { logError } from '@/utils/logger';
+import { useAccounts } from '@/hooks/useEntityQueries';
+import { isLedgerAccount } from '@/utils/accounts';
+import { primarySplitCategory, validateSplits } from '@/utils/splitTransactions';
 
 /**
  * Transaction categories organized by type
@@ -37,6 +40,8 @@ const transactionCategories = {
     expense: [
         { value: "food_dining", label: "Food & Dining" },
         { value: "groceries", label: "Groceries" },
+        { value: "household", label: "Household" },
+        { value: "pharmacy", label: "Pharmacy" },
         { value: "transportation", label: "Transportation" },
         { value: "shopping", label: "Shopping" },
         { value: "entertainment", label: "Entertainment" },
@@ -84,6 +89,13 @@ function TransactionForm({ transaction, onSubmit, onCancel }) {
     const [errors, setErrors] = useState({});
     const [isSubmitting, setIsSubmitting] = useState(false);
     const { toast } = useToast();
+    const { data: savedAccounts = [] } = useAccounts();
+
+    // Tracked accounts replace the generic account types once any exist
+    const trackedAccounts = savedAccounts.filter(a => isLedgerAccount(a) && !a.archived);
+    const accountOptions = trackedAccounts.length
+        ? trackedAccounts.map(a => ({ value: a.id, label: a.name }))
+        : accounts;
 
     const handleSubmit = async (e: any) => {
         e.preventDefault();
@@ -97,6 +109,20 @@ function TransactionForm({ transaction, onSubmit, onCancel }) {
                 amount: parseFloat(formData.amount)
             };
 
+            // A split keeps its largest line as the transaction's category
+            if (splitLines.length) {
+                const check = validateSplits(sanitizedData.amount, splitLines);
+                if (!check.valid) {
+                    setErrors({ splits: check.errors[0] });
+                    toast.error("Validation Error", "The split lines don't add up");
+                    return;
+                }
+                sanitizedData.splits = splitLines.map(l => ({ category: l.category, amount: parseFloat(l.amount) }));
+                sanitizedData.category = primarySplitCategory(sanitizedData.splits);
+            } else {
+                sanitizedData.splits = null;
+            }
+
             const { isValid, errors: validationErrors } = validateTransaction(sanitizedData);
             if (!isValid) {
                 setErrors(validationErrors);
@@ -124,7 +150,28 @@ function TransactionForm({ transaction, onSubmit, onCancel }) {
         }
     };
 
+    const handleAccountChange = (value) => {
+        const tracked = trackedAccounts.find(a => a.id === value);
+        setFormData(prev => ({
+            ...prev,
+            account: tracked ? tracked.type : value,
+            account_id: tracked ? tracked.id : undefined,
+        }));
+    };
+
     const availableCategories = transactionCategories[formData.type] || [];
+    const splitLines = formData.type === 'expense' ? formData.splits || [] : [];
+    const splitCheck = splitLines.length ? validateSplits(parseFloat(formData.amount) || 0, splitLines) : null;
+
+    const setSplitLines = (lines) => {
+        setFormData(prev => ({ ...prev, splits: lines }));
+        if (errors.splits) {
+            setErrors(prev => ({ ...prev, splits: null }));
+        }
+    };
+
+    const updateSplitLine = (index, patch) =>
+        setSplitLines(splitLines.map((l, i) => (i === index ? { ...l, ...patch } : l)));
 
     return (
         <motion.div
@@ -235,14 +282,14 @@ function TransactionForm({ transaction, onSubmit, onCancel }) {
                     <div className="space-y-2">
                         <Label className="text-sm font-semibold text-foreground">Account</Label>
                         <Select
-                            value={formData.account}
-                            onValueChange={(value) => handleChange('account', value)}
+                            value={formData.account_id || formData.account}
+                            onValueChange={handleAccountChange}
                         >
                             <SelectTrigger>
                                 <SelectValue />
                             </SelectTrigger>
                             <SelectContent>
-                                {accounts.map(acc => (
+                                {accountOptions.map(acc => (
                                     <SelectItem key={acc.value} value={acc.value}>
                                         {acc.label}
                                     </SelectItem>
@@ -252,6 +299,81 @@ function TransactionForm({ transaction, onSubmit, onCancel }) {
                     </div>
                 </div>
 
+                {formData.type === 'expense' && (splitLines.length > 0 ? (
+                    <div className="space-y-3 rounded-md border border-border p-4">
+                        <div className="flex items-center justify-between">
+                            <Label className="text-sm font-semibold text-foreground">Split across categories</Label>
+                            <Button type="button" variant="ghost" size="sm" onClick={() => setSplitLines([])}>
+                                Don't split
+                            </Button>
+                        </div>
+                        {splitLines.map((line, index) => (
+                            <div key={index} className="flex items-center gap-2">
+                                <Select
+                                    value={line.category}
+                                    onValueChange={(value) => updateSplitLine(index, { category: value })}
+                                >
+                                    <SelectTrigger className="flex-1">
+                                        <SelectValue placeholder="Select category" />
+                                    </SelectTrigger>
+                                    <SelectContent>
+                                        {availableCategories.map(cat => (
+                                            <SelectItem key={cat.value} value={cat.value}>
+                                                {cat.label}
+                                            </SelectItem>
+                                        ))}
+                                    </SelectContent>
+                                </Select>
+                                <Input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    className="w-32"
+                                    aria-label={`Split line ${index + 1} amount`}
+                                    value={line.amount}
+                                    onChange={(e: any) => updateSplitLine(index, { amount: e.target.value })}
+                                />
+                                <Button
+                                    type="button"
+                                    variant="ghost"
+                                    size="icon"
+                                    aria-label={`Remove split line ${index + 1}`}
+                                    onClick={() => setSplitLines(splitLines.filter((_, i) => i !== index))}
+                                >
+                                    <X className="h-4 w-4" />
+                                </Button>
+                            </div>
+                        ))}
+                        <div className="flex items-center justify-between">
+                            <Button
+                                type="button"
+                                variant="outline"
+                                size="sm"
+                                className="gap-1"
+                                onClick={() => setSplitLines([...splitLines, { category: '', amount: '' }])}
+                            >
+                                <Plus className="h-4 w-4" /> Add line
+                            </Button>
+                            <span className={`text-sm ${splitCheck?.valid ? 'text-success' : 'text-destructive'}`}>
+                                {errors.splits || (splitCheck?.valid ? 'Lines add up' : splitCheck?.errors[0])}
+                            </span>
+                        </div>
+                    </div>
+                ) : (
+                    <Button
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        className="gap-1"
+                        onClick={() => setSplitLines([
+                            { category: formData.category, amount: formData.amount },
+                            { category: '', amount: '' },
+                        ])}
+                    >
+                        <Split className="h-4 w-4" /> Split across categories
+                    </Button>
+                ))}
+
                 <div className="grid md:grid-cols-2 gap-6">
                     <div className="space-y-2">
                         <Label className="text-sm font-semibold text-foreground">Date *</Label>
@@ -14,6 +14,7 @@ import { format } from "date-fns";
 import { TableLoading } from '@/ui/loading';
 import { EmptyState } from '../ui/empty-state';
 import { VirtualizedList } from '../optimized/VirtualizedList';
+import { hasSplits } from '@/utils/splitTransactions';
 
 /**
  * Format currency value for display
@@ -57,6 +58,11 @@ const TransactionRow = ({ transaction, onEdit, onDelete }) => {
                 <Badge className={TYPE_BADGE_CLASS[isIncome ? 'income' : 'expense']}>
                     {transaction.category?.replace(/_/g, ' ') || 'N/A'}
                 </Badge>
+                {hasSplits(transaction) && (
+                    <Badge variant="outline" className="ml-1" title={transaction.splits.map(l => l.category.replace(/_/g, ' ')).join(', ')}>
+                        +{transaction.splits.length - 1} split
+                    </Badge>
+                )}
             </TableCell>
             <TableCell className={`font-medium ${isIncome ? 'text-emerald-600 dark:text-emerald-400' : 'text-rose-600 dark:text-rose-400'}`}>
                 {formatCurrency(transaction.amount)}
@@ -4,9 +4,9 @@
  */
 
 /**
- * Transaction type
+ * Transaction type; transfers move money between the user's own accounts
  */
-export type TransactionType = 'income' | 'expense';
+export type TransactionType = 'income' | 'expense' | 'transfer';
 
 /**
  * Transaction status
@@ -24,6 +24,14 @@ export interface Transaction {
   description: string;
   date: string | Date;
   status: TransactionStatus;
+  account?: string;
+  account_id?: string;
+  /** Receiving account of a transfer */
+  transfer_account_id?: string;
+  cleared?: boolean;
+  transfer_cleared?: boolean;
+  /** Category lines adding up to the amount, for a transaction split across categories */
+  splits?: Array<{ category: string; amount: number; note?: string }>;
   user_id?: string;
   created_at?: string;
   updated_at?: string;
@@ -38,15 +46,36 @@ export interface Shift {
   start_datetime: string | Date;
   end_datetime: string | Date;
   hourly_rate: number;
+  /** ShiftRule (employer/position) this shift is paid under */
+  shift_rule_id?: string;
+  location?: string;
   hours_worked?: number;
   gross_pay?: number;
   net_pay?: number;
   notes?: string;
+  /** Where the shift came from when imported (csv, ics) */
+  import_source?: string;
+  /** Source identity for imported shifts (iCalendar UID plus occurrence start) */
+  external_id?: string;
   user_id?: string;
   created_at?: string;
   updated_at?: string;
 }
 
+/**
+ * Goal contribution ledger entry; withdrawals are negative
+ */
+export interface GoalContribution {
+  id: string;
+  date: string;
+  amount: number;
+  source: 'manual' | 'paycheck' | 'overtime' | 'round_up' | 'bill_payment';
+  transaction_id?: string; // Transaction that moved the money
+  transaction_ids?: string[]; // Purchases a round-up came from
+  source_id?: string; // Auto-funding rule and paycheck, so it is applied once
+  note?: string;
+}
+
 /**
  * Financial goal entity
  */
@@ -58,6 +87,10 @@ export interface Goal {
   target_date: string | Date;
   category?: string;
   notes?: string;
+  priority?: 'low' | 'medium' | 'high';
+  contributions?: GoalContribution[];
+  bill_id?: string; // Bill a sinking fund saves for
+  last_reset_date?: string; // Bill payment a sinking fund was last drawn down for
   user_id?: string;
   created_at?: string;
   updated_at?: string;
@@ -75,6 +108,12 @@ export interface Debt {
   due_date: number; // Day of month
   type?: string;
   notes?: string;
+  promo_apr?: number | null;
+  promo_start_date?: string | null;
+  promo_end_date?: string | null;
+  deferred_interest?: boolean;
+  balance_transfer_amount?: number | null;
+  balance_transfer_fee?: number | null;
   user_id?: string;
   created_at?: string;
   updated_at?: string;
@@ -110,6 +149,16 @@ export interface BudgetCategory {
   updated_at?: string;
 }
 
+/**
+ * Recorded payment of one BNPL installment
+ */
+export interface BNPLInstallmentPayment {
+  number: number; // 1-based installment number
+  paid_date: string;
+  amount?: number;
+  missed?: boolean; // Not paid, such as a failed autopay draw
+}
+
 /**
  * BNPL (Buy Now Pay Later) plan
  */
@@ -117,11 +166,20 @@ export interface BNPLPlan {
   id: string;
   merchant: string;
   total_amount: number;
+  principal_amount?: number;
   installment_amount: number;
   remaining_installments: number;
   total_installments: number;
   next_due_date: string | Date;
   provider: string;
+  payment_frequency?: 'weekly' | 'biweekly' | 'monthly';
+  purchase_date?: string | null;
+  first_payment_date?: string | null;
+  apr?: number | null; // Monthly financing plans
+  installment_payments?: BNPLInstallmentPayment[];
+  status?: 'active' | 'paid' | 'overdue' | 'cancelled';
+  is_autopay?: boolean;
+  notes?: string;
   user_id?: string;
   created_at?: string;
   updated_at?: string;
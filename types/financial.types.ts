@@ -47,11 +47,18 @@ export interface Transaction {
   description?: string;
   category: CategoryType;
   type: TransactionType;
+  /** Category lines adding up to the amount, for a transaction split across categories */
+  splits?: Array<{ category: CategoryType; amount: number; note?: string }>;
   user_id?: string;
   created_at?: string;
   updated_at?: string;
 }
 
+/**
+ * Budget period; weekly and biweekly periods start on paydays
+ */
+export type BudgetPeriodType = 'weekly' | 'biweekly' | 'monthly';
+
 /**
  * Budget record for monthly category limits
  */
@@ -61,6 +68,10 @@ export interface Budget {
   monthly_limit: number;
   year: number;
   month: number; // 1-12
+  period?: BudgetPeriodType;
+  rollover_enabled?: boolean;
+  start_date?: string;
+  end_date?: string;
   user_id?: string;
   created_at?: string;
   updated_at?: string;
@@ -74,6 +85,8 @@ export interface BudgetFormData {
   monthly_limit: number | string;
   year: number;
   month: number;
+  period?: BudgetPeriodType;
+  rollover_enabled?: boolean;
 }
 
 /**
@@ -93,6 +106,8 @@ export interface BudgetOverviewData {
   totalSpent: number;
   remaining: number;
   progress: number; // 0-100+
+  /** Carried in from previous periods by budgets with rollover */
+  rolledOver?: number;
 }
 
 /**
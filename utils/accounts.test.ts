@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Tests for account balances, transfers and reconciliation
+ * @description Covers running balances from an opening balance, transfers
+ * between accounts, credit card signs, older free-text accounts and the
+ * statement reconciliation workflow
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  accountBalance,
+  accountRegister,
+  finishReconciliation,
+  newTransfer,
+  reconciliationSummary,
+  transactionAccountId,
+} from './accounts';
+
+const checking = { id: 'chk', name: 'Everyday', type: 'checking', opening_balance: 1000, opening_date: '2025-06-01' };
+const savings = { id: 'sav', name: 'Rainy day', type: 'savings', opening_balance: 500, opening_date: '2025-06-01' };
+const card = { id: 'visa', name: 'Visa', type: 'credit_card', opening_balance: 300, opening_date: '2025-06-01' };
+const accounts = [checking, savings, card];
+
+const transactions = [
+  { id: 'old', type: 'expense', amount: 999, date: '2025-05-31', account_id: 'chk' },
+  { id: 'pay', type: 'income', amount: 1500, date: '2025-06-05', account_id: 'chk' },
+  { id: 'rent', type: 'expense', amount: 1200, date: '2025-06-02', account: 'checking' },
+  { id: 'xfer', type: 'transfer', amount: 200, date: '2025-06-10', account_id: 'chk', transfer_account_id: 'sav' },
+  { id: 'food', type: 'expense', amount: 80, date: '2025-06-11', account_id: 'visa' },
+  { id: 'card-pay', type: 'transfer', amount: 300, date: '2025-06-15', account_id: 'chk', transfer_account_id: 'visa' },
+];
+
+describe('account balances', () => {
+  it('runs the register forward from the opening balance', () => {
+    const register = accountRegister(checking, transactions, accounts);
+    expect(register.map(e => [e.transaction_id, e.amount, e.balance])).toEqual([
+      ['rent', -1200, -200],
+      ['pay', 1500, 1300],
+      ['xfer', -200, 1100],
+      ['card-pay', -300, 800],
+    ]);
+    expect(accountBalance(checking, transactions, accounts, '2025-06-09')).toBe(1300);
+  });
+
+  it('moves transfers between accounts and pays cards down', () => {
+    expect(accountBalance(savings, transactions, accounts)).toBe(700);
+    expect(accountBalance(card, transactions, accounts)).toBe(80);
+  });
+
+  it('places free-text accounts by id, name, then first account of the type', () => {
+    expect(transactionAccountId({ account: 'checking' }, accounts)).toBe('chk');
+    expect(transactionAccountId({ account: 'rainy day' }, accounts)).toBe('sav');
+    expect(transactionAccountId({ account: 'investment' }, accounts)).toBeNull();
+  });
+
+  it('keeps the entered balance for accounts that do not track transactions', () => {
+    expect(accountBalance({ id: 'car', type: 'vehicle', balance: 12000 }, transactions, accounts)).toBe(12000);
+  });
+});
+
+describe('newTransfer', () => {
+  it('builds a transfer transaction and rejects bad input', () => {
+    expect(newTransfer(checking, savings, 50, '2025-06-20')).toEqual({
+      type: 'transfer',
+      category: 'transfer',
+      amount: 50,
+      date: '2025-06-20',
+      description: 'Transfer from Everyday to Rainy day',
+      account: 'checking',
+      account_id: 'chk',
+      transfer_account_id: 'sav',
+    });
+    expect(newTransfer(checking, checking, 50)).toBeNull();
+    expect(newTransfer(checking, savings, 0)).toBeNull();
+  });
+});
+
+describe('reconciliation', () => {
+  const input = { statement_balance: 1300, statement_date: '2025-06-12', checked_ids: ['rent'] };
+
+  it('shows the difference until the statement transactions are checked off', () => {
+    const summary = reconciliationSummary(checking, transactions, accounts, input);
+    expect(summary).toMatchObject({ cleared_balance: -200, difference: 1500, balanced: false });
+    expect(summary.candidates.map(e => e.transaction_id)).toEqual(['rent', 'pay', 'xfer']);
+    expect(finishReconciliation(checking, transactions, accounts, input)).toBeNull();
+  });
+
+  it('clears the checked transactions once the difference is zero', () => {
+    const balanced = { ...input, statement_balance: 1100, checked_ids: ['rent', 'pay', 'xfer'] };
+    expect(reconciliationSummary(checking, transactions, accounts, balanced).balanced).toBe(true);
+    expect(finishReconciliation(checking, transactions, accounts, balanced)).toEqual({
+      transactions: [
+        { id: 'rent', data: { cleared: true } },
+        { id: 'pay', data: { cleared: true } },
+        { id: 'xfer', data: { cleared: true } },
+      ],
+      account: { last_reconciled_date: '2025-06-12', reconciled_balance: 1100 },
+    });
+  });
+
+  it('clears the receiving side of a transfer separately', () => {
+    const cleared = transactions.map(t => (t.id === 'xfer' ? { ...t, cleared: true } : t));
+    const result = finishReconciliation(savings, cleared, accounts, {
+      statement_balance: 700,
+      statement_date: '2025-06-30',
+      checked_ids: ['xfer'],
+    });
+    expect(result?.transactions).toEqual([{ id: 'xfer', data: { transfer_cleared: true } }]);
+  });
+});
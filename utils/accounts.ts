@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Account balances, transfers and statement reconciliation
+ * @description Accounts that track transactions start from an opening balance
+ * and run forward through every transaction posted to them. Transfers are a
+ * single transaction of type `transfer` that takes money out of one account
+ * and puts it into another, so they never show up as income or spending.
+ * Reconciliation compares a statement balance with the opening balance plus
+ * cleared transactions until the two agree.
+ */
+
+import { format } from 'date-fns';
+import { round2, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type LedgerAccountType = 'checking' | 'savings' | 'credit_card' | 'cash' | 'hsa' | 'retirement';
+
+export interface LedgerAccount {
+  id?: string;
+  name?: string;
+  type?: string;
+  /** Balance on the opening date; accounts without one keep a manually entered balance */
+  opening_balance?: number | string | null;
+  /** Day the opening balance was taken, yyyy-MM-dd; earlier transactions are already in it */
+  opening_date?: string | null;
+  /** Manually entered balance, for accounts that do not track transactions */
+  balance?: number | string;
+  archived?: boolean;
+  last_reconciled_date?: string | null;
+  reconciled_balance?: number | null;
+}
+
+export interface LedgerTransaction {
+  id?: string;
+  type?: string;
+  amount?: number | string;
+  date?: string;
+  title?: string;
+  description?: string;
+  /** Free-text account from older transactions, e.g. "checking" */
+  account?: string;
+  account_id?: string;
+  /** Receiving account of a transfer */
+  transfer_account_id?: string;
+  /** Cleared on the statement of `account_id` */
+  cleared?: boolean;
+  /** Cleared on the statement of `transfer_account_id` */
+  transfer_cleared?: boolean;
+  created_date?: string;
+}
+
+/**
+ * One line of an account register
+ */
+export interface RegisterEntry {
+  transaction_id: string;
+  date: string;
+  description: string;
+  /** Change to the account balance; for credit cards a positive change is more owed */
+  amount: number;
+  /** Running balance after this transaction */
+  balance: number;
+  cleared: boolean;
+  transfer: boolean;
+}
+
+/**
+ * Transaction fields for a transfer between two accounts
+ */
+export interface TransferData {
+  type: 'transfer';
+  category: 'transfer';
+  amount: number;
+  date: string;
+  description: string;
+  account: string;
+  account_id: string;
+  transfer_account_id: string;
+}
+
+export interface ReconciliationInput {
+  statement_balance: number;
+  /** Last day on the statement, yyyy-MM-dd */
+  statement_date: string;
+  /** Transactions checked off so far in this reconciliation */
+  checked_ids: string[];
+}
+
+export interface ReconciliationSummary {
+  statement_balance: number;
+  statement_date: string;
+  /** Opening balance plus everything cleared or checked off */
+  cleared_balance: number;
+  /** Statement balance minus cleared balance */
+  difference: number;
+  balanced: boolean;
+  /** Uncleared transactions up to the statement date */
+  candidates: RegisterEntry[];
+}
+
+/**
+ * Updates to save when a reconciliation balances
+ */
+export interface ReconciliationResult {
+  transactions: Array<{ id: string; data: Pick<LedgerTransaction, 'cleared'> | Pick<LedgerTransaction, 'transfer_cleared'> }>;
+  account: { last_reconciled_date: string; reconciled_balance: number };
+}
+
+// ============================================================================
+// Constants & Helpers
+// ============================================================================
+
+export const LEDGER_ACCOUNT_TYPES: ReadonlyArray<{ value: LedgerAccountType; label: string }> = [
+  { value: 'checking', label: 'Checking' },
+  { value: 'savings', label: 'Savings' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'hsa', label: 'HSA' },
+  { value: 'retirement', label: 'Retirement' },
+];
+
+/** Account types whose balance is money owed */
+export const LIABILITY_ACCOUNT_TYPES = new Set(['credit_card', 'other_liability']);
+
+const dayOf = (t: LedgerTransaction): string => String(t.date || '').slice(0, 10);
+
+/**
+ * Whether an account runs its balance from transactions
+ */
+export const isLedgerAccount = (account: LedgerAccount): boolean =>
+  account.opening_balance != null && account.opening_balance !== '';
+
+/**
+ * Account a transaction was posted to. Older transactions only carry a
+ * free-text account; it matches an account id or name, or else the first
+ * tracked account of that type ("checking" goes to the first checking account).
+ * @param t - Transaction
+ * @param accounts - All accounts
+ * @returns Account id, or null when the transaction is not in any account
+ */
+export const transactionAccountId = (t: LedgerTransaction, accounts: LedgerAccount[]): string | null => {
+  if (t.account_id) return t.account_id;
+  const text = String(t.account || '').trim().toLowerCase();
+  if (!text) return null;
+  const match =
+    accounts.find(a => a.id === t.account) ||
+    accounts.find(a => String(a.name || '').trim().toLowerCase() === text) ||
+    accounts.find(a => isLedgerAccount(a) && !a.archived && a.type === text);
+  return match?.id ?? null;
+};
+
+/**
+ * Change a transaction makes to one account's balance
+ * @param t - Transaction
+ * @param account - Account to apply it to
+ * @param accounts - All accounts, to place older free-text transactions
+ * @returns Signed change, 0 when the transaction does not touch the account
+ */
+export const transactionEffect = (t: LedgerTransaction, account: LedgerAccount, accounts: LedgerAccount[]): number => {
+  if (!account.id) return 0;
+  const amount = Math.abs(toNumber(t.amount));
+  let inflow = 0;
+  if (t.type === 'transfer') {
+    if (t.transfer_account_id === account.id) inflow += amount;
+    if (transactionAccountId(t, accounts) === account.id) inflow -= amount;
+  } else if (transactionAccountId(t, accounts) === account.id) {
+    inflow = t.type === 'income' ? amount : -amount;
+  }
+  // Money in pays a card down
+  return LIABILITY_ACCOUNT_TYPES.has(account.type || '') ? -inflow : inflow;
+};
+
+/**
+ * Whether a transaction has cleared on this account's statement
+ */
+const isClearedFor = (t: LedgerTransaction, account: LedgerAccount, accounts: LedgerAccount[]): boolean =>
+  t.type === 'transfer' && t.transfer_account_id === account.id && transactionAccountId(t, accounts) !== account.id
+    ? Boolean(t.transfer_cleared)
+    : Boolean(t.cleared);
+
+// ============================================================================
+// Balances
+// ============================================================================
+
+/**
+ * Register for one account: its transactions in date order with a running
+ * balance from the opening balance. Transactions before the opening date are
+ * already counted in the opening balance and left out.
+ * @param account - Account to list
+ * @param transactions - All transactions
+ * @param accounts - All accounts, to place older free-text transactions
+ * @returns Register entries, oldest first
+ */
+export const accountRegister = (
+  account: LedgerAccount,
+  transactions: LedgerTransaction[],
+  accounts: LedgerAccount[]
+): RegisterEntry[] => {
+  const openingDate = account.opening_date ? String(account.opening_date).slice(0, 10) : '';
+  const posted = transactions
+    .filter(t => t.id && dayOf(t) >= openingDate)
+    .map(t => ({ t, amount: transactionEffect(t, account, accounts) }))
+    .filter(({ t, amount }) => amount !== 0 || transactionAccountId(t, accounts) === account.id)
+    .sort((a, b) => dayOf(a.t).localeCompare(dayOf(b.t)) || String(a.t.created_date || '').localeCompare(String(b.t.created_date || '')));
+
+  let balance = toNumber(account.opening_balance);
+  return posted.map(({ t, amount }) => {
+    balance += amount;
+    return {
+      transaction_id: t.id!,
+      date: dayOf(t),
+      description: t.title || t.description || (t.type === 'transfer' ? 'Transfer' : 'Transaction'),
+      amount: round2(amount),
+      balance: round2(balance),
+      cleared: isClearedFor(t, account, accounts),
+      transfer: t.type === 'transfer',
+    };
+  });
+};
+
+/**
+ * Current balance of an account: the end of its register for tracked
+ * accounts, the entered balance otherwise
+ * @param account - Account
+ * @param transactions - All transactions
+ * @param accounts - All accounts
+ * @param asOf - Optional last day to include
+ * @returns Balance; for credit cards, the amount owed
+ */
+export const accountBalance = (
+  account: LedgerAccount,
+  transactions: LedgerTransaction[],
+  accounts: LedgerAccount[],
+  asOf?: string
+): number => {
+  if (!isLedgerAccount(account)) return round2(toNumber(account.balance));
+  const register = accountRegister(account, transactions, accounts);
+  const entries = asOf ? register.filter(e => e.date <= asOf.slice(0, 10)) : register;
+  return entries.length ? entries[entries.length - 1].balance : round2(toNumber(account.opening_balance));
+};
+
+/**
+ * Transaction for moving money from one account to another
+ * @param from - Account the money leaves
+ * @param to - Account the money goes to
+ * @param amount - Amount moved
+ * @param date - Day of the transfer (defaults to today)
+ * @returns Transaction fields, or null when the accounts or amount are not valid
+ */
+export const newTransfer = (
+  from: LedgerAccount,
+  to: LedgerAccount,
+  amount: number,
+  date?: string
+): TransferData | null => {
+  if (!from.id || !to.id || from.id === to.id || !(amount > 0)) return null;
+  return {
+    type: 'transfer',
+    category: 'transfer',
+    amount: round2(amount),
+    date: date || format(new Date(), 'yyyy-MM-dd'),
+    description: `Transfer from ${from.name || 'account'} to ${to.name || 'account'}`,
+    account: from.type || '',
+    account_id: from.id,
+    transfer_account_id: to.id,
+  };
+};
+
+// ============================================================================
+// Reconciliation
+// ============================================================================
+
+/**
+ * Where a reconciliation stands: the cleared balance against the statement
+ * and the transactions still to check off
+ * @param account - Account being reconciled
+ * @param transactions - All transactions
+ * @param accounts - All accounts
+ * @param input - Statement balance and date, and the transactions checked off
+ * @returns Cleared balance, difference and the uncleared transactions
+ */
+export const reconciliationSummary = (
+  account: LedgerAccount,
+  transactions: LedgerTransaction[],
+  accounts: LedgerAccount[],
+  input: ReconciliationInput
+): ReconciliationSummary => {
+  const statementDate = input.statement_date.slice(0, 10);
+  const checked = new Set(input.checked_ids);
+  const register = accountRegister(account, transactions, accounts).filter(e => e.date <= statementDate);
+
+  const clearedTotal = register
+    .filter(e => e.cleared || checked.has(e.transaction_id))
+    .reduce((sum, e) => sum + e.amount, 0);
+  const clearedBalance = round2(toNumber(account.opening_balance) + clearedTotal);
+  const difference = round2(input.statement_balance - clearedBalance);
+
+  return {
+    statement_balance: round2(input.statement_balance),
+    statement_date: statementDate,
+    cleared_balance: clearedBalance,
+    difference,
+    balanced: Math.abs(difference) < 0.005,
+    candidates: register.filter(e => !e.cleared),
+  };
+};
+
+/**
+ * Updates that finish a balanced reconciliation: every checked transaction is
+ * marked cleared on this account, and the account remembers the statement
+ * @param account - Account being reconciled
+ * @param transactions - All transactions
+ * @param accounts - All accounts
+ * @param input - Statement balance and date, and the transactions checked off
+ * @returns Updates to save, or null while there is still a difference
+ */
+export const finishReconciliation = (
+  account: LedgerAccount,
+  transactions: LedgerTransaction[],
+  accounts: LedgerAccount[],
+  input: ReconciliationInput
+): ReconciliationResult | null => {
+  const summary = reconciliationSummary(account, transactions, accounts, input);
+  if (!summary.balanced) return null;
+
+  const checked = new Set(input.checked_ids);
+  const byId = new Map(transactions.map(t => [t.id, t]));
+  const updates = summary.candidates
+    .filter(e => checked.has(e.transaction_id))
+    .map(e => {
+      const t = byId.get(e.transaction_id)!;
+      const receiving = t.type === 'transfer' && t.transfer_account_id === account.id && transactionAccountId(t, accounts) !== account.id;
+      return { id: e.transaction_id, data: receiving ? { transfer_cleared: true } : { cleared: true } };
+    });
+
+  return {
+    transactions: updates,
+    account: { last_reconciled_date: summary.statement_date, reconciled_balance: summary.statement_balance },
+  };
+};
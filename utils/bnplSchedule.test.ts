@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tests for BNPL installment schedules
+ * @description Covers Pay-in-4 and monthly APR schedules, installment status,
+ * provider late fees and caps, recording payments and low-balance collisions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  bnplCollisionWarnings,
+  bnplProvider,
+  generateBNPLSchedule,
+  recordInstallmentPayment,
+  summarizeBNPLPlans,
+} from './bnplSchedule';
+import { projectCashflow } from './cashflowProjection';
+
+describe('generateBNPLSchedule', () => {
+  it('builds a Pay-in-4 schedule from the purchase date with the cents on the first payment', () => {
+    const schedule = generateBNPLSchedule(
+      { provider: 'afterpay', principal_amount: 100.02, total_installments: 4, purchase_date: '2025-03-01', payment_frequency: 'biweekly' },
+      { as_of: '2025-03-01' }
+    )!;
+
+    expect(schedule.installments.map(i => [i.due_date, i.amount, i.status])).toEqual([
+      ['2025-03-01', 25.02, 'due'],
+      ['2025-03-15', 25, 'upcoming'],
+      ['2025-03-29', 25, 'upcoming'],
+      ['2025-04-12', 25, 'upcoming'],
+    ]);
+    expect(schedule).toMatchObject({ total_cost: 100.02, total_interest: 0, remaining_balance: 100.02, status: 'active' });
+  });
+
+  it('amortizes monthly plans at their APR starting a month after purchase', () => {
+    const schedule = generateBNPLSchedule(
+      { provider: 'affirm', principal_amount: 1200, total_installments: 12, apr: 15, purchase_date: '2025-01-31', payment_frequency: 'monthly' },
+      { as_of: '2025-01-31' }
+    )!;
+
+    expect(schedule.installments[0]).toMatchObject({ due_date: '2025-02-28', amount: 108.31, interest: 15, principal: 93.31 });
+    expect(schedule.installments[1].due_date).toBe('2025-03-31');
+    expect(schedule.installments.reduce((sum, i) => sum + i.principal, 0)).toBeCloseTo(1200, 2);
+    expect(schedule.total_interest).toBeGreaterThan(0);
+    expect(schedule.total_cost).toBeCloseTo(1200 + schedule.total_interest, 2);
+  });
+
+  it('counts back from the next due date for plans saved without a purchase date', () => {
+    const schedule = generateBNPLSchedule(
+      { installment_amount: 30, total_installments: 4, remaining_installments: 2, next_due_date: '2025-05-15' },
+      { as_of: '2025-05-10' }
+    )!;
+
+    expect(schedule.installments.map(i => [i.due_date, i.status])).toEqual([
+      ['2025-04-17', 'paid'],
+      ['2025-05-01', 'paid'],
+      ['2025-05-15', 'upcoming'],
+      ['2025-05-29', 'upcoming'],
+    ]);
+    expect(schedule.next_installment?.number).toBe(3);
+    expect(schedule.remaining_balance).toBe(60);
+  });
+
+  it('marks missed installments and applies provider late fees up to the cap', () => {
+    const plan = {
+      provider: 'afterpay',
+      principal_amount: 200,
+      total_installments: 4,
+      purchase_date: '2025-03-01',
+      installment_payments: [{ number: 1, paid_date: '2025-03-01' }],
+    };
+    const schedule = generateBNPLSchedule(plan, { as_of: '2025-04-20' })!;
+
+    // 2nd is 36 days late (10 + 7), 3rd 22 days (10 + 7), 4th 8 days (10 + 7): capped at 25% of 200
+    expect(schedule.installments.map(i => [i.status, i.days_late, i.late_fee])).toEqual([
+      ['paid', 0, 0],
+      ['missed', 36, 17],
+      ['missed', 22, 17],
+      ['missed', 8, 16],
+    ]);
+    expect(schedule).toMatchObject({ late_fees: 50, missed_count: 3, status: 'overdue', remaining_balance: 200 });
+
+    expect(generateBNPLSchedule({ ...plan, provider: 'affirm' }, { as_of: '2025-04-20' })!.late_fees).toBe(0);
+    expect(generateBNPLSchedule({ ...plan, provider: 'klarna' }, { as_of: '2025-04-20' })!.late_fees).toBe(14);
+    expect(generateBNPLSchedule({ ...plan, principal_amount: 36, provider: 'afterpay' }, { as_of: '2025-04-20' })!.late_fees).toBe(8);
+  });
+
+  it('takes past installments on autopay plans as paid unless recorded missed', () => {
+    const plan = { provider: 'afterpay', installment_amount: 30, total_installments: 4, remaining_installments: 4, next_due_date: '2025-04-17', is_autopay: true };
+
+    expect(generateBNPLSchedule(plan, { as_of: '2025-05-15' })!.installments.map(i => [i.status, i.paid_date])).toEqual([
+      ['paid', '2025-04-17'],
+      ['paid', '2025-05-01'],
+      ['due', null],
+      ['upcoming', null],
+    ]);
+
+    const failed = generateBNPLSchedule(
+      { ...plan, installment_payments: [{ number: 2, paid_date: '2025-05-01', missed: true }] },
+      { as_of: '2025-05-15' }
+    )!;
+    expect(failed.installments.map(i => [i.status, i.late_fee])).toEqual([['paid', 0], ['missed', 17], ['due', 0], ['upcoming', 0]]);
+    expect(failed).toMatchObject({ missed_count: 1, status: 'overdue' });
+  });
+
+  it('reads the older field names and provider aliases', () => {
+    const schedule = generateBNPLSchedule(
+      { provider: 'QuadPay', payment_amount: 20, num_payments_remaining: 2, next_payment_date: '2025-06-01', payment_frequency: 'weekly' },
+      { as_of: '2025-05-01' }
+    )!;
+
+    expect(bnplProvider('QuadPay')).toBe('zip');
+    expect(schedule.provider).toBe('zip');
+    expect(schedule.installments.map(i => [i.due_date, i.amount])).toEqual([['2025-06-01', 20], ['2025-06-08', 20]]);
+  });
+
+  it('returns null for plans without a count, amount or date', () => {
+    expect(generateBNPLSchedule({ installment_amount: 20, next_due_date: '2025-06-01' })).toBeNull();
+    expect(generateBNPLSchedule({ total_installments: 4, next_due_date: '2025-06-01' })).toBeNull();
+    expect(generateBNPLSchedule({ installment_amount: 20, total_installments: 4 })).toBeNull();
+  });
+});
+
+describe('recordInstallmentPayment', () => {
+  it('records the next unpaid installment and advances the plan', () => {
+    const plan = { installment_amount: 25, total_installments: 4, remaining_installments: 2, next_due_date: '2025-05-15' };
+    const update = recordInstallmentPayment(plan, '2025-05-14')!;
+
+    expect(update).toEqual({
+      installment_payments: [
+        { number: 1, paid_date: '2025-04-17', amount: 25 },
+        { number: 2, paid_date: '2025-05-01', amount: 25 },
+        { number: 3, paid_date: '2025-05-14', amount: 25 },
+      ],
+      total_installments: 4,
+      remaining_installments: 1,
+      next_due_date: '2025-05-29',
+      status: 'active',
+    });
+    expect(recordInstallmentPayment({ ...plan, ...update }, '2025-05-29')).toMatchObject({ remaining_installments: 0, status: 'paid' });
+    expect(recordInstallmentPayment({ ...plan, status: 'paid' })).toBeNull();
+  });
+
+  it('replaces a missed record when the installment is paid', () => {
+    const plan = {
+      installment_amount: 25,
+      total_installments: 2,
+      next_due_date: '2025-05-01',
+      is_autopay: true,
+      installment_payments: [{ number: 1, paid_date: '2025-05-01', missed: true }],
+    };
+
+    expect(recordInstallmentPayment(plan, '2025-05-06')).toMatchObject({
+      installment_payments: [{ number: 1, paid_date: '2025-05-06', amount: 25 }],
+      remaining_installments: 1,
+      next_due_date: '2025-05-15',
+    });
+  });
+});
+
+describe('summarizeBNPLPlans', () => {
+  it('totals active plans with late fees and lists unpaid installments by date', () => {
+    const summary = summarizeBNPLPlans(
+      [
+        { id: 'late', provider: 'sezzle', installment_amount: 25, total_installments: 4, remaining_installments: 2, next_due_date: '2025-05-20' },
+        { id: 'ok', provider: 'affirm', installment_amount: 50, total_installments: 2, next_due_date: '2025-06-10', payment_frequency: 'monthly' },
+        { id: 'done', installment_amount: 10, total_installments: 2, next_due_date: '2025-06-01', status: 'paid' },
+        { id: 'sparse', installment_amount: 15, remaining_installments: 3 },
+      ],
+      { as_of: '2025-06-01' }
+    );
+
+    expect(summary.schedules.map(s => s.plan_id)).toEqual(['late', 'ok']);
+    expect(summary).toMatchObject({ active_count: 3, late_fees: 10, missed_count: 1, total_owed: 50 + 10 + 100 + 45 });
+    expect(summary.upcoming.map(u => [u.schedule.plan_id, u.installment.due_date])).toEqual([
+      ['late', '2025-05-20'],
+      ['late', '2025-06-03'],
+      ['ok', '2025-06-10'],
+      ['ok', '2025-07-10'],
+    ]);
+  });
+});
+
+describe('bnplCollisionWarnings', () => {
+  it('flags days where several installments land on a low balance', () => {
+    const projection = projectCashflow(
+      {
+        starting_balance: 150,
+        bnpl_plans: [
+          { id: 'a', provider: 'klarna', merchant: 'Shoes', installment_amount: 40, total_installments: 4, next_due_date: '2025-06-05' },
+          { id: 'b', provider: 'afterpay', merchant: 'Phone', installment_amount: 50, total_installments: 4, next_due_date: '2025-06-05' },
+          { id: 'c', provider: 'affirm', merchant: 'Desk', installment_amount: 10, total_installments: 1, next_due_date: '2025-06-10' },
+        ],
+      },
+      { as_of: '2025-06-01', days: 14 }
+    );
+
+    expect(bnplCollisionWarnings(projection)).toEqual([{
+      date: '2025-06-05',
+      balance: 60,
+      installments: [
+        { plan_id: 'a', name: 'klarna • Shoes', amount: 40 },
+        { plan_id: 'b', name: 'afterpay • Phone', amount: 50 },
+      ],
+      total: 90,
+      is_lowest: false,
+    }]);
+    expect(bnplCollisionWarnings(projection, { low_balance_threshold: 0 })).toEqual([]);
+    expect(bnplCollisionWarnings(projection, { min_installments: 1 }).map(w => w.date)).toEqual(['2025-06-05', '2025-06-10']);
+    expect(bnplCollisionWarnings(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,528 @@
+/**
+ * @fileoverview BNPL installment schedules
+ * @description Builds the installment schedule of a buy now, pay later plan from
+ * its purchase date and payment frequency (Pay-in-4 every two weeks, monthly
+ * plans amortized at their APR), tracks each installment as paid, missed, due or
+ * upcoming, applies the provider's late-fee rules and flags days in a cashflow
+ * projection where several installments land on a low balance. Reads both the
+ * current field names and the older `payment_amount`/`next_payment_date`/
+ * `num_payments_remaining` ones.
+ */
+
+import { addDays, addMonths, differenceInCalendarDays } from 'date-fns';
+import { amortizedPayment } from './debtConsolidation';
+import type { CashflowProjection } from './cashflowProjection';
+import { onDayOfMonth, round2, toDateKey, toDay, today, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type BNPLFrequency = 'weekly' | 'biweekly' | 'monthly';
+
+export type BNPLProvider = 'affirm' | 'klarna' | 'afterpay' | 'paypal' | 'sezzle' | 'zip' | 'other';
+
+export type BNPLInstallmentStatus = 'paid' | 'missed' | 'due' | 'upcoming';
+
+/**
+ * Recorded payment of one installment
+ */
+export interface BNPLInstallmentPayment {
+  /** 1-based installment number */
+  number: number;
+  paid_date: string;
+  amount?: number;
+  /** Set when the installment was not paid, such as a failed autopay draw */
+  missed?: boolean;
+}
+
+/**
+ * BNPL plan fields read here
+ */
+export interface BNPLSchedulePlan {
+  id?: string | number;
+  name?: string;
+  provider?: string;
+  merchant?: string;
+  status?: string;
+  /** Purchase price before interest */
+  principal_amount?: number;
+  total_amount?: number;
+  installment_amount?: number;
+  /** @deprecated Older name for `installment_amount` */
+  payment_amount?: number;
+  total_installments?: number;
+  remaining_installments?: number;
+  /** @deprecated Older name for `remaining_installments` */
+  num_payments_remaining?: number;
+  purchase_date?: string | Date;
+  first_payment_date?: string | Date;
+  next_due_date?: string | Date;
+  /** @deprecated Older name for `next_due_date` */
+  next_payment_date?: string | Date;
+  payment_frequency?: string;
+  /** Annual rate in percent, for monthly financing plans */
+  apr?: number;
+  /** Installments are drawn automatically; past ones count as paid unless recorded missed */
+  is_autopay?: boolean;
+  installment_payments?: BNPLInstallmentPayment[];
+}
+
+/**
+ * Provider late-fee policy
+ */
+export interface BNPLLateFeeRule {
+  label: string;
+  /** Days after the due date before the first fee */
+  grace_days: number;
+  /** Fee when an installment is first late */
+  fee: number;
+  /** Further fee once the installment is still unpaid `repeat_days` later */
+  repeat_fee: number;
+  repeat_days: number;
+  /** Cap on all late fees for one purchase, in percent of the purchase */
+  cap_percent: number | null;
+  /** Cap on all late fees for one purchase, in dollars */
+  cap_amount: number | null;
+  /** Purchases below this amount use `small_order_cap` instead */
+  small_order_threshold: number;
+  small_order_cap: number | null;
+}
+
+/**
+ * One scheduled installment
+ */
+export interface BNPLInstallment {
+  number: number;
+  due_date: string;
+  amount: number;
+  principal: number;
+  interest: number;
+  status: BNPLInstallmentStatus;
+  paid_date: string | null;
+  /** Days past due, 0 unless missed */
+  days_late: number;
+  late_fee: number;
+}
+
+/**
+ * Installment schedule of a plan
+ */
+export interface BNPLSchedule {
+  plan_id?: string | number;
+  name: string;
+  provider: BNPLProvider;
+  frequency: BNPLFrequency;
+  apr: number;
+  principal: number;
+  installments: BNPLInstallment[];
+  /** Sum of all installments */
+  total_cost: number;
+  total_interest: number;
+  paid_count: number;
+  missed_count: number;
+  /** Installments not yet paid, missed ones included */
+  remaining_count: number;
+  /** Unpaid installments plus late fees */
+  remaining_balance: number;
+  late_fees: number;
+  /** Earliest unpaid installment */
+  next_installment: BNPLInstallment | null;
+  status: 'paid' | 'active' | 'overdue' | 'cancelled';
+}
+
+/**
+ * Schedule options
+ */
+export interface BNPLScheduleOptions {
+  /** Day statuses and late fees are measured on, yyyy-MM-dd (default today) */
+  as_of?: string;
+}
+
+/**
+ * Installment that lands on a low-balance day
+ */
+export interface BNPLCollisionInstallment {
+  plan_id?: string;
+  name: string;
+  amount: number;
+}
+
+/**
+ * Day in a cashflow projection where several BNPL installments meet a low balance
+ */
+export interface BNPLCollisionWarning {
+  date: string;
+  /** Closing balance that day */
+  balance: number;
+  installments: BNPLCollisionInstallment[];
+  total: number;
+  /** Whether this is the projection's lowest-balance day */
+  is_lowest: boolean;
+}
+
+/**
+ * Collision options
+ */
+export interface BNPLCollisionOptions {
+  /** Closing balance at or below which a day counts as low (default 100) */
+  low_balance_threshold?: number;
+  /** Installments on one day that count as a collision (default 2) */
+  min_installments?: number;
+}
+
+// ============================================================================
+// Provider Rules
+// ============================================================================
+
+const NO_LATE_FEES = {
+  grace_days: 0,
+  fee: 0,
+  repeat_fee: 0,
+  repeat_days: 0,
+  cap_percent: null,
+  cap_amount: null,
+  small_order_threshold: 0,
+  small_order_cap: null,
+};
+
+/**
+ * Published US late-fee policies by provider
+ */
+export const BNPL_LATE_FEE_RULES: Record<BNPLProvider, BNPLLateFeeRule> = {
+  affirm: { ...NO_LATE_FEES, label: 'Affirm' },
+  paypal: { ...NO_LATE_FEES, label: 'PayPal Pay in 4' },
+  klarna: { ...NO_LATE_FEES, label: 'Klarna', grace_days: 10, fee: 7, cap_percent: 25 },
+  afterpay: {
+    label: 'Afterpay',
+    grace_days: 0,
+    fee: 10,
+    repeat_fee: 7,
+    repeat_days: 7,
+    cap_percent: 25,
+    cap_amount: 68,
+    small_order_threshold: 40,
+    small_order_cap: 8,
+  },
+  sezzle: { ...NO_LATE_FEES, label: 'Sezzle', fee: 10 },
+  zip: { ...NO_LATE_FEES, label: 'Zip', fee: 7 },
+  other: { ...NO_LATE_FEES, label: 'Other' },
+};
+
+const PROVIDER_ALIASES: Record<string, BNPLProvider> = { quadpay: 'zip' };
+
+/**
+ * Provider key for a plan's provider name
+ * @param provider - Saved provider
+ * @returns Known provider, or 'other'
+ */
+export const bnplProvider = (provider?: string): BNPLProvider => {
+  const key = (provider || '').trim().toLowerCase();
+  if (key in BNPL_LATE_FEE_RULES) return key as BNPLProvider;
+  return PROVIDER_ALIASES[key] ?? 'other';
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const toCount = (value: unknown): number | null =>
+  value === undefined || value === null || value === '' ? null : Math.max(0, Math.round(toNumber(value)));
+
+/**
+ * Plan frequency, defaulting to Pay-in-4's two weeks
+ * @param frequency - Saved payment frequency
+ * @returns Normalized frequency
+ */
+export const bnplFrequency = (frequency?: string): BNPLFrequency => {
+  const key = (frequency || '').toLowerCase();
+  return key === 'weekly' || key === 'monthly' ? key : 'biweekly';
+};
+
+/**
+ * Date of the installment `steps` after `anchor` (negative steps go back),
+ * monthly ones kept on `day` or its month's last day
+ */
+const shiftDate = (anchor: Date, frequency: BNPLFrequency, steps: number, day = anchor.getDate()): Date =>
+  frequency === 'monthly'
+    ? onDayOfMonth(addMonths(anchor, steps), day)
+    : addDays(anchor, steps * (frequency === 'weekly' ? 7 : 14));
+
+/**
+ * Late fee on one missed installment before the plan-wide cap
+ */
+const installmentLateFee = (rule: BNPLLateFeeRule, daysLate: number): number => {
+  if (daysLate <= rule.grace_days) return 0;
+  const repeats = rule.repeat_fee > 0 && rule.repeat_days > 0 && daysLate - rule.grace_days >= rule.repeat_days ? 1 : 0;
+  return rule.fee + repeats * rule.repeat_fee;
+};
+
+/**
+ * Most a provider charges in late fees on one purchase
+ * @param rule - Provider rule
+ * @param purchase - Purchase amount
+ * @returns Cap in dollars, or Infinity
+ */
+export const lateFeeCap = (rule: BNPLLateFeeRule, purchase: number): number => {
+  if (rule.small_order_cap != null && purchase < rule.small_order_threshold) return rule.small_order_cap;
+  const caps = [
+    rule.cap_percent != null ? round2(purchase * rule.cap_percent / 100) : Infinity,
+    rule.cap_amount ?? Infinity,
+  ];
+  return Math.min(...caps);
+};
+
+// ============================================================================
+// Schedule
+// ============================================================================
+
+/**
+ * Build a plan's installment schedule. The first installment is the saved
+ * first payment date, else the purchase date for Pay-in-4 plans (paid at
+ * checkout) or a month after it for monthly plans, else counted back from the
+ * next due date. Without recorded payments, installments before the remaining
+ * ones are taken as paid, and on autopay plans every installment past its due
+ * date is paid unless a payment record marks it missed.
+ * @param plan - BNPL plan
+ * @param options - Day to measure statuses and late fees on
+ * @returns Schedule, or null when the plan has no amount, count or dates
+ */
+export const generateBNPLSchedule = (
+  plan: BNPLSchedulePlan,
+  options: BNPLScheduleOptions = {}
+): BNPLSchedule | null => {
+  const asOf = toDay(options.as_of) ?? today();
+  const frequency = bnplFrequency(plan.payment_frequency);
+  const provider = bnplProvider(plan.provider);
+  const apr = Math.max(0, toNumber(plan.apr));
+  const payments = plan.installment_payments || [];
+
+  const remainingSaved = toCount(plan.remaining_installments ?? plan.num_payments_remaining);
+  const count = toCount(plan.total_installments) || remainingSaved || 0;
+  if (count <= 0) return null;
+  const priorPaid = payments.length > 0 ? 0 : Math.max(0, count - (remainingSaved ?? count));
+
+  const purchase = toDay(plan.purchase_date);
+  const nextDue = toDay(plan.next_due_date ?? plan.next_payment_date);
+  const first = toDay(plan.first_payment_date)
+    ?? (purchase && (frequency === 'monthly' ? shiftDate(purchase, frequency, 1) : purchase))
+    ?? (nextDue && shiftDate(nextDue, frequency, -priorPaid));
+  if (!first) return null;
+  const day = (toDay(plan.first_payment_date) ?? purchase ?? nextDue ?? first).getDate();
+
+  const savedInstallment = toNumber(plan.installment_amount ?? plan.payment_amount);
+  const principal = round2(toNumber(plan.principal_amount) || toNumber(plan.total_amount) || savedInstallment * count);
+  if (principal <= 0) return null;
+
+  // Monthly financing amortizes at the APR; Pay-in-4 splits the purchase evenly with the cents on the first
+  const financed = frequency === 'monthly' && apr > 0;
+  const rate = apr / 100 / 12;
+  const level = financed
+    ? savedInstallment || amortizedPayment(principal, apr, count)
+    : savedInstallment || Math.floor(principal / count * 100) / 100;
+
+  const paidByNumber = new Map(payments.map(payment => [Number(payment.number), payment]));
+  const planPaid = plan.status === 'paid';
+  const rule = BNPL_LATE_FEE_RULES[provider];
+
+  let balance = principal;
+  const installments: BNPLInstallment[] = [];
+  for (let number = 1; number <= count; number++) {
+    const due = shiftDate(first, frequency, number - 1, day);
+    const interest = financed ? round2(balance * rate) : 0;
+    const last = number === count;
+    let amount: number;
+    if (financed) {
+      amount = last ? round2(balance + interest) : round2(Math.min(level, balance + interest));
+    } else if (savedInstallment) {
+      amount = level;
+    } else {
+      amount = number === 1 ? round2(principal - level * (count - 1)) : level;
+    }
+    const principalPart = round2(Math.max(0, Math.min(balance, amount - interest)));
+    balance = round2(balance - principalPart);
+
+    const record = paidByNumber.get(number);
+    const autopaid = !!plan.is_autopay && differenceInCalendarDays(asOf, due) > 0;
+    const paid = planPaid || (record ? !record.missed : number <= priorPaid || autopaid);
+    const daysLate = paid ? 0 : Math.max(0, differenceInCalendarDays(asOf, due));
+    const status: BNPLInstallmentStatus = paid
+      ? 'paid'
+      : daysLate > 0 ? 'missed' : differenceInCalendarDays(due, asOf) === 0 ? 'due' : 'upcoming';
+
+    installments.push({
+      number,
+      due_date: toDateKey(due),
+      amount,
+      principal: principalPart,
+      interest,
+      status,
+      paid_date: paid ? record?.paid_date ?? (autopaid ? toDateKey(due) : null) : null,
+      days_late: daysLate,
+      late_fee: status === 'missed' ? installmentLateFee(rule, daysLate) : 0,
+    });
+  }
+
+  // Providers cap total late fees per purchase; trim from the latest installment back
+  let excess = installments.reduce((sum, item) => sum + item.late_fee, 0) - lateFeeCap(rule, principal);
+  for (let i = installments.length - 1; i >= 0 && excess > 0; i--) {
+    const trim = Math.min(installments[i].late_fee, excess);
+    installments[i].late_fee = round2(installments[i].late_fee - trim);
+    excess -= trim;
+  }
+
+  const unpaid = installments.filter(item => item.status !== 'paid');
+  const lateFees = round2(installments.reduce((sum, item) => sum + item.late_fee, 0));
+  const missed = unpaid.filter(item => item.status === 'missed').length;
+  const totalCost = round2(installments.reduce((sum, item) => sum + item.amount, 0));
+
+  let status: BNPLSchedule['status'] = unpaid.length === 0 ? 'paid' : missed > 0 ? 'overdue' : 'active';
+  if (plan.status === 'cancelled') status = 'cancelled';
+
+  return {
+    plan_id: plan.id,
+    name: [plan.provider, plan.merchant || plan.name].filter(Boolean).join(' • ') || 'BNPL',
+    provider,
+    frequency,
+    apr: financed ? apr : 0,
+    principal,
+    installments,
+    total_cost: totalCost,
+    total_interest: round2(installments.reduce((sum, item) => sum + item.interest, 0)),
+    paid_count: installments.length - unpaid.length,
+    missed_count: missed,
+    remaining_count: unpaid.length,
+    remaining_balance: round2(unpaid.reduce((sum, item) => sum + item.amount, 0) + lateFees),
+    late_fees: lateFees,
+    next_installment: unpaid[0] ?? null,
+    status,
+  };
+};
+
+/**
+ * Plan fields to save when the next unpaid installment is paid
+ * @param plan - BNPL plan
+ * @param paidDate - Payment date, yyyy-MM-dd (default today)
+ * @returns Updated payments, counts, next due date and status, or null when nothing is owed
+ */
+export const recordInstallmentPayment = (
+  plan: BNPLSchedulePlan,
+  paidDate?: string
+): Pick<
+  BNPLSchedulePlan,
+  'installment_payments' | 'total_installments' | 'remaining_installments' | 'next_due_date' | 'status'
+> | null => {
+  const date = toDateKey(toDay(paidDate) ?? new Date());
+  const schedule = generateBNPLSchedule(plan, { as_of: date });
+  const next = schedule?.next_installment;
+  if (!schedule || !next) return null;
+
+  // Plans saved before payments were recorded keep their earlier installments as paid
+  const payments = plan.installment_payments?.length
+    ? plan.installment_payments.filter(payment => Number(payment.number) !== next.number)
+    : schedule.installments
+      .filter(item => item.status === 'paid')
+      .map(item => ({ number: item.number, paid_date: item.due_date, amount: item.amount }));
+  const remaining = schedule.installments.filter(item => item.status !== 'paid' && item.number !== next.number);
+
+  return {
+    installment_payments: [...payments, { number: next.number, paid_date: date, amount: next.amount }],
+    total_installments: schedule.installments.length,
+    remaining_installments: remaining.length,
+    next_due_date: remaining[0]?.due_date ?? next.due_date,
+    status: remaining.length === 0 ? 'paid' : 'active',
+  };
+};
+
+/**
+ * Totals across plans
+ */
+export interface BNPLPortfolioSummary {
+  /** Schedules of plans still being paid */
+  schedules: BNPLSchedule[];
+  active_count: number;
+  /** Unpaid installments plus late fees */
+  total_owed: number;
+  late_fees: number;
+  missed_count: number;
+  /** Unpaid installments across plans, earliest first */
+  upcoming: Array<{ schedule: BNPLSchedule; installment: BNPLInstallment }>;
+}
+
+/**
+ * Schedules and totals for a set of plans. Plans without enough detail for a
+ * schedule count as their installment amount times the installments left.
+ * @param plans - BNPL plans
+ * @param options - Day to measure statuses and late fees on
+ * @returns Active schedules, amount owed, late fees and upcoming installments
+ */
+export const summarizeBNPLPlans = (
+  plans: BNPLSchedulePlan[],
+  options: BNPLScheduleOptions = {}
+): BNPLPortfolioSummary => {
+  const schedules: BNPLSchedule[] = [];
+  let fallbackOwed = 0;
+  let fallbackCount = 0;
+  for (const plan of plans) {
+    const schedule = generateBNPLSchedule(plan, options);
+    if (schedule) {
+      if (schedule.status === 'active' || schedule.status === 'overdue') schedules.push(schedule);
+    } else if (!plan.status || plan.status === 'active' || plan.status === 'overdue') {
+      fallbackOwed += toNumber(plan.installment_amount ?? plan.payment_amount)
+        * toNumber(plan.remaining_installments ?? plan.num_payments_remaining);
+      fallbackCount++;
+    }
+  }
+
+  const upcoming = schedules
+    .flatMap(schedule => schedule.installments
+      .filter(installment => installment.status !== 'paid')
+      .map(installment => ({ schedule, installment })))
+    .sort((a, b) => a.installment.due_date.localeCompare(b.installment.due_date));
+
+  return {
+    schedules,
+    active_count: schedules.length + fallbackCount,
+    total_owed: round2(schedules.reduce((sum, schedule) => sum + schedule.remaining_balance, 0) + fallbackOwed),
+    late_fees: round2(schedules.reduce((sum, schedule) => sum + schedule.late_fees, 0)),
+    missed_count: schedules.reduce((sum, schedule) => sum + schedule.missed_count, 0),
+    upcoming,
+  };
+};
+
+// ============================================================================
+// Cashflow Collisions
+// ============================================================================
+
+export const DEFAULT_LOW_BALANCE_THRESHOLD = 100;
+
+/**
+ * Days in a cashflow projection where several BNPL installments come out on a
+ * day that closes at or below the low-balance threshold, or on the lowest day
+ * @param projection - Cashflow projection including BNPL plans
+ * @param options - Low-balance threshold and installments per collision
+ * @returns Warnings by date
+ */
+export const bnplCollisionWarnings = (
+  projection: CashflowProjection | null | undefined,
+  options: BNPLCollisionOptions = {}
+): BNPLCollisionWarning[] => {
+  if (!projection) return [];
+  const threshold = options.low_balance_threshold ?? DEFAULT_LOW_BALANCE_THRESHOLD;
+  const minimum = Math.max(1, options.min_installments ?? 2);
+
+  return projection.days.flatMap(day => {
+    const installments = day.events
+      .filter(event => event.source === 'bnpl')
+      .map(event => ({ plan_id: event.source_id, name: event.name, amount: round2(-event.amount) }));
+    const isLowest = day.date === projection.lowest.date;
+    if (installments.length < minimum || (day.balance > threshold && !isLowest)) return [];
+    return [{
+      date: day.date,
+      balance: day.balance,
+      installments,
+      total: round2(installments.reduce((sum, item) => sum + item.amount, 0)),
+      is_lowest: isLowest,
+    }];
+  });
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Tests for budget periods and rollover
+ * @description Covers period windows aligned to pay dates, positive and negative
+ * rollover, per-month budget records and the current-period budget variance
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseISO } from 'date-fns';
+import { budgetWindowFor, buildBudgetHistory, periodLimit } from './budgetPeriods';
+import { calculateBudgetVariance } from './calculations';
+
+const expense = (date: string, amount: number, category = 'groceries') => ({ date, amount, category, type: 'expense' });
+
+describe('budgetWindowFor', () => {
+  it('aligns weekly and biweekly periods to the next payday', () => {
+    const pay = { pay_frequency: 'biweekly' as const, next_payday: '2025-06-13' };
+    expect(budgetWindowFor('biweekly', parseISO('2025-06-05'), pay)).toEqual({ start: '2025-05-30', end: '2025-06-12' });
+    expect(budgetWindowFor('weekly', parseISO('2025-06-13'), pay)).toEqual({ start: '2025-06-13', end: '2025-06-19' });
+    // Mondays without a payday
+    expect(budgetWindowFor('weekly', parseISO('2025-06-05'))).toEqual({ start: '2025-06-02', end: '2025-06-08' });
+  });
+
+  it('uses calendar months unless pay is monthly', () => {
+    expect(budgetWindowFor('monthly', parseISO('2025-02-10'))).toEqual({ start: '2025-02-01', end: '2025-02-28' });
+    const pay = { pay_frequency: 'monthly' as const, next_payday: '2025-01-31' };
+    expect(budgetWindowFor('monthly', parseISO('2025-03-10'), pay)).toEqual({ start: '2025-02-28', end: '2025-03-30' });
+  });
+});
+
+describe('buildBudgetHistory', () => {
+  it('carries unspent money and overspending into the next period', () => {
+    const [history] = buildBudgetHistory(
+      [{ id: 'b1', category: 'groceries', monthly_limit: 300, rollover_enabled: true, start_date: '2025-03-01' }],
+      [expense('2025-03-10', 250), expense('2025-04-03', 400), expense('2025-05-20', 100), expense('2025-05-21', 50, 'fuel')],
+      { as_of: '2025-05-25', count: 12 }
+    );
+
+    expect(history.snapshots.map(s => [s.start, s.limit, s.carried_in, s.spent, s.remaining])).toEqual([
+      ['2025-03-01', 300, 0, 250, 50],
+      ['2025-04-01', 300, 50, 400, -50],
+      ['2025-05-01', 300, -50, 100, 150],
+    ]);
+    expect(history.current).toMatchObject({ start: '2025-05-01', available: 250, carry_out: 150, status: 'good' });
+  });
+
+  it('keeps the last periods and splits the monthly limit across weekly periods', () => {
+    const [history] = buildBudgetHistory(
+      [{ category: 'groceries', monthly_limit: 520, period: 'weekly' }],
+      [expense('2025-06-03', 150)],
+      { as_of: '2025-06-05', count: 3 }
+    );
+
+    expect(periodLimit(520, 'weekly')).toBe(120);
+    expect(history.snapshots.map(s => [s.start, s.carried_in, s.spent])).toEqual([
+      ['2025-05-19', 0, 0],
+      ['2025-05-26', 0, 0],
+      ['2025-06-02', 0, 150],
+    ]);
+    expect(history.current).toMatchObject({ limit: 120, remaining: -30, status: 'over' });
+  });
+
+  it('reads the limit from the month record in effect for each period', () => {
+    const [history] = buildBudgetHistory(
+      [
+        { id: 'jan', category: 'dining', monthly_limit: 100, year: 2025, month: 1 },
+        { id: 'mar', category: 'dining', monthly_limit: 200, year: 2025, month: 3 },
+      ],
+      [],
+      { as_of: '2025-03-15', count: 4 }
+    );
+
+    expect(history.snapshots.map(s => [s.start, s.limit])).toEqual([
+      ['2025-01-01', 100],
+      ['2025-02-01', 100],
+      ['2025-03-01', 200],
+    ]);
+    expect(history.budget_id).toBe('mar');
+  });
+});
+
+describe('calculateBudgetVariance', () => {
+  it('reports the current period with the amount rolled over', () => {
+    const [variance] = calculateBudgetVariance(
+      [{ id: 'b1', category: 'groceries', monthly_limit: 300, rollover_enabled: true, start_date: '2025-04-01' }],
+      [
+        { id: 't1', ...expense('2025-04-10', 200), type: 'expense' as const },
+        { id: 't2', ...expense('2025-05-02', 320), type: 'expense' as const },
+      ],
+      { as_of: '2025-05-10' }
+    );
+
+    expect(variance).toMatchObject({
+      period_start: '2025-05-01',
+      period_end: '2025-05-31',
+      period_limit: 300,
+      carried_in: 100,
+      available: 400,
+      spent: 320,
+      remaining: 80,
+      variance: 80,
+      percentage_used: 80,
+      status: 'warning',
+    });
+  });
+
+  it('counts each line of a split transaction toward its own budget', () => {
+    const variances = calculateBudgetVariance(
+      [
+        { id: 'b1', category: 'groceries', monthly_limit: 300, start_date: '2025-05-01' },
+        { id: 'b2', category: 'household', monthly_limit: 100, start_date: '2025-05-01' },
+      ],
+      [
+        {
+          id: 't1',
+          ...expense('2025-05-02', 180),
+          type: 'expense' as const,
+          splits: [{ category: 'groceries', amount: 120 }, { category: 'household', amount: 60 }],
+        },
+      ],
+      { as_of: '2025-05-10' }
+    );
+
+    expect(variances.map(v => [v.category, v.spent])).toEqual([['groceries', 120], ['household', 60]]);
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Budget periods with rollover
+ * @description Splits each budget category into weekly, biweekly or monthly
+ * periods aligned to pay dates and snapshots every period's limit, spending and
+ * the amount carried in from the period before. Rollover carries both unspent
+ * money and overspending forward. Used by the budget variance calculation and
+ * the budget history view.
+ */
+
+import { addDays, addMonths, differenceInCalendarDays, parseISO } from 'date-fns';
+import type { ProjectionPaySettings } from './cashflowProjection';
+import { expandSplits, type TransactionSplit } from './splitTransactions';
+import { onDayOfMonth, round2, toDateKey, toDay, today, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type BudgetPeriodType = 'weekly' | 'biweekly' | 'monthly';
+
+export type BudgetPeriodStatus = 'good' | 'warning' | 'over';
+
+/**
+ * Budget fields read here. A category can have several records: one per month
+ * (`year`/`month`) or dated by `start_date`; each applies until a later one.
+ */
+export interface PeriodBudget {
+  id?: string | number;
+  category: string;
+  /** Limit per month; weekly and biweekly periods get their share of it */
+  monthly_limit?: number;
+  /** Older budgets store the limit as `amount` */
+  amount?: number;
+  period?: BudgetPeriodType | string;
+  rollover_enabled?: boolean;
+  start_date?: string;
+  end_date?: string;
+  is_active?: boolean;
+  year?: number;
+  /** 1-12 */
+  month?: number;
+}
+
+/**
+ * Transaction fields read here
+ */
+export interface PeriodTransaction {
+  date: string | Date;
+  category?: string;
+  amount: number | string;
+  type?: string;
+  splits?: TransactionSplit[] | null;
+}
+
+export interface BudgetPeriodOptions {
+  /** Day inside the latest period (default today) */
+  as_of?: string | Date;
+  /** Periods of history to keep per category (default 12) */
+  count?: number;
+  /** Weekly and biweekly periods start on paydays; monthly on a monthly payday */
+  paycheck_settings?: ProjectionPaySettings | null;
+}
+
+/**
+ * First and last day of a period (yyyy-MM-dd)
+ */
+export interface BudgetWindow {
+  start: string;
+  end: string;
+}
+
+/**
+ * One period of one category
+ */
+export interface BudgetPeriodSnapshot extends BudgetWindow {
+  /** This period's share of the monthly limit */
+  limit: number;
+  /** Carried over from the previous period; negative after overspending */
+  carried_in: number;
+  /** limit + carried_in */
+  available: number;
+  spent: number;
+  /** available - spent */
+  remaining: number;
+  /** Carried into the next period (zero without rollover) */
+  carry_out: number;
+  percentage_used: number;
+  status: BudgetPeriodStatus;
+}
+
+/**
+ * Period history of one category
+ */
+export interface BudgetCategoryHistory {
+  category: string;
+  /** Record that sets the latest period's limit */
+  budget_id?: string | number;
+  period: BudgetPeriodType;
+  rollover_enabled: boolean;
+  /** Oldest first, ending with the period that contains `as_of` */
+  snapshots: BudgetPeriodSnapshot[];
+  /** Period containing `as_of`, or null when no budget applies to it */
+  current: BudgetPeriodSnapshot | null;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const PERIODS_PER_YEAR: Record<BudgetPeriodType, number> = { weekly: 52, biweekly: 26, monthly: 12 };
+const PERIOD_DAYS: Record<string, number> = { weekly: 7, biweekly: 14 };
+
+// Weekly and biweekly periods without a payday start on Mondays counted from here
+const DEFAULT_WEEK_ANCHOR = '2024-01-01';
+
+// Guard for rollover chains from very old start dates
+const MAX_PERIODS = 520;
+
+/**
+ * Normalized period of a budget (monthly when unset)
+ */
+export const budgetPeriodType = (value: string | undefined | null): BudgetPeriodType =>
+  value === 'weekly' || value === 'biweekly' ? value : 'monthly';
+
+/**
+ * Share of a monthly limit for one period
+ * @param monthlyLimit - Limit per month
+ * @param period - Budget period
+ * @returns Limit per period
+ */
+export const periodLimit = (monthlyLimit: number, period: BudgetPeriodType): number =>
+  round2(monthlyLimit * 12 / PERIODS_PER_YEAR[period]);
+
+/**
+ * First day from which a record applies, or null when it always applies
+ */
+const recordStart = (budget: PeriodBudget): Date | null => {
+  if (budget.year && budget.month) return new Date(budget.year, budget.month - 1, 1);
+  return toDay(budget.start_date);
+};
+
+const spentOf = (transaction: PeriodTransaction): number => Math.abs(toNumber(transaction.amount));
+
+// ============================================================================
+// Period Windows
+// ============================================================================
+
+/**
+ * Period containing a day. Weekly and biweekly periods start on paydays (when
+ * `next_payday` is known) or on Mondays; monthly periods start on the payday of
+ * a monthly pay schedule, or on the 1st.
+ * @param period - Budget period
+ * @param date - Day inside the period
+ * @param paySettings - Paycheck settings used as the anchor
+ * @returns Start and end of the period
+ */
+export const budgetWindowFor = (
+  period: BudgetPeriodType,
+  date: Date,
+  paySettings?: ProjectionPaySettings | null
+): BudgetWindow => {
+  const payday = toDay(paySettings?.next_payday);
+
+  if (period === 'monthly') {
+    const day = payday && paySettings?.pay_frequency === 'monthly' ? payday.getDate() : 1;
+    let start = onDayOfMonth(date, day);
+    if (start > date) start = onDayOfMonth(addMonths(date, -1), day);
+    const next = onDayOfMonth(addMonths(start, 1), day);
+    return { start: toDateKey(start), end: toDateKey(addDays(next, -1)) };
+  }
+
+  const length = PERIOD_DAYS[period];
+  const anchor = payday ?? parseISO(DEFAULT_WEEK_ANCHOR);
+  const offset = differenceInCalendarDays(date, anchor);
+  const start = addDays(anchor, Math.floor(offset / length) * length);
+  return { start: toDateKey(start), end: toDateKey(addDays(start, length - 1)) };
+};
+
+/**
+ * Consecutive periods from the one containing `from` to the one containing `to`
+ * @param period - Budget period
+ * @param from - Day in the first period
+ * @param to - Day in the last period
+ * @param paySettings - Paycheck settings used as the anchor
+ * @returns Periods, oldest first
+ */
+export const budgetWindowsBetween = (
+  period: BudgetPeriodType,
+  from: Date,
+  to: Date,
+  paySettings?: ProjectionPaySettings | null
+): BudgetWindow[] => {
+  const out: BudgetWindow[] = [];
+  const first = toDateKey(from);
+  // Walk back from the latest period so a capped chain keeps the most recent ones
+  let cur = to;
+  while (out.length < MAX_PERIODS) {
+    const window = budgetWindowFor(period, cur, paySettings);
+    if (window.end < first) break;
+    out.push(window);
+    cur = addDays(parseISO(window.start), -1);
+  }
+  return out.reverse();
+};
+
+/**
+ * Start of the period `count - 1` periods before the one containing `date`
+ */
+const windowsBack = (
+  period: BudgetPeriodType,
+  date: Date,
+  count: number,
+  paySettings?: ProjectionPaySettings | null
+): Date => {
+  let start = parseISO(budgetWindowFor(period, date, paySettings).start);
+  for (let i = 1; i < count; i++) {
+    start = parseISO(budgetWindowFor(period, addDays(start, -1), paySettings).start);
+  }
+  return start;
+};
+
+// ============================================================================
+// Budget History
+// ============================================================================
+
+/**
+ * Snapshots each budget category period by period. With rollover, a category's
+ * chain starts at its earliest record (`start_date` or `year`/`month`), or at the
+ * first period shown for records without a date.
+ * @param budgets - Budget records
+ * @param transactions - Transactions; expenses count toward their category,
+ * or toward each category they are split across
+ * @param options - As-of date, number of periods and pay schedule
+ * @returns One history per category, in the order categories first appear
+ */
+export const buildBudgetHistory = (
+  budgets: PeriodBudget[],
+  transactions: PeriodTransaction[],
+  options: BudgetPeriodOptions = {}
+): BudgetCategoryHistory[] => {
+  const asOf = toDay(options.as_of) ?? today();
+  const count = Math.max(1, options.count ?? 12);
+  const paySettings = options.paycheck_settings;
+
+  const byCategory = new Map<string, PeriodBudget[]>();
+  for (const budget of budgets || []) {
+    if (!budget?.category || budget.is_active === false) continue;
+    byCategory.set(budget.category, [...(byCategory.get(budget.category) ?? []), budget]);
+  }
+
+  const expenses = expandSplits(transactions || []).filter(t => t && t.type === 'expense' && t.category && toDay(t.date));
+
+  return [...byCategory.entries()].map(([category, records]) => {
+    // Undated records first, then by start; the last one holds the category's settings
+    const ordered = [...records].sort((a, b) => (recordStart(a)?.getTime() ?? -Infinity) - (recordStart(b)?.getTime() ?? -Infinity));
+    const latest = ordered[ordered.length - 1];
+    const period = budgetPeriodType(latest.period);
+    const rollover = Boolean(latest.rollover_enabled);
+
+    const shownFrom = windowsBack(period, asOf, count, paySettings);
+    const earliest = recordStart(ordered[0]);
+    const from = rollover && earliest && earliest < shownFrom ? earliest : shownFrom;
+    const windows = budgetWindowsBetween(period, from, asOf, paySettings);
+
+    const spending = expenses.filter(t => t.category === category);
+    const snapshots: BudgetPeriodSnapshot[] = [];
+    let carry = 0;
+    let budgetId = latest.id;
+
+    for (const window of windows) {
+      const start = parseISO(window.start);
+      const end = parseISO(window.end);
+      const record = [...ordered].reverse().find(r => {
+        const applies = recordStart(r);
+        const until = toDay(r.end_date);
+        return (!applies || applies <= end) && (!until || until >= start);
+      });
+      if (!record) {
+        carry = 0;
+        continue;
+      }
+
+      const limit = periodLimit(toNumber(record.monthly_limit ?? record.amount), period);
+      const spent = round2(spending
+        .filter(t => {
+          const key = toDateKey(toDay(t.date)!);
+          return key >= window.start && key <= window.end;
+        })
+        .reduce((sum, t) => sum + spentOf(t), 0));
+      const carriedIn = rollover ? carry : 0;
+      const available = round2(limit + carriedIn);
+      const remaining = round2(available - spent);
+      const percentageUsed = available > 0 ? spent / available * 100 : spent > 0 ? 100 : 0;
+      carry = rollover ? remaining : 0;
+      budgetId = record.id;
+
+      snapshots.push({
+        ...window,
+        limit,
+        carried_in: carriedIn,
+        available,
+        spent,
+        remaining,
+        carry_out: carry,
+        percentage_used: percentageUsed,
+        status: percentageUsed >= 100 ? 'over' : percentageUsed >= 80 ? 'warning' : 'good',
+      });
+    }
+
+    const shown = snapshots.filter(s => s.end >= toDateKey(shownFrom));
+    const last = shown[shown.length - 1];
+    const current = last && last.start <= toDateKey(asOf) && last.end >= toDateKey(asOf) ? last : null;
+
+    return {
+      category,
+      budget_id: budgetId,
+      period,
+      rollover_enabled: rollover,
+      snapshots: shown,
+      current,
+    };
+  });
+};
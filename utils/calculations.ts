@@ -14,7 +14,19 @@
 };ization
  */
 
-import { format, addMonths, differenceInDays, parseISO } from 'date-fns';
+import { addMonths, differenceInDays } from 'date-fns';
+import { calculatePayWeek, resolveShiftRule } from './payEngine';
+import {
+  calculateStateTax,
+  withholdingShare,
+  type StateTaxTable,
+  type WithholdingOptions,
+  type WithholdingProfile
+} from './withholding';
+import { simulateDebtPayoff, type PayoffStrategy } from './debtPayoff';
+import { buildBudgetHistory, type BudgetPeriodOptions, type BudgetPeriodType } from './budgetPeriods';
+import { contributionVelocity, type GoalContribution } from './goalFunding';
+import { round2 } from './primitives';
 
 // ============================================================================
 // Type Definitions
@@ -57,6 +69,11 @@ export interface PayRule {
  */
 export interface Shift {
   id: string;
+  shift_rule_id?: string;
+  title?: string;
+  location?: string;
+  start_datetime?: string | Date;
+  end_datetime?: string | Date;
   actual_hours?: number;
   scheduled_hours?: number;
   tags?: string[];
@@ -85,6 +102,16 @@ export interface ShiftPayResult {
   tax_withholding: number;
 }
 
+/**
+ * Paycheck settings used to take a shift's pay to net
+ */
+export interface ShiftWithholding {
+  profile?: WithholdingProfile;
+  options?: WithholdingOptions;
+  /** Gross pay of the whole check the shift is paid in, when known */
+  check_gross?: number;
+}
+
 /**
  * Debt entity for payoff calculations
  */
@@ -108,7 +135,7 @@ export interface DebtSchedule extends Debt {
 /**
  * Debt payoff strategy type
  */
-export type DebtStrategy = 'avalanche' | 'snowball';
+export type DebtStrategy = PayoffStrategy;
 
 /**
  * Debt payoff calculation result
@@ -118,6 +145,7 @@ export interface DebtPayoffResult {
   total_months: number;
   total_interest: number;
   debt_free_date: Date;
+  /** Interest saved versus avalanche, or versus snowball for avalanche itself (negative when it costs more) */
   strategy_savings: number;
 }
 
@@ -154,6 +182,12 @@ export interface Budget {
   id: string;
   category: string;
   monthly_limit: number;
+  period?: BudgetPeriodType;
+  rollover_enabled?: boolean;
+  start_date?: string;
+  end_date?: string;
+  year?: number;
+  month?: number;
 }
 
 /**
@@ -165,6 +199,8 @@ export interface Transaction {
   category: string;
   amount: number;
   type: 'income' | 'expense';
+  /** Category lines when split; each counts toward its own budget */
+  splits?: Array<{ category: string; amount: number }>;
 }
 
 /**
@@ -176,6 +212,14 @@ export type BudgetStatus = 'good' | 'warning' | 'over';
  * Budget variance result
  */
 export interface BudgetVariance extends Budget {
+  period_start?: string;
+  period_end?: string;
+  /** This period's share of the monthly limit */
+  period_limit: number;
+  /** Rolled over from the previous period; negative after overspending */
+  carried_in: number;
+  /** period_limit + carried_in */
+  available: number;
   spent: number;
   remaining: number;
   variance: number;
@@ -191,6 +235,7 @@ export interface Goal {
   target_amount: number;
   current_amount: number;
   target_date: string | Date;
+  contributions?: GoalContribution[];
 }
 
 /**
@@ -266,12 +311,20 @@ export const formatPercentage = (value: number, decimals: number = 1): string =>
 // ============================================================================
 
 /**
- * Calculate pay for a work shift including overtime and differentials
+ * Calculate pay for a single work shift including overtime and differentials.
+ * Delegates to the pay engine; use {@link calculatePayWeek} directly to evaluate
+ * a whole pay week so weekly overtime accumulates across shifts.
+ * Net pay comes from the withholding engine using the saved paycheck settings.
  * @param shift - Shift data
  * @param rules - Pay rules to apply
+ * @param withholding - Withholding profile, tax tables and the gross of the check the shift is paid in
  * @returns Detailed pay breakdown
  */
-export const calculateShiftPay = (shift: Shift, rules: PayRule[]): ShiftPayResult => {
+export const calculateShiftPay = (
+  shift: Shift,
+  rules: PayRule[],
+  withholding: ShiftWithholding = {}
+): ShiftPayResult => {
   if (!shift || !rules || rules.length === 0) {
     return {
       gross_pay: 0,
@@ -284,70 +337,41 @@ export const calculateShiftPay = (shift: Shift, rules: PayRule[]): ShiftPayResul
     };
   }
   
-  const cacheKey = getCacheKey({ shift, rules: rules[0]?.id });
+  const activeRule = resolveShiftRule(shift, rules) || rules[0];
+  const cacheKey = getCacheKey({ shift, rules: activeRule.id, withholding });
   const cached = calculationCache.get(cacheKey) as ShiftPayResult | undefined;
   if (cached) {
     return cached;
   }
 
-  const activeRule = rules.find(r => r.active) || rules[0];
-  const hours = shift.actual_hours || shift.scheduled_hours || 0;
-  const baseRate = activeRule.base_hourly_rate;
-  
-  let grossPay = 0;
-  let overtimePay = 0;
-  let differentialPay = 0;
-  const differentialsApplied: AppliedDifferential[] = [];
-
-  // Base pay calculation
-  const regularHours = Math.min(hours, activeRule.overtime_threshold || 40);
-  const overtimeHours = Math.max(0, hours - (activeRule.overtime_threshold || 40));
-  
-  grossPay = regularHours * baseRate;
-  
-  // Overtime calculation
-  if (overtimeHours > 0) {
-    overtimePay = overtimeHours * baseRate * (activeRule.overtime_multiplier || 1.5);
-    grossPay += overtimePay;
-  }
+  const { lines, totals } = calculatePayWeek([shift], activeRule);
 
-  // Apply differentials
-  if (activeRule.differentials && shift.tags) {
-    activeRule.differentials.forEach(diff => {
-      if (shift.tags!.includes(diff.type)) {
-        let diffAmount = 0;
-        
-        if (diff.is_percentage) {
-          diffAmount = grossPay * (diff.amount / 100);
-        } else {
-          diffAmount = hours * diff.amount;
-        }
-        
-        differentialPay += diffAmount;
-        differentialsApplied.push({
-          name: diff.name,
-          amount: diffAmount,
-          hours: hours,
-          rate: diff.amount
-        });
-      }
-    });
-  }
+  const differentialsApplied: AppliedDifferential[] = lines
+    .filter(line => line.category === 'differential')
+    .map(line => ({
+      name: line.label,
+      amount: line.amount,
+      hours: line.hours,
+      rate: line.rate
+    }));
 
-  grossPay += differentialPay;
+  const grossPay = totals.gross_pay;
 
-  // Simplified tax calculation (could be enhanced)
-  const taxRate = 0.25; // Federal + State + FICA estimated
-  const netPay = grossPay * (1 - taxRate);
+  const { net_pay: netPay, total_taxes: taxes } = withholdingShare(
+    grossPay,
+    withholding.profile,
+    withholding.options,
+    withholding.check_gross
+  );
 
   const result: ShiftPayResult = {
-    gross_pay: Math.round(grossPay * 100) / 100,
-    net_pay: Math.round(netPay * 100) / 100,
-    base_pay: regularHours * baseRate,
-    overtime_pay: overtimePay,
-    differential_pay: differentialPay,
+    gross_pay: grossPay,
+    net_pay: netPay,
+    base_pay: totals.base_pay,
+    overtime_pay: totals.overtime_pay + totals.double_time_pay,
+    differential_pay: totals.differential_pay,
     differentials_applied: differentialsApplied,
-    tax_withholding: grossPay - netPay
+    tax_withholding: taxes
   };
 
   calculationCache.set(cacheKey, result);
@@ -359,16 +383,19 @@ export const calculateShiftPay = (shift: Shift, rules: PayRule[]): ShiftPayResul
 // ============================================================================
 
 /**
- * Calculate debt payoff schedule using avalanche or snowball method
+ * Calculate debt payoff schedule by simulating all debts together month by month
  * @param debts - List of debts
- * @param strategy - Payoff strategy (avalanche = highest interest first, snowball = lowest balance first)
+ * @param strategy - Payoff strategy (avalanche = highest interest first, snowball = lowest balance first,
+ * highest_interest_cost = largest monthly interest charge first, custom = customOrder)
  * @param extraPayment - Additional monthly payment to apply
+ * @param customOrder - Debt ids in payoff order for the custom strategy
  * @returns Debt payoff schedule and totals
  */
 export const calculateDebtPayoff = (
   debts: Debt[],
   strategy: DebtStrategy = 'avalanche',
-  extraPayment: number = 0
+  extraPayment: number = 0,
+  customOrder: string[] = []
 ): DebtPayoffResult | null => {
   if (!debts || debts.length === 0) return null;
 
@@ -380,7 +407,8 @@ export const calculateDebtPayoff = (
       minimum_payment: d.minimum_payment
     })),
     strategy,
-    extraPayment
+    extraPayment,
+    customOrder
   });
   
   const cached = calculationCache.get(cacheKey) as DebtPayoffResult | undefined;
@@ -388,49 +416,30 @@ export const calculateDebtPayoff = (
     return cached;
   }
 
-  const sortedDebts = [...debts].sort((a, b) => {
-    return strategy === 'avalanche' 
-      ? b.apr - a.apr  // Highest interest first
-      : a.balance - b.balance;  // Lowest balance first
-  });
-
-  let totalInterest = 0;
-  let maxMonths = 0;
-  let snowball = extraPayment;
-  
-  const schedule: DebtSchedule[] = sortedDebts.map((debt, index) => {
-    let balance = debt.balance;
-    let payment = debt.minimum_payment + (index === 0 ? snowball : 0);
-    let months = 0;
-    let interestPaid = 0;
-
-    while (balance > 0.01 && months < 600) {
-      const monthlyInterest = balance * (debt.apr / 100 / 12);
-      const principalPayment = Math.min(Math.max(payment - monthlyInterest, 0), balance);
-      
-      balance -= principalPayment;
-      interestPaid += monthlyInterest;
-      months++;
-    }
-
-    snowball += debt.minimum_payment;
-    totalInterest += interestPaid;
-    maxMonths = Math.max(maxMonths, months);
+  const alternative: DebtStrategy = strategy === 'avalanche' ? 'snowball' : 'avalanche';
+  const options = { extra_payment: extraPayment, custom_order: customOrder };
+  const plan = simulateDebtPayoff(debts, { ...options, strategy });
+  const other = simulateDebtPayoff(debts, { ...options, strategy: alternative });
+  const now = new Date();
 
+  const schedule: DebtSchedule[] = plan.order.map(id => {
+    const debt = debts.find((d, index) => (d.id || `debt-${index + 1}`) === id)!;
+    const summary = plan.debts.find(d => d.id === id)!;
+    const months = summary.months_to_payoff ?? plan.total_months;
     return {
       ...debt,
       months_to_payoff: months,
-      total_interest: interestPaid,
-      payoff_date: addMonths(new Date(), months)
+      total_interest: summary.total_interest,
+      payoff_date: addMonths(now, months)
     };
   });
 
   const result: DebtPayoffResult = {
     schedule,
-    total_months: maxMonths,
-    total_interest: totalInterest,
-    debt_free_date: addMonths(new Date(), maxMonths),
-    strategy_savings: 0 // Could calculate vs other strategy
+    total_months: plan.total_months,
+    total_interest: plan.total_interest,
+    debt_free_date: addMonths(now, plan.total_months),
+    strategy_savings: round2(other.total_interest - plan.total_interest)
   };
 
   calculationCache.set(cacheKey, result);
@@ -446,12 +455,14 @@ export const calculateDebtPayoff = (
  * @param income - Annual income
  * @param filingStatus - Tax filing status
  * @param state - State code (null for no state tax)
+ * @param stateTable - StateTaxConfig for the state; without one a flat estimate is used
  * @returns Detailed tax breakdown
  */
 export const calculateTaxes = (
   income: number,
   filingStatus: FilingStatus = 'single',
-  state: string | null = null
+  state: string | null = null,
+  stateTable: StateTaxTable | null = null
 ): TaxResult => {
   // 2024 tax brackets (simplified)
   const federalBrackets: Record<FilingStatus, TaxBracket[]> = {
@@ -508,8 +519,8 @@ export const calculateTaxes = (
   const medicare = income * 0.0145;
   const additionalMedicare = income > 200000 ? (income - 200000) * 0.009 : 0;
 
-  // State tax (simplified)
-  const stateTax = state ? income * 0.05 : 0; // Rough estimate
+  // State tax from StateTaxConfig brackets (flat estimate when unconfigured)
+  const stateTax = calculateStateTax(income, state, stateTable).tax;
 
   return {
     federal: federalTax,
@@ -528,41 +539,39 @@ export const calculateTaxes = (
 // ============================================================================
 
 /**
- * Calculate budget variance for current month
+ * Calculate budget variance for each budget's current period (the calendar
+ * month unless the budget is weekly or biweekly), including any amount rolled
+ * over from the previous period
  * @param budgets - List of budgets
  * @param transactions - List of transactions
+ * @param options - As-of date and pay schedule the periods align to
  * @returns Budget variance details with spending status
  */
 export const calculateBudgetVariance = (
   budgets: Budget[],
-  transactions: Transaction[]
+  transactions: Transaction[],
+  options: Omit<BudgetPeriodOptions, 'count'> = {}
 ): BudgetVariance[] => {
-  const currentMonth = new Date();
-  const monthStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
-  const monthEnd = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0);
-
-  const monthlyTransactions = transactions.filter(t => {
-    const date = typeof t.date === 'string' ? new Date(t.date) : t.date;
-    return date >= monthStart && date <= monthEnd && t.type === 'expense';
-  });
-
-  const categorySpending = monthlyTransactions.reduce((acc, t) => {
-    acc[t.category] = (acc[t.category] || 0) + Math.abs(t.amount);
-    return acc;
-  }, {} as Record<string, number>);
+  const history = buildBudgetHistory(budgets, transactions, { ...options, count: 1 });
 
   return budgets.map(budget => {
-    const spent = categorySpending[budget.category] || 0;
-    const variance = budget.monthly_limit - spent;
-    const percentageUsed = budget.monthly_limit > 0 ? (spent / budget.monthly_limit * 100) : 0;
+    const current = history.find(h => h.category === budget.category)?.current;
+    const available = current?.available ?? 0;
+    const spent = current?.spent ?? 0;
+    const variance = current?.remaining ?? 0;
 
     return {
       ...budget,
+      period_start: current?.start,
+      period_end: current?.end,
+      period_limit: current?.limit ?? 0,
+      carried_in: current?.carried_in ?? 0,
+      available,
       spent,
       remaining: Math.max(0, variance),
       variance,
-      percentage_used: percentageUsed,
-      status: percentageUsed >= 100 ? 'over' : percentageUsed >= 80 ? 'warning' : 'good'
+      percentage_used: current?.percentage_used ?? 0,
+      status: current?.status ?? 'good'
     };
   });
 };
@@ -574,14 +583,17 @@ export const calculateBudgetVariance = (
 /**
  * Calculate goal projection and required contributions
  * @param goal - Goal data
- * @param monthlyContribution - Monthly contribution amount
- * @returns Goal projection details
+ * @param monthlyContribution - Monthly contribution amount (default: the pace of
+ * the goal's contribution ledger over the last 90 days)
+ * @returns Goal projection details, or null without a contribution or pace
  */
 export const calculateGoalProjection = (
   goal: Goal,
-  monthlyContribution: number
+  monthlyContribution?: number
 ): GoalProjection | null => {
-  if (!goal || !monthlyContribution) return null;
+  if (!goal) return null;
+  monthlyContribution = monthlyContribution ?? contributionVelocity({ contributions: goal.contributions });
+  if (!monthlyContribution) return null;
 
   const remainingAmount = goal.target_amount - goal.current_amount;
   const monthsToGoal = remainingAmount > 0 ? Math.ceil(remainingAmount / monthlyContribution) : 0;
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Tests for the cashflow projection engine
+ * @description Covers recurring source expansion, payday assignment, the
+ * running balance and lowest-balance day, and snapshot fields
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  billOccurrences,
+  bnplInstallments,
+  debtPayments,
+  paydaysBetween,
+  projectCashflow,
+  shiftPaychecks,
+  toForecastSnapshot,
+} from './cashflowProjection';
+
+const day = (iso: string) => new Date(`${iso}T00:00:00`);
+const start = day('2025-06-01');
+const end = day('2025-08-31');
+
+describe('recurring source expansion', () => {
+  it('expands bills by frequency from their day of month or last payment', () => {
+    expect(billOccurrences({ due_date: 31, frequency: 'monthly' }, start, end)).toEqual(['2025-06-30', '2025-07-31', '2025-08-31']);
+    expect(billOccurrences({ due_date: 10, frequency: 'quarterly', last_paid_date: '2025-05-10' }, start, end)).toEqual(['2025-08-10']);
+    expect(billOccurrences({ due_date: 1, frequency: 'biweekly', last_paid_date: '2025-07-18' }, day('2025-08-01'), end))
+      .toEqual(['2025-08-01', '2025-08-15', '2025-08-29']);
+    expect(billOccurrences({ due_date: 5, status: 'cancelled' }, start, end)).toEqual([]);
+  });
+
+  it('rolls BNPL installments forward and stops when they run out', () => {
+    const plan = { installment_amount: 25, next_due_date: '2025-05-20', remaining_installments: 3, payment_frequency: 'biweekly' };
+    expect(bnplInstallments({ ...plan, is_autopay: true }, start, end)).toEqual([
+      { date: '2025-06-03', amount: 25 },
+      { date: '2025-06-17', amount: 25 },
+    ]);
+    expect(bnplInstallments({ payment_amount: 40, next_payment_date: '2025-06-15', payment_frequency: 'monthly' }, start, day('2025-07-31')))
+      .toEqual([{ date: '2025-06-15', amount: 40 }, { date: '2025-07-15', amount: 40 }]);
+  });
+
+  it('brings missed BNPL installments and their late fees forward to the first day', () => {
+    const plan = { provider: 'sezzle', installment_amount: 25, next_due_date: '2025-05-20', remaining_installments: 3 };
+    expect(bnplInstallments(plan, start, end)).toEqual([
+      { date: '2025-06-01', amount: 35 },
+      { date: '2025-06-03', amount: 25 },
+      { date: '2025-06-17', amount: 25 },
+    ]);
+  });
+
+  it('stops debt minimums once the balance is paid', () => {
+    expect(debtPayments({ balance: 120, minimum_payment: 50, due_date: 20 }, start, end)).toEqual([
+      { date: '2025-06-20', amount: 50 },
+      { date: '2025-07-20', amount: 50 },
+      { date: '2025-08-20', amount: 20 },
+    ]);
+  });
+});
+
+describe('paydays', () => {
+  it('builds schedules from pay frequency and next payday', () => {
+    expect(paydaysBetween({ pay_frequency: 'biweekly', next_payday: '2025-06-13' }, start, day('2025-06-30')).map(d => d.getDate()))
+      .toEqual([13, 27]);
+    expect(paydaysBetween({ pay_frequency: 'semimonthly' }, start, day('2025-06-30')).map(d => d.getDate())).toEqual([15, 30]);
+    expect(paydaysBetween({ pay_frequency: 'weekly' }, start, end)).toEqual([]);
+  });
+
+  it('pays each shift on the first payday after it, including shifts worked before the range', () => {
+    const settings = { pay_frequency: 'biweekly' as const, next_payday: '2025-06-13' };
+    const shifts = [
+      { id: 'old', start_datetime: '2025-05-20T08:00', end_datetime: '2025-05-20T16:00', net_pay: 100 },
+      { id: 'a', start_datetime: '2025-06-05T08:00', end_datetime: '2025-06-05T16:00', net_pay: 150 },
+      { id: 'b', start_datetime: '2025-06-13T08:00', end_datetime: '2025-06-13T16:00', net_pay: 160 },
+      { id: 'x', start_datetime: '2025-06-10T08:00', end_datetime: '2025-06-10T16:00', net_pay: 999, status: 'cancelled' },
+    ];
+
+    expect(shiftPaychecks(shifts, settings, start, day('2025-06-30'))).toEqual([
+      { date: '2025-06-13', amount: 150, gross: 0, shift_ids: ['a'] },
+      { date: '2025-06-27', amount: 160, gross: 0, shift_ids: ['b'] },
+    ]);
+  });
+
+  it('withholds taxes from shifts priced by hours and rate', () => {
+    const [check] = shiftPaychecks(
+      [{ start_datetime: '2025-06-02T09:00', end_datetime: '2025-06-02T17:30', break_minutes: 30, hourly_rate: 25 }],
+      { pay_frequency: 'weekly', next_payday: '2025-06-06', filing_status: 'single' },
+      start,
+      day('2025-06-30')
+    );
+
+    expect(check.date).toBe('2025-06-06');
+    expect(check.gross).toBe(200);
+    expect(check.amount).toBeGreaterThan(0);
+    expect(check.amount).toBeLessThan(200);
+  });
+
+  it('prices shifts with the pay engine when ShiftRules are saved', () => {
+    const rule = {
+      id: 'rn',
+      base_hourly_rate: 40,
+      overtime_rules: { weekly_threshold: 40, weekly_multiplier: 1.5 },
+      differentials: [
+        { name: 'Night', rate_type: 'flat_amount' as const, amount: 4, conditions: { start_time: '19:00', end_time: '07:00' } },
+      ],
+    };
+    const night = (date: string, next: string) => ({
+      id: date,
+      start_datetime: `${date}T19:00`,
+      end_datetime: `${next}T07:00`,
+      hourly_rate: 40,
+    });
+    const settings = { pay_frequency: 'weekly' as const, next_payday: '2025-06-06' };
+    const single = [night('2025-06-02', '2025-06-03')];
+    const week = [...single, night('2025-06-03', '2025-06-04'), night('2025-06-04', '2025-06-05'), night('2025-06-05', '2025-06-06')];
+
+    expect(shiftPaychecks(single, settings, start, day('2025-06-30'))[0].gross).toBe(480);
+    expect(shiftPaychecks(single, settings, start, day('2025-06-30'), {}, [rule])[0].gross).toBe(528);
+    // 48 night hours in one workweek: the last night ends on payday, so it is paid a week
+    // later, and 8 of its hours are overtime with the night premium at time and a half
+    expect(shiftPaychecks(week, settings, start, day('2025-06-30'), {}, [rule]).map(check => check.gross)).toEqual([1584, 704]);
+  });
+
+  it('stops retirement deferrals once saved and projected checks reach the annual limit', () => {
+    const shift = (date: string) => ({ start_datetime: `${date}T09:00`, end_datetime: `${date}T17:00`, hourly_rate: 125 });
+    const settings = {
+      pay_frequency: 'weekly' as const,
+      next_payday: '2025-06-06',
+      filing_status: 'single',
+      retirement_plans: [{ id: 'k', plan_type: '401k' as const, contribution_percent: 50, ytd_contributions: 23300, ytd_as_of: '2025-05-30' }],
+    };
+    const [first, second] = shiftPaychecks([shift('2025-06-02'), shift('2025-06-09')], settings, start, day('2025-06-30'));
+
+    expect(first.gross).toBe(second.gross);
+    expect(second.amount).toBeGreaterThan(first.amount);
+    expect(second.amount).toBe(shiftPaychecks([shift('2025-06-02')], { ...settings, retirement_plans: [] }, start, day('2025-06-30'))[0].amount);
+  });
+});
+
+describe('projectCashflow', () => {
+  const projection = projectCashflow({
+    starting_balance: 500,
+    bills: [
+      { id: 'rent', name: 'Rent', amount: 900, due_date: 3 },
+      { id: 'tv', name: 'Streaming', amount: 15, due_date: 8, category: 'subscriptions' },
+    ],
+    debts: [{ id: 'card', name: 'Card', balance: 1000, minimum_payment: 35, due_date: 5 }],
+    shifts: [{ id: 's1', start_datetime: '2025-06-02T08:00', end_datetime: '2025-06-02T16:00', net_pay: 700 }],
+    paycheck_settings: { pay_frequency: 'weekly', next_payday: '2025-06-06' },
+    transactions: [
+      { id: 't0', amount: 50, type: 'expense', date: '2025-06-01' },
+      { id: 't1', title: 'Birthday gift', amount: 60, type: 'expense', date: '2025-06-09' },
+    ],
+  }, { as_of: '2025-06-01', days: 10 });
+
+  it('runs a daily balance and flags the lowest day', () => {
+    expect(projection.days).toHaveLength(10);
+    expect(projection.days.map(d => d.balance)).toEqual([500, 500, -400, -400, -435, 265, 265, 250, 190, 190]);
+    expect(projection.lowest).toEqual({ date: '2025-06-05', balance: -435 });
+    expect(projection.negative_days).toBe(3);
+    expect(projection).toMatchObject({ ending_balance: 190, total_inflow: 700, total_outflow: 1010 });
+  });
+
+  it('labels events by source and ignores transactions already in the balance', () => {
+    expect(projection.days[2].events).toEqual([{ date: '2025-06-03', source: 'bill', name: 'Rent', amount: -900, source_id: 'rent' }]);
+    expect(projection.days[7].events[0].source).toBe('subscription');
+    expect(projection.days[5].events[0]).toMatchObject({ source: 'paycheck', amount: 700 });
+    expect(projection.days[8].events[0]).toMatchObject({ source: 'transaction', name: 'Birthday gift', amount: -60 });
+  });
+
+  it('summarizes the run for a forecast snapshot', () => {
+    expect(toForecastSnapshot(projection)).toMatchObject({
+      date: '2025-06-01',
+      horizon_days: 10,
+      projected_income: 700,
+      projected_expenses: 1010,
+      projected_balance: 190,
+      lowest_balance: -435,
+      lowest_balance_date: '2025-06-05',
+    });
+  });
+});
@@ -0,0 +1,649 @@
+/**
+ * @fileoverview Day-by-day cashflow projection
+ * @description Expands every recurring source into dated events (bills and
+ * subscriptions by frequency, BNPL installments, debt minimums on their due day,
+ * scheduled shifts paid out on paydays from PaycheckSettings, and future-dated
+ * transactions) and rolls them into a daily running balance with the
+ * lowest-balance day flagged. Shared by the calculations worker, the cashflow
+ * forecast card and the unified calendar.
+ */
+
+import { addDays, addMonths, differenceInCalendarDays, lastDayOfMonth } from 'date-fns';
+import { generateBNPLSchedule, type BNPLSchedulePlan } from './bnplSchedule';
+import { calculateEmployerPay, type LegacyPayRule, type PayShift, type PayShiftRule } from './payEngine';
+import { ytdDeferrals, type RetirementPlan } from './retirementPlans';
+import { billCadence, isSubscriptionBill, nextBillDueDate, type SubscriptionBill } from './subscriptions';
+import { calculateWithholding, type PayFrequency, type WithholdingOptions } from './withholding';
+import { onDayOfMonth, round2, toDateKey, toDay, today, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Where a projected event comes from
+ */
+export type CashflowSource = 'paycheck' | 'bill' | 'subscription' | 'bnpl' | 'debt' | 'transaction';
+
+/**
+ * BNPL plan fields read here (see bnplSchedule for the older field names)
+ */
+export interface ProjectionBNPLPlan extends BNPLSchedulePlan {
+  id?: string;
+}
+
+/**
+ * Debt fields read here
+ */
+export interface ProjectionDebt {
+  id?: string;
+  name?: string;
+  balance?: number;
+  minimum_payment?: number;
+  /** Day of month */
+  due_date?: number | string;
+}
+
+/**
+ * Shift fields read here, on top of the ones the pay engine reads
+ */
+export interface ProjectionShift extends PayShift {
+  hours_worked?: number;
+  break_minutes?: number;
+  hourly_rate?: number;
+  gross_pay?: number;
+  net_pay?: number;
+}
+
+/**
+ * PaycheckSettings fields read here
+ */
+export interface ProjectionPaySettings {
+  pay_frequency?: PayFrequency;
+  next_payday?: string;
+  base_hourly_rate?: number;
+  filing_status?: string;
+  tax_state?: string;
+  multiple_jobs?: boolean;
+  qualifying_children?: number;
+  other_dependents?: number;
+  extra_withholding?: number;
+  extra_state_withholding?: number;
+  retirement_401k?: number;
+  hsa?: number;
+  section_125?: number;
+  pre_tax_deductions?: number;
+  post_tax_deductions?: number;
+  birth_date?: string;
+  retirement_plans?: RetirementPlan[];
+}
+
+/**
+ * Transaction fields read here
+ */
+export interface ProjectionTransaction {
+  id?: string;
+  title?: string;
+  description?: string;
+  category?: string;
+  amount: number | string;
+  type?: string;
+  date: string;
+}
+
+/**
+ * Everything the projection draws from
+ */
+export interface CashflowProjectionInput {
+  starting_balance?: number;
+  bills?: SubscriptionBill[];
+  bnpl_plans?: ProjectionBNPLPlan[];
+  debts?: ProjectionDebt[];
+  shifts?: ProjectionShift[];
+  /** Saved ShiftRules the pay engine prices shifts under */
+  shift_rules?: Array<PayShiftRule | LegacyPayRule>;
+  paycheck_settings?: ProjectionPaySettings | null;
+  /** Future-dated transactions are projected as one-off events */
+  transactions?: ProjectionTransaction[];
+  /** Tax tables used to turn shift gross pay into take-home pay */
+  tax_options?: WithholdingOptions;
+}
+
+/**
+ * Projection options
+ */
+export interface CashflowProjectionOptions {
+  /** First projected day, yyyy-MM-dd (default today) */
+  as_of?: string;
+  /** Number of days to project (default 30) */
+  days?: number;
+}
+
+/**
+ * Single dated inflow or outflow
+ */
+export interface CashflowEvent {
+  date: string;
+  source: CashflowSource;
+  name: string;
+  /** Signed: positive for money in, negative for money out */
+  amount: number;
+  source_id?: string;
+}
+
+/**
+ * One projected day
+ */
+export interface CashflowDay {
+  date: string;
+  inflow: number;
+  outflow: number;
+  net: number;
+  /** Closing balance */
+  balance: number;
+  events: CashflowEvent[];
+}
+
+/**
+ * Projection result
+ */
+export interface CashflowProjection {
+  start_date: string;
+  end_date: string;
+  starting_balance: number;
+  ending_balance: number;
+  total_inflow: number;
+  total_outflow: number;
+  days: CashflowDay[];
+  /** Day with the lowest closing balance (earliest on ties) */
+  lowest: { date: string; balance: number };
+  /** Days that close below zero */
+  negative_days: number;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const MONTHS_PER_CADENCE: Record<string, number> = { monthly: 1, quarterly: 3, annual: 12 };
+const CYCLE_DAYS: Record<string, number> = { weekly: 7, biweekly: 14, semimonthly: 15, monthly: 30, quarterly: 91, annual: 365 };
+const DAYS_PER_CADENCE: Record<string, number> = { weekly: 7, biweekly: 14 };
+
+// Shifts that were never worked do not get paid
+const UNPAID_SHIFT_STATUSES = new Set(['cancelled', 'no_show']);
+
+// Guard for malformed anchors far outside the range
+const MAX_STEPS = 2000;
+
+/**
+ * Dates from `first` stepping by whole months (kept on `day`) or a fixed number of days
+ */
+const stepDates = (
+  first: Date,
+  end: Date,
+  step: { months?: number; days?: number; day?: number },
+  maxCount = Infinity
+): Date[] => {
+  const out: Date[] = [];
+  let cur = first;
+  for (let i = 0; i < MAX_STEPS && cur <= end && out.length < maxCount; i++) {
+    out.push(cur);
+    cur = step.months
+      ? onDayOfMonth(addMonths(cur, step.months), step.day ?? first.getDate())
+      : addDays(cur, step.days || 1);
+  }
+  return out;
+};
+
+// ============================================================================
+// Recurring Source Expansion
+// ============================================================================
+
+/**
+ * Due dates of a bill within a range, by its frequency
+ * @param bill - Saved bill
+ * @param start - First day of the range
+ * @param end - Last day of the range
+ * @returns yyyy-MM-dd dates
+ */
+export const billOccurrences = (bill: SubscriptionBill, start: Date, end: Date): string[] => {
+  if (bill.status === 'cancelled') return [];
+  const first = toDay(nextBillDueDate(bill, start));
+  if (!first) return [];
+  const cadence = billCadence(bill.frequency);
+  const day = Number(bill.due_date);
+  const months = MONTHS_PER_CADENCE[cadence];
+  const step = months
+    ? { months, day: Number.isInteger(day) && day >= 1 && day <= 31 ? day : first.getDate() }
+    : { days: DAYS_PER_CADENCE[cadence] ?? 14 };
+  return stepDates(first, end, step).map(toDateKey);
+};
+
+/**
+ * Whether a bill's last payment already covers a due date: paid within the
+ * half cycle before it (e.g. a monthly bill paid early or marked paid today)
+ * @param bill - Saved bill
+ * @param date - Due date, yyyy-MM-dd
+ * @returns True when the occurrence is paid
+ */
+export const isBillOccurrencePaid = (bill: SubscriptionBill, date: string): boolean => {
+  const lastPaid = toDay(bill.last_paid_date);
+  const due = toDay(date);
+  if (!lastPaid || !due) return false;
+  const cycle = CYCLE_DAYS[billCadence(bill.frequency)] ?? 30;
+  return differenceInCalendarDays(due, lastPaid) < cycle / 2;
+};
+
+/**
+ * Unpaid installments of a BNPL plan within a range, from its installment
+ * schedule. Installments already missed come out on the first day with their
+ * late fees. Plans without an installment count roll forward from the next due
+ * date indefinitely; installments whose date has passed are assumed paid.
+ * @param plan - BNPL plan
+ * @param start - First day of the range
+ * @param end - Last day of the range
+ * @returns Dates with the installment amount
+ */
+export const bnplInstallments = (
+  plan: ProjectionBNPLPlan,
+  start: Date,
+  end: Date
+): Array<{ date: string; amount: number }> => {
+  const schedule = generateBNPLSchedule(plan, { as_of: toDateKey(start) });
+  if (schedule) {
+    if (schedule.status === 'cancelled') return [];
+    const from = toDateKey(start);
+    const to = toDateKey(end);
+    return schedule.installments
+      .filter(item => item.status !== 'paid' && item.due_date <= to)
+      .map(item => item.due_date < from
+        ? { date: from, amount: round2(item.amount + item.late_fee) }
+        : { date: item.due_date, amount: item.amount });
+  }
+
+  const anchor = toDay(plan.next_due_date ?? plan.next_payment_date);
+  const amount = toNumber(plan.installment_amount ?? plan.payment_amount);
+  const remainingRaw = plan.remaining_installments ?? plan.num_payments_remaining;
+  let remaining = remainingRaw === undefined || remainingRaw === null ? Infinity : toNumber(remainingRaw);
+  if (!anchor || amount <= 0 || remaining <= 0) return [];
+
+  const frequency = (plan.payment_frequency || 'biweekly').toLowerCase();
+  const step = frequency === 'monthly' ? { months: 1 } : { days: frequency === 'weekly' ? 7 : 14 };
+
+  let first = anchor;
+  for (let i = 0; i < MAX_STEPS && first < start && remaining > 0; i++) {
+    first = step.months ? onDayOfMonth(addMonths(first, 1), anchor.getDate()) : addDays(first, step.days!);
+    remaining--;
+  }
+  if (remaining <= 0) return [];
+  return stepDates(first, end, { ...step, day: anchor.getDate() }, remaining)
+    .map(date => ({ date: toDateKey(date), amount }));
+};
+
+/**
+ * Minimum payment dates of a debt within a range, stopping once the balance is covered
+ * @param debt - Debt account
+ * @param start - First day of the range
+ * @param end - Last day of the range
+ * @returns Dates with the payment amount
+ */
+export const debtPayments = (
+  debt: ProjectionDebt,
+  start: Date,
+  end: Date
+): Array<{ date: string; amount: number }> => {
+  const day = Number(debt.due_date);
+  const minimum = toNumber(debt.minimum_payment);
+  let balance = debt.balance === undefined ? Infinity : toNumber(debt.balance);
+  if (!Number.isInteger(day) || day < 1 || day > 31 || minimum <= 0 || balance <= 0) return [];
+
+  let first = onDayOfMonth(start, day);
+  if (first < start) first = onDayOfMonth(addMonths(first, 1), day);
+
+  const out: Array<{ date: string; amount: number }> = [];
+  for (const date of stepDates(first, end, { months: 1, day })) {
+    if (balance <= 0) break;
+    const amount = round2(Math.min(minimum, balance));
+    out.push({ date: toDateKey(date), amount });
+    balance -= amount;
+  }
+  return out;
+};
+
+/**
+ * Paydays within a range. Weekly and biweekly schedules need `next_payday` as an
+ * anchor; semimonthly pays on the 15th and last day, monthly on the `next_payday`
+ * day (or the last day of the month).
+ * @param settings - Paycheck settings
+ * @param start - First day of the range
+ * @param end - Last day of the range
+ * @returns Payday dates in order, or an empty list when the schedule is unknown
+ */
+export const paydaysBetween = (settings: ProjectionPaySettings | null | undefined, start: Date, end: Date): Date[] => {
+  if (!settings) return [];
+  const frequency = settings.pay_frequency || 'biweekly';
+  const anchor = toDay(settings.next_payday);
+
+  if (frequency === 'semimonthly') {
+    const out: Date[] = [];
+    for (let month = new Date(start.getFullYear(), start.getMonth(), 1); month <= end; month = addMonths(month, 1)) {
+      for (const date of [new Date(month.getFullYear(), month.getMonth(), 15), lastDayOfMonth(month)]) {
+        if (date >= start && date <= end) out.push(date);
+      }
+    }
+    return out;
+  }
+
+  if (frequency === 'monthly') {
+    const day = anchor ? anchor.getDate() : 31;
+    let first = onDayOfMonth(start, day);
+    if (first < start) first = onDayOfMonth(addMonths(first, 1), day);
+    return stepDates(first, end, { months: 1, day });
+  }
+
+  if (!anchor) return [];
+  const period = frequency === 'weekly' ? 7 : 14;
+  const offset = differenceInCalendarDays(start, anchor);
+  const first = addDays(anchor, Math.ceil(offset / period) * period);
+  return stepDates(first, end, { days: period });
+};
+
+/**
+ * Gross pay of a shift at a flat hourly rate, for when there are no ShiftRules
+ */
+const flatShiftGross = (shift: ProjectionShift, settings: ProjectionPaySettings | null | undefined): number => {
+  let hours = toNumber(shift.hours_worked ?? shift.scheduled_hours);
+  if (!hours && shift.start_datetime && shift.end_datetime) {
+    const ms = new Date(shift.end_datetime).getTime() - new Date(shift.start_datetime).getTime();
+    hours = Math.max(0, ms / 3_600_000 - toNumber(shift.break_minutes) / 60);
+  }
+  return hours * toNumber(shift.hourly_rate ?? settings?.base_hourly_rate);
+};
+
+/**
+ * Shift with its older hour and break fields under the names the pay engine reads
+ */
+const toPayShift = (shift: ProjectionShift): PayShift => ({
+  ...shift,
+  actual_hours: shift.actual_hours ?? shift.hours_worked,
+  break_hours: shift.break_hours ?? (shift.break_minutes ? toNumber(shift.break_minutes) / 60 : undefined),
+});
+
+/**
+ * Gross pay of each shift. With ShiftRules the pay engine prices the shifts together,
+ * so differentials, on-call pay and overtime across a workweek that straddles a
+ * payday are counted; without rules each shift is paid its hours at a flat rate.
+ */
+const shiftGrossPay = (
+  shifts: ProjectionShift[],
+  settings: ProjectionPaySettings | null | undefined,
+  rules: Array<PayShiftRule | LegacyPayRule>
+): number[] => {
+  if (rules.length === 0) return shifts.map(shift => flatShiftGross(shift, settings));
+  // The engine reports pay per shift id, so number the shifts to read it back in order
+  const { employers } = calculateEmployerPay(
+    shifts.map((shift, index) => ({ ...toPayShift(shift), id: String(index) })),
+    rules
+  );
+  const gross = shifts.map(() => 0);
+  employers.forEach(employer => employer.shifts.forEach(summary => {
+    gross[Number(summary.shift_id)] = summary.gross_pay;
+  }));
+  return gross;
+};
+
+/**
+ * Take-home paychecks for shifts, each paid on the first payday after the shift.
+ * Without a known pay schedule each shift is treated as paid on the day it is worked.
+ * Shifts with a saved `net_pay` or `gross_pay` use it; the rest are priced by the
+ * pay engine under the ShiftRules (or at a flat hourly rate without rules). Gross
+ * pay runs through withholding once per paycheck, with retirement deferrals counted
+ * toward the annual limit from the plans' saved year-to-date amounts on.
+ * @param shifts - Shifts (past shifts still unpaid at `start` are included)
+ * @param settings - Paycheck settings
+ * @param start - First day of the range
+ * @param end - Last day of the range
+ * @param taxOptions - Tax tables for withholding
+ * @param rules - Saved ShiftRules
+ * @returns Paychecks with their take-home amount and the shifts they cover
+ */
+export const shiftPaychecks = (
+  shifts: ProjectionShift[],
+  settings: ProjectionPaySettings | null | undefined,
+  start: Date,
+  end: Date,
+  taxOptions: WithholdingOptions = {},
+  rules: Array<PayShiftRule | LegacyPayRule> = []
+): Array<{ date: string; amount: number; gross: number; shift_ids: string[] }> => {
+  const frequency = settings?.pay_frequency || 'biweekly';
+  const lookback = frequency === 'monthly' ? 31 : frequency === 'semimonthly' ? 16 : frequency === 'weekly' ? 7 : 14;
+  const paydays = paydaysBetween(settings, start, end);
+
+  const checks = new Map<string, { gross: number; net: number; shift_ids: string[] }>();
+  const unpriced: Array<{ key: string; shift: ProjectionShift }> = [];
+  for (const shift of shifts) {
+    if (UNPAID_SHIFT_STATUSES.has((shift.status || '').toLowerCase())) continue;
+    const worked = toDay(shift.end_datetime ? String(shift.end_datetime) : shift.start_datetime ? String(shift.start_datetime) : null);
+    if (!worked || worked > end) continue;
+
+    let payday: Date | undefined;
+    if (paydays.length > 0) {
+      // Only shifts from the period before the first payday onward are still unpaid
+      if (differenceInCalendarDays(paydays[0], worked) > lookback) continue;
+      payday = paydays.find(date => date > worked);
+    } else if (worked >= start) {
+      payday = worked;
+    }
+    if (!payday) continue;
+
+    const key = toDateKey(payday);
+    const check = checks.get(key) ?? { gross: 0, net: 0, shift_ids: [] };
+    if (shift.net_pay !== undefined && shift.net_pay !== null) check.net += toNumber(shift.net_pay);
+    else if (shift.gross_pay !== undefined && shift.gross_pay !== null) check.gross += toNumber(shift.gross_pay);
+    else unpriced.push({ key, shift });
+    if (shift.id) check.shift_ids.push(shift.id);
+    checks.set(key, check);
+  }
+  const unpricedGross = shiftGrossPay(unpriced.map(entry => entry.shift), settings, rules);
+  unpriced.forEach((entry, index) => {
+    checks.get(entry.key)!.gross += unpricedGross[index];
+  });
+
+  const profile = settings
+    ? {
+        filing_status: settings.filing_status,
+        pay_frequency: frequency,
+        state: settings.tax_state,
+        multiple_jobs: settings.multiple_jobs,
+        qualifying_children: settings.qualifying_children,
+        other_dependents: settings.other_dependents,
+        extra_withholding: settings.extra_withholding,
+        extra_state_withholding: settings.extra_state_withholding,
+        retirement_401k: settings.retirement_401k,
+        hsa: settings.hsa,
+        section_125: settings.section_125,
+        pre_tax_deductions: settings.pre_tax_deductions,
+        post_tax_deductions: settings.post_tax_deductions,
+        retirement_plans: settings.retirement_plans,
+        birth_date: settings.birth_date,
+      }
+    : null;
+
+  // Deferrals so far this calendar year, carried from one check to the next
+  let ytdYear = 0;
+  let ytd: Record<string, number> = {};
+
+  return [...checks.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, check]) => {
+      const year = Number(date.slice(0, 4));
+      if (year !== ytdYear) {
+        ytd = ytdDeferrals(settings?.retirement_plans, year);
+        ytdYear = year;
+      }
+      let takeHome = check.gross;
+      if (check.gross > 0 && profile) {
+        const withholding = calculateWithholding(check.gross, profile, { year, ...taxOptions, ytd_retirement: ytd });
+        withholding.retirement.forEach(plan => {
+          ytd[plan.plan_id] = (ytd[plan.plan_id] || 0) + plan.pre_tax + plan.roth;
+        });
+        takeHome = withholding.net_pay;
+      }
+      return {
+        date,
+        amount: round2(check.net + takeHome),
+        gross: round2(check.gross),
+        shift_ids: check.shift_ids,
+      };
+    })
+    .filter(check => check.amount > 0);
+};
+
+/**
+ * Dated events from every recurring source within a range
+ * @param input - Projection sources
+ * @param start - First day of the range
+ * @param end - Last day of the range
+ * @param options - `skip_paid_bills` drops bill occurrences their last payment covers
+ * @returns Events in date order
+ */
+export const expandCashflowEvents = (
+  input: CashflowProjectionInput,
+  start: Date,
+  end: Date,
+  options: { skip_paid_bills?: boolean } = {}
+): CashflowEvent[] => {
+  const events: CashflowEvent[] = [];
+  const from = toDay(start)!;
+  const to = toDay(end)!;
+
+  for (const bill of input.bills || []) {
+    const amount = toNumber(bill.amount);
+    if (amount <= 0) continue;
+    const source: CashflowSource = isSubscriptionBill(bill) ? 'subscription' : 'bill';
+    for (const date of billOccurrences(bill, from, to)) {
+      if (options.skip_paid_bills && isBillOccurrencePaid(bill, date)) continue;
+      events.push({ date, source, name: bill.name || (source === 'subscription' ? 'Subscription' : 'Bill'), amount: -amount, source_id: bill.id });
+    }
+  }
+
+  for (const plan of input.bnpl_plans || []) {
+    const name = [plan.provider, plan.merchant].filter(Boolean).join(' • ') || 'BNPL';
+    for (const { date, amount } of bnplInstallments(plan, from, to)) {
+      events.push({ date, source: 'bnpl', name, amount: -amount, source_id: plan.id });
+    }
+  }
+
+  for (const debt of input.debts || []) {
+    for (const { date, amount } of debtPayments(debt, from, to)) {
+      events.push({ date, source: 'debt', name: debt.name || 'Debt payment', amount: -amount, source_id: debt.id });
+    }
+  }
+
+  if (input.shifts?.length) {
+    for (const check of shiftPaychecks(input.shifts, input.paycheck_settings, from, to, input.tax_options, input.shift_rules)) {
+      events.push({ date: check.date, source: 'paycheck', name: 'Paycheck', amount: check.amount });
+    }
+  }
+
+  const fromKey = toDateKey(from);
+  const toKey = toDateKey(to);
+  for (const t of input.transactions || []) {
+    // Transfers move money between the user's own accounts
+    if (t.type === 'transfer') continue;
+    const date = (t.date || '').slice(0, 10);
+    if (date < fromKey || date > toKey) continue;
+    const amount = Math.abs(toNumber(t.amount));
+    if (!amount) continue;
+    events.push({
+      date,
+      source: 'transaction',
+      name: t.title || t.description || t.category || 'Transaction',
+      amount: t.type === 'income' ? amount : -amount,
+      source_id: t.id,
+    });
+  }
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || b.amount - a.amount);
+};
+
+// ============================================================================
+// Projection
+// ============================================================================
+
+/**
+ * Project a daily running balance. Transactions are only projected when dated
+ * after `as_of`; anything on or before it is assumed to be in the starting balance,
+ * as are bill occurrences already marked paid.
+ * @param input - Starting balance and projection sources
+ * @param options - First day and number of days
+ * @returns Daily balances, totals and the lowest-balance day
+ */
+export const projectCashflow = (
+  input: CashflowProjectionInput,
+  options: CashflowProjectionOptions = {}
+): CashflowProjection => {
+  const start = toDay(options.as_of) ?? today();
+  const length = Math.max(1, Math.floor(options.days ?? 30));
+  const end = addDays(start, length - 1);
+  const startKey = toDateKey(start);
+
+  const events = expandCashflowEvents(
+    { ...input, transactions: (input.transactions || []).filter(t => (t.date || '').slice(0, 10) > startKey) },
+    start,
+    end,
+    { skip_paid_bills: true }
+  );
+  const byDate = new Map<string, CashflowEvent[]>();
+  for (const event of events) {
+    const list = byDate.get(event.date) ?? [];
+    list.push({ ...event, amount: round2(event.amount) });
+    byDate.set(event.date, list);
+  }
+
+  const startingBalance = round2(toNumber(input.starting_balance));
+  let balance = startingBalance;
+  let totalIn = 0;
+  let totalOut = 0;
+  const days: CashflowDay[] = [];
+  for (let i = 0; i < length; i++) {
+    const date = toDateKey(addDays(start, i));
+    const dayEvents = byDate.get(date) ?? [];
+    const inflow = round2(dayEvents.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0));
+    const outflow = round2(dayEvents.filter(e => e.amount < 0).reduce((sum, e) => sum - e.amount, 0));
+    balance = round2(balance + inflow - outflow);
+    totalIn += inflow;
+    totalOut += outflow;
+    days.push({ date, inflow, outflow, net: round2(inflow - outflow), balance, events: dayEvents });
+  }
+
+  const lowest = days.reduce((min, day) => (day.balance < min.balance ? day : min), days[0]);
+  return {
+    start_date: startKey,
+    end_date: toDateKey(end),
+    starting_balance: startingBalance,
+    ending_balance: balance,
+    total_inflow: round2(totalIn),
+    total_outflow: round2(totalOut),
+    days,
+    lowest: { date: lowest.date, balance: lowest.balance },
+    negative_days: days.filter(day => day.balance < 0).length,
+  };
+};
+
+/**
+ * ForecastSnapshot record for a projection
+ * @param projection - Projection result
+ * @returns Fields to save on a ForecastSnapshot
+ */
+export const toForecastSnapshot = (projection: CashflowProjection) => ({
+  date: projection.start_date,
+  horizon_days: projection.days.length,
+  projected_income: projection.total_inflow,
+  projected_expenses: projection.total_outflow,
+  projected_balance: projection.ending_balance,
+  starting_balance: projection.starting_balance,
+  lowest_balance: projection.lowest.balance,
+  lowest_balance_date: projection.lowest.date,
+  daily_balances: projection.days.map(day => ({ date: day.date, balance: day.balance })),
+});
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Tests for the CSV import pipeline
+ * @description Covers RFC 4180 parsing, value parsing, mapping suggestions,
+ * dry runs for transactions and shifts, chunked commits and the error report
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildErrorReport,
+  commitImport,
+  dryRunImport,
+  findPreset,
+  parseAmount,
+  parseCsv,
+  parseDateValue,
+  parseTimeValue,
+  suggestMapping,
+  SHIFT_IMPORT_TARGET,
+  TRANSACTION_IMPORT_TARGET,
+  type ImportValueOptions,
+} from './csvImport';
+
+const OPTIONS: ImportValueOptions = { date_order: 'auto', decimal: '.' };
+
+describe('parseCsv', () => {
+  it('handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+    const table = parseCsv('Date,Payee,Amount\r\n2025-01-06,"Joe\'s ""Diner"", Inc",-12.50\r\n2025-01-07,"Line one\r\nline two",5\r\n');
+
+    expect(table.headers).toEqual(['Date', 'Payee', 'Amount']);
+    expect(table.rows).toEqual([
+      ['2025-01-06', 'Joe\'s "Diner", Inc', '-12.50'],
+      ['2025-01-07', 'Line one\r\nline two', '5'],
+    ]);
+    expect(table.lines).toEqual([2, 3]);
+  });
+
+  it('strips a BOM, detects semicolons and skips blank lines', () => {
+    const table = parseCsv('﻿Datum;Omschrijving;Bedrag\n\n06-01-2025;Albert Heijn;-23,45\n');
+
+    expect(table.delimiter).toBe(';');
+    expect(table.headers[0]).toBe('Datum');
+    expect(table.rows).toEqual([['06-01-2025', 'Albert Heijn', '-23,45']]);
+    expect(table.lines).toEqual([3]);
+  });
+
+  it('names columns when there is no header row', () => {
+    const table = parseCsv('a,b\nc,d', { hasHeader: false });
+
+    expect(table.headers).toEqual(['Column 1', 'Column 2']);
+    expect(table.rows).toHaveLength(2);
+  });
+});
+
+describe('value parsing', () => {
+  it('reads common date formats', () => {
+    expect(parseDateValue('2025-01-06')).toBe('2025-01-06');
+    expect(parseDateValue('1/6/2025')).toBe('2025-01-06');
+    expect(parseDateValue('1/6/2025', 'dmy')).toBe('2025-06-01');
+    expect(parseDateValue('25/12/24')).toBe('2024-12-25');
+    expect(parseDateValue('Jan 6, 2025')).toBe('2025-01-06');
+    expect(parseDateValue('2/30/2025')).toBeNull();
+  });
+
+  it('reads 12- and 24-hour times', () => {
+    expect(parseTimeValue('7:00 PM')).toBe('19:00');
+    expect(parseTimeValue('12am')).toBe('00:00');
+    expect(parseTimeValue('0700')).toBe('07:00');
+    expect(parseTimeValue('19:30:00')).toBe('19:30');
+    expect(parseTimeValue('25:00')).toBeNull();
+  });
+
+  it('reads currency, parentheses and decimal commas', () => {
+    expect(parseAmount('$1,234.56')).toBe(1234.56);
+    expect(parseAmount('(12.50)')).toBe(-12.5);
+    expect(parseAmount('-$8')).toBe(-8);
+    expect(parseAmount('1.234,56', ',')).toBe(1234.56);
+    expect(parseAmount('n/a')).toBeNull();
+  });
+});
+
+describe('mapping', () => {
+  it('suggests columns from header names without reusing a column', () => {
+    const mapping = suggestMapping(
+      ['Posting Date', 'Description', 'Debit', 'Credit', 'Balance'],
+      TRANSACTION_IMPORT_TARGET.fields
+    );
+
+    expect(mapping).toMatchObject({
+      date: 'Posting Date',
+      description: 'Description',
+      amount: null,
+      debit: 'Debit',
+      credit: 'Credit',
+    });
+  });
+
+  it('finds a preset by header signature', () => {
+    const preset = { name: 'Bank', headers: ['Date', 'Amount'], mapping: {}, options: OPTIONS, has_header: true };
+
+    expect(findPreset([preset], [' date ', 'AMOUNT'])).toBe(preset);
+    expect(findPreset([preset], ['Date'])).toBeUndefined();
+  });
+});
+
+describe('dryRunImport', () => {
+  it('validates transactions, derives type from sign and skips saved rows', () => {
+    const table = parseCsv([
+      'Date,Payee,Debit,Credit',
+      '01/06/2025,Coffee,4.50,',
+      '01/07/2025,Paycheck,,1500.00',
+      '01/08/2025,,10,',
+      '13/45/2025,Broken date,1,',
+      '01/09/2025,Rent,1200,',
+    ].join('\n'));
+    const mapping = { date: 'Date', description: 'Payee', debit: 'Debit', credit: 'Credit' };
+    const existing = [{ description: 'rent', amount: 1200, date: '2025-01-09' }];
+
+    const result = dryRunImport(table, mapping, TRANSACTION_IMPORT_TARGET, OPTIONS, existing);
+
+    expect([result.creates, result.skips, result.errors]).toEqual([2, 1, 2]);
+    expect(result.rows[0].record).toEqual({
+      description: 'Coffee',
+      amount: 4.5,
+      type: 'expense',
+      category: 'Uncategorized',
+      date: '2025-01-06',
+    });
+    expect(result.rows[1].record).toMatchObject({ type: 'income', amount: 1500 });
+    expect(result.rows[2]).toMatchObject({ line: 4, status: 'error', messages: ['Description: Description is required'] });
+    expect(result.rows[3].messages).toEqual(['Date: Invalid date format']);
+    expect(result.rows[4]).toMatchObject({ status: 'skip', messages: ['Already imported'] });
+  });
+
+  it('builds overnight shifts and accepts full datetimes', () => {
+    const table = parseCsv([
+      'Shift,Date,Start,End,Break',
+      'ICU Night,2025-01-06,7:00 PM,7:30 AM,30',
+      'Day,,2025-01-08 07:00,2025-01-08 15:00,',
+      'Bad,2025-01-09,15:00,2025-01-09 07:00,',
+      'No date,,07:00,15:00,',
+    ].join('\n'));
+    const mapping = suggestMapping(table.headers, SHIFT_IMPORT_TARGET.fields);
+
+    const result = dryRunImport(table, mapping, SHIFT_IMPORT_TARGET, OPTIONS);
+
+    expect(result.rows[0].record).toEqual({
+      title: 'ICU Night',
+      start_datetime: '2025-01-06T19:00',
+      end_datetime: '2025-01-07T07:30',
+      scheduled_hours: 12,
+      break_minutes: 30,
+      import_source: 'csv',
+    });
+    expect(result.rows[1].record).toMatchObject({ start_datetime: '2025-01-08T07:00', scheduled_hours: 8 });
+    expect(result.rows[2].messages).toEqual(['End must be after start']);
+    expect(result.rows[3].messages).toEqual(['Date: Date is required']);
+  });
+
+  it('skips shifts that start at the same time as a saved shift', () => {
+    const table = parseCsv('Date,Start,End\n2025-01-06,07:00,15:00');
+    const mapping = { date: 'Date', start: 'Start', end: 'End' };
+
+    const result = dryRunImport(table, mapping, SHIFT_IMPORT_TARGET, OPTIONS, [
+      { start_datetime: '2025-01-06T07:00:00', end_datetime: '2025-01-06T15:00:00' },
+    ]);
+
+    expect(result.skips).toBe(1);
+  });
+});
+
+describe('commitImport', () => {
+  it('saves in chunks and reports failed chunks per row', async () => {
+    const table = parseCsv('Date,Description,Amount\n' + [1, 2, 3, 4, 5].map(n => `2025-01-0${n},Item ${n},-${n}`).join('\n'));
+    const mapping = { date: 'Date', description: 'Description', amount: 'Amount' };
+    const dryRun = dryRunImport(table, mapping, TRANSACTION_IMPORT_TARGET, OPTIONS);
+    const saved: string[] = [];
+    const progress: number[] = [];
+
+    const result = await commitImport(
+      dryRun,
+      async records => {
+        if (records.some(r => r.description === 'Item 3')) throw new Error('rate limited');
+        saved.push(...records.map(r => r.description));
+      },
+      { chunkSize: 2, onProgress: done => progress.push(done) }
+    );
+
+    expect(saved).toEqual(['Item 1', 'Item 2', 'Item 5']);
+    expect(result).toMatchObject({ created: 3, failed: 2 });
+    expect(result.rows[2]).toMatchObject({ status: 'error', messages: ['Save failed: rate limited'] });
+    expect(progress).toEqual([2, 4, 5]);
+    expect(dryRun.rows[2].status).toBe('create');
+  });
+});
+
+describe('buildErrorReport', () => {
+  it('lists skipped and failed rows with their original cells', () => {
+    const table = parseCsv('Date,Description,Amount\n2025-01-06,"Lunch, team",\n2025-01-07,Coffee,-4');
+    const dryRun = dryRunImport(table, { date: 'Date', description: 'Description', amount: 'Amount' }, TRANSACTION_IMPORT_TARGET, OPTIONS);
+
+    expect(buildErrorReport(dryRun.rows, table.headers).split('\r\n')).toEqual([
+      'Line,Status,Problem,Date,Description,Amount',
+      '2,error,Amount: Amount is required,2025-01-06,"Lunch, team",',
+    ]);
+  });
+});
@@ -0,0 +1,715 @@
+/**
+ * @fileoverview CSV import pipeline
+ * @description Shared pipeline behind the shift and transaction importers:
+ * RFC 4180 parsing (quoted fields, embedded newlines, BOM, comma/semicolon/tab
+ * delimiters), column mapping with header-matched presets, per-row validation
+ * against the form schemas, a dry run that classifies every row as create, skip
+ * or error, chunked commits and a downloadable error report.
+ */
+
+import type { ZodTypeAny } from 'zod';
+import { shiftImportSchema, transactionSchema } from '@/schemas/formSchemas';
+import { round2 } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Parsed CSV file
+ */
+export interface CsvTable {
+  headers: string[];
+  rows: string[][];
+  /** 1-based physical line each row starts on (rows may span lines) */
+  lines: number[];
+  delimiter: string;
+}
+
+/**
+ * CSV parsing options
+ */
+export interface CsvParseOptions {
+  /** Field delimiter; detected from the first record when omitted */
+  delimiter?: string;
+  /** Whether the first record holds column names (default true) */
+  hasHeader?: boolean;
+}
+
+/**
+ * How ambiguous numeric dates are read
+ */
+export type DateOrder = 'auto' | 'ymd' | 'mdy' | 'dmy';
+
+/**
+ * Value parsing options saved alongside a mapping
+ */
+export interface ImportValueOptions {
+  date_order: DateOrder;
+  /** Decimal separator used by amounts */
+  decimal: '.' | ',';
+}
+
+/**
+ * Target field a column can be mapped to
+ */
+export interface ImportField {
+  key: string;
+  label: string;
+  required?: boolean;
+  /** Header names recognized when suggesting a mapping */
+  aliases: string[];
+}
+
+/**
+ * Column mapping: target field key to CSV header
+ */
+export type ColumnMapping = Record<string, string | null>;
+
+/**
+ * Saved mapping for a source (bank export, scheduling app, ...)
+ */
+export interface MappingPreset {
+  name: string;
+  headers: string[];
+  mapping: ColumnMapping;
+  options: ImportValueOptions;
+  has_header: boolean;
+}
+
+/**
+ * Entity an import writes to
+ */
+export interface ImportTarget<R extends object = Record<string, unknown>> {
+  id: string;
+  entity: string;
+  label: string;
+  fields: ImportField[];
+  /** Schema the row is validated against */
+  schema: ZodTypeAny;
+  /** Field label for schema keys that differ from field keys */
+  schemaLabels?: Record<string, string>;
+  /** Build the schema input from mapped cell values */
+  toInput(values: Record<string, string>, options: ImportValueOptions): Record<string, unknown>;
+  /** Build the entity record from validated data */
+  toRecord(data: Record<string, unknown>, values: Record<string, string>): R;
+  /** Cross-field checks the schema cannot express */
+  check?(record: R): string[];
+  /** Identity used to skip rows that are already saved */
+  duplicateKey?(record: Partial<R> & Record<string, unknown>): string | null;
+}
+
+/**
+ * Dry-run outcome for one row
+ */
+export interface ImportRowResult<R extends object = Record<string, unknown>> {
+  line: number;
+  status: 'create' | 'skip' | 'error';
+  record?: R;
+  messages: string[];
+  cells: string[];
+}
+
+/**
+ * Dry-run summary
+ */
+export interface ImportDryRun<R extends object = Record<string, unknown>> {
+  rows: ImportRowResult<R>[];
+  creates: number;
+  skips: number;
+  errors: number;
+}
+
+/**
+ * Commit options
+ */
+export interface ImportCommitOptions {
+  /** Records per create call (default 25) */
+  chunkSize?: number;
+  onProgress?: (done: number, total: number) => void;
+}
+
+/**
+ * Commit outcome
+ */
+export interface ImportCommitResult<R extends object = Record<string, unknown>> {
+  created: number;
+  failed: number;
+  rows: ImportRowResult<R>[];
+}
+
+// ============================================================================
+// CSV Parsing
+// ============================================================================
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Pick the delimiter that splits the first record into the most fields
+ * @param text - CSV text
+ * @returns Detected delimiter (comma when nothing else is found)
+ */
+export const detectDelimiter = (text: string): string => {
+  const counts = new Map(CANDIDATE_DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && counts.has(char)) counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let best = ',';
+  counts.forEach((count, delimiter) => {
+    if (count > (counts.get(best) || 0)) best = delimiter;
+  });
+  return best;
+};
+
+/**
+ * Parse CSV text per RFC 4180
+ * @param text - Raw file contents
+ * @param options - Delimiter and header options
+ * @returns Headers, rows and the line each row starts on; blank lines are dropped
+ */
+export const parseCsv = (text: string, options: CsvParseOptions = {}): CsvTable => {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const records: Array<{ cells: string[]; line: number }> = [];
+
+  let cells: string[] = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    cells.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (cells.some(cell => cell.trim() !== '')) records.push({ cells, line: recordLine });
+    cells = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || cells.length > 0) endRecord();
+
+  const hasHeader = options.hasHeader ?? true;
+  const width = records.reduce((max, r) => Math.max(max, r.cells.length), 0);
+  const headers = hasHeader && records.length > 0
+    ? records[0].cells.map((h, i) => h.trim() || `Column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  const body = hasHeader ? records.slice(1) : records;
+
+  return {
+    headers,
+    rows: body.map(r => r.cells),
+    lines: body.map(r => r.line),
+    delimiter,
+  };
+};
+
+/**
+ * Format one CSV record, quoting cells that need it
+ * @param values - Cell values
+ * @param delimiter - Field delimiter (default comma)
+ * @returns CSV line without a trailing newline
+ */
+export const toCsvLine = (values: Array<string | number | null | undefined>, delimiter = ','): string =>
+  values
+    .map(value => {
+      const cell = value === null || value === undefined ? '' : String(value);
+      return /["\r\n]/.test(cell) || cell.includes(delimiter) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    })
+    .join(delimiter);
+
+// ============================================================================
+// Value Parsing
+// ============================================================================
+
+const pad = (value: number): string => String(value).padStart(2, '0');
+
+const isValidDate = (year: number, month: number, day: number): boolean => {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse a date cell to `yyyy-MM-dd`
+ * @param value - e.g. `2025-01-06`, `01/06/2025`, `6.1.25`, `Jan 6, 2025`
+ * @param order - How to read ambiguous numeric dates; `auto` prefers month first
+ * @returns ISO date, or null when unreadable
+ */
+export const parseDateValue = (value: string, order: DateOrder = 'auto'): string | null => {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/);
+  if (iso) {
+    const [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+    return isValidDate(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+  }
+
+  const numeric = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:$|[T\s])/);
+  if (numeric) {
+    const [a, b] = [Number(numeric[1]), Number(numeric[2])];
+    const year = numeric[3].length === 2 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+    const dayFirst = order === 'dmy' || (order === 'auto' && a > 12);
+    const [month, day] = dayFirst ? [b, a] : [a, b];
+    return isValidDate(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+  }
+
+  const named = text.match(/^(?:[a-z]+,?\s+)?([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/i)
+    || text.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})/i);
+  if (named) {
+    const monthFirst = isNaN(Number(named[1]));
+    const month = MONTHS.indexOf((monthFirst ? named[1] : named[2]).toLowerCase()) + 1;
+    const day = Number(monthFirst ? named[2] : named[1]);
+    const year = Number(named[3]);
+    return month > 0 && isValidDate(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+  }
+
+  return null;
+};
+
+/**
+ * Parse a time cell to 24-hour `HH:mm`
+ * @param value - e.g. `19:00`, `7:00 PM`, `7pm`, `1900`, `19:00:00`
+ * @returns Time, or null when unreadable
+ */
+export const parseTimeValue = (value: string): string | null => {
+  const match = (value || '').trim().match(/^(\d{1,2})(?::?(\d{2}))?(?::\d{2}(?:\.\d+)?)?\s*([ap])?\.?m?\.?$/i);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+/**
+ * Split a cell that may hold a date, a time, or both
+ * @param value - e.g. `2025-01-06 19:00`, `01/06/2025 7:00 PM`, `19:00`
+ * @param order - Date order for ambiguous dates
+ * @returns Date and/or time parts (null when absent or unreadable)
+ */
+export const parseDateTimeValue = (
+  value: string,
+  order: DateOrder = 'auto'
+): { date: string | null; time: string | null } => {
+  const text = (value || '').trim();
+  const split = text.match(/^(\S+(?:\s+\d{1,2},?\s+\d{4})?)[T\s]+(.+)$/);
+  if (split) {
+    const date = parseDateValue(split[1], order);
+    if (date) return { date, time: parseTimeValue(split[2].replace(/(?:Z|[+-]\d{2}:?\d{2})$/, '')) };
+  }
+  const date = parseDateValue(text, order);
+  return date ? { date, time: null } : { date: null, time: parseTimeValue(text) };
+};
+
+/**
+ * Parse an amount cell
+ * @param value - e.g. `$1,234.56`, `(12.50)`, `-12.50`, `1.234,56`
+ * @param decimal - Decimal separator
+ * @returns Signed amount, or null when unreadable
+ */
+export const parseAmount = (value: string, decimal: '.' | ',' = '.'): number | null => {
+  let text = (value || '').trim();
+  if (!text) return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/-$/.test(text) || /^-/.test(text.replace(/^[^\d-]+/, ''))) negative = !negative;
+  const thousands = decimal === '.' ? /[,\s']/g : /[.\s']/g;
+  const cleaned = text.replace(/[^\d.,\s']/g, '').replace(thousands, '').replace(',', '.');
+  if (!/^\d*\.?\d+$|^\d+\.$/.test(cleaned)) return null;
+  const amount = Number(cleaned);
+  return negative ? -amount : amount;
+};
+
+// ============================================================================
+// Mapping
+// ============================================================================
+
+const normalizeHeader = (header: string): string => header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Suggest a column for each field from header names
+ * @param headers - CSV headers
+ * @param fields - Target fields
+ * @returns Mapping with unmatched fields set to null; each header is used once
+ */
+export const suggestMapping = (headers: string[], fields: ImportField[]): ColumnMapping => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set<number>();
+  const mapping: ColumnMapping = {};
+  const names = (field: ImportField) => [field.key.replace(/_/g, ' '), field.label, ...field.aliases].map(normalizeHeader);
+
+  // Exact names first, then headers that contain a name
+  fields.forEach(field => {
+    const index = normalized.findIndex((h, i) => !used.has(i) && names(field).includes(h));
+    if (index >= 0) used.add(index);
+    mapping[field.key] = index >= 0 ? headers[index] : null;
+  });
+  fields.forEach(field => {
+    if (mapping[field.key]) return;
+    const index = normalized.findIndex((h, i) => !used.has(i) && names(field).some(n => ` ${h} `.includes(` ${n} `)));
+    if (index >= 0) {
+      used.add(index);
+      mapping[field.key] = headers[index];
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Find the saved preset whose headers match the file
+ * @param presets - Saved presets for the target
+ * @param headers - CSV headers
+ * @returns Matching preset, if any
+ */
+export const findPreset = (presets: MappingPreset[], headers: string[]): MappingPreset | undefined => {
+  const signature = headers.map(normalizeHeader).join('|');
+  return presets.find(p => p.headers.map(normalizeHeader).join('|') === signature);
+};
+
+/**
+ * Required fields that have no column
+ * @param fields - Target fields
+ * @param mapping - Column mapping
+ * @returns Labels of unmapped required fields
+ */
+export const missingRequiredFields = (fields: ImportField[], mapping: ColumnMapping): string[] =>
+  fields.filter(f => f.required && !mapping[f.key]).map(f => f.label);
+
+// ============================================================================
+// Dry Run and Commit
+// ============================================================================
+
+const formatIssue = (target: ImportTarget<object>, path: Array<string | number>, message: string): string => {
+  if (path.length === 0) return message;
+  const key = String(path[0]);
+  const label = target.schemaLabels?.[key] ?? target.fields.find(f => f.key === key)?.label ?? path.join('.');
+  return `${label}: ${message}`;
+};
+
+/**
+ * Validate every row without saving anything
+ * @param table - Parsed CSV
+ * @param mapping - Column mapping
+ * @param target - Entity definition
+ * @param options - Value parsing options
+ * @param existing - Saved records, used to skip duplicates
+ * @returns Per-row outcome and totals
+ */
+export const dryRunImport = <R extends object>(
+  table: CsvTable,
+  mapping: ColumnMapping,
+  target: ImportTarget<R>,
+  options: ImportValueOptions,
+  existing: object[] = []
+): ImportDryRun<R> => {
+  const columnIndex = new Map(table.headers.map((h, i) => [h, i]));
+  const savedKeys = new Set(
+    target.duplicateKey
+      ? existing.map(record => target.duplicateKey!(record as Partial<R> & Record<string, unknown>)).filter(Boolean)
+      : []
+  );
+
+  const rows = table.rows.map((cells, index): ImportRowResult<R> => {
+    const line = table.lines[index];
+    const values: Record<string, string> = {};
+    target.fields.forEach(field => {
+      const column = mapping[field.key];
+      const position = column ? columnIndex.get(column) : undefined;
+      values[field.key] = position === undefined ? '' : (cells[position] ?? '').trim();
+    });
+
+    const parsed = target.schema.safeParse(target.toInput(values, options));
+    if (!parsed.success) {
+      // One message per field: an empty value also fails that field's format check
+      const seen = new Set<string>();
+      const messages = parsed.error.issues
+        .filter(issue => {
+          const path = issue.path.join('.');
+          if (seen.has(path)) return false;
+          seen.add(path);
+          return true;
+        })
+        .map(issue => formatIssue(target as ImportTarget<object>, issue.path, issue.message));
+      return { line, status: 'error', messages, cells };
+    }
+
+    const record = target.toRecord(parsed.data as Record<string, unknown>, values);
+    const problems = target.check ? target.check(record) : [];
+    if (problems.length > 0) return { line, status: 'error', messages: problems, cells };
+
+    const key = target.duplicateKey?.(record as Partial<R> & Record<string, unknown>);
+    if (key && savedKeys.has(key)) {
+      return { line, status: 'skip', record, messages: ['Already imported'], cells };
+    }
+    return { line, status: 'create', record, messages: [], cells };
+  });
+
+  return {
+    rows,
+    creates: rows.filter(r => r.status === 'create').length,
+    skips: rows.filter(r => r.status === 'skip').length,
+    errors: rows.filter(r => r.status === 'error').length,
+  };
+};
+
+/**
+ * Save the rows a dry run marked for creation, in chunks. A failed chunk marks
+ * its rows as errors and the commit continues with the next chunk.
+ * @param dryRun - Dry-run result
+ * @param create - Saves one chunk of records (e.g. a `batchCreate` call)
+ * @param options - Chunk size and progress callback
+ * @returns Counts and the rows with commit failures folded in
+ */
+export const commitImport = async <R extends object>(
+  dryRun: ImportDryRun<R>,
+  create: (records: R[]) => Promise<unknown>,
+  options: ImportCommitOptions = {}
+): Promise<ImportCommitResult<R>> => {
+  const chunkSize = Math.max(1, options.chunkSize ?? 25);
+  const rows = dryRun.rows.map(row => ({ ...row }));
+  const pending = rows.filter(row => row.status === 'create');
+  let created = 0;
+  let failed = 0;
+
+  for (let i = 0; i < pending.length; i += chunkSize) {
+    const chunk = pending.slice(i, i + chunkSize);
+    try {
+      await create(chunk.map(row => row.record as R));
+      created += chunk.length;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Save failed';
+      chunk.forEach(row => {
+        row.status = 'error';
+        row.messages = [`Save failed: ${message}`];
+      });
+      failed += chunk.length;
+    }
+    options.onProgress?.(Math.min(i + chunkSize, pending.length), pending.length);
+  }
+
+  return { created, failed, rows };
+};
+
+/**
+ * Build a CSV report of skipped and failed rows with the original cells
+ * @param rows - Dry-run or commit rows
+ * @param headers - Original CSV headers
+ * @returns CSV text (header only when every row succeeded)
+ */
+export const buildErrorReport = (rows: ImportRowResult<object>[], headers: string[]): string =>
+  [
+    toCsvLine(['Line', 'Status', 'Problem', ...headers]),
+    ...rows
+      .filter(row => row.status !== 'create')
+      .map(row => toCsvLine([row.line, row.status, row.messages.join('; '), ...row.cells])),
+  ].join('\r\n');
+
+// ============================================================================
+// Targets
+// ============================================================================
+
+/**
+ * Transaction record created by the importer
+ */
+export interface TransactionImportRecord {
+  description: string;
+  amount: number;
+  type: 'income' | 'expense';
+  category: string;
+  date: string;
+  notes?: string;
+}
+
+/**
+ * Shift record created by the importer
+ */
+export interface ShiftImportRecord {
+  title: string;
+  start_datetime: string;
+  end_datetime: string;
+  scheduled_hours: number;
+  break_minutes: number;
+  hourly_rate?: number;
+  location?: string;
+  notes?: string;
+  import_source: 'csv';
+}
+
+const optionalNumber = (value: string): number | undefined => {
+  const amount = parseAmount(value);
+  return amount === null ? undefined : amount;
+};
+
+const INCOME_TYPES = /^(income|credit|cr|deposit|inflow|in)$/i;
+const EXPENSE_TYPES = /^(expense|debit|dr|withdrawal|payment|outflow|out|purchase)$/i;
+
+/**
+ * Bank and budgeting-app exports: signed amount or separate debit/credit columns
+ */
+export const TRANSACTION_IMPORT_TARGET: ImportTarget<TransactionImportRecord> = {
+  id: 'transactions',
+  entity: 'Transaction',
+  label: 'Transactions',
+  fields: [
+    { key: 'date', label: 'Date', required: true, aliases: ['posted date', 'posting date', 'transaction date', 'trans date'] },
+    { key: 'description', label: 'Description', required: true, aliases: ['payee', 'merchant', 'memo', 'name', 'details', 'title'] },
+    { key: 'amount', label: 'Amount', aliases: ['value', 'transaction amount'] },
+    { key: 'debit', label: 'Debit', aliases: ['withdrawal', 'withdrawals', 'money out', 'outflow'] },
+    { key: 'credit', label: 'Credit', aliases: ['deposit', 'deposits', 'money in', 'inflow'] },
+    { key: 'type', label: 'Type', aliases: ['transaction type', 'dr cr'] },
+    { key: 'category', label: 'Category', aliases: ['budget category'] },
+    { key: 'notes', label: 'Notes', aliases: ['note', 'comment', 'comments'] },
+  ],
+  schema: transactionSchema,
+  toInput(values, options) {
+    const signed = values.amount
+      ? parseAmount(values.amount, options.decimal)
+      : values.debit || values.credit
+        ? (parseAmount(values.credit, options.decimal) || 0) - Math.abs(parseAmount(values.debit, options.decimal) || 0)
+        : null;
+    const explicitType = INCOME_TYPES.test(values.type) ? 'income' : EXPENSE_TYPES.test(values.type) ? 'expense' : null;
+    return {
+      description: values.description,
+      amount: signed === null ? undefined : Math.abs(signed),
+      type: explicitType || (signed !== null && signed > 0 ? 'income' : 'expense'),
+      category: values.category || 'Uncategorized',
+      date: parseDateValue(values.date, options.date_order) ?? values.date,
+      notes: values.notes,
+    };
+  },
+  toRecord(data) {
+    return {
+      description: String(data.description),
+      amount: Number(data.amount),
+      type: data.type as TransactionImportRecord['type'],
+      category: String(data.category),
+      date: String(data.date),
+      ...(data.notes ? { notes: String(data.notes) } : {}),
+    };
+  },
+  duplicateKey(record) {
+    if (!record.date || record.amount === undefined || !record.description) return null;
+    return `${String(record.date).slice(0, 10)}|${Number(record.amount).toFixed(2)}|${String(record.description).trim().toLowerCase()}`;
+  },
+};
+
+const addDay = (date: string): string => {
+  const [year, month, day] = date.split('-').map(Number);
+  const next = new Date(year, month - 1, day + 1);
+  return `${next.getFullYear()}-${pad(next.getMonth() + 1)}-${pad(next.getDate())}`;
+};
+
+const minutesBetween = (start: string, end: string): number =>
+  (new Date(end).getTime() - new Date(start).getTime()) / 60000;
+
+/**
+ * Scheduling-app exports: a date plus start/end times, or full start/end datetimes.
+ * Shifts whose end time is not after the start time end the next day.
+ */
+export const SHIFT_IMPORT_TARGET: ImportTarget<ShiftImportRecord> = {
+  id: 'shifts',
+  entity: 'Shift',
+  label: 'Shifts',
+  fields: [
+    { key: 'title', label: 'Title', aliases: ['shift', 'position', 'role', 'name', 'description'] },
+    { key: 'date', label: 'Date', aliases: ['shift date', 'day'] },
+    { key: 'start', label: 'Start', required: true, aliases: ['start time', 'start datetime', 'start date time', 'from', 'in', 'clock in'] },
+    { key: 'end', label: 'End', required: true, aliases: ['end time', 'end datetime', 'end date time', 'to', 'out', 'clock out'] },
+    { key: 'break_minutes', label: 'Break (minutes)', aliases: ['break', 'unpaid break', 'meal break'] },
+    { key: 'hourly_rate', label: 'Hourly rate', aliases: ['rate', 'pay rate', 'wage'] },
+    { key: 'location', label: 'Location', aliases: ['unit', 'site', 'department', 'facility'] },
+    { key: 'notes', label: 'Notes', aliases: ['note', 'comment', 'comments'] },
+  ],
+  schema: shiftImportSchema,
+  schemaLabels: { startTime: 'Start', endTime: 'End', breakMinutes: 'Break (minutes)', hourlyRate: 'Hourly rate' },
+  toInput(values, options) {
+    const start = parseDateTimeValue(values.start, options.date_order);
+    const end = parseDateTimeValue(values.end, options.date_order);
+    const date = start.date ?? parseDateValue(values.date, options.date_order);
+    const breakMinutes = optionalNumber(values.break_minutes);
+    return {
+      date: date ?? values.date,
+      startTime: start.time ?? values.start,
+      endTime: end.time ?? values.end,
+      breakMinutes: breakMinutes === undefined ? 0 : Math.round(breakMinutes),
+      hourlyRate: optionalNumber(values.hourly_rate),
+      location: values.location || undefined,
+      notes: values.notes,
+    };
+  },
+  toRecord(data, values) {
+    const date = String(data.date);
+    const startTime = String(data.startTime);
+    const endTime = String(data.endTime);
+    const explicitEnd = parseDateTimeValue(values.end).date;
+    const endDate = explicitEnd ?? (endTime <= startTime ? addDay(date) : date);
+    const start_datetime = `${date}T${startTime}`;
+    const end_datetime = `${endDate}T${endTime}`;
+    const breakMinutes = Number(data.breakMinutes) || 0;
+    return {
+      title: values.title || 'Imported shift',
+      start_datetime,
+      end_datetime,
+      scheduled_hours: round2((minutesBetween(start_datetime, end_datetime) - breakMinutes) / 60),
+      break_minutes: breakMinutes,
+      ...(data.hourlyRate !== undefined ? { hourly_rate: Number(data.hourlyRate) } : {}),
+      ...(data.location ? { location: String(data.location) } : {}),
+      ...(data.notes ? { notes: String(data.notes) } : {}),
+      import_source: 'csv' as const,
+    };
+  },
+  check(record) {
+    const minutes = minutesBetween(record.start_datetime, record.end_datetime);
+    if (minutes <= 0) return ['End must be after start'];
+    if (minutes > 24 * 60) return ['Shift cannot be longer than 24 hours'];
+    if (record.scheduled_hours <= 0) return ['Break is longer than the shift'];
+    return [];
+  },
+  duplicateKey(record) {
+    return record.start_datetime ? String(record.start_datetime).slice(0, 16) : null;
+  },
+};
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests for debt consolidation comparison
+ * @description Covers the new loan payment, fees, savings, break-even month
+ * and the chart series for both paths
+ */
+
+import { describe, it, expect } from 'vitest';
+import { amortizedPayment, compareConsolidation } from './debtConsolidation';
+
+const debts = [
+  { id: 'card', name: 'Card', balance: 4000, apr: 25, minimum_payment: 120 },
+  { id: 'store', name: 'Store', balance: 1000, apr: 28, minimum_payment: 40 },
+  { id: 'car', name: 'Car', balance: 8000, apr: 5, minimum_payment: 250 },
+];
+
+describe('amortizedPayment', () => {
+  it('levels principal and interest over the term', () => {
+    expect(amortizedPayment(5000, 0, 10)).toBe(500);
+    expect(amortizedPayment(10000, 6, 36)).toBe(304.22);
+    expect(amortizedPayment(0, 6, 36)).toBe(0);
+  });
+});
+
+describe('compareConsolidation', () => {
+  const options = { start_date: '2025-01-01' };
+
+  it('replaces the selected debts with the new loan and keeps the rest', () => {
+    const result = compareConsolidation(debts, ['card', 'store'], { apr: 10, term_months: 36, origination_fee: 4 }, options);
+
+    expect(result.consolidated_balance).toBe(5000);
+    expect(result.consolidated.fees).toBe(200);
+    // Fees are financed by default
+    expect(result.new_loan_payment).toBe(amortizedPayment(5200, 10, 36));
+    expect(result.consolidated.plan.order).toEqual(['consolidation-offer', 'car']);
+    expect(result.current.plan.order).toEqual(['store', 'card', 'car']);
+    expect(result.monthly_payment_change).toBe(Math.round((410 - (result.new_loan_payment + 250)) * 100) / 100);
+  });
+
+  it('reports savings and the month the cheaper rate pays back the fee', () => {
+    const result = compareConsolidation(
+      debts,
+      ['card', 'store'],
+      { apr: 9, term_months: 36, origination_fee: 5, finance_fees: false },
+      options
+    );
+
+    expect(result.consolidated.total_cost).toBe(
+      Math.round((result.consolidated.total_interest + 250) * 100) / 100
+    );
+    expect(result.savings).toBeGreaterThan(0);
+    expect(result.break_even_month).toBeGreaterThan(1);
+    // The fee is still ahead of the interest saved the month before break-even
+    expect(result.break_even_month).toBeLessThan(result.consolidated.total_months);
+  });
+
+  it('has no break-even when the offer costs more', () => {
+    const result = compareConsolidation(debts, ['car'], { apr: 12, term_months: 60, origination_fee: 3 }, options);
+    expect(result.savings).toBeLessThan(0);
+    expect(result.break_even_month).toBeNull();
+  });
+
+  it('charts the total balance of both paths month by month', () => {
+    const result = compareConsolidation(debts, ['card', 'store'], { apr: 10, term_months: 24 }, options);
+    const longest = Math.max(result.current.total_months, result.consolidated.total_months);
+
+    expect(result.chart).toHaveLength(longest);
+    expect(result.chart[0]).toMatchObject({
+      month: 1,
+      date: '2025-02-01',
+      current: result.current.plan.months[0].total_balance,
+      consolidated: result.consolidated.plan.months[0].total_balance,
+    });
+    expect(result.chart[longest - 1]).toMatchObject({ current: 0, consolidated: 0 });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Debt consolidation and refinance comparison
+ * @description Compares continuing the current payoff plan against rolling a
+ * subset of debts into one new loan or balance transfer. Both paths run through
+ * the shared payoff engine with the same strategy and extra payment, so the only
+ * difference is the offer: its rate, term and fees.
+ */
+
+import {
+  simulateDebtPayoff,
+  type PayoffDebt,
+  type PayoffOptions,
+  type PayoffPlan,
+} from './debtPayoff';
+import { round2, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Consolidation loan or balance transfer offer
+ */
+export interface ConsolidationOffer {
+  kind?: 'loan' | 'balance_transfer';
+  /** Annual rate in percent */
+  apr: number;
+  /** Months to repay the new balance */
+  term_months: number;
+  /** Origination fee in percent of the consolidated amount */
+  origination_fee?: number;
+  /** Balance transfer fee in percent of the consolidated amount */
+  transfer_fee?: number;
+  /** Add fees to the new balance (default true); otherwise they are paid up front */
+  finance_fees?: boolean;
+}
+
+/**
+ * Totals for one path
+ */
+export interface ConsolidationPath {
+  /** Total payment in the first month */
+  monthly_payment: number;
+  total_interest: number;
+  /** Fees paid for the offer (0 for the current path) */
+  fees: number;
+  /** Interest plus fees */
+  total_cost: number;
+  total_months: number;
+  debt_free_date: string | null;
+  paid_off: boolean;
+  plan: PayoffPlan;
+}
+
+/**
+ * Point on the amortization chart
+ */
+export interface ConsolidationChartPoint {
+  month: number;
+  date: string;
+  current: number;
+  consolidated: number;
+}
+
+/**
+ * Comparison result
+ */
+export interface ConsolidationComparison {
+  /** Combined balance of the selected debts */
+  consolidated_balance: number;
+  /** New loan balance, including financed fees */
+  new_loan_balance: number;
+  /** Amortized monthly payment on the new loan */
+  new_loan_payment: number;
+  current: ConsolidationPath;
+  consolidated: ConsolidationPath;
+  /** Positive when consolidating costs less overall */
+  savings: number;
+  /** Positive when consolidating lowers the first month's payment */
+  monthly_payment_change: number;
+  /** First month the consolidated path's cumulative cost drops to or below the current path's, or null */
+  break_even_month: number | null;
+  chart: ConsolidationChartPoint[];
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const CONSOLIDATED_ID = 'consolidation-offer';
+
+/**
+ * Level monthly payment for a loan
+ * @param principal - Amount borrowed
+ * @param apr - Annual rate in percent
+ * @param months - Term in months
+ * @returns Monthly payment
+ */
+export const amortizedPayment = (principal: number, apr: number, months: number): number => {
+  if (principal <= 0) return 0;
+  if (months <= 0) return round2(principal);
+  const rate = apr / 100 / 12;
+  if (rate === 0) return round2(principal / months);
+  return round2(principal * rate / (1 - Math.pow(1 + rate, -months)));
+};
+
+const toPath = (plan: PayoffPlan, fees: number): ConsolidationPath => ({
+  monthly_payment: plan.months[0]?.total_payment ?? 0,
+  total_interest: plan.total_interest,
+  fees,
+  total_cost: round2(plan.total_interest + fees),
+  total_months: plan.total_months,
+  debt_free_date: plan.debt_free_date,
+  paid_off: plan.paid_off,
+  plan,
+});
+
+/**
+ * Cumulative interest per month, plus an opening amount
+ */
+const cumulativeCost = (plan: PayoffPlan, opening: number): number[] => {
+  const costs: number[] = [];
+  let total = opening;
+  for (const month of plan.months) {
+    total += month.total_interest;
+    costs.push(round2(total));
+  }
+  return costs;
+};
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Compare the current payoff plan with consolidating some debts into an offer
+ * @param debts - All debt accounts
+ * @param selectedIds - Ids of the debts the offer would pay off
+ * @param offer - Rate, term and fees of the offer
+ * @param options - Payoff plan options shared by both paths (strategy, extra payment, start date)
+ * @returns Totals for both paths, savings, break-even month and chart data
+ */
+export const compareConsolidation = (
+  debts: PayoffDebt[],
+  selectedIds: string[],
+  offer: ConsolidationOffer,
+  options: PayoffOptions = {}
+): ConsolidationComparison => {
+  const selected = new Set(selectedIds.map(String));
+  const isSelected = (debt: PayoffDebt): boolean => debt.id != null && selected.has(String(debt.id));
+  const remaining = debts.filter(debt => !isSelected(debt));
+  const balance = round2(debts.filter(isSelected).reduce((sum, debt) => sum + Math.max(0, toNumber(debt.balance)), 0));
+
+  const apr = Math.max(0, toNumber(offer.apr));
+  const term = Math.max(1, Math.round(toNumber(offer.term_months)));
+  const feePercent = Math.max(0, toNumber(offer.origination_fee)) + Math.max(0, toNumber(offer.transfer_fee));
+  const fees = round2(balance * feePercent / 100);
+  const financeFees = offer.finance_fees !== false;
+  const principal = round2(balance + (financeFees ? fees : 0));
+  const payment = amortizedPayment(principal, apr, term);
+
+  const newLoan: PayoffDebt = {
+    id: CONSOLIDATED_ID,
+    name: offer.kind === 'balance_transfer' ? 'Balance transfer' : 'Consolidation loan',
+    balance: principal,
+    apr,
+    minimum_payment: payment,
+  };
+
+  // The new loan takes the selected debts' place in a custom order
+  const customOrder = options.custom_order?.length
+    ? [...options.custom_order.filter(id => !selected.has(id)), CONSOLIDATED_ID]
+    : options.custom_order;
+
+  const currentPlan = simulateDebtPayoff(debts, options);
+  const consolidatedPlan = simulateDebtPayoff(
+    principal > 0 ? [...remaining, newLoan] : remaining,
+    { ...options, custom_order: customOrder }
+  );
+
+  // Financed fees show up as interest-bearing principal; upfront fees are a day-one cost
+  const current = toPath(currentPlan, 0);
+  const consolidated = toPath(consolidatedPlan, fees);
+
+  const currentCosts = cumulativeCost(currentPlan, 0);
+  const consolidatedCosts = cumulativeCost(consolidatedPlan, fees);
+  const horizon = Math.max(currentCosts.length, consolidatedCosts.length);
+  const costAt = (costs: number[], index: number): number =>
+    costs.length === 0 ? 0 : costs[Math.min(index, costs.length - 1)];
+
+  let breakEven: number | null = null;
+  for (let i = 0; i < horizon; i++) {
+    if (costAt(consolidatedCosts, i) <= costAt(currentCosts, i)) {
+      breakEven = i + 1;
+      break;
+    }
+  }
+
+  const balanceAt = (plan: PayoffPlan, index: number): number => plan.months[index]?.total_balance ?? 0;
+  const longer = currentPlan.months.length >= consolidatedPlan.months.length ? currentPlan : consolidatedPlan;
+  const chart: ConsolidationChartPoint[] = longer.months.map((month, index) => ({
+    month: month.month,
+    date: month.date,
+    current: balanceAt(currentPlan, index),
+    consolidated: balanceAt(consolidatedPlan, index),
+  }));
+
+  return {
+    consolidated_balance: balance,
+    new_loan_balance: principal,
+    new_loan_payment: payment,
+    current,
+    consolidated,
+    savings: round2(current.total_cost - consolidated.total_cost),
+    monthly_payment_change: round2(current.monthly_payment - consolidated.monthly_payment),
+    break_even_month: breakEven,
+    chart,
+  };
+};
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Tests for the debt payoff amortization engine
+ * @description Covers joint month-by-month simulation, immediate rollover of
+ * freed payments, strategy ordering, the strategy comparison, promotional rates
+ * and deferred interest
+ */
+
+import { describe, it, expect } from 'vitest';
+import { simulateDebtPayoff, compareDebtStrategies, promoWarnings } from './debtPayoff';
+
+const debts = [
+  { id: 'card', name: 'Card', balance: 1000, apr: 24, minimum_payment: 50 },
+  { id: 'store', name: 'Store', balance: 300, apr: 12, minimum_payment: 30 },
+  { id: 'car', name: 'Car', balance: 5000, interest_rate: 6, minimum_payment: 150 },
+];
+
+describe('simulateDebtPayoff', () => {
+  it('amortizes a single debt with monthly interest', () => {
+    const plan = simulateDebtPayoff(
+      [{ id: 'a', balance: 1000, apr: 12, minimum_payment: 500 }],
+      { start_date: '2025-01-15' }
+    );
+
+    expect(plan.months.map(m => m.debts[0])).toEqual([
+      { id: 'a', name: 'Debt 1', starting_balance: 1000, interest: 10, payment: 500, principal: 490, ending_balance: 510 },
+      { id: 'a', name: 'Debt 1', starting_balance: 510, interest: 5.1, payment: 500, principal: 494.9, ending_balance: 15.1 },
+      { id: 'a', name: 'Debt 1', starting_balance: 15.1, interest: 0.15, payment: 15.25, principal: 15.1, ending_balance: 0 },
+    ]);
+    expect(plan).toMatchObject({
+      total_months: 3,
+      total_interest: 15.25,
+      total_paid: 1015.25,
+      debt_free_date: '2025-04-15',
+      paid_off: true,
+    });
+    expect(plan.months[0].date).toBe('2025-02-15');
+  });
+
+  it('rolls a paid-off debt\'s payment into the next target in the same month', () => {
+    const plan = simulateDebtPayoff(
+      [
+        { id: 'small', balance: 100, apr: 0, minimum_payment: 60 },
+        { id: 'big', balance: 1000, apr: 0, minimum_payment: 40 },
+      ],
+      { strategy: 'snowball', start_date: '2025-01-01' }
+    );
+
+    // Month 2: small needs only 40 of its 60, the other 20 goes to big right away
+    expect(plan.months[1].debts.map(d => [d.id, d.payment])).toEqual([['small', 40], ['big', 60]]);
+    // From month 3 on the whole 100 goes to big
+    expect(plan.months[2].debts).toEqual([
+      { id: 'big', name: 'Debt 2', starting_balance: 900, interest: 0, payment: 100, principal: 100, ending_balance: 800 },
+    ]);
+    expect(plan.months.every(m => m.total_payment === 100)).toBe(true);
+    expect(plan.total_months).toBe(11);
+    expect(plan.debts.map(d => [d.id, d.months_to_payoff])).toEqual([['small', 2], ['big', 11]]);
+  });
+
+  it('orders debts by strategy', () => {
+    expect(simulateDebtPayoff(debts, { strategy: 'avalanche' }).order).toEqual(['card', 'store', 'car']);
+    expect(simulateDebtPayoff(debts, { strategy: 'snowball' }).order).toEqual(['store', 'card', 'car']);
+    expect(simulateDebtPayoff(debts, { strategy: 'highest_interest_cost' }).order).toEqual(['car', 'card', 'store']);
+    expect(simulateDebtPayoff(debts, { strategy: 'custom', custom_order: ['car'] }).order).toEqual(['car', 'card', 'store']);
+  });
+
+  it('derives the extra payment from a total monthly budget', () => {
+    const plan = simulateDebtPayoff(debts, { monthly_budget: 330 });
+    expect(plan.extra_payment).toBe(100);
+    expect(plan.months[0].total_payment).toBe(330);
+    expect(plan.months[0].target_id).toBe('card');
+  });
+
+  it('stops at the cap when payments do not cover interest', () => {
+    const plan = simulateDebtPayoff([{ id: 'a', balance: 10000, apr: 30, minimum_payment: 100 }], { max_months: 24 });
+    expect(plan.paid_off).toBe(false);
+    expect(plan.total_months).toBe(24);
+    expect(plan.debt_free_date).toBeNull();
+    expect(plan.debts[0].months_to_payoff).toBeNull();
+  });
+
+  it('ignores debts with no balance', () => {
+    const plan = simulateDebtPayoff([{ id: 'done', balance: '0', apr: 10, minimum_payment: 25 }]);
+    expect(plan).toMatchObject({ order: [], months: [], total_months: 0, paid_off: true });
+  });
+});
+
+describe('compareDebtStrategies', () => {
+  it('compares strategies against each other and against minimums only', () => {
+    const comparison = compareDebtStrategies(debts, { extra_payment: 100, start_date: '2025-01-01' });
+    const byStrategy = Object.fromEntries(comparison.strategies.map(s => [s.strategy, s]));
+
+    expect(Object.keys(byStrategy)).toEqual(['avalanche', 'snowball', 'highest_interest_cost']);
+    expect(comparison.best).toBe('avalanche');
+    expect(byStrategy.avalanche.total_interest).toBeLessThan(byStrategy.snowball.total_interest);
+    expect(byStrategy.avalanche.savings_vs_worst).toBeGreaterThan(0);
+    expect(byStrategy.avalanche.interest_saved).toBe(
+      Math.round((comparison.baseline.total_interest - byStrategy.avalanche.total_interest) * 100) / 100
+    );
+    expect(byStrategy.avalanche.months_saved).toBeGreaterThan(0);
+    expect(comparison.baseline).toMatchObject({ extra_payment: 0, rollover: false });
+  });
+
+  it('includes the custom order when one is given', () => {
+    const comparison = compareDebtStrategies(debts, { custom_order: ['car', 'store', 'card'] });
+    expect(comparison.strategies.map(s => s.strategy)).toContain('custom');
+    expect(comparison.plans.custom?.order).toEqual(['car', 'store', 'card']);
+  });
+});
+
+describe('promotional rates', () => {
+  const promoCard = {
+    id: 'promo',
+    name: 'Store Card',
+    balance: 1200,
+    apr: 24,
+    minimum_payment: 100,
+    promo_apr: 0,
+    promo_start_date: '2024-10-01',
+    promo_end_date: '2025-06-30',
+    balance_transfer_amount: 1000,
+    balance_transfer_fee: 3,
+  };
+
+  it('charges the promo rate until the end date, then the standard rate', () => {
+    const plan = simulateDebtPayoff([promoCard], { start_date: '2025-01-01' });
+    const interest = plan.months.map(m => m.debts[0].interest);
+
+    // Periods starting Jan through Jun are inside the promo
+    expect(interest.slice(0, 6)).toEqual([0, 0, 0, 0, 0, 0]);
+    expect(interest[6]).toBe(12); // 600 × 2%
+    expect(plan.debts[0].promo).toEqual({
+      promo_apr: 0,
+      end_date: '2025-06-30',
+      deferred_interest: false,
+      months_in_promo: 6,
+      balance_at_end: 600,
+      cleared: false,
+      deferred_interest_charged: 0,
+      payment_needed: 200,
+      transfer_fee: 30,
+    });
+  });
+
+  it('moves a card up the avalanche once its promo rate ends', () => {
+    const plan = simulateDebtPayoff([
+      { id: 'card', balance: 5000, apr: 29.99, minimum_payment: 150, promo_apr: 0, promo_end_date: '2025-04-01' },
+      { id: 'loan', balance: 5000, apr: 10, minimum_payment: 150 },
+    ], { start_date: '2025-01-01', extra_payment: 400 });
+
+    expect(plan.months.slice(0, 5).map(m => m.target_id)).toEqual(['loan', 'loan', 'loan', 'card', 'card']);
+  });
+
+  it('counts a balance transfer fee in the cost with or without a promo', () => {
+    const transfer = { id: 'bt', balance: 3000, apr: 20, minimum_payment: 100, balance_transfer_amount: 3000, balance_transfer_fee: 5 };
+    const withFee = simulateDebtPayoff([transfer], { start_date: '2025-01-01' });
+    const withoutFee = simulateDebtPayoff([{ ...transfer, balance_transfer_fee: 0 }], { start_date: '2025-01-01' });
+
+    expect(withFee.debts[0].transfer_fee).toBe(150);
+    expect(withFee.total_fees).toBe(150);
+    expect(withFee.total_paid).toBeCloseTo(withoutFee.total_paid + 150, 2);
+  });
+
+  it('charges deferred interest back to the promo start when the balance is not cleared', () => {
+    const plan = simulateDebtPayoff([{ ...promoCard, deferred_interest: true }], { start_date: '2025-01-01' });
+
+    // 3 months before the plan on 1200, then 1200, 1100, ... 700 during it, all at 2% a month
+    const expected = 1200 * 0.02 * 3 + (1200 + 1100 + 1000 + 900 + 800 + 700) * 0.02;
+    expect(plan.debts[0].promo?.deferred_interest_charged).toBeCloseTo(expected, 2);
+    expect(plan.months[6].debts[0].interest).toBeCloseTo(expected + 12, 2);
+  });
+
+  it('forgives deferred interest when the promo balance is paid in time', () => {
+    const plan = simulateDebtPayoff([{ ...promoCard, deferred_interest: true }], { start_date: '2025-01-01', extra_payment: 100 });
+
+    expect(plan.debts[0].promo).toMatchObject({ cleared: true, balance_at_end: 0, deferred_interest_charged: 0 });
+    expect(plan.total_interest).toBe(0);
+    expect(promoWarnings(plan)).toEqual([]);
+  });
+
+  it('warns about promo balances left at expiry', () => {
+    const plan = simulateDebtPayoff([{ ...promoCard, deferred_interest: true }], { start_date: '2025-01-01' });
+
+    expect(promoWarnings(plan)).toEqual([{
+      debt_id: 'promo',
+      name: 'Store Card',
+      end_date: '2025-06-30',
+      deferred_interest: true,
+      balance_at_end: 600,
+      deferred_interest_charged: plan.debts[0].promo!.deferred_interest_charged,
+      payment_needed: 200,
+      planned_payment: 100,
+    }]);
+  });
+
+  it('ignores promos that have already ended', () => {
+    const plan = simulateDebtPayoff([{ ...promoCard, promo_end_date: '2024-12-31' }], { start_date: '2025-01-01' });
+    expect(plan.debts[0].promo).toBeNull();
+    expect(plan.months[0].debts[0].interest).toBe(24);
+  });
+
+  it('orders avalanche by the rate charged now', () => {
+    const plan = simulateDebtPayoff(
+      [promoCard, { id: 'loan', balance: 2000, apr: 8, minimum_payment: 60 }],
+      { start_date: '2025-01-01' }
+    );
+    expect(plan.order).toEqual(['loan', 'promo']);
+  });
+});
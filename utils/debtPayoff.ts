@@ -0,0 +1,597 @@
+/**
+ * @fileoverview Debt payoff amortization engine
+ * @description Simulates every debt together month by month: interest accrues,
+ * each debt gets its minimum, and whatever is left of the monthly budget goes to
+ * the current target debt, re-ranked every month on current balances and the
+ * rate charged that month. When a debt is paid off its minimum stays in the
+ * budget and rolls to the next target in the same month. Supports avalanche,
+ * snowball, highest-interest-cost-first and a custom order, and compares the
+ * strategies against each other and against paying minimums only.
+ *
+ * Promotional rates are applied until their end date. Deferred-interest promos
+ * accrue interest at the standard APR in the background and charge all of it in
+ * the first month after the promo if any balance is left. Balance transfer
+ * fees count toward what each debt costs.
+ */
+
+import { addMonths, differenceInCalendarMonths, parseISO } from 'date-fns';
+import { round2, toDateKey, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Order in which extra money is applied
+ * - avalanche: highest APR first
+ * - snowball: smallest balance first
+ * - highest_interest_cost: largest monthly interest charge (balance × APR) first
+ * - custom: user-defined order
+ */
+export type PayoffStrategy = 'avalanche' | 'snowball' | 'highest_interest_cost' | 'custom';
+
+export const PAYOFF_STRATEGIES: PayoffStrategy[] = ['avalanche', 'snowball', 'highest_interest_cost', 'custom'];
+
+/**
+ * Debt as accepted by the engine (DebtAccount records or calculation inputs)
+ */
+export interface PayoffDebt {
+  id?: string | number;
+  name?: string;
+  account_name?: string;
+  balance: number | string;
+  /** Annual rate in percent; `interest_rate` is used when absent */
+  apr?: number | string;
+  interest_rate?: number | string;
+  minimum_payment?: number | string;
+  /** Promotional annual rate in percent (e.g. 0 for a 0% intro period) */
+  promo_apr?: number | string | null;
+  /** Day the promotional rate started, yyyy-MM-dd */
+  promo_start_date?: string | null;
+  /** Last day of the promotional rate, yyyy-MM-dd */
+  promo_end_date?: string | null;
+  /** Interest at the standard APR is charged back to the promo start if not paid by the end date */
+  deferred_interest?: boolean;
+  /** Amount moved onto the account by a balance transfer */
+  balance_transfer_amount?: number | string | null;
+  /** Balance transfer fee in percent of the transferred amount */
+  balance_transfer_fee?: number | string | null;
+}
+
+/**
+ * Payoff simulation options
+ */
+export interface PayoffOptions {
+  strategy?: PayoffStrategy;
+  /** Amount paid each month on top of the minimums */
+  extra_payment?: number;
+  /** Total monthly amount; overrides extra_payment when above the minimums */
+  monthly_budget?: number;
+  /** Debt ids in payoff order for the custom strategy; unlisted debts follow by APR */
+  custom_order?: string[];
+  /** Keep paying a paid-off debt's minimum toward the next target (default true) */
+  rollover?: boolean;
+  /** First day of the plan, yyyy-MM-dd (default today); month 1 is paid a month later */
+  start_date?: string;
+  /** Simulation cap (default 600) */
+  max_months?: number;
+}
+
+/**
+ * One debt's activity in a single month
+ */
+export interface PayoffMonthDebt {
+  id: string;
+  name: string;
+  starting_balance: number;
+  interest: number;
+  payment: number;
+  principal: number;
+  ending_balance: number;
+}
+
+/**
+ * One month of the schedule
+ */
+export interface PayoffMonth {
+  month: number;
+  /** Payment date, yyyy-MM-dd */
+  date: string;
+  /** Debt receiving the extra money at the start of the month */
+  target_id: string | null;
+  debts: PayoffMonthDebt[];
+  total_payment: number;
+  total_interest: number;
+  total_balance: number;
+}
+
+/**
+ * How a promotional rate plays out under the plan
+ */
+export interface PayoffPromoOutcome {
+  promo_apr: number;
+  end_date: string;
+  deferred_interest: boolean;
+  /** Payment months that fall inside the promo */
+  months_in_promo: number;
+  /** Balance left once the promo ends (0 when cleared) */
+  balance_at_end: number;
+  cleared: boolean;
+  /** Retroactive interest charged because the balance was not cleared in time */
+  deferred_interest_charged: number;
+  /** Level monthly payment that would clear the balance by the end date */
+  payment_needed: number;
+  /** One-time balance transfer fee */
+  transfer_fee: number;
+}
+
+/**
+ * Per-debt totals over the whole plan
+ */
+export interface PayoffDebtSummary {
+  id: string;
+  name: string;
+  starting_balance: number;
+  apr: number;
+  minimum_payment: number;
+  /** Position in the payoff order, starting at 1 */
+  priority: number;
+  /** Month the balance reaches zero, or null if it never does within the cap */
+  months_to_payoff: number | null;
+  payoff_date: string | null;
+  total_interest: number;
+  /** Payments plus any balance transfer fee */
+  total_paid: number;
+  /** One-time balance transfer fee, promo or not */
+  transfer_fee: number;
+  /** Promo outcome, or null when the debt has no promo still running at the start */
+  promo: PayoffPromoOutcome | null;
+}
+
+/**
+ * Full payoff plan
+ */
+export interface PayoffPlan {
+  strategy: PayoffStrategy;
+  /** Monthly amount paid while any debt remains */
+  monthly_budget: number;
+  extra_payment: number;
+  rollover: boolean;
+  /** Debt ids in payoff order */
+  order: string[];
+  debts: PayoffDebtSummary[];
+  months: PayoffMonth[];
+  total_months: number;
+  total_interest: number;
+  /** Balance transfer fees across all debts */
+  total_fees: number;
+  /** Payments plus balance transfer fees */
+  total_paid: number;
+  debt_free_date: string | null;
+  /** False when balances remain after the simulation cap (payments below interest) */
+  paid_off: boolean;
+}
+
+/**
+ * One strategy's result in a comparison
+ */
+export interface StrategyComparisonEntry {
+  strategy: PayoffStrategy;
+  total_months: number;
+  total_interest: number;
+  debt_free_date: string | null;
+  paid_off: boolean;
+  /** Interest saved versus paying only minimums without rollover */
+  interest_saved: number;
+  months_saved: number;
+  /** Interest saved versus the most expensive strategy compared */
+  savings_vs_worst: number;
+}
+
+/**
+ * Strategy comparison
+ */
+export interface StrategyComparison {
+  /** Minimums only, no extra payment and no rollover */
+  baseline: PayoffPlan;
+  plans: Partial<Record<PayoffStrategy, PayoffPlan>>;
+  strategies: StrategyComparisonEntry[];
+  /** Strategy with the least interest (ties go to the earliest listed) */
+  best: PayoffStrategy | null;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+interface NormalizedPromo {
+  apr: number;
+  start: Date | null;
+  end: Date;
+  deferred: boolean;
+}
+
+interface NormalizedDebt {
+  id: string;
+  name: string;
+  balance: number;
+  apr: number;
+  minimum: number;
+  promo: NormalizedPromo | null;
+  /** Rate charged in the month being ordered */
+  current_apr: number;
+  transfer_fee: number;
+}
+
+/**
+ * Annual rate of a debt in percent; DebtAccount records store it as interest_rate
+ * @param debt - Debt record
+ * @returns Standard APR
+ */
+export const debtApr = (debt: Pick<PayoffDebt, 'apr' | 'interest_rate'>): number =>
+  Math.max(0, toNumber(debt.apr ?? debt.interest_rate));
+
+const normalizePromo = (debt: PayoffDebt, start: Date): NormalizedPromo | null => {
+  if (!debt.promo_end_date || debt.promo_apr == null || debt.promo_apr === '') return null;
+  const end = parseISO(debt.promo_end_date);
+  if (Number.isNaN(end.getTime()) || end <= start) return null;
+  const promoStart = debt.promo_start_date ? parseISO(debt.promo_start_date) : null;
+  return {
+    apr: Math.max(0, toNumber(debt.promo_apr)),
+    start: promoStart && !Number.isNaN(promoStart.getTime()) ? promoStart : null,
+    end,
+    deferred: Boolean(debt.deferred_interest),
+  };
+};
+
+const normalizeDebts = (debts: PayoffDebt[], start: Date): NormalizedDebt[] =>
+  debts
+    .map((debt, index) => {
+      const apr = debtApr(debt);
+      const promo = normalizePromo(debt, start);
+      return {
+        id: debt.id != null && debt.id !== '' ? String(debt.id) : `debt-${index + 1}`,
+        name: debt.name || debt.account_name || `Debt ${index + 1}`,
+        balance: round2(Math.max(0, toNumber(debt.balance))),
+        apr,
+        minimum: round2(Math.max(0, toNumber(debt.minimum_payment))),
+        promo,
+        current_apr: promo ? promo.apr : apr,
+        transfer_fee: round2(Math.max(0, toNumber(debt.balance_transfer_amount) * toNumber(debt.balance_transfer_fee) / 100)),
+      };
+    })
+    .filter(debt => debt.balance > 0);
+
+/**
+ * Rate charged for the month starting on a date: the promo rate until it ends
+ */
+const rateFor = (debt: NormalizedDebt, periodStart: Date): number =>
+  debt.promo != null && periodStart < debt.promo.end ? debt.promo.apr : debt.apr;
+
+const byApr = (a: NormalizedDebt, b: NormalizedDebt): number =>
+  b.current_apr - a.current_apr || a.balance - b.balance;
+
+/**
+ * Number of payment months whose interest period starts before the promo ends
+ */
+const promoMonths = (promo: NormalizedPromo, start: Date): number => {
+  let months = 0;
+  while (addMonths(start, months) < promo.end) months++;
+  return months;
+};
+
+/**
+ * Level payment that clears a balance in the given number of months at a rate
+ */
+const levelPayment = (balance: number, apr: number, months: number): number => {
+  if (months <= 0) return balance;
+  const rate = apr / 100 / 12;
+  if (rate === 0) return round2(balance / months);
+  return round2(balance * rate / (1 - Math.pow(1 + rate, -months)));
+};
+
+const orderNormalized = (
+  debts: NormalizedDebt[],
+  strategy: PayoffStrategy,
+  customOrder: string[]
+): NormalizedDebt[] => {
+  const list = [...debts];
+  switch (strategy) {
+    case 'snowball':
+      return list.sort((a, b) => a.balance - b.balance || b.current_apr - a.current_apr);
+    case 'highest_interest_cost':
+      return list.sort((a, b) => b.balance * b.current_apr - a.balance * a.current_apr || byApr(a, b));
+    case 'custom': {
+      const rank = (debt: NormalizedDebt): number => {
+        const index = customOrder.indexOf(debt.id);
+        return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+      };
+      return list.sort((a, b) => rank(a) - rank(b) || byApr(a, b));
+    }
+    case 'avalanche':
+    default:
+      return list.sort(byApr);
+  }
+};
+
+// ============================================================================
+// Simulation
+// ============================================================================
+
+/**
+ * Simulate paying off all debts together, month by month
+ * @param debts - Debts with balance, APR and minimum payment
+ * @param options - Strategy, extra payment or total budget, custom order and start date
+ * @returns Per-month per-debt schedule, per-debt totals and plan totals
+ */
+export const simulateDebtPayoff = (debts: PayoffDebt[], options: PayoffOptions = {}): PayoffPlan => {
+  const strategy = options.strategy || 'avalanche';
+  const rollover = options.rollover !== false;
+  const maxMonths = Math.max(1, options.max_months ?? 600);
+  const start = options.start_date ? parseISO(options.start_date) : new Date();
+
+  const ordered = orderNormalized(normalizeDebts(debts, start), strategy, options.custom_order || []);
+  const totalMinimums = round2(ordered.reduce((sum, d) => sum + d.minimum, 0));
+  const extra = options.monthly_budget != null
+    ? round2(Math.max(0, toNumber(options.monthly_budget) - totalMinimums))
+    : round2(Math.max(0, toNumber(options.extra_payment)));
+
+  const balances = new Map(ordered.map(d => [d.id, d.balance]));
+  const interestPaid = new Map(ordered.map(d => [d.id, 0]));
+  const totalPaid = new Map(ordered.map(d => [d.id, 0]));
+  const payoffMonth = new Map<string, number>();
+  const months: PayoffMonth[] = [];
+
+  // Deferred interest already built up before the plan starts is estimated from today's balance
+  const deferredAccrued = new Map<string, number>();
+  const deferredCharged = new Map<string, number>();
+  const promoEndBalance = new Map<string, number>();
+  for (const debt of ordered) {
+    if (!debt.promo?.deferred) continue;
+    const elapsed = debt.promo.start ? Math.max(0, differenceInCalendarMonths(start, debt.promo.start)) : 0;
+    deferredAccrued.set(debt.id, round2(debt.balance * debt.apr / 100 / 12 * elapsed));
+  }
+
+  const remaining = (): NormalizedDebt[] => ordered.filter(d => (balances.get(d.id) || 0) > 0);
+  const byId = new Map(ordered.map(d => [d.id, d]));
+
+  let month = 0;
+  while (remaining().length > 0 && month < maxMonths) {
+    month++;
+    const periodStart = addMonths(start, month - 1);
+    // Re-rank every month on current balances and the rate charged this month, so a card
+    // whose promo has ended moves up the avalanche
+    const ranked = orderNormalized(
+      remaining().map(d => ({ ...d, balance: balances.get(d.id) || 0, current_apr: rateFor(d, periodStart) })),
+      strategy,
+      options.custom_order || []
+    );
+    const active = ranked.map(d => byId.get(d.id)!);
+    const rows = new Map<string, PayoffMonthDebt>();
+
+    // Interest accrues on the opening balance
+    for (const debt of active) {
+      const opening = balances.get(debt.id) || 0;
+      const inPromo = debt.promo != null && periodStart < debt.promo.end;
+      let interest = round2(opening * rateFor(debt, periodStart) / 100 / 12);
+
+      if (debt.promo && inPromo && debt.promo.deferred) {
+        deferredAccrued.set(debt.id, round2((deferredAccrued.get(debt.id) || 0) + opening * debt.apr / 100 / 12));
+      } else if (debt.promo && !inPromo && !promoEndBalance.has(debt.id)) {
+        // First month after the promo with a balance still owed
+        promoEndBalance.set(debt.id, opening);
+        if (debt.promo.deferred) {
+          const charged = deferredAccrued.get(debt.id) || 0;
+          deferredCharged.set(debt.id, charged);
+          interest = round2(interest + charged);
+        }
+      }
+
+      balances.set(debt.id, round2(opening + interest));
+      rows.set(debt.id, {
+        id: debt.id,
+        name: debt.name,
+        starting_balance: opening,
+        interest,
+        payment: 0,
+        principal: 0,
+        ending_balance: 0,
+      });
+    }
+
+    const pay = (debt: NormalizedDebt, amount: number): number => {
+      const balance = balances.get(debt.id) || 0;
+      const applied = round2(Math.min(amount, balance));
+      if (applied <= 0) return 0;
+      balances.set(debt.id, round2(balance - applied));
+      const row = rows.get(debt.id)!;
+      row.payment = round2(row.payment + applied);
+      return applied;
+    };
+
+    // With rollover the budget never shrinks: freed minimums stay in it
+    const budget = rollover
+      ? totalMinimums + extra
+      : round2(active.reduce((sum, d) => sum + d.minimum, 0) + extra);
+    let available = budget;
+    for (const debt of active) available = round2(available - pay(debt, debt.minimum));
+
+    // Without rollover only the extra payment cascades; leftover minimums are not reused
+    if (!rollover) available = Math.min(available, extra);
+
+    const targetId = active[0].id;
+    for (const debt of active) {
+      if (available <= 0) break;
+      available = round2(available - pay(debt, available));
+    }
+
+    const monthDebts: PayoffMonthDebt[] = [];
+    for (const debt of active) {
+      const row = rows.get(debt.id)!;
+      row.ending_balance = balances.get(debt.id) || 0;
+      row.principal = round2(row.payment - row.interest);
+      interestPaid.set(debt.id, round2((interestPaid.get(debt.id) || 0) + row.interest));
+      totalPaid.set(debt.id, round2((totalPaid.get(debt.id) || 0) + row.payment));
+      if (row.ending_balance <= 0 && !payoffMonth.has(debt.id)) payoffMonth.set(debt.id, month);
+      monthDebts.push(row);
+    }
+
+    months.push({
+      month,
+      date: toDateKey(addMonths(start, month)),
+      target_id: targetId,
+      debts: monthDebts,
+      total_payment: round2(monthDebts.reduce((sum, d) => sum + d.payment, 0)),
+      total_interest: round2(monthDebts.reduce((sum, d) => sum + d.interest, 0)),
+      total_balance: round2(ordered.reduce((sum, d) => sum + (balances.get(d.id) || 0), 0)),
+    });
+  }
+
+  const paidOff = remaining().length === 0;
+  const summaries: PayoffDebtSummary[] = ordered.map((debt, index) => {
+    const payoff = payoffMonth.get(debt.id) ?? null;
+    let promo: PayoffPromoOutcome | null = null;
+    if (debt.promo) {
+      const monthsInPromo = promoMonths(debt.promo, start);
+      const balanceAtEnd = promoEndBalance.get(debt.id)
+        ?? (payoff != null && payoff <= monthsInPromo ? 0 : balances.get(debt.id) || 0);
+      promo = {
+        promo_apr: debt.promo.apr,
+        end_date: toDateKey(debt.promo.end),
+        deferred_interest: debt.promo.deferred,
+        months_in_promo: monthsInPromo,
+        balance_at_end: balanceAtEnd,
+        cleared: balanceAtEnd <= 0,
+        deferred_interest_charged: deferredCharged.get(debt.id) || 0,
+        payment_needed: levelPayment(debt.balance, debt.promo.apr, monthsInPromo),
+        transfer_fee: debt.transfer_fee,
+      };
+    }
+    return {
+      id: debt.id,
+      name: debt.name,
+      starting_balance: debt.balance,
+      apr: debt.apr,
+      minimum_payment: debt.minimum,
+      priority: index + 1,
+      months_to_payoff: payoff,
+      payoff_date: payoff != null ? toDateKey(addMonths(start, payoff)) : null,
+      total_interest: interestPaid.get(debt.id) || 0,
+      total_paid: round2((totalPaid.get(debt.id) || 0) + debt.transfer_fee),
+      transfer_fee: debt.transfer_fee,
+      promo,
+    };
+  });
+
+  return {
+    strategy,
+    monthly_budget: round2(totalMinimums + extra),
+    extra_payment: extra,
+    rollover,
+    order: ordered.map(d => d.id),
+    debts: summaries,
+    months,
+    total_months: month,
+    total_interest: round2(summaries.reduce((sum, d) => sum + d.total_interest, 0)),
+    total_fees: round2(summaries.reduce((sum, d) => sum + d.transfer_fee, 0)),
+    total_paid: round2(summaries.reduce((sum, d) => sum + d.total_paid, 0)),
+    debt_free_date: paidOff ? toDateKey(addMonths(start, month)) : null,
+    paid_off: paidOff,
+  };
+};
+
+/**
+ * Run every strategy on the same debts and compare total interest
+ * @param debts - Debts to compare
+ * @param options - Shared options; `strategy` is ignored
+ * @param strategies - Strategies to compare (custom is included when a custom order is given)
+ * @returns Each strategy's totals, interest saved against minimums-only and against the worst strategy
+ */
+export const compareDebtStrategies = (
+  debts: PayoffDebt[],
+  options: Omit<PayoffOptions, 'strategy'> = {},
+  strategies: PayoffStrategy[] = options.custom_order?.length
+    ? PAYOFF_STRATEGIES
+    : PAYOFF_STRATEGIES.filter(s => s !== 'custom')
+): StrategyComparison => {
+  const baseline = simulateDebtPayoff(debts, {
+    ...options,
+    strategy: 'avalanche',
+    extra_payment: 0,
+    monthly_budget: undefined,
+    rollover: false,
+  });
+
+  const plans: Partial<Record<PayoffStrategy, PayoffPlan>> = {};
+  for (const strategy of strategies) plans[strategy] = simulateDebtPayoff(debts, { ...options, strategy });
+
+  const compared = strategies.map(strategy => plans[strategy]!);
+  const worstInterest = Math.max(0, ...compared.map(plan => plan.total_interest));
+
+  const entries: StrategyComparisonEntry[] = compared.map(plan => ({
+    strategy: plan.strategy,
+    total_months: plan.total_months,
+    total_interest: plan.total_interest,
+    debt_free_date: plan.debt_free_date,
+    paid_off: plan.paid_off,
+    interest_saved: round2(baseline.total_interest - plan.total_interest),
+    months_saved: baseline.total_months - plan.total_months,
+    savings_vs_worst: round2(worstInterest - plan.total_interest),
+  }));
+
+  const best = entries.reduce<StrategyComparisonEntry | null>((winner, entry) => {
+    if (!entry.paid_off && winner?.paid_off) return winner;
+    if (!winner || (entry.paid_off && !winner.paid_off) || entry.total_interest < winner.total_interest) return entry;
+    return winner;
+  }, null);
+
+  return { baseline, plans, strategies: entries, best: best?.strategy ?? null };
+};
+
+// ============================================================================
+// Promo Warnings
+// ============================================================================
+
+/**
+ * Promo balance the plan does not clear before the promo ends
+ */
+export interface PromoWarning {
+  debt_id: string;
+  name: string;
+  end_date: string;
+  deferred_interest: boolean;
+  balance_at_end: number;
+  deferred_interest_charged: number;
+  /** Level monthly payment that would clear it in time */
+  payment_needed: number;
+  /** Average monthly payment the plan makes during the promo */
+  planned_payment: number;
+}
+
+/**
+ * Promo balances left over when their promotional rate ends under a plan
+ * @param plan - Payoff plan from simulateDebtPayoff
+ * @returns One warning per debt whose promo balance is not cleared, soonest end date first
+ */
+export const promoWarnings = (plan: PayoffPlan): PromoWarning[] =>
+  plan.debts
+    .filter(debt => debt.promo && !debt.promo.cleared)
+    .map(debt => {
+      const promo = debt.promo!;
+      const promoMonthsPaid = plan.months.slice(0, promo.months_in_promo);
+      const paid = promoMonthsPaid.reduce(
+        (sum, month) => sum + (month.debts.find(d => d.id === debt.id)?.payment || 0),
+        0
+      );
+      return {
+        debt_id: debt.id,
+        name: debt.name,
+        end_date: promo.end_date,
+        deferred_interest: promo.deferred_interest,
+        balance_at_end: promo.balance_at_end,
+        deferred_interest_charged: promo.deferred_interest_charged,
+        payment_needed: promo.payment_needed,
+        planned_payment: promo.months_in_promo > 0 ? round2(paid / promo.months_in_promo) : 0,
+      };
+    })
+    .sort((a, b) => a.end_date.localeCompare(b.end_date));
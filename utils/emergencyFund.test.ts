@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Tests for emergency fund sizing
+ * @description Covers monthly income and essential spending history, income
+ * volatility and drawdown, the recommended target and the suggested goal
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeEmergencyFund, monthlyCashflowHistory, suggestedEmergencyFundGoal } from './emergencyFund';
+
+const month = (key: string, income: number, essentials = 2100) => [
+  { id: `${key}-pay`, type: 'income', amount: income, date: `${key}-15`, description: 'Payroll' },
+  { id: `${key}-rent`, type: 'expense', amount: 1500, date: `${key}-01`, category: 'housing' },
+  { id: `${key}-food`, type: 'expense', amount: essentials - 1500, date: `${key}-10`, category: 'groceries' },
+  { id: `${key}-fun`, type: 'expense', amount: 300, date: `${key}-20`, category: 'entertainment' },
+];
+
+const swinging = [
+  ...month('2025-01', 4000),
+  ...month('2025-02', 2000),
+  ...month('2025-03', 4000),
+  ...month('2025-04', 3000),
+  ...month('2025-05', 5000),
+  ...month('2025-06', 3000),
+];
+
+describe('monthlyCashflowHistory', () => {
+  it('totals income, spending and essential spending per full month', () => {
+    const history = monthlyCashflowHistory({ transactions: swinging }, { as_of: '2025-07-15', months: 6 });
+    expect(history).toHaveLength(6);
+    expect(history[1]).toEqual({ month: '2025-02', income: 2000, expenses: 2400, essential_expenses: 2100 });
+  });
+});
+
+describe('analyzeEmergencyFund', () => {
+  it('adds a bad quarter of income swings to three months of essentials', () => {
+    const analysis = analyzeEmergencyFund({ transactions: swinging }, { as_of: '2025-07-15', months: 12 });
+
+    // Months before the first data are left out
+    expect(analysis.months_of_history).toBe(6);
+    expect(analysis).toMatchObject({
+      insufficient_data: false,
+      average_income: 3500,
+      income_std_dev: 957.43,
+      income_volatility: 0.27,
+      worst_month_income: 2000,
+      worst_month_drop: 1500,
+      max_drawdown: 100,
+      essential_baseline: 2100,
+      base_reserve: 6300,
+      volatility_buffer: 2736.22,
+      recommended_target: 9036.22,
+      recommended_months: 4.3,
+      status: 'none',
+    });
+  });
+
+  it('sizes the buffer by a run of thin months when that is worse', () => {
+    const transactions = [
+      ...['2025-01', '2025-02', '2025-03', '2025-04', '2025-05'].flatMap(key => month(key, 3000, 2000)),
+      ...['2025-06', '2025-07', '2025-08'].flatMap(key => month(key, 0, 2000)),
+    ];
+    const analysis = analyzeEmergencyFund(
+      { transactions, goals: [{ id: 'ef', title: 'Emergency savings', current_amount: 7000 }] },
+      { as_of: '2025-09-01', months: 8 }
+    );
+
+    expect(analysis).toMatchObject({
+      max_drawdown: 6000,
+      volatility_buffer: 6000,
+      recommended_target: 12000,
+      goal_id: 'ef',
+      current_amount: 7000,
+      months_covered: 3.5,
+      status: 'building',
+    });
+  });
+
+  it('keeps essentials at least as high as the saved bills cost', () => {
+    const analysis = analyzeEmergencyFund(
+      {
+        transactions: month('2025-06', 3000, 1600),
+        bills: [
+          { id: 'rent', amount: 1800, frequency: 'monthly' },
+          { id: 'car', amount: 1200, frequency: 'annually' },
+        ],
+      },
+      { as_of: '2025-07-15' }
+    );
+    expect(analysis.insufficient_data).toBe(true);
+    expect(analysis.essential_baseline).toBe(1900);
+  });
+});
+
+describe('suggestedEmergencyFundGoal', () => {
+  it('suggests a high-priority goal for the target, due in a year', () => {
+    const analysis = analyzeEmergencyFund({ transactions: swinging }, { as_of: '2025-07-15' });
+    expect(suggestedEmergencyFundGoal(analysis, { as_of: '2025-07-15' })).toEqual({
+      title: 'Emergency Fund',
+      target_amount: 9036.22,
+      current_amount: 0,
+      target_date: '2026-07-15',
+      deadline: '2026-07-15',
+      category: 'emergency_fund',
+      priority: 'high',
+      status: 'active',
+    });
+  });
+});
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Emergency fund sizing for variable shift income
+ * @description "Three to six months of expenses" assumes a steady paycheck. With
+ * shift income the fund also has to carry the household through thin months,
+ * so the target here starts from essential spending and adds a buffer sized by
+ * how much monthly income actually swings: the larger of a bad quarter at the
+ * measured volatility and the worst run of shortfalls seen in the history.
+ */
+
+import { addMonths, endOfMonth, format, startOfMonth } from 'date-fns';
+import { type ProjectionTransaction } from './cashflowProjection';
+import { billCadence, CHARGES_PER_YEAR, type SubscriptionBill } from './subscriptions';
+import { collectPaychecks, type PaycheckSourceInput } from './zeroBasedBudget';
+import { round2, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface EmergencyFundInput extends PaycheckSourceInput {
+  /** Saved bills set a floor under essential spending */
+  bills?: SubscriptionBill[];
+  /** Goals, to find the emergency fund already being saved */
+  goals?: EmergencyFundGoal[];
+}
+
+export interface EmergencyFundGoal {
+  id?: string;
+  title?: string;
+  name?: string;
+  category?: string;
+  current_amount?: number | string;
+  target_amount?: number | string;
+  status?: string;
+}
+
+export interface EmergencyFundOptions {
+  as_of?: string | Date;
+  /** Full months of history to look back over (default 12) */
+  months?: number;
+}
+
+/**
+ * Income and spending for one calendar month
+ */
+export interface MonthlyCashflow {
+  month: string;
+  income: number;
+  expenses: number;
+  essential_expenses: number;
+}
+
+export type EmergencyFundStatus = 'funded' | 'building' | 'low' | 'none';
+
+export interface EmergencyFundAnalysis {
+  history: MonthlyCashflow[];
+  /** Months in the history with any income or spending */
+  months_of_history: number;
+  /** Too little history for the volatility figures to mean much */
+  insufficient_data: boolean;
+  average_income: number;
+  income_std_dev: number;
+  /** Standard deviation over average income */
+  income_volatility: number;
+  worst_month_income: number;
+  /** How far the worst month fell below the average */
+  worst_month_drop: number;
+  /** Largest cumulative shortfall of income against essential spending over consecutive months */
+  max_drawdown: number;
+  /** Typical month of essential spending */
+  essential_baseline: number;
+  /** Essential spending to cover while income is replaced */
+  base_reserve: number;
+  /** Extra to ride out income swings */
+  volatility_buffer: number;
+  recommended_target: number;
+  /** Target in months of essential spending */
+  recommended_months: number;
+  current_amount: number;
+  /** Goal already holding the emergency fund, if any */
+  goal_id: string | null;
+  coverage_percentage: number;
+  months_covered: number;
+  status: EmergencyFundStatus;
+}
+
+/**
+ * Goal fields to create for the suggested emergency fund
+ */
+export interface EmergencyFundGoalData {
+  title: string;
+  target_amount: number;
+  current_amount: number;
+  target_date: string;
+  deadline: string;
+  category: 'emergency_fund';
+  priority: 'high';
+  status: 'active';
+}
+
+// ============================================================================
+// Constants & Helpers
+// ============================================================================
+
+/** Spending categories that keep going when income stops */
+export const ESSENTIAL_CATEGORIES = new Set([
+  'housing',
+  'bills_utilities',
+  'groceries',
+  'transportation',
+  'healthcare',
+  'insurance',
+  'debt_payments',
+  'childcare',
+]);
+
+/** Months of essential spending to cover while income is replaced */
+const BASE_MONTHS = 3;
+
+/** One-sided 95% z-score: a quarter of income this bad comes about once in twenty */
+const BAD_QUARTER_Z = 1.65;
+
+/** Months of history below which volatility is only a rough guess */
+const MIN_HISTORY_MONTHS = 3;
+
+/** Months to build the suggested fund over */
+const SUGGESTED_GOAL_MONTHS = 12;
+
+const toDate = (value: string | Date | undefined): Date => {
+  const date = value instanceof Date ? value : value ? new Date(`${String(value).slice(0, 10)}T00:00:00`) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+const mean = (values: number[]): number => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+const median = (values: number[]): number => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Population standard deviation
+ */
+const stdDev = (values: number[]): number => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+};
+
+/**
+ * Whether a goal is the emergency fund
+ */
+export const isEmergencyFundGoal = (goal: EmergencyFundGoal): boolean =>
+  goal.category === 'emergency_fund' || /emergency/i.test(goal.title || goal.name || '');
+
+// ============================================================================
+// History
+// ============================================================================
+
+/**
+ * Income (shift paychecks and income deposits) and spending for each of the
+ * last full months before `as_of`
+ * @param input - Shifts, pay settings and transactions
+ * @param options - As-of date and number of months
+ * @returns Months in date order
+ */
+export const monthlyCashflowHistory = (
+  input: PaycheckSourceInput,
+  options: EmergencyFundOptions = {}
+): MonthlyCashflow[] => {
+  const asOf = toDate(options.as_of);
+  const count = Math.max(1, options.months ?? 12);
+  const first = startOfMonth(addMonths(asOf, -count));
+  const last = endOfMonth(addMonths(asOf, -1));
+
+  const months = new Map<string, MonthlyCashflow>();
+  for (let i = 0; i < count; i++) {
+    const month = format(addMonths(first, i), 'yyyy-MM');
+    months.set(month, { month, income: 0, expenses: 0, essential_expenses: 0 });
+  }
+
+  for (const paycheck of collectPaychecks(input, format(first, 'yyyy-MM-dd'), format(last, 'yyyy-MM-dd'))) {
+    const entry = months.get(paycheck.date.slice(0, 7));
+    if (entry) entry.income += paycheck.amount;
+  }
+
+  for (const t of (input.transactions || []) as ProjectionTransaction[]) {
+    if (t.type !== 'expense') continue;
+    const entry = months.get(String(t.date || '').slice(0, 7));
+    if (!entry) continue;
+    const amount = Math.abs(toNumber(t.amount));
+    entry.expenses += amount;
+    if (ESSENTIAL_CATEGORIES.has(t.category || '')) entry.essential_expenses += amount;
+  }
+
+  return [...months.values()].map(entry => ({
+    month: entry.month,
+    income: round2(entry.income),
+    expenses: round2(entry.expenses),
+    essential_expenses: round2(entry.essential_expenses),
+  }));
+};
+
+/**
+ * Largest peak-to-trough fall in running income minus essential spending
+ */
+const maxDrawdown = (history: MonthlyCashflow[], essentialBaseline: number): number => {
+  let running = 0;
+  let peak = 0;
+  let worst = 0;
+  for (const month of history) {
+    running += month.income - (month.essential_expenses || essentialBaseline);
+    peak = Math.max(peak, running);
+    worst = Math.max(worst, peak - running);
+  }
+  return worst;
+};
+
+/**
+ * Monthly cost of saved bills
+ */
+const monthlyBillFloor = (bills: SubscriptionBill[]): number =>
+  bills
+    .filter(bill => (bill.status || '').toLowerCase() !== 'cancelled')
+    .reduce((sum, bill) => sum + toNumber(bill.amount) * CHARGES_PER_YEAR[billCadence(bill.frequency)] / 12, 0);
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+/**
+ * Size the emergency fund from income volatility and essential spending.
+ * The target is three months of essential spending plus the larger of
+ *  - a bad quarter: 1.65 standard deviations of three months' income, and
+ *  - the worst run of months income fell short of essentials in the history.
+ * Essential spending is the median month of essential categories, or all
+ * spending when nothing is categorized as essential, and never less than the
+ * saved bills cost per month.
+ * @param input - Shifts, pay settings, transactions, bills and goals
+ * @param options - As-of date and months of history
+ * @returns Volatility figures, the recommended target and progress toward it
+ */
+export const analyzeEmergencyFund = (
+  input: EmergencyFundInput,
+  options: EmergencyFundOptions = {}
+): EmergencyFundAnalysis => {
+  const full = monthlyCashflowHistory(input, options);
+  // Months before any data are not zero-income months
+  const firstActive = full.findIndex(m => m.income > 0 || m.expenses > 0);
+  const history = firstActive === -1 ? [] : full.slice(firstActive);
+
+  const incomes = history.map(m => m.income);
+  const averageIncome = mean(incomes);
+  const sd = stdDev(incomes);
+  const worstIncome = incomes.length ? Math.min(...incomes) : 0;
+
+  const essentialMonths = history.map(m => m.essential_expenses).filter(v => v > 0);
+  const spending = essentialMonths.length ? essentialMonths : history.map(m => m.expenses).filter(v => v > 0);
+  const essentialBaseline = Math.max(median(spending), monthlyBillFloor(input.bills || []));
+
+  const drawdown = maxDrawdown(history, essentialBaseline);
+  const baseReserve = essentialBaseline * BASE_MONTHS;
+  const buffer = Math.max(BAD_QUARTER_Z * sd * Math.sqrt(BASE_MONTHS), drawdown);
+  const target = round2(baseReserve + buffer);
+
+  const fundGoals = (input.goals || []).filter(goal => goal.status !== 'cancelled' && isEmergencyFundGoal(goal));
+  const current = round2(fundGoals.reduce((sum, goal) => sum + toNumber(goal.current_amount), 0));
+  const coverage = target > 0 ? Math.min(100, current / target * 100) : 0;
+
+  const status: EmergencyFundStatus = target <= 0 || current <= 0
+    ? 'none'
+    : current >= target ? 'funded' : current >= baseReserve ? 'building' : 'low';
+
+  return {
+    history,
+    months_of_history: history.length,
+    insufficient_data: history.length < MIN_HISTORY_MONTHS,
+    average_income: round2(averageIncome),
+    income_std_dev: round2(sd),
+    income_volatility: averageIncome > 0 ? round2(sd / averageIncome) : 0,
+    worst_month_income: round2(worstIncome),
+    worst_month_drop: round2(Math.max(0, averageIncome - worstIncome)),
+    max_drawdown: round2(drawdown),
+    essential_baseline: round2(essentialBaseline),
+    base_reserve: round2(baseReserve),
+    volatility_buffer: round2(buffer),
+    recommended_target: target,
+    recommended_months: essentialBaseline > 0 ? round2(target / essentialBaseline) : 0,
+    current_amount: current,
+    goal_id: fundGoals[0]?.id ?? null,
+    coverage_percentage: round2(coverage),
+    months_covered: essentialBaseline > 0 ? round2(current / essentialBaseline) : 0,
+    status,
+  };
+};
+
+/**
+ * Goal to create for the recommended emergency fund, built over a year
+ * @param analysis - Emergency fund analysis
+ * @param options - As-of date
+ * @returns Goal fields, or null when there is nothing to recommend
+ */
+export const suggestedEmergencyFundGoal = (
+  analysis: EmergencyFundAnalysis,
+  options: Pick<EmergencyFundOptions, 'as_of'> = {}
+): EmergencyFundGoalData | null => {
+  if (analysis.recommended_target <= 0) return null;
+  const targetDate = format(addMonths(toDate(options.as_of), SUGGESTED_GOAL_MONTHS), 'yyyy-MM-dd');
+  return {
+    title: 'Emergency Fund',
+    target_amount: analysis.recommended_target,
+    current_amount: 0,
+    target_date: targetDate,
+    deadline: targetDate,
+    category: 'emergency_fund',
+    priority: 'high',
+    status: 'active',
+  };
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Tests for the goal contribution ledger and auto-funding
+ * @description Covers running balances, priority-weighted splits, per-paycheck,
+ * overtime and round-up rules, and projections from contribution velocity
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  autoFundingUpdates,
+  contributionVelocity,
+  distributeByPriority,
+  goalLedger,
+  planAutoFunding,
+  projectGoal,
+  type AutoFundingRule,
+  type FundedGoal,
+} from './goalFunding';
+
+const goals: FundedGoal[] = [
+  { id: 'ef', title: 'Emergency Fund', target_amount: 1000, current_amount: 0, priority: 'high' },
+  { id: 'trip', title: 'Trip', target_amount: 1000, current_amount: 0, priority: 'low' },
+  { id: 'done', title: 'Laptop', target_amount: 500, current_amount: 500, priority: 'high' },
+];
+
+const rule = (overrides: Partial<AutoFundingRule>): AutoFundingRule => ({
+  id: 'r1',
+  type: 'per_paycheck',
+  start_date: '2025-06-01',
+  ...overrides,
+});
+
+describe('goalLedger', () => {
+  it('runs balances from whatever was saved before the ledger started', () => {
+    const ledger = goalLedger({
+      current_amount: 450,
+      contributions: [
+        { id: 'b', date: '2025-06-15', amount: -50, source: 'manual', note: 'Withdrawal' },
+        { id: 'a', date: '2025-06-01', amount: 200, source: 'manual', transaction_id: 't1' },
+      ],
+    });
+
+    expect(ledger.opening_balance).toBe(300);
+    expect(ledger.total_contributed).toBe(150);
+    expect(ledger.entries.map(e => [e.id, e.balance])).toEqual([['a', 500], ['b', 450]]);
+  });
+});
+
+describe('distributeByPriority', () => {
+  it('weights high priority three to one over low and skips full goals', () => {
+    expect(distributeByPriority(100, goals)).toEqual({ ef: 75, trip: 25 });
+  });
+
+  it('passes what a nearly full goal cannot take to the others', () => {
+    expect(distributeByPriority(100, goals, { ef: 980 })).toEqual({ ef: 20, trip: 80 });
+  });
+});
+
+describe('planAutoFunding', () => {
+  const transactions = [
+    { id: 'pay1', type: 'income', amount: 1200, date: '2025-06-06', description: 'Payroll' },
+    { id: 'pay0', type: 'income', amount: 1200, date: '2025-05-23', description: 'Payroll' },
+    { id: 'c1', type: 'expense', amount: 4.25, date: '2025-06-07' },
+    { id: 'c2', type: 'expense', amount: 10, date: '2025-06-08' },
+    { id: 'c3', type: 'expense', amount: 12.6, date: '2025-06-09' },
+  ];
+
+  it('funds a goal from each paycheck since the rule started, once', () => {
+    const pending = planAutoFunding(
+      { goals, rules: [rule({ amount: 50, goal_id: 'ef' })], transactions },
+      { as_of: '2025-06-10' }
+    );
+    expect(pending.map(p => [p.goal_id, p.date, p.amount, p.source])).toEqual([['ef', '2025-06-06', 50, 'paycheck']]);
+
+    const [update] = autoFundingUpdates(goals, pending);
+    expect(update.data.current_amount).toBe(50);
+    const funded = goals.map(goal => (goal.id === update.id ? { ...goal, ...update.data } : goal));
+    expect(planAutoFunding({ goals: funded, rules: [rule({ amount: 50, goal_id: 'ef' })], transactions }, { as_of: '2025-06-10' })).toEqual([]);
+  });
+
+  it('rounds purchases up and splits the total by priority', () => {
+    const pending = planAutoFunding(
+      { goals, rules: [rule({ type: 'round_up' })], transactions },
+      { as_of: '2025-06-10' }
+    );
+    // 0.75 + 0 + 0.40
+    expect(pending.map(p => [p.goal_id, p.amount])).toEqual([['ef', 0.86], ['trip', 0.29]]);
+    expect(pending[0].transaction_ids).toEqual(['c1', 'c2', 'c3']);
+  });
+
+  it('saves a share of overtime pay from each paycheck', () => {
+    const pending = planAutoFunding(
+      {
+        goals,
+        rules: [rule({ type: 'overtime_percent', percent: 50, goal_id: 'trip' })],
+        shifts: [{ id: 's1', start_datetime: '2025-06-03T08:00', end_datetime: '2025-06-03T18:00', shift_rule_id: 'job' } as never],
+        shift_rules: [{ id: 'job', base_hourly_rate: 20, overtime_rules: { daily_threshold: 8, daily_multiplier: 1.5 } }],
+      },
+      { as_of: '2025-06-10' }
+    );
+    // 2 overtime hours at $30
+    expect(pending.map(p => [p.goal_id, p.date, p.amount, p.source])).toEqual([['trip', '2025-06-03', 30, 'overtime']]);
+  });
+});
+
+describe('projections', () => {
+  const goal: FundedGoal = {
+    id: 'ef',
+    target_amount: 3000,
+    current_amount: 1200,
+    target_date: '2026-01-01',
+    contributions: [
+      { id: 'a', date: '2025-04-15', amount: 300, source: 'paycheck' },
+      { id: 'b', date: '2025-05-15', amount: 300, source: 'paycheck' },
+      { id: 'c', date: '2025-06-15', amount: 300, source: 'paycheck' },
+    ],
+  };
+
+  it('measures the pace from the ledger', () => {
+    // 900 over the 78 days since the first entry
+    expect(contributionVelocity(goal, { as_of: '2025-07-01' })).toBeCloseTo(351.23, 2);
+    expect(contributionVelocity(goal, { as_of: '2025-12-01' })).toBe(0);
+  });
+
+  it('projects completion at that pace against the target date', () => {
+    expect(projectGoal(goal, { as_of: '2025-07-01' })).toMatchObject({
+      months_to_completion: 6,
+      projected_completion_date: '2026-01-01',
+      on_track: true,
+      completion_percentage: 40,
+      contribution_count: 3,
+    });
+    expect(projectGoal({ ...goal, contributions: [] }, { as_of: '2025-07-01' })).toMatchObject({
+      monthly_velocity: 0,
+      months_to_completion: null,
+      on_track: null,
+    });
+  });
+});
@@ -0,0 +1,468 @@
+/**
+ * @fileoverview Goal contribution ledger and auto-funding
+ * @description Every change to a goal's balance is a dated contribution,
+ * optionally linked to the transaction that moved the money. Auto-funding rules
+ * (a fixed amount per paycheck, a share of overtime pay, round-ups on purchases)
+ * turn paychecks, shifts and transactions into contributions, split across goals
+ * by priority when a rule has no single goal. Projections use the pace the
+ * ledger shows rather than an assumed contribution.
+ */
+
+import { addDays, addMonths, differenceInCalendarDays, parseISO } from 'date-fns';
+import { calculateEmployerPay, type LegacyPayRule, type PayShift, type PayShiftRule } from './payEngine';
+import { paydaysBetween, type ProjectionPaySettings, type ProjectionShift, type ProjectionTransaction } from './cashflowProjection';
+import { collectPaychecks } from './zeroBasedBudget';
+import { round2, toDateKey, toDay, today, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** `bill_payment` is a sinking fund paying the bill it saved for */
+export type GoalContributionSource = 'manual' | 'paycheck' | 'overtime' | 'round_up' | 'bill_payment';
+
+/**
+ * One ledger entry. Withdrawals are negative.
+ */
+export interface GoalContribution {
+  id: string;
+  date: string;
+  amount: number;
+  source: GoalContributionSource;
+  /** Transaction that moved the money */
+  transaction_id?: string;
+  /** Purchases a round-up came from */
+  transaction_ids?: string[];
+  /** Rule and paycheck the contribution came from, so it is never applied twice */
+  source_id?: string;
+  note?: string;
+}
+
+export type GoalPriority = 'low' | 'medium' | 'high';
+
+/**
+ * Goal fields read here
+ */
+export interface FundedGoal {
+  id?: string;
+  title?: string;
+  name?: string;
+  target_amount?: number | string;
+  current_amount?: number | string;
+  target_date?: string;
+  /** Goal form field for the target date */
+  deadline?: string;
+  priority?: GoalPriority | string;
+  status?: string;
+  is_completed?: boolean;
+  created_at?: string;
+  contributions?: GoalContribution[];
+  /** Bill a sinking fund saves for */
+  bill_id?: string;
+}
+
+export type AutoFundingRuleType = 'per_paycheck' | 'overtime_percent' | 'round_up';
+
+/**
+ * Auto-funding rule
+ *  - `per_paycheck`: `amount` from every paycheck
+ *  - `overtime_percent`: `percent` of the overtime and double-time pay in each paycheck
+ *  - `round_up`: each purchase rounded up to the next `round_to` dollars (default 1)
+ * Rules fund `goal_id`, or split across open goals by priority without one.
+ */
+export interface AutoFundingRule {
+  id: string;
+  type: AutoFundingRuleType;
+  amount?: number;
+  percent?: number;
+  round_to?: number;
+  goal_id?: string;
+  enabled?: boolean;
+  /** Paychecks and purchases before this day are not funded */
+  start_date: string;
+}
+
+/**
+ * What the rules run against
+ */
+export interface AutoFundingInput {
+  goals: FundedGoal[];
+  rules: AutoFundingRule[];
+  shifts?: ProjectionShift[];
+  shift_rules?: Array<PayShiftRule | LegacyPayRule>;
+  paycheck_settings?: ProjectionPaySettings | null;
+  transactions?: ProjectionTransaction[];
+}
+
+/**
+ * Contribution a rule would add to a goal
+ */
+export interface PendingContribution extends GoalContribution {
+  goal_id: string;
+  rule_id: string;
+}
+
+/**
+ * Ledger entry with the balance after it
+ */
+export interface GoalLedgerEntry extends GoalContribution {
+  balance: number;
+}
+
+export interface GoalLedger {
+  entries: GoalLedgerEntry[];
+  /** Part of `current_amount` saved before the ledger started */
+  opening_balance: number;
+  total_contributed: number;
+}
+
+export interface GoalVelocityOptions {
+  as_of?: string | Date;
+  /** Days of history the pace is measured over (default 90) */
+  lookback_days?: number;
+}
+
+/**
+ * Projection from the ledger's pace
+ */
+export interface GoalVelocityProjection {
+  /** Average contributions per month over the lookback */
+  monthly_velocity: number;
+  /** Null when nothing was contributed recently */
+  months_to_completion: number | null;
+  projected_completion_date: string | null;
+  /** Null without a target date or a pace */
+  on_track: boolean | null;
+  required_monthly_contribution: number;
+  completion_percentage: number;
+  contribution_count: number;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+export const PRIORITY_WEIGHTS: Record<GoalPriority, number> = { high: 3, medium: 2, low: 1 };
+
+const DAYS_PER_MONTH = 30.44;
+
+const priorityWeight = (goal: FundedGoal): number =>
+  PRIORITY_WEIGHTS[(goal.priority as GoalPriority)] ?? PRIORITY_WEIGHTS.medium;
+
+/**
+ * Target date of a goal (`target_date`, or the form's `deadline`)
+ */
+export const goalTargetDate = (goal: FundedGoal): string | undefined =>
+  (goal.target_date || goal.deadline || undefined)?.slice(0, 10);
+
+/**
+ * Whether a goal still takes contributions
+ */
+export const isOpenGoal = (goal: FundedGoal): boolean =>
+  Boolean(goal.id) && !goal.is_completed && goal.status !== 'completed' && goal.status !== 'paused'
+  && toNumber(goal.target_amount) > toNumber(goal.current_amount);
+
+let contributionCounter = 0;
+
+/**
+ * Unique id for a new ledger entry
+ */
+export const contributionId = (): string => `contrib-${Date.now().toString(36)}-${(contributionCounter++).toString(36)}`;
+
+// ============================================================================
+// Ledger
+// ============================================================================
+
+/**
+ * Ledger of a goal in date order with running balances. Whatever
+ * `current_amount` holds beyond the recorded contributions is treated as saved
+ * before the ledger started.
+ * @param goal - Goal with its contributions
+ * @returns Entries, opening balance and total contributed
+ */
+export const goalLedger = (goal: FundedGoal): GoalLedger => {
+  const contributions = [...(goal.contributions || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const total = round2(contributions.reduce((sum, c) => sum + toNumber(c.amount), 0));
+  const opening = round2(Math.max(0, toNumber(goal.current_amount) - total));
+
+  let balance = opening;
+  const entries = contributions.map(contribution => {
+    balance = round2(balance + toNumber(contribution.amount));
+    return { ...contribution, balance };
+  });
+
+  return { entries, opening_balance: opening, total_contributed: total };
+};
+
+/**
+ * New ledger and balance for a goal after adding contributions
+ * @param goal - Goal to update
+ * @param contributions - Entries to add
+ * @returns Fields to save on the goal
+ */
+export const addContributions = (
+  goal: FundedGoal,
+  contributions: GoalContribution[]
+): { contributions: GoalContribution[]; current_amount: number } => ({
+  contributions: [...(goal.contributions || []), ...contributions],
+  current_amount: round2(toNumber(goal.current_amount) + contributions.reduce((sum, c) => sum + toNumber(c.amount), 0)),
+});
+
+// ============================================================================
+// Distribution
+// ============================================================================
+
+/**
+ * Split an amount across goals by priority weight (high 3, medium 2, low 1).
+ * No goal gets more than it still needs; what a full goal cannot take goes to
+ * the others.
+ * @param amount - Amount to split
+ * @param goals - Open goals
+ * @param pending - Amounts already planned per goal id, counted against what each needs
+ * @returns Amount per goal id (goals that get nothing are left out)
+ */
+export const distributeByPriority = (
+  amount: number,
+  goals: FundedGoal[],
+  pending: Record<string, number> = {}
+): Record<string, number> => {
+  const result: Record<string, number> = {};
+  const room = new Map<string, number>();
+  for (const goal of goals) {
+    if (!goal.id || !isOpenGoal(goal)) continue;
+    const need = round2(toNumber(goal.target_amount) - toNumber(goal.current_amount) - (pending[goal.id] ?? 0));
+    if (need > 0) room.set(goal.id, need);
+  }
+
+  let left = round2(amount);
+  while (left > 0 && room.size > 0) {
+    const open = goals.filter(goal => goal.id && room.has(goal.id));
+    const weight = open.reduce((sum, goal) => sum + priorityWeight(goal), 0);
+    let given = 0;
+    open.forEach((goal, index) => {
+      const id = goal.id!;
+      // The last goal takes the rounding cents
+      const share = index === open.length - 1 ? round2(left - given) : round2(left * priorityWeight(goal) / weight);
+      const value = Math.min(share, room.get(id)!);
+      if (value <= 0) return;
+      result[id] = round2((result[id] ?? 0) + value);
+      given = round2(given + value);
+      const rest = round2(room.get(id)! - value);
+      if (rest > 0) room.set(id, rest);
+      else room.delete(id);
+    });
+    if (given <= 0) break;
+    left = round2(left - given);
+  }
+  return result;
+};
+
+// ============================================================================
+// Auto-Funding
+// ============================================================================
+
+/**
+ * Overtime and double-time pay per payday. Overtime is paid on the first payday
+ * after it is worked, or the day it is worked without a pay schedule; overtime
+ * not yet paid by `end` is left out.
+ */
+const overtimeByPayday = (input: AutoFundingInput, start: Date, end: Date): Map<string, number> => {
+  const shifts = input.shifts || [];
+  const out = new Map<string, number>();
+  if (shifts.length === 0 || !input.shift_rules?.length) return out;
+
+  const paydays = paydaysBetween(input.paycheck_settings, start, end).map(toDateKey);
+  const { employers } = calculateEmployerPay(shifts as PayShift[], input.shift_rules);
+  for (const employer of employers) {
+    for (const line of employer.lines) {
+      if (line.category !== 'overtime' && line.category !== 'double_time') continue;
+      const payday = paydays.length > 0 ? paydays.find(date => date > line.date) : line.date;
+      if (!payday || payday < toDateKey(start) || payday > toDateKey(end)) continue;
+      out.set(payday, round2((out.get(payday) ?? 0) + line.amount));
+    }
+  }
+  return out;
+};
+
+/**
+ * Round-up of a purchase to the next multiple of `roundTo`
+ */
+const roundUp = (amount: number, roundTo: number): number => {
+  const cents = Math.round(Math.abs(amount) * 100);
+  const step = Math.round(roundTo * 100);
+  const rest = cents % step;
+  return rest === 0 ? 0 : (step - rest) / 100;
+};
+
+/**
+ * Contributions the rules would add up to `as_of`, skipping any a goal's ledger
+ * already has. Each rule runs from its `start_date`; a rule without a goal is
+ * split across open goals by priority.
+ * @param input - Goals, rules and the paychecks, shifts and transactions they run on
+ * @param options - `as_of` (default today)
+ * @returns Pending contributions in date order
+ */
+export const planAutoFunding = (input: AutoFundingInput, options: { as_of?: string | Date } = {}): PendingContribution[] => {
+  const asOf = toDay(options.as_of) ?? today();
+  const rules = (input.rules || []).filter(rule => rule.enabled !== false && toDay(rule.start_date));
+  if (rules.length === 0) return [];
+
+  const goals = input.goals || [];
+  const recorded = new Set<string>();
+  const roundedUp = new Set<string>();
+  for (const goal of goals) {
+    for (const contribution of goal.contributions || []) {
+      if (contribution.source_id) recorded.add(contribution.source_id);
+      for (const id of contribution.transaction_ids || []) roundedUp.add(id);
+    }
+  }
+
+  const pending: PendingContribution[] = [];
+  const planned: Record<string, number> = {};
+
+  const fund = (rule: AutoFundingRule, date: string, amount: number, sourceId: string, extra: Partial<GoalContribution> = {}) => {
+    if (amount <= 0 || recorded.has(sourceId)) return;
+    const target = rule.goal_id ? goals.find(goal => goal.id === rule.goal_id) : undefined;
+    const split = target
+      ? distributeByPriority(amount, [target], planned)
+      : distributeByPriority(amount, goals, planned);
+
+    for (const [goalId, value] of Object.entries(split)) {
+      planned[goalId] = round2((planned[goalId] ?? 0) + value);
+      pending.push({
+        id: contributionId(),
+        goal_id: goalId,
+        rule_id: rule.id,
+        date,
+        amount: value,
+        source: rule.type === 'per_paycheck' ? 'paycheck' : rule.type === 'overtime_percent' ? 'overtime' : 'round_up',
+        source_id: sourceId,
+        ...extra,
+      });
+    }
+  };
+
+  const earliest = rules.reduce((min, rule) => (rule.start_date < min ? rule.start_date : min), toDateKey(asOf));
+  const paychecks = rules.some(rule => rule.type === 'per_paycheck')
+    ? collectPaychecks(
+      { shifts: input.shifts, paycheck_settings: input.paycheck_settings, transactions: input.transactions },
+      earliest,
+      toDateKey(asOf)
+    )
+    : [];
+  const overtime = rules.some(rule => rule.type === 'overtime_percent')
+    ? overtimeByPayday(input, parseISO(earliest), asOf)
+    : new Map<string, number>();
+  const purchases = (input.transactions || [])
+    .filter(t => t.type === 'expense' && t.id && toDay(t.date))
+    .map(t => ({ id: String(t.id), date: toDateKey(toDay(t.date)!), amount: toNumber(t.amount) }))
+    .filter(t => t.date <= toDateKey(asOf))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  for (const rule of rules) {
+    const from = toDateKey(toDay(rule.start_date)!);
+
+    if (rule.type === 'per_paycheck') {
+      // Keyed by day so a shift paycheck later replaced by its deposit is not funded twice
+      const seen = new Map<string, number>();
+      for (const paycheck of paychecks) {
+        const index = seen.get(paycheck.date) ?? 0;
+        seen.set(paycheck.date, index + 1);
+        if (paycheck.date < from) continue;
+        fund(rule, paycheck.date, Math.min(toNumber(rule.amount), paycheck.amount), `${rule.id}:paycheck:${paycheck.date}#${index}`);
+      }
+    } else if (rule.type === 'overtime_percent') {
+      for (const [date, pay] of overtime) {
+        if (date < from) continue;
+        fund(rule, date, round2(pay * toNumber(rule.percent) / 100), `${rule.id}:overtime:${date}`);
+      }
+    } else if (rule.type === 'round_up') {
+      const roundTo = toNumber(rule.round_to) > 0 ? toNumber(rule.round_to) : 1;
+      const items = purchases.filter(t => t.date >= from && !roundedUp.has(t.id));
+      const total = round2(items.reduce((sum, t) => sum + roundUp(t.amount, roundTo), 0));
+      if (items.length > 0) {
+        const last = items[items.length - 1].date;
+        fund(rule, last, total, `${rule.id}:round_up:${last}`, { transaction_ids: items.map(t => t.id) });
+      }
+    }
+  }
+
+  return pending.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Group pending contributions into updates per goal
+ * @param goals - Goals
+ * @param pending - Pending contributions from {@link planAutoFunding}
+ * @returns Goal id and the fields to save, for each goal that gets money
+ */
+export const autoFundingUpdates = (
+  goals: FundedGoal[],
+  pending: PendingContribution[]
+): Array<{ id: string; data: { contributions: GoalContribution[]; current_amount: number } }> => {
+  const byGoal = new Map<string, GoalContribution[]>();
+  for (const { goal_id: goalId, rule_id: _ruleId, ...contribution } of pending) {
+    byGoal.set(goalId, [...(byGoal.get(goalId) ?? []), contribution]);
+  }
+  return [...byGoal.entries()].flatMap(([id, contributions]) => {
+    const goal = goals.find(g => g.id === id);
+    return goal ? [{ id, data: addContributions(goal, contributions) }] : [];
+  });
+};
+
+// ============================================================================
+// Projections
+// ============================================================================
+
+/**
+ * Average monthly contributions over the lookback window. A ledger younger
+ * than the window is measured from its first entry (at least one month).
+ * Sinking fund bill payments are spending, not a slower pace, so they are left out.
+ * @param goal - Goal with its contributions
+ * @param options - As-of date and lookback
+ * @returns Contributions per month
+ */
+export const contributionVelocity = (goal: FundedGoal, options: GoalVelocityOptions = {}): number => {
+  const asOf = toDay(options.as_of) ?? today();
+  const lookback = options.lookback_days ?? 90;
+  const since = addDays(asOf, -lookback);
+  const recent = (goal.contributions || []).filter(c => {
+    const day = toDay(c.date);
+    return c.source !== 'bill_payment' && day && day > since && day <= asOf;
+  });
+  if (recent.length === 0) return 0;
+
+  const first = recent.reduce((min, c) => (c.date < min ? c.date : min), recent[0].date);
+  const days = Math.min(lookback, Math.max(DAYS_PER_MONTH, differenceInCalendarDays(asOf, parseISO(first.slice(0, 10))) + 1));
+  const total = recent.reduce((sum, c) => sum + toNumber(c.amount), 0);
+  return round2(total / days * DAYS_PER_MONTH);
+};
+
+/**
+ * Project a goal from its contribution pace
+ * @param goal - Goal with its contributions
+ * @param options - As-of date and lookback
+ * @returns Pace, expected completion and whether it beats the target date
+ */
+export const projectGoal = (goal: FundedGoal, options: GoalVelocityOptions = {}): GoalVelocityProjection => {
+  const asOf = toDay(options.as_of) ?? today();
+  const target = toNumber(goal.target_amount);
+  const current = toNumber(goal.current_amount);
+  const remaining = Math.max(0, target - current);
+  const velocity = contributionVelocity(goal, options);
+
+  const months = remaining === 0 ? 0 : velocity > 0 ? Math.ceil(remaining / velocity) : null;
+  const completion = months === null ? null : toDateKey(addMonths(asOf, months));
+  const targetDate = toDay(goalTargetDate(goal));
+  const monthsLeft = targetDate ? differenceInCalendarDays(targetDate, asOf) / DAYS_PER_MONTH : null;
+
+  return {
+    monthly_velocity: velocity,
+    months_to_completion: months,
+    projected_completion_date: completion,
+    on_track: completion && targetDate ? completion <= toDateKey(targetDate) : null,
+    required_monthly_contribution: round2(monthsLeft !== null && monthsLeft > 1 ? remaining / monthsLeft : remaining),
+    completion_percentage: target > 0 ? Math.min(100, current / target * 100) : 0,
+    contribution_count: (goal.contributions || []).length,
+  };
+};
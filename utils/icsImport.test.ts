@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Tests for the iCalendar shift importer
+ * @description Covers parsing, RRULE/EXDATE/RDATE expansion, TZID and VTIMEZONE
+ * resolution across DST, overrides, all-day events and shift mapping
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildSummaryMappings,
+  expandEvents,
+  findDuplicateShifts,
+  occurrencesToShiftDrafts,
+  parseIcs,
+  parseRecurrenceRule,
+} from './icsImport';
+import type { PayShiftRule } from './payEngine';
+
+const calendar = (...lines: string[]): string =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+const event = (...lines: string[]): string[] => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+const WINDOW = { from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-12-31T00:00:00Z') };
+
+const expand = (text: string, window = WINDOW) => expandEvents(parseIcs(text), window);
+
+const EASTERN_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Eastern Standard Time',
+  'BEGIN:STANDARD',
+  'DTSTART:16010101T020000',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=11',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:16010101T020000',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'RRULE:FREQ=YEARLY;BYDAY=2SU;BYMONTH=3',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE',
+];
+
+describe('parseIcs', () => {
+  it('unfolds lines and unescapes text', () => {
+    const [occurrence] = expand(calendar(...event(
+      'UID:a',
+      'SUMMARY:ICU\\, Nights',
+      'DESCRIPTION:Charge nurse\\nbring ',
+      ' badge',
+      'DTSTART:20250106T190000',
+      'DTEND:20250107T070000',
+    )));
+
+    expect(occurrence.summary).toBe('ICU, Nights');
+    expect(occurrence.description).toBe('Charge nurse\nbring badge');
+  });
+
+  it('parses RRULE parts', () => {
+    expect(parseRecurrenceRule('FREQ=MONTHLY;BYDAY=-1FR;INTERVAL=2')).toMatchObject({
+      freq: 'MONTHLY',
+      interval: 2,
+      byday: [{ weekday: 5, nth: -1 }],
+    });
+    expect(parseRecurrenceRule('FREQ=HOURLY')).toBeNull();
+  });
+});
+
+describe('expandEvents', () => {
+  it('expands weekly BYDAY rules with COUNT', () => {
+    const drafts = occurrencesToShiftDrafts(expand(calendar(...event(
+      'UID:nights',
+      'SUMMARY:Night Shift',
+      'DTSTART:20250106T190000',
+      'DTEND:20250107T070000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+    ))));
+
+    expect(drafts.map(d => d.start_datetime)).toEqual([
+      '2025-01-06T19:00',
+      '2025-01-08T19:00',
+      '2025-01-13T19:00',
+      '2025-01-15T19:00',
+    ]);
+    expect(drafts[0]).toMatchObject({ end_datetime: '2025-01-07T07:00', scheduled_hours: 12 });
+  });
+
+  it('applies EXDATE and RDATE', () => {
+    const drafts = occurrencesToShiftDrafts(expand(calendar(...event(
+      'UID:nights',
+      'SUMMARY:Night Shift',
+      'DTSTART:20250106T190000',
+      'DURATION:PT12H',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+      'EXDATE:20250108T190000',
+      'RDATE:20250110T190000',
+    ))));
+
+    expect(drafts.map(d => d.start_datetime)).toEqual([
+      '2025-01-06T19:00',
+      '2025-01-10T19:00',
+      '2025-01-13T19:00',
+      '2025-01-15T19:00',
+    ]);
+  });
+
+  it('keeps wall-clock time across DST for IANA TZIDs', () => {
+    const occurrences = expand(calendar(...event(
+      'UID:days',
+      'SUMMARY:Day Shift',
+      'DTSTART;TZID=America/New_York:20250307T070000',
+      'DTEND;TZID=America/New_York:20250307T190000',
+      'RRULE:FREQ=DAILY;COUNT=3',
+    )));
+
+    expect(occurrences.map(o => o.start.toISOString())).toEqual([
+      '2025-03-07T12:00:00.000Z',
+      '2025-03-08T12:00:00.000Z',
+      '2025-03-09T11:00:00.000Z',
+    ]);
+  });
+
+  it('resolves custom TZIDs through the feed VTIMEZONE', () => {
+    const occurrences = expand(calendar(...EASTERN_VTIMEZONE, ...event(
+      'UID:days',
+      'SUMMARY:Day Shift',
+      'DTSTART;TZID=Eastern Standard Time:20250307T070000',
+      'DTEND;TZID=Eastern Standard Time:20250307T190000',
+      'RRULE:FREQ=DAILY;COUNT=3',
+    )));
+
+    expect(occurrences.map(o => o.start.toISOString())).toEqual([
+      '2025-03-07T12:00:00.000Z',
+      '2025-03-08T12:00:00.000Z',
+      '2025-03-09T11:00:00.000Z',
+    ]);
+    expect(occurrences[2].end.toISOString()).toBe('2025-03-09T23:00:00.000Z');
+  });
+
+  it('stops at a UTC UNTIL inclusively', () => {
+    const occurrences = expand(calendar(...event(
+      'UID:days',
+      'DTSTART;TZID=America/New_York:20250106T070000',
+      'DURATION:PT8H',
+      'RRULE:FREQ=DAILY;UNTIL=20250108T120000Z',
+    )));
+
+    expect(occurrences).toHaveLength(3);
+  });
+
+  it('expands monthly ordinal weekdays', () => {
+    const occurrences = expand(calendar(...event(
+      'UID:staff-meeting',
+      'DTSTART:20250131T090000Z',
+      'DURATION:PT1H',
+      'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3',
+    )));
+
+    expect(occurrences.map(o => o.start.toISOString().slice(0, 10))).toEqual([
+      '2025-01-31',
+      '2025-02-28',
+      '2025-03-28',
+    ]);
+  });
+
+  it('bounds open-ended rules by the window', () => {
+    const occurrences = expand(
+      calendar(...event('UID:daily', 'DTSTART:20240101T070000Z', 'DURATION:PT8H', 'RRULE:FREQ=DAILY')),
+      { from: new Date('2025-02-01T00:00:00Z'), to: new Date('2025-02-08T00:00:00Z') }
+    );
+
+    expect(occurrences).toHaveLength(7);
+    expect(occurrences[0].start.toISOString()).toBe('2025-02-01T07:00:00.000Z');
+  });
+
+  it('applies moved and cancelled RECURRENCE-ID overrides', () => {
+    const occurrences = expand(calendar(
+      ...event('UID:r', 'SUMMARY:Shift', 'DTSTART:20250106T070000Z', 'DURATION:PT8H', 'RRULE:FREQ=DAILY;COUNT=3'),
+      ...event('UID:r', 'RECURRENCE-ID:20250107T070000Z', 'SUMMARY:Shift (late)', 'DTSTART:20250107T110000Z', 'DURATION:PT8H'),
+      ...event('UID:r', 'RECURRENCE-ID:20250108T070000Z', 'STATUS:CANCELLED', 'DTSTART:20250108T070000Z'),
+    ));
+
+    expect(occurrences.map(o => [o.summary, o.start.toISOString()])).toEqual([
+      ['Shift', '2025-01-06T07:00:00.000Z'],
+      ['Shift (late)', '2025-01-07T11:00:00.000Z'],
+    ]);
+    expect(occurrences[1].key).toBe('r|2025-01-07T07:00:00.000Z');
+  });
+
+  it('marks all-day events', () => {
+    const [pto] = expand(calendar(...event('UID:pto', 'SUMMARY:PTO', 'DTSTART;VALUE=DATE:20250110', 'DTEND;VALUE=DATE:20250111')));
+
+    expect(pto.all_day).toBe(true);
+    expect(pto.end.getTime() - pto.start.getTime()).toBe(24 * 3600 * 1000);
+  });
+});
+
+describe('shift mapping', () => {
+  const rules: PayShiftRule[] = [
+    { id: 'staff', name: 'Staff RN', active: true, base_hourly_rate: 40 },
+    { id: 'agency', name: 'Agency', active: true, base_hourly_rate: 60, match_patterns: ['agency*'] },
+  ];
+  const occurrences = expand(calendar(
+    ...event('UID:1', 'SUMMARY:Agency ICU', 'DTSTART:20250106T070000', 'DTEND:20250106T190000'),
+    ...event('UID:2', 'SUMMARY:Unit Day', 'DTSTART:20250107T070000', 'DTEND:20250107T190000'),
+    ...event('UID:3', 'SUMMARY:PTO', 'DTSTART;VALUE=DATE:20250110'),
+  ));
+
+  it('suggests rules per summary and skips all-day entries', () => {
+    expect(buildSummaryMappings(occurrences, rules)).toEqual({
+      'agency icu': { shift_rule_id: 'agency', skip: false },
+      'unit day': { shift_rule_id: 'staff', skip: false },
+      pto: { shift_rule_id: 'staff', skip: true },
+    });
+  });
+
+  it('builds drafts honoring mappings', () => {
+    const drafts = occurrencesToShiftDrafts(occurrences, buildSummaryMappings(occurrences, rules));
+
+    expect(drafts.map(d => [d.title, d.shift_rule_id, d.external_id])).toEqual([
+      ['Agency ICU', 'agency', '1|' + occurrences[0].start.toISOString()],
+      ['Unit Day', 'staff', '2|' + occurrences[1].start.toISOString()],
+    ]);
+  });
+
+  it('flags drafts that overlap saved shifts or were imported before', () => {
+    const drafts = occurrencesToShiftDrafts(occurrences, buildSummaryMappings(occurrences, rules));
+    const duplicates = findDuplicateShifts(drafts, [
+      { id: 'saved-overlap', start_datetime: '2025-01-06T15:00', end_datetime: '2025-01-06T23:00' },
+      { id: 'saved-import', external_id: drafts[1].external_id, start_datetime: '2025-02-01T07:00', end_datetime: '2025-02-01T15:00' },
+      { id: 'adjacent', start_datetime: '2025-01-07T19:00', end_datetime: '2025-01-08T07:00' },
+    ]);
+
+    expect(duplicates).toEqual({
+      [drafts[0].key]: ['saved-overlap'],
+      [drafts[1].key]: ['saved-import'],
+    });
+  });
+});
@@ -0,0 +1,863 @@
+/**
+ * @fileoverview iCalendar (.ics) shift schedule import
+ * @description Parses RFC 5545 calendars exported by scheduling systems, expands recurring
+ * events (RRULE, RDATE, EXDATE and RECURRENCE-ID overrides) inside a date window, resolves
+ * TZID times through the feed's own VTIMEZONE definitions or the IANA database, and maps
+ * the resulting occurrences to Shift drafts with duplicate detection against saved shifts.
+ */
+
+import { format } from 'date-fns';
+import { resolveShiftRule, type LegacyPayRule, type PayShift, type PayShiftRule } from './payEngine';
+import { round2 } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Parsed content line, e.g. `DTSTART;TZID=America/Chicago:20250106T070000`
+ */
+export interface IcsProperty {
+  name: string;
+  params: Record<string, string>;
+  value: string;
+}
+
+/**
+ * BEGIN/END block with its properties and nested blocks
+ */
+export interface IcsComponent {
+  type: string;
+  properties: IcsProperty[];
+  components: IcsComponent[];
+}
+
+/**
+ * DATE or DATE-TIME value as written, before time zone resolution
+ */
+export interface IcsDateTime {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  date_only: boolean;
+  utc: boolean;
+  tzid?: string;
+}
+
+/**
+ * Weekday entry of BYDAY, e.g. `2SU` or `-1FR`
+ */
+interface ByDay {
+  weekday: number;
+  nth?: number;
+}
+
+/**
+ * Parsed RRULE
+ */
+export interface RecurrenceRule {
+  freq: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+  interval: number;
+  count?: number;
+  until?: IcsDateTime;
+  byday: ByDay[];
+  bymonthday: number[];
+  bymonth: number[];
+  bysetpos: number[];
+  wkst: number;
+}
+
+/**
+ * One concrete occurrence of a calendar event
+ */
+export interface IcsOccurrence {
+  /** Stable identity: UID plus the occurrence's original start */
+  key: string;
+  uid: string;
+  summary: string;
+  description?: string;
+  location?: string;
+  categories: string[];
+  start: Date;
+  end: Date;
+  all_day: boolean;
+  recurring: boolean;
+}
+
+/**
+ * Expansion window and limits
+ */
+export interface IcsExpandOptions {
+  from: Date;
+  to: Date;
+  /** Upper bound on occurrences returned (default 2000) */
+  maxOccurrences?: number;
+}
+
+/**
+ * How occurrences with a given summary are imported
+ */
+export interface IcsSummaryMapping {
+  shift_rule_id?: string | null;
+  skip?: boolean;
+}
+
+/**
+ * Shift record ready for bulk creation
+ */
+export interface ImportedShiftDraft {
+  key: string;
+  title: string;
+  start_datetime: string;
+  end_datetime: string;
+  scheduled_hours: number;
+  location?: string;
+  notes?: string;
+  shift_rule_id?: string;
+  all_day: boolean;
+  import_source: 'ics';
+  external_id: string;
+}
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DEFAULT_MAX_OCCURRENCES = 2000;
+/** Guards against rules that never produce a date (e.g. BYMONTHDAY=31;BYMONTH=2) */
+const MAX_RECURRENCE_PERIODS = 10000;
+const LOCAL_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Split on a separator outside double quotes
+ */
+const splitUnquoted = (text: string, separator: string, limit = Infinity): string[] => {
+  const parts: string[] = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted && parts.length < limit - 1) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Undo RFC 5545 line folding
+ * @param text - Raw calendar text
+ * @returns Logical content lines
+ */
+export const unfoldLines = (text: string): string[] =>
+  text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+
+/**
+ * Parse one content line into name, parameters and value
+ * @param line - Unfolded content line
+ * @returns Property, or null when the line has no value separator
+ */
+export const parseContentLine = (line: string): IcsProperty | null => {
+  const [head, value] = splitUnquoted(line, ':', 2);
+  if (value === undefined) return null;
+  const [name, ...rawParams] = splitUnquoted(head, ';');
+  const params: Record<string, string> = {};
+  rawParams.forEach(param => {
+    const [key, paramValue = ''] = param.split('=');
+    params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value };
+};
+
+/**
+ * Parse calendar text into its component tree
+ * @param text - Raw .ics contents
+ * @returns Top-level components (normally one VCALENDAR)
+ */
+export const parseIcs = (text: string): IcsComponent[] => {
+  const root: IcsComponent = { type: 'ROOT', properties: [], components: [] };
+  const stack: IcsComponent[] = [root];
+
+  unfoldLines(text).forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component: IcsComponent = { type: property.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  return root.components;
+};
+
+const unescapeText = (value: string): string =>
+  value.replace(/\\([\\;,nN])/g, (_, char: string) => (char === 'n' || char === 'N' ? '\n' : char));
+
+const getProperty = (component: IcsComponent, name: string): IcsProperty | undefined =>
+  component.properties.find(p => p.name === name);
+
+const getText = (component: IcsComponent, name: string): string | undefined => {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value).trim() : undefined;
+};
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param value - e.g. `20250106`, `20250106T070000` or `20250106T130000Z`
+ * @param params - Property parameters (VALUE, TZID)
+ * @returns Parsed value, or null when malformed
+ */
+export const parseDateTime = (value: string, params: Record<string, string> = {}): IcsDateTime | null => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const dateOnly = params.VALUE === 'DATE' || match[4] === undefined;
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: dateOnly ? 0 : Number(match[4]),
+    minute: dateOnly ? 0 : Number(match[5]),
+    second: dateOnly ? 0 : Number(match[6] || 0),
+    date_only: dateOnly,
+    utc: !dateOnly && match[7] === 'Z',
+    tzid: params.TZID ? params.TZID.replace(/^\//, '') : undefined,
+  };
+};
+
+/**
+ * Parse an ISO 8601 duration such as `PT12H` or `-P1DT30M`
+ * @param value - Duration text
+ * @returns Milliseconds (0 when malformed)
+ */
+export const parseDuration = (value: string): number => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return 0;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 3600
+    + Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Parse an RRULE value
+ * @param value - e.g. `FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250331T000000Z`
+ * @returns Rule, or null for unsupported frequencies
+ */
+export const parseRecurrenceRule = (value: string): RecurrenceRule | null => {
+  const parts: Record<string, string> = {};
+  value.split(';').forEach(part => {
+    const [key, partValue] = part.split('=');
+    if (key && partValue !== undefined) parts[key.toUpperCase()] = partValue.toUpperCase();
+  });
+  const freq = parts.FREQ as RecurrenceRule['freq'];
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) return null;
+
+  const numbers = (key: string): number[] =>
+    (parts[key] || '').split(',').filter(Boolean).map(Number).filter(n => Number.isFinite(n) && n !== 0);
+
+  return {
+    freq,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : undefined,
+    until: parts.UNTIL ? parseDateTime(parts.UNTIL) || undefined : undefined,
+    byday: (parts.BYDAY || '')
+      .split(',')
+      .map(entry => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry))
+      .filter((m): m is RegExpExecArray => Boolean(m))
+      .map(m => ({ weekday: WEEKDAYS.indexOf(m[2]), nth: m[1] ? Number(m[1]) : undefined })),
+    bymonthday: numbers('BYMONTHDAY'),
+    bymonth: numbers('BYMONTH'),
+    bysetpos: numbers('BYSETPOS'),
+    wkst: parts.WKST ? Math.max(0, WEEKDAYS.indexOf(parts.WKST)) : 1,
+  };
+};
+
+// ============================================================================
+// Time Zones
+// ============================================================================
+
+/**
+ * "Wall" time: the written date/time fields encoded as if they were UTC. Calendar
+ * arithmetic is done on wall times so recurring 07:00 shifts stay at 07:00 across DST.
+ */
+const wallOf = (dt: IcsDateTime): number =>
+  Date.UTC(dt.year, dt.month - 1, dt.day, dt.hour, dt.minute, dt.second);
+
+const parseUtcOffset = (value = ''): number => {
+  const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(value.trim());
+  if (!match) return 0;
+  const ms = (Number(match[2]) * 3600 + Number(match[3]) * 60 + Number(match[4] || 0)) * 1000;
+  return match[1] === '-' ? -ms : ms;
+};
+
+/**
+ * Offset (wall - UTC) of an IANA zone at an instant, or null if the zone is unknown
+ */
+const ianaOffset = (timeZone: string, utc: number): number | null => {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(new Date(utc));
+    const get = (type: string): number => Number(parts.find(p => p.type === type)?.value);
+    return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - utc;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Maps a wall time in some zone to its UTC instant
+ */
+type ZoneResolver = (wall: number) => number;
+
+/**
+ * Build a resolver from a VTIMEZONE's STANDARD/DAYLIGHT observances
+ */
+const vtimezoneResolver = (component: IcsComponent): ZoneResolver | null => {
+  const observances = component.components
+    .filter(c => c.type === 'STANDARD' || c.type === 'DAYLIGHT')
+    .map(c => {
+      const dtstart = getProperty(c, 'DTSTART');
+      const start = dtstart ? parseDateTime(dtstart.value) : null;
+      const rrule = getProperty(c, 'RRULE');
+      return {
+        start,
+        offsetFrom: parseUtcOffset(getProperty(c, 'TZOFFSETFROM')?.value),
+        offsetTo: parseUtcOffset(getProperty(c, 'TZOFFSETTO')?.value),
+        rule: rrule ? parseRecurrenceRule(rrule.value) : null,
+        rdates: c.properties
+          .filter(p => p.name === 'RDATE')
+          .flatMap(p => p.value.split(','))
+          .map(v => parseDateTime(v))
+          .filter((d): d is IcsDateTime => Boolean(d))
+          .map(wallOf),
+      };
+    })
+    .filter((o): o is typeof o & { start: IcsDateTime } => Boolean(o.start));
+  if (observances.length === 0) return null;
+
+  const earliest = observances.reduce((a, b) => (wallOf(a.start) <= wallOf(b.start) ? a : b));
+
+  return (wall: number): number => {
+    let best: { onset: number; offset: number } | null = null;
+    observances.forEach(observance => {
+      const startWall = wallOf(observance.start);
+      const onsets = [startWall, ...observance.rdates];
+      if (observance.rule) {
+        // Transition rules are yearly; a window of a little over a year always holds the latest onset
+        onsets.push(...expandRuleWalls(observance.rule, startWall, wall - 400 * DAY_MS, wall, w => w - observance.offsetFrom));
+      }
+      onsets
+        .filter(onset => onset <= wall)
+        .forEach(onset => {
+          if (!best || onset > best.onset) best = { onset, offset: observance.offsetTo };
+        });
+    });
+    const offset = best ? (best as { offset: number }).offset : earliest.offsetFrom;
+    return wall - offset;
+  };
+};
+
+/**
+ * Build resolvers for every VTIMEZONE in the calendar, keyed by TZID
+ */
+const collectZones = (components: IcsComponent[]): Map<string, ZoneResolver> => {
+  const zones = new Map<string, ZoneResolver>();
+  const visit = (component: IcsComponent): void => {
+    if (component.type === 'VTIMEZONE') {
+      const tzid = getProperty(component, 'TZID')?.value.replace(/^\//, '');
+      const resolver = vtimezoneResolver(component);
+      if (tzid && resolver) zones.set(tzid, resolver);
+    }
+    component.components.forEach(visit);
+  };
+  components.forEach(visit);
+  return zones;
+};
+
+/**
+ * Resolve a wall time to a UTC instant
+ * @param wall - Wall time (fields encoded as UTC)
+ * @param dt - Original value, for its UTC flag and TZID
+ * @param zones - VTIMEZONE resolvers from the same calendar
+ * @returns Epoch milliseconds
+ */
+const toInstant = (wall: number, dt: IcsDateTime, zones: Map<string, ZoneResolver>): number => {
+  if (dt.utc) return wall;
+  if (!dt.date_only && dt.tzid) {
+    const vtimezone = zones.get(dt.tzid);
+    if (vtimezone) return vtimezone(wall);
+    const guess = ianaOffset(dt.tzid, wall);
+    if (guess !== null) {
+      const corrected = ianaOffset(dt.tzid, wall - guess);
+      return wall - (corrected ?? guess);
+    }
+  }
+  // Floating times and all-day dates are in the viewer's zone
+  const d = new Date(wall);
+  return new Date(
+    d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()
+  ).getTime();
+};
+
+// ============================================================================
+// Recurrence Expansion
+// ============================================================================
+
+const daysInMonth = (year: number, month: number): number => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Days of a month selected by BYMONTHDAY / BYDAY (month-relative ordinals)
+ */
+const monthDays = (rule: RecurrenceRule, year: number, month: number, defaultDay: number): number[] => {
+  const dim = daysInMonth(year, month);
+  let days: number[] | null = null;
+
+  if (rule.bymonthday.length > 0) {
+    days = rule.bymonthday.map(d => (d < 0 ? dim + 1 + d : d)).filter(d => d >= 1 && d <= dim);
+  }
+  if (rule.byday.length > 0) {
+    const weekdayDays: number[] = [];
+    rule.byday.forEach(({ weekday, nth }) => {
+      const matching: number[] = [];
+      for (let d = 1; d <= dim; d++) {
+        if (new Date(Date.UTC(year, month, d)).getUTCDay() === weekday) matching.push(d);
+      }
+      if (nth === undefined) weekdayDays.push(...matching);
+      else {
+        const picked = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+        if (picked) weekdayDays.push(picked);
+      }
+    });
+    days = days ? days.filter(d => weekdayDays.includes(d)) : weekdayDays;
+  }
+  if (!days) days = defaultDay <= dim ? [defaultDay] : [];
+
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+};
+
+const applySetPos = (values: number[], setpos: number[]): number[] => {
+  if (setpos.length === 0) return values;
+  return setpos
+    .map(pos => (pos > 0 ? values[pos - 1] : values[values.length + pos]))
+    .filter((v): v is number => v !== undefined)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Candidate wall times produced by one FREQ period
+ */
+const periodCandidates = (rule: RecurrenceRule, startWall: number, period: number): { anchor: number; walls: number[] } => {
+  const start = new Date(startWall);
+  const timeOfDay = startWall - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const startDay = startWall - timeOfDay;
+  const monthOk = (wall: number): boolean =>
+    rule.bymonth.length === 0 || rule.bymonth.includes(new Date(wall).getUTCMonth() + 1);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + period * rule.interval * DAY_MS;
+      const d = new Date(day);
+      const ok = monthOk(day)
+        && (rule.bymonthday.length === 0 || monthDays({ ...rule, byday: [] }, d.getUTCFullYear(), d.getUTCMonth(), 0).includes(d.getUTCDate()))
+        && (rule.byday.length === 0 || rule.byday.some(b => b.weekday === d.getUTCDay()));
+      return { anchor: day, walls: ok ? [day + timeOfDay] : [] };
+    }
+    case 'WEEKLY': {
+      const offset = (start.getUTCDay() - rule.wkst + 7) % 7;
+      const weekStart = startDay - offset * DAY_MS + period * rule.interval * 7 * DAY_MS;
+      const weekdays = rule.byday.length > 0 ? rule.byday.map(b => b.weekday) : [start.getUTCDay()];
+      const walls = Array.from({ length: 7 }, (_, i) => weekStart + i * DAY_MS)
+        .filter(day => weekdays.includes(new Date(day).getUTCDay()) && monthOk(day))
+        .map(day => day + timeOfDay);
+      return { anchor: weekStart, walls };
+    }
+    case 'MONTHLY': {
+      const monthIndex = start.getUTCMonth() + period * rule.interval;
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      const anchor = Date.UTC(year, month, 1);
+      if (!monthOk(anchor)) return { anchor, walls: [] };
+      const days = applySetPos(monthDays(rule, year, month, start.getUTCDate()), rule.bysetpos);
+      return { anchor, walls: days.map(d => Date.UTC(year, month, d) + timeOfDay) };
+    }
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + period * rule.interval;
+      const anchor = Date.UTC(year, 0, 1);
+      let walls: number[];
+      if (rule.bymonth.length === 0 && rule.bymonthday.length === 0 && rule.byday.length > 0) {
+        // BYDAY ordinals count within the year when no BYMONTH narrows them
+        walls = [];
+        rule.byday.forEach(({ weekday, nth }) => {
+          const matching: number[] = [];
+          for (let day = anchor; day < Date.UTC(year + 1, 0, 1); day += DAY_MS) {
+            if (new Date(day).getUTCDay() === weekday) matching.push(day);
+          }
+          if (nth === undefined) walls.push(...matching);
+          else {
+            const picked = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+            if (picked !== undefined) walls.push(picked);
+          }
+        });
+      } else {
+        const months = rule.bymonth.length > 0
+          ? rule.bymonth.map(m => m - 1)
+          : rule.bymonthday.length > 0 ? Array.from({ length: 12 }, (_, i) => i) : [start.getUTCMonth()];
+        walls = months.flatMap(month =>
+          monthDays(rule, year, month, start.getUTCDate()).map(d => Date.UTC(year, month, d))
+        );
+      }
+      walls.sort((a, b) => a - b);
+      return { anchor, walls: applySetPos(walls, rule.bysetpos).map(day => day + timeOfDay) };
+    }
+    default:
+      return { anchor: Infinity, walls: [] };
+  }
+};
+
+/**
+ * Expand a recurrence rule into wall times. DTSTART is always the first occurrence
+ * and counts toward COUNT, as RFC 5545 requires.
+ * @param rule - Parsed RRULE
+ * @param startWall - DTSTART wall time
+ * @param fromWall - Only return occurrences at or after this wall time
+ * @param toWall - Stop after this wall time
+ * @param instantOf - Converts a wall time to UTC, used to compare against a UTC UNTIL
+ * @param limit - Maximum occurrences returned
+ * @returns Occurrence wall times in order
+ */
+export const expandRuleWalls = (
+  rule: RecurrenceRule,
+  startWall: number,
+  fromWall: number,
+  toWall: number,
+  instantOf: (wall: number) => number = w => w,
+  limit = DEFAULT_MAX_OCCURRENCES
+): number[] => {
+  const untilWall = rule.until ? wallOf(rule.until) + (rule.until.date_only ? DAY_MS - 1 : 0) : null;
+  const withinUntil = (wall: number): boolean => {
+    if (untilWall === null || !rule.until) return true;
+    return rule.until.utc ? instantOf(wall) <= untilWall : wall <= untilWall;
+  };
+
+  const result: number[] = [];
+  let emitted = 0;
+  const emit = (wall: number): boolean => {
+    emitted++;
+    if (wall >= fromWall) result.push(wall);
+    return (rule.count !== undefined && emitted >= rule.count) || result.length >= limit;
+  };
+
+  if (!withinUntil(startWall) || startWall > toWall) return result;
+  if (emit(startWall)) return result;
+
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+    const { anchor, walls } = periodCandidates(rule, startWall, period);
+    for (const wall of walls) {
+      if (wall <= startWall) continue;
+      if (wall > toWall || !withinUntil(wall)) return result;
+      if (emit(wall)) return result;
+    }
+    if (anchor > toWall) break;
+  }
+  return result;
+};
+
+// ============================================================================
+// Event Expansion
+// ============================================================================
+
+/**
+ * DTSTART-derived timing shared by every instance of an event
+ */
+interface EventTiming {
+  dtstart: IcsDateTime;
+  startWall: number;
+  duration: number;
+}
+
+/**
+ * Instance start; `wall` is known when the start is in the DTSTART's own frame
+ */
+interface StartPoint {
+  wall: number | null;
+  instant: number;
+}
+
+const dateValues = (component: IcsComponent, name: string): IcsDateTime[] =>
+  component.properties
+    .filter(p => p.name === name && p.params.VALUE !== 'PERIOD')
+    .flatMap(p => p.value.split(',').map(v => parseDateTime(v, p.params)))
+    .filter((d): d is IcsDateTime => Boolean(d));
+
+const collectEvents = (components: IcsComponent[]): IcsComponent[] =>
+  components.flatMap(c => (c.type === 'VEVENT' ? [c] : collectEvents(c.components)));
+
+/**
+ * Expand every event in a calendar into concrete occurrences within a window
+ * @param components - Output of {@link parseIcs}
+ * @param options - Window and limits
+ * @returns Occurrences sorted by start time
+ */
+export const expandEvents = (components: IcsComponent[], options: IcsExpandOptions): IcsOccurrence[] => {
+  const zones = collectZones(components);
+  const from = options.from.getTime();
+  const to = options.to.getTime();
+  const limit = options.maxOccurrences ?? DEFAULT_MAX_OCCURRENCES;
+  const events = collectEvents(components);
+  const occurrences: IcsOccurrence[] = [];
+
+  const timing = (event: IcsComponent): EventTiming | null => {
+    const startProp = getProperty(event, 'DTSTART');
+    const dtstart = startProp ? parseDateTime(startProp.value, startProp.params) : null;
+    if (!dtstart) return null;
+    const startWall = wallOf(dtstart);
+    const endProp = getProperty(event, 'DTEND');
+    const dtend = endProp ? parseDateTime(endProp.value, endProp.params) : null;
+    const durationProp = getProperty(event, 'DURATION');
+    let duration: number;
+    if (dtend) {
+      // All-day lengths are counted in calendar days, timed lengths in elapsed time
+      duration = dtstart.date_only
+        ? wallOf(dtend) - startWall
+        : toInstant(wallOf(dtend), dtend, zones) - toInstant(startWall, dtstart, zones);
+    } else if (durationProp) {
+      duration = parseDuration(durationProp.value);
+    } else {
+      duration = dtstart.date_only ? DAY_MS : 0;
+    }
+    return { dtstart, startWall, duration: Math.max(0, duration) };
+  };
+
+  /** Same-frame values (floating, or same TZID) inherit the DTSTART zone */
+  const inFrame = (value: IcsDateTime, dtstart: IcsDateTime): IcsDateTime =>
+    value.utc || value.tzid ? value : { ...value, tzid: dtstart.tzid, date_only: dtstart.date_only };
+
+  const emit = (event: IcsComponent, uid: string, originalStart: number, start: StartPoint, t: EventTiming, recurring: boolean): void => {
+    if ((getText(event, 'STATUS') || '').toUpperCase() === 'CANCELLED') return;
+    const end = t.dtstart.date_only && start.wall !== null
+      ? toInstant(start.wall + t.duration, t.dtstart, zones)
+      : start.instant + t.duration;
+    if (end <= from || start.instant >= to) return;
+    occurrences.push({
+      key: `${uid}|${new Date(originalStart).toISOString()}`,
+      uid,
+      summary: getText(event, 'SUMMARY') || '(untitled)',
+      description: getText(event, 'DESCRIPTION'),
+      location: getText(event, 'LOCATION'),
+      categories: (getText(event, 'CATEGORIES') || '').split(',').map(c => c.trim()).filter(Boolean),
+      start: new Date(start.instant),
+      end: new Date(end),
+      all_day: t.dtstart.date_only,
+      recurring,
+    });
+  };
+
+  // RECURRENCE-ID overrides replace the instance they point at
+  const overrides = new Map<string, Map<number, IcsComponent>>();
+  events.forEach(event => {
+    const recurrenceId = getProperty(event, 'RECURRENCE-ID');
+    const dt = recurrenceId ? parseDateTime(recurrenceId.value, recurrenceId.params) : null;
+    if (!dt) return;
+    const uid = getText(event, 'UID') || '';
+    const byInstant = overrides.get(uid) || new Map<number, IcsComponent>();
+    byInstant.set(toInstant(wallOf(dt), dt, zones), event);
+    overrides.set(uid, byInstant);
+  });
+
+  events
+    .filter(event => !getProperty(event, 'RECURRENCE-ID'))
+    .forEach(event => {
+      const t = timing(event);
+      if (!t) return;
+      const uid = getText(event, 'UID') || `${getText(event, 'SUMMARY') || 'event'}@${t.startWall}`;
+      const instantOf = (wall: number): number => toInstant(wall, t.dtstart, zones);
+      const rruleProp = getProperty(event, 'RRULE');
+      const rule = rruleProp ? parseRecurrenceRule(rruleProp.value) : null;
+
+      // Widen the wall window by a day on each side to absorb zone offsets, plus the event length
+      const walls = rule
+        ? expandRuleWalls(rule, t.startWall, from - DAY_MS - t.duration, to + DAY_MS, instantOf, limit)
+        : [t.startWall];
+      const starts = new Map<number, StartPoint>();
+      walls.forEach(wall => starts.set(instantOf(wall), { wall, instant: instantOf(wall) }));
+      dateValues(event, 'RDATE').forEach(rdate => {
+        const value = inFrame(rdate, t.dtstart);
+        const wall = value.utc || value.tzid !== t.dtstart.tzid ? null : wallOf(value);
+        const instant = toInstant(wallOf(value), value, zones);
+        starts.set(instant, { wall, instant });
+      });
+
+      const exdates = dateValues(event, 'EXDATE');
+      const excludedInstants = new Set(
+        exdates.filter(d => !d.date_only).map(d => toInstant(wallOf(d), inFrame(d, t.dtstart), zones))
+      );
+      const excludedDays = new Set(exdates.filter(d => d.date_only).map(d => `${d.year}-${d.month}-${d.day}`));
+      const dayOf = (start: StartPoint): string => {
+        if (start.wall !== null) {
+          const w = new Date(start.wall);
+          return `${w.getUTCFullYear()}-${w.getUTCMonth() + 1}-${w.getUTCDate()}`;
+        }
+        const local = new Date(start.instant);
+        return `${local.getFullYear()}-${local.getMonth() + 1}-${local.getDate()}`;
+      };
+
+      const eventOverrides = overrides.get(uid);
+      const recurring = Boolean(rule) || starts.size > 1;
+
+      Array.from(starts.values())
+        .sort((a, b) => a.instant - b.instant)
+        .forEach(start => {
+          if (excludedInstants.has(start.instant) || excludedDays.has(dayOf(start))) return;
+          const override = eventOverrides?.get(start.instant);
+          if (override) {
+            eventOverrides!.delete(start.instant);
+            const moved = timing(override);
+            if (moved) emit(override, uid, start.instant, { wall: moved.startWall, instant: toInstant(moved.startWall, moved.dtstart, zones) }, moved, true);
+            return;
+          }
+          emit(event, uid, start.instant, start, t, recurring);
+        });
+    });
+
+  // Overrides whose original instance was outside the expansion (e.g. moved into the window)
+  overrides.forEach((byInstant, uid) => {
+    byInstant.forEach((override, originalStart) => {
+      const moved = timing(override);
+      if (moved) emit(override, uid, originalStart, { wall: moved.startWall, instant: toInstant(moved.startWall, moved.dtstart, zones) }, moved, true);
+    });
+  });
+
+  return occurrences
+    .sort((a, b) => a.start.getTime() - b.start.getTime())
+    .slice(0, limit);
+};
+
+// ============================================================================
+// Shift Mapping
+// ============================================================================
+
+/**
+ * Normalized key used to group occurrences by summary
+ * @param summary - Event summary
+ * @returns Lowercased, whitespace-collapsed summary
+ */
+export const summaryKey = (summary: string): string => summary.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Default summary mappings: each distinct summary gets the rule {@link resolveShiftRule}
+ * would pick for a shift with that title and location. All-day-only summaries
+ * (PTO, holidays, "off") start out skipped.
+ * @param occurrences - Expanded occurrences
+ * @param rules - Saved ShiftRules
+ * @returns Mapping per summary key
+ */
+export const buildSummaryMappings = (
+  occurrences: IcsOccurrence[],
+  rules: Array<PayShiftRule | LegacyPayRule> = []
+): Record<string, IcsSummaryMapping> => {
+  const mappings: Record<string, IcsSummaryMapping> = {};
+  occurrences.forEach(occurrence => {
+    const key = summaryKey(occurrence.summary);
+    const existing = mappings[key];
+    if (existing) {
+      if (!occurrence.all_day) existing.skip = false;
+      return;
+    }
+    const rule = resolveShiftRule({ title: occurrence.summary, location: occurrence.location }, rules);
+    mappings[key] = { shift_rule_id: rule?.id ?? null, skip: occurrence.all_day };
+  });
+  return mappings;
+};
+
+/**
+ * Convert occurrences to Shift drafts in local wall-clock time (the format the shift form saves)
+ * @param occurrences - Expanded occurrences
+ * @param mappings - Summary mappings; skipped summaries are dropped
+ * @returns Shift drafts
+ */
+export const occurrencesToShiftDrafts = (
+  occurrences: IcsOccurrence[],
+  mappings: Record<string, IcsSummaryMapping> = {}
+): ImportedShiftDraft[] =>
+  occurrences
+    .filter(occurrence => !mappings[summaryKey(occurrence.summary)]?.skip)
+    .map(occurrence => {
+      const mapping = mappings[summaryKey(occurrence.summary)];
+      const hours = (occurrence.end.getTime() - occurrence.start.getTime()) / 3600000;
+      return {
+        key: occurrence.key,
+        title: occurrence.summary,
+        start_datetime: format(occurrence.start, LOCAL_FORMAT),
+        end_datetime: format(occurrence.end, LOCAL_FORMAT),
+        scheduled_hours: round2(hours),
+        location: occurrence.location,
+        notes: occurrence.description,
+        shift_rule_id: mapping?.shift_rule_id || undefined,
+        all_day: occurrence.all_day,
+        import_source: 'ics' as const,
+        external_id: occurrence.key,
+      };
+    });
+
+/**
+ * Find saved shifts each draft would duplicate: same external id, or overlapping time
+ * @param drafts - Shift drafts
+ * @param existing - Saved shifts
+ * @returns Ids of conflicting saved shifts by draft key (drafts without conflicts are omitted)
+ */
+export const findDuplicateShifts = (
+  drafts: ImportedShiftDraft[],
+  existing: Array<PayShift & { external_id?: string }>
+): Record<string, string[]> => {
+  const saved = (existing || [])
+    .filter(shift => shift.start_datetime && shift.end_datetime && shift.status !== 'cancelled')
+    .map(shift => ({
+      id: shift.id || '',
+      external_id: shift.external_id,
+      start: new Date(shift.start_datetime as string | Date).getTime(),
+      end: new Date(shift.end_datetime as string | Date).getTime(),
+    }));
+  const duplicates: Record<string, string[]> = {};
+
+  drafts.forEach(draft => {
+    const start = new Date(draft.start_datetime).getTime();
+    const end = new Date(draft.end_datetime).getTime();
+    const ids = saved
+      .filter(shift => shift.external_id === draft.external_id || (start < shift.end && end > shift.start))
+      .map(shift => shift.id);
+    if (ids.length > 0) duplicates[draft.key] = ids;
+  });
+
+  return duplicates;
+};
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Tests for the income statement
+ * @description Covers totals by category over a date range, split
+ * transactions and transfers between accounts
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildIncomeStatement } from './incomeStatement';
+
+const options = { from: '2025-05-01', to: '2025-05-31', period: 'May 2025' };
+
+describe('buildIncomeStatement', () => {
+  it('totals income and expenses by category within the range', () => {
+    const statement = buildIncomeStatement(
+      [
+        { id: '1', type: 'income', category: 'salary', amount: 3000, date: '2025-05-15' },
+        { id: '2', type: 'expense', category: 'food_dining', amount: -40, date: '2025-05-03' },
+        { id: '3', type: 'expense', category: 'food_dining', amount: -60, date: '2025-05-20' },
+        { id: '4', type: 'expense', category: 'housing', amount: -1200, date: '2025-05-01' },
+        { id: '5', type: 'expense', category: 'housing', amount: -1200, date: '2025-04-01' },
+        { id: '6', type: 'transfer', amount: 500, date: '2025-05-10' },
+      ],
+      options
+    );
+
+    expect(statement).toEqual({
+      period: 'May 2025',
+      income: [{ category: 'Salary', amount: 3000 }],
+      expenses: [
+        { category: 'Housing', amount: 1200 },
+        { category: 'Food Dining', amount: 100 },
+      ],
+      netIncome: 1700,
+    });
+  });
+
+  it('reports each line of a split transaction under its own category', () => {
+    const statement = buildIncomeStatement(
+      [
+        {
+          id: '1',
+          type: 'expense',
+          category: 'groceries',
+          amount: -150,
+          date: '2025-05-04',
+          splits: [{ category: 'groceries', amount: 100 }, { category: 'pharmacy', amount: 50 }],
+        },
+      ],
+      options
+    );
+
+    expect(statement.expenses).toEqual([
+      { category: 'Groceries', amount: 100 },
+      { category: 'Pharmacy', amount: 50 },
+    ]);
+    expect(statement.netIncome).toBe(-150);
+  });
+});
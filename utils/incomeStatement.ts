@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Income statement from transactions
+ * @description Totals income and spending by category over a date range for
+ * the Reports page. Split transactions count toward each of their categories;
+ * transfers between accounts are left out.
+ */
+
+import type { IncomeStatementData } from '@/types/financial.types';
+import { expandSplits, type SplittableTransaction } from './splitTransactions';
+import { round2, toNumber } from './primitives';
+
+export interface StatementTransaction extends SplittableTransaction {
+  type?: string;
+  date?: string;
+}
+
+export interface IncomeStatementOptions {
+  /** First day, yyyy-MM-dd */
+  from: string;
+  /** Last day, yyyy-MM-dd */
+  to: string;
+  /** Label shown with the statement */
+  period: string;
+}
+
+/**
+ * "food_dining" → "Food Dining"
+ */
+const categoryLabel = (category: string): string =>
+  category.split('_').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ') || 'Uncategorized';
+
+const byCategory = (transactions: StatementTransaction[]) => {
+  const totals = new Map<string, number>();
+  for (const t of transactions) {
+    const label = categoryLabel(t.category || '');
+    totals.set(label, (totals.get(label) || 0) + Math.abs(toNumber(t.amount)));
+  }
+  return [...totals.entries()]
+    .map(([category, amount]) => ({ category, amount: round2(amount) }))
+    .sort((a, b) => b.amount - a.amount);
+};
+
+/**
+ * Income and expenses by category for a date range
+ * @param transactions - All transactions
+ * @param options - Date range and period label
+ * @returns Income statement data, largest categories first
+ */
+export const buildIncomeStatement = (
+  transactions: StatementTransaction[],
+  options: IncomeStatementOptions
+): IncomeStatementData => {
+  const inRange = expandSplits(transactions || []).filter(t => {
+    const day = String(t.date || '').slice(0, 10);
+    return day >= options.from && day <= options.to;
+  });
+
+  const income = byCategory(inRange.filter(t => t.type === 'income'));
+  const expenses = byCategory(inRange.filter(t => t.type === 'expense'));
+  const sum = (items: Array<{ amount: number }>) => items.reduce((total, item) => total + item.amount, 0);
+
+  return {
+    period: options.period,
+    income,
+    expenses,
+    netIncome: round2(sum(income) - sum(expenses)),
+  };
+};
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tests for investment lots and returns
+ * @description Covers FIFO and specific-lot sales with short and long-term
+ * gains, splits and reinvested dividends, split-adjusted prices, XIRR,
+ * time-weighted returns, CSV price import and older single-position holdings
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildLedger,
+  legacyEvents,
+  moneyWeightedReturn,
+  parsePriceCsv,
+  priceOn,
+  summarizeHoldings,
+  timeWeightedReturn,
+  xirr,
+  type InvestmentEvent,
+} from './investmentLots';
+
+const buys: InvestmentEvent[] = [
+  { id: 'a', symbol: 'AAPL', type: 'buy', date: '2023-01-10', shares: 10, price: 100 },
+  { id: 'b', symbol: 'aapl', type: 'buy', date: '2024-03-01', shares: 10, price: 150 },
+];
+
+describe('buildLedger', () => {
+  it('sells the oldest lots first and classes each gain by holding period', () => {
+    const ledger = buildLedger([...buys, { symbol: 'AAPL', type: 'sell', date: '2024-06-01', shares: 15, price: 200 }]);
+
+    expect(ledger.realized.map(r => [r.lot_id, r.shares, r.proceeds, r.cost_basis, r.gain, r.term])).toEqual([
+      ['a', 10, 2000, 1000, 1000, 'long'],
+      ['b', 5, 1000, 750, 250, 'short'],
+    ]);
+    expect(ledger.lots).toEqual([
+      { lot_id: 'b', symbol: 'AAPL', acquired: '2024-03-01', shares: 5, cost_basis: 750, reinvested: false },
+    ]);
+    expect(ledger.errors).toEqual([]);
+  });
+
+  it('sells the lots a sale names', () => {
+    const ledger = buildLedger([
+      ...buys,
+      {
+        symbol: 'AAPL',
+        type: 'sell',
+        date: '2024-06-01',
+        shares: 15,
+        price: 200,
+        lots: [{ lot_id: 'b', shares: 10 }, { lot_id: 'a', shares: 5 }],
+      },
+    ]);
+
+    expect(ledger.realized.map(r => [r.lot_id, r.gain, r.term])).toEqual([['b', 500, 'short'], ['a', 500, 'long']]);
+    expect(ledger.lots.map(l => [l.lot_id, l.shares, l.cost_basis])).toEqual([['a', 5, 500]]);
+  });
+
+  it('reports sales of more shares than are held', () => {
+    const ledger = buildLedger([buys[0], { symbol: 'AAPL', type: 'sell', date: '2024-06-01', shares: 12, price: 200 }]);
+    expect(ledger.errors).toEqual(['2024-06-01: sold 12 AAPL but only 10 matched open lots']);
+    expect(ledger.lots).toEqual([]);
+  });
+});
+
+describe('summarizeHoldings', () => {
+  const events: InvestmentEvent[] = [
+    { id: 'x', symbol: 'VTI', type: 'buy', date: '2024-01-02', shares: 10, price: 100 },
+    { symbol: 'VTI', type: 'split', date: '2024-06-03', ratio: 2 },
+    { symbol: 'VTI', type: 'reinvest', date: '2024-07-01', shares: 1, price: 55 },
+    { symbol: 'VTI', type: 'dividend', date: '2024-08-01', amount: 20 },
+  ];
+
+  it('keeps cost through splits and adds reinvested dividends as new lots', () => {
+    const [vti] = summarizeHoldings(events, [{ symbol: 'VTI', date: '2024-12-31', price: 60 }], '2024-12-31');
+    expect(vti).toEqual({
+      symbol: 'VTI',
+      shares: 21,
+      cost_basis: 1055,
+      average_cost: 50.24,
+      price: 60,
+      market_value: 1260,
+      unrealized_gain: 205,
+      unrealized_short: 205,
+      unrealized_long: 0,
+      realized_gain: 0,
+      realized_short: 0,
+      realized_long: 0,
+      dividends: 75,
+    });
+  });
+
+  it('adjusts older prices for later splits', () => {
+    expect(priceOn('VTI', '2024-06-10', events, [])).toBe(50);
+    expect(priceOn('VTI', '2024-05-31', events, [])).toBe(100);
+    expect(priceOn('BND', '2024-05-31', events, [])).toBeNull();
+  });
+});
+
+describe('returns', () => {
+  it('solves XIRR for dated cash flows', () => {
+    expect(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }])).toBeCloseTo(0.1, 6);
+    expect(xirr([{ date: '2023-01-01', amount: -1000 }])).toBeNull();
+  });
+
+  it('separates time-weighted from money-weighted returns', () => {
+    // The price doubles, more is bought at the top, then the price halves
+    const events: InvestmentEvent[] = [
+      { symbol: 'QQQ', type: 'buy', date: '2023-01-01', shares: 10, price: 100 },
+      { symbol: 'QQQ', type: 'buy', date: '2024-01-01', shares: 10, price: 200 },
+    ];
+    const quotes = [{ symbol: 'QQQ', date: '2025-01-01', price: 100 }];
+
+    const twr = timeWeightedReturn(events, quotes, '2025-01-01');
+    expect(twr?.total).toBeCloseTo(0, 10);
+    expect(twr?.annualized).toBeCloseTo(0, 10);
+    expect(twr?.start).toBe('2023-01-01');
+    expect(moneyWeightedReturn(events, quotes, '2025-01-01')).toBeLessThan(-0.2);
+  });
+});
+
+describe('parsePriceCsv', () => {
+  it('reads adjusted closes for a single ticker and reports bad rows', () => {
+    const result = parsePriceCsv('Date,Open,Close,Adj Close\n2025-01-02,10,11,10.5\nbad,1,1,1\n', 'vti');
+    expect(result.quotes).toEqual([{ symbol: 'VTI', date: '2025-01-02', price: 10.5 }]);
+    expect(result.errors).toEqual([{ line: 3, message: 'Unreadable date "bad"' }]);
+  });
+
+  it('needs a symbol column when no symbol is given', () => {
+    expect(parsePriceCsv('Date,Close\n2025-01-02,11\n').errors).toEqual([{ line: 1, message: 'Missing column: symbol' }]);
+    expect(parsePriceCsv('Ticker,Date,Price\nvti,01/03/2025,$250.10\n').quotes).toEqual([
+      { symbol: 'VTI', date: '2025-01-03', price: 250.1 },
+    ]);
+  });
+});
+
+describe('legacyEvents', () => {
+  it('turns single-position holdings without ledger events into buys', () => {
+    expect(legacyEvents(
+      [
+        { id: '1', symbol: 'vti', shares: 5, purchase_price: 200, purchase_date: '2022-05-01' },
+        { id: '2', symbol: 'AAPL', shares: 1, purchase_price: 150 },
+      ],
+      buys
+    )).toEqual([{ id: 'legacy-1', symbol: 'VTI', type: 'buy', date: '2022-05-01', shares: 5, price: 200 }]);
+  });
+});
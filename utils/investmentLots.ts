@@ -0,0 +1,639 @@
+/**
+ * @fileoverview Investment lots, cost basis and returns
+ * @description Holdings are rebuilt from a ledger of buy, sell, dividend,
+ * reinvested dividend and stock split events per symbol. Every buy opens a
+ * tax lot; sales close lots first-in first-out unless the sale names the lots
+ * it came from. Closed lots give realized gains classed short or long term,
+ * open lots give unrealized gains at the latest price. With no live quote feed
+ * prices come from manual entries, CSV imports and the prices on the events
+ * themselves. Returns are time-weighted (chained between cash flows) and
+ * money-weighted (XIRR over the same cash flows).
+ */
+
+import { addYears, differenceInCalendarDays, parseISO } from 'date-fns';
+import { parseAmount, parseCsv, parseDateValue } from './csvImport';
+import { round2, toDateKey, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type InvestmentEventType = 'buy' | 'sell' | 'dividend' | 'reinvest' | 'split';
+
+export type HoldingTerm = 'short' | 'long';
+
+/**
+ * One entry of the holdings ledger
+ */
+export interface InvestmentEvent {
+  id?: string;
+  symbol: string;
+  type: InvestmentEventType;
+  /** yyyy-MM-dd */
+  date: string;
+  /** Shares bought, sold or bought with a reinvested dividend */
+  shares?: number | string;
+  /** Price per share */
+  price?: number | string;
+  /** Cash dividend; for reinvestments defaults to shares × price */
+  amount?: number | string;
+  /** Commissions and fees; added to cost on buys, taken from proceeds on sales */
+  fees?: number | string;
+  /** Splits: new shares per old share, e.g. 2 for a 2-for-1 split */
+  ratio?: number | string;
+  /** Sales: the lots sold (specific identification); first-in first-out when omitted */
+  lots?: Array<{ lot_id: string; shares: number | string }> | null;
+}
+
+/**
+ * Price of one share on a day, entered by hand or imported
+ */
+export interface PriceQuote {
+  id?: string;
+  symbol: string;
+  /** yyyy-MM-dd */
+  date: string;
+  price: number | string;
+}
+
+/**
+ * Shares still held from one purchase
+ */
+export interface TaxLot {
+  lot_id: string;
+  symbol: string;
+  acquired: string;
+  shares: number;
+  /** Remaining cost, fees included */
+  cost_basis: number;
+  /** Bought with a reinvested dividend */
+  reinvested: boolean;
+}
+
+/**
+ * Gain or loss on shares sold from one lot
+ */
+export interface RealizedLot {
+  symbol: string;
+  lot_id: string;
+  acquired: string;
+  sold: string;
+  shares: number;
+  proceeds: number;
+  cost_basis: number;
+  gain: number;
+  term: HoldingTerm;
+}
+
+export interface DividendEntry {
+  symbol: string;
+  date: string;
+  amount: number;
+  reinvested: boolean;
+}
+
+export interface InvestmentLedger {
+  /** Open lots, oldest first */
+  lots: TaxLot[];
+  realized: RealizedLot[];
+  dividends: DividendEntry[];
+  /** Events that could not be applied in full, e.g. selling more than is held */
+  errors: string[];
+}
+
+/**
+ * Position and gains for one symbol
+ */
+export interface HoldingSummary {
+  symbol: string;
+  shares: number;
+  cost_basis: number;
+  average_cost: number;
+  /** Latest known price; null when the symbol has never been priced */
+  price: number | null;
+  /** Shares at the latest price, or the cost basis without one */
+  market_value: number;
+  unrealized_gain: number;
+  unrealized_short: number;
+  unrealized_long: number;
+  realized_gain: number;
+  realized_short: number;
+  realized_long: number;
+  dividends: number;
+}
+
+/**
+ * Money in or out of the portfolio; positive amounts go back to the investor
+ */
+export interface CashFlow {
+  date: string;
+  amount: number;
+}
+
+export interface TimeWeightedReturn {
+  /** Growth over the whole period, 0.12 = 12% */
+  total: number;
+  /** Yearly rate; null for less than a year of history */
+  annualized: number | null;
+  start: string;
+}
+
+export interface PriceImportResult {
+  quotes: PriceQuote[];
+  errors: Array<{ line: number; message: string }>;
+}
+
+/**
+ * Older holdings entered as a single position
+ */
+export interface LegacyHolding {
+  id?: string;
+  symbol?: string;
+  name?: string;
+  shares?: number | string;
+  purchase_price?: number | string;
+  purchase_date?: string;
+  created_date?: string;
+}
+
+// ============================================================================
+// Constants & Helpers
+// ============================================================================
+
+/** Shares below this are treated as none, to absorb floating point dust */
+const SHARE_EPSILON = 1e-9;
+
+/** Same-day events apply splits first and sales last */
+const EVENT_ORDER: Record<InvestmentEventType, number> = { split: 0, buy: 1, reinvest: 2, dividend: 3, sell: 4 };
+
+/**
+ * Ticker as stored: trimmed and upper case
+ */
+export const normalizeSymbol = (symbol: string | undefined | null): string => String(symbol || '').trim().toUpperCase();
+
+const sortEvents = (events: InvestmentEvent[]): InvestmentEvent[] =>
+  events
+    .filter(e => e && e.symbol && e.date && EVENT_ORDER[e.type] !== undefined)
+    .map((e, index) => ({ e, index }))
+    .sort((a, b) =>
+      a.e.date.localeCompare(b.e.date) || EVENT_ORDER[a.e.type] - EVENT_ORDER[b.e.type] || a.index - b.index
+    )
+    .map(({ e }) => ({ ...e, symbol: normalizeSymbol(e.symbol) }));
+
+/** Cost of a buy, fees included */
+const buyCost = (e: InvestmentEvent): number => toNumber(e.shares) * toNumber(e.price) + toNumber(e.fees);
+
+/** Proceeds of a sale, net of fees */
+const saleProceeds = (e: InvestmentEvent): number => toNumber(e.shares) * toNumber(e.price) - toNumber(e.fees);
+
+/** Cash a reinvested dividend bought shares with */
+const reinvestAmount = (e: InvestmentEvent): number =>
+  e.amount != null && e.amount !== '' ? toNumber(e.amount) : toNumber(e.shares) * toNumber(e.price);
+
+/**
+ * Held more than a year counts as long term
+ * @param acquired - Purchase day, yyyy-MM-dd
+ * @param sold - Sale (or valuation) day, yyyy-MM-dd
+ */
+export const holdingTerm = (acquired: string, sold: string): HoldingTerm =>
+  sold > toDateKey(addYears(parseISO(acquired), 1)) ? 'long' : 'short';
+
+// ============================================================================
+// Ledger
+// ============================================================================
+
+/**
+ * Replay the ledger into open lots, realized gains and dividends
+ * @param events - Ledger events in any order
+ * @returns Open lots, closed lot gains, dividends and events that did not fully apply
+ */
+export const buildLedger = (events: InvestmentEvent[]): InvestmentLedger => {
+  const lots: TaxLot[] = [];
+  const realized: RealizedLot[] = [];
+  const dividends: DividendEntry[] = [];
+  const errors: string[] = [];
+
+  sortEvents(events || []).forEach((e, index) => {
+    const lotId = e.id || `${e.symbol}-${e.date}-${index}`;
+
+    switch (e.type) {
+      case 'buy':
+      case 'reinvest': {
+        const shares = toNumber(e.shares);
+        if (shares <= 0) {
+          errors.push(`${e.date}: ${e.type} of ${e.symbol} has no shares`);
+          return;
+        }
+        const reinvested = e.type === 'reinvest';
+        if (reinvested) dividends.push({ symbol: e.symbol, date: e.date, amount: round2(reinvestAmount(e)), reinvested });
+        lots.push({
+          lot_id: lotId,
+          symbol: e.symbol,
+          acquired: e.date,
+          shares,
+          cost_basis: reinvested ? reinvestAmount(e) + toNumber(e.fees) : buyCost(e),
+          reinvested,
+        });
+        return;
+      }
+
+      case 'dividend':
+        dividends.push({ symbol: e.symbol, date: e.date, amount: round2(toNumber(e.amount)), reinvested: false });
+        return;
+
+      case 'split': {
+        const ratio = toNumber(e.ratio);
+        if (ratio <= 0) {
+          errors.push(`${e.date}: split of ${e.symbol} has no ratio`);
+          return;
+        }
+        lots.filter(lot => lot.symbol === e.symbol).forEach(lot => { lot.shares *= ratio; });
+        return;
+      }
+
+      case 'sell': {
+        const shares = toNumber(e.shares);
+        if (shares <= 0) {
+          errors.push(`${e.date}: sale of ${e.symbol} has no shares`);
+          return;
+        }
+        const open = lots.filter(lot => lot.symbol === e.symbol);
+        const picks: Array<{ lot: TaxLot; shares: number }> = [];
+
+        if (e.lots && e.lots.length) {
+          for (const pick of e.lots) {
+            const lot = open.find(l => l.lot_id === pick.lot_id);
+            if (!lot) {
+              errors.push(`${e.date}: lot ${pick.lot_id} of ${e.symbol} is not held`);
+              continue;
+            }
+            picks.push({ lot, shares: Math.min(lot.shares, toNumber(pick.shares)) });
+          }
+        } else {
+          let left = shares;
+          for (const lot of open) {
+            if (left <= SHARE_EPSILON) break;
+            const take = Math.min(lot.shares, left);
+            picks.push({ lot, shares: take });
+            left -= take;
+          }
+        }
+
+        const matched = picks.reduce((sum, p) => sum + p.shares, 0);
+        if (matched < shares - SHARE_EPSILON) {
+          errors.push(`${e.date}: sold ${shares} ${e.symbol} but only ${round2(matched)} matched open lots`);
+        }
+
+        const proceeds = saleProceeds(e);
+        for (const { lot, shares: sold } of picks) {
+          if (sold <= SHARE_EPSILON) continue;
+          const cost = lot.cost_basis * (sold / lot.shares);
+          const lotProceeds = proceeds * (sold / shares);
+          realized.push({
+            symbol: e.symbol,
+            lot_id: lot.lot_id,
+            acquired: lot.acquired,
+            sold: e.date,
+            shares: sold,
+            proceeds: round2(lotProceeds),
+            cost_basis: round2(cost),
+            gain: round2(lotProceeds - cost),
+            term: holdingTerm(lot.acquired, e.date),
+          });
+          lot.shares -= sold;
+          lot.cost_basis -= cost;
+        }
+        for (let i = lots.length - 1; i >= 0; i--) {
+          if (lots[i].shares <= SHARE_EPSILON) lots.splice(i, 1);
+        }
+        return;
+      }
+    }
+  });
+
+  return {
+    lots: lots.map(lot => ({ ...lot, cost_basis: round2(lot.cost_basis) })),
+    realized,
+    dividends,
+    errors,
+  };
+};
+
+/**
+ * Buy events standing in for holdings entered before the ledger existed, for
+ * symbols that have no ledger events yet
+ * @param holdings - Investment records with one position each
+ * @param events - Existing ledger events
+ * @param today - Purchase day for holdings without one, yyyy-MM-dd
+ * @returns One buy per unledgered holding
+ */
+export const legacyEvents = (
+  holdings: LegacyHolding[],
+  events: InvestmentEvent[],
+  today: string = toDateKey(new Date())
+): InvestmentEvent[] => {
+  const ledgered = new Set((events || []).map(e => normalizeSymbol(e.symbol)));
+  return (holdings || [])
+    .filter(h => h && toNumber(h.shares) > 0 && !ledgered.has(normalizeSymbol(h.symbol || h.name)))
+    .map(h => ({
+      id: `legacy-${h.id || normalizeSymbol(h.symbol || h.name)}`,
+      symbol: normalizeSymbol(h.symbol || h.name),
+      type: 'buy' as const,
+      date: h.purchase_date || String(h.created_date || '').slice(0, 10) || today,
+      shares: toNumber(h.shares),
+      price: toNumber(h.purchase_price),
+    }));
+};
+
+// ============================================================================
+// Prices
+// ============================================================================
+
+/**
+ * Price of a symbol on a day: the latest quote or event price on or before it,
+ * adjusted for splits since
+ * @param symbol - Ticker
+ * @param date - Day, yyyy-MM-dd
+ * @param events - Ledger events (their prices count as quotes)
+ * @param quotes - Entered and imported prices
+ * @returns Price per share, or null when the symbol has no price yet
+ */
+export const priceOn = (
+  symbol: string,
+  date: string,
+  events: InvestmentEvent[],
+  quotes: PriceQuote[]
+): number | null => {
+  const key = normalizeSymbol(symbol);
+  // Quotes come after event prices so they win ties on the same day
+  const points = [
+    ...(events || [])
+      .filter(e => normalizeSymbol(e.symbol) === key && e.type !== 'dividend' && e.type !== 'split')
+      .map(e => ({ date: e.date, price: toNumber(e.price) })),
+    ...(quotes || [])
+      .filter(q => normalizeSymbol(q.symbol) === key)
+      .map(q => ({ date: q.date, price: toNumber(q.price) })),
+  ].filter(p => p.price > 0 && p.date <= date);
+  if (!points.length) return null;
+
+  const latest = points.reduce((best, p) => (p.date >= best.date ? p : best));
+  return (events || [])
+    .filter(e => e.type === 'split' && normalizeSymbol(e.symbol) === key && e.date > latest.date && e.date <= date)
+    .reduce((price, e) => (toNumber(e.ratio) > 0 ? price / toNumber(e.ratio) : price), latest.price);
+};
+
+/**
+ * Parse a CSV of prices. Columns are found by header: symbol or ticker, date,
+ * and close, adj close or price. Files for a single ticker may leave out the
+ * symbol column.
+ * @param text - CSV file contents
+ * @param defaultSymbol - Symbol for files without a symbol column
+ * @returns Quotes (one per symbol and day, last row wins) and unreadable rows
+ */
+export const parsePriceCsv = (text: string, defaultSymbol?: string): PriceImportResult => {
+  const table = parseCsv(text);
+  const headers = table.headers.map(h => h.toLowerCase().replace(/[^a-z]+/g, ' ').trim());
+  const column = (...names: string[]) => names.map(n => headers.indexOf(n)).find(i => i >= 0) ?? -1;
+
+  const symbolCol = column('symbol', 'ticker');
+  const dateCol = column('date', 'as of');
+  const priceCol = column('adj close', 'close', 'price', 'last', 'nav');
+  const errors: PriceImportResult['errors'] = [];
+
+  if (dateCol < 0 || priceCol < 0 || (symbolCol < 0 && !defaultSymbol)) {
+    const missing = [
+      dateCol < 0 && 'date',
+      priceCol < 0 && 'close or price',
+      symbolCol < 0 && !defaultSymbol && 'symbol',
+    ].filter(Boolean);
+    return { quotes: [], errors: [{ line: 1, message: `Missing column: ${missing.join(', ')}` }] };
+  }
+
+  const bySymbolDay = new Map<string, PriceQuote>();
+  table.rows.forEach((row, index) => {
+    const line = table.lines[index];
+    const symbol = normalizeSymbol(symbolCol >= 0 ? row[symbolCol] : defaultSymbol);
+    const date = parseDateValue(row[dateCol] || '');
+    const price = parseAmount(row[priceCol] || '');
+    if (!symbol) errors.push({ line, message: 'No symbol' });
+    else if (!date) errors.push({ line, message: `Unreadable date "${row[dateCol] || ''}"` });
+    else if (price == null || price <= 0) errors.push({ line, message: `Unreadable price "${row[priceCol] || ''}"` });
+    else bySymbolDay.set(`${symbol}|${date}`, { symbol, date, price });
+  });
+
+  return { quotes: [...bySymbolDay.values()], errors };
+};
+
+// ============================================================================
+// Holdings
+// ============================================================================
+
+/**
+ * Position, cost basis and gains per symbol
+ * @param events - Ledger events
+ * @param quotes - Entered and imported prices
+ * @param asOf - Valuation day, yyyy-MM-dd
+ * @returns One summary per symbol ever held, largest position first
+ */
+export const summarizeHoldings = (
+  events: InvestmentEvent[],
+  quotes: PriceQuote[],
+  asOf: string = toDateKey(new Date())
+): HoldingSummary[] => {
+  const ledger = buildLedger(events);
+  const symbols = new Set([
+    ...ledger.lots.map(l => l.symbol),
+    ...ledger.realized.map(r => r.symbol),
+    ...ledger.dividends.map(d => d.symbol),
+  ]);
+
+  return [...symbols]
+    .map(symbol => {
+      const lots = ledger.lots.filter(l => l.symbol === symbol);
+      const realized = ledger.realized.filter(r => r.symbol === symbol);
+      const price = priceOn(symbol, asOf, events, quotes);
+      const shares = lots.reduce((sum, l) => sum + l.shares, 0);
+      const costBasis = lots.reduce((sum, l) => sum + l.cost_basis, 0);
+
+      let unrealizedShort = 0;
+      let unrealizedLong = 0;
+      if (price != null) {
+        lots.forEach(l => {
+          const gain = l.shares * price - l.cost_basis;
+          if (holdingTerm(l.acquired, asOf) === 'long') unrealizedLong += gain;
+          else unrealizedShort += gain;
+        });
+      }
+      const realizedBy = (term: HoldingTerm) =>
+        realized.filter(r => r.term === term).reduce((sum, r) => sum + r.gain, 0);
+
+      return {
+        symbol,
+        shares: Math.round(shares * 1e6) / 1e6,
+        cost_basis: round2(costBasis),
+        average_cost: shares > SHARE_EPSILON ? round2(costBasis / shares) : 0,
+        price,
+        market_value: round2(price != null ? shares * price : costBasis),
+        unrealized_gain: round2(unrealizedShort + unrealizedLong),
+        unrealized_short: round2(unrealizedShort),
+        unrealized_long: round2(unrealizedLong),
+        realized_gain: round2(realizedBy('short') + realizedBy('long')),
+        realized_short: round2(realizedBy('short')),
+        realized_long: round2(realizedBy('long')),
+        dividends: round2(ledger.dividends.filter(d => d.symbol === symbol).reduce((sum, d) => sum + d.amount, 0)),
+      };
+    })
+    .sort((a, b) => b.market_value - a.market_value);
+};
+
+/**
+ * Fields to write back to an Investment record so screens that read a single
+ * position per holding stay in step with the ledger
+ * @param summary - Holding summary for the record's symbol
+ */
+export const holdingFields = (summary: HoldingSummary) => ({
+  shares: summary.shares,
+  purchase_price: summary.average_cost,
+  cost_basis: summary.cost_basis,
+  current_price: summary.price ?? summary.average_cost,
+  current_value: summary.market_value,
+  return_percentage: summary.cost_basis > 0 ? round2((summary.unrealized_gain / summary.cost_basis) * 100) : 0,
+});
+
+// ============================================================================
+// Returns
+// ============================================================================
+
+/**
+ * Money put in and taken out: purchases are negative, sales and cash
+ * dividends positive. Reinvested dividends and splits move no money.
+ * @param events - Ledger events
+ * @returns Cash flows in date order
+ */
+export const investmentCashFlows = (events: InvestmentEvent[]): CashFlow[] =>
+  sortEvents(events || []).flatMap(e => {
+    if (e.type === 'buy') return [{ date: e.date, amount: -buyCost(e) }];
+    if (e.type === 'sell') return [{ date: e.date, amount: saleProceeds(e) }];
+    if (e.type === 'dividend') return [{ date: e.date, amount: toNumber(e.amount) }];
+    return [];
+  });
+
+/**
+ * Annual rate at which the cash flows net to zero (XIRR)
+ * @param flows - Dated cash flows with at least one of each sign
+ * @returns Rate, 0.08 = 8% a year; null when there is no solution
+ */
+export const xirr = (flows: CashFlow[]): number | null => {
+  const dated = (flows || []).filter(f => f.amount !== 0 && f.date);
+  if (!dated.some(f => f.amount > 0) || !dated.some(f => f.amount < 0)) return null;
+
+  const first = parseISO(dated.reduce((min, f) => (f.date < min ? f.date : min), dated[0].date));
+  const years = dated.map(f => differenceInCalendarDays(parseISO(f.date), first) / 365);
+  const npv = (rate: number) => dated.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const slope = (rate: number) =>
+    dated.reduce((sum, f, i) => sum - (years[i] * f.amount) / Math.pow(1 + rate, years[i] + 1), 0);
+
+  // Newton's method converges quickly from a sensible guess...
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const d = slope(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(d) || d === 0) break;
+    const next = rate - value / d;
+    if (next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  // ...and bisection covers the cases where it does not
+  let low = -0.9999;
+  let high = 1;
+  while (npv(low) * npv(high) > 0 && high < 1e6) high *= 2;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid;
+    else low = mid;
+    if (high - low < 1e-10) break;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Money-weighted return: XIRR of the cash flows with the holdings sold at
+ * today's value
+ * @param events - Ledger events
+ * @param quotes - Entered and imported prices
+ * @param asOf - Valuation day, yyyy-MM-dd
+ * @returns Annual rate, or null without enough history
+ */
+export const moneyWeightedReturn = (
+  events: InvestmentEvent[],
+  quotes: PriceQuote[],
+  asOf: string = toDateKey(new Date())
+): number | null => {
+  const flows = investmentCashFlows(events).filter(f => f.date <= asOf);
+  const value = summarizeHoldings(events.filter(e => e.date <= asOf), quotes, asOf)
+    .reduce((sum, h) => sum + h.market_value, 0);
+  return xirr([...flows, { date: asOf, amount: value }]);
+};
+
+/**
+ * Time-weighted return: growth chained across the periods between cash flows,
+ * so the timing and size of deposits do not affect it
+ * @param events - Ledger events
+ * @param quotes - Entered and imported prices
+ * @param asOf - Valuation day, yyyy-MM-dd
+ * @returns Total and annualized growth, or null without any holdings
+ */
+export const timeWeightedReturn = (
+  events: InvestmentEvent[],
+  quotes: PriceQuote[],
+  asOf: string = toDateKey(new Date())
+): TimeWeightedReturn | null => {
+  const sorted = sortEvents(events || []).filter(e => e.date <= asOf);
+  const shares = new Map<string, number>();
+  const valueOn = (date: string) =>
+    [...shares.entries()].reduce((sum, [symbol, held]) => sum + held * (priceOn(symbol, date, sorted, quotes) ?? 0), 0);
+
+  let growth = 1;
+  let previous = 0;
+  let start: string | null = null;
+
+  const dates = [...new Set(sorted.map(e => e.date))];
+  for (const date of dates) {
+    // Money in on this day: purchases less sales and cash dividends
+    let netIn = 0;
+    sorted.filter(e => e.date === date).forEach(e => {
+      const held = shares.get(e.symbol) || 0;
+      if (e.type === 'buy') {
+        shares.set(e.symbol, held + toNumber(e.shares));
+        netIn += buyCost(e);
+      } else if (e.type === 'reinvest') {
+        shares.set(e.symbol, held + toNumber(e.shares));
+      } else if (e.type === 'sell') {
+        shares.set(e.symbol, Math.max(0, held - toNumber(e.shares)));
+        netIn -= saleProceeds(e);
+      } else if (e.type === 'dividend') {
+        netIn -= toNumber(e.amount);
+      } else if (e.type === 'split' && toNumber(e.ratio) > 0) {
+        shares.set(e.symbol, held * toNumber(e.ratio));
+      }
+    });
+
+    const value = valueOn(date);
+    if (previous > 0) growth *= (value - netIn) / previous;
+    if (value > 0 && !start) start = date;
+    previous = value;
+  }
+
+  if (!start) return null;
+  if (previous > 0) growth *= valueOn(asOf) / previous;
+
+  const days = differenceInCalendarDays(parseISO(asOf), parseISO(start));
+  return {
+    total: growth - 1,
+    annualized: days >= 365 ? Math.pow(growth, 365 / days) - 1 : null,
+    start,
+  };
+};
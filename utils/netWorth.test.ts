@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Tests for net worth snapshots
+ * @description Covers account balance history, category totals, the monthly
+ * snapshot check, the trend and month-over-month attribution
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  accountBalanceOn,
+  buildNetWorthSnapshot,
+  monthlySnapshotDue,
+  monthOverMonthChange,
+  netWorthChange,
+  netWorthTrend,
+  recordAccountBalance,
+} from './netWorth';
+
+const value = (snapshot: { categories: Array<{ key: string; value: number }> }, key: string) =>
+  snapshot.categories.find(c => c.key === key)?.value;
+
+describe('recordAccountBalance', () => {
+  it('keeps one entry per day in date order and takes the latest as the balance', () => {
+    const account = {
+      balance: 900,
+      balance_history: [
+        { date: '2025-05-01', balance: 800 },
+        { date: '2025-06-01', balance: 900 },
+      ],
+    };
+    const backdated = recordAccountBalance(account, 850, '2025-05-15');
+    expect(backdated.balance).toBe(900);
+    expect(backdated.balance_history.map(e => e.date)).toEqual(['2025-05-01', '2025-05-15', '2025-06-01']);
+
+    const corrected = recordAccountBalance(account, 950.555, '2025-06-01', 'statement');
+    expect(corrected.balance).toBe(950.56);
+    expect(corrected.balance_history).toHaveLength(2);
+    expect(corrected.balance_history[1]).toEqual({ date: '2025-06-01', balance: 950.56, note: 'statement' });
+  });
+
+  it('looks up the balance on a past day', () => {
+    const account = { balance: 900, balance_history: [{ date: '2025-05-01', balance: 800 }, { date: '2025-06-01', balance: 900 }] };
+    expect(accountBalanceOn(account, '2025-04-30')).toBe(0);
+    expect(accountBalanceOn(account, '2025-05-31')).toBe(800);
+    expect(accountBalanceOn({ balance: 120 }, '2020-01-01')).toBe(120);
+  });
+});
+
+describe('buildNetWorthSnapshot', () => {
+  const input = {
+    accounts: [
+      { id: 'chk', type: 'checking', balance: 1200 },
+      { id: 'sav', type: 'savings', balance: 5000 },
+      { id: 'car', type: 'vehicle', balance: 14000 },
+      { id: 'old', type: 'savings', balance: 999, archived: true },
+    ],
+    investments: [{ current_value: 8000 }, { shares: 10, current_price: 50 }],
+    debts: [
+      { type: 'credit_card', balance: 2500 },
+      { type: 'loan', balance: 11000 },
+      { type: 'loan', balance: 0, status: 'paid_off' },
+    ],
+    goals: [{ current_amount: 3000 }],
+  };
+
+  it('totals every category and leaves goal money in the savings accounts', () => {
+    const snapshot = buildNetWorthSnapshot(input, { as_of: '2025-06-30' }, 'monthly');
+    expect(snapshot).toMatchObject({
+      date: '2025-06-30',
+      source: 'monthly',
+      total_assets: 28700,
+      total_liabilities: 13500,
+      net_worth: 15200,
+    });
+    expect(value(snapshot, 'cash')).toBe(1200);
+    expect(value(snapshot, 'savings')).toBe(5000);
+    expect(value(snapshot, 'investments')).toBe(8500);
+    expect(value(snapshot, 'vehicles')).toBe(14000);
+    expect(value(snapshot, 'credit_cards')).toBe(2500);
+    expect(value(snapshot, 'loans')).toBe(11000);
+  });
+
+  it('runs tracked account balances from their transactions', () => {
+    const snapshot = buildNetWorthSnapshot(
+      {
+        accounts: [
+          { id: 'chk', type: 'checking', opening_balance: 1000, opening_date: '2025-06-01' },
+          { id: 'visa', type: 'credit_card', opening_balance: 0, opening_date: '2025-06-01' },
+        ],
+        transactions: [
+          { id: 'pay', type: 'income', amount: 500, date: '2025-06-05', account_id: 'chk' },
+          { id: 'gas', type: 'expense', amount: 40, date: '2025-06-06', account_id: 'visa' },
+          { id: 'later', type: 'income', amount: 900, date: '2025-07-05', account_id: 'chk' },
+        ],
+      },
+      { as_of: '2025-06-30' }
+    );
+    expect(value(snapshot, 'cash')).toBe(1500);
+    expect(value(snapshot, 'credit_cards')).toBe(40);
+  });
+
+  it('counts goal savings when no bank accounts are entered', () => {
+    const snapshot = buildNetWorthSnapshot({ goals: input.goals, debts: input.debts }, { as_of: '2025-06-30' });
+    expect(value(snapshot, 'savings')).toBe(3000);
+    expect(snapshot.net_worth).toBe(-10500);
+  });
+});
+
+describe('monthly snapshots', () => {
+  const snapshots = [
+    { date: '2025-04-01', net_worth: 9000, total_assets: 20000, total_liabilities: 11000 },
+    { date: '2025-05-01', net_worth: 10000, total_assets: 21000, total_liabilities: 11000 },
+    { date: '2025-05-20', net_worth: 10500, total_assets: 21500, total_liabilities: 11000 },
+    { date: '2024-01-01', net_worth: 1, total_assets: 1, total_liabilities: 0 },
+  ];
+
+  it('is due until a snapshot exists for the month', () => {
+    expect(monthlySnapshotDue(snapshots, { as_of: '2025-05-31' })).toBe(false);
+    expect(monthlySnapshotDue(snapshots, { as_of: '2025-06-01' })).toBe(true);
+  });
+
+  it('charts the last snapshot of each month and skips months with none', () => {
+    expect(netWorthTrend(snapshots, { as_of: '2025-06-15', months: 12 })).toEqual([
+      { month: '2025-04', date: '2025-04-01', total_assets: 20000, total_liabilities: 11000, net_worth: 9000 },
+      { month: '2025-05', date: '2025-05-20', total_assets: 21500, total_liabilities: 11000, net_worth: 10500 },
+    ]);
+  });
+});
+
+describe('netWorthChange', () => {
+  const previous = buildNetWorthSnapshot(
+    {
+      accounts: [{ type: 'checking', balance: 1000 }, { type: 'vehicle', balance: 15000 }],
+      investments: [{ current_value: 8000 }],
+      debts: [{ type: 'credit_card', balance: 3000 }],
+    },
+    { as_of: '2025-05-31' },
+    'monthly'
+  );
+  const current = buildNetWorthSnapshot(
+    {
+      accounts: [{ type: 'checking', balance: 1400 }, { type: 'vehicle', balance: 14800 }],
+      investments: [{ current_value: 8250 }],
+      debts: [{ type: 'credit_card', balance: 2500 }],
+    },
+    { as_of: '2025-06-30' }
+  );
+
+  it('splits the change into debt paydown, investment growth, new savings and other', () => {
+    expect(netWorthChange(previous, current)).toEqual({
+      from_date: '2025-05-31',
+      to_date: '2025-06-30',
+      net_worth_change: 950,
+      debt_paydown: 500,
+      investment_growth: 250,
+      new_savings: 400,
+      other: -200,
+    });
+    expect(current.net_worth - previous.net_worth).toBe(950);
+  });
+
+  it('compares against the last snapshot from an earlier month', () => {
+    const sameMonth = { ...current, date: '2025-06-02', net_worth: 0 };
+    expect(monthOverMonthChange([sameMonth, previous], current)?.from_date).toBe('2025-05-31');
+    expect(monthOverMonthChange([sameMonth], current)).toBeNull();
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Net worth snapshots and month-over-month change attribution
+ * @description Totals every asset and liability category (accounts,
+ * investments, debts and goal savings) into a snapshot that can be stored,
+ * turns stored snapshots into a monthly trend, and splits the change between
+ * two snapshots into debt paydown, investment growth, new savings and
+ * everything else.
+ */
+
+import { addMonths, format, startOfMonth } from 'date-fns';
+import { accountBalance, isLedgerAccount, type LedgerAccount, type LedgerTransaction } from './accounts';
+import { round2, toDateKey, toDay, today, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type NetWorthAccountType = 'checking' | 'savings' | 'vehicle' | 'property' | 'other_asset' | 'other_liability';
+
+/**
+ * One entered balance of a manually tracked account
+ */
+export interface AccountBalanceEntry {
+  date: string;
+  balance: number;
+  note?: string;
+}
+
+/**
+ * Account as counted in net worth: accounts that track transactions take their
+ * balance from them, the rest from the entered balance history
+ */
+export interface NetWorthAccount extends LedgerAccount {
+  balance_history?: AccountBalanceEntry[];
+}
+
+export interface NetWorthInvestment {
+  id?: string;
+  current_value?: number | string;
+  shares?: number | string;
+  current_price?: number | string;
+}
+
+export interface NetWorthDebt {
+  id?: string;
+  type?: string;
+  balance?: number | string;
+  status?: string;
+}
+
+export interface NetWorthGoal {
+  id?: string;
+  current_amount?: number | string;
+  status?: string;
+}
+
+export interface NetWorthInput {
+  accounts?: NetWorthAccount[];
+  investments?: NetWorthInvestment[];
+  debts?: NetWorthDebt[];
+  goals?: NetWorthGoal[];
+  /** Transactions, for the balances of accounts that track them */
+  transactions?: LedgerTransaction[];
+}
+
+export type NetWorthCategoryKey =
+  | 'cash'
+  | 'savings'
+  | 'investments'
+  | 'vehicles'
+  | 'property'
+  | 'other_assets'
+  | 'credit_cards'
+  | 'loans'
+  | 'other_liabilities';
+
+export interface NetWorthCategory {
+  key: NetWorthCategoryKey | string;
+  label: string;
+  kind: 'asset' | 'liability';
+  value: number;
+}
+
+export type NetWorthSnapshotSource = 'monthly' | 'manual';
+
+/**
+ * Snapshot fields, as stored on the NetWorthSnapshot entity
+ */
+export interface NetWorthSnapshotData {
+  date: string;
+  source: NetWorthSnapshotSource;
+  total_assets: number;
+  total_liabilities: number;
+  net_worth: number;
+  categories: NetWorthCategory[];
+}
+
+export interface NetWorthSnapshotRecord extends Partial<NetWorthSnapshotData> {
+  id?: string;
+  created_date?: string;
+}
+
+export interface NetWorthOptions {
+  as_of?: string | Date;
+  /** Months of trend to show (default 12) */
+  months?: number;
+}
+
+/**
+ * Net worth at the last snapshot of a month
+ */
+export interface NetWorthTrendPoint {
+  month: string;
+  date: string;
+  total_assets: number;
+  total_liabilities: number;
+  net_worth: number;
+}
+
+/**
+ * Change in net worth between two snapshots, split by where it came from.
+ * The four parts always add up to `net_worth_change`.
+ */
+export interface NetWorthChange {
+  from_date: string;
+  to_date: string;
+  net_worth_change: number;
+  /** Fall in what is owed */
+  debt_paydown: number;
+  /** Change in investment value, contributions included */
+  investment_growth: number;
+  /** Change in checking, cash and savings */
+  new_savings: number;
+  /** Vehicles, property and other assets */
+  other: number;
+}
+
+// ============================================================================
+// Constants & Helpers
+// ============================================================================
+
+/** Every category in display order, with its label and side of the ledger */
+export const NET_WORTH_CATEGORIES: ReadonlyArray<Omit<NetWorthCategory, 'value'>> = [
+  { key: 'cash', label: 'Checking & Cash', kind: 'asset' },
+  { key: 'savings', label: 'Savings', kind: 'asset' },
+  { key: 'investments', label: 'Investments', kind: 'asset' },
+  { key: 'vehicles', label: 'Vehicles', kind: 'asset' },
+  { key: 'property', label: 'Property', kind: 'asset' },
+  { key: 'other_assets', label: 'Other Assets', kind: 'asset' },
+  { key: 'credit_cards', label: 'Credit Cards', kind: 'liability' },
+  { key: 'loans', label: 'Loans', kind: 'liability' },
+  { key: 'other_liabilities', label: 'Other Liabilities', kind: 'liability' },
+];
+
+/** Category each account type counts toward */
+const ACCOUNT_CATEGORY: Record<string, NetWorthCategoryKey> = {
+  checking: 'cash',
+  cash: 'cash',
+  savings: 'savings',
+  hsa: 'savings',
+  retirement: 'investments',
+  credit_card: 'credit_cards',
+  vehicle: 'vehicles',
+  property: 'property',
+  other_asset: 'other_assets',
+  other_liability: 'other_liabilities',
+};
+
+const SAVINGS_KEYS = new Set(['cash', 'savings']);
+
+/**
+ * Latest snapshot first: by date, then by when it was stored
+ */
+const byNewest = (a: NetWorthSnapshotRecord, b: NetWorthSnapshotRecord): number =>
+  String(b.date || '').localeCompare(String(a.date || '')) ||
+  String(b.created_date || '').localeCompare(String(a.created_date || ''));
+
+const categoryValue = (snapshot: Pick<NetWorthSnapshotData, 'categories'>, keys: (key: string, kind: string) => boolean): number =>
+  (snapshot.categories || []).reduce((sum, c) => (keys(String(c.key), c.kind) ? sum + toNumber(c.value) : sum), 0);
+
+/**
+ * Current value of an investment, from its value or shares times price
+ */
+const investmentValue = (investment: NetWorthInvestment): number =>
+  investment.current_value != null && investment.current_value !== ''
+    ? toNumber(investment.current_value)
+    : toNumber(investment.shares) * toNumber(investment.current_price);
+
+// ============================================================================
+// Account Balances
+// ============================================================================
+
+/**
+ * Record a new balance for a manually tracked account. The history stays in
+ * date order and one entry per day; the account balance is the latest entry.
+ * @param account - Account to update
+ * @param balance - Balance or estimated value
+ * @param date - Day of the balance (defaults to today)
+ * @param note - Optional note, e.g. "statement" or "appraisal"
+ * @returns Account fields to save
+ */
+export const recordAccountBalance = (
+  account: NetWorthAccount,
+  balance: number,
+  date?: string | Date,
+  note?: string
+): { balance: number; balance_history: AccountBalanceEntry[] } => {
+  const day = toDateKey(toDay(date) ?? today());
+  const entry: AccountBalanceEntry = { date: day, balance: round2(balance), ...(note ? { note } : {}) };
+  const history = [...(account.balance_history || []).filter(e => e.date !== day), entry]
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return { balance: history[history.length - 1].balance, balance_history: history };
+};
+
+/**
+ * Balance of a manually tracked account on a given day
+ * @param account - Account with balance history
+ * @param date - Day to look up
+ * @returns Last entered balance on or before the day; the current balance when
+ * there is no history; 0 when the account had no balance yet
+ */
+export const accountBalanceOn = (account: NetWorthAccount, date: string | Date): number => {
+  const history = account.balance_history || [];
+  if (history.length === 0) return toNumber(account.balance);
+  const day = toDateKey(toDay(date) ?? today());
+  let balance = 0;
+  for (const entry of history) {
+    if (entry.date > day) break;
+    balance = toNumber(entry.balance);
+  }
+  return balance;
+};
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+/**
+ * Total every asset and liability category.
+ * Goal savings stand in for savings until checking, savings or cash accounts
+ * are entered; after that the goal money is taken to be sitting in those accounts
+ * and is not counted twice.
+ * @param input - Accounts, investments, debts, goals and transactions
+ * @param options - Snapshot day (defaults to today)
+ * @param source - Whether the snapshot is the monthly one or taken on demand
+ * @returns Snapshot fields ready to store
+ */
+export const buildNetWorthSnapshot = (
+  input: NetWorthInput,
+  options: Pick<NetWorthOptions, 'as_of'> = {},
+  source: NetWorthSnapshotSource = 'manual'
+): NetWorthSnapshotData => {
+  const date = toDateKey(toDay(options.as_of) ?? today());
+  const totals = new Map<string, number>(NET_WORTH_CATEGORIES.map(c => [c.key, 0]));
+  const add = (key: NetWorthCategoryKey, value: number) => totals.set(key, (totals.get(key) || 0) + value);
+
+  const accounts = (input.accounts || []).filter(a => !a.archived);
+  for (const account of accounts) {
+    const key = ACCOUNT_CATEGORY[account.type || ''] ?? 'other_assets';
+    const balance = isLedgerAccount(account)
+      ? accountBalance(account, input.transactions || [], accounts, date)
+      : accountBalanceOn(account, date);
+    add(key, key === 'other_liabilities' ? Math.abs(balance) : balance);
+  }
+
+  for (const investment of input.investments || []) add('investments', investmentValue(investment));
+
+  for (const debt of input.debts || []) {
+    if (debt.status === 'paid_off' || debt.status === 'closed') continue;
+    add(debt.type === 'credit_card' ? 'credit_cards' : 'loans', Math.max(0, toNumber(debt.balance)));
+  }
+
+  const hasBankAccounts = accounts.some(a => a.type === 'checking' || a.type === 'savings' || a.type === 'cash');
+  if (!hasBankAccounts) {
+    for (const goal of input.goals || []) {
+      if (goal.status === 'cancelled') continue;
+      add('savings', Math.max(0, toNumber(goal.current_amount)));
+    }
+  }
+
+  const categories = NET_WORTH_CATEGORIES.map(c => ({ ...c, value: round2(totals.get(c.key) || 0) }));
+  const totalAssets = round2(categories.filter(c => c.kind === 'asset').reduce((sum, c) => sum + c.value, 0));
+  const totalLiabilities = round2(categories.filter(c => c.kind === 'liability').reduce((sum, c) => sum + c.value, 0));
+
+  return {
+    date,
+    source,
+    total_assets: totalAssets,
+    total_liabilities: totalLiabilities,
+    net_worth: round2(totalAssets - totalLiabilities),
+    categories,
+  };
+};
+
+/**
+ * Whether this month's snapshot still has to be taken
+ * @param snapshots - Stored snapshots
+ * @param options - As-of date
+ * @returns True when no snapshot is stored for the as-of month
+ */
+export const monthlySnapshotDue = (
+  snapshots: NetWorthSnapshotRecord[],
+  options: Pick<NetWorthOptions, 'as_of'> = {}
+): boolean => {
+  const month = toDateKey(toDay(options.as_of) ?? today()).slice(0, 7);
+  return !snapshots.some(s => String(s.date || '').slice(0, 7) === month);
+};
+
+// ============================================================================
+// Trend & Attribution
+// ============================================================================
+
+/**
+ * Last stored snapshot of each month, for the trend chart.
+ * Months without a snapshot are left out rather than guessed.
+ * @param snapshots - Stored snapshots
+ * @param options - As-of date and number of months (default 12)
+ * @returns One point per month in date order
+ */
+export const netWorthTrend = (
+  snapshots: NetWorthSnapshotRecord[],
+  options: NetWorthOptions = {}
+): NetWorthTrendPoint[] => {
+  const asOf = toDateKey(toDay(options.as_of) ?? today());
+  const first = format(startOfMonth(addMonths(new Date(`${asOf}T00:00:00`), -(Math.max(1, options.months ?? 12) - 1))), 'yyyy-MM');
+
+  const latest = new Map<string, NetWorthSnapshotRecord>();
+  for (const snapshot of [...snapshots].sort(byNewest)) {
+    const date = String(snapshot.date || '');
+    const month = date.slice(0, 7);
+    if (!date || month < first || date > asOf || latest.has(month)) continue;
+    latest.set(month, snapshot);
+  }
+
+  return [...latest.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, s]) => ({
+      month,
+      date: String(s.date),
+      total_assets: round2(toNumber(s.total_assets)),
+      total_liabilities: round2(toNumber(s.total_liabilities)),
+      net_worth: round2(toNumber(s.net_worth)),
+    }));
+};
+
+/**
+ * Split the change in net worth between two snapshots by where it came from
+ * @param previous - Earlier snapshot
+ * @param current - Later snapshot
+ * @returns Debt paydown, investment growth, new savings and other changes
+ */
+export const netWorthChange = (
+  previous: Pick<NetWorthSnapshotData, 'date' | 'categories'>,
+  current: Pick<NetWorthSnapshotData, 'date' | 'categories'>
+): NetWorthChange => {
+  const diff = (keys: (key: string, kind: string) => boolean) =>
+    categoryValue(current, keys) - categoryValue(previous, keys);
+
+  const liabilities = diff((_, kind) => kind === 'liability');
+  const investments = diff((key, kind) => kind === 'asset' && key === 'investments');
+  const savings = diff((key, kind) => kind === 'asset' && SAVINGS_KEYS.has(key));
+  const other = diff((key, kind) => kind === 'asset' && key !== 'investments' && !SAVINGS_KEYS.has(key));
+
+  return {
+    from_date: previous.date,
+    to_date: current.date,
+    net_worth_change: round2(investments + savings + other - liabilities),
+    debt_paydown: round2(-liabilities),
+    investment_growth: round2(investments),
+    new_savings: round2(savings),
+    other: round2(other),
+  };
+};
+
+/**
+ * Change since the end of the previous month: the current snapshot against the
+ * last stored snapshot from an earlier month
+ * @param snapshots - Stored snapshots
+ * @param current - Snapshot to compare, usually built from live data
+ * @returns Attributed change, or null when no earlier month was recorded
+ */
+export const monthOverMonthChange = (
+  snapshots: NetWorthSnapshotRecord[],
+  current: NetWorthSnapshotData
+): NetWorthChange | null => {
+  const month = current.date.slice(0, 7);
+  const previous = [...snapshots]
+    .sort(byNewest)
+    .find(s => s.date && String(s.date).slice(0, 7) < month && Array.isArray(s.categories));
+  return previous ? netWorthChange(previous as NetWorthSnapshotData, current) : null;
+};
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Tests for the rule-driven shift pay engine
+ * @description Covers time-segmented differentials, daily/weekly overtime, double time,
+ * meal breaks, on-call and callback pay
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculatePayWeek,
+  calculateEmployerPay,
+  normalizeShiftRule,
+  resolveShiftRule,
+  summarizePayLines,
+  type PayShiftRule, type PayShift } from './payEngine';
+
+const baseRule: PayShiftRule = {
+  name: 'Staff RN',
+  base_hourly_rate: 40,
+  overtime_rules: { weekly_threshold: 40, weekly_multiplier: 1.5 },
+  differentials: [],
+  special_pay: { on_call_rate: 5, callback_multiplier: 1.5, callback_minimum_hours: 2 },
+  meal_break_rules: { is_auto_deducted: false },
+};
+
+const shift = (id: string, start: string, end: string, extra: Partial<PayShift> = {}): PayShift => ({
+  id,
+  start_datetime: start,
+  end_datetime: end,
+  ...extra,
+});
+
+describe('calculatePayWeek', () => {
+  it('returns empty totals without shifts or rule', () => {
+    expect(calculatePayWeek([], baseRule).totals.gross_pay).toBe(0);
+    expect(calculatePayWeek([shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00')], null).lines).toEqual([]);
+  });
+
+  it('pays straight time under every threshold', () => {
+    const result = calculatePayWeek([shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00')], baseRule);
+    expect(result.totals.regular_hours).toBe(8);
+    expect(result.totals.gross_pay).toBe(320);
+    expect(result.lines).toEqual([
+      expect.objectContaining({ category: 'regular', hours: 8, rate: 40, amount: 320 }),
+    ]);
+  });
+
+  it('applies a windowed night differential only to the hours inside the window', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      differentials: [
+        { name: 'Night', type: 'night', rate_type: 'flat_amount', amount: 4, conditions: { start_time: '19:00', end_time: '07:00' } },
+      ],
+    };
+    // 15:00-23:00: only 19:00-23:00 is inside the night window
+    const result = calculatePayWeek([shift('a', '2025-01-06T15:00:00', '2025-01-06T23:00:00')], rule);
+    const night = result.lines.find(line => line.category === 'differential');
+    expect(night).toMatchObject({ label: 'Night', hours: 4, rate: 4, amount: 16 });
+    expect(result.totals.gross_pay).toBe(336);
+  });
+
+  it('respects day-of-week conditions across midnight', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      differentials: [
+        { name: 'Weekend', type: 'weekend', rate_type: 'multiplier', amount: 1.1, conditions: { days_of_week: ['Sat', 'Sun'] } },
+      ],
+    };
+    // Friday 19:00 -> Saturday 07:00: the 7 hours after midnight fall on Saturday
+    const result = calculatePayWeek([shift('a', '2025-01-10T19:00:00', '2025-01-11T07:00:00')], rule);
+    const weekend = result.lines.find(line => line.category === 'differential');
+    expect(weekend?.hours).toBe(7);
+    expect(weekend?.amount).toBe(28);
+  });
+
+  it('matches unconditioned differentials by shift tags', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      differentials: [{ name: 'Charge', type: 'charge', rate_type: 'flat_amount', amount: 2 }],
+    };
+    const tagged = calculatePayWeek(
+      [shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00', { tags: ['charge'] })],
+      rule
+    );
+    const untagged = calculatePayWeek([shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00')], rule);
+    expect(tagged.totals.differential_pay).toBe(16);
+    expect(untagged.totals.differential_pay).toBe(0);
+  });
+
+  it('only applies the largest non-stackable differential', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      differentials: [
+        { name: 'Charge', type: 'charge', rate_type: 'flat_amount', amount: 2, is_stackable: false },
+        { name: 'Preceptor', type: 'preceptor', rate_type: 'flat_amount', amount: 3, is_stackable: false },
+      ],
+    };
+    const result = calculatePayWeek(
+      [shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00', { tags: ['charge', 'preceptor'] })],
+      rule
+    );
+    expect(result.lines.filter(line => line.category === 'differential')).toEqual([
+      expect.objectContaining({ label: 'Preceptor', amount: 24 }),
+    ]);
+  });
+
+  it('splits daily overtime and double time within a long shift', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      overtime_rules: {
+        weekly_threshold: 40,
+        weekly_multiplier: 1.5,
+        daily_threshold: 8,
+        daily_multiplier: 1.5,
+        double_time_daily_threshold: 12,
+        double_time_multiplier: 2,
+      },
+    };
+    const result = calculatePayWeek([shift('a', '2025-01-06T06:00:00', '2025-01-06T20:00:00')], rule);
+    expect(result.totals.regular_hours).toBe(8);
+    expect(result.totals.overtime_hours).toBe(4);
+    expect(result.totals.double_time_hours).toBe(2);
+    expect(result.totals.gross_pay).toBe(8 * 40 + 4 * 60 + 2 * 80);
+  });
+
+  it('does not count daily overtime hours toward the weekly threshold', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      overtime_rules: { weekly_threshold: 40, weekly_multiplier: 1.5, daily_threshold: 8, daily_multiplier: 1.5 },
+    };
+    // Four 12-hour days: 32 straight + 16 daily OT, weekly threshold never reached
+    const shifts = [6, 7, 8, 9].map(day =>
+      shift(`d${day}`, `2025-01-0${day}T07:00:00`, `2025-01-0${day}T19:00:00`)
+    );
+    const result = calculatePayWeek(shifts, rule);
+    expect(result.totals.regular_hours).toBe(32);
+    expect(result.totals.overtime_hours).toBe(16);
+    expect(result.lines.some(line => line.label === 'Overtime (weekly)')).toBe(false);
+  });
+
+  it('accumulates weekly overtime across the pay week', () => {
+    const shifts = [6, 7, 8, 9].map(day =>
+      shift(`d${day}`, `2025-01-0${day}T07:00:00`, `2025-01-0${day}T19:00:00`)
+    );
+    const result = calculatePayWeek(shifts, baseRule);
+    expect(result.totals.regular_hours).toBe(40);
+    expect(result.totals.overtime_hours).toBe(8);
+    expect(result.shifts[3].gross_pay).toBe(4 * 40 + 8 * 60);
+  });
+
+  it('resets weekly overtime at the start of each workweek', () => {
+    const shifts = [
+      ...[6, 7, 8].map(day => shift(`a${day}`, `2025-01-0${day}T07:00:00`, `2025-01-0${day}T19:00:00`)),
+      ...[13, 14].map(day => shift(`b${day}`, `2025-01-${day}T07:00:00`, `2025-01-${day}T19:00:00`)),
+    ];
+    expect(calculatePayWeek(shifts, baseRule).totals.overtime_hours).toBe(0);
+  });
+
+  it('pays differentials on overtime hours at the overtime multiplier', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      overtime_rules: { weekly_threshold: 4, weekly_multiplier: 1.5 },
+      differentials: [{ name: 'Charge', type: 'charge', rate_type: 'flat_amount', amount: 2 }],
+    };
+    const result = calculatePayWeek(
+      [shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00', { tags: ['charge'] })],
+      rule
+    );
+    expect(result.lines.find(line => line.label === 'Charge on weekly OT')).toMatchObject({ hours: 4, rate: 3, amount: 12 });
+  });
+
+  it('auto-deducts meal breaks past the threshold', () => {
+    const rule: PayShiftRule = {
+      ...baseRule,
+      meal_break_rules: { is_auto_deducted: true, unpaid_break_threshold: 6, break_duration: 30 },
+    };
+    const long = calculatePayWeek([shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00')], rule);
+    const short = calculatePayWeek([shift('b', '2025-01-06T07:00:00', '2025-01-06T11:00:00')], rule);
+    expect(long.shifts[0]).toMatchObject({ paid_hours: 7.5, unpaid_break_hours: 0.5, gross_pay: 300 });
+    expect(short.shifts[0].unpaid_break_hours).toBe(0);
+  });
+
+  it('pays on-call standby at the on-call rate without overtime', () => {
+    const result = calculatePayWeek(
+      [shift('a', '2025-01-06T19:00:00', '2025-01-07T07:00:00', { shift_type: 'call' })],
+      baseRule
+    );
+    expect(result.totals.on_call_hours).toBe(12);
+    expect(result.totals.on_call_pay).toBe(60);
+    expect(result.totals.regular_hours).toBe(0);
+  });
+
+  it('guarantees the callback minimum at the callback multiplier', () => {
+    const result = calculatePayWeek(
+      [shift('a', '2025-01-06T22:00:00', '2025-01-06T23:00:00', { tags: ['callback'] })],
+      baseRule
+    );
+    expect(result.lines).toEqual([expect.objectContaining({ category: 'callback', hours: 2, rate: 60, amount: 120 })]);
+  });
+
+  it('skips cancelled shifts', () => {
+    const result = calculatePayWeek(
+      [shift('a', '2025-01-06T07:00:00', '2025-01-06T15:00:00', { status: 'cancelled' })],
+      baseRule
+    );
+    expect(result.shifts).toHaveLength(0);
+  });
+
+  it('falls back to recorded hours when a shift has no times', () => {
+    const result = calculatePayWeek([{ id: 'a', actual_hours: 10 }], baseRule);
+    expect(result.totals.regular_hours).toBe(10);
+    expect(result.shifts[0].date).toBe('undated');
+  });
+
+  it('keeps undated shifts out of each other\'s daily and weekly overtime', () => {
+    const result = calculatePayWeek(
+      [{ id: 'a', actual_hours: 8 }, { id: 'b', actual_hours: 8 }],
+      { ...baseRule, overtime_rules: { daily_threshold: 8, weekly_threshold: 12 } }
+    );
+    expect(result.totals.regular_hours).toBe(16);
+    expect(result.totals.overtime_hours).toBe(0);
+  });
+});
+
+describe('normalizeShiftRule', () => {
+  it('maps legacy overtime and percentage differentials', () => {
+    const rule = normalizeShiftRule({
+      base_hourly_rate: 30,
+      overtime_threshold: 36,
+      overtime_multiplier: 2,
+      differentials: [{ name: 'Night', type: 'night', amount: 10, is_percentage: true }],
+    });
+    expect(rule.overtime_rules).toMatchObject({ weekly_threshold: 36, weekly_multiplier: 2 });
+    expect(rule.differentials?.[0]).toMatchObject({ rate_type: 'multiplier', amount: 1.1 });
+  });
+});
+
+describe('summarizePayLines', () => {
+  it('merges matching lines across shifts', () => {
+    const shifts = [6, 7].map(day => shift(`d${day}`, `2025-01-0${day}T07:00:00`, `2025-01-0${day}T15:00:00`));
+    const summary = summarizePayLines(calculatePayWeek(shifts, baseRule).lines);
+    expect(summary).toEqual([expect.objectContaining({ category: 'regular', hours: 16, amount: 640 })]);
+  });
+});
+
+describe('resolveShiftRule', () => {
+  const staff: PayShiftRule = { ...baseRule, id: 'staff', facility: 'General Hospital' };
+  const agency: PayShiftRule = {
+    ...baseRule,
+    id: 'agency',
+    base_hourly_rate: 70,
+    employer: 'Travel Co',
+    match_patterns: ['*agency*', 'PRN'],
+  };
+  const inactive: PayShiftRule = { ...baseRule, id: 'old', active: false };
+
+  it('prefers an explicit shift_rule_id link', () => {
+    expect(resolveShiftRule({ shift_rule_id: 'old', title: 'Agency ICU' }, [staff, agency, inactive])?.id).toBe('old');
+  });
+
+  it('matches wildcard patterns against title, location and department', () => {
+    expect(resolveShiftRule({ title: 'ICU - Agency block' }, [staff, agency])?.id).toBe('agency');
+    expect(resolveShiftRule({ department: 'prn pool' }, [staff, agency])?.id).toBe('agency');
+  });
+
+  it('matches patterns on whole words only', () => {
+    const icu: PayShiftRule = { ...baseRule, id: 'icu', match_patterns: ['ICU'] };
+    expect(resolveShiftRule({ title: 'ICU nights' }, [staff, icu])?.id).toBe('icu');
+    expect(resolveShiftRule({ title: 'Float - ICU' }, [staff, icu])?.id).toBe('icu');
+    expect(resolveShiftRule({ title: 'NICU nights' }, [staff, icu])?.id).toBe('staff');
+    expect(resolveShiftRule({ department: 'PICU' }, [staff, icu])?.id).toBe('staff');
+  });
+
+  it('matches the shift location to a rule facility', () => {
+    expect(resolveShiftRule({ location: 'general hospital' }, [agency, staff])?.id).toBe('staff');
+  });
+
+  it('falls back to the first active rule', () => {
+    expect(resolveShiftRule({ title: 'Day shift' }, [inactive, staff, agency])?.id).toBe('staff');
+    expect(resolveShiftRule({ title: 'Day shift' }, [])).toBeNull();
+  });
+});
+
+describe('calculateEmployerPay', () => {
+  const staff: PayShiftRule = { ...baseRule, id: 'staff', facility: 'General Hospital' };
+  const agency: PayShiftRule = { ...baseRule, id: 'agency', base_hourly_rate: 60, employer: 'Travel Co' };
+
+  it('accumulates overtime per employer instead of across all jobs', () => {
+    const shifts: PayShift[] = [
+      ...[6, 7, 8].map(day =>
+        shift(`s${day}`, `2025-01-0${day}T07:00:00`, `2025-01-0${day}T19:00:00`, { shift_rule_id: 'staff' })
+      ),
+      shift('a9', '2025-01-09T07:00:00', '2025-01-09T19:00:00', { shift_rule_id: 'agency' }),
+    ];
+    const result = calculateEmployerPay(shifts, [staff, agency]);
+
+    expect(result.employers).toHaveLength(2);
+    expect(result.totals.overtime_hours).toBe(0);
+    expect(result.totals.gross_pay).toBe(36 * 40 + 12 * 60);
+    expect(result.shift_employers).toMatchObject({ s6: 'General Hospital', a9: 'Travel Co' });
+  });
+
+  it('shares overtime between rules for the same employer', () => {
+    const charge: PayShiftRule = { ...staff, id: 'staff-charge', base_hourly_rate: 45 };
+    const shifts = [6, 7, 8, 9].map(day =>
+      shift(`s${day}`, `2025-01-0${day}T07:00:00`, `2025-01-0${day}T19:00:00`, {
+        shift_rule_id: day === 9 ? 'staff-charge' : 'staff',
+      })
+    );
+    const result = calculateEmployerPay(shifts, [staff, charge]);
+
+    expect(result.employers).toHaveLength(1);
+    expect(result.employers[0].rule_ids).toEqual(['staff', 'staff-charge']);
+    expect(result.totals.overtime_hours).toBe(8);
+    expect(result.employers[0].shifts[3].gross_pay).toBe(4 * 45 + 8 * 67.5);
+  });
+});
@@ -0,0 +1,877 @@
+/**
+ * @fileoverview Rule-driven shift pay engine
+ * @description Evaluates a pay week of shifts against a ShiftRule. Each shift is split
+ * into time segments so windowed differentials (e.g. 19:00-07:00 nights) only apply to
+ * the hours they cover, then hours are allocated to regular, daily overtime, double time
+ * and weekly overtime buckets without double counting. The result is an itemized,
+ * line-by-line breakdown shared by the rule preview, pay estimator and paycheck projector.
+ */
+
+import { format, startOfWeek } from 'date-fns';
+import { round2, round4 } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Day-of-week labels used by differential conditions (matches ShiftRuleForm)
+ */
+export type DayOfWeek = 'Sun' | 'Mon' | 'Tue' | 'Wed' | 'Thu' | 'Fri' | 'Sat';
+
+/**
+ * How a differential amount is interpreted
+ */
+export type DifferentialRateType = 'flat_amount' | 'multiplier';
+
+/**
+ * Optional time window and day restrictions for a differential
+ */
+export interface DifferentialConditions {
+  start_time?: string;
+  end_time?: string;
+  days_of_week?: DayOfWeek[];
+}
+
+/**
+ * Differential as stored on a ShiftRule
+ */
+export interface RuleDifferential {
+  id?: string;
+  name?: string;
+  type?: string;
+  rate_type?: DifferentialRateType;
+  amount: number;
+  is_stackable?: boolean;
+  conditions?: DifferentialConditions;
+}
+
+/**
+ * Overtime configuration of a ShiftRule
+ */
+export interface OvertimeRules {
+  weekly_threshold?: number;
+  weekly_multiplier?: number;
+  daily_threshold?: number;
+  daily_multiplier?: number;
+  double_time_daily_threshold?: number;
+  double_time_multiplier?: number;
+}
+
+/**
+ * On-call and callback configuration of a ShiftRule
+ */
+export interface SpecialPay {
+  on_call_rate?: number;
+  callback_multiplier?: number;
+  callback_minimum_hours?: number;
+}
+
+/**
+ * Meal break configuration of a ShiftRule
+ */
+export interface MealBreakRules {
+  is_auto_deducted?: boolean;
+  unpaid_break_threshold?: number;
+  break_duration?: number;
+}
+
+/**
+ * ShiftRule entity as saved by ShiftRuleForm
+ */
+export interface PayShiftRule {
+  id?: string;
+  name?: string;
+  description?: string;
+  facility?: string;
+  /** Employer the rule pays for; rules sharing an employer share overtime */
+  employer?: string;
+  /** Case-insensitive whole-word patterns (`*` wildcard) matched against shift title, location and department */
+  match_patterns?: string[];
+  active?: boolean;
+  base_hourly_rate: number;
+  overtime_rules?: OvertimeRules;
+  differentials?: RuleDifferential[];
+  special_pay?: SpecialPay;
+  meal_break_rules?: MealBreakRules;
+}
+
+/**
+ * Legacy flat rule shape (single overtime threshold, percentage differentials)
+ */
+export interface LegacyPayRule {
+  id?: string;
+  name?: string;
+  active?: boolean;
+  base_hourly_rate: number;
+  overtime_threshold?: number;
+  overtime_multiplier?: number;
+  differentials?: Array<{
+    name: string;
+    type: string;
+    amount: number;
+    is_percentage?: boolean;
+  }>;
+}
+
+/**
+ * Shift record fields the engine reads
+ */
+export interface PayShift {
+  id?: string;
+  /** ShiftRule this shift is paid under; takes precedence over pattern matching */
+  shift_rule_id?: string;
+  title?: string;
+  location?: string;
+  department?: string;
+  start_datetime?: string | Date;
+  end_datetime?: string | Date;
+  actual_hours?: number;
+  scheduled_hours?: number;
+  break_hours?: number;
+  shift_type?: string;
+  tags?: string[];
+  status?: string;
+}
+
+/**
+ * Pay line categories
+ */
+export type PayLineCategory =
+  | 'regular'
+  | 'overtime'
+  | 'double_time'
+  | 'differential'
+  | 'on_call'
+  | 'callback';
+
+/**
+ * Single itemized pay line
+ */
+export interface PayLine {
+  shift_id?: string;
+  date: string;
+  category: PayLineCategory;
+  label: string;
+  hours: number;
+  rate: number;
+  amount: number;
+}
+
+/**
+ * Per-shift pay summary
+ */
+export interface ShiftPaySummary {
+  shift_id?: string;
+  rule_id?: string;
+  employer?: string;
+  date: string;
+  paid_hours: number;
+  unpaid_break_hours: number;
+  gross_pay: number;
+}
+
+/**
+ * Totals across the evaluated shifts
+ */
+export interface PayTotals {
+  regular_hours: number;
+  overtime_hours: number;
+  double_time_hours: number;
+  on_call_hours: number;
+  callback_hours: number;
+  total_hours: number;
+  base_pay: number;
+  overtime_pay: number;
+  double_time_pay: number;
+  differential_pay: number;
+  on_call_pay: number;
+  callback_pay: number;
+  gross_pay: number;
+}
+
+/**
+ * Pay engine result
+ */
+export interface PayWeekResult {
+  lines: PayLine[];
+  shifts: ShiftPaySummary[];
+  totals: PayTotals;
+}
+
+/**
+ * Pay for one employer, with overtime accumulated across that employer's shifts only
+ */
+export interface EmployerPayBreakdown extends PayWeekResult {
+  key: string;
+  employer: string;
+  rule_ids: string[];
+}
+
+/**
+ * Multi-employer pay result
+ */
+export interface EmployerPayResult {
+  employers: EmployerPayBreakdown[];
+  totals: PayTotals;
+  /** Employer name by shift id */
+  shift_employers: Record<string, string>;
+}
+
+/**
+ * Pay engine options
+ */
+export interface PayEngineOptions {
+  /** First day of the workweek (0 = Sunday), used for weekly overtime */
+  weekStartsOn?: 0 | 1 | 2 | 3 | 4 | 5 | 6;
+}
+
+/**
+ * Hour bucket a piece of worked time falls into
+ */
+type HourBucket = 'regular' | 'daily_ot' | 'weekly_ot' | 'double_time';
+
+/**
+ * Contiguous slice of a shift with a constant set of matching differentials
+ */
+interface ShiftSegment {
+  start: Date | null;
+  hours: number;
+}
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DAY_LABELS: DayOfWeek[] = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MS_PER_HOUR = 3600000;
+const ON_CALL_TYPES = ['call', 'on_call', 'on-call', 'standby'];
+const CALLBACK_TYPES = ['callback', 'call_back', 'call-back'];
+
+const BUCKET_LABELS: Record<HourBucket, string> = {
+  regular: 'Regular',
+  daily_ot: 'Overtime (daily)',
+  weekly_ot: 'Overtime (weekly)',
+  double_time: 'Double time',
+};
+
+const BUCKET_SUFFIXES: Record<HourBucket, string> = {
+  regular: '',
+  daily_ot: 'daily OT',
+  weekly_ot: 'weekly OT',
+  double_time: 'double time',
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const toDate = (value: string | Date | undefined): Date | null => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse "HH:mm" into minutes after midnight
+ */
+const parseClock = (value: string | undefined): number | null => {
+  if (!value) return null;
+  const match = /^(\d{1,2}):(\d{2})/.exec(value.trim());
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const dayKey = (date: Date | null): string => (date ? format(date, 'yyyy-MM-dd') : 'undated');
+
+const shiftLabels = (shift: PayShift): string[] =>
+  [shift.shift_type, ...(shift.tags || [])]
+    .filter((value): value is string => Boolean(value))
+    .map(value => value.toLowerCase());
+
+const hasAnyLabel = (shift: PayShift, candidates: string[]): boolean =>
+  shiftLabels(shift).some(label => candidates.includes(label));
+
+const hasTimeConditions = (diff: RuleDifferential): boolean =>
+  parseClock(diff.conditions?.start_time) !== null && parseClock(diff.conditions?.end_time) !== null;
+
+const hasDayConditions = (diff: RuleDifferential): boolean =>
+  (diff.conditions?.days_of_week?.length || 0) > 0;
+
+/**
+ * Per-hour premium of a differential at straight time.
+ * Multipliers are read as a rate factor (1.1 = +10%); values below 1 are
+ * treated as the premium fraction itself (0.1 = +10%).
+ */
+const differentialPremium = (diff: RuleDifferential, baseRate: number): number => {
+  const amount = Number(diff.amount) || 0;
+  if (diff.rate_type === 'multiplier') {
+    return baseRate * (amount >= 1 ? amount - 1 : amount);
+  }
+  return amount;
+};
+
+/**
+ * Check whether a differential applies to a segment of a shift
+ */
+const differentialMatches = (
+  diff: RuleDifferential,
+  shift: PayShift,
+  segmentStart: Date | null,
+  segmentHours: number
+): boolean => {
+  const timed = hasTimeConditions(diff);
+  const dayed = hasDayConditions(diff);
+
+  if (!timed && !dayed) {
+    const keys = [diff.type, diff.name]
+      .filter((value): value is string => Boolean(value))
+      .map(value => value.toLowerCase());
+    return shiftLabels(shift).some(label => keys.includes(label));
+  }
+
+  if (!segmentStart) return false;
+
+  // Evaluate at the segment midpoint; segments never straddle a window edge
+  const midpoint = new Date(segmentStart.getTime() + (segmentHours * MS_PER_HOUR) / 2);
+
+  if (dayed && !diff.conditions!.days_of_week!.includes(DAY_LABELS[midpoint.getDay()])) {
+    return false;
+  }
+
+  if (timed) {
+    const windowStart = parseClock(diff.conditions!.start_time)!;
+    const windowEnd = parseClock(diff.conditions!.end_time)!;
+    const minute = midpoint.getHours() * 60 + midpoint.getMinutes() + midpoint.getSeconds() / 60;
+    if (windowStart === windowEnd) return true;
+    return windowStart < windowEnd
+      ? minute >= windowStart && minute < windowEnd
+      : minute >= windowStart || minute < windowEnd;
+  }
+
+  return true;
+};
+
+/**
+ * Split a shift interval at midnights and at every differential window edge
+ */
+const splitIntoSegments = (
+  start: Date,
+  end: Date,
+  differentials: RuleDifferential[]
+): ShiftSegment[] => {
+  const cutMinutes = new Set<number>([0]);
+  differentials.forEach(diff => {
+    const s = parseClock(diff.conditions?.start_time);
+    const e = parseClock(diff.conditions?.end_time);
+    if (s !== null) cutMinutes.add(s);
+    if (e !== null) cutMinutes.add(e);
+  });
+
+  const boundaries: number[] = [start.getTime(), end.getTime()];
+  const cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+  while (cursor.getTime() <= end.getTime()) {
+    cutMinutes.forEach(minute => {
+      const cut = new Date(
+        cursor.getFullYear(),
+        cursor.getMonth(),
+        cursor.getDate(),
+        Math.floor(minute / 60),
+        minute % 60
+      ).getTime();
+      if (cut > start.getTime() && cut < end.getTime()) boundaries.push(cut);
+    });
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  const sorted = Array.from(new Set(boundaries)).sort((a, b) => a - b);
+  const segments: ShiftSegment[] = [];
+  for (let i = 0; i < sorted.length - 1; i++) {
+    segments.push({ start: new Date(sorted[i]), hours: (sorted[i + 1] - sorted[i]) / MS_PER_HOUR });
+  }
+  return segments;
+};
+
+/**
+ * Resolve the scheduled interval of a shift, rolling overnight end times forward
+ */
+const resolveInterval = (shift: PayShift): { start: Date | null; end: Date | null } => {
+  const start = toDate(shift.start_datetime);
+  let end = toDate(shift.end_datetime);
+  if (start && end && end.getTime() <= start.getTime()) {
+    end = new Date(end.getTime() + 24 * MS_PER_HOUR);
+  }
+  return { start, end };
+};
+
+/**
+ * Worked hours before any break deduction
+ */
+const workedHours = (shift: PayShift, start: Date | null, end: Date | null): number => {
+  if (typeof shift.actual_hours === 'number' && shift.actual_hours > 0) return shift.actual_hours;
+  if (start && end) return (end.getTime() - start.getTime()) / MS_PER_HOUR;
+  return Math.max(0, Number(shift.scheduled_hours) || 0);
+};
+
+/**
+ * Unpaid break hours for a shift: an explicit `break_hours` wins, otherwise the
+ * rule's auto-deduction applies once the shift exceeds the threshold.
+ */
+const unpaidBreakHours = (shift: PayShift, worked: number, rules: MealBreakRules | undefined): number => {
+  if (typeof shift.break_hours === 'number' && shift.break_hours > 0) {
+    return Math.min(shift.break_hours, worked);
+  }
+  if (!rules?.is_auto_deducted) return 0;
+  const threshold = Number(rules.unpaid_break_threshold) || 0;
+  if (worked <= threshold) return 0;
+  const minutes = Number(rules.break_duration) || 30;
+  return Math.min(minutes / 60, worked);
+};
+
+/**
+ * Pay totals with every hour and dollar bucket at zero
+ * @returns Zeroed totals
+ */
+export const emptyTotals = (): PayTotals => ({
+  regular_hours: 0,
+  overtime_hours: 0,
+  double_time_hours: 0,
+  on_call_hours: 0,
+  callback_hours: 0,
+  total_hours: 0,
+  base_pay: 0,
+  overtime_pay: 0,
+  double_time_pay: 0,
+  differential_pay: 0,
+  on_call_pay: 0,
+  callback_pay: 0,
+  gross_pay: 0,
+});
+
+// ============================================================================
+// Rule Normalization
+// ============================================================================
+
+/**
+ * Normalize a ShiftRule (or a legacy flat pay rule) into the engine's shape
+ * @param rule - Saved ShiftRule or legacy rule with `overtime_threshold`
+ * @returns Rule with every section present
+ */
+export const normalizeShiftRule = (rule: PayShiftRule | LegacyPayRule): PayShiftRule => {
+  const legacy = rule as LegacyPayRule;
+  const modern = rule as PayShiftRule;
+
+  const differentials: RuleDifferential[] = (rule.differentials || []).map(diff => {
+    const legacyDiff = diff as { is_percentage?: boolean };
+    if ('rate_type' in diff || !('is_percentage' in diff)) {
+      return diff as RuleDifferential;
+    }
+    return {
+      name: (diff as RuleDifferential).name,
+      type: (diff as RuleDifferential).type,
+      amount: legacyDiff.is_percentage ? 1 + diff.amount / 100 : diff.amount,
+      rate_type: legacyDiff.is_percentage ? 'multiplier' : 'flat_amount',
+      is_stackable: true,
+    };
+  });
+
+  return {
+    ...modern,
+    base_hourly_rate: Number(rule.base_hourly_rate) || 0,
+    overtime_rules: {
+      weekly_threshold: legacy.overtime_threshold ?? 40,
+      weekly_multiplier: legacy.overtime_multiplier ?? 1.5,
+      ...modern.overtime_rules,
+    },
+    differentials,
+    special_pay: { on_call_rate: 0, ...modern.special_pay },
+    meal_break_rules: { is_auto_deducted: false, ...modern.meal_break_rules },
+  };
+};
+
+// ============================================================================
+// Rule Resolution
+// ============================================================================
+
+/**
+ * Display name of the employer a rule pays for
+ * @param rule - ShiftRule
+ * @returns Employer, facility or rule name
+ */
+export const employerName = (rule: PayShiftRule | LegacyPayRule): string => {
+  const modern = rule as PayShiftRule;
+  return (modern.employer || modern.facility || rule.name || 'Unassigned').trim();
+};
+
+/**
+ * Grouping key for overtime: rules naming the same employer share one key
+ */
+const employerKey = (rule: PayShiftRule | LegacyPayRule): string => {
+  const modern = rule as PayShiftRule;
+  const named = (modern.employer || modern.facility || '').trim().toLowerCase();
+  return named || `rule:${rule.id || rule.name || 'default'}`;
+};
+
+/**
+ * Pattern as a case-insensitive RegExp matching whole words only, so "ICU"
+ * does not match "NICU"; `*` stands for any text, word characters included
+ */
+const patternToRegExp = (pattern: string): RegExp =>
+  new RegExp(
+    `(?<![a-z0-9])${pattern
+      .trim()
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}(?![a-z0-9])`,
+    'i'
+  );
+
+/**
+ * Pick the ShiftRule a shift is paid under.
+ *
+ * An explicit `shift_rule_id` link wins. Otherwise the first active rule whose
+ * `match_patterns` match whole words of the shift title, location or department
+ * is used, then an active rule whose employer/facility equals the shift
+ * location, and finally the first active rule (or the first rule) as before
+ * multi-employer support.
+ *
+ * @param shift - Shift to resolve
+ * @param rules - Saved ShiftRules
+ * @returns Matching rule, or null when there are no rules
+ */
+export const resolveShiftRule = <R extends PayShiftRule | LegacyPayRule>(
+  shift: PayShift,
+  rules: R[] | null | undefined
+): R | null => {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+
+  if (shift.shift_rule_id) {
+    const linked = rules.find(rule => rule.id === shift.shift_rule_id);
+    if (linked) return linked;
+  }
+
+  const active = rules.filter(rule => rule.active !== false);
+  const haystacks = [shift.title, shift.location, shift.department].filter(
+    (value): value is string => Boolean(value)
+  );
+
+  const patterned = active.find(rule =>
+    ((rule as PayShiftRule).match_patterns || [])
+      .filter(pattern => pattern.trim())
+      .some(pattern => haystacks.some(text => patternToRegExp(pattern).test(text)))
+  );
+  if (patterned) return patterned;
+
+  const location = (shift.location || '').trim().toLowerCase();
+  if (location) {
+    const byFacility = active.find(rule => {
+      const modern = rule as PayShiftRule;
+      return [modern.employer, modern.facility].some(name => name && name.trim().toLowerCase() === location);
+    });
+    if (byFacility) return byFacility;
+  }
+
+  return active[0] || rules[0];
+};
+
+// ============================================================================
+// Pay Engine
+// ============================================================================
+
+/**
+ * Calculate itemized pay for a set of shifts under a single ShiftRule.
+ *
+ * Shifts are evaluated chronologically. Every hour of a shift belongs to the
+ * workday and workweek in which the shift starts. Within a workday, hours past
+ * `daily_threshold` are daily overtime and hours past `double_time_daily_threshold`
+ * are double time; remaining straight-time hours count toward `weekly_threshold`,
+ * beyond which they become weekly overtime. Daily overtime and double-time hours
+ * never count toward the weekly threshold, so no hour is paid a premium twice.
+ *
+ * Differential premiums follow each hour into its bucket (a night hour worked on
+ * overtime earns the night premium at the overtime multiplier). Non-stackable
+ * differentials compete per segment and only the largest applies. On-call
+ * (standby) and callback shifts are paid from `special_pay` and do not
+ * accumulate toward overtime.
+ *
+ * @param shifts - Shifts to evaluate (usually one pay week, may span several)
+ * @param rule - ShiftRule to apply
+ * @param options - Engine options
+ * @returns Itemized lines, per-shift summaries and totals
+ */
+export const calculatePayWeek = (
+  shifts: PayShift[],
+  rule: PayShiftRule | LegacyPayRule | null | undefined,
+  options: PayEngineOptions = {}
+): PayWeekResult => {
+  if (!rule || !Array.isArray(shifts) || shifts.length === 0) {
+    return { lines: [], shifts: [], totals: emptyTotals() };
+  }
+
+  const normalized = normalizeShiftRule(rule);
+  return evaluateShifts(shifts.map(shift => ({ shift, rule: normalized })), options);
+};
+
+/**
+ * Evaluate shifts that each carry their own normalized rule. Overtime counters are
+ * shared by every entry, so callers group entries by employer before calling.
+ */
+const evaluateShifts = (
+  entries: Array<{ shift: PayShift; rule: PayShiftRule }>,
+  options: PayEngineOptions
+): PayWeekResult => {
+  const result: PayWeekResult = { lines: [], shifts: [], totals: emptyTotals() };
+  const weekStartsOn = options.weekStartsOn ?? 0;
+
+  const ordered = entries
+    .filter(({ shift }) => shift && shift.status !== 'cancelled')
+    .map(entry => ({ ...entry, ...resolveInterval(entry.shift) }))
+    .sort((a, b) => (a.start?.getTime() ?? 0) - (b.start?.getTime() ?? 0));
+
+  const weeklyStraightHours = new Map<string, number>();
+  const dailyHours = new Map<string, number>();
+
+  ordered.forEach(({ shift, rule: normalized, start, end }, index) => {
+    const baseRate = normalized.base_hourly_rate;
+    const ot = normalized.overtime_rules || {};
+    const weeklyThreshold = ot.weekly_threshold && ot.weekly_threshold > 0 ? ot.weekly_threshold : Infinity;
+    const dailyThreshold = ot.daily_threshold && ot.daily_threshold > 0 ? ot.daily_threshold : Infinity;
+    const doubleThreshold =
+      ot.double_time_daily_threshold && ot.double_time_daily_threshold > 0 ? ot.double_time_daily_threshold : Infinity;
+    const multipliers: Record<HourBucket, number> = {
+      regular: 1,
+      daily_ot: ot.daily_multiplier || 1.5,
+      weekly_ot: ot.weekly_multiplier || 1.5,
+      double_time: ot.double_time_multiplier || 2,
+    };
+    const differentials = (normalized.differentials || []).filter(diff => Number(diff.amount) > 0);
+    const special = normalized.special_pay || {};
+
+    const worked = workedHours(shift, start, end);
+    const breakHours = unpaidBreakHours(shift, worked, normalized.meal_break_rules);
+    const paid = Math.max(0, worked - breakHours);
+    const date = dayKey(start);
+    // Undated shifts can't be placed on a day or week, so each counts toward overtime on its own
+    const dayBucket = start ? date : `undated-${index}`;
+    const shiftLines = new Map<string, PayLine>();
+
+    const addLine = (category: PayLineCategory, label: string, hours: number, rate: number): void => {
+      if (hours <= 0 || rate === 0) return;
+      const key = `${category}|${label}|${rate}`;
+      const existing = shiftLines.get(key);
+      if (existing) {
+        existing.hours += hours;
+        existing.amount += hours * rate;
+      } else {
+        shiftLines.set(key, { shift_id: shift.id, date, category, label, hours, rate, amount: hours * rate });
+      }
+    };
+
+    if (hasAnyLabel(shift, ON_CALL_TYPES)) {
+      addLine('on_call', 'On-call standby', paid, special.on_call_rate || 0);
+      result.totals.on_call_hours += paid;
+    } else if (hasAnyLabel(shift, CALLBACK_TYPES)) {
+      const billed = Math.max(paid, Number(special.callback_minimum_hours) || 0);
+      addLine('callback', 'Callback', billed, baseRate * (special.callback_multiplier || 1));
+      result.totals.callback_hours += billed;
+    } else {
+      const weekKey = start ? format(startOfWeek(start, { weekStartsOn }), 'yyyy-MM-dd') : dayBucket;
+      const segments: ShiftSegment[] =
+        start && end ? splitIntoSegments(start, end, differentials) : [{ start: null, hours: worked }];
+      const elapsed = segments.reduce((sum, segment) => sum + segment.hours, 0);
+      // Scale elapsed time to paid time so breaks and early clock-outs shrink every segment evenly
+      const scale = elapsed > 0 ? paid / elapsed : 0;
+
+      segments.forEach(segment => {
+        let remaining = segment.hours * scale;
+        const matched = differentials.filter(diff =>
+          differentialMatches(diff, shift, segment.start, segment.hours)
+        );
+        const stackable = matched.filter(diff => diff.is_stackable !== false);
+        const exclusive = matched
+          .filter(diff => diff.is_stackable === false)
+          .sort((a, b) => differentialPremium(b, baseRate) - differentialPremium(a, baseRate));
+        const applied = exclusive.length > 0 ? [...stackable, exclusive[0]] : stackable;
+
+        while (remaining > 1e-9) {
+          const dayHours = dailyHours.get(dayBucket) || 0;
+          let bucket: HourBucket;
+          let piece: number;
+
+          if (dayHours >= doubleThreshold) {
+            bucket = 'double_time';
+            piece = remaining;
+          } else if (dayHours >= dailyThreshold) {
+            bucket = 'daily_ot';
+            piece = Math.min(remaining, doubleThreshold - dayHours);
+          } else {
+            piece = Math.min(remaining, Math.min(dailyThreshold, doubleThreshold) - dayHours);
+            const straight = weeklyStraightHours.get(weekKey) || 0;
+            const room = Math.max(0, weeklyThreshold - straight);
+            if (room <= 1e-9) {
+              bucket = 'weekly_ot';
+            } else {
+              bucket = 'regular';
+              piece = Math.min(piece, room);
+              weeklyStraightHours.set(weekKey, straight + piece);
+            }
+          }
+
+          dailyHours.set(dayBucket, dayHours + piece);
+          remaining -= piece;
+
+          const category: PayLineCategory =
+            bucket === 'regular' ? 'regular' : bucket === 'double_time' ? 'double_time' : 'overtime';
+          addLine(category, BUCKET_LABELS[bucket], piece, baseRate * multipliers[bucket]);
+          if (bucket === 'regular') result.totals.regular_hours += piece;
+          else if (bucket === 'double_time') result.totals.double_time_hours += piece;
+          else result.totals.overtime_hours += piece;
+
+          applied.forEach(diff => {
+            const name = diff.name || diff.type || 'Differential';
+            const label = bucket === 'regular' ? name : `${name} on ${BUCKET_SUFFIXES[bucket]}`;
+            addLine('differential', label, piece, differentialPremium(diff, baseRate) * multipliers[bucket]);
+          });
+        }
+      });
+    }
+
+    const lines = Array.from(shiftLines.values()).map(line => ({
+      ...line,
+      hours: round4(line.hours),
+      rate: round4(line.rate),
+      amount: round2(line.amount),
+    }));
+
+    lines.forEach(line => {
+      switch (line.category) {
+        case 'regular':
+          result.totals.base_pay += line.amount;
+          break;
+        case 'overtime':
+          result.totals.overtime_pay += line.amount;
+          break;
+        case 'double_time':
+          result.totals.double_time_pay += line.amount;
+          break;
+        case 'differential':
+          result.totals.differential_pay += line.amount;
+          break;
+        case 'on_call':
+          result.totals.on_call_pay += line.amount;
+          break;
+        case 'callback':
+          result.totals.callback_pay += line.amount;
+          break;
+      }
+    });
+
+    result.lines.push(...lines);
+    result.shifts.push({
+      shift_id: shift.id,
+      rule_id: normalized.id,
+      employer: employerName(normalized),
+      date,
+      paid_hours: round4(paid),
+      unpaid_break_hours: round4(breakHours),
+      gross_pay: round2(lines.reduce((sum, line) => sum + line.amount, 0)),
+    });
+  });
+
+  const totals = result.totals;
+  totals.total_hours = totals.regular_hours + totals.overtime_hours + totals.double_time_hours + totals.callback_hours;
+  (Object.keys(totals) as Array<keyof PayTotals>).forEach(key => {
+    totals[key] = key.endsWith('_hours') ? round4(totals[key]) : round2(totals[key]);
+  });
+  totals.gross_pay = round2(
+    totals.base_pay +
+      totals.overtime_pay +
+      totals.double_time_pay +
+      totals.differential_pay +
+      totals.on_call_pay +
+      totals.callback_pay
+  );
+
+  return result;
+};
+
+/**
+ * Calculate pay across several employers. Each shift is paid under the rule
+ * {@link resolveShiftRule} picks, and daily/weekly overtime accumulates per
+ * employer only: 30 hours at a staff job plus 20 per-diem hours elsewhere is
+ * not overtime at either.
+ *
+ * @param shifts - Shifts from every employer
+ * @param rules - Saved ShiftRules
+ * @param options - Engine options
+ * @returns Per-employer breakdowns plus combined totals
+ */
+export const calculateEmployerPay = (
+  shifts: PayShift[],
+  rules: Array<PayShiftRule | LegacyPayRule> | null | undefined,
+  options: PayEngineOptions = {}
+): EmployerPayResult => {
+  const result: EmployerPayResult = { employers: [], totals: emptyTotals(), shift_employers: {} };
+  if (!Array.isArray(shifts) || shifts.length === 0 || !Array.isArray(rules) || rules.length === 0) {
+    return result;
+  }
+
+  const normalizedRules = new Map<PayShiftRule | LegacyPayRule, PayShiftRule>();
+  const groups = new Map<string, { employer: string; entries: Array<{ shift: PayShift; rule: PayShiftRule }> }>();
+
+  shifts.forEach(shift => {
+    const rule = resolveShiftRule(shift, rules);
+    if (!rule) return;
+    if (!normalizedRules.has(rule)) normalizedRules.set(rule, normalizeShiftRule(rule));
+    const key = employerKey(rule);
+    const group = groups.get(key) || { employer: employerName(rule), entries: [] };
+    group.entries.push({ shift, rule: normalizedRules.get(rule)! });
+    groups.set(key, group);
+  });
+
+  groups.forEach((group, key) => {
+    const evaluated = evaluateShifts(group.entries, options);
+    const ruleIds = Array.from(
+      new Set(group.entries.map(entry => entry.rule.id).filter((id): id is string => Boolean(id)))
+    );
+    result.employers.push({ key, employer: group.employer, rule_ids: ruleIds, ...evaluated });
+    evaluated.shifts.forEach(summary => {
+      if (summary.shift_id) result.shift_employers[summary.shift_id] = group.employer;
+    });
+    (Object.keys(result.totals) as Array<keyof PayTotals>).forEach(field => {
+      result.totals[field] += evaluated.totals[field];
+    });
+  });
+
+  (Object.keys(result.totals) as Array<keyof PayTotals>).forEach(field => {
+    result.totals[field] = field.endsWith('_hours') ? round4(result.totals[field]) : round2(result.totals[field]);
+  });
+  result.employers.sort((a, b) => b.totals.gross_pay - a.totals.gross_pay);
+
+  return result;
+};
+
+/**
+ * Collapse per-shift lines into one line per category, label and rate
+ * @param lines - Lines from {@link calculatePayWeek}
+ * @returns Aggregated lines ordered as a pay stub would list them
+ */
+export const summarizePayLines = (lines: PayLine[]): PayLine[] => {
+  const order: PayLineCategory[] = ['regular', 'overtime', 'double_time', 'differential', 'on_call', 'callback'];
+  const grouped = new Map<string, PayLine>();
+
+  lines.forEach(line => {
+    const key = `${line.category}|${line.label}|${line.rate}`;
+    const existing = grouped.get(key);
+    if (existing) {
+      existing.hours = round4(existing.hours + line.hours);
+      existing.amount = round2(existing.amount + line.amount);
+    } else {
+      grouped.set(key, { category: line.category, label: line.label, date: line.date, hours: line.hours, rate: line.rate, amount: line.amount });
+    }
+  });
+
+  return Array.from(grouped.values()).sort(
+    (a, b) => order.indexOf(a.category) - order.indexOf(b.category) || b.amount - a.amount
+  );
+};
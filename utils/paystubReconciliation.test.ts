@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Tests for paystub reconciliation
+ * @description Covers matching stubs, missing differentials, differential label matching,
+ * overtime paid as straight time, period and employer filtering, and withholding checks
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  classifyEarning,
+  paystubShortfall,
+  reconcilePaystub,
+  shiftsInPeriod,
+  type Paystub,
+} from './paystubReconciliation';
+import { calculateWithholding } from './withholding';
+import type { PayShift, PayShiftRule } from './payEngine';
+
+const rule: PayShiftRule = {
+  id: 'staff',
+  name: 'Staff RN',
+  employer: 'General Hospital',
+  active: true,
+  base_hourly_rate: 40,
+  overtime_rules: { weekly_threshold: 40, weekly_multiplier: 1.5 },
+  differentials: [
+    { name: 'Night', rate_type: 'flat_amount', amount: 4, conditions: { start_time: '19:00', end_time: '07:00' } },
+  ],
+  meal_break_rules: { is_auto_deducted: false },
+};
+
+// Three 12h nights (36h, all night differential) then an 8h day shift: 4h weekly OT
+const shifts: PayShift[] = [
+  { id: 'n1', start_datetime: '2025-01-06T19:00:00', end_datetime: '2025-01-07T07:00:00' },
+  { id: 'n2', start_datetime: '2025-01-07T19:00:00', end_datetime: '2025-01-08T07:00:00' },
+  { id: 'n3', start_datetime: '2025-01-08T19:00:00', end_datetime: '2025-01-09T07:00:00' },
+  { id: 'd1', start_datetime: '2025-01-09T07:00:00', end_datetime: '2025-01-09T15:00:00' },
+];
+
+const stub = (overrides: Partial<Paystub> = {}): Paystub => ({
+  period_start: '2025-01-06',
+  period_end: '2025-01-19',
+  gross_pay: 1984,
+  earnings: [
+    { category: 'regular', label: 'Regular', hours: 40, amount: 1600 },
+    { category: 'overtime', label: 'Overtime', hours: 4, amount: 240 },
+    { category: 'differential', label: 'Night Diff', hours: 36, amount: 144 },
+  ],
+  ...overrides,
+});
+
+describe('reconcilePaystub', () => {
+  it('matches a correct stub', () => {
+    const result = reconcilePaystub(stub(), shifts, [rule]);
+
+    expect(result.expected_gross).toBe(1984);
+    expect(result.discrepancies).toEqual([]);
+    expect(result.status).toBe('matched');
+    expect(result.shift_ids).toHaveLength(4);
+  });
+
+  it('flags a missing differential and the gross shortfall', () => {
+    const result = reconcilePaystub(
+      stub({ gross_pay: 1840, earnings: stub().earnings.filter(e => e.category !== 'differential') }),
+      shifts,
+      [rule]
+    );
+
+    expect(result.status).toBe('unresolved');
+    expect(result.discrepancies).toEqual([
+      { kind: 'missing_differential', label: 'Night', unit: 'amount', expected: 144, actual: 0, difference: -144 },
+      { kind: 'gross', label: 'Gross pay', unit: 'amount', expected: 1984, actual: 1840, difference: -144 },
+    ]);
+    expect(paystubShortfall(result.discrepancies)).toBe(144);
+  });
+
+  it('flags overtime paid as straight time', () => {
+    const result = reconcilePaystub(
+      stub({
+        gross_pay: 1904,
+        earnings: [
+          { category: 'regular', label: 'Regular', hours: 44, amount: 1760 },
+          { category: 'differential', label: 'Night Diff', hours: 36, amount: 144 },
+        ],
+      }),
+      shifts,
+      [rule]
+    );
+
+    const byLabel = Object.fromEntries(result.discrepancies.map(d => [d.label, d.difference]));
+    expect(byLabel).toEqual({
+      'Regular hours': 4,
+      'Regular pay': 160,
+      'Overtime hours': -4,
+      'Overtime pay': -240,
+      'Gross pay': -80,
+    });
+  });
+
+  it('only counts shifts inside the pay period', () => {
+    const late = { id: 'late', start_datetime: '2025-01-20T07:00:00', end_datetime: '2025-01-20T15:00:00' };
+    expect(shiftsInPeriod([...shifts, late], '2025-01-06', '2025-01-19')).toHaveLength(4);
+    expect(reconcilePaystub(stub(), [...shifts, late], [rule]).status).toBe('matched');
+  });
+
+  it('narrows expected pay to the stub employer', () => {
+    const agency: PayShiftRule = {
+      id: 'agency',
+      name: 'Agency',
+      employer: 'Travel Staffing',
+      active: true,
+      base_hourly_rate: 60,
+      match_patterns: ['agency*'],
+    };
+    const agencyShift = {
+      id: 'a1',
+      title: 'Agency ICU',
+      start_datetime: '2025-01-12T07:00:00',
+      end_datetime: '2025-01-12T15:00:00',
+    };
+    const result = reconcilePaystub(
+      { period_start: '2025-01-06', period_end: '2025-01-19', employer: 'travel staffing', gross_pay: 480, earnings: [] },
+      [...shifts, agencyShift],
+      [rule, agency]
+    );
+
+    expect(result.employer).toBe('Travel Staffing');
+    expect(result.shift_ids).toEqual(['a1']);
+    expect(result.expected_gross).toBe(480);
+  });
+
+  it('matches the stub employer on whole words only', () => {
+    const withSuffix = reconcilePaystub(stub({ employer: 'General Hospital, Inc.' }), shifts, [rule]);
+    expect(withSuffix.employer).toBe('General Hospital');
+    expect(withSuffix.status).toBe('matched');
+
+    expect(reconcilePaystub(stub({ employer: 'General' }), shifts, [rule]).status).toBe('matched');
+    expect(reconcilePaystub(stub({ employer: 'Gen' }), shifts, [rule]).status).toBe('no_shifts');
+    expect(reconcilePaystub(stub({ employer: 'Al' }), shifts, [rule]).status).toBe('no_shifts');
+  });
+
+  it('reports no shifts instead of comparing against other employers', () => {
+    const result = reconcilePaystub(stub({ employer: 'Mercy Clinic' }), shifts, [rule]);
+
+    expect(result.status).toBe('no_shifts');
+    expect(result.employer).toBe('Mercy Clinic');
+    expect(result.shift_ids).toEqual([]);
+    expect(result.expected_gross).toBe(0);
+    expect(result.actual_gross).toBe(1984);
+    expect(result.discrepancies).toEqual([]);
+  });
+
+  it('matches differentials by name rather than by any shared text', () => {
+    const relabel = (label: string): Paystub =>
+      stub({ earnings: stub().earnings.map(e => (e.category === 'differential' ? { ...e, label } : e)) });
+
+    expect(reconcilePaystub(relabel('NIGHT SHIFT DIFFERENTIAL'), shifts, [rule]).status).toBe('matched');
+    expect(reconcilePaystub(relabel('Diff'), shifts, [rule]).discrepancies).toEqual([
+      { kind: 'missing_differential', label: 'Night', unit: 'amount', expected: 144, actual: 0, difference: -144 },
+    ]);
+    expect(reconcilePaystub(relabel('Nightly Bonus'), shifts, [rule]).status).toBe('unresolved');
+  });
+
+  it('checks withholding against the gross actually paid', () => {
+    const profile = { pay_frequency: 'biweekly' as const, filing_status: 'single' };
+    const expected = calculateWithholding(1984, profile, { year: 2024 });
+    const result = reconcilePaystub(
+      stub({
+        taxes: {
+          federal_income_tax: expected.federal_income_tax + 20,
+          social_security: expected.social_security,
+          medicare: expected.medicare,
+        },
+      }),
+      shifts,
+      [rule],
+      { withholding: profile, withholdingOptions: { year: 2024 } }
+    );
+
+    expect(result.discrepancies).toEqual([
+      {
+        kind: 'tax',
+        label: 'Federal income tax',
+        unit: 'amount',
+        expected: expected.federal_income_tax,
+        actual: expected.federal_income_tax + 20,
+        difference: 20,
+      },
+    ]);
+  });
+});
+
+describe('classifyEarning', () => {
+  it('recognizes common stub descriptions', () => {
+    expect(classifyEarning('REG HRS')).toBe('regular');
+    expect(classifyEarning('OT 1.5')).toBe('overtime');
+    expect(classifyEarning('Double Time')).toBe('double_time');
+    expect(classifyEarning('Night Shift Diff')).toBe('differential');
+    expect(classifyEarning('On-Call')).toBe('on_call');
+    expect(classifyEarning('Call Back Pay')).toBe('callback');
+    expect(classifyEarning('Bonus')).toBe('other');
+  });
+});
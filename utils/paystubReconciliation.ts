@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Paystub reconciliation
+ * @description Compares an actual paystub against the pay the engine expects for the
+ * same period's shifts, line by line: regular hours, overtime, each differential,
+ * on-call/callback pay, gross, and (when a W-4 profile is supplied) tax withholding.
+ * Used by the paystub reconciler to flag short pays before they are forgotten.
+ */
+
+import { parseISO } from 'date-fns';
+import {
+  calculateEmployerPay,
+  emptyTotals,
+  summarizePayLines,
+  type LegacyPayRule,
+  type PayEngineOptions,
+  type PayLine,
+  type PayLineCategory,
+  type PayShift,
+  type PayShiftRule,
+  type PayTotals,
+} from './payEngine';
+import { calculateWithholding, type WithholdingOptions, type WithholdingProfile } from './withholding';
+import { round2, round4 } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Earnings line as printed on a paystub
+ */
+export interface PaystubEarning {
+  category: PayLineCategory | 'other';
+  label: string;
+  hours?: number;
+  rate?: number;
+  amount: number;
+}
+
+/**
+ * Tax lines as printed on a paystub (current period)
+ */
+export interface PaystubTaxes {
+  federal_income_tax?: number;
+  state_income_tax?: number;
+  social_security?: number;
+  medicare?: number;
+}
+
+/**
+ * Actual paystub for one pay period
+ */
+export interface Paystub {
+  period_start: string;
+  period_end: string;
+  pay_date?: string;
+  employer?: string;
+  gross_pay: number;
+  net_pay?: number;
+  earnings: PaystubEarning[];
+  taxes?: PaystubTaxes;
+}
+
+/**
+ * What kind of mismatch a discrepancy describes
+ */
+export type DiscrepancyKind =
+  | 'missing_hours'
+  | 'rate'
+  | 'overtime'
+  | 'missing_differential'
+  | 'differential'
+  | 'special_pay'
+  | 'gross'
+  | 'tax';
+
+/**
+ * One expected-vs-actual mismatch. `difference` is actual minus expected,
+ * so a negative value means the stub came up short.
+ */
+export interface PaystubDiscrepancy {
+  kind: DiscrepancyKind;
+  label: string;
+  unit: 'hours' | 'amount';
+  expected: number;
+  actual: number;
+  difference: number;
+}
+
+/**
+ * Reconciliation outcome
+ */
+export interface ReconciliationResult {
+  period_start: string;
+  period_end: string;
+  employer: string | null;
+  shift_ids: string[];
+  expected_lines: PayLine[];
+  expected_totals: PayTotals;
+  expected_gross: number;
+  actual_gross: number;
+  difference: number;
+  expected_taxes: PaystubTaxes | null;
+  discrepancies: PaystubDiscrepancy[];
+  /** `no_shifts` when the stub names an employer with no shifts in the period */
+  status: 'matched' | 'unresolved' | 'no_shifts';
+}
+
+/**
+ * Reconciliation options
+ */
+export interface ReconcileOptions extends PayEngineOptions {
+  /** W-4 inputs; when omitted taxes are not checked */
+  withholding?: WithholdingProfile;
+  withholdingOptions?: WithholdingOptions;
+  /** Dollar differences at or below this are ignored (default $1) */
+  tolerance?: number;
+  /** Hour differences at or below this are ignored (default 0.05h) */
+  hourTolerance?: number;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const EARNING_KEYWORDS: Array<[PaystubEarning['category'], RegExp]> = [
+  ['callback', /call\s*-?\s*back/i],
+  ['on_call', /on\s*-?\s*call|standby/i],
+  ['double_time', /double|\bdt\b/i],
+  ['overtime', /overtime|\bot\b/i],
+  ['differential', /diff|night|evening|weekend|holiday|charge|premium|shift\s*pay/i],
+  ['regular', /regular|\breg\b|base|hourly|straight/i],
+];
+
+/** Shortest name matched as part of a longer one; "St" must not match "St. Mary's" */
+const MIN_PARTIAL_NAME_LENGTH = 4;
+
+/** Words that say a line is a differential without saying which one */
+const GENERIC_DIFFERENTIAL_WORDS = new Set(['diff', 'differential', 'premium', 'shift', 'pay']);
+
+/**
+ * Differential name without the overtime-bucket suffix the engine appends
+ */
+const differentialName = (label: string): string => label.split(' on ')[0].trim();
+
+/**
+ * Lowercase words of a name, apostrophes dropped and other punctuation as spaces
+ */
+const nameWords = (name: string): string[] =>
+  (name || '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * Employer the stub was issued by: an exact name match, otherwise the only employer
+ * whose name appears as whole words in the stub's name (or the other way round)
+ */
+const findStubEmployer = <E extends { employer: string }>(employers: E[], stubEmployer: string): E | undefined => {
+  const wanted = nameWords(stubEmployer).join(' ');
+  const names = employers.map(e => nameWords(e.employer).join(' '));
+  const exact = names.indexOf(wanted);
+  if (exact >= 0) return employers[exact];
+
+  const containsName = (longer: string, shorter: string): boolean =>
+    shorter.length >= MIN_PARTIAL_NAME_LENGTH && ` ${longer} `.includes(` ${shorter} `);
+  const partial = employers.filter((_, i) => containsName(names[i], wanted) || containsName(wanted, names[i]));
+  return partial.length === 1 ? partial[0] : undefined;
+};
+
+/**
+ * Whether a stub earnings label names an expected differential: equal once
+ * normalized, or containing every specific word of the differential's name
+ */
+const labelMatchesDifferential = (label: string, name: string): boolean => {
+  const labelWords = nameWords(label);
+  const nameList = nameWords(name);
+  if (labelWords.length > 0 && labelWords.join(' ') === nameList.join(' ')) return true;
+  const specific = nameList.filter(word => !GENERIC_DIFFERENTIAL_WORDS.has(word));
+  return specific.length > 0 && specific.every(word => labelWords.includes(word));
+};
+
+const sumEarnings = (
+  earnings: PaystubEarning[],
+  categories: Array<PaystubEarning['category']>
+): { hours: number; amount: number } =>
+  earnings
+    .filter(e => categories.includes(e.category))
+    .reduce(
+      (acc, e) => ({ hours: acc.hours + (Number(e.hours) || 0), amount: acc.amount + (Number(e.amount) || 0) }),
+      { hours: 0, amount: 0 }
+    );
+
+const dateKey = (value: string | Date): string => {
+  const date = typeof value === 'string' ? parseISO(value) : value;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// ============================================================================
+// Reconciliation
+// ============================================================================
+
+/**
+ * Guess the category of a scanned earnings line from its description
+ * @param label - Description as printed on the stub
+ * @returns Best-matching category, or `other`
+ */
+export const classifyEarning = (label: string): PaystubEarning['category'] => {
+  const match = EARNING_KEYWORDS.find(([, pattern]) => pattern.test(label || ''));
+  return match ? match[0] : 'other';
+};
+
+/**
+ * Shifts that start within a pay period (inclusive, by local calendar date)
+ * @param shifts - Candidate shifts
+ * @param periodStart - First day of the period (yyyy-MM-dd)
+ * @param periodEnd - Last day of the period (yyyy-MM-dd)
+ * @returns Shifts worked in the period, cancelled shifts excluded
+ */
+export const shiftsInPeriod = <S extends PayShift>(shifts: S[], periodStart: string, periodEnd: string): S[] =>
+  (shifts || []).filter(shift => {
+    if (!shift.start_datetime || shift.status === 'cancelled') return false;
+    const day = dateKey(shift.start_datetime);
+    return day >= periodStart && day <= periodEnd;
+  });
+
+/**
+ * Compare an actual paystub with the pay expected from that period's shifts
+ * @param paystub - Actual paystub
+ * @param shifts - Shifts (any period; filtered to the stub's period)
+ * @param rules - Saved ShiftRules
+ * @param options - Tolerances, engine options and W-4 inputs
+ * @returns Expected pay and every line that does not match
+ */
+export const reconcilePaystub = (
+  paystub: Paystub,
+  shifts: PayShift[],
+  rules: Array<PayShiftRule | LegacyPayRule>,
+  options: ReconcileOptions = {}
+): ReconciliationResult => {
+  const tolerance = options.tolerance ?? 1;
+  const hourTolerance = options.hourTolerance ?? 0.05;
+  const earnings = paystub.earnings || [];
+  const discrepancies: PaystubDiscrepancy[] = [];
+
+  const compare = (
+    kind: DiscrepancyKind,
+    label: string,
+    unit: PaystubDiscrepancy['unit'],
+    expected: number,
+    actual: number
+  ): void => {
+    const round = unit === 'hours' ? round4 : round2;
+    const difference = round(actual - expected);
+    if (Math.abs(difference) > (unit === 'hours' ? hourTolerance : tolerance)) {
+      discrepancies.push({ kind, label, unit, expected: round(expected), actual: round(actual), difference });
+    }
+  };
+
+  // Expected pay for the period, narrowed to the stub's employer when it names one
+  const periodShifts = shiftsInPeriod(shifts, paystub.period_start, paystub.period_end);
+  const pay = calculateEmployerPay(periodShifts, rules, options);
+  const stubEmployer = paystub.employer?.trim();
+  const employer = stubEmployer ? findStubEmployer(pay.employers, stubEmployer) : undefined;
+  const actualGross = Number(paystub.gross_pay) || 0;
+
+  // Comparing against every employer's shifts would report the whole stub as wrong
+  if (stubEmployer && !employer) {
+    return {
+      period_start: paystub.period_start,
+      period_end: paystub.period_end,
+      employer: stubEmployer,
+      shift_ids: [],
+      expected_lines: [],
+      expected_totals: emptyTotals(),
+      expected_gross: 0,
+      actual_gross: round2(actualGross),
+      difference: round2(actualGross),
+      expected_taxes: null,
+      discrepancies: [],
+      status: 'no_shifts',
+    };
+  }
+
+  const source = employer || { lines: pay.employers.flatMap(e => e.lines), totals: pay.totals };
+  const totals = source.totals;
+  const expectedLines = summarizePayLines(source.lines);
+  const shiftIds = (employer ? employer.shifts : pay.employers.flatMap(e => e.shifts))
+    .map(s => s.shift_id)
+    .filter((id): id is string => Boolean(id));
+
+  // Regular time
+  const regular = sumEarnings(earnings, ['regular']);
+  compare('missing_hours', 'Regular hours', 'hours', totals.regular_hours, regular.hours);
+  compare('rate', 'Regular pay', 'amount', totals.base_pay, regular.amount);
+
+  // Overtime and double time
+  const overtime = sumEarnings(earnings, ['overtime', 'double_time']);
+  compare('overtime', 'Overtime hours', 'hours', totals.overtime_hours + totals.double_time_hours, overtime.hours);
+  compare('overtime', 'Overtime pay', 'amount', totals.overtime_pay + totals.double_time_pay, overtime.amount);
+
+  // Differentials, matched to stub lines by name
+  const expectedDifferentials = new Map<string, number>();
+  expectedLines
+    .filter(line => line.category === 'differential')
+    .forEach(line => {
+      const name = differentialName(line.label);
+      expectedDifferentials.set(name, (expectedDifferentials.get(name) || 0) + line.amount);
+    });
+  const stubDifferentials = earnings.filter(e => e.category === 'differential');
+  const claimed = new Set<PaystubEarning>();
+  expectedDifferentials.forEach((expected, name) => {
+    const matches = stubDifferentials.filter(e => !claimed.has(e) && labelMatchesDifferential(e.label, name));
+    if (matches.length === 0) {
+      compare('missing_differential', name, 'amount', expected, 0);
+      return;
+    }
+    matches.forEach(e => claimed.add(e));
+    compare('differential', name, 'amount', expected, matches.reduce((sum, e) => sum + (Number(e.amount) || 0), 0));
+  });
+
+  // On-call and callback
+  compare('special_pay', 'On-call pay', 'amount', totals.on_call_pay, sumEarnings(earnings, ['on_call']).amount);
+  compare('special_pay', 'Callback pay', 'amount', totals.callback_pay, sumEarnings(earnings, ['callback']).amount);
+
+  compare('gross', 'Gross pay', 'amount', totals.gross_pay, actualGross);
+
+  // Withholding is checked against the gross actually paid so a short pay is not double counted
+  let expectedTaxes: PaystubTaxes | null = null;
+  if (options.withholding) {
+    const withholding = calculateWithholding(actualGross, options.withholding, options.withholdingOptions);
+    expectedTaxes = {
+      federal_income_tax: withholding.federal_income_tax,
+      state_income_tax: withholding.state_income_tax,
+      social_security: withholding.social_security,
+      medicare: round2(withholding.medicare + withholding.additional_medicare),
+    };
+    const taxLabels: Record<keyof PaystubTaxes, string> = {
+      federal_income_tax: 'Federal income tax',
+      state_income_tax: 'State income tax',
+      social_security: 'Social Security',
+      medicare: 'Medicare',
+    };
+    (Object.keys(taxLabels) as Array<keyof PaystubTaxes>).forEach(field => {
+      const actual = paystub.taxes?.[field];
+      if (actual === undefined || actual === null) return;
+      compare('tax', taxLabels[field], 'amount', expectedTaxes![field] || 0, Number(actual) || 0);
+    });
+  }
+
+  return {
+    period_start: paystub.period_start,
+    period_end: paystub.period_end,
+    employer: employer ? employer.employer : paystub.employer || null,
+    shift_ids: shiftIds,
+    expected_lines: expectedLines,
+    expected_totals: totals,
+    expected_gross: round2(totals.gross_pay),
+    actual_gross: round2(actualGross),
+    difference: round2(actualGross - totals.gross_pay),
+    expected_taxes: expectedTaxes,
+    discrepancies,
+    status: discrepancies.length > 0 ? 'unresolved' : 'matched',
+  };
+};
+
+/**
+ * Total amount the stub came up short across pay discrepancies (taxes excluded)
+ * @param discrepancies - Discrepancies from {@link reconcilePaystub}
+ * @returns Positive shortfall in dollars
+ */
+export const paystubShortfall = (discrepancies: PaystubDiscrepancy[]): number => {
+  const gross = discrepancies.find(d => d.kind === 'gross');
+  if (gross) return gross.difference < 0 ? round2(-gross.difference) : 0;
+  return 0;
+};
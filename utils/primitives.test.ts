@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Tests for the shared number and date primitives
+ * @description Covers cent rounding, lenient number parsing, start-of-day
+ * dates, day keys and month-end clamping
+ */
+
+import { describe, it, expect } from 'vitest';
+import { onDayOfMonth, round2, round4, toDateKey, toDay, today, toNumber } from './primitives';
+
+describe('numbers', () => {
+  it('rounds to cents and reads saved numeric fields', () => {
+    expect(round2(10.005 + 0.001)).toBe(10.01);
+    expect(round2(-3.333)).toBe(-3.33);
+    expect(round4(7.66666)).toBe(7.6667);
+    expect(toNumber('42.5')).toBe(42.5);
+    expect(toNumber(7)).toBe(7);
+    expect([undefined, null, '', 'abc', NaN, Infinity].map(toNumber)).toEqual([0, 0, 0, 0, 0, 0]);
+  });
+});
+
+describe('dates', () => {
+  it('takes the local start of day and returns null for missing or invalid values', () => {
+    expect(toDay('2025-03-09T18:45:00')).toEqual(new Date(2025, 2, 9));
+    expect(toDay(new Date(2025, 2, 9, 23, 59))).toEqual(new Date(2025, 2, 9));
+    expect([undefined, null, '', 'soon'].map(toDay)).toEqual([null, null, null, null]);
+    expect(toDateKey(today())).toBe(toDateKey(new Date()));
+    expect(today().getHours()).toBe(0);
+  });
+
+  it('clamps a day of month to the month end', () => {
+    expect(toDateKey(onDayOfMonth(new Date(2025, 1, 10), 31))).toBe('2025-02-28');
+    expect(toDateKey(onDayOfMonth(new Date(2024, 1, 10), 30))).toBe('2024-02-29');
+    expect(toDateKey(onDayOfMonth(new Date(2025, 6, 1), 15))).toBe('2025-07-15');
+  });
+});
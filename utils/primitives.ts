@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Number and date primitives shared by the finance engines
+ * @description Rounding to cents, lenient parsing of saved numeric fields, and
+ * local calendar days: start-of-day dates, yyyy-MM-dd keys and month-end
+ * clamping. Every engine reads amounts and dates through these so a missing or
+ * malformed value is handled the same way everywhere.
+ */
+
+import { format, getDaysInMonth, parseISO } from 'date-fns';
+
+// ============================================================================
+// Numbers
+// ============================================================================
+
+/**
+ * Round to cents
+ * @param value - Amount
+ * @returns Amount rounded to two decimals
+ */
+export const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+/**
+ * Round hours and hourly rates to four decimals so minute-level shift lengths
+ * and fractional differentials survive summing
+ * @param value - Hours or rate
+ * @returns Value rounded to four decimals
+ */
+export const round4 = (value: number): number => Math.round(value * 10000) / 10000;
+
+/**
+ * Number from a saved field that may be a number, a numeric string or missing
+ * @param value - Saved value
+ * @returns Parsed number, or 0 when it is not finite
+ */
+export const toNumber = (value: unknown): number => {
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// ============================================================================
+// Dates
+// ============================================================================
+
+/**
+ * Local start of day for a date or an ISO date string; any time part is dropped
+ * @param value - Date or yyyy-MM-dd (or longer ISO) string
+ * @returns Start of that day, or null when missing or invalid
+ */
+export const toDay = (value: string | Date | undefined | null): Date | null => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : parseISO(String(value).slice(0, 10));
+  return Number.isNaN(date.getTime()) ? null : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Start of the current day
+ * @returns Today at midnight local time
+ */
+export const today = (): Date => toDay(new Date())!;
+
+/**
+ * Calendar day key
+ * @param date - Date
+ * @returns yyyy-MM-dd in local time
+ */
+export const toDateKey = (date: Date): string => format(date, 'yyyy-MM-dd');
+
+/**
+ * Day `day` of the month `date` falls in, or that month's last day when shorter
+ * @param date - Any date in the month
+ * @param day - Day of month, 1-31
+ * @returns Date in the same month
+ */
+export const onDayOfMonth = (date: Date, day: number): Date =>
+  new Date(date.getFullYear(), date.getMonth(), Math.min(day, getDaysInMonth(date)));
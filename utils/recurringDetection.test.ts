@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Tests for recurring transaction detection
+ * @description Covers merchant normalization, each cadence, amount banding,
+ * variable bills, inactive series and bill conversion
+ */
+
+import { describe, it, expect } from 'vitest';
+import { format, addDays, addMonths } from 'date-fns';
+import {
+  detectRecurringSeries,
+  isSeriesTracked,
+  normalizeMerchant,
+  seriesToBill,
+  type RecurringTransactionInput,
+} from './recurringDetection';
+
+const day = (date: Date): string => format(date, 'yyyy-MM-dd');
+
+const monthly = (description: string, amount: number, count: number, start = new Date(2025, 0, 15)): RecurringTransactionInput[] =>
+  Array.from({ length: count }, (_, i) => ({
+    id: `${description}-${i}`,
+    description: `${description} #${1000 + i}`,
+    amount,
+    type: 'expense',
+    date: day(addMonths(start, i)),
+  }));
+
+describe('normalizeMerchant', () => {
+  it('strips processor prefixes, reference codes and store numbers', () => {
+    expect(normalizeMerchant('POS DEBIT NETFLIX.COM #4432 CA')).toBe('netflix com ca');
+    expect(normalizeMerchant('AMZN Mktp US*2K3L91')).toBe('amzn mktp us');
+    expect(normalizeMerchant('PAYPAL *SPOTIFY')).toBe('spotify');
+    expect(normalizeMerchant('1234')).toBe('');
+  });
+});
+
+describe('detectRecurringSeries', () => {
+  it('detects a monthly subscription and predicts the next charge', () => {
+    const [series] = detectRecurringSeries(monthly('NETFLIX.COM', 15.49, 6), { as_of: '2025-06-20' });
+
+    expect(series).toMatchObject({
+      name: 'NETFLIX.COM',
+      cadence: 'monthly',
+      direction: 'expense',
+      average_amount: 15.49,
+      fixed_amount: true,
+      occurrences: 6,
+      next_date: '2025-07-15',
+      is_active: true,
+      suggested_kind: 'subscription',
+    });
+    expect(series.confidence).toBeGreaterThan(0.9);
+    expect(series.transaction_ids).toHaveLength(6);
+  });
+
+  it('tells weekly, biweekly and semimonthly income apart', () => {
+    const start = new Date(2025, 0, 3);
+    const weekly = Array.from({ length: 8 }, (_, i) => ({ description: 'Cleaning gig', amount: 80, date: day(addDays(start, i * 7)) }));
+    const biweekly = Array.from({ length: 8 }, (_, i) => ({ description: 'ACME PAYROLL', amount: 1800, date: day(addDays(start, i * 14)) }));
+    const semimonthly = [0, 1, 2, 3, 4, 5].flatMap(m => [
+      { description: 'County Hospital Payroll', amount: 2100, date: day(new Date(2025, m, 1)) },
+      { description: 'County Hospital Payroll', amount: 2100, date: day(new Date(2025, m, 15)) },
+    ]);
+
+    const found = detectRecurringSeries([...weekly, ...biweekly, ...semimonthly], { as_of: '2025-06-16' });
+    const cadenceOf = (key: string) => found.find(s => s.merchant_key === key)?.cadence;
+
+    expect(cadenceOf('cleaning gig')).toBe('weekly');
+    expect(cadenceOf('acme payroll')).toBe('biweekly');
+    expect(cadenceOf('county hospital payroll')).toBe('semimonthly');
+    expect(found.find(s => s.merchant_key === 'county hospital payroll')).toMatchObject({
+      direction: 'income',
+      suggested_kind: 'income',
+      next_date: '2025-07-01',
+    });
+  });
+
+  it('detects annual renewals from two charges', () => {
+    const found = detectRecurringSeries([
+      { description: 'Amazon Prime', amount: -139, date: '2024-03-02' },
+      { description: 'Amazon Prime', amount: -139, date: '2025-03-03' },
+    ], { as_of: '2025-04-01' });
+
+    expect(found[0]).toMatchObject({ cadence: 'annual', next_date: '2026-03-03' });
+  });
+
+  it('separates a steady plan from one-off purchases at the same merchant', () => {
+    const plan = monthly('AMZN Mktp US*2K3L91', 14.99, 5);
+    const oneOffs = [
+      { description: 'AMZN Mktp US*9XZ', amount: 63.2, type: 'expense', date: '2025-02-03' },
+      { description: 'AMZN Mktp US*1AB', amount: 8.5, type: 'expense', date: '2025-03-21' },
+      { description: 'AMZN Mktp US*7QQ', amount: 220, type: 'expense', date: '2025-03-22' },
+    ];
+
+    const found = detectRecurringSeries([...plan, ...oneOffs], { as_of: '2025-05-20' });
+
+    expect(found).toHaveLength(1);
+    expect(found[0]).toMatchObject({ average_amount: 14.99, occurrences: 5 });
+  });
+
+  it('keeps variable bills together and suggests a bill', () => {
+    const amounts = [92.1, 141.75, 118.4, 76.3, 104.9];
+    const electric = amounts.map((amount, i) => ({
+      description: 'CITY ELECTRIC UTILITY',
+      amount,
+      type: 'expense',
+      category: 'Utilities',
+      date: day(addDays(addMonths(new Date(2025, 0, 8), i), i % 2)),
+    }));
+
+    const [series] = detectRecurringSeries(electric, { as_of: '2025-05-20' });
+
+    expect(series).toMatchObject({ cadence: 'monthly', fixed_amount: false, suggested_kind: 'bill', max_amount: 141.75 });
+    expect(series.confidence).toBeLessThanOrEqual(0.95);
+  });
+
+  it('marks series whose next charge never came as inactive', () => {
+    const [series] = detectRecurringSeries(monthly('Gym Membership', 40, 4), { as_of: '2025-08-01' });
+
+    expect(series.is_active).toBe(false);
+  });
+
+  it('ignores irregular spending', () => {
+    const found = detectRecurringSeries([
+      { description: 'Corner Cafe', amount: -4.5, date: '2025-01-02' },
+      { description: 'Corner Cafe', amount: -4.5, date: '2025-01-05' },
+      { description: 'Corner Cafe', amount: -4.5, date: '2025-01-19' },
+      { description: 'Corner Cafe', amount: -4.5, date: '2025-02-27' },
+    ]);
+
+    expect(found).toEqual([]);
+  });
+});
+
+describe('seriesToBill', () => {
+  it('builds a subscription bill and recognizes it once saved', () => {
+    const [series] = detectRecurringSeries(monthly('NETFLIX.COM', 15.49, 4), { as_of: '2025-04-20' });
+
+    const bill = seriesToBill(series);
+
+    expect(bill).toEqual({
+      name: 'NETFLIX.COM',
+      amount: 15.49,
+      category: 'subscriptions',
+      due_date: 15,
+      frequency: 'monthly',
+      is_recurring: true,
+      status: 'active',
+      last_paid_date: '2025-04-15',
+      detected_from: series.key,
+    });
+    expect(isSeriesTracked(series, [bill!])).toBe(true);
+    expect(isSeriesTracked(series, [{ name: 'Netflix.com' }])).toBe(true);
+    expect(isSeriesTracked(series, [{ name: 'Hulu' }])).toBe(false);
+  });
+
+  it('does not turn income into a bill', () => {
+    const [series] = detectRecurringSeries(
+      Array.from({ length: 4 }, (_, i) => ({ description: 'Payroll', amount: 900, date: day(addDays(new Date(2025, 0, 3), i * 14)) })),
+      { as_of: '2025-02-20' }
+    );
+
+    expect(seriesToBill(series)).toBeNull();
+  });
+});
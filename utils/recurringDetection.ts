@@ -0,0 +1,454 @@
+/**
+ * @fileoverview Recurring transaction detection
+ * @description Finds repeating charges and deposits in transaction history:
+ * transactions are clustered by normalized merchant and amount, each cluster's
+ * cadence (weekly, biweekly, semimonthly, monthly, annual) is inferred from the
+ * gaps between dates, and the next occurrence is predicted. Runs in the
+ * calculations worker (`DETECT_RECURRING`) and on the main thread as a fallback.
+ */
+
+import { addDays, addMonths, addYears, differenceInCalendarDays, getDaysInMonth, parseISO } from 'date-fns';
+import { onDayOfMonth, round2, toDateKey } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Supported cadences, shortest first
+ */
+export type RecurringCadence = 'weekly' | 'biweekly' | 'semimonthly' | 'monthly' | 'annual';
+
+/**
+ * Transaction fields the detector reads
+ */
+export interface RecurringTransactionInput {
+  id?: string;
+  description?: string;
+  /** Used when there is no description */
+  title?: string;
+  amount: number | string;
+  /** Amounts are unsigned when a type is given */
+  type?: 'income' | 'expense' | string;
+  date: string;
+  category?: string;
+}
+
+/**
+ * Detection options
+ */
+export interface RecurringDetectionOptions {
+  /** Relative amount difference allowed within one series (default 0.2) */
+  amount_tolerance?: number;
+  /** Absolute amount difference always allowed, for small charges (default 1) */
+  amount_tolerance_abs?: number;
+  /** Series below this confidence are dropped (default 0.5) */
+  min_confidence?: number;
+  /** Reference date for activity checks, yyyy-MM-dd (default today) */
+  as_of?: string;
+}
+
+/**
+ * A detected recurring series
+ */
+export interface RecurringSeries {
+  /** Stable id: direction, merchant key, cadence and typical amount */
+  key: string;
+  /** Normalized merchant used for clustering */
+  merchant_key: string;
+  /** Most common original description */
+  name: string;
+  direction: 'income' | 'expense';
+  cadence: RecurringCadence;
+  /** 0-1: how regular the dates and amounts are, and how much history backs them */
+  confidence: number;
+  average_amount: number;
+  last_amount: number;
+  min_amount: number;
+  max_amount: number;
+  /** True when every amount is within a cent of the average */
+  fixed_amount: boolean;
+  /** Every charge in date order, for price-change tracking */
+  amount_history: Array<{ date: string; amount: number }>;
+  occurrences: number;
+  first_date: string;
+  last_date: string;
+  next_date: string;
+  /** False when the predicted next date has passed without a charge */
+  is_active: boolean;
+  category?: string;
+  /** Whether the series looks like a subscription or a variable bill (or is income) */
+  suggested_kind: 'subscription' | 'bill' | 'income';
+  transaction_ids: string[];
+}
+
+/**
+ * Bill fields for a detected series, in the shape the bill forms save
+ */
+export interface RecurringBillDraft {
+  name: string;
+  amount: number;
+  category: string;
+  /** Day of month */
+  due_date: number;
+  frequency: 'weekly' | 'biweekly' | 'monthly' | 'annually';
+  is_recurring: true;
+  status: 'active';
+  last_paid_date: string;
+  /** Series key, so the detector can tell the series is already tracked */
+  detected_from: string;
+}
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+interface CadenceSpec {
+  cadence: RecurringCadence;
+  days: number;
+  tolerance: number;
+  min_occurrences: number;
+}
+
+const CADENCES: CadenceSpec[] = [
+  { cadence: 'weekly', days: 7, tolerance: 1, min_occurrences: 3 },
+  { cadence: 'biweekly', days: 14, tolerance: 1, min_occurrences: 3 },
+  { cadence: 'semimonthly', days: 365.25 / 24, tolerance: 3, min_occurrences: 3 },
+  { cadence: 'monthly', days: 365.25 / 12, tolerance: 4, min_occurrences: 3 },
+  { cadence: 'annual', days: 365.25, tolerance: 10, min_occurrences: 2 },
+];
+
+/** Share of gaps that must fit the cadence */
+const MIN_REGULARITY = 0.6;
+
+/** Categories that are bills even when the amount never changes */
+const BILL_CATEGORIES = /(util|electric|water|gas|power|rent|mortgage|housing|insurance|loan|phone|internet|tax|child ?care|tuition)/i;
+
+const BANK_NOISE = [
+  /^(pos|debit card|debit|card|visa|mc|checkcard|check card|recurring|ach|online|web|preauthorized|pre-auth|purchase|payment to|payment|pmt|autopay|auto pay|sq|tst|pp|paypal)\b[\s*:#-]*/,
+];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const median = (values: number[]): number => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mostCommon = (values: string[]): string | undefined => {
+  const counts = new Map<string, number>();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let best: string | undefined;
+  counts.forEach((count, value) => {
+    if (best === undefined || count > (counts.get(best) || 0)) best = value;
+  });
+  return best;
+};
+
+/**
+ * Normalize a bank description to a merchant key: drops processor prefixes,
+ * store and reference numbers, and punctuation.
+ * @param description - Transaction description as exported by the bank
+ * @returns Lower-case merchant key (empty when nothing is left)
+ * @example normalizeMerchant('POS DEBIT NETFLIX.COM #4432 CA') // 'netflix com ca'
+ */
+export const normalizeMerchant = (description: string | undefined): string => {
+  let text = (description || '').toLowerCase();
+  // Processor suffixes after '*' are per-charge reference codes (e.g. AMZN Mktp US*2K3L)
+  text = text.replace(/\*[a-z0-9]*\d[a-z0-9]*/g, ' ');
+  let previous = '';
+  while (previous !== text) {
+    previous = text;
+    text = text.trim();
+    BANK_NOISE.forEach(pattern => { text = text.replace(pattern, ''); });
+  }
+  return text
+    .replace(/#\s*\d+/g, ' ')
+    .replace(/\b[a-z]*\d[a-z0-9]*\b/g, ' ')
+    .replace(/[^a-z&' ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Description without per-charge reference codes, for display
+ */
+const displayName = (description: string): string =>
+  description
+    .replace(/\*[A-Za-z0-9]*\d[A-Za-z0-9]*/g, '')
+    .replace(/#\s*\d+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+interface Observation {
+  id?: string;
+  name: string;
+  amount: number;
+  date: Date;
+  dateKey: string;
+  category?: string;
+}
+
+/**
+ * Split observations into amount bands. A band grows while the next amount is
+ * within the tolerance of the band's smallest amount.
+ */
+const splitByAmount = (items: Observation[], relative: number, absolute: number): Observation[][] => {
+  const sorted = [...items].sort((a, b) => a.amount - b.amount);
+  const bands: Observation[][] = [];
+  sorted.forEach(item => {
+    const band = bands[bands.length - 1];
+    if (band && item.amount <= band[0].amount * (1 + relative) + absolute) band.push(item);
+    else bands.push([item]);
+  });
+  return bands;
+};
+
+/**
+ * Share of gaps that fit a cadence. A gap of two periods (one missed charge)
+ * counts half.
+ */
+const fitRegularity = (gaps: number[], spec: CadenceSpec): number => {
+  if (gaps.length === 0) return 0;
+  const score = gaps.reduce((sum, gap) => {
+    if (Math.abs(gap - spec.days) <= spec.tolerance) return sum + 1;
+    if (Math.abs(gap - spec.days * 2) <= spec.tolerance * 2) return sum + 0.5;
+    return sum;
+  }, 0);
+  return score / gaps.length;
+};
+
+/**
+ * The two days of the month a semimonthly series lands on. Days at the end of
+ * the month are treated as "last day" so 28/30/31 line up.
+ */
+const semimonthlyAnchors = (dates: Date[]): [number, number] => {
+  const days = dates.map(d => (d.getDate() >= getDaysInMonth(d) - 2 ? 31 : d.getDate())).sort((a, b) => a - b);
+  // Split at the widest gap between observed days (1st/15th, 15th/last, 5th/20th...)
+  let split = 1;
+  for (let i = 1; i < days.length; i++) {
+    if (days[i] - days[i - 1] > days[split] - days[split - 1]) split = i;
+  }
+  return [Math.round(median(days.slice(0, split))), Math.round(median(days.slice(split)))];
+};
+
+const onAnchor = (date: Date, anchor: number): boolean => {
+  const day = Math.min(anchor, getDaysInMonth(date));
+  return Math.abs(date.getDate() - day) <= 3;
+};
+
+/**
+ * Semimonthly needs both gap regularity and dates pinned to two days of the
+ * month; a biweekly series drifts across the month instead.
+ */
+const semimonthlyRegularity = (dates: Date[], gaps: number[], spec: CadenceSpec): number => {
+  const [first, second] = semimonthlyAnchors(dates);
+  const pinned = dates.filter(d => onAnchor(d, first) || onAnchor(d, second)).length / dates.length;
+  return fitRegularity(gaps, spec) * pinned;
+};
+
+const predictNext = (cadence: RecurringCadence, dates: Date[]): Date => {
+  const last = dates[dates.length - 1];
+  switch (cadence) {
+    case 'weekly':
+      return addDays(last, 7);
+    case 'biweekly':
+      return addDays(last, 14);
+    case 'semimonthly': {
+      const [first, second] = semimonthlyAnchors(dates);
+      const candidates = [
+        onDayOfMonth(last, first),
+        onDayOfMonth(last, second),
+        onDayOfMonth(addMonths(last, 1), first),
+        onDayOfMonth(addMonths(last, 1), second),
+      ];
+      return candidates.find(d => differenceInCalendarDays(d, last) > 5) ?? addDays(last, 15);
+    }
+    case 'monthly': {
+      // Keep the usual day of month rather than drifting with weekend shifts
+      const day = Math.round(median(dates.map(d => d.getDate())));
+      return onDayOfMonth(addMonths(last, 1), day);
+    }
+    case 'annual':
+      return addYears(last, 1);
+  }
+};
+
+const periodDays = (cadence: RecurringCadence): number => CADENCES.find(c => c.cadence === cadence)!.days;
+
+/**
+ * Fit the best cadence to one cluster
+ * @returns Series, or null when no cadence fits well enough
+ */
+const fitSeries = (
+  items: Observation[],
+  merchantKey: string,
+  direction: RecurringSeries['direction'],
+  asOf: Date
+): RecurringSeries | null => {
+  const sorted = [...items].sort((a, b) => a.date.getTime() - b.date.getTime());
+  // Several charges on one day count once for timing
+  const dates = sorted
+    .filter((item, i) => i === 0 || item.dateKey !== sorted[i - 1].dateKey)
+    .map(item => item.date);
+  const gaps = dates.slice(1).map((d, i) => differenceInCalendarDays(d, dates[i]));
+
+  let best: { spec: CadenceSpec; regularity: number } | null = null;
+  CADENCES.forEach(spec => {
+    if (dates.length < spec.min_occurrences) return;
+    const regularity = spec.cadence === 'semimonthly'
+      ? semimonthlyRegularity(dates, gaps, spec)
+      : fitRegularity(gaps, spec);
+    // Ties go to the shorter cadence, which is listed first
+    if (regularity >= MIN_REGULARITY && (!best || regularity > best.regularity)) best = { spec, regularity };
+  });
+  if (!best) return null;
+  const { spec, regularity } = best as { spec: CadenceSpec; regularity: number };
+
+  const amounts = sorted.map(item => item.amount);
+  const average = amounts.reduce((sum, a) => sum + a, 0) / amounts.length;
+  const spread = Math.sqrt(amounts.reduce((sum, a) => sum + (a - average) ** 2, 0) / amounts.length);
+  const amountScore = average > 0 ? Math.max(0, 1 - spread / average) : 0;
+  // Two extra periods of history beyond the minimum earn full credit
+  const historyScore = Math.min(1, gaps.length / (spec.min_occurrences + 1));
+  const confidence = round2(0.6 * regularity + 0.25 * amountScore + 0.15 * historyScore);
+
+  const next = predictNext(spec.cadence, dates);
+  const grace = Math.max(3, Math.round(periodDays(spec.cadence) * 0.25));
+  const fixed = amounts.every(a => Math.abs(a - average) < 0.01);
+  // A flat price with the occasional step (a plan price increase) still reads as a subscription
+  const priceSteps = amounts.slice(1).filter((a, i) => Math.abs(a - amounts[i]) >= 0.01).length;
+  const steady = priceSteps <= Math.max(1, Math.floor(amounts.length / 6));
+  const category = mostCommon(sorted.map(item => item.category).filter((c): c is string => Boolean(c)));
+  const suggestedKind: RecurringSeries['suggested_kind'] = direction === 'income'
+    ? 'income'
+    : steady && !BILL_CATEGORIES.test(`${category ?? ''} ${merchantKey}`)
+      ? 'subscription'
+      : 'bill';
+
+  return {
+    key: `${direction}:${merchantKey}:${spec.cadence}:${Math.round(median(amounts))}`,
+    merchant_key: merchantKey,
+    name: mostCommon(sorted.map(item => item.name)) ?? merchantKey,
+    direction,
+    cadence: spec.cadence,
+    confidence,
+    average_amount: round2(average),
+    last_amount: round2(amounts[amounts.length - 1]),
+    min_amount: round2(Math.min(...amounts)),
+    max_amount: round2(Math.max(...amounts)),
+    fixed_amount: fixed,
+    amount_history: sorted.map(item => ({ date: item.dateKey, amount: round2(item.amount) })),
+    occurrences: sorted.length,
+    first_date: sorted[0].dateKey,
+    last_date: sorted[sorted.length - 1].dateKey,
+    next_date: toDateKey(next),
+    is_active: differenceInCalendarDays(asOf, next) <= grace,
+    ...(category ? { category } : {}),
+    suggested_kind: suggestedKind,
+    transaction_ids: sorted.map(item => item.id).filter((id): id is string => Boolean(id)),
+  };
+};
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+/**
+ * Detect recurring series in transaction history
+ * @param transactions - Transactions (any order). Amounts may be signed, or
+ * unsigned with `type` income/expense.
+ * @param options - Tolerances, confidence cut-off and reference date
+ * @returns Series sorted by confidence, highest first
+ */
+export const detectRecurringSeries = (
+  transactions: RecurringTransactionInput[],
+  options: RecurringDetectionOptions = {}
+): RecurringSeries[] => {
+  const relative = options.amount_tolerance ?? 0.2;
+  const absolute = options.amount_tolerance_abs ?? 1;
+  const minConfidence = options.min_confidence ?? 0.5;
+  const asOf = options.as_of ? parseISO(options.as_of) : new Date();
+
+  const groups = new Map<string, Observation[]>();
+  transactions.forEach(t => {
+    const raw = typeof t.amount === 'number' ? t.amount : parseFloat(t.amount);
+    const dateKey = String(t.date || '').slice(0, 10);
+    const date = parseISO(dateKey);
+    const description = t.description || t.title || '';
+    const merchantKey = normalizeMerchant(description);
+    if (!Number.isFinite(raw) || raw === 0 || Number.isNaN(date.getTime()) || !merchantKey) return;
+
+    const direction = t.type === 'income' || t.type === 'expense' ? t.type : raw > 0 ? 'income' : 'expense';
+    const groupKey = `${direction}|${merchantKey}`;
+    const group = groups.get(groupKey) ?? [];
+    group.push({ id: t.id, name: displayName(description), amount: Math.abs(raw), date, dateKey, category: t.category });
+    groups.set(groupKey, group);
+  });
+
+  const series: RecurringSeries[] = [];
+  groups.forEach((items, groupKey) => {
+    const [direction, merchantKey] = groupKey.split('|') as [RecurringSeries['direction'], string];
+    if (items.length < 2) return;
+
+    // Steady amounts first (a $15.49 plan among one-off purchases at the same store)
+    const banded = splitByAmount(items, relative, absolute)
+      .map(band => fitSeries(band, merchantKey, direction, asOf))
+      .filter((s): s is RecurringSeries => s !== null);
+    if (banded.some(s => s.is_active)) {
+      series.push(...banded);
+      return;
+    }
+    // Then the merchant as a whole, for bills whose amount varies (utilities)
+    // and for plans whose price jumped past the tolerance
+    const whole = fitSeries(items, merchantKey, direction, asOf);
+    if (whole && (whole.is_active || banded.length === 0)) series.push(whole);
+    else series.push(...banded);
+  });
+
+  return series
+    .filter(s => s.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence || b.occurrences - a.occurrences);
+};
+
+/**
+ * Bill fields for a detected expense series
+ * @param series - Detected series
+ * @param kind - Track as a subscription or a bill (defaults to the suggestion)
+ * @returns Bill draft, or null for income and semimonthly series (bills repeat on one day)
+ */
+export const seriesToBill = (
+  series: RecurringSeries,
+  kind: 'subscription' | 'bill' = series.suggested_kind === 'subscription' ? 'subscription' : 'bill'
+): RecurringBillDraft | null => {
+  if (series.direction !== 'expense' || series.cadence === 'semimonthly') return null;
+  const frequency: RecurringBillDraft['frequency'] = series.cadence === 'annual' ? 'annually' : series.cadence;
+  return {
+    name: series.name,
+    // Subscriptions bill at the current price; variable bills are budgeted at their recent high
+    amount: kind === 'subscription' ? series.last_amount : series.max_amount,
+    category: kind === 'subscription' ? 'subscriptions' : series.category || 'bills',
+    due_date: parseISO(series.next_date).getDate(),
+    frequency,
+    is_recurring: true,
+    status: 'active',
+    last_paid_date: series.last_date,
+    detected_from: series.key,
+  };
+};
+
+/**
+ * Whether a saved bill already tracks a series, by the key it was created
+ * from or by a matching merchant name
+ * @param series - Detected series
+ * @param bills - Saved bills
+ * @returns True when the series needs no conversion
+ */
+export const isSeriesTracked = (
+  series: RecurringSeries,
+  bills: Array<{ name?: string; detected_from?: string }>
+): boolean =>
+  bills.some(b => b.detected_from === series.key || (!!b.name && normalizeMerchant(b.name) === series.merchant_key));
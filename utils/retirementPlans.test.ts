@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Tests for workplace retirement plans
+ * @description Covers tiered employer matches, deferral limits with catch-ups,
+ * the shared 401(k)/403(b) limit, vesting schedules and balance projections
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ageAtYearEnd,
+  annualDeferralLimit,
+  employerMatch,
+  paycheckContributions,
+  projectRetirement,
+  vestedPercent,
+  ytdDeferrals,
+  type RetirementPlan,
+} from './retirementPlans';
+
+const MATCH_3_PLUS_2 = [
+  { match_percent: 100, pay_percent: 3 },
+  { match_percent: 50, pay_percent: 2 },
+];
+
+const plan = (overrides: Partial<RetirementPlan>): RetirementPlan => ({
+  id: 'p',
+  plan_type: '403b',
+  contribution_percent: 6,
+  ...overrides,
+});
+
+describe('employerMatch', () => {
+  it('matches 100% of the first 3% and 50% of the next 2%', () => {
+    const p = plan({ match_tiers: MATCH_3_PLUS_2 });
+    expect(employerMatch(p, 2000, 6)).toBe(80);
+    expect(employerMatch(p, 2000, 4)).toBe(70);
+    expect(employerMatch(p, 2000, 0)).toBe(0);
+    expect(employerMatch({ ...p, nonelective_percent: 2 }, 2000, 0)).toBe(40);
+  });
+});
+
+describe('annualDeferralLimit', () => {
+  it('adds the catch-up from 50 and the larger one at 60 through 63', () => {
+    expect(annualDeferralLimit(2025, 45)).toBe(23500);
+    expect(annualDeferralLimit(2025, 52)).toBe(31000);
+    expect(annualDeferralLimit(2025, 61)).toBe(34750);
+    expect(annualDeferralLimit(2026, 64)).toBe(32500);
+    expect(annualDeferralLimit(2030, null)).toBe(24500);
+    expect(ageAtYearEnd('1975-12-31', 2025)).toBe(50);
+    expect(ageAtYearEnd(undefined, 2025)).toBeNull();
+  });
+});
+
+describe('paycheckContributions', () => {
+  it('stops deferring at the annual limit and splits out Roth money', () => {
+    const [check] = paycheckContributions(
+      [plan({ id: 'a', plan_type: '401k', contribution_percent: 10, roth_percent: 25, match_tiers: MATCH_3_PLUS_2 })],
+      5000,
+      { year: 2025, age: 40, ytd: { a: 23200 } }
+    );
+    expect(check).toEqual({
+      plan_id: 'a',
+      name: '401(k)',
+      plan_type: '401k',
+      requested: 500,
+      pre_tax: 225,
+      roth: 75,
+      employer: 200,
+      limited: true,
+    });
+  });
+
+  it('shares one limit between 401(k) and 403(b) plans but not a 457(b)', () => {
+    const checks = paycheckContributions(
+      [
+        plan({ id: 'a', plan_type: '403b', contribution_percent: 10 }),
+        plan({ id: 'b', plan_type: '457b', contribution_percent: 10 }),
+        plan({ id: 'c', plan_type: '401k', contribution_percent: 5 }),
+      ],
+      10000,
+      { year: 2025, age: 40, ytd: { a: 23000 } }
+    );
+    expect(checks.map(c => c.pre_tax)).toEqual([500, 1000, 0]);
+  });
+
+  it('defers the full percent until the annual limit rather than a share of it per check', () => {
+    const big = plan({ id: 'a', plan_type: '401k', contribution_percent: 50 });
+    expect(paycheckContributions([big], 20000, { year: 2025, age: 40 })[0]).toMatchObject({ pre_tax: 10000, limited: false });
+    expect(paycheckContributions([big], 20000, { year: 2025, age: 40, ytd: { a: 20000 } })[0]).toMatchObject({ pre_tax: 3500, limited: true });
+  });
+});
+
+describe('ytdDeferrals', () => {
+  it('reads saved year-to-date deferrals for the same year only', () => {
+    const plans = [
+      plan({ id: 'a', ytd_contributions: 4000, ytd_as_of: '2025-05-01' }),
+      plan({ id: 'b', ytd_contributions: '900', ytd_as_of: '2024-12-20' }),
+      plan({ id: 'c', ytd_contributions: 300 }),
+    ];
+    expect(ytdDeferrals(plans, 2025)).toEqual({ a: 4000 });
+    expect(ytdDeferrals(plans, 2024)).toEqual({ b: 900 });
+    expect(ytdDeferrals(null, 2025)).toEqual({});
+  });
+});
+
+describe('vestedPercent', () => {
+  it('follows cliff and graded schedules', () => {
+    const cliff = plan({ vesting_type: 'cliff', vesting_years: 3, hire_date: '2022-06-01' });
+    expect(vestedPercent(cliff, '2025-05-31')).toBe(0);
+    expect(vestedPercent(cliff, '2025-06-01')).toBe(100);
+    expect(vestedPercent({ ...cliff, hire_date: undefined }, '2025-06-01')).toBe(0);
+
+    const graded = plan({ vesting_type: 'graded', vesting_schedule: [0, 20, 40, 60, 80, 100], hire_date: '2020-01-01' });
+    expect(vestedPercent(graded, '2023-06-01')).toBe(40);
+    expect(vestedPercent({ ...graded, vesting_schedule: undefined, vesting_years: 4 }, '2023-06-01')).toBe(75);
+    expect(vestedPercent(plan({}), '2023-06-01')).toBe(100);
+  });
+});
+
+describe('projectRetirement', () => {
+  it('grows balances with deferrals and the match, counting only vested employer money', () => {
+    const projection = projectRetirement(
+      [plan({
+        plan_type: '401k',
+        contribution_percent: 10,
+        match_tiers: [{ match_percent: 100, pay_percent: 4 }],
+        vesting_type: 'cliff',
+        vesting_years: 3,
+        hire_date: '2026-01-01',
+        balance: 10000,
+        employer_balance: 2000,
+      })],
+      { annual_salary: 52000, age: 30, retirement_age: 32, annual_return: 0.1, as_of: '2026-01-01' }
+    );
+
+    expect(projection.points).toEqual([
+      { age: 30, year: 2026, balance: 12000, vested_balance: 10000 },
+      { age: 31, year: 2027, balance: 20480, vested_balance: 16200 },
+      { age: 32, year: 2028, balance: 29808, vested_balance: 23020 },
+    ]);
+    expect(projection.plans[0].vested_percent).toBe(0);
+    expect(projection.employee_contributions).toBe(10400);
+    expect(projection.employer_contributions).toBe(4160);
+    expect(projection.growth).toBe(3248);
+    expect(projection.vested_balance).toBe(23020);
+  });
+
+  it('stops yearly deferrals and the match on them at the limit', () => {
+    const projection = projectRetirement(
+      [plan({ plan_type: '401k', contribution_percent: 50, match_tiers: [{ match_percent: 50, pay_percent: 100 }] })],
+      { annual_salary: 260000, age: 40, retirement_age: 41, annual_return: 0, as_of: '2026-01-01' }
+    );
+
+    expect(projection.employee_contributions).toBe(24500);
+    expect(projection.employer_contributions).toBe(12250);
+  });
+});
@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Workplace retirement plans: deferrals, employer match and vesting
+ * @description Models 401(k), 403(b) and 457(b) plans the way payroll runs them.
+ * Each paycheck defers a percentage of gross pay, split between traditional
+ * (pre-tax) and Roth money, and stops once the year's elective deferral limit
+ * is reached. 401(k) and 403(b) plans share one limit; a 457(b) has its own.
+ * The employer matches each check by tier (e.g. 100% of the first 3% of pay
+ * plus 50% of the next 2%) and that money vests on a cliff or graded schedule.
+ * Balances are projected to retirement age with the same rules.
+ */
+
+import { addYears, differenceInYears, parseISO } from 'date-fns';
+import { round2, toDay, today, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type RetirementPlanType = '401k' | '403b' | '457b';
+
+export type VestingType = 'immediate' | 'cliff' | 'graded';
+
+/**
+ * One tier of an employer match formula. Tiers apply in order to successive
+ * slices of pay: `{ match_percent: 50, pay_percent: 2 }` after a 3% tier reads
+ * "50% of the next 2% of pay".
+ */
+export interface MatchTier {
+  /** Employer dollars per dollar deferred, as a percent (100 = dollar for dollar) */
+  match_percent: number;
+  /** Width of the slice of pay this tier covers, in percent of pay */
+  pay_percent: number;
+}
+
+/**
+ * A workplace plan as stored on PaycheckSettings.retirement_plans
+ */
+export interface RetirementPlan {
+  id: string;
+  /** Employer or plan label shown in the UI */
+  name?: string;
+  plan_type: RetirementPlanType;
+  /** Percent of each paycheck's gross pay deferred, e.g. 6 */
+  contribution_percent: number | string;
+  /** Share of the deferral made as Roth (after-tax), 0-100; the rest is pre-tax */
+  roth_percent?: number | string;
+  match_tiers?: MatchTier[];
+  /** Employer contribution made whether or not you defer, in percent of pay */
+  nonelective_percent?: number | string;
+  vesting_type?: VestingType;
+  /** Cliff: years until fully vested. Graded without a schedule: years to vest evenly */
+  vesting_years?: number | string;
+  /** Graded: vested percent after each completed year of service, e.g. [0, 20, 40, 60, 80, 100] */
+  vesting_schedule?: number[];
+  /** Start of service, for vesting */
+  hire_date?: string;
+  /** Current balance from your own deferrals (always fully vested) */
+  balance?: number | string;
+  /** Current balance from employer contributions, vested or not */
+  employer_balance?: number | string;
+  /** Deferred so far this year, from the latest pay stub */
+  ytd_contributions?: number | string;
+  /** Day `ytd_contributions` was entered, yyyy-MM-dd; it only counts in that year */
+  ytd_as_of?: string;
+}
+
+/**
+ * Annual elective deferral limits; catch-ups apply from the year you turn 50
+ */
+export interface DeferralLimit {
+  base: number;
+  catch_up: number;
+  /** Higher catch-up for the years you turn 60 through 63 */
+  catch_up_60_63: number;
+}
+
+export interface ContributionOptions {
+  year?: number;
+  /** Age attained by the end of `year`; catch-ups are skipped when unknown */
+  age?: number | null;
+  /** Deferrals already made this year by plan id; the check defers until the annual limit is hit */
+  ytd?: Record<string, number>;
+}
+
+/**
+ * What one plan takes from, and adds to, a single paycheck
+ */
+export interface PlanContribution {
+  plan_id: string;
+  name: string;
+  plan_type: RetirementPlanType;
+  /** Deferral the contribution percent asks for */
+  requested: number;
+  pre_tax: number;
+  roth: number;
+  employer: number;
+  /** The deferral was cut back to stay within the annual limit */
+  limited: boolean;
+}
+
+export interface ProjectionOptions {
+  annual_salary: number;
+  /** Age attained this calendar year */
+  age: number;
+  retirement_age: number;
+  /** Yearly investment return, 0.06 = 6% */
+  annual_return: number;
+  /** Yearly raise, 0.03 = 3% (default none) */
+  salary_growth?: number;
+  periods_per_year?: number;
+  as_of?: string | Date;
+}
+
+export interface PlanProjection {
+  plan_id: string;
+  name: string;
+  employee_balance: number;
+  employer_balance: number;
+  balance: number;
+  /** Vested share of the employer balance at retirement */
+  vested_percent: number;
+  /** Balance you keep: your money plus the vested employer money */
+  vested_balance: number;
+  employee_contributions: number;
+  employer_contributions: number;
+}
+
+export interface RetirementProjection {
+  years: number;
+  /** Year-end totals, starting with today's balances */
+  points: Array<{ age: number; year: number; balance: number; vested_balance: number }>;
+  plans: PlanProjection[];
+  balance: number;
+  vested_balance: number;
+  employee_contributions: number;
+  employer_contributions: number;
+  /** Investment growth over the projection */
+  growth: number;
+}
+
+// ============================================================================
+// Constants & Helpers
+// ============================================================================
+
+/**
+ * IRS elective deferral limits by year. Later years reuse the latest known
+ * limit, so projections past it are conservative.
+ */
+export const ELECTIVE_DEFERRAL_LIMITS: Record<number, DeferralLimit> = {
+  2024: { base: 23000, catch_up: 7500, catch_up_60_63: 7500 },
+  2025: { base: 23500, catch_up: 7500, catch_up_60_63: 11250 },
+  2026: { base: 24500, catch_up: 8000, catch_up_60_63: 11250 },
+};
+
+export const PLAN_TYPE_LABELS: Record<RetirementPlanType, string> = {
+  '401k': '401(k)',
+  '403b': '403(b)',
+  '457b': '457(b)',
+};
+
+/** 401(k) and 403(b) deferrals count against one limit; 457(b) plans have their own */
+const limitGroup = (type: RetirementPlanType): '402g' | '457b' => (type === '457b' ? '457b' : '402g');
+
+const percentOf = (value: unknown): number => Math.min(100, Math.max(0, toNumber(value))) / 100;
+
+const limitsFor = (year: number): DeferralLimit => {
+  const years = Object.keys(ELECTIVE_DEFERRAL_LIMITS).map(Number).sort((a, b) => a - b);
+  const known = years.filter(y => y <= year);
+  return ELECTIVE_DEFERRAL_LIMITS[known.length > 0 ? known[known.length - 1] : years[0]];
+};
+
+// ============================================================================
+// Limits, Match and Vesting
+// ============================================================================
+
+/**
+ * Age attained by December 31, which is what catch-up eligibility uses
+ * @param birthDate - ISO birth date
+ * @param year - Calendar year
+ * @returns Age, or null without a usable birth date
+ */
+export const ageAtYearEnd = (birthDate: string | undefined | null, year: number): number | null => {
+  const born = birthDate ? parseISO(birthDate) : null;
+  if (!born || Number.isNaN(born.getTime())) return null;
+  return year - born.getFullYear();
+};
+
+/**
+ * Elective deferral limit for one person in one year, catch-up included
+ * @param year - Calendar year
+ * @param age - Age attained by year end; null skips the catch-up
+ * @returns Annual dollar limit
+ */
+export const annualDeferralLimit = (year: number, age: number | null = null): number => {
+  const limits = limitsFor(year);
+  if (age === null || age < 50) return limits.base;
+  return limits.base + (age >= 60 && age <= 63 ? limits.catch_up_60_63 : limits.catch_up);
+};
+
+/**
+ * Employer contribution on one paycheck
+ * @param plan - Plan with match tiers and any nonelective contribution
+ * @param grossPay - Gross pay for the check
+ * @param deferralPercent - Percent of the check actually deferred
+ * @returns Employer dollars for the check
+ */
+export const employerMatch = (plan: RetirementPlan, grossPay: number, deferralPercent: number): number => {
+  const gross = Math.max(0, toNumber(grossPay));
+  let remaining = Math.max(0, deferralPercent);
+  let match = 0;
+  for (const tier of plan.match_tiers || []) {
+    const covered = Math.min(remaining, Math.max(0, toNumber(tier.pay_percent)));
+    match += gross * (covered / 100) * (Math.max(0, toNumber(tier.match_percent)) / 100);
+    remaining -= covered;
+    if (remaining <= 0) break;
+  }
+  return round2(match + gross * percentOf(plan.nonelective_percent));
+};
+
+/**
+ * Share of employer money you would keep on a given date
+ * @param plan - Plan with its vesting schedule and hire date
+ * @param asOf - Date to check (default today)
+ * @returns Vested percent, 0-100
+ */
+export const vestedPercent = (plan: RetirementPlan, asOf: string | Date = new Date()): number => {
+  const type = plan.vesting_type || 'immediate';
+  if (type === 'immediate') return 100;
+
+  const hired = toDay(plan.hire_date);
+  const years = hired ? Math.max(0, differenceInYears(toDay(asOf) ?? today(), hired)) : 0;
+  const vestingYears = Math.max(1, toNumber(plan.vesting_years) || (type === 'cliff' ? 3 : 6));
+
+  if (type === 'cliff') return years >= vestingYears ? 100 : 0;
+
+  const schedule = plan.vesting_schedule || [];
+  if (schedule.length > 0) {
+    if (years === 0) return 0;
+    return Math.min(100, Math.max(0, toNumber(schedule[Math.min(years, schedule.length) - 1])));
+  }
+  return round2(Math.min(100, (years / vestingYears) * 100));
+};
+
+// ============================================================================
+// Paychecks
+// ============================================================================
+
+/**
+ * Deferrals and employer money for each plan on one paycheck
+ * @param plans - Plans in the order payroll applies them
+ * @param grossPay - Gross pay for the check
+ * @param options - Year, age and year-to-date deferrals
+ * @returns One entry per plan
+ */
+export const paycheckContributions = (
+  plans: RetirementPlan[] | undefined | null,
+  grossPay: number,
+  options: ContributionOptions
+): PlanContribution[] => {
+  const gross = Math.max(0, toNumber(grossPay));
+  const limit = annualDeferralLimit(options.year || new Date().getFullYear(), options.age ?? null);
+  const list = (plans || []).filter(plan => plan && plan.plan_type);
+
+  // Deferrals made earlier in the year and earlier on this check share the limit
+  const used = { '402g': 0, '457b': 0 };
+  list.forEach(plan => { used[limitGroup(plan.plan_type)] += toNumber(options.ytd?.[plan.id]); });
+
+  return list.map(plan => {
+    const group = limitGroup(plan.plan_type);
+    const requested = round2(gross * percentOf(plan.contribution_percent));
+    const deferral = round2(Math.min(requested, Math.max(0, limit - used[group])));
+    used[group] += deferral;
+
+    const roth = round2(deferral * percentOf(plan.roth_percent));
+    return {
+      plan_id: plan.id,
+      name: plan.name || PLAN_TYPE_LABELS[plan.plan_type],
+      plan_type: plan.plan_type,
+      requested,
+      pre_tax: round2(deferral - roth),
+      roth,
+      employer: employerMatch(plan, gross, gross > 0 ? (deferral / gross) * 100 : 0),
+      limited: deferral < requested,
+    };
+  });
+};
+
+// ============================================================================
+// Projection
+// ============================================================================
+
+/**
+ * Deferrals saved on the plans that count toward one year's limit
+ * @param plans - Plans with `ytd_contributions`
+ * @param year - Calendar year
+ * @returns Year-to-date deferrals by plan id; entries from other years are left out
+ */
+export const ytdDeferrals = (plans: RetirementPlan[] | undefined | null, year: number): Record<string, number> => {
+  const ytd: Record<string, number> = {};
+  (plans || []).forEach(plan => {
+    const amount = toNumber(plan?.ytd_contributions);
+    if (amount > 0 && toDay(plan.ytd_as_of)?.getFullYear() === year) ytd[plan.id] = amount;
+  });
+  return ytd;
+};
+
+/**
+ * Project plan balances to retirement age. Each year's paychecks defer and
+ * earn the match at that year's salary until the limit is reached,
+ * contributions land at year end, and balances grow at `annual_return` before them.
+ * @param plans - Plans with current balances
+ * @param options - Salary, ages, return and raise assumptions
+ * @returns Year-by-year totals and per-plan balances at retirement
+ */
+export const projectRetirement = (
+  plans: RetirementPlan[] | undefined | null,
+  options: ProjectionOptions
+): RetirementProjection => {
+  const list = (plans || []).filter(plan => plan && plan.plan_type);
+  const asOf = toDay(options.as_of) ?? today();
+  const startYear = asOf.getFullYear();
+  const periods = Math.max(1, options.periods_per_year || 26);
+  const years = Math.max(0, Math.round(options.retirement_age - options.age));
+  const rate = toNumber(options.annual_return);
+
+  const state = list.map(plan => ({
+    plan,
+    employee: toNumber(plan.balance),
+    employer: toNumber(plan.employer_balance),
+    employee_contributions: 0,
+    employer_contributions: 0,
+  }));
+  const startingBalance = state.reduce((sum, s) => sum + s.employee + s.employer, 0);
+
+  const vestedTotal = (at: Date): number =>
+    state.reduce((sum, s) => sum + s.employee + s.employer * (vestedPercent(s.plan, at) / 100), 0);
+  const total = (): number => state.reduce((sum, s) => sum + s.employee + s.employer, 0);
+
+  const points = [{ age: options.age, year: startYear, balance: round2(total()), vested_balance: round2(vestedTotal(asOf)) }];
+
+  for (let i = 0; i < years; i += 1) {
+    const salary = toNumber(options.annual_salary) * Math.pow(1 + toNumber(options.salary_growth), i);
+    const ytd: Record<string, number> = {};
+    const yearly = list.map(() => ({ employee: 0, employer: 0 }));
+    for (let check = 0; check < periods; check += 1) {
+      paycheckContributions(list, salary / periods, { year: startYear + i, age: options.age + i, ytd })
+        .forEach((c, index) => {
+          ytd[c.plan_id] = (ytd[c.plan_id] || 0) + c.pre_tax + c.roth;
+          yearly[index].employee += c.pre_tax + c.roth;
+          yearly[index].employer += c.employer;
+        });
+    }
+    state.forEach((s, index) => {
+      const { employee, employer } = yearly[index];
+      s.employee = s.employee * (1 + rate) + employee;
+      s.employer = s.employer * (1 + rate) + employer;
+      s.employee_contributions += employee;
+      s.employer_contributions += employer;
+    });
+    points.push({
+      age: options.age + i + 1,
+      year: startYear + i + 1,
+      balance: round2(total()),
+      vested_balance: round2(vestedTotal(addYears(asOf, i + 1))),
+    });
+  }
+
+  const retireDate = addYears(asOf, years);
+  const planResults = state.map(s => {
+    const vested = vestedPercent(s.plan, retireDate);
+    return {
+      plan_id: s.plan.id,
+      name: s.plan.name || PLAN_TYPE_LABELS[s.plan.plan_type],
+      employee_balance: round2(s.employee),
+      employer_balance: round2(s.employer),
+      balance: round2(s.employee + s.employer),
+      vested_percent: vested,
+      vested_balance: round2(s.employee + s.employer * (vested / 100)),
+      employee_contributions: round2(s.employee_contributions),
+      employer_contributions: round2(s.employer_contributions),
+    };
+  });
+
+  const balance = round2(planResults.reduce((sum, p) => sum + p.balance, 0));
+  const employeeContributions = round2(planResults.reduce((sum, p) => sum + p.employee_contributions, 0));
+  const employerContributions = round2(planResults.reduce((sum, p) => sum + p.employer_contributions, 0));
+  return {
+    years,
+    points,
+    plans: planResults,
+    balance,
+    vested_balance: round2(planResults.reduce((sum, p) => sum + p.vested_balance, 0)),
+    employee_contributions: employeeContributions,
+    employer_contributions: employerContributions,
+    growth: round2(balance - startingBalance - employeeContributions - employerContributions),
+  };
+};
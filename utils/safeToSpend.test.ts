@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Tests for pay-period safe-to-spend
+ * @description Covers the pay period window, itemized deductions, paid bills,
+ * envelopes, buffer, the fallback when no pay schedule is set and shift pay
+ * priced by the pay engine
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateSafeToSpend, envelopesForMonth } from './safeToSpend';
+
+const settings = { pay_frequency: 'biweekly' as const, next_payday: '2025-06-13' };
+
+const shift = (id: string, date: string, net_pay: number) => ({
+  id,
+  start_datetime: `${date}T08:00`,
+  end_datetime: `${date}T16:00`,
+  net_pay,
+});
+
+describe('calculateSafeToSpend', () => {
+  const input = {
+    paycheck_settings: settings,
+    shifts: [
+      shift('a', '2025-06-04', 400),
+      shift('b', '2025-06-11', 420),
+      // Paid on the following payday, after the period
+      shift('c', '2025-06-16', 999),
+    ],
+    bills: [
+      { id: 'rent', name: 'Rent', amount: 600, due_date: 20 },
+      { id: 'phone', name: 'Phone', amount: 50, due_date: 30 },
+      { id: 'tv', name: 'Streaming', amount: 15, due_date: 12, category: 'subscriptions' },
+    ],
+    bnpl_plans: [{ id: 'k', provider: 'Klarna', merchant: 'Shoes', installment_amount: 30, next_due_date: '2025-06-18', remaining_installments: 2 }],
+    debts: [{ id: 'card', name: 'Card', balance: 500, minimum_payment: 25, due_date: 15 }],
+    envelopes: [
+      { category: 'groceries', allocated: 300, spent: 180 },
+      { category: 'dining', allocated: 100, spent: 130 },
+    ],
+    buffer: 50,
+  };
+
+  it('covers pay up to the next payday and obligations until the following one', () => {
+    const result = calculateSafeToSpend(input, { as_of: '2025-06-10' });
+
+    expect(result).toMatchObject({
+      next_payday: '2025-06-13',
+      following_payday: '2025-06-27',
+      period_end: '2025-06-26',
+      days_in_period: 17,
+      schedule_known: true,
+      paychecks: [{ date: '2025-06-13', amount: 820 }],
+      expected_pay: 820,
+    });
+    expect(result.deductions.map(d => [d.kind, d.name, d.amount, d.date])).toEqual([
+      ['subscription', 'Streaming', 15, '2025-06-12'],
+      ['debt', 'Card', 25, '2025-06-15'],
+      ['bnpl', 'Klarna • Shoes', 30, '2025-06-18'],
+      ['bill', 'Rent', 600, '2025-06-20'],
+      ['envelope', 'groceries', 120, undefined],
+      ['buffer', 'Buffer', 50, undefined],
+    ]);
+    expect(result.total_deductions).toBe(840);
+    expect(result.safe_to_spend).toBe(-20);
+    expect(result.daily_allowance).toBe(0);
+  });
+
+  it('drops a bill once it is marked paid and spreads the rest per day', () => {
+    const bills = input.bills.map(b => (b.id === 'rent' ? { ...b, last_paid_date: '2025-06-09' } : b));
+    const result = calculateSafeToSpend({ ...input, bills }, { as_of: '2025-06-10' });
+
+    expect(result.deductions.some(d => d.name === 'Rent')).toBe(false);
+    expect(result.safe_to_spend).toBe(580);
+    expect(result.daily_allowance).toBe(34.12);
+  });
+
+  it('uses a fixed period and pays shifts on the day worked without a pay schedule', () => {
+    const result = calculateSafeToSpend(
+      { shifts: [shift('a', '2025-06-12', 300)], bills: [{ name: 'Gym', amount: 40, due_date: 15 }] },
+      { as_of: '2025-06-10', fallback_period_days: 7 }
+    );
+
+    expect(result).toMatchObject({
+      next_payday: null,
+      schedule_known: false,
+      period_end: '2025-06-16',
+      expected_pay: 300,
+      total_deductions: 40,
+      safe_to_spend: 260,
+      daily_allowance: 37.14,
+    });
+  });
+
+  it('counts shift differentials when ShiftRules are saved', () => {
+    const night = { id: 'n', start_datetime: '2025-06-11T19:00', end_datetime: '2025-06-12T07:00', hourly_rate: 40 };
+    const rule = {
+      id: 'rn',
+      base_hourly_rate: 40,
+      differentials: [
+        { name: 'Night', rate_type: 'flat_amount' as const, amount: 4, conditions: { start_time: '19:00', end_time: '07:00' } },
+      ],
+    };
+    const options = { as_of: '2025-06-10', fallback_period_days: 7 };
+
+    expect(calculateSafeToSpend({ shifts: [night] }, options).expected_pay).toBe(480);
+    expect(calculateSafeToSpend({ shifts: [night], shift_rules: [rule] }, options)).toMatchObject({
+      paychecks: [{ date: '2025-06-12', amount: 528 }],
+      expected_pay: 528,
+      safe_to_spend: 528,
+    });
+  });
+});
+
+describe('envelopesForMonth', () => {
+  it('counts this month\'s expenses against each allocation', () => {
+    expect(envelopesForMonth(
+      { groceries: 300, dining: '100', unused: 0 },
+      [
+        { category: 'groceries', amount: 120, type: 'expense', date: '2025-06-02' },
+        { category: 'groceries', amount: 80, type: 'expense', date: '2025-05-30' },
+        { category: 'dining', amount: 45.5, type: 'expense', date: '2025-06-05' },
+        { category: 'groceries', amount: 500, type: 'income', date: '2025-06-05' },
+      ],
+      new Date(2025, 5, 10)
+    )).toEqual([
+      { category: 'groceries', allocated: 300, spent: 120 },
+      { category: 'dining', allocated: 100, spent: 45.5 },
+    ]);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Pay-period safe-to-spend
+ * @description Works out how much can be spent before the following payday:
+ * take-home pay from shifts paid by the next payday, minus bills, subscriptions,
+ * BNPL installments and debt minimums due before the following payday, minus
+ * what budget envelopes still need this month and a user-defined buffer. Every
+ * deduction is itemized so the number can be explained.
+ */
+
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import {
+  expandCashflowEvents,
+  paydaysBetween,
+  shiftPaychecks,
+  type CashflowProjectionInput,
+  type CashflowSource,
+} from './cashflowProjection';
+import { round2, toDateKey, today } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Budget envelope for the current month
+ */
+export interface SafeToSpendEnvelope {
+  category: string;
+  /** Amount allocated to the envelope this month */
+  allocated: number;
+  /** Amount already spent from it this month */
+  spent: number;
+}
+
+/**
+ * Inputs: the projection sources plus envelopes and a buffer
+ */
+export interface SafeToSpendInput extends Omit<CashflowProjectionInput, 'starting_balance' | 'transactions'> {
+  envelopes?: SafeToSpendEnvelope[];
+  /** Amount always held back */
+  buffer?: number;
+}
+
+/**
+ * Safe-to-spend options
+ */
+export interface SafeToSpendOptions {
+  /** Day to calculate from, yyyy-MM-dd (default today) */
+  as_of?: string;
+  /** Period length when no pay schedule is set up (default 14) */
+  fallback_period_days?: number;
+}
+
+/**
+ * Single line subtracted from expected pay
+ */
+export interface SafeToSpendDeduction {
+  kind: Exclude<CashflowSource, 'paycheck' | 'transaction'> | 'envelope' | 'buffer';
+  name: string;
+  amount: number;
+  /** Due date for scheduled payments */
+  date?: string;
+  source_id?: string;
+}
+
+/**
+ * Safe-to-spend result
+ */
+export interface SafeToSpendResult {
+  as_of: string;
+  /** Next payday, or null when the pay schedule is unknown */
+  next_payday: string | null;
+  /** Payday after the next one; the money has to last until then */
+  following_payday: string | null;
+  /** Last day the money has to cover */
+  period_end: string;
+  days_in_period: number;
+  /** False when paydays could not be determined and a fixed period was used */
+  schedule_known: boolean;
+  paychecks: Array<{ date: string; amount: number }>;
+  expected_pay: number;
+  deductions: SafeToSpendDeduction[];
+  total_deductions: number;
+  /** Can be negative when obligations exceed expected pay */
+  safe_to_spend: number;
+  /** Safe-to-spend spread over the period (never negative) */
+  daily_allowance: number;
+}
+
+// ============================================================================
+// Calculation
+// ============================================================================
+
+/**
+ * Safe-to-spend for the current pay period
+ * @param input - Shifts, pay settings, obligations, envelopes and buffer
+ * @param options - Reference day and fallback period
+ * @returns Expected pay, itemized deductions, safe-to-spend and per-day allowance
+ */
+export const calculateSafeToSpend = (input: SafeToSpendInput, options: SafeToSpendOptions = {}): SafeToSpendResult => {
+  const start = options.as_of ? parseISO(options.as_of) : today();
+  const paydays = paydaysBetween(input.paycheck_settings, start, addDays(start, 70));
+  const [nextPayday, followingPayday] = paydays;
+  const scheduleKnown = Boolean(nextPayday && followingPayday);
+
+  const periodEnd = scheduleKnown
+    ? addDays(followingPayday, -1)
+    : addDays(start, Math.max(1, options.fallback_period_days ?? 14) - 1);
+  const payEnd = scheduleKnown ? nextPayday : periodEnd;
+
+  const paychecks = shiftPaychecks(
+    input.shifts || [],
+    input.paycheck_settings,
+    start,
+    payEnd,
+    input.tax_options,
+    input.shift_rules
+  )
+    .map(({ date, amount }) => ({ date, amount }));
+  const expectedPay = round2(paychecks.reduce((sum, check) => sum + check.amount, 0));
+
+  const deductions: SafeToSpendDeduction[] = expandCashflowEvents(
+    { bills: input.bills, bnpl_plans: input.bnpl_plans, debts: input.debts },
+    start,
+    periodEnd,
+    { skip_paid_bills: true }
+  ).map(event => ({
+    kind: event.source as SafeToSpendDeduction['kind'],
+    name: event.name,
+    amount: round2(-event.amount),
+    date: event.date,
+    source_id: event.source_id,
+  }));
+
+  for (const envelope of input.envelopes || []) {
+    const remaining = round2((Number(envelope.allocated) || 0) - (Number(envelope.spent) || 0));
+    if (remaining > 0) deductions.push({ kind: 'envelope', name: envelope.category, amount: remaining });
+  }
+
+  const buffer = round2(Math.max(0, Number(input.buffer) || 0));
+  if (buffer > 0) deductions.push({ kind: 'buffer', name: 'Buffer', amount: buffer });
+
+  const totalDeductions = round2(deductions.reduce((sum, d) => sum + d.amount, 0));
+  const safeToSpend = round2(expectedPay - totalDeductions);
+  const days = differenceInCalendarDays(periodEnd, start) + 1;
+
+  return {
+    as_of: toDateKey(start),
+    next_payday: nextPayday ? toDateKey(nextPayday) : null,
+    following_payday: scheduleKnown ? toDateKey(followingPayday) : null,
+    period_end: toDateKey(periodEnd),
+    days_in_period: days,
+    schedule_known: scheduleKnown,
+    paychecks,
+    expected_pay: expectedPay,
+    deductions,
+    total_deductions: totalDeductions,
+    safe_to_spend: safeToSpend,
+    daily_allowance: round2(Math.max(0, safeToSpend) / days),
+  };
+};
+
+/**
+ * Envelope remainders for the current month from allocations and transactions
+ * @param allocations - Allocated amount per category
+ * @param transactions - Transactions (expenses in the month count as spent)
+ * @param asOf - Reference day (default today)
+ * @returns One envelope per allocated category
+ */
+export const envelopesForMonth = (
+  allocations: Record<string, number | string>,
+  transactions: Array<{ category?: string; amount: number | string; type?: string; date: string }>,
+  asOf: Date = new Date()
+): SafeToSpendEnvelope[] => {
+  const month = format(asOf, 'yyyy-MM');
+  const spent = new Map<string, number>();
+  for (const t of transactions) {
+    if (t.type !== 'expense' || !(t.date || '').startsWith(month)) continue;
+    const category = t.category || 'Uncategorized';
+    spent.set(category, (spent.get(category) || 0) + Math.abs(Number(t.amount) || 0));
+  }
+  return Object.entries(allocations)
+    .map(([category, allocated]) => ({
+      category,
+      allocated: Number(allocated) || 0,
+      spent: round2(spent.get(category) || 0),
+    }))
+    .filter(envelope => envelope.allocated > 0);
+};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Tests for sinking funds
+ * @description Covers the per-paycheck amount to a due date, funding status,
+ * and drawing a fund down and moving it on once its bill is paid
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildSinkingFunds, newSinkingFundGoal, sinkingFundFor, sinkingFundReset } from './sinkingFunds';
+
+const pay = { pay_frequency: 'biweekly' as const, next_payday: '2025-06-06' };
+
+const registration = { id: 'reg', name: 'Car registration', amount: 600, frequency: 'annually', due_date: '2025-09-01' };
+
+describe('sinkingFundFor', () => {
+  it('splits what is still needed across the paychecks before the due date', () => {
+    const fund = sinkingFundFor(
+      registration,
+      { id: 'g1', current_amount: 250, target_date: '2025-09-01', bill_id: 'reg' },
+      { as_of: '2025-06-01', paycheck_settings: pay }
+    );
+
+    // Paydays Jun 6 through Aug 29
+    expect(fund).toMatchObject({
+      due_date: '2025-09-01',
+      remaining_needed: 350,
+      paychecks_left: 7,
+      per_paycheck: 50,
+      expected_balance: 448.77,
+      status: 'behind',
+      needs_reset: false,
+    });
+  });
+
+  it('plans the whole amount before a fund is started', () => {
+    const fund = sinkingFundFor(registration, undefined, { as_of: '2025-06-01', paycheck_settings: pay });
+    expect(fund).toMatchObject({ goal_id: null, balance: 0, per_paycheck: 85.71, status: 'not_started' });
+    expect(newSinkingFundGoal(registration, { as_of: '2025-06-01' })).toMatchObject({
+      target_amount: 600,
+      target_date: '2025-09-01',
+      bill_id: 'reg',
+    });
+  });
+});
+
+describe('sinkingFundReset', () => {
+  it('pays the bill from the fund and carries the rest to the next due date', () => {
+    const bill = { ...registration, last_paid_date: '2025-08-28' };
+    const goal = { id: 'g1', current_amount: 620, target_date: '2025-09-01', bill_id: 'reg', contributions: [] };
+    expect(sinkingFundFor(bill, goal, { as_of: '2025-08-29' })?.needs_reset).toBe(true);
+
+    const update = sinkingFundReset(bill, goal, { transaction_id: 't9' });
+    expect(update).toMatchObject({ current_amount: 20, target_date: '2026-09-01', last_reset_date: '2025-08-28' });
+    expect(update.contributions).toEqual([
+      expect.objectContaining({ date: '2025-08-28', amount: -600, source: 'bill_payment', transaction_id: 't9' }),
+    ]);
+
+    const next = sinkingFundFor(bill, { ...goal, ...update }, { as_of: '2025-08-29', paycheck_settings: pay });
+    expect(next).toMatchObject({ due_date: '2026-09-01', balance: 20, needs_reset: false, status: 'on_track' });
+  });
+
+  it('moves a quarterly fund on after a late payment without asking again', () => {
+    const bill = { id: 'ins', name: 'Insurance', amount: 300, frequency: 'quarterly', due_date: 15, last_paid_date: '2025-07-18' };
+    const goal = { id: 'g2', current_amount: 300, target_date: '2025-07-15', bill_id: 'ins' };
+
+    const update = sinkingFundReset(bill, goal);
+    expect(update).toMatchObject({ current_amount: 0, target_date: '2025-10-15' });
+    expect(sinkingFundFor(bill, { ...goal, ...update }, { as_of: '2025-07-20' })?.needs_reset).toBe(false);
+  });
+});
+
+describe('buildSinkingFunds', () => {
+  it('covers active quarterly and annual bills, soonest first', () => {
+    const funds = buildSinkingFunds(
+      [
+        registration,
+        { id: 'rent', name: 'Rent', amount: 1500, frequency: 'monthly', due_date: 1 },
+        { id: 'ceu', name: 'CEUs', amount: 200, frequency: 'quarterly', due_date: '2025-07-01' },
+        { id: 'old', name: 'Old policy', amount: 90, frequency: 'annually', due_date: '2025-08-01', status: 'cancelled' },
+      ],
+      [],
+      { as_of: '2025-06-01' }
+    );
+    expect(funds.map(f => f.bill_id)).toEqual(['ceu', 'reg']);
+  });
+});
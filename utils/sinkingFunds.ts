@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Sinking funds for irregular bills
+ * @description A quarterly or annual bill (registration, license renewal, CEUs,
+ * uniforms, insurance premiums) gets a goal that saves for it a little every
+ * paycheck. Each fund works out what every paycheck until the due date has to
+ * set aside to have the bill covered in time, whether it is keeping pace, and,
+ * once the bill is paid, takes the payment out of the fund and moves it on to
+ * the next due date.
+ */
+
+import { addDays, addMonths, differenceInCalendarDays } from 'date-fns';
+import { paydaysBetween, type ProjectionPaySettings } from './cashflowProjection';
+import { contributionId, goalTargetDate, type FundedGoal, type GoalContribution } from './goalFunding';
+import { billCadence, nextBillDueDate, type SubscriptionBill } from './subscriptions';
+import { round2, toDateKey, toDay, today, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type SinkingFundStatus = 'funded' | 'on_track' | 'behind' | 'not_started';
+
+/**
+ * Where the money for one irregular bill stands
+ */
+export interface SinkingFund {
+  bill_id: string;
+  /** Goal holding the money, or null before the fund is started */
+  goal_id: string | null;
+  name: string;
+  amount: number;
+  cadence: 'quarterly' | 'annual';
+  due_date: string;
+  /** Start of the saving cycle that ends on the due date */
+  cycle_start: string;
+  balance: number;
+  remaining_needed: number;
+  /** Paydays from today through the due date */
+  paychecks_left: number;
+  /** What each remaining paycheck has to set aside */
+  per_paycheck: number;
+  /** Balance an even pace since the cycle started would have by now */
+  expected_balance: number;
+  funded_percentage: number;
+  status: SinkingFundStatus;
+  /** The bill has been paid but the fund has not been drawn down yet */
+  needs_reset: boolean;
+}
+
+/**
+ * Goal fields read for a sinking fund
+ */
+export interface SinkingFundGoal extends FundedGoal {
+  /** Bill payment the fund was last drawn down for */
+  last_reset_date?: string;
+}
+
+export interface SinkingFundOptions {
+  as_of?: string | Date;
+  /** Pay schedule; without one, biweekly paychecks from today are assumed */
+  paycheck_settings?: ProjectionPaySettings | null;
+}
+
+/**
+ * Goal fields to create for a new sinking fund
+ */
+export interface SinkingFundGoalData {
+  title: string;
+  target_amount: number;
+  current_amount: number;
+  target_date: string;
+  deadline: string;
+  category: 'sinking_fund';
+  priority: 'high';
+  status: 'active';
+  bill_id: string;
+  contributions: GoalContribution[];
+  last_reset_date?: string;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const CYCLE_MONTHS = { quarterly: 3, annual: 12 } as const;
+
+const fundCadence = (bill: SubscriptionBill): 'quarterly' | 'annual' | null => {
+  const cadence = billCadence(bill.frequency);
+  return cadence === 'quarterly' || cadence === 'annual' ? cadence : null;
+};
+
+/**
+ * Whether a bill comes due rarely enough to save for (quarterly or annual, not cancelled)
+ */
+export const isSinkingFundBill = (bill: SubscriptionBill): boolean =>
+  Boolean(bill.id) && (bill.status || '').toLowerCase() !== 'cancelled' && fundCadence(bill) !== null;
+
+/**
+ * Goal that saves for a bill
+ * @param bill - Irregular bill
+ * @param goals - Saved goals
+ * @returns The linked goal, if the fund has been started
+ */
+export const sinkingFundGoal = <G extends SinkingFundGoal>(bill: SubscriptionBill, goals: G[]): G | undefined =>
+  bill.id ? goals.find(goal => goal.bill_id === bill.id) : undefined;
+
+/**
+ * Paydays from `from` through `to`. Without a known schedule, paychecks are
+ * assumed every two weeks starting `from`.
+ */
+const paychecksUntil = (settings: ProjectionPaySettings | null | undefined, from: Date, to: Date): number => {
+  if (to < from) return 0;
+  const paydays = paydaysBetween(settings, from, to);
+  if (paydays.length > 0 || (settings?.pay_frequency && settings.next_payday)) return paydays.length;
+  return Math.floor(differenceInCalendarDays(to, from) / 14) + 1;
+};
+
+// ============================================================================
+// Funds
+// ============================================================================
+
+/**
+ * Status of the sinking fund for one bill
+ * @param bill - Quarterly or annual bill
+ * @param goal - Goal saving for it, if started
+ * @param options - As-of date and pay schedule
+ * @returns Fund status, or null when the bill is not irregular or has no due date
+ */
+export const sinkingFundFor = (
+  bill: SubscriptionBill,
+  goal: SinkingFundGoal | undefined,
+  options: SinkingFundOptions = {}
+): SinkingFund | null => {
+  const cadence = fundCadence(bill);
+  if (!bill.id || !cadence) return null;
+  const asOf = toDay(options.as_of) ?? today();
+
+  // A started fund saves for the due date on the goal until the bill is paid
+  const dueKey = (goal && goalTargetDate(goal)) || nextBillDueDate(bill, asOf);
+  const due = toDay(dueKey);
+  if (!due) return null;
+
+  const amount = round2(toNumber(bill.amount));
+  const cycleStart = addMonths(due, -CYCLE_MONTHS[cadence]);
+  const balance = round2(toNumber(goal?.current_amount));
+  const remaining = round2(Math.max(0, amount - balance));
+  const paychecksLeft = paychecksUntil(options.paycheck_settings, asOf, due);
+
+  const cycleDays = Math.max(1, differenceInCalendarDays(due, cycleStart));
+  const elapsed = Math.min(cycleDays, Math.max(0, differenceInCalendarDays(asOf, cycleStart)));
+  const expected = round2(amount * elapsed / cycleDays);
+
+  // A payment this cycle the fund has not been drawn down for yet
+  const paid = toDay(bill.last_paid_date);
+  const lastReset = toDay(goal?.last_reset_date);
+  const unreset = Boolean(goal && paid && paid > cycleStart && (!lastReset || paid > lastReset));
+  const status: SinkingFundStatus = !goal
+    ? 'not_started'
+    : balance >= amount ? 'funded' : balance >= expected ? 'on_track' : 'behind';
+
+  return {
+    bill_id: bill.id,
+    goal_id: goal?.id ?? null,
+    name: bill.name || 'Bill',
+    amount,
+    cadence,
+    due_date: toDateKey(due),
+    cycle_start: toDateKey(cycleStart),
+    balance,
+    remaining_needed: remaining,
+    paychecks_left: paychecksLeft,
+    per_paycheck: round2(paychecksLeft > 0 ? remaining / paychecksLeft : remaining),
+    expected_balance: expected,
+    funded_percentage: amount > 0 ? Math.min(100, round2(balance / amount * 100)) : 100,
+    status,
+    needs_reset: unreset,
+  };
+};
+
+/**
+ * Sinking funds for every quarterly and annual bill, soonest due first
+ * @param bills - Saved bills
+ * @param goals - Saved goals (funds are goals with a `bill_id`)
+ * @param options - As-of date and pay schedule
+ * @returns One entry per irregular bill
+ */
+export const buildSinkingFunds = (
+  bills: SubscriptionBill[],
+  goals: SinkingFundGoal[],
+  options: SinkingFundOptions = {}
+): SinkingFund[] =>
+  bills
+    .filter(isSinkingFundBill)
+    .map(bill => sinkingFundFor(bill, sinkingFundGoal(bill, goals), options))
+    .filter((fund): fund is SinkingFund => fund !== null)
+    .sort((a, b) => a.due_date.localeCompare(b.due_date));
+
+/**
+ * Goal to create when starting a fund for a bill
+ * @param bill - Quarterly or annual bill
+ * @param options - As-of date for the first due date
+ * @returns Goal fields, or null when the bill is not irregular or has no due date
+ */
+export const newSinkingFundGoal = (bill: SubscriptionBill, options: SinkingFundOptions = {}): SinkingFundGoalData | null => {
+  const fund = sinkingFundFor(bill, undefined, options);
+  if (!fund) return null;
+  return {
+    title: `${fund.name} fund`,
+    target_amount: fund.amount,
+    current_amount: 0,
+    target_date: fund.due_date,
+    deadline: fund.due_date,
+    category: 'sinking_fund',
+    priority: 'high',
+    status: 'active',
+    bill_id: fund.bill_id,
+    contributions: [],
+    // An earlier payment was not saved for by this fund
+    ...(bill.last_paid_date && { last_reset_date: bill.last_paid_date.slice(0, 10) }),
+  };
+};
+
+/**
+ * Draw a fund down for the bill it paid and point it at the next due date.
+ * Whatever was saved beyond the payment stays in the fund for the next cycle.
+ * @param bill - The bill, with `last_paid_date` set to the payment
+ * @param goal - Its sinking fund
+ * @param payment - Amount paid (default the bill amount) and the transaction that paid it
+ * @returns Goal fields to save
+ */
+export const sinkingFundReset = (
+  bill: SubscriptionBill,
+  goal: SinkingFundGoal,
+  payment: { amount?: number; transaction_id?: string } = {}
+): {
+  contributions: GoalContribution[];
+  current_amount: number;
+  target_amount: number;
+  target_date: string;
+  deadline: string;
+  last_reset_date: string;
+} => {
+  const paidOn = toDay(bill.last_paid_date) ?? today();
+  const due = toDay(goalTargetDate(goal)) ?? paidOn;
+  const balance = round2(toNumber(goal.current_amount));
+  const withdrawal = round2(Math.min(balance, Math.abs(payment.amount ?? toNumber(bill.amount))));
+  const contributions = [...(goal.contributions || [])];
+
+  if (withdrawal > 0) {
+    contributions.push({
+      id: contributionId(),
+      date: toDateKey(paidOn),
+      amount: -withdrawal,
+      source: 'bill_payment',
+      source_id: `${bill.id}:paid:${toDateKey(due)}`,
+      ...(payment.transaction_id && { transaction_id: payment.transaction_id }),
+      note: `Paid ${bill.name || 'bill'}`,
+    });
+  }
+
+  // The due date after the one just paid, even when it was paid early
+  const after = paidOn > due ? paidOn : due;
+  const next = nextBillDueDate({ ...bill, last_paid_date: toDateKey(paidOn) }, addDays(after, 1)) ?? toDateKey(after);
+
+  return {
+    contributions,
+    current_amount: round2(balance - withdrawal),
+    target_amount: round2(toNumber(bill.amount)),
+    target_date: next,
+    deadline: next,
+    last_reset_date: toDateKey(paidOn),
+  };
+};
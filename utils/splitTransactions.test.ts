@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Tests for split transactions
+ * @description Covers split validation, expanding splits into per-category
+ * copies, the primary category and proposing splits from receipt line items
+ */
+
+import { describe, it, expect } from 'vitest';
+import { expandSplits, primarySplitCategory, proposeSplits, validateSplits } from './splitTransactions';
+
+const costco = {
+  id: 't1',
+  amount: -180,
+  category: 'groceries',
+  type: 'expense',
+  splits: [
+    { category: 'groceries', amount: 110 },
+    { category: 'household', amount: 45 },
+    { category: 'pharmacy', amount: 25 },
+  ],
+};
+
+describe('validateSplits', () => {
+  it('accepts lines that add up to the amount regardless of its sign', () => {
+    expect(validateSplits(-180, costco.splits)).toEqual({ valid: true, total: 180, difference: 0, errors: [] });
+  });
+
+  it('reports what is left over or missing', () => {
+    const result = validateSplits(200, [{ category: 'groceries', amount: 150 }, { category: '', amount: 0 }]);
+    expect(result.valid).toBe(false);
+    expect(result.difference).toBe(50);
+    expect(result.errors).toEqual([
+      'Every line needs a category',
+      'Every line needs an amount above zero',
+      'Lines must add up to the transaction amount (50 left)',
+    ]);
+    expect(validateSplits(100, [{ category: 'groceries', amount: 100 }]).errors).toContain('A split needs at least two lines');
+  });
+});
+
+describe('expandSplits', () => {
+  it('replaces a split transaction with one signed copy per line', () => {
+    const expanded = expandSplits([costco, { id: 't2', amount: -20, category: 'fuel' }]);
+    expect(expanded.map(t => [t.id, t.category, t.amount])).toEqual([
+      ['t1:0', 'groceries', -110],
+      ['t1:1', 'household', -45],
+      ['t1:2', 'pharmacy', -25],
+      ['t2', 'fuel', -20],
+    ]);
+    expect(expanded[0]).toMatchObject({ type: 'expense', split_of: 't1', splits: undefined });
+  });
+
+  it('leaves transactions whose lines do not add up untouched', () => {
+    const broken = { ...costco, amount: -200 };
+    expect(expandSplits([broken])).toEqual([broken]);
+  });
+});
+
+describe('primarySplitCategory', () => {
+  it('picks the largest line', () => {
+    expect(primarySplitCategory(costco.splits)).toBe('groceries');
+    expect(primarySplitCategory([])).toBeUndefined();
+  });
+});
+
+describe('proposeSplits', () => {
+  it('groups line items by category and spreads tax so lines match the total', () => {
+    const lines = proposeSplits(
+      [
+        { description: 'Milk', amount: 5, category: 'groceries' },
+        { description: 'Eggs', amount: 5, category: 'groceries' },
+        { description: 'Paper towels', amount: 6, category: 'household' },
+        { description: 'Mystery item', amount: 4, category: 'gadgets' },
+      ],
+      21.6,
+      'shopping',
+      ['groceries', 'household', 'shopping']
+    );
+
+    expect(lines).toEqual([
+      { category: 'groceries', amount: 10.8 },
+      { category: 'household', amount: 6.48 },
+      { category: 'shopping', amount: 4.32 },
+    ]);
+    expect(validateSplits(21.6, lines).valid).toBe(true);
+  });
+
+  it('settles rounding on the largest line', () => {
+    const lines = proposeSplits(
+      [{ amount: 1, category: 'a' }, { amount: 1, category: 'b' }, { amount: 1, category: 'c' }],
+      10,
+      'other'
+    );
+    expect(lines.map(l => l.amount)).toEqual([3.34, 3.33, 3.33]);
+  });
+
+  it('proposes nothing without priced items', () => {
+    expect(proposeSplits([{ description: 'Bag' }], 10, 'shopping')).toEqual([]);
+  });
+});
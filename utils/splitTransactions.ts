@@ -0,0 +1,173 @@
+import { round2, toNumber } from './primitives';
+/**
+ * @fileoverview Split transactions across several categories
+ * @description A split transaction keeps its single amount and carries
+ * category/amount lines that add up to it, so one Costco receipt can count
+ * toward groceries, household and pharmacy. Anything that totals by category
+ * runs transactions through `expandSplits` first; everything else keeps seeing
+ * one transaction with the largest line as its category.
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * One category line of a split transaction; amounts are positive
+ */
+export interface TransactionSplit {
+  category: string;
+  amount: number | string;
+  note?: string;
+}
+
+/**
+ * Transaction fields read here
+ */
+export interface SplittableTransaction {
+  id?: string | number;
+  amount: number | string;
+  category?: string;
+  splits?: TransactionSplit[] | null;
+}
+
+export interface SplitValidation {
+  valid: boolean;
+  /** Sum of the lines */
+  total: number;
+  /** Transaction amount minus the lines; zero when they add up */
+  difference: number;
+  errors: string[];
+}
+
+/**
+ * Line item read off a receipt
+ */
+export interface ReceiptLineItem {
+  description?: string;
+  amount?: number | string;
+  category?: string;
+}
+
+// ============================================================================
+// Constants & Helpers
+// ============================================================================
+
+/** Lines must add up to the transaction within half a cent */
+const SPLIT_TOLERANCE = 0.005;
+
+/**
+ * Whether a transaction is split into category lines
+ */
+export const hasSplits = (t: Pick<SplittableTransaction, 'splits'>): boolean =>
+  Array.isArray(t.splits) && t.splits.length > 0;
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check that split lines can replace a transaction's category: at least two
+ * lines, each with a category and a positive amount, adding up to the
+ * transaction amount
+ * @param amount - Transaction amount (sign ignored)
+ * @param splits - Category lines
+ * @returns Whether the split is valid, the line total and what is left over
+ */
+export const validateSplits = (amount: number | string, splits: TransactionSplit[]): SplitValidation => {
+  const errors: string[] = [];
+  if (splits.length < 2) errors.push('A split needs at least two lines');
+  if (splits.some(s => !s.category)) errors.push('Every line needs a category');
+  if (splits.some(s => !(toNumber(s.amount) > 0))) errors.push('Every line needs an amount above zero');
+
+  const total = round2(splits.reduce((sum, s) => sum + toNumber(s.amount), 0));
+  const difference = round2(Math.abs(toNumber(amount)) - total);
+  if (Math.abs(difference) >= SPLIT_TOLERANCE) {
+    errors.push(`Lines must add up to the transaction amount (${difference > 0 ? `${difference} left` : `${-difference} over`})`);
+  }
+
+  return { valid: errors.length === 0, total, difference, errors };
+};
+
+/**
+ * Category of the largest line, kept as the transaction's own category
+ * @param splits - Category lines
+ * @returns Category, or undefined without lines
+ */
+export const primarySplitCategory = (splits: TransactionSplit[]): string | undefined =>
+  [...splits].sort((a, b) => toNumber(b.amount) - toNumber(a.amount))[0]?.category;
+
+// ============================================================================
+// Expansion
+// ============================================================================
+
+/**
+ * Replace each split transaction with one copy per line carrying that line's
+ * category and amount, signed like the parent. Copies keep the parent's other
+ * fields and point back to it with `split_of`. Splits that do not add up are
+ * ignored so totals never change.
+ * @param transactions - Transactions, some split
+ * @returns Transactions with splits expanded
+ */
+export const expandSplits = <T extends SplittableTransaction>(transactions: T[]): T[] => {
+  const expanded: T[] = [];
+  for (const t of transactions) {
+    if (!t || !hasSplits(t) || !validateSplits(t.amount, t.splits!).valid) {
+      expanded.push(t);
+      continue;
+    }
+    const sign = toNumber(t.amount) < 0 ? -1 : 1;
+    t.splits!.forEach((split, index) => {
+      expanded.push({
+        ...t,
+        id: t.id ? `${t.id}:${index}` : t.id,
+        category: split.category,
+        amount: sign * Math.abs(toNumber(split.amount)),
+        splits: undefined,
+        split_of: t.id,
+      });
+    });
+  }
+  return expanded;
+};
+
+// ============================================================================
+// Receipts
+// ============================================================================
+
+/**
+ * Propose split lines from receipt line items: items are grouped by category
+ * and tax, fees and discounts are spread across the groups in proportion so
+ * the lines add up to the receipt total. Rounding is settled on the largest line.
+ * @param items - Line items read off the receipt
+ * @param total - Receipt total
+ * @param fallbackCategory - Category for items without a known one
+ * @param categories - Categories the items may use (any when omitted)
+ * @returns Lines, largest first; fewer than two means no split is needed
+ */
+export const proposeSplits = (
+  items: ReceiptLineItem[],
+  total: number,
+  fallbackCategory: string,
+  categories?: readonly string[]
+): TransactionSplit[] => {
+  const groups = new Map<string, number>();
+  for (const item of items) {
+    const amount = toNumber(item.amount);
+    if (amount <= 0) continue;
+    const category = item.category && (!categories || categories.includes(item.category)) ? item.category : fallbackCategory;
+    groups.set(category, (groups.get(category) || 0) + amount);
+  }
+
+  const itemsTotal = [...groups.values()].reduce((sum, v) => sum + v, 0);
+  if (itemsTotal <= 0) return [];
+  const target = total > 0 ? total : itemsTotal;
+  const scale = target / itemsTotal;
+
+  const lines = [...groups.entries()]
+    .map(([category, amount]) => ({ category, amount: round2(amount * scale) }))
+    .sort((a, b) => b.amount - a.amount);
+  const residual = round2(target - lines.reduce((sum, l) => sum + l.amount, 0));
+  if (lines.length && residual) lines[0].amount = round2(lines[0].amount + residual);
+  return lines;
+};
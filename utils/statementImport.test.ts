@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Tests for OFX/QFX/QIF statement import
+ * @description Covers SGML and XML OFX, credit card statements, QIF sections
+ * and dates, synthetic ids and FITID deduplication through the dry run
+ */
+
+import { describe, it, expect } from 'vitest';
+import { dryRunImport, type ImportValueOptions } from './csvImport';
+import {
+  parseOfx,
+  parseQif,
+  parseQifDate,
+  parseStatement,
+  statementToTable,
+  STATEMENT_IMPORT_TARGET,
+  STATEMENT_MAPPING,
+} from './statementImport';
+
+const OPTIONS: ImportValueOptions = { date_order: 'auto', decimal: '.' };
+
+const SGML_OFX = [
+  'OFXHEADER:100',
+  'DATA:OFXSGML',
+  'VERSION:102',
+  '',
+  '<OFX>',
+  '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>20250110120000</SONRS></SIGNONMSGSRSV1>',
+  '<BANKMSGSRSV1><STMTTRNRS><TRNUID>1<STMTRS>',
+  '<CURDEF>USD',
+  '<BANKACCTFROM><BANKID>121000248<ACCTID>000123456789<ACCTTYPE>CHECKING</BANKACCTFROM>',
+  '<BANKTRANLIST><DTSTART>20250101<DTEND>20250110',
+  '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250106120000.000[-5:EST]<TRNAMT>-4.50<FITID>2025010601<NAME>CORNER CAFE &amp; BAKERY<MEMO>POS PURCHASE</STMTTRN>',
+  '<STMTTRN><TRNTYPE>CHECK<DTPOSTED>20250107<TRNAMT>-120.00<FITID>2025010702<CHECKNUM>1042</STMTTRN>',
+  '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250108<TRNAMT>1500.00<FITID>2025010803<NAME>ACME PAYROLL</STMTTRN>',
+  '</BANKTRANLIST>',
+  '<LEDGERBAL><BALAMT>2375.50<DTASOF>20250110</LEDGERBAL>',
+  '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+  '</OFX>',
+].join('\r\n');
+
+const XML_OFX = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220"?>
+<OFX>
+  <CREDITCARDMSGSRSV1>
+    <CCSTMTTRNRS>
+      <CCSTMTRS>
+        <CURDEF>USD</CURDEF>
+        <CCACCTFROM><ACCTID>4111111111111111</ACCTID></CCACCTFROM>
+        <BANKTRANLIST>
+          <STMTTRN>
+            <TRNTYPE>DEBIT</TRNTYPE>
+            <DTPOSTED>20250115</DTPOSTED>
+            <TRNAMT>-63.20</TRNAMT>
+            <FITID>CC-1</FITID>
+            <PAYEE><NAME>Fresh Market</NAME><ADDR1>1 Main St</ADDR1></PAYEE>
+            <MEMO></MEMO>
+          </STMTTRN>
+          <STMTTRN>
+            <TRNTYPE>PAYMENT</TRNTYPE>
+            <DTPOSTED>20250120</DTPOSTED>
+            <TRNAMT>250.00</TRNAMT>
+            <FITID>CC-2</FITID>
+            <NAME>Payment - Thank You</NAME>
+          </STMTTRN>
+        </BANKTRANLIST>
+        <LEDGERBAL><BALAMT>-812.40</BALAMT><DTASOF>20250131</DTASOF></LEDGERBAL>
+      </CCSTMTRS>
+    </CCSTMTTRNRS>
+  </CREDITCARDMSGSRSV1>
+</OFX>`;
+
+const QIF = [
+  '!Account',
+  'NEveryday Checking',
+  'TBank',
+  '^',
+  '!Type:Bank',
+  "D1/ 6'25",
+  'T-4.50',
+  'PCorner Cafe',
+  'LDining:Coffee',
+  '^',
+  'D01/06/2025',
+  'T-4.50',
+  'PCorner Cafe',
+  '^',
+  'D1/7/25',
+  'T-1,200.00',
+  'PLandlord',
+  'N1043',
+  'SHousing',
+  '$-1000.00',
+  'SUtilities',
+  '$-200.00',
+  '^',
+  '!Type:Cat',
+  'NGroceries',
+  'E',
+  '^',
+].join('\n');
+
+describe('parseOfx', () => {
+  it('reads SGML statements with unclosed leaf elements', () => {
+    const statement = parseStatement(SGML_OFX, 'export.qfx');
+
+    expect(statement.format).toBe('ofx');
+    expect(statement.accounts).toHaveLength(1);
+    const [account] = statement.accounts;
+    expect(account).toMatchObject({
+      account_id: '000123456789',
+      bank_id: '121000248',
+      account_type: 'CHECKING',
+      currency: 'USD',
+      balance: 2375.5,
+      balance_date: '2025-01-10',
+    });
+    expect(account.transactions[0]).toEqual({
+      fitid: '2025010601',
+      date: '2025-01-06',
+      amount: -4.5,
+      name: 'CORNER CAFE & BAKERY',
+      memo: 'POS PURCHASE',
+      trntype: 'DEBIT',
+    });
+    expect(account.transactions[1]).toMatchObject({ name: 'CHECK', check_number: '1042', amount: -120 });
+  });
+
+  it('reads XML credit card statements with payee aggregates', () => {
+    const [account] = parseOfx(XML_OFX).accounts;
+
+    expect(account).toMatchObject({ account_id: '4111111111111111', account_type: 'CREDITCARD', balance: -812.4 });
+    expect(account.transactions.map(t => [t.fitid, t.date, t.amount, t.name])).toEqual([
+      ['CC-1', '2025-01-15', -63.2, 'Fresh Market'],
+      ['CC-2', '2025-01-20', 250, 'Payment - Thank You'],
+    ]);
+  });
+});
+
+describe('parseQif', () => {
+  it('reads quoted-year dates', () => {
+    expect(parseQifDate("1/ 6'25")).toBe('2025-01-06');
+    expect(parseQifDate('06/01/2025', 'dmy')).toBe('2025-01-06');
+  });
+
+  it('reads account sections, skips lists and folds splits', () => {
+    const statement = parseStatement(QIF, 'checking.qif');
+
+    expect(statement.format).toBe('qif');
+    expect(statement.accounts).toHaveLength(1);
+    const [account] = statement.accounts;
+    expect(account.account_id).toBe('Everyday Checking');
+    expect(account.transactions).toHaveLength(3);
+    expect(account.transactions[0]).toMatchObject({ date: '2025-01-06', amount: -4.5, name: 'Corner Cafe', category: 'Dining' });
+    expect(account.transactions[2]).toMatchObject({ amount: -1200, check_number: '1043' });
+  });
+
+  it('gives identical entries distinct, stable ids', () => {
+    const first = parseQif(QIF).accounts[0].transactions;
+    const second = parseQif(QIF).accounts[0].transactions;
+
+    expect(first[0].fitid).toMatch(/^qif-[0-9a-f]{8}$/);
+    expect(first[0].fitid).not.toBe(first[1].fitid);
+    expect(second.map(t => t.fitid)).toEqual(first.map(t => t.fitid));
+  });
+});
+
+describe('statement dry run', () => {
+  it('builds transactions carrying the account and FITID', () => {
+    const table = statementToTable(parseOfx(SGML_OFX));
+
+    const result = dryRunImport(table, STATEMENT_MAPPING, STATEMENT_IMPORT_TARGET, OPTIONS);
+
+    expect(result.creates).toBe(3);
+    expect(result.rows[0].record).toEqual({
+      description: 'CORNER CAFE & BAKERY',
+      amount: 4.5,
+      type: 'expense',
+      category: 'Uncategorized',
+      date: '2025-01-06',
+      notes: 'POS PURCHASE',
+      account: '000123456789',
+      fitid: '2025010601',
+      import_source: 'ofx',
+    });
+    expect(result.rows[2].record).toMatchObject({ type: 'income', amount: 1500 });
+  });
+
+  it('skips transactions whose FITID was already imported for the account', () => {
+    const table = statementToTable(parseOfx(SGML_OFX));
+    const existing = [
+      { description: 'Renamed by user', amount: 4.5, date: '2025-01-06', account: '000123456789', fitid: '2025010601' },
+      { description: 'Other account', amount: 120, date: '2025-01-07', account: '999', fitid: '2025010702' },
+    ];
+
+    const result = dryRunImport(table, STATEMENT_MAPPING, STATEMENT_IMPORT_TARGET, OPTIONS, existing);
+
+    expect(result.rows.map(r => r.status)).toEqual(['skip', 'create', 'create']);
+  });
+});
@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Bank statement import (OFX, QFX, QIF)
+ * @description Local parsers for the statement formats credit unions and older
+ * finance tools export: OFX 1.x (SGML, unclosed leaf tags), OFX 2.x (XML), QFX
+ * (OFX with Intuit extensions) and QIF. Statements are flattened into the CSV
+ * pipeline's table shape so they share its validation, dry run and commit flow.
+ * Each transaction keeps its FITID (QIF entries get a stable synthetic one) so
+ * re-importing an overlapping statement skips what is already saved.
+ */
+
+import {
+  parseAmount,
+  parseDateValue,
+  TRANSACTION_IMPORT_TARGET,
+  type ColumnMapping,
+  type CsvTable,
+  type DateOrder,
+  type ImportTarget,
+  type TransactionImportRecord,
+} from './csvImport';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Supported statement formats
+ */
+export type StatementFormat = 'ofx' | 'qif';
+
+/**
+ * One transaction as it appears on the statement
+ */
+export interface StatementTransaction {
+  /** Financial institution transaction id (synthetic for QIF) */
+  fitid: string;
+  /** Posted date, yyyy-MM-dd (null when unreadable) */
+  date: string | null;
+  /** Signed amount: negative for money out */
+  amount: number | null;
+  name: string;
+  memo?: string;
+  category?: string;
+  check_number?: string;
+  /** OFX TRNTYPE (DEBIT, CREDIT, CHECK, ...) */
+  trntype?: string;
+}
+
+/**
+ * One account's section of a statement
+ */
+export interface StatementAccount {
+  /** Account number as exported (ACCTID) or the QIF account name */
+  account_id: string;
+  bank_id?: string;
+  /** CHECKING, SAVINGS, CREDITCARD, ... (QIF: Bank, CCard, ...) */
+  account_type?: string;
+  currency?: string;
+  /** Ledger balance reported by the institution */
+  balance?: number;
+  balance_date?: string;
+  transactions: StatementTransaction[];
+}
+
+/**
+ * Parsed statement file
+ */
+export interface Statement {
+  format: StatementFormat;
+  accounts: StatementAccount[];
+}
+
+/**
+ * Transaction record created from a statement
+ */
+export interface StatementImportRecord extends TransactionImportRecord {
+  account?: string;
+  fitid: string;
+  import_source: StatementFormat;
+}
+
+/**
+ * Element in an OFX document (leaf elements carry a value)
+ */
+export interface OfxNode {
+  name: string;
+  value?: string;
+  children: OfxNode[];
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (value: string): string =>
+  value.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code: string) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+
+/**
+ * FNV-1a hash, used for stable synthetic transaction ids
+ */
+const hashString = (value: string): string => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Give entries without an institution id a stable one. Identical entries in one
+ * file (two $4.50 coffees on the same day) are told apart by their order.
+ */
+const assignSyntheticIds = (prefix: string, account: string, transactions: StatementTransaction[]): void => {
+  const seen = new Map<string, number>();
+  transactions.forEach(t => {
+    if (t.fitid) return;
+    const base = [account, t.date, t.amount, t.name.toLowerCase(), t.check_number || ''].join('|');
+    const occurrence = (seen.get(base) || 0) + 1;
+    seen.set(base, occurrence);
+    t.fitid = `${prefix}-${hashString(`${base}|${occurrence}`)}`;
+  });
+};
+
+const parseStatementAmount = (value: string | undefined): number | null => {
+  if (!value) return null;
+  const text = value.trim();
+  // Some institutions export a decimal comma without thousands separators
+  return parseAmount(text, /^-?\d+,\d{1,2}$/.test(text) ? ',' : '.');
+};
+
+// ============================================================================
+// OFX / QFX
+// ============================================================================
+
+/**
+ * Parse an OFX document into an element tree. Handles both SGML (leaf elements
+ * without closing tags) and XML; the header block before `<OFX>` is ignored.
+ * @param text - Raw .ofx/.qfx contents
+ * @returns Root OFX element, or null when the file has none
+ */
+export const parseOfxTree = (text: string): OfxNode | null => {
+  const start = text.search(/<OFX>/i);
+  if (start < 0) return null;
+
+  const root: OfxNode = { name: 'ROOT', children: [] };
+  const stack: OfxNode[] = [root];
+  const tag = /<(\/?)([A-Za-z0-9._]+)[^>]*>([^<]*)/g;
+  const body = text.slice(start);
+  let match: RegExpExecArray | null;
+
+  while ((match = tag.exec(body)) !== null) {
+    const [, closing, rawName, rawText] = match;
+    const name = rawName.toUpperCase();
+    if (closing) {
+      // Closing an aggregate pops everything opened inside it; closing a leaf is a no-op
+      const index = stack.map(n => n.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+    const value = rawText.trim();
+    const parent = stack[stack.length - 1];
+    if (value) {
+      parent.children.push({ name, value: decodeEntities(value), children: [] });
+    } else {
+      const node: OfxNode = { name, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    }
+  }
+
+  return root.children.find(n => n.name === 'OFX') ?? null;
+};
+
+/**
+ * All descendants with a given element name
+ * @param node - Element to search
+ * @param name - Element name (upper case)
+ * @returns Matching elements in document order
+ */
+export const findOfxNodes = (node: OfxNode, name: string): OfxNode[] =>
+  node.children.flatMap(child => [...(child.name === name ? [child] : []), ...findOfxNodes(child, name)]);
+
+const ofxValue = (node: OfxNode | undefined, name: string): string | undefined => {
+  if (!node) return undefined;
+  const found = findOfxNodes(node, name).find(n => n.value !== undefined);
+  return found?.value;
+};
+
+/**
+ * Parse an OFX date (`yyyyMMdd[HHmmss[.SSS]][[offset:TZ]]`) to its calendar date
+ * @param value - OFX datetime
+ * @returns yyyy-MM-dd, or null when malformed
+ */
+export const parseOfxDate = (value: string | undefined): string | null => {
+  const match = (value || '').trim().match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? parseDateValue(`${match[1]}-${match[2]}-${match[3]}`) : null;
+};
+
+const parseOfxTransaction = (node: OfxNode): StatementTransaction => {
+  const payee = findOfxNodes(node, 'PAYEE')[0];
+  const name = ofxValue(node, 'NAME') ?? ofxValue(payee, 'NAME') ?? '';
+  const memo = ofxValue(node, 'MEMO');
+  return {
+    fitid: ofxValue(node, 'FITID') ?? '',
+    date: parseOfxDate(ofxValue(node, 'DTPOSTED') ?? ofxValue(node, 'DTUSER')),
+    amount: parseStatementAmount(ofxValue(node, 'TRNAMT')),
+    name: name || memo || ofxValue(node, 'TRNTYPE') || '',
+    ...(memo && memo !== name ? { memo } : {}),
+    ...(ofxValue(node, 'CHECKNUM') ? { check_number: ofxValue(node, 'CHECKNUM') } : {}),
+    ...(ofxValue(node, 'TRNTYPE') ? { trntype: ofxValue(node, 'TRNTYPE') } : {}),
+  };
+};
+
+/**
+ * Parse an OFX or QFX statement (bank and credit card statements)
+ * @param text - Raw file contents
+ * @returns Statement with one entry per account
+ */
+export const parseOfx = (text: string): Statement => {
+  const root = parseOfxTree(text);
+  if (!root) return { format: 'ofx', accounts: [] };
+
+  const statements = [...findOfxNodes(root, 'STMTRS'), ...findOfxNodes(root, 'CCSTMTRS')];
+  const accounts = statements.map((statement): StatementAccount => {
+    const from = findOfxNodes(statement, 'BANKACCTFROM')[0] ?? findOfxNodes(statement, 'CCACCTFROM')[0];
+    const ledger = findOfxNodes(statement, 'LEDGERBAL')[0];
+    const accountId = ofxValue(from, 'ACCTID') ?? '';
+    const balance = parseStatementAmount(ofxValue(ledger, 'BALAMT'));
+    const transactions = findOfxNodes(statement, 'STMTTRN').map(parseOfxTransaction);
+    assignSyntheticIds('ofx', accountId, transactions);
+    return {
+      account_id: accountId,
+      ...(ofxValue(from, 'BANKID') ? { bank_id: ofxValue(from, 'BANKID') } : {}),
+      account_type: statement.name === 'CCSTMTRS' ? 'CREDITCARD' : ofxValue(from, 'ACCTTYPE'),
+      ...(ofxValue(statement, 'CURDEF') ? { currency: ofxValue(statement, 'CURDEF') } : {}),
+      ...(balance !== null ? { balance, balance_date: parseOfxDate(ofxValue(ledger, 'DTASOF')) ?? undefined } : {}),
+      transactions,
+    };
+  });
+
+  return { format: 'ofx', accounts };
+};
+
+// ============================================================================
+// QIF
+// ============================================================================
+
+const QIF_TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Parse a QIF date: `1/6/25`, `1/ 6'25`, `01/06/2025`, `2025-01-06`
+ * @param value - QIF date
+ * @param order - Date order for numeric dates (QIF is normally month first)
+ * @returns yyyy-MM-dd, or null when malformed
+ */
+export const parseQifDate = (value: string, order: DateOrder = 'mdy'): string | null => {
+  const text = value.trim().replace(/\s+/g, '');
+  // An apostrophe before the year marks 2000 and later
+  const apostrophe = text.match(/^(\d{1,2})[/-](\d{1,2})'(\d{1,2})$/);
+  if (apostrophe) return parseDateValue(`${apostrophe[1]}/${apostrophe[2]}/${2000 + Number(apostrophe[3])}`, order);
+  return parseDateValue(text, order);
+};
+
+/**
+ * Parse a QIF file. Non-transaction sections (categories, classes, memorized
+ * and investment transactions) are skipped; split lines are folded into the parent.
+ * @param text - Raw .qif contents
+ * @param order - Date order for numeric dates
+ * @returns Statement with one entry per account section
+ */
+export const parseQif = (text: string, order: DateOrder = 'mdy'): Statement => {
+  const accounts: StatementAccount[] = [];
+  let section = '';
+  let inAccountBlock = false;
+  let pendingAccount: { name: string; type?: string } | null = null;
+  let current: StatementAccount | null = null;
+  let entry: Record<string, string> = {};
+
+  const accountFor = (type: string): StatementAccount => {
+    const name = pendingAccount?.name ?? '';
+    const existing = accounts.find(a => a.account_id === name && a.account_type === type);
+    if (existing) return existing;
+    const account: StatementAccount = { account_id: name, account_type: type, transactions: [] };
+    accounts.push(account);
+    return account;
+  };
+
+  const flush = () => {
+    if (inAccountBlock) {
+      if (entry.N) pendingAccount = { name: entry.N, type: entry.T };
+    } else if (current && Object.keys(entry).length > 0) {
+      current.transactions.push({
+        fitid: '',
+        date: entry.D ? parseQifDate(entry.D, order) : null,
+        amount: parseStatementAmount(entry.T ?? entry.U),
+        name: entry.P || entry.M || '',
+        ...(entry.M && entry.M !== entry.P ? { memo: entry.M } : {}),
+        ...(entry.L && !/^\[.*\]$/.test(entry.L) ? { category: entry.L.split(':')[0] } : {}),
+        ...(entry.N ? { check_number: entry.N } : {}),
+      });
+    }
+    entry = {};
+  };
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine.trimEnd();
+    if (!line) return;
+    if (line.startsWith('!')) {
+      flush();
+      const header = line.slice(1).toLowerCase();
+      if (header === 'account') {
+        inAccountBlock = true;
+        current = null;
+      } else if (header.startsWith('type:')) {
+        inAccountBlock = false;
+        section = header.slice(5).trim();
+        current = QIF_TRANSACTION_TYPES.includes(section) ? accountFor(line.slice(6).trim()) : null;
+      } else if (header.startsWith('option') || header.startsWith('clear')) {
+        // Quicken options (e.g. !Option:AutoSwitch) do not change the section
+      } else {
+        inAccountBlock = false;
+        current = null;
+      }
+      return;
+    }
+    if (line === '^') {
+      flush();
+      return;
+    }
+    const code = line[0];
+    // Split lines (S, E, $) belong to the parent entry, whose total is already in T
+    if (code === 'S' || code === 'E' || code === '$') return;
+    if (!(code in entry)) entry[code] = line.slice(1).trim();
+  });
+  flush();
+
+  accounts.forEach(account => assignSyntheticIds('qif', account.account_id, account.transactions));
+  return { format: 'qif', accounts: accounts.filter(a => a.transactions.length > 0) };
+};
+
+// ============================================================================
+// Detection and Import
+// ============================================================================
+
+/**
+ * Whether a file looks like a statement this module can read
+ * @param fileName - File name
+ * @returns True for .ofx, .qfx and .qif files
+ */
+export const isStatementFile = (fileName: string): boolean => /\.(ofx|qfx|qif)$/i.test(fileName);
+
+/**
+ * Parse a statement, choosing the parser from the contents (falling back to the extension)
+ * @param text - Raw file contents
+ * @param fileName - File name
+ * @param order - Date order for QIF dates
+ * @returns Parsed statement
+ */
+export const parseStatement = (text: string, fileName = '', order: DateOrder = 'mdy'): Statement => {
+  if (/<OFX>/i.test(text) || /^\s*OFXHEADER/i.test(text)) return parseOfx(text);
+  if (/^\s*!(Type|Account|Option)/im.test(text) || /\.qif$/i.test(fileName)) return parseQif(text, order);
+  return parseOfx(text);
+};
+
+const STATEMENT_HEADERS = ['Account', 'Date', 'Description', 'Amount', 'Category', 'Memo', 'FITID', 'Format'];
+
+/**
+ * Fixed column mapping for {@link statementToTable}
+ */
+export const STATEMENT_MAPPING: ColumnMapping = {
+  account: 'Account',
+  date: 'Date',
+  description: 'Description',
+  amount: 'Amount',
+  category: 'Category',
+  notes: 'Memo',
+  fitid: 'FITID',
+  format: 'Format',
+};
+
+/**
+ * Flatten a statement into the CSV pipeline's table shape. Each row's "line"
+ * is its position in the statement.
+ * @param statement - Parsed statement
+ * @returns Table for {@link dryRunImport} with {@link STATEMENT_MAPPING}
+ */
+export const statementToTable = (statement: Statement): CsvTable => {
+  const rows = statement.accounts.flatMap(account =>
+    account.transactions.map(t => [
+      account.account_id,
+      t.date ?? '',
+      t.name,
+      t.amount === null ? '' : String(t.amount),
+      t.category ?? '',
+      t.memo ?? '',
+      t.fitid,
+      statement.format,
+    ])
+  );
+  return { headers: STATEMENT_HEADERS, rows, lines: rows.map((_, i) => i + 1), delimiter: ',' };
+};
+
+/**
+ * Statement transactions: validated like any imported transaction, deduplicated by FITID
+ */
+export const STATEMENT_IMPORT_TARGET: ImportTarget<StatementImportRecord> = {
+  ...(TRANSACTION_IMPORT_TARGET as unknown as ImportTarget<StatementImportRecord>),
+  id: 'statements',
+  fields: [
+    ...TRANSACTION_IMPORT_TARGET.fields,
+    { key: 'account', label: 'Account', aliases: [] },
+    { key: 'fitid', label: 'FITID', aliases: [] },
+    { key: 'format', label: 'Format', aliases: [] },
+  ],
+  toRecord(data, values) {
+    return {
+      ...TRANSACTION_IMPORT_TARGET.toRecord(data, values),
+      ...(values.account ? { account: values.account } : {}),
+      fitid: values.fitid,
+      import_source: values.format === 'qif' ? 'qif' : 'ofx',
+    };
+  },
+  duplicateKey(record) {
+    if (record.fitid) return `fitid:${record.account ?? ''}:${record.fitid}`;
+    return TRANSACTION_IMPORT_TARGET.duplicateKey!(record);
+  },
+};
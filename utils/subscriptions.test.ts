@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests for subscription tracking
+ * @description Covers bill due dates, price changes, merging bills with
+ * detected series, reminders, totals and negotiation suggestions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectRecurringSeries, type RecurringTransactionInput } from './recurringDetection';
+import {
+  buildSubscriptions,
+  lastPriceChange,
+  negotiationSuggestions,
+  nextBillDueDate,
+  subscriptionTotals,
+} from './subscriptions';
+
+const AS_OF = '2025-06-20';
+
+const charges = (description: string, amounts: number[], day = 12): RecurringTransactionInput[] =>
+  amounts.map((amount, i) => ({
+    description,
+    amount,
+    type: 'expense',
+    date: `2025-${String(i + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+  }));
+
+const history = [
+  ...charges('NETFLIX.COM', [15.49, 15.49, 15.49, 17.99, 17.99, 17.99]),
+  ...charges('SPOTIFY USA', [11.99, 11.99, 11.99, 11.99, 11.99, 11.99], 3),
+  ...charges('CITY WATER DEPT', [40.1, 52.3, 47.8, 45, 61.2, 49.9], 20),
+];
+
+describe('nextBillDueDate', () => {
+  const asOf = new Date(2025, 5, 20);
+
+  it('uses the day of month saved by the bill forms', () => {
+    expect(nextBillDueDate({ due_date: 25 }, asOf)).toBe('2025-06-25');
+    expect(nextBillDueDate({ due_date: '5' }, asOf)).toBe('2025-07-05');
+    expect(nextBillDueDate({ due_date: 31, frequency: 'monthly' }, new Date(2025, 5, 1))).toBe('2025-06-30');
+  });
+
+  it('continues longer and weekly cycles from the last payment', () => {
+    expect(nextBillDueDate({ due_date: 10, frequency: 'annually', last_paid_date: '2025-03-10' }, asOf)).toBe('2026-03-10');
+    expect(nextBillDueDate({ due_date: 1, frequency: 'biweekly', last_paid_date: '2025-06-06' }, asOf)).toBe('2025-06-20');
+    expect(nextBillDueDate({ due_date: '2025-01-15', frequency: 'quarterly' }, asOf)).toBe('2025-07-15');
+    expect(nextBillDueDate({}, asOf)).toBeNull();
+  });
+});
+
+describe('lastPriceChange', () => {
+  it('reports the most recent change', () => {
+    expect(lastPriceChange([
+      { date: '2025-01-01', amount: 10 },
+      { date: '2025-02-01', amount: 12 },
+      { date: '2025-03-01', amount: 12 },
+    ])).toEqual({ date: '2025-02-01', from: 10, to: 12, change: 2, percent: 20 });
+    expect(lastPriceChange([{ date: '2025-01-01', amount: 10 }, { date: '2025-02-01', amount: 10 }])).toBeUndefined();
+  });
+});
+
+describe('buildSubscriptions', () => {
+  const series = detectRecurringSeries(history, { as_of: AS_OF });
+
+  it('lists detected subscriptions with annual cost and price alerts, leaving variable bills out', () => {
+    const subscriptions = buildSubscriptions(series, [], { as_of: AS_OF });
+
+    expect(subscriptions.map(s => s.name)).toEqual(['NETFLIX.COM', 'SPOTIFY USA']);
+    expect(subscriptions[0]).toMatchObject({
+      id: expect.stringMatching(/^series:/),
+      amount: 17.99,
+      cadence: 'monthly',
+      annual_cost: 215.88,
+      next_date: '2025-07-12',
+      tracked: false,
+      usage_status: 'using',
+      price_alert: true,
+      last_price_change: { date: '2025-04-12', from: 15.49, to: 17.99, change: 2.5, percent: 16.1 },
+    });
+    expect(subscriptions[1].price_alert).toBe(false);
+  });
+
+  it('merges saved subscription bills with their charges and user status', () => {
+    const bills = [
+      { id: 'b1', name: 'Spotify USA', amount: 11.99, category: 'subscriptions', due_date: 3, usage_status: 'not_using' as const, cancel_by: '2025-06-25' },
+      { id: 'b2', name: 'Gym', amount: 30, category: 'subscriptions', due_date: 1, status: 'cancelled' },
+      { id: 'b3', name: 'Netflix.com', amount: 17.99, category: 'Entertainment', due_date: 12 },
+    ];
+
+    const subscriptions = buildSubscriptions(series, bills, { as_of: AS_OF });
+
+    expect(subscriptions.map(s => s.id)).toEqual(['b2', 'b1']);
+    expect(subscriptions.find(s => s.id === 'b1')).toMatchObject({
+      tracked: true,
+      usage_status: 'not_using',
+      cancel_reminder: true,
+      last_charge_date: '2025-06-03',
+      next_date: '2025-07-03',
+    });
+    expect(subscriptions.find(s => s.id === 'b2')).toMatchObject({ is_cancelled: true, next_date: null, annual_cost: 360 });
+    expect(subscriptionTotals(subscriptions)).toEqual({ monthly: 11.99, annual: 143.88, unused_annual: 143.88 });
+  });
+});
+
+describe('negotiationSuggestions', () => {
+  it('puts price increases first, then unused and expensive subscriptions', () => {
+    const series = detectRecurringSeries(history, { as_of: AS_OF });
+    const subscriptions = buildSubscriptions(series, [
+      { id: 'b1', name: 'Spotify USA', category: 'subscriptions', due_date: 3, usage_status: 'not_using' },
+    ], { as_of: AS_OF });
+
+    const suggestions = negotiationSuggestions(subscriptions);
+
+    expect(suggestions.map(s => [s.subscription.name, s.reason])).toEqual([
+      ['NETFLIX.COM', 'price_increase'],
+      ['Spotify USA', 'unused'],
+    ]);
+    expect(suggestions[0].issue).toContain('from $15.49 to $17.99');
+  });
+});
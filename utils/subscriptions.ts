@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Subscription tracking
+ * @description Merges subscription bills with recurring series detected in
+ * transaction history: annualized cost, last price change, price-increase
+ * alerts, "still using?" status and cancellation reminders. Also computes the
+ * next due date of any bill, for the dashboard and calendar.
+ */
+
+import { addDays, addMonths, differenceInCalendarDays, parseISO } from 'date-fns';
+import { normalizeMerchant, type RecurringCadence, type RecurringSeries } from './recurringDetection';
+import { onDayOfMonth, round2, toDateKey } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Cadences a subscription can bill on
+ */
+export type SubscriptionCadence = RecurringCadence | 'quarterly';
+
+/**
+ * User answer to "still using this?"
+ */
+export type SubscriptionUsage = 'using' | 'unsure' | 'not_using';
+
+/**
+ * Bill fields read here (bills store the due day of month in `due_date`)
+ */
+export interface SubscriptionBill {
+  id?: string;
+  name?: string;
+  amount?: number;
+  category?: string;
+  due_date?: number | string;
+  frequency?: string;
+  status?: string;
+  last_paid_date?: string;
+  detected_from?: string;
+  usage_status?: SubscriptionUsage;
+  /** Date to cancel by (e.g. before a trial converts or a renewal) */
+  cancel_by?: string;
+}
+
+/**
+ * A price change between two consecutive charges
+ */
+export interface PriceChange {
+  date: string;
+  from: number;
+  to: number;
+  change: number;
+  /** Change relative to the old price, in percent */
+  percent: number;
+}
+
+/**
+ * One subscription, tracked (saved as a bill) or only detected
+ */
+export interface Subscription {
+  /** Bill id, or `series:<key>` for untracked series */
+  id: string;
+  name: string;
+  /** Latest charge, or the bill amount when no charges were matched */
+  amount: number;
+  cadence: SubscriptionCadence;
+  annual_cost: number;
+  /** Next expected charge, yyyy-MM-dd (null once cancelled) */
+  next_date: string | null;
+  category?: string;
+  bill_id?: string;
+  series_key?: string;
+  tracked: boolean;
+  is_cancelled: boolean;
+  usage_status: SubscriptionUsage;
+  cancel_by?: string;
+  last_charge_date?: string;
+  last_price_change?: PriceChange;
+  /** Price went up within the alert window */
+  price_alert: boolean;
+  /** The cancel-by date is near or past */
+  cancel_reminder: boolean;
+}
+
+/**
+ * Options for {@link buildSubscriptions}
+ */
+export interface SubscriptionOptions {
+  /** Reference date, yyyy-MM-dd (default today) */
+  as_of?: string;
+  /** Price increases this recent raise an alert (default 90 days) */
+  price_alert_days?: number;
+  /** Days before the cancel-by date to start reminding (default 7) */
+  reminder_days?: number;
+}
+
+/**
+ * Suggested negotiation or cancellation for one subscription
+ */
+export interface NegotiationSuggestion {
+  subscription: Subscription;
+  reason: 'price_increase' | 'unused' | 'high_cost';
+  /** Issue text for the negotiation script */
+  issue: string;
+}
+
+// ============================================================================
+// Constants and Helpers
+// ============================================================================
+
+/**
+ * Charges per year for each cadence
+ */
+export const CHARGES_PER_YEAR: Record<SubscriptionCadence, number> = {
+  weekly: 52,
+  biweekly: 26,
+  semimonthly: 24,
+  monthly: 12,
+  quarterly: 4,
+  annual: 1,
+};
+
+const BILL_FREQUENCIES: Record<string, SubscriptionCadence> = {
+  weekly: 'weekly',
+  biweekly: 'biweekly',
+  monthly: 'monthly',
+  quarterly: 'quarterly',
+  annually: 'annual',
+  annual: 'annual',
+  yearly: 'annual',
+};
+
+const money = (value: number): string => `$${value.toFixed(2)}`;
+
+/**
+ * Whether a bill is a subscription (the calendar's "subscriptions" category)
+ * @param bill - Saved bill
+ * @returns True for subscription bills
+ */
+export const isSubscriptionBill = (bill: SubscriptionBill): boolean =>
+  (bill.category || '').toLowerCase() === 'subscriptions';
+
+/**
+ * Cadence of a saved bill
+ * @param frequency - Bill frequency (defaults to monthly)
+ * @returns Subscription cadence
+ */
+export const billCadence = (frequency: string | undefined): SubscriptionCadence =>
+  BILL_FREQUENCIES[(frequency || 'monthly').toLowerCase()] ?? 'monthly';
+
+/**
+ * Next date a bill is due on or after a reference date. Handles the day-of-month
+ * `due_date` the bill forms save, full dates, and weekly/biweekly bills anchored
+ * on their last payment.
+ * @param bill - Saved bill
+ * @param asOf - Reference date (default today)
+ * @returns yyyy-MM-dd, or null when the bill has no usable due date
+ */
+export const nextBillDueDate = (bill: SubscriptionBill, asOf: Date = new Date()): string | null => {
+  const cadence = billCadence(bill.frequency);
+  const today = parseISO(toDateKey(asOf));
+  const raw = bill.due_date;
+  const day = typeof raw === 'number' ? raw : /^\d{1,2}$/.test(String(raw ?? '').trim()) ? Number(raw) : null;
+  const lastPaid = bill.last_paid_date ? parseISO(bill.last_paid_date.slice(0, 10)) : null;
+
+  const rollForward = (start: Date, step: (d: Date) => Date): Date => {
+    let next = start;
+    for (let i = 0; i < 1000 && next < today; i++) next = step(next);
+    return next;
+  };
+
+  if (cadence === 'weekly' || cadence === 'biweekly') {
+    const days = cadence === 'weekly' ? 7 : 14;
+    const anchor = lastPaid ? addDays(lastPaid, days) : day === null && raw ? parseISO(String(raw)) : null;
+    if (anchor && !Number.isNaN(anchor.getTime())) return toDateKey(rollForward(anchor, d => addDays(d, days)));
+  }
+
+  const months = cadence === 'quarterly' ? 3 : cadence === 'annual' ? 12 : 1;
+  if (day !== null && day >= 1 && day <= 31) {
+    const onDay = (d: Date) => onDayOfMonth(d, day);
+    // Longer cycles continue from the last payment when we know it
+    const start = lastPaid && months > 1 ? onDay(addMonths(lastPaid, months)) : onDay(today);
+    return toDateKey(rollForward(start, d => onDay(addMonths(d, months))));
+  }
+
+  if (typeof raw === 'string' && raw) {
+    const date = parseISO(raw.slice(0, 10));
+    if (Number.isNaN(date.getTime())) return null;
+    return toDateKey(rollForward(date, d => addMonths(d, months)));
+  }
+  return null;
+};
+
+/**
+ * Most recent price change in a charge history
+ * @param history - Charges in date order
+ * @returns Last change, or undefined when the price never changed
+ */
+export const lastPriceChange = (history: Array<{ date: string; amount: number }>): PriceChange | undefined => {
+  for (let i = history.length - 1; i > 0; i--) {
+    const from = history[i - 1].amount;
+    const to = history[i].amount;
+    if (Math.abs(to - from) >= 0.01) {
+      return {
+        date: history[i].date,
+        from,
+        to,
+        change: round2(to - from),
+        percent: from > 0 ? Math.round(((to - from) / from) * 1000) / 10 : 0,
+      };
+    }
+  }
+  return undefined;
+};
+
+const seriesForBill = (bill: SubscriptionBill, series: RecurringSeries[]): RecurringSeries | undefined =>
+  series.find(s => s.key === bill.detected_from) ??
+  series.find(s => s.direction === 'expense' && !!bill.name && normalizeMerchant(bill.name) === s.merchant_key);
+
+// ============================================================================
+// Subscriptions
+// ============================================================================
+
+/**
+ * Build the subscription list from saved bills and detected series
+ * @param series - Recurring series from {@link detectRecurringSeries}
+ * @param bills - Saved bills; those in the "subscriptions" category are tracked subscriptions
+ * @param options - Reference date and alert windows
+ * @returns Subscriptions, most expensive per year first
+ */
+export const buildSubscriptions = (
+  series: RecurringSeries[],
+  bills: SubscriptionBill[],
+  options: SubscriptionOptions = {}
+): Subscription[] => {
+  const asOf = options.as_of ? parseISO(options.as_of) : new Date();
+  const alertDays = options.price_alert_days ?? 90;
+  const reminderDays = options.reminder_days ?? 7;
+
+  const describe = (base: {
+    id: string;
+    name: string;
+    bill?: SubscriptionBill;
+    match?: RecurringSeries;
+  }): Subscription => {
+    const { bill, match } = base;
+    const isCancelled = (bill?.status || '').toLowerCase() === 'cancelled';
+    const cadence: SubscriptionCadence = match?.cadence ?? billCadence(bill?.frequency);
+    const amount = match ? match.last_amount : Number(bill?.amount) || 0;
+    const change = match ? lastPriceChange(match.amount_history) : undefined;
+    const nextDate = isCancelled
+      ? null
+      : match?.is_active ? match.next_date : bill ? nextBillDueDate(bill, asOf) : match?.next_date ?? null;
+    const cancelBy = bill?.cancel_by;
+
+    return {
+      id: base.id,
+      name: base.name,
+      amount,
+      cadence,
+      annual_cost: round2(amount * CHARGES_PER_YEAR[cadence]),
+      next_date: nextDate,
+      ...(bill?.category || match?.category ? { category: bill?.category || match?.category } : {}),
+      ...(bill?.id ? { bill_id: bill.id } : {}),
+      ...(match ? { series_key: match.key, last_charge_date: match.last_date } : {}),
+      tracked: Boolean(bill),
+      is_cancelled: isCancelled,
+      usage_status: bill?.usage_status ?? 'using',
+      ...(cancelBy ? { cancel_by: cancelBy } : {}),
+      ...(change ? { last_price_change: change } : {}),
+      price_alert: !!change && change.change > 0 && differenceInCalendarDays(asOf, parseISO(change.date)) <= alertDays,
+      cancel_reminder: !isCancelled && !!cancelBy && differenceInCalendarDays(parseISO(cancelBy), asOf) <= reminderDays,
+    };
+  };
+
+  const tracked = bills.filter(isSubscriptionBill).map(bill => {
+    const match = seriesForBill(bill, series);
+    return describe({ id: bill.id || `bill:${bill.name}`, name: bill.name || match?.name || 'Subscription', bill, match });
+  });
+
+  // Series the user tracks under another category are bills, not subscriptions
+  const claimed = new Set(bills.map(bill => seriesForBill(bill, series)?.key).filter(Boolean));
+  const detected = series
+    .filter(s => s.direction === 'expense' && s.suggested_kind === 'subscription' && s.is_active && !claimed.has(s.key))
+    .map(s => describe({ id: `series:${s.key}`, name: s.name, match: s }));
+
+  return [...tracked, ...detected].sort((a, b) => b.annual_cost - a.annual_cost);
+};
+
+/**
+ * Monthly and yearly totals for active subscriptions
+ * @param subscriptions - Subscriptions from {@link buildSubscriptions}
+ * @returns Totals, plus the yearly cost of those marked as not used
+ */
+export const subscriptionTotals = (subscriptions: Subscription[]): { monthly: number; annual: number; unused_annual: number } => {
+  const active = subscriptions.filter(s => !s.is_cancelled);
+  const annual = active.reduce((sum, s) => sum + s.annual_cost, 0);
+  return {
+    monthly: round2(annual / 12),
+    annual: round2(annual),
+    unused_annual: round2(active.filter(s => s.usage_status === 'not_using').reduce((sum, s) => sum + s.annual_cost, 0)),
+  };
+};
+
+/**
+ * Subscriptions worth a call: recent price increases, ones the user no longer
+ * uses, and the most expensive of the rest
+ * @param subscriptions - Subscriptions from {@link buildSubscriptions}
+ * @param limit - Maximum suggestions (default 5)
+ * @returns Suggestions, most pressing first
+ */
+export const negotiationSuggestions = (subscriptions: Subscription[], limit = 5): NegotiationSuggestion[] => {
+  const active = subscriptions.filter(s => !s.is_cancelled);
+  const suggestions: NegotiationSuggestion[] = [];
+  const add = (suggestion: NegotiationSuggestion) => {
+    if (!suggestions.some(s => s.subscription.id === suggestion.subscription.id)) suggestions.push(suggestion);
+  };
+
+  active.filter(s => s.price_alert && s.last_price_change).forEach(s => {
+    const change = s.last_price_change!;
+    add({
+      subscription: s,
+      reason: 'price_increase',
+      issue: `My price went up from ${money(change.from)} to ${money(change.to)} (${change.percent}%) on ${change.date}. I'd like to keep my previous rate or find a cheaper plan.`,
+    });
+  });
+  active.filter(s => s.usage_status === 'not_using').forEach(s => {
+    add({
+      subscription: s,
+      reason: 'unused',
+      issue: `I no longer use this service and want to cancel it. Please confirm there are no cancellation fees and that I won't be charged the ${money(s.amount)} renewal.`,
+    });
+  });
+  active.filter(s => s.annual_cost >= 120).forEach(s => {
+    add({
+      subscription: s,
+      reason: 'high_cost',
+      issue: `I pay ${money(s.annual_cost)} a year for this and want to lower it. What promotions or cheaper plans are available?`,
+    });
+  });
+
+  return suggestions.slice(0, limit);
+};
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tests for the local paycheck withholding engine
+ * @description Covers annualized federal brackets, W-4 inputs, pre-tax deduction bases,
+ * the Social Security wage base, Additional Medicare and state tables
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  applyBrackets,
+  calculateStateTax,
+  calculateWithholding,
+  normalizeFilingStatus,
+  resolveStateTable,
+  withholdingShare,
+  type FederalTaxTable,
+  type StateTaxTable,
+} from './withholding';
+
+const BIWEEKLY_SINGLE = { pay_frequency: 'biweekly' as const, filing_status: 'single' };
+const OPTIONS_2024 = { year: 2024 };
+
+describe('applyBrackets', () => {
+  it('taxes each slice at its own rate', () => {
+    const brackets = [
+      { min: 0, max: 10000, rate: 0.1 },
+      { min: 10000, max: null, rate: 0.2 },
+    ];
+    expect(applyBrackets(15000, brackets)).toBe(2000);
+    expect(applyBrackets(-5, brackets)).toBe(0);
+  });
+
+  it('accepts percentage rates', () => {
+    expect(applyBrackets(1000, [{ min: 0, max: null, rate: 5 }])).toBe(50);
+  });
+});
+
+describe('normalizeFilingStatus', () => {
+  it('maps form spellings to the entity values', () => {
+    expect(normalizeFilingStatus('married_filing_jointly')).toBe('married_joint');
+    expect(normalizeFilingStatus('married_separately')).toBe('married_separate');
+    expect(normalizeFilingStatus(undefined)).toBe('single');
+  });
+});
+
+describe('calculateWithholding', () => {
+  it('annualizes wages through the default federal brackets', () => {
+    const result = calculateWithholding(2000, BIWEEKLY_SINGLE, OPTIONS_2024);
+
+    // (52,000 - 14,600) -> 1,160 + 25,800 * 12% = 4,256 / 26
+    expect(result.federal_income_tax).toBe(163.69);
+    expect(result.social_security).toBe(124);
+    expect(result.medicare).toBe(29);
+    expect(result.total_taxes).toBe(316.69);
+    expect(result.net_pay).toBe(1683.31);
+    expect(result.sources).toEqual({ federal: 'default', state: 'none' });
+  });
+
+  it('removes 401k from income tax wages but not FICA wages', () => {
+    const result = calculateWithholding(2000, { ...BIWEEKLY_SINGLE, retirement_401k: 200 }, OPTIONS_2024);
+
+    expect(result.federal_taxable_wages).toBe(1800);
+    expect(result.fica_wages).toBe(2000);
+    expect(result.federal_income_tax).toBe(139.69);
+    expect(result.social_security).toBe(124);
+    expect(result.total_deductions).toBe(200);
+  });
+
+  it('taxes part of a check at the rate of the whole check', () => {
+    const whole = calculateWithholding(2000, BIWEEKLY_SINGLE, OPTIONS_2024);
+    expect(withholdingShare(500, BIWEEKLY_SINGLE, OPTIONS_2024, 2000)).toEqual({
+      net_pay: Math.round(whole.net_pay * 25) / 100,
+      total_taxes: Math.round(whole.total_taxes * 25) / 100,
+    });
+    expect(withholdingShare(2000, BIWEEKLY_SINGLE, OPTIONS_2024).net_pay).toBe(whole.net_pay);
+  });
+
+  it('takes percent-of-pay plan deferrals as pre-tax and Roth deductions', () => {
+    const result = calculateWithholding(
+      2000,
+      {
+        ...BIWEEKLY_SINGLE,
+        retirement_plans: [{ id: 'p', plan_type: '403b', contribution_percent: 10, roth_percent: 50 }],
+      },
+      OPTIONS_2024
+    );
+
+    expect(result.pre_tax_deductions.retirement_401k).toBe(100);
+    expect(result.federal_taxable_wages).toBe(1900);
+    expect(result.post_tax_deductions).toBe(100);
+    expect(result.total_deductions).toBe(200);
+    expect(result.retirement.map(r => [r.pre_tax, r.roth, r.employer])).toEqual([[100, 100, 0]]);
+  });
+
+  it('removes HSA and Section 125 from both bases', () => {
+    const result = calculateWithholding(
+      2000,
+      { ...BIWEEKLY_SINGLE, hsa: 60, section_125: 40 },
+      OPTIONS_2024
+    );
+
+    expect(result.fica_wages).toBe(1900);
+    expect(result.social_security).toBe(117.8);
+    expect(result.medicare).toBe(27.55);
+  });
+
+  it('applies dependent credits and extra withholding', () => {
+    const result = calculateWithholding(
+      2000,
+      { ...BIWEEKLY_SINGLE, qualifying_children: 2, extra_withholding: 25 },
+      OPTIONS_2024
+    );
+
+    // (4,256 - 4,000) / 26 + 25
+    expect(result.federal_income_tax).toBe(34.85);
+  });
+
+  it('halves the standard deduction and brackets for multiple jobs', () => {
+    const result = calculateWithholding(2000, { ...BIWEEKLY_SINGLE, multiple_jobs: true }, OPTIONS_2024);
+
+    expect(result.standard_deductions.federal).toBe(7300);
+    expect(result.federal_income_tax).toBe(283.1);
+  });
+
+  it('stops Social Security at the wage base using year-to-date wages', () => {
+    const result = calculateWithholding(
+      5000,
+      { pay_frequency: 'weekly' },
+      { year: 2024, ytd_fica_wages: 166000 }
+    );
+
+    expect(result.social_security).toBe(161.2);
+  });
+
+  it('withholds Additional Medicare past $200k year-to-date', () => {
+    const result = calculateWithholding(
+      5000,
+      { pay_frequency: 'weekly' },
+      { year: 2024, ytd_fica_wages: 198000 }
+    );
+
+    expect(result.social_security).toBe(0);
+    expect(result.additional_medicare).toBe(27);
+  });
+
+  it('averages the wage base and Additional Medicare without year-to-date wages', () => {
+    const result = calculateWithholding(20000, { pay_frequency: 'monthly' }, OPTIONS_2024);
+
+    expect(result.social_security).toBe(871.1);
+    expect(result.additional_medicare).toBe(30);
+  });
+
+  it('prefers a matching FederalTaxConfig for the year', () => {
+    const configs: FederalTaxTable[] = [
+      {
+        year: 2025,
+        filing_status: 'single',
+        standard_deduction: 0,
+        brackets: [{ min: 0, max: null, rate: 0.1 }],
+      },
+    ];
+    const result = calculateWithholding(2000, BIWEEKLY_SINGLE, { year: 2025, federalConfigs: configs });
+
+    expect(result.federal_income_tax).toBe(200);
+    expect(result.sources.federal).toBe('config');
+  });
+
+  it('uses StateTaxConfig brackets and standard deduction', () => {
+    const stateConfigs: StateTaxTable[] = [
+      {
+        state_code: 'ca',
+        year: 2024,
+        tax_rate: 0,
+        has_brackets: true,
+        standard_deduction: 5000,
+        brackets: [
+          { min: 0, max: 10000, rate: 0.01 },
+          { min: 10000, max: null, rate: 0.02 },
+        ],
+      },
+    ];
+    const result = calculateWithholding(
+      2000,
+      { ...BIWEEKLY_SINGLE, state: 'CA' },
+      { year: 2024, stateConfigs }
+    );
+
+    // (52,000 - 5,000) -> 100 + 37,000 * 2% = 840 / 26
+    expect(result.state_income_tax).toBe(32.31);
+    expect(result.sources.state).toBe('config');
+  });
+});
+
+describe('state tables', () => {
+  it('applies a flat StateTaxConfig rate', () => {
+    const table = resolveStateTable('IL', 2024, [
+      { state_code: 'IL', year: 2023, tax_rate: 4.95, has_brackets: false },
+    ]);
+    expect(calculateStateTax(52000, 'IL', table).tax).toBeCloseTo(2574, 2);
+  });
+
+  it('returns zero for states without wage tax', () => {
+    expect(calculateStateTax(52000, 'TX')).toEqual({ tax: 0, standard_deduction: 0, source: 'none' });
+  });
+
+  it('falls back to a flat estimate when no table exists', () => {
+    const result = calculateStateTax(52000, 'OR');
+    expect(result.tax).toBe(2600);
+    expect(result.source).toBe('estimate');
+  });
+});
@@ -0,0 +1,579 @@
+/**
+ * @fileoverview Local paycheck withholding engine
+ * @description Estimates per-paycheck withholding the way a payroll system does: wages are
+ * annualized by pay frequency, pre-tax deductions are removed from the right tax bases,
+ * W-4 inputs (filing status, dependents, other income, extra withholding) are applied to
+ * progressive brackets, and FICA respects the Social Security wage base and Additional
+ * Medicare threshold. Bracket tables come from FederalTaxConfig / StateTaxConfig when
+ * available and fall back to built-in federal tables otherwise.
+ */
+
+import type { FilingStatus } from './calculations';
+import { ageAtYearEnd, paycheckContributions, type PlanContribution, type RetirementPlan } from './retirementPlans';
+import { round2 } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Supported pay frequencies (matches PaycheckSettings.pay_frequency)
+ */
+export type PayFrequency = 'weekly' | 'biweekly' | 'semimonthly' | 'monthly';
+
+/**
+ * Progressive bracket row; `max: null` means no upper bound
+ */
+export interface WithholdingBracket {
+  min: number;
+  max: number | null;
+  rate: number;
+}
+
+/**
+ * Federal bracket table (shape of the FederalTaxConfig entity)
+ */
+export interface FederalTaxTable {
+  year: number;
+  filing_status: FilingStatus;
+  brackets: WithholdingBracket[];
+  standard_deduction: number;
+}
+
+/**
+ * State bracket table (shape of the StateTaxConfig entity)
+ */
+export interface StateTaxTable {
+  state_code: string;
+  year: number;
+  tax_rate: number;
+  has_brackets: boolean;
+  brackets?: WithholdingBracket[];
+  standard_deduction?: number;
+  filing_status?: FilingStatus;
+}
+
+/**
+ * W-4 style inputs and per-period deductions
+ */
+export interface WithholdingProfile {
+  /** Accepts entity and form spellings, e.g. `married_filing_jointly` */
+  filing_status?: string;
+  pay_frequency?: PayFrequency;
+  /** Two-letter state code used to pick a StateTaxConfig */
+  state?: string;
+  /** W-4 Step 2(c): multiple jobs / spouse works */
+  multiple_jobs?: boolean;
+  /** W-4 Step 3: qualifying children under 17 */
+  qualifying_children?: number;
+  /** W-4 Step 3: other dependents */
+  other_dependents?: number;
+  /** W-4 Step 4(a): annual other income */
+  other_income?: number;
+  /** W-4 Step 4(b): annual deductions beyond the standard deduction */
+  deductions?: number;
+  /** W-4 Step 4(c): extra federal withholding per period */
+  extra_withholding?: number;
+  /** Extra state withholding per period */
+  extra_state_withholding?: number;
+  /** Per-period traditional 401k/403b contribution (income tax exempt, FICA taxable) */
+  retirement_401k?: number;
+  /** Per-period payroll HSA contribution (income tax and FICA exempt) */
+  hsa?: number;
+  /** Per-period Section 125 premiums (income tax and FICA exempt) */
+  section_125?: number;
+  /** Other per-period pre-tax deductions (income tax exempt only) */
+  pre_tax_deductions?: number;
+  /** Per-period after-tax deductions */
+  post_tax_deductions?: number;
+  /** Percent-of-pay workplace plans; pre-tax deferrals add to `retirement_401k`, Roth to after-tax */
+  retirement_plans?: RetirementPlan[];
+  /** ISO birth date, for retirement catch-up limits */
+  birth_date?: string;
+}
+
+/**
+ * Tax tables and year-to-date context for a calculation
+ */
+export interface WithholdingOptions {
+  year?: number;
+  federalConfigs?: FederalTaxTable[];
+  stateConfigs?: StateTaxTable[];
+  /**
+   * FICA wages already paid this year. When provided, Social Security and Additional
+   * Medicare are computed for this specific check; otherwise they are averaged over the year.
+   */
+  ytd_fica_wages?: number;
+  /** Retirement plan deferrals already made this year by plan id */
+  ytd_retirement?: Record<string, number>;
+}
+
+/**
+ * Where a tax table came from
+ */
+export type TaxTableSource = 'config' | 'default' | 'estimate' | 'none';
+
+/**
+ * Per-paycheck withholding result
+ */
+export interface WithholdingResult {
+  pay_frequency: PayFrequency;
+  periods_per_year: number;
+  filing_status: FilingStatus;
+  gross_pay: number;
+  pre_tax_deductions: {
+    retirement_401k: number;
+    hsa: number;
+    section_125: number;
+    other: number;
+    total: number;
+  };
+  federal_taxable_wages: number;
+  fica_wages: number;
+  federal_income_tax: number;
+  state_income_tax: number;
+  social_security: number;
+  medicare: number;
+  additional_medicare: number;
+  payroll_total: number;
+  total_taxes: number;
+  post_tax_deductions: number;
+  /** Per-plan deferrals and employer contributions; the deferrals are included above */
+  retirement: PlanContribution[];
+  total_deductions: number;
+  net_pay: number;
+  /** Annual standard deductions used */
+  standard_deductions: { federal: number; state: number };
+  sources: { federal: TaxTableSource; state: TaxTableSource };
+}
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Pay periods per year for each frequency
+ */
+export const PAY_PERIODS_PER_YEAR: Record<PayFrequency, number> = {
+  weekly: 52,
+  biweekly: 26,
+  semimonthly: 24,
+  monthly: 12,
+};
+
+const SOCIAL_SECURITY_RATE = 0.062;
+const MEDICARE_RATE = 0.0145;
+const ADDITIONAL_MEDICARE_RATE = 0.009;
+/** Employers withhold Additional Medicare past $200k regardless of filing status */
+const ADDITIONAL_MEDICARE_THRESHOLD = 200000;
+const CHILD_CREDIT = 2000;
+const OTHER_DEPENDENT_CREDIT = 500;
+/** Used when a state has income tax but no StateTaxConfig row exists */
+const DEFAULT_STATE_RATE = 0.05;
+
+/**
+ * Social Security wage base by year
+ */
+export const SOCIAL_SECURITY_WAGE_BASE: Record<number, number> = {
+  2023: 160200,
+  2024: 168600,
+  2025: 176100,
+};
+
+/**
+ * States without a tax on wage income
+ */
+export const NO_WAGE_TAX_STATES = ['AK', 'FL', 'NV', 'NH', 'SD', 'TN', 'TX', 'WA', 'WY'];
+
+/**
+ * Built-in 2024 federal tables, used when no FederalTaxConfig matches
+ */
+export const DEFAULT_FEDERAL_TABLES: Record<FilingStatus, FederalTaxTable> = {
+  single: {
+    year: 2024,
+    filing_status: 'single',
+    standard_deduction: 14600,
+    brackets: [
+      { min: 0, max: 11600, rate: 0.10 },
+      { min: 11600, max: 47150, rate: 0.12 },
+      { min: 47150, max: 100525, rate: 0.22 },
+      { min: 100525, max: 191950, rate: 0.24 },
+      { min: 191950, max: 243725, rate: 0.32 },
+      { min: 243725, max: 609350, rate: 0.35 },
+      { min: 609350, max: null, rate: 0.37 },
+    ],
+  },
+  married_joint: {
+    year: 2024,
+    filing_status: 'married_joint',
+    standard_deduction: 29200,
+    brackets: [
+      { min: 0, max: 23200, rate: 0.10 },
+      { min: 23200, max: 94300, rate: 0.12 },
+      { min: 94300, max: 201050, rate: 0.22 },
+      { min: 201050, max: 383900, rate: 0.24 },
+      { min: 383900, max: 487450, rate: 0.32 },
+      { min: 487450, max: 731200, rate: 0.35 },
+      { min: 731200, max: null, rate: 0.37 },
+    ],
+  },
+  married_separate: {
+    year: 2024,
+    filing_status: 'married_separate',
+    standard_deduction: 14600,
+    brackets: [
+      { min: 0, max: 11600, rate: 0.10 },
+      { min: 11600, max: 47150, rate: 0.12 },
+      { min: 47150, max: 100525, rate: 0.22 },
+      { min: 100525, max: 191950, rate: 0.24 },
+      { min: 191950, max: 243725, rate: 0.32 },
+      { min: 243725, max: 365600, rate: 0.35 },
+      { min: 365600, max: null, rate: 0.37 },
+    ],
+  },
+  head_of_household: {
+    year: 2024,
+    filing_status: 'head_of_household',
+    standard_deduction: 21900,
+    brackets: [
+      { min: 0, max: 16550, rate: 0.10 },
+      { min: 16550, max: 63100, rate: 0.12 },
+      { min: 63100, max: 100500, rate: 0.22 },
+      { min: 100500, max: 191950, rate: 0.24 },
+      { min: 191950, max: 243700, rate: 0.32 },
+      { min: 243700, max: 609350, rate: 0.35 },
+      { min: 609350, max: null, rate: 0.37 },
+    ],
+  },
+};
+
+const FILING_STATUS_ALIASES: Record<string, FilingStatus> = {
+  single: 'single',
+  married_joint: 'married_joint',
+  married_jointly: 'married_joint',
+  married_filing_jointly: 'married_joint',
+  married: 'married_joint',
+  married_separate: 'married_separate',
+  married_separately: 'married_separate',
+  married_filing_separately: 'married_separate',
+  head_of_household: 'head_of_household',
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const nonNegative = (value: number | undefined): number =>
+  Number.isFinite(value) && (value as number) > 0 ? (value as number) : 0;
+
+/**
+ * Rates may be stored as fractions (0.05) or percentages (5)
+ */
+const toRate = (rate: number): number => (rate > 1 ? rate / 100 : rate);
+
+/**
+ * Pick the row for the requested year, else the latest earlier year, else the latest row
+ */
+const pickByYear = <T extends { year: number }>(rows: T[], year: number): T | null => {
+  if (rows.length === 0) return null;
+  const sorted = [...rows].sort((a, b) => b.year - a.year);
+  return sorted.find(row => row.year <= year) || sorted[0];
+};
+
+/**
+ * Social Security wage base for a year (latest known year for future years)
+ */
+const wageBaseFor = (year: number): number => {
+  const years = Object.keys(SOCIAL_SECURITY_WAGE_BASE).map(Number).sort((a, b) => a - b);
+  const known = years.filter(y => y <= year);
+  const key = known.length > 0 ? known[known.length - 1] : years[0];
+  return SOCIAL_SECURITY_WAGE_BASE[key];
+};
+
+// ============================================================================
+// Bracket Math
+// ============================================================================
+
+/**
+ * Normalize the filing status spellings used across forms and entities
+ * @param status - Raw filing status
+ * @returns Canonical filing status (defaults to single)
+ */
+export const normalizeFilingStatus = (status?: string | null): FilingStatus =>
+  FILING_STATUS_ALIASES[String(status || '').toLowerCase()] || 'single';
+
+/**
+ * Annualize a per-period amount
+ * @param amount - Per-period amount
+ * @param frequency - Pay frequency
+ * @returns Annual amount
+ */
+export const annualize = (amount: number, frequency: PayFrequency = 'biweekly'): number =>
+  amount * (PAY_PERIODS_PER_YEAR[frequency] || PAY_PERIODS_PER_YEAR.biweekly);
+
+/**
+ * Apply a progressive bracket table to taxable income
+ * @param income - Taxable income
+ * @param brackets - Bracket rows (rates as fractions or percentages)
+ * @returns Tax owed
+ */
+export const applyBrackets = (income: number, brackets: WithholdingBracket[]): number => {
+  if (income <= 0) return 0;
+  let tax = 0;
+  for (const bracket of [...brackets].sort((a, b) => a.min - b.min)) {
+    if (income <= bracket.min) break;
+    const top = bracket.max === null || bracket.max === undefined ? Infinity : bracket.max;
+    tax += (Math.min(income, top) - bracket.min) * toRate(bracket.rate);
+  }
+  return tax;
+};
+
+/**
+ * Find the federal table for a filing status and year
+ * @param filingStatus - Canonical filing status
+ * @param year - Tax year
+ * @param configs - FederalTaxConfig rows
+ * @returns Table and whether it came from config or the built-in defaults
+ */
+export const resolveFederalTable = (
+  filingStatus: FilingStatus,
+  year: number,
+  configs: FederalTaxTable[] = []
+): { table: FederalTaxTable; source: TaxTableSource } => {
+  const matching = configs.filter(
+    c => normalizeFilingStatus(c.filing_status) === filingStatus && c.brackets?.length
+  );
+  const table = pickByYear(matching, year);
+  return table
+    ? { table, source: 'config' }
+    : { table: DEFAULT_FEDERAL_TABLES[filingStatus], source: 'default' };
+};
+
+/**
+ * Find the state table for a state code and year
+ * @param state - Two-letter state code
+ * @param year - Tax year
+ * @param configs - StateTaxConfig rows
+ * @param filingStatus - Preferred filing status when a state has per-status tables
+ * @returns Matching table or null
+ */
+export const resolveStateTable = (
+  state: string | null | undefined,
+  year: number,
+  configs: StateTaxTable[] = [],
+  filingStatus: FilingStatus = 'single'
+): StateTaxTable | null => {
+  if (!state) return null;
+  const code = state.trim().toUpperCase();
+  const forState = configs.filter(c => c.state_code?.toUpperCase() === code);
+  const forStatus = forState.filter(
+    c => !c.filing_status || normalizeFilingStatus(c.filing_status) === filingStatus
+  );
+  return pickByYear(forStatus.length > 0 ? forStatus : forState, year);
+};
+
+/**
+ * Annual state income tax
+ * @param income - Annual state taxable wages (before the state standard deduction)
+ * @param state - Two-letter state code
+ * @param table - StateTaxConfig row, if one exists
+ * @returns Tax, deduction used and where the rate came from
+ */
+export const calculateStateTax = (
+  income: number,
+  state: string | null | undefined,
+  table: StateTaxTable | null = null
+): { tax: number; standard_deduction: number; source: TaxTableSource } => {
+  if (!state || NO_WAGE_TAX_STATES.includes(state.trim().toUpperCase())) {
+    return { tax: 0, standard_deduction: 0, source: 'none' };
+  }
+  if (!table) {
+    return { tax: Math.max(0, income) * DEFAULT_STATE_RATE, standard_deduction: 0, source: 'estimate' };
+  }
+
+  const standardDeduction = nonNegative(table.standard_deduction);
+  const taxable = Math.max(0, income - standardDeduction);
+  const tax = table.has_brackets && table.brackets?.length
+    ? applyBrackets(taxable, table.brackets)
+    : taxable * toRate(table.tax_rate || 0);
+
+  return { tax, standard_deduction: standardDeduction, source: 'config' };
+};
+
+// ============================================================================
+// Withholding
+// ============================================================================
+
+/**
+ * Estimate withholding for a single paycheck
+ * @param grossPay - Gross wages for the pay period
+ * @param profile - W-4 inputs and deductions
+ * @param options - Tax tables, year and year-to-date wages
+ * @returns Itemized per-paycheck withholding
+ */
+export const calculateWithholding = (
+  grossPay: number,
+  profile: WithholdingProfile = {},
+  options: WithholdingOptions = {}
+): WithholdingResult => {
+  const frequency: PayFrequency = profile.pay_frequency && PAY_PERIODS_PER_YEAR[profile.pay_frequency]
+    ? profile.pay_frequency
+    : 'biweekly';
+  const periods = PAY_PERIODS_PER_YEAR[frequency];
+  const year = options.year || new Date().getFullYear();
+  const filingStatus = normalizeFilingStatus(profile.filing_status);
+  const gross = nonNegative(grossPay);
+  const retirementPlans = paycheckContributions(profile.retirement_plans, gross, {
+    year,
+    age: ageAtYearEnd(profile.birth_date, year),
+    ytd: options.ytd_retirement,
+  });
+  const planPreTax = retirementPlans.reduce((sum, plan) => sum + plan.pre_tax, 0);
+  const planRoth = retirementPlans.reduce((sum, plan) => sum + plan.roth, 0);
+
+  // Pre-tax deductions can never exceed the wages they come out of
+  let available = gross;
+  const take = (amount: number | undefined): number => {
+    const taken = Math.min(nonNegative(amount), available);
+    available -= taken;
+    return taken;
+  };
+  const section125 = take(profile.section_125);
+  const hsa = take(profile.hsa);
+  const retirement = take(nonNegative(profile.retirement_401k) + planPreTax);
+  const otherPreTax = take(profile.pre_tax_deductions);
+
+  const ficaWages = gross - section125 - hsa;
+  const incomeTaxWages = available;
+
+  // Federal: annualized percentage method
+  const { table: federalTable, source: federalSource } = resolveFederalTable(
+    filingStatus,
+    year,
+    options.federalConfigs
+  );
+  const jobsDivisor = profile.multiple_jobs ? 2 : 1;
+  const federalStandardDeduction = nonNegative(federalTable.standard_deduction) / jobsDivisor;
+  const federalBrackets = federalTable.brackets.map(b => ({
+    min: b.min / jobsDivisor,
+    max: b.max === null || b.max === undefined ? null : b.max / jobsDivisor,
+    rate: b.rate,
+  }));
+  const federalTaxable = Math.max(
+    0,
+    incomeTaxWages * periods
+      + nonNegative(profile.other_income)
+      - nonNegative(profile.deductions)
+      - federalStandardDeduction
+  );
+  const credits = nonNegative(profile.qualifying_children) * CHILD_CREDIT
+    + nonNegative(profile.other_dependents) * OTHER_DEPENDENT_CREDIT;
+  const annualFederal = Math.max(0, applyBrackets(federalTaxable, federalBrackets) - credits);
+  const federalIncomeTax = annualFederal / periods + nonNegative(profile.extra_withholding);
+
+  // State
+  const stateTable = resolveStateTable(profile.state, year, options.stateConfigs, filingStatus);
+  const state = calculateStateTax(incomeTaxWages * periods, profile.state, stateTable);
+  const stateIncomeTax = state.tax / periods + nonNegative(profile.extra_state_withholding);
+
+  // FICA
+  const wageBase = wageBaseFor(year);
+  let socialSecurity: number;
+  let additionalMedicare: number;
+  if (options.ytd_fica_wages !== undefined) {
+    const ytd = nonNegative(options.ytd_fica_wages);
+    socialSecurity = Math.min(ficaWages, Math.max(0, wageBase - ytd)) * SOCIAL_SECURITY_RATE;
+    const overBefore = Math.max(0, ytd - ADDITIONAL_MEDICARE_THRESHOLD);
+    const overAfter = Math.max(0, ytd + ficaWages - ADDITIONAL_MEDICARE_THRESHOLD);
+    additionalMedicare = (overAfter - overBefore) * ADDITIONAL_MEDICARE_RATE;
+  } else {
+    const annualFica = ficaWages * periods;
+    socialSecurity = (Math.min(annualFica, wageBase) * SOCIAL_SECURITY_RATE) / periods;
+    additionalMedicare =
+      (Math.max(0, annualFica - ADDITIONAL_MEDICARE_THRESHOLD) * ADDITIONAL_MEDICARE_RATE) / periods;
+  }
+  const medicare = ficaWages * MEDICARE_RATE;
+
+  // Each line is rounded the way a stub prints it, so totals foot to the cent
+  const lines = {
+    federal: round2(federalIncomeTax),
+    state: round2(stateIncomeTax),
+    socialSecurity: round2(socialSecurity),
+    medicare: round2(medicare),
+    additionalMedicare: round2(additionalMedicare),
+  };
+  const payrollTotal = round2(lines.socialSecurity + lines.medicare + lines.additionalMedicare);
+  const totalTaxes = round2(lines.federal + lines.state + payrollTotal);
+  const postTax = round2(nonNegative(profile.post_tax_deductions) + planRoth);
+  const preTax = {
+    retirement_401k: round2(retirement),
+    hsa: round2(hsa),
+    section_125: round2(section125),
+    other: round2(otherPreTax),
+  };
+  const preTaxTotal = round2(preTax.retirement_401k + preTax.hsa + preTax.section_125 + preTax.other);
+  const totalDeductions = round2(preTaxTotal + postTax);
+
+  return {
+    pay_frequency: frequency,
+    periods_per_year: periods,
+    filing_status: filingStatus,
+    gross_pay: round2(gross),
+    pre_tax_deductions: { ...preTax, total: preTaxTotal },
+    federal_taxable_wages: round2(incomeTaxWages),
+    fica_wages: round2(ficaWages),
+    federal_income_tax: lines.federal,
+    state_income_tax: lines.state,
+    social_security: lines.socialSecurity,
+    medicare: lines.medicare,
+    additional_medicare: lines.additionalMedicare,
+    payroll_total: payrollTotal,
+    total_taxes: totalTaxes,
+    post_tax_deductions: postTax,
+    retirement: retirementPlans,
+    total_deductions: totalDeductions,
+    net_pay: round2(gross - totalTaxes - totalDeductions),
+    standard_deductions: {
+      federal: round2(federalStandardDeduction),
+      state: round2(state.standard_deduction),
+    },
+    sources: { federal: federalSource, state: state.source },
+  };
+};
+
+/**
+ * Withholding for part of a paycheck, such as one shift. Taxes and deductions are figured
+ * on the whole check and split in proportion to gross, so a shift is taxed at the rate of
+ * the paycheck it lands in rather than as a tiny check of its own.
+ * @param partGross - Gross pay for the part
+ * @param profile - W-4 inputs and deductions
+ * @param options - Tax tables, year and year-to-date wages
+ * @param checkGross - Gross pay for the whole check (default: the part is the whole check)
+ * @returns Take-home pay and taxes for the part
+ */
+export const withholdingShare = (
+  partGross: number,
+  profile: WithholdingProfile = {},
+  options: WithholdingOptions = {},
+  checkGross: number = partGross
+): { net_pay: number; total_taxes: number } => {
+  const part = nonNegative(partGross);
+  const whole = Math.max(part, nonNegative(checkGross));
+  if (whole === 0) return { net_pay: 0, total_taxes: 0 };
+
+  const check = calculateWithholding(whole, profile, options);
+  const share = part / whole;
+  return {
+    net_pay: round2(check.net_pay * share),
+    total_taxes: round2(check.total_taxes * share),
+  };
+};
+
+/**
+ * Withholding profile from a saved PaycheckSettings record, which names the state `tax_state`
+ * @param settings - PaycheckSettings record, if any
+ * @returns Profile for {@link calculateWithholding}
+ */
+export const withholdingProfile = (
+  settings: (WithholdingProfile & { tax_state?: string }) | null | undefined
+): WithholdingProfile => (settings ? { ...settings, state: settings.tax_state || settings.state } : {});
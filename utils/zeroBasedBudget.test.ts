@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Tests for zero-based budgeting by paycheck
+ * @description Covers collecting paychecks, period needs, envelope carry-over,
+ * allocation templates and saving a split as a template
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ALLOCATION_TEMPLATES,
+  applyAllocationTemplate,
+  buildZeroBasedPeriods,
+  collectPaychecks,
+  templateFromPeriod,
+  type Paycheck,
+} from './zeroBasedBudget';
+
+const paychecks: Paycheck[] = [
+  { id: 'p1', date: '2025-06-06', amount: 1000, source: 'transaction', name: 'Paycheck' },
+  { id: 'p2', date: '2025-06-20', amount: 800, source: 'transaction', name: 'Paycheck' },
+];
+
+const input = {
+  paychecks,
+  budgets: [{ category: 'Groceries', monthly_limit: 300 }],
+  bills: [{ id: 'rent', name: 'Rent', amount: 600, due_date: 15 }],
+  debts: [{ id: 'card', name: 'Card', balance: 500, minimum_payment: 50, due_date: 25 }],
+  goals: [{ id: 'ef', title: 'Emergency Fund', target_amount: 1000, current_amount: 400, target_date: '2025-11-30' }],
+  transactions: [
+    { category: 'Groceries', amount: 90, type: 'expense', date: '2025-06-10' },
+    { category: 'Groceries', amount: 40, type: 'expense', date: '2025-06-22' },
+  ],
+};
+
+describe('collectPaychecks', () => {
+  it('takes income transactions and shift paychecks, preferring the deposit on the same day', () => {
+    const shifts = [
+      { id: 's1', start_datetime: '2025-06-02T09:00', end_datetime: '2025-06-02T17:00', net_pay: 150 },
+      { id: 's2', start_datetime: '2025-06-09T09:00', end_datetime: '2025-06-09T17:00', net_pay: 160 },
+    ];
+    const result = collectPaychecks(
+      {
+        shifts,
+        paycheck_settings: { pay_frequency: 'weekly', next_payday: '2025-06-06' },
+        transactions: [
+          { id: 't1', description: 'Direct deposit', amount: 152, type: 'income', date: '2025-06-13' },
+          { id: 't2', amount: 20, type: 'expense', date: '2025-06-13' },
+        ],
+      },
+      '2025-06-01',
+      '2025-06-15'
+    );
+
+    expect(result).toEqual([
+      { id: 'shift:2025-06-06', date: '2025-06-06', amount: 150, source: 'shift', name: 'Paycheck (1 shift)' },
+      { id: 'transaction:t1', date: '2025-06-13', amount: 152, source: 'transaction', name: 'Direct deposit' },
+    ]);
+  });
+});
+
+describe('buildZeroBasedPeriods', () => {
+  it('runs each period to the next paycheck with what every target needs', () => {
+    const [first, second] = buildZeroBasedPeriods(input);
+
+    expect(first).toMatchObject({ start: '2025-06-06', end: '2025-06-19', days: 14, to_be_assigned: 1000 });
+    expect(first.targets.map(t => [t.key, t.needed])).toEqual([
+      ['bill:rent', 600],
+      ['envelope:Groceries', 140],
+      ['goal:ef', 56],
+    ]);
+    // The latest period runs the default 14 days
+    expect(second).toMatchObject({ start: '2025-06-20', end: '2025-07-03' });
+    expect(second.targets.map(t => t.key)).toEqual(['debt:card', 'envelope:Groceries', 'goal:ef']);
+  });
+
+  it('carries envelope balances into the next period', () => {
+    const [first, second] = buildZeroBasedPeriods({
+      ...input,
+      assignments: { p1: { 'envelope:Groceries': 200, 'bill:rent': 600 }, p2: { 'envelope:Groceries': 50 } },
+    });
+
+    expect(first.envelopes).toEqual([{ category: 'Groceries', carry_in: 0, assigned: 200, spent: 90, available: 110 }]);
+    expect(first).toMatchObject({ assigned_total: 800, to_be_assigned: 200 });
+    expect(second.envelopes).toEqual([{ category: 'Groceries', carry_in: 110, assigned: 50, spent: 40, available: 120 }]);
+    // The carried balance counts toward what the envelope needs
+    expect(second.targets.find(t => t.key === 'envelope:Groceries')?.needed).toBe(30);
+  });
+
+  it('counts spending once when two paychecks land on the same day', () => {
+    const [first, second] = buildZeroBasedPeriods({
+      ...input,
+      paychecks: [
+        { id: 'a', date: '2025-06-06', amount: 600, source: 'transaction', name: 'Hospital' },
+        { id: 'b', date: '2025-06-06', amount: 400, source: 'transaction', name: 'Agency' },
+      ],
+      transactions: [{ category: 'Groceries', amount: 80, type: 'expense', date: '2025-06-10' }],
+      assignments: { a: { 'envelope:Groceries': 100, 'bill:rent': 500 } },
+    });
+
+    expect(second).toMatchObject({ start: first.start, end: first.end });
+    expect(first.envelopes).toEqual([{ category: 'Groceries', carry_in: 0, assigned: 100, spent: 80, available: 20 }]);
+    expect(second.envelopes).toEqual([{ category: 'Groceries', carry_in: 20, assigned: 0, spent: 0, available: 20 }]);
+    // The second paycheck only needs what the first left unassigned
+    expect(second.targets.find(t => t.key === 'bill:rent')?.needed).toBe(100);
+    expect(second.targets.find(t => t.key === 'envelope:Groceries')?.needed).toBe(first.targets.find(t => t.key === 'envelope:Groceries')!.needed - 100);
+  });
+});
+
+describe('allocation templates', () => {
+  it('fills bills first, then 10% to the emergency fund, then envelopes and goals', () => {
+    const [first] = buildZeroBasedPeriods(input);
+    expect(applyAllocationTemplate(first, DEFAULT_ALLOCATION_TEMPLATES[0])).toEqual({
+      'bill:rent': 600,
+      // 10% of the paycheck already covers the goal's 56 for the period
+      'goal:ef': 100,
+      'envelope:Groceries': 140,
+    });
+  });
+
+  it('never assigns more than the paycheck', () => {
+    const [first] = buildZeroBasedPeriods({ ...input, paychecks: [{ ...paychecks[0], amount: 650 }] });
+    const result = applyAllocationTemplate(first, DEFAULT_ALLOCATION_TEMPLATES[0]);
+    expect(result).toEqual({ 'bill:rent': 600, 'goal:ef': 50 });
+  });
+
+  it('supports fixed amounts and a remainder target', () => {
+    const [first] = buildZeroBasedPeriods(input);
+    expect(applyAllocationTemplate(first, {
+      id: 'x',
+      name: 'Custom',
+      rules: [
+        { type: 'fixed', target: 'envelope:Groceries', amount: 100 },
+        { type: 'remainder', kind: 'goal' },
+      ],
+    })).toEqual({ 'envelope:Groceries': 100, 'goal:ef': 900 });
+  });
+
+  it('saves a period\'s split as percentages of the paycheck', () => {
+    const [first] = buildZeroBasedPeriods({ ...input, assignments: { p1: { 'bill:rent': 600, 'goal:ef': 400 } } });
+    expect(templateFromPeriod(first, 'Mine').rules).toEqual([
+      { type: 'percent', target: 'bill:rent', percent: 60 },
+      { type: 'percent', target: 'goal:ef', percent: 40 },
+    ]);
+  });
+});
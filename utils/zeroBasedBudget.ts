@@ -0,0 +1,452 @@
+/**
+ * @fileoverview Zero-based budgeting by paycheck
+ * @description Every paycheck actually received (take-home pay from worked shifts,
+ * or an income transaction) opens a budget period that runs until the next one.
+ * The paycheck is assigned to envelopes, goals, bills and debts until nothing is
+ * left to assign; allocation templates do that in order ("fill bills first, then
+ * 10% to the emergency fund"), and envelope balances carry over from one period
+ * to the next.
+ */
+
+import { addDays, differenceInCalendarDays, differenceInCalendarMonths, parseISO } from 'date-fns';
+import {
+  billOccurrences,
+  debtPayments,
+  shiftPaychecks,
+  type ProjectionDebt,
+  type ProjectionPaySettings,
+  type ProjectionShift,
+  type ProjectionTransaction,
+} from './cashflowProjection';
+import type { LegacyPayRule, PayShiftRule } from './payEngine';
+import type { SubscriptionBill } from './subscriptions';
+import type { WithholdingOptions } from './withholding';
+import { round2, toDateKey, toNumber } from './primitives';
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type AllocationTargetKind = 'envelope' | 'goal' | 'bill' | 'debt';
+
+/**
+ * Paycheck that opens a budget period
+ */
+export interface Paycheck {
+  /** `shift:<date>` or `transaction:<id>` */
+  id: string;
+  date: string;
+  amount: number;
+  source: 'shift' | 'transaction';
+  name: string;
+}
+
+/**
+ * Budget fields read here
+ */
+export interface ZeroBasedBudget {
+  category: string;
+  monthly_limit?: number;
+  /** Older budgets store the limit as `amount` */
+  amount?: number;
+}
+
+/**
+ * Goal fields read here
+ */
+export interface ZeroBasedGoal {
+  id?: string;
+  title?: string;
+  name?: string;
+  target_amount?: number;
+  current_amount?: number;
+  target_date?: string;
+  status?: string;
+  is_completed?: boolean;
+}
+
+/**
+ * Something a paycheck can be assigned to
+ */
+export interface AllocationTarget {
+  /** `<kind>:<id>`; envelopes use their category as the id */
+  key: string;
+  kind: AllocationTargetKind;
+  id: string;
+  name: string;
+  /** Amount this period still needs before its assignment */
+  needed: number;
+  /** Amount assigned from this period's paycheck */
+  assigned: number;
+}
+
+/**
+ * Envelope balance for one period
+ */
+export interface EnvelopeLedgerEntry {
+  category: string;
+  /** Balance carried over from the previous period (negative when overspent) */
+  carry_in: number;
+  assigned: number;
+  spent: number;
+  /** carry_in + assigned - spent, carried into the next period */
+  available: number;
+}
+
+/**
+ * One paycheck's budget period
+ */
+export interface ZeroBasedPeriod {
+  paycheck: Paycheck;
+  start: string;
+  /** Day before the next paycheck, or the end of the default period */
+  end: string;
+  days: number;
+  targets: AllocationTarget[];
+  envelopes: EnvelopeLedgerEntry[];
+  assigned_total: number;
+  /** Paycheck minus assignments; the goal is zero */
+  to_be_assigned: number;
+}
+
+/**
+ * Paycheck id to target key to amount
+ */
+export type ZeroBasedAssignments = Record<string, Record<string, number>>;
+
+/**
+ * Everything the periods are built from
+ */
+export interface ZeroBasedInput {
+  paychecks: Paycheck[];
+  budgets?: ZeroBasedBudget[];
+  /** Monthly envelope amounts by category; override the budget limits */
+  envelope_amounts?: Record<string, number>;
+  bills?: SubscriptionBill[];
+  debts?: ProjectionDebt[];
+  goals?: ZeroBasedGoal[];
+  /** Expenses are charged to the envelope with their category */
+  transactions?: ProjectionTransaction[];
+  assignments?: ZeroBasedAssignments;
+  /** Length of the latest period, which has no next paycheck yet (default 14) */
+  default_period_days?: number;
+}
+
+/**
+ * Paycheck sources
+ */
+export interface PaycheckSourceInput {
+  shifts?: ProjectionShift[];
+  shift_rules?: Array<PayShiftRule | LegacyPayRule>;
+  paycheck_settings?: ProjectionPaySettings | null;
+  transactions?: ProjectionTransaction[];
+  tax_options?: WithholdingOptions;
+}
+
+/**
+ * Step of an allocation template
+ *  - `fill`: cover what every target of a kind still needs, in order
+ *  - `percent`: a percentage of the paycheck to the first matching target
+ *  - `fixed`: a fixed amount to the first matching target
+ *  - `remainder`: whatever is left to the first matching target
+ * Targets match by exact `target` key, or by `kind` and a case-insensitive
+ * `match` on the name.
+ */
+export interface AllocationRule {
+  type: 'fill' | 'percent' | 'fixed' | 'remainder';
+  kind?: AllocationTargetKind;
+  target?: string;
+  match?: string;
+  percent?: number;
+  amount?: number;
+}
+
+/**
+ * Named list of allocation rules
+ */
+export interface AllocationTemplate {
+  id: string;
+  name: string;
+  rules: AllocationRule[];
+}
+
+// ============================================================================
+// Default Templates
+// ============================================================================
+
+export const DEFAULT_ALLOCATION_TEMPLATES: AllocationTemplate[] = [
+  {
+    id: 'bills-first-emergency',
+    name: 'Fill bills first, then 10% to emergency fund',
+    rules: [
+      { type: 'fill', kind: 'bill' },
+      { type: 'fill', kind: 'debt' },
+      { type: 'percent', kind: 'goal', match: 'emergency', percent: 10 },
+      { type: 'fill', kind: 'envelope' },
+      { type: 'fill', kind: 'goal' },
+    ],
+  },
+  {
+    id: 'obligations-then-envelopes',
+    name: 'Bills and debts, then envelopes, then goals',
+    rules: [
+      { type: 'fill', kind: 'bill' },
+      { type: 'fill', kind: 'debt' },
+      { type: 'fill', kind: 'envelope' },
+      { type: 'fill', kind: 'goal' },
+    ],
+  },
+];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const DAYS_PER_MONTH = 30;
+
+export const targetKey = (kind: AllocationTargetKind, id: string): string => `${kind}:${id}`;
+
+const KIND_ORDER: AllocationTargetKind[] = ['bill', 'debt', 'envelope', 'goal'];
+
+// ============================================================================
+// Paychecks
+// ============================================================================
+
+/**
+ * Paychecks received within a range: take-home pay for worked shifts on their
+ * payday, and income transactions. A shift paycheck is dropped when an income
+ * transaction lands the same day, since that deposit is the paycheck itself.
+ * @param input - Shifts, pay settings and transactions
+ * @param from - First day, yyyy-MM-dd
+ * @param to - Last day, yyyy-MM-dd
+ * @returns Paychecks in date order
+ */
+export const collectPaychecks = (input: PaycheckSourceInput, from: string, to: string): Paycheck[] => {
+  const income: Paycheck[] = (input.transactions || [])
+    .filter(t => t.type === 'income' && toNumber(t.amount) > 0)
+    .map(t => ({ ...t, date: (t.date || '').slice(0, 10) }))
+    .filter(t => t.date >= from && t.date <= to)
+    .map((t, index) => ({
+      id: `transaction:${t.id ?? `${t.date}-${index}`}`,
+      date: t.date,
+      amount: round2(toNumber(t.amount)),
+      source: 'transaction' as const,
+      name: t.description || t.title || t.category || 'Income',
+    }));
+
+  const depositDays = new Set(income.map(paycheck => paycheck.date));
+  const shifts: Paycheck[] = shiftPaychecks(
+    input.shifts || [],
+    input.paycheck_settings,
+    parseISO(from),
+    parseISO(to),
+    input.tax_options,
+    input.shift_rules
+  )
+    .filter(check => !depositDays.has(check.date))
+    .map(check => ({
+      id: `shift:${check.date}`,
+      date: check.date,
+      amount: check.amount,
+      source: 'shift' as const,
+      name: `Paycheck (${check.shift_ids.length} shift${check.shift_ids.length === 1 ? '' : 's'})`,
+    }));
+
+  return [...income, ...shifts].sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+};
+
+// ============================================================================
+// Periods
+// ============================================================================
+
+/**
+ * Monthly envelope amounts: saved envelope amounts first, then budget limits
+ */
+const envelopeMonthlyAmounts = (input: ZeroBasedInput): Map<string, number> => {
+  const amounts = new Map<string, number>();
+  for (const budget of input.budgets || []) {
+    if (budget.category) amounts.set(budget.category, toNumber(budget.monthly_limit ?? budget.amount));
+  }
+  for (const [category, amount] of Object.entries(input.envelope_amounts || {})) {
+    amounts.set(category, toNumber(amount));
+  }
+  return amounts;
+};
+
+/**
+ * What a goal needs over a period to reach its target by its date
+ */
+const goalNeed = (goal: ZeroBasedGoal, start: Date, days: number): number => {
+  const remaining = toNumber(goal.target_amount) - toNumber(goal.current_amount);
+  if (remaining <= 0 || !goal.target_date) return 0;
+  const months = Math.max(1, differenceInCalendarMonths(parseISO(goal.target_date.slice(0, 10)), start));
+  return round2(remaining / months * days / DAYS_PER_MONTH);
+};
+
+const isOpenGoal = (goal: ZeroBasedGoal): boolean =>
+  !goal.is_completed && goal.status !== 'completed' && goal.status !== 'paused' && !!goal.id;
+
+/**
+ * Build each paycheck's budget period in date order, with what every target
+ * needs, what was assigned, and envelope balances carried between periods
+ * @param input - Paychecks, budget sources, spending and saved assignments
+ * @returns Periods in date order
+ */
+export const buildZeroBasedPeriods = (input: ZeroBasedInput): ZeroBasedPeriod[] => {
+  const paychecks = [...input.paychecks].sort((a, b) => a.date.localeCompare(b.date));
+  const monthly = envelopeMonthlyAmounts(input);
+  const expenses = (input.transactions || []).filter(t => t.type === 'expense');
+  const defaultDays = Math.max(1, Math.round(input.default_period_days ?? 14));
+
+  // Envelopes are every budgeted category plus any category that was assigned money
+  const categories = new Set(monthly.keys());
+  for (const assignment of Object.values(input.assignments || {})) {
+    for (const key of Object.keys(assignment)) {
+      if (key.startsWith('envelope:')) categories.add(key.slice('envelope:'.length));
+    }
+  }
+
+  const balances = new Map<string, number>();
+  // Paychecks on the same day share one date range: spending is counted once, in the
+  // first of them, and later ones only need what the earlier ones left unassigned
+  let groupDate = '';
+  let groupCarry = new Map<string, number>();
+  let groupAssigned = new Map<string, number>();
+  return paychecks.map((paycheck, index) => {
+    const firstOfDay = paycheck.date !== groupDate;
+    if (firstOfDay) {
+      groupDate = paycheck.date;
+      groupCarry = new Map(balances);
+      groupAssigned = new Map();
+    }
+    const start = parseISO(paycheck.date);
+    const next = paychecks.slice(index + 1).find(p => p.date > paycheck.date);
+    const end = next ? addDays(parseISO(next.date), -1) : addDays(start, defaultDays - 1);
+    const startKey = toDateKey(start);
+    const endKey = toDateKey(end);
+    const days = differenceInCalendarDays(end, start) + 1;
+    const assignment = input.assignments?.[paycheck.id] || {};
+    const assignedTo = (key: string): number => round2(Math.max(0, toNumber(assignment[key])));
+
+    const targets: AllocationTarget[] = [];
+    const add = (kind: AllocationTargetKind, id: string, name: string, needed: number) => {
+      const key = targetKey(kind, id);
+      const stillNeeded = needed - (groupAssigned.get(key) ?? 0);
+      targets.push({ key, kind, id, name, needed: round2(Math.max(0, stillNeeded)), assigned: assignedTo(key) });
+    };
+
+    for (const bill of input.bills || []) {
+      const due = billOccurrences(bill, start, end).length * toNumber(bill.amount);
+      if (due > 0 && bill.id) add('bill', String(bill.id), bill.name || 'Bill', due);
+    }
+    for (const debt of input.debts || []) {
+      const due = debtPayments(debt, start, end).reduce((sum, payment) => sum + payment.amount, 0);
+      if (due > 0 && debt.id) add('debt', String(debt.id), debt.name || 'Debt', due);
+    }
+
+    const envelopes: EnvelopeLedgerEntry[] = [...categories].sort().map(category => {
+      const carryIn = round2(balances.get(category) ?? 0);
+      const target = round2((monthly.get(category) ?? 0) * days / DAYS_PER_MONTH);
+      add('envelope', category, category, target - Math.max(0, groupCarry.get(category) ?? 0));
+
+      const assigned = assignedTo(targetKey('envelope', category));
+      const spent = !firstOfDay ? 0 : round2(expenses
+        .filter(t => (t.category || 'Uncategorized') === category)
+        .filter(t => { const date = (t.date || '').slice(0, 10); return date >= startKey && date <= endKey; })
+        .reduce((sum, t) => sum + Math.abs(toNumber(t.amount)), 0));
+      const available = round2(carryIn + assigned - spent);
+      balances.set(category, available);
+      return { category, carry_in: carryIn, assigned, spent, available };
+    });
+
+    for (const goal of (input.goals || []).filter(isOpenGoal)) {
+      add('goal', String(goal.id), goal.title || goal.name || 'Goal', goalNeed(goal, start, days));
+    }
+
+    // Keep assignments to targets that no longer need anything visible
+    for (const key of Object.keys(assignment)) {
+      if (targets.some(target => target.key === key) || assignedTo(key) <= 0) continue;
+      const [kind, ...rest] = key.split(':');
+      if ((KIND_ORDER as string[]).includes(kind)) add(kind as AllocationTargetKind, rest.join(':'), rest.join(':'), 0);
+    }
+
+    targets.forEach(target => groupAssigned.set(target.key, (groupAssigned.get(target.key) ?? 0) + target.assigned));
+    targets.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+    const assignedTotal = round2(targets.reduce((sum, target) => sum + target.assigned, 0));
+    return {
+      paycheck,
+      start: startKey,
+      end: endKey,
+      days,
+      targets,
+      envelopes,
+      assigned_total: assignedTotal,
+      to_be_assigned: round2(paycheck.amount - assignedTotal),
+    };
+  });
+};
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+const ruleTargets = (rule: AllocationRule, targets: AllocationTarget[]): AllocationTarget[] => {
+  if (rule.target) return targets.filter(target => target.key === rule.target);
+  const match = (rule.match || '').toLowerCase();
+  return targets.filter(target =>
+    (!rule.kind || target.kind === rule.kind) && (!match || target.name.toLowerCase().includes(match))
+  );
+};
+
+/**
+ * Assign a period's paycheck by a template, replacing its current assignment.
+ * Rules run in order and never assign more than the paycheck.
+ * @param period - Budget period
+ * @param template - Allocation template
+ * @returns Target key to amount, for the period's paycheck
+ */
+export const applyAllocationTemplate = (period: ZeroBasedPeriod, template: AllocationTemplate): Record<string, number> => {
+  const result: Record<string, number> = {};
+  let remaining = round2(period.paycheck.amount);
+  const give = (target: AllocationTarget, amount: number) => {
+    const value = round2(Math.min(Math.max(0, amount), remaining));
+    if (value <= 0) return;
+    result[target.key] = round2((result[target.key] ?? 0) + value);
+    remaining = round2(remaining - value);
+  };
+
+  for (const rule of template.rules) {
+    if (remaining <= 0) break;
+    const matches = ruleTargets(rule, period.targets);
+    if (rule.type === 'fill') {
+      for (const target of matches) give(target, target.needed - (result[target.key] ?? 0));
+    } else if (matches.length > 0) {
+      const amount = rule.type === 'percent'
+        ? period.paycheck.amount * toNumber(rule.percent) / 100
+        : rule.type === 'fixed' ? toNumber(rule.amount) : remaining;
+      give(matches[0], amount);
+    }
+  }
+  return result;
+};
+
+/**
+ * Template that repeats a period's split as percentages of the paycheck
+ * @param period - Budget period with assignments
+ * @param name - Template name
+ * @returns Template of percent rules, largest first
+ */
+export const templateFromPeriod = (period: ZeroBasedPeriod, name: string): AllocationTemplate => ({
+  id: `custom-${Date.now()}`,
+  name,
+  rules: period.paycheck.amount > 0
+    ? period.targets
+      .filter(target => target.assigned > 0)
+      .sort((a, b) => b.assigned - a.assigned)
+      .map(target => ({
+        type: 'percent' as const,
+        target: target.key,
+        percent: Math.round(target.assigned / period.paycheck.amount * 10000) / 100,
+      }))
+    : [],
+});
@@ -4,6 +4,11 @@
  * Improves main thread performance and prevents UI blocking
  */
 
+import { projectCashflow } from '../utils/cashflowProjection';
+import { simulateDebtPayoff } from '../utils/debtPayoff';
+import { detectRecurringSeries } from '../utils/recurringDetection';
+import { expandSplits } from '../utils/splitTransactions';
+
 // Web Worker code (runs in separate thread)
 self.addEventListener('message', (event) => {
   const { type, data, id } = event.data;
@@ -21,11 +26,11 @@ self.addEventListener('message', (event) => {
         break;
 
       case 'CALCULATE_DEBT_PAYOFF':
-        result = calculateDebtPayoff(data);
+        result = simulateDebtPayoff(data.debts, data.options);
         break;
 
       case 'CALCULATE_CASHFLOW_FORECAST':
-        result = calculateCashflowForecast(data);
+        result = projectCashflow(data.input, data.options);
         break;
 
       case 'CALCULATE_ANALYTICS':
@@ -44,6 +49,10 @@ self.addEventListener('message', (event) => {
         result = aggregateByCategory(data);
         break;
 
+      case 'DETECT_RECURRING':
+        result = detectRecurringSeries(data.transactions, data.options);
+        break;
+
       default:
         throw new Error(`Unknown calculation type: ${type}`);
     }
@@ -92,9 +101,11 @@ function calculateTotals(transactions) {
 
 /**
  * Calculate budget status (spent vs allocated)
+ * @param {{ budgets: any[], transactions: any[] }} data
  */
 function calculateBudgetStatus(data) {
-  const { budgets, transactions } = data;
+  const { budgets } = data;
+  const transactions = expandSplits(data.transactions);
   
   return budgets.map(budget => {
     const categoryTransactions = transactions.filter(
@@ -120,131 +131,16 @@ function calculateBudgetStatus(data) {
   });
 }
 
-/**
- * Calculate debt payoff schedule
- */
-function calculateDebtPayoff(data) {
-  const { debts, monthlyPayment } = data;
-  const schedule = [];
-  
-  let month = 0;
-  let remainingDebts = debts.map(d => ({
-    ...d,
-    balance: parseFloat(d.balance) || 0,
-    interestRate: parseFloat(d.interestRate) || 0,
-  }));
-
-  while (remainingDebts.some(d => d.balance > 0) && month < 360) {
-    month++;
-    let paymentRemaining = monthlyPayment;
-
-    // Apply minimum payments first
-    remainingDebts = remainingDebts.map(debt => {
-      if (debt.balance <= 0) return debt;
-
-      const monthlyInterest = (debt.balance * (debt.interestRate / 100)) / 12;
-      const minPayment = Math.min(debt.minPayment || 0, debt.balance + monthlyInterest);
-      
-      paymentRemaining -= minPayment;
-      
-      return {
-        ...debt,
-        balance: Math.max(0, debt.balance + monthlyInterest - minPayment),
-      };
-    });
-
-    // Apply extra payment to highest interest rate debt (avalanche method)
-    if (paymentRemaining > 0) {
-      const highestInterestDebt = remainingDebts
-        .filter(d => d.balance > 0)
-        .sort((a, b) => b.interestRate - a.interestRate)[0];
-
-      if (highestInterestDebt) {
-        const extraPayment = Math.min(paymentRemaining, highestInterestDebt.balance);
-        highestInterestDebt.balance -= extraPayment;
-      }
-    }
-
-    schedule.push({
-      month,
-      debts: remainingDebts.map(d => ({
-        name: d.name,
-        balance: d.balance,
-      })),
-      totalBalance: remainingDebts.reduce((sum, d) => sum + d.balance, 0),
-    });
-  }
-
-  return {
-    schedule,
-    monthsToPayoff: month,
-    yearsToPayoff: (month / 12).toFixed(1),
-    totalInterestPaid: schedule.reduce((sum, s) => {
-      return sum + remainingDebts.reduce((dSum, d) => {
-        const monthlyInterest = (d.balance * (d.interestRate / 100)) / 12;
-        return dSum + monthlyInterest;
-      }, 0);
-    }, 0),
-  };
-}
-
-/**
- * Calculate cashflow forecast
- */
-function calculateCashflowForecast(data) {
-  const { transactions, shifts, bills, startingBalance } = data;
-  const forecast = [];
-  const today = new Date();
-  
-  for (let i = 0; i < 12; i++) {
-    const monthDate = new Date(today.getFullYear(), today.getMonth() + i, 1);
-    
-    // Calculate expected income from shifts
-    const monthShifts = shifts.filter(s => {
-      const shiftDate = new Date(s.date);
-      return shiftDate.getMonth() === monthDate.getMonth() &&
-             shiftDate.getFullYear() === monthDate.getFullYear();
-    });
-    const expectedIncome = monthShifts.reduce(
-      (sum, s) => sum + (parseFloat(s.earnings) || 0),
-      0
-    );
-    
-    // Calculate expected expenses from bills
-    const monthBills = bills.filter(b => {
-      const dueDate = new Date(b.dueDate);
-      return dueDate.getMonth() === monthDate.getMonth();
-    });
-    const expectedExpenses = monthBills.reduce(
-      (sum, b) => sum + Math.abs(parseFloat(b.amount) || 0),
-      0
-    );
-    
-    const previousBalance = i === 0 ? startingBalance : forecast[i - 1].endBalance;
-    const endBalance = previousBalance + expectedIncome - expectedExpenses;
-    
-    forecast.push({
-      month: monthDate.toISOString(),
-      income: expectedIncome,
-      expenses: expectedExpenses,
-      net: expectedIncome - expectedExpenses,
-      startBalance: previousBalance,
-      endBalance,
-    });
-  }
-  
-  return forecast;
-}
-
 /**
  * Calculate comprehensive analytics
+ * @param {any[]} transactions
  */
 function calculateAnalytics(transactions) {
   // Group by category
   const byCategory = {};
   const byMonth = {};
   
-  transactions.forEach(t => {
+  expandSplits(transactions).forEach(t => {
     const amount = Math.abs(parseFloat(t.amount) || 0);
     const category = t.category || 'Uncategorized';
     const date = new Date(t.date);
@@ -375,12 +271,14 @@ function sortLargeDataset(data) {
 }
 
 /**
- * Aggregate transactions by category
+ * Aggregate transactions by category; split transactions count toward each
+ * of their categories
+ * @param {any[]} transactions
  */
 function aggregateByCategory(transactions) {
   const aggregated = new Map();
   
-  transactions.forEach(t => {
+  expandSplits(transactions).forEach(t => {
     const category = t.category || 'Uncategorized';
     const amount = parseFloat(t.amount) || 0;
     